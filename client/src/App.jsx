@@ -20,12 +20,21 @@ import AdminFeedbackManagement from './pages/AdminFeedbackManagement';
 import AdminSettingsPage from './pages/AdminSettingsPage';
 import AdminStaffAccountsPage from './pages/AdminStaffAccountsPage';
 import AdminPaymentsPage from './pages/AdminPaymentsPage';
+import AdminRatePlansPage from './pages/AdminRatePlansPage';
+import AdminPromoCodesPage from './pages/AdminPromoCodesPage';
+import AdminCancellationPoliciesPage from './pages/AdminCancellationPoliciesPage';
+import AdminJobsPage from './pages/AdminJobsPage';
 import CustomerRoomsSearchPage from './pages/CustomerRoomsSearchPage';
 import CustomerBookingPage from './pages/CustomerBookingPage';
 import CustomerBookingsPage from './pages/CustomerBookingsPage';
 import CustomerPaymentsPage from './pages/CustomerPaymentsPage';
 import StaffBookingsDashboard from './pages/StaffBookingsDashboard';
 import StaffServicesPage from './pages/StaffServicesPage';
+import StaffGroupBookingsPage from './pages/StaffGroupBookingsPage';
+import StaffCorporateAccountsPage from './pages/StaffCorporateAccountsPage';
+import StaffHousekeepingPage from './pages/StaffHousekeepingPage';
+import StaffWorkOrdersPage from './pages/StaffWorkOrdersPage';
+import StaffTapeChartPage from './pages/StaffTapeChartPage';
 import FrontDeskDashboard from './pages/FrontDeskDashboard';
 import BillingPage from './pages/BillingPage';
 import AdminReportsDashboard from './pages/AdminReportsDashboard';
@@ -147,6 +156,38 @@ const App = () => {
                 </ProtectedRoute>
               }
             />
+            <Route
+              path="/admin/rate-plans"
+              element={
+                <ProtectedRoute allowedRoles={['admin']}>
+                  <AdminRatePlansPage />
+                </ProtectedRoute>
+              }
+            />
+            <Route
+              path="/admin/promo-codes"
+              element={
+                <ProtectedRoute allowedRoles={['admin']}>
+                  <AdminPromoCodesPage />
+                </ProtectedRoute>
+              }
+            />
+            <Route
+              path="/admin/cancellation-policies"
+              element={
+                <ProtectedRoute allowedRoles={['admin']}>
+                  <AdminCancellationPoliciesPage />
+                </ProtectedRoute>
+              }
+            />
+            <Route
+              path="/admin/jobs"
+              element={
+                <ProtectedRoute allowedRoles={['admin']}>
+                  <AdminJobsPage />
+                </ProtectedRoute>
+              }
+            />
 
             {/* Customer routes */}
             <Route
@@ -165,6 +206,14 @@ const App = () => {
                 </ProtectedRoute>
               }
             />
+            <Route
+              path="/customer/book"
+              element={
+                <ProtectedRoute allowedRoles={['customer']}>
+                  <CustomerBookingPage />
+                </ProtectedRoute>
+              }
+            />
             <Route
               path="/customer/payments"
               element={
@@ -191,6 +240,14 @@ const App = () => {
                 </ProtectedRoute>
               }
             />
+            <Route
+              path="/staff/groups"
+              element={
+                <ProtectedRoute allowedRoles={['staff', 'admin']}>
+                  <StaffGroupBookingsPage />
+                </ProtectedRoute>
+              }
+            />
             <Route
               path="/staff/front-desk"
               element={
@@ -207,6 +264,38 @@ const App = () => {
                 </ProtectedRoute>
               }
             />
+            <Route
+              path="/staff/corporate-accounts"
+              element={
+                <ProtectedRoute allowedRoles={['staff', 'admin']}>
+                  <StaffCorporateAccountsPage />
+                </ProtectedRoute>
+              }
+            />
+            <Route
+              path="/staff/housekeeping"
+              element={
+                <ProtectedRoute allowedRoles={['staff', 'admin']}>
+                  <StaffHousekeepingPage />
+                </ProtectedRoute>
+              }
+            />
+            <Route
+              path="/staff/work-orders"
+              element={
+                <ProtectedRoute allowedRoles={['staff', 'admin']}>
+                  <StaffWorkOrdersPage />
+                </ProtectedRoute>
+              }
+            />
+            <Route
+              path="/staff/tape-chart"
+              element={
+                <ProtectedRoute allowedRoles={['staff', 'admin']}>
+                  <StaffTapeChartPage />
+                </ProtectedRoute>
+              }
+            />
             <Route
               path="/staff/services"
               element={
@@ -0,0 +1,415 @@
+/**
+ * @fileoverview Guest folio ledger: postings with a running balance, split between guest and company
+ * @module components/FolioPanel
+ */
+
+import React, { useState, useEffect } from 'react';
+import api from '../services/api';
+import formatCurrency from '../utils/formatCurrency';
+import './FolioPanel.css';
+
+const EMPTY_ENTRY = {
+  type: 'charge',
+  category: 'extras',
+  folio: '',
+  description: '',
+  amount: '',
+  paymentMethod: 'cash',
+  transactionId: '',
+};
+
+const KIND_LABELS = {
+  charge: 'Charge',
+  discount: 'Discount',
+  adjustment: 'Adjustment',
+  tax: 'Tax',
+  payment: 'Payment',
+  refund: 'Refund',
+  credit: 'Credit',
+};
+
+const formatDateTime = (date) =>
+  new Date(date).toLocaleString('en-US', {
+    year: 'numeric',
+    month: 'short',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit',
+  });
+
+/**
+ * @param {Object} props
+ * @param {string} props.bookingId - Booking whose folio is shown
+ * @param {*} props.refreshKey - Refetch the folio whenever this changes (e.g. after a payment)
+ * @param {Function} props.onPosted - Called after an entry is posted or the split changes
+ */
+const FolioPanel = ({ bookingId, refreshKey, onPosted }) => {
+  const [folio, setFolio] = useState(null);
+  const [entry, setEntry] = useState(EMPTY_ENTRY);
+  const [split, setSplit] = useState({ companyName: '', roomTo: 'company', extrasTo: 'guest' });
+  const [showEntryForm, setShowEntryForm] = useState(false);
+  const [showSplitForm, setShowSplitForm] = useState(false);
+  const [showAccountForm, setShowAccountForm] = useState(false);
+  const [corporateAccounts, setCorporateAccounts] = useState([]);
+  const [accountId, setAccountId] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    fetchFolio();
+  }, [bookingId, refreshKey]);
+
+  const fetchFolio = async () => {
+    try {
+      const response = await api.get(`/billing/bookings/${bookingId}/folio`);
+      applyFolio(response.data.data.folio);
+      setError('');
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to load folio');
+    }
+  };
+
+  const applyFolio = (nextFolio) => {
+    setFolio(nextFolio);
+    setAccountId(nextFolio.corporateAccount?.id || '');
+    setSplit({
+      companyName: nextFolio.split?.companyName || '',
+      roomTo: nextFolio.split?.roomTo || 'company',
+      extrasTo: nextFolio.split?.extrasTo || 'guest',
+    });
+  };
+
+  const handleEntryChange = (e) => {
+    const { name, value } = e.target;
+    setEntry((prev) => ({ ...prev, [name]: value }));
+  };
+
+  const handleSplitChange = (e) => {
+    const { name, value } = e.target;
+    setSplit((prev) => ({ ...prev, [name]: value }));
+  };
+
+  const handlePostEntry = async (e) => {
+    e.preventDefault();
+    const payload = {
+      type: entry.type,
+      amount: Number(entry.amount),
+    };
+    if (entry.folio) {
+      payload.folio = entry.folio;
+    }
+    if (entry.type === 'payment') {
+      payload.paymentMethod = entry.paymentMethod;
+      if (entry.transactionId) {
+        payload.transactionId = entry.transactionId;
+      }
+    } else {
+      payload.category = entry.category;
+      payload.description = entry.description;
+    }
+
+    try {
+      setSubmitting(true);
+      setError('');
+      const response = await api.post(`/billing/bookings/${bookingId}/folio/entries`, payload);
+      applyFolio(response.data.data.folio);
+      setEntry(EMPTY_ENTRY);
+      setShowEntryForm(false);
+      onPosted?.();
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to post entry');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const saveSplit = async (payload) => {
+    try {
+      setSubmitting(true);
+      setError('');
+      const response = await api.put(`/billing/bookings/${bookingId}/folio/split`, payload);
+      applyFolio(response.data.data.folio);
+      setShowSplitForm(false);
+      onPosted?.();
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to update folio split');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleSaveSplit = (e) => {
+    e.preventDefault();
+    saveSplit(split);
+  };
+
+  const toggleAccountForm = async () => {
+    if (!showAccountForm && corporateAccounts.length === 0) {
+      try {
+        const response = await api.get('/corporate-accounts', { params: { isActive: true } });
+        setCorporateAccounts(response.data.data.accounts || []);
+      } catch (err) {
+        setError(err.response?.data?.message || 'Failed to load corporate accounts');
+        return;
+      }
+    }
+    setShowAccountForm(!showAccountForm);
+  };
+
+  const handleSaveAccount = async (e) => {
+    e.preventDefault();
+    try {
+      setSubmitting(true);
+      setError('');
+      await api.put(`/bookings/${bookingId}/corporate-account`, { corporateAccountId: accountId || null });
+      setShowAccountForm(false);
+      await fetchFolio();
+      onPosted?.();
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to update corporate account');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleTransfer = async (account) => {
+    if (!window.confirm(
+      `Transfer ${formatCurrency(account.balance)} to ${folio.corporateAccount.name}'s city ledger?`
+    )) {
+      return;
+    }
+
+    try {
+      setSubmitting(true);
+      setError('');
+      const response = await api.post(`/billing/bookings/${bookingId}/city-ledger`, { folio: account.folio });
+      applyFolio(response.data.data.folio);
+      onPosted?.();
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to transfer to city ledger');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  if (!folio) {
+    return error ? <div className="error-message">{error}</div> : null;
+  }
+
+  return (
+    <div className="folio-panel no-print">
+      <div className="folio-header">
+        <h3>Folio</h3>
+        <div className="folio-actions">
+          <button className="btn-secondary" onClick={toggleAccountForm}>
+            {folio.corporateAccount ? `Account: ${folio.corporateAccount.name}` : 'Corporate Account'}
+          </button>
+          <button className="btn-secondary" onClick={() => setShowSplitForm(!showSplitForm)}>
+            {folio.split ? `Split: ${folio.split.companyName}` : 'Split Folio'}
+          </button>
+          <button className="btn-primary" onClick={() => setShowEntryForm(!showEntryForm)}>
+            {showEntryForm ? 'Cancel' : 'Post Entry'}
+          </button>
+        </div>
+      </div>
+
+      {error && <div className="error-message">{error}</div>}
+
+      {showAccountForm && (
+        <form className="folio-form" onSubmit={handleSaveAccount}>
+          <div className="form-group folio-form-wide">
+            <label>Corporate account (re-prices stays not yet checked in)</label>
+            <select value={accountId} onChange={(e) => setAccountId(e.target.value)}>
+              <option value="">None</option>
+              {corporateAccounts.map((account) => (
+                <option key={account._id} value={account._id}>{account.name}</option>
+              ))}
+            </select>
+          </div>
+          <div className="folio-form-actions">
+            <button type="submit" className="btn-primary" disabled={submitting}>
+              Save Account
+            </button>
+          </div>
+        </form>
+      )}
+
+      {showSplitForm && (
+        <form className="folio-form" onSubmit={handleSaveSplit}>
+          <div className="form-group">
+            <label>Company</label>
+            <input
+              type="text"
+              name="companyName"
+              value={split.companyName}
+              onChange={handleSplitChange}
+              placeholder="Company paying part of the stay"
+              maxLength={100}
+            />
+          </div>
+          <div className="form-group">
+            <label>Room charges to</label>
+            <select name="roomTo" value={split.roomTo} onChange={handleSplitChange}>
+              <option value="company">Company</option>
+              <option value="guest">Guest</option>
+            </select>
+          </div>
+          <div className="form-group">
+            <label>Extras to</label>
+            <select name="extrasTo" value={split.extrasTo} onChange={handleSplitChange}>
+              <option value="guest">Guest</option>
+              <option value="company">Company</option>
+            </select>
+          </div>
+          <div className="folio-form-actions">
+            <button type="submit" className="btn-primary" disabled={submitting || !split.companyName.trim()}>
+              Save Split
+            </button>
+            {folio.split && (
+              <button
+                type="button"
+                className="btn-secondary"
+                onClick={() => saveSplit({ companyName: null })}
+                disabled={submitting}
+              >
+                Remove Split
+              </button>
+            )}
+          </div>
+        </form>
+      )}
+
+      {showEntryForm && (
+        <form className="folio-form" onSubmit={handlePostEntry}>
+          <div className="form-group">
+            <label>Type</label>
+            <select name="type" value={entry.type} onChange={handleEntryChange}>
+              <option value="charge">Charge</option>
+              <option value="discount">Discount</option>
+              <option value="adjustment">Adjustment</option>
+              <option value="payment">Payment</option>
+            </select>
+          </div>
+          {folio.split && (
+            <div className="form-group">
+              <label>Folio</label>
+              <select name="folio" value={entry.folio} onChange={handleEntryChange}>
+                <option value="">{entry.type === 'payment' ? 'Guest' : 'By split'}</option>
+                <option value="guest">Guest</option>
+                <option value="company">{folio.split.companyName}</option>
+              </select>
+            </div>
+          )}
+          {entry.type === 'payment' ? (
+            <>
+              <div className="form-group">
+                <label>Method</label>
+                <select name="paymentMethod" value={entry.paymentMethod} onChange={handleEntryChange}>
+                  <option value="cash">Cash</option>
+                  <option value="card">Card</option>
+                  <option value="bkash">bKash</option>
+                  <option value="rocket">Rocket</option>
+                  <option value="nagad">Nagad</option>
+                  <option value="bank">Bank</option>
+                </select>
+              </div>
+              <div className="form-group">
+                <label>Reference (optional)</label>
+                <input
+                  type="text"
+                  name="transactionId"
+                  value={entry.transactionId}
+                  onChange={handleEntryChange}
+                />
+              </div>
+            </>
+          ) : (
+            <>
+              <div className="form-group">
+                <label>Applies to</label>
+                <select name="category" value={entry.category} onChange={handleEntryChange}>
+                  <option value="extras">Extras</option>
+                  <option value="room">Room</option>
+                </select>
+              </div>
+              <div className="form-group folio-form-wide">
+                <label>Description *</label>
+                <input
+                  type="text"
+                  name="description"
+                  value={entry.description}
+                  onChange={handleEntryChange}
+                  required
+                  maxLength={200}
+                />
+              </div>
+            </>
+          )}
+          <div className="form-group">
+            <label>Amount *{entry.type === 'adjustment' ? ' (negative to reduce)' : ''}</label>
+            <input
+              type="number"
+              name="amount"
+              value={entry.amount}
+              onChange={handleEntryChange}
+              required
+              step="0.01"
+              min={entry.type === 'adjustment' ? undefined : '0.01'}
+            />
+          </div>
+          <div className="folio-form-actions">
+            <button type="submit" className="btn-primary" disabled={submitting}>
+              {submitting ? 'Posting...' : 'Post'}
+            </button>
+          </div>
+        </form>
+      )}
+
+      {folio.folios.map((account) => (
+        <div key={account.folio} className="folio-account">
+          <div className="folio-account-header">
+            <h4>
+              {account.folio === 'company' ? 'Company' : 'Guest'} folio: {account.name}
+            </h4>
+            <div className="folio-account-balance">
+              <span className={account.balance > 0 ? 'balance-due' : 'balance-paid'}>
+                Balance {formatCurrency(account.balance)}
+              </span>
+              {folio.corporateAccount?.isActive && account.balance > 0 && (
+                <button className="btn-secondary" onClick={() => handleTransfer(account)} disabled={submitting}>
+                  Transfer to City Ledger
+                </button>
+              )}
+            </div>
+          </div>
+          <table className="folio-table">
+            <thead>
+              <tr>
+                <th>Date</th>
+                <th>Type</th>
+                <th>Description</th>
+                <th>Posted By</th>
+                <th className="folio-amount">Amount</th>
+                <th className="folio-amount">Balance</th>
+              </tr>
+            </thead>
+            <tbody>
+              {account.entries.map((line, index) => (
+                <tr key={line.id || `${line.kind}-${index}`} className={`folio-line-${line.kind}`}>
+                  <td>{formatDateTime(line.date)}</td>
+                  <td>{KIND_LABELS[line.kind]}</td>
+                  <td>{line.description}</td>
+                  <td>{line.postedBy || '—'}</td>
+                  <td className="folio-amount">{formatCurrency(line.amount)}</td>
+                  <td className="folio-amount">{formatCurrency(line.balance)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default FolioPanel;
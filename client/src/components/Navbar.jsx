@@ -6,6 +6,7 @@
 import React from 'react';
 import { Link, useNavigate } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
+import NotificationBell from './NotificationBell';
 import './Navbar.css';
 
 const Navbar = () => {
@@ -43,6 +44,7 @@ const Navbar = () => {
               <Link to={getDashboardPath()} className="navbar-link">
                 Dashboard
               </Link>
+              <NotificationBell />
               <span className="navbar-user">
                 {user.name} ({user.role})
               </span>
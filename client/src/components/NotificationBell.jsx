@@ -0,0 +1,159 @@
+/**
+ * @fileoverview Notification bell with unread badge and inbox dropdown
+ * @module components/NotificationBell
+ */
+
+import React, { useState, useEffect, useRef } from 'react';
+import api from '../services/api';
+import './NotificationBell.css';
+
+const NotificationBell = () => {
+  const [notifications, setNotifications] = useState([]);
+  const [unreadCount, setUnreadCount] = useState(0);
+  const [open, setOpen] = useState(false);
+  const [loading, setLoading] = useState(false);
+  const containerRef = useRef(null);
+
+  useEffect(() => {
+    fetchNotifications();
+    // Refresh every 60 seconds
+    const interval = setInterval(fetchNotifications, 60000);
+    return () => clearInterval(interval);
+  }, []);
+
+  useEffect(() => {
+    const handleClickOutside = (e) => {
+      if (containerRef.current && !containerRef.current.contains(e.target)) {
+        setOpen(false);
+      }
+    };
+    document.addEventListener('mousedown', handleClickOutside);
+    return () => document.removeEventListener('mousedown', handleClickOutside);
+  }, []);
+
+  const fetchNotifications = async () => {
+    try {
+      setLoading(true);
+      const response = await api.get('/notifications', { params: { limit: 10 } });
+      setNotifications(response.data.data.notifications || []);
+      setUnreadCount(response.data.data.unreadCount || 0);
+    } catch (err) {
+      console.error('Error fetching notifications:', err);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleToggle = () => {
+    if (!open) {
+      fetchNotifications();
+    }
+    setOpen(!open);
+  };
+
+  const handleMarkRead = async (notification) => {
+    if (notification.isRead) return;
+    try {
+      await api.patch(`/notifications/${notification._id}/read`);
+      setNotifications((prev) =>
+        prev.map((n) => (n._id === notification._id ? { ...n, isRead: true } : n))
+      );
+      setUnreadCount((prev) => Math.max(prev - 1, 0));
+    } catch (err) {
+      console.error('Error marking notification as read:', err);
+    }
+  };
+
+  const handleMarkAllRead = async () => {
+    try {
+      await api.patch('/notifications/read-all');
+      setNotifications((prev) => prev.map((n) => ({ ...n, isRead: true })));
+      setUnreadCount(0);
+    } catch (err) {
+      console.error('Error marking all notifications as read:', err);
+    }
+  };
+
+  const handleDelete = async (e, notification) => {
+    e.stopPropagation();
+    try {
+      await api.delete(`/notifications/${notification._id}`);
+      setNotifications((prev) => prev.filter((n) => n._id !== notification._id));
+      if (!notification.isRead) {
+        setUnreadCount((prev) => Math.max(prev - 1, 0));
+      }
+    } catch (err) {
+      console.error('Error deleting notification:', err);
+    }
+  };
+
+  const formatDate = (dateString) => {
+    return new Date(dateString).toLocaleString('en-US', {
+      month: 'short',
+      day: 'numeric',
+      hour: '2-digit',
+      minute: '2-digit',
+    });
+  };
+
+  return (
+    <div className="notification-bell" ref={containerRef}>
+      <button
+        className="notification-bell-button"
+        onClick={handleToggle}
+        aria-label="Notifications"
+      >
+        🔔
+        {unreadCount > 0 && (
+          <span className="notification-badge">
+            {unreadCount > 99 ? '99+' : unreadCount}
+          </span>
+        )}
+      </button>
+
+      {open && (
+        <div className="notification-dropdown">
+          <div className="notification-dropdown-header">
+            <span>Notifications</span>
+            {unreadCount > 0 && (
+              <button className="notification-mark-all" onClick={handleMarkAllRead}>
+                Mark all as read
+              </button>
+            )}
+          </div>
+
+          <div className="notification-list">
+            {loading && notifications.length === 0 ? (
+              <p className="notification-empty">Loading...</p>
+            ) : notifications.length === 0 ? (
+              <p className="notification-empty">No notifications yet</p>
+            ) : (
+              notifications.map((notification) => (
+                <div
+                  key={notification._id}
+                  className={`notification-item ${notification.isRead ? '' : 'unread'}`}
+                  onClick={() => handleMarkRead(notification)}
+                >
+                  <div className="notification-content">
+                    <div className="notification-title">{notification.title}</div>
+                    <div className="notification-message">{notification.message}</div>
+                    <div className="notification-date">{formatDate(notification.createdAt)}</div>
+                  </div>
+                  <button
+                    className="notification-delete"
+                    onClick={(e) => handleDelete(e, notification)}
+                    aria-label="Delete notification"
+                  >
+                    ×
+                  </button>
+                </div>
+              ))
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default NotificationBell;
@@ -0,0 +1,157 @@
+/**
+ * @fileoverview Room assignment step shown before checking a guest in, also used to move an in-house guest
+ * @module components/RoomAssignmentModal
+ */
+
+import React, { useState, useEffect } from 'react';
+import api from '../services/api';
+import formatCurrency from '../utils/formatCurrency';
+import './RoomAssignmentModal.css';
+
+const RoomAssignmentModal = ({ booking, onConfirm, onClose, submitting, mode = 'check-in' }) => {
+  const [rooms, setRooms] = useState([]);
+  const [selectedRoomId, setSelectedRoomId] = useState('');
+  const [suggestedRoomId, setSuggestedRoomId] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [reason, setReason] = useState('');
+  const [complimentary, setComplimentary] = useState(false);
+
+  const bookingId = booking._id || booking.id;
+  const moving = mode === 'move';
+
+  useEffect(() => {
+    fetchSuggestions();
+  }, [bookingId]);
+
+  const fetchSuggestions = async () => {
+    try {
+      setLoading(true);
+      const response = await api.get(`/bookings/${bookingId}/room-suggestions`, {
+        params: moving ? { move: true } : undefined,
+      });
+      const { rooms: assignableRooms, suggestedRoom } = response.data.data;
+      setRooms(assignableRooms || []);
+      setSuggestedRoomId(suggestedRoom?._id || '');
+      setSelectedRoomId(suggestedRoom?._id || '');
+      setError('');
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to load free rooms');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const roomType = booking.roomType || booking.room?.type;
+
+  return (
+    <div className="room-assignment-overlay" onClick={onClose}>
+      <div className="room-assignment-modal" onClick={(e) => e.stopPropagation()}>
+        <div className="room-assignment-header">
+          <h2>{moving ? 'Move Room' : <>Assign Room &amp; Check In</>}</h2>
+          <button className="close-btn" onClick={onClose}>
+            ×
+          </button>
+        </div>
+
+        <div className="room-assignment-content">
+          {moving ? (
+            <p className="room-assignment-summary">
+              <strong>{booking.guest?.name || 'Guest'}</strong> is in{' '}
+              <strong>Room {booking.room?.code}</strong> until checkout. Pick a room for the rest of the stay;
+              tonight onwards is re-priced at the new room&apos;s rate.
+            </p>
+          ) : (
+            <p className="room-assignment-summary">
+              <strong>{booking.guest?.name || 'Guest'}</strong> booked a{' '}
+              <strong className="room-assignment-type">{roomType}</strong> room for{' '}
+              {booking.totalNights} night(s).
+              {booking.room?.code && <> Currently assigned: <strong>Room {booking.room.code}</strong>.</>}
+            </p>
+          )}
+
+          {error && <div className="error-message">{error}</div>}
+
+          {loading ? (
+            <p className="room-assignment-empty">Finding free rooms...</p>
+          ) : rooms.length === 0 ? (
+            <p className="room-assignment-empty">
+              {moving
+                ? 'No other room is free for the rest of this stay.'
+                : `No free ${roomType} room is available for this stay.`}
+            </p>
+          ) : (
+            <div className="room-assignment-list">
+              {rooms.map((room) => (
+                <label
+                  key={room._id}
+                  className={`room-assignment-option ${selectedRoomId === room._id ? 'selected' : ''}`}
+                >
+                  <input
+                    type="radio"
+                    name="roomId"
+                    value={room._id}
+                    checked={selectedRoomId === room._id}
+                    onChange={() => setSelectedRoomId(room._id)}
+                  />
+                  <span className="room-assignment-code">Room {room.code}</span>
+                  <span className="room-assignment-meta">
+                    {moving && `${room.type} · `}
+                    {room.status} · {formatCurrency(room.pricePerNight)}/night
+                  </span>
+                  {!['clean', 'inspected'].includes(room.housekeepingStatus || 'clean') && (
+                    <span className="room-assignment-badge room-assignment-badge-unclean">
+                      {room.housekeepingStatus}
+                    </span>
+                  )}
+                  {room._id === suggestedRoomId && (
+                    <span className="room-assignment-badge">Suggested</span>
+                  )}
+                </label>
+              ))}
+            </div>
+          )}
+
+          {moving && (
+            <div className="room-assignment-move">
+              <label>
+                Reason
+                <input
+                  type="text"
+                  value={reason}
+                  onChange={(e) => setReason(e.target.value)}
+                  placeholder="e.g. noisy neighbours, upgrade"
+                />
+              </label>
+              <label className="room-assignment-comp">
+                <input
+                  type="checkbox"
+                  checked={complimentary}
+                  onChange={(e) => setComplimentary(e.target.checked)}
+                />
+                Complimentary (don&apos;t charge more for a better room)
+              </label>
+            </div>
+          )}
+        </div>
+
+        <div className="room-assignment-actions">
+          <button className="btn-secondary" onClick={onClose} disabled={submitting}>
+            Cancel
+          </button>
+          <button
+            className="btn-check-in"
+            onClick={() =>
+              moving ? onConfirm(selectedRoomId, { reason: reason.trim() || null, complimentary }) : onConfirm(selectedRoomId)
+            }
+            disabled={!selectedRoomId || submitting}
+          >
+            {submitting ? 'Processing...' : moving ? 'Move Room' : 'Check In'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default RoomAssignmentModal;
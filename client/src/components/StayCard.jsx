@@ -68,13 +68,13 @@ const StayCard = ({ booking, onClose }) => {
             <div className="info-row">
               <span className="label">Room Code:</span>
               <span className="value">
-                {booking.room?.code || 'N/A'}
+                {booking.room?.code || 'Not assigned yet'}
               </span>
             </div>
             <div className="info-row">
               <span className="label">Room Type:</span>
               <span className="value">
-                {booking.room?.type?.toUpperCase() || 'N/A'}
+                {(booking.room?.type || booking.roomType)?.toUpperCase() || 'N/A'}
               </span>
             </div>
             {booking.room?.amenities && booking.room.amenities.length > 0 && (
@@ -87,6 +87,46 @@ const StayCard = ({ booking, onClose }) => {
             )}
           </div>
 
+          {booking.roomMoves?.length > 0 && (
+            <div className="stay-card-section">
+              <h3>Room Moves</h3>
+              {booking.roomMoves.map((move) => (
+                <div className="info-row" key={move._id}>
+                  <span className="label">{formatDate(move.movedAt)}:</span>
+                  <span className="value">
+                    Room {move.fromRoom?.code || '?'} → Room {move.toRoom?.code || '?'}
+                    {move.reason && ` (${move.reason})`}
+                    {' · '}
+                    {move.complimentary && move.rateDifference === 0
+                      ? 'complimentary'
+                      : `${move.rateDifference >= 0 ? '+' : ''}${formatCurrency(move.rateDifference)}`}
+                  </span>
+                </div>
+              ))}
+            </div>
+          )}
+
+          {booking.stayChanges?.length > 0 && (
+            <div className="stay-card-section">
+              <h3>Stay Changes</h3>
+              {booking.stayChanges.map((change) => (
+                <div className="info-row" key={`${change.type}-${change.changedAt}`}>
+                  <span className="label">
+                    {change.type === 'extension' ? 'Extended' : 'Left early'}:
+                  </span>
+                  <span className="value">
+                    {formatDate(change.previousCheckOutDate)} → {formatDate(change.newCheckOutDate)}
+                    {' · '}
+                    {change.type === 'extension' ? '+' : '-'}
+                    {change.nights} night(s)
+                    {change.fee > 0 && ` · fee ${formatCurrency(change.fee)}`}
+                    {change.feeWaived && ' · fee waived'}
+                  </span>
+                </div>
+              ))}
+            </div>
+          )}
+
           <div className="stay-card-section">
             <h3>Stay Details</h3>
             <div className="info-row">
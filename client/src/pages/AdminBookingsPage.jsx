@@ -108,6 +108,9 @@ const AdminBookingsPage = () => {
           <p className="page-subtitle">monitor reservations across the system.</p>
         </div>
         <div className="page-actions">
+          <Link className="btn-secondary" to="/staff/tape-chart">
+            tape chart
+          </Link>
           <Link className="btn-secondary" to="/admin/dashboard">
             back to dashboard
           </Link>
@@ -194,8 +197,8 @@ const AdminBookingsPage = () => {
                     </div>
                   </td>
                   <td>
-                    Room {booking.room?.code || 'N/A'}
-                    <div className="room-type">{booking.room?.type || ''}</div>
+                    {booking.room?.code ? `Room ${booking.room.code}` : 'Unassigned'}
+                    <div className="room-type">{booking.room?.type || booking.roomType || ''}</div>
                   </td>
                   <td>{formatDate(booking.checkInDate)}</td>
                   <td>{formatDate(booking.checkOutDate)}</td>
@@ -265,7 +268,7 @@ const AdminBookingsPage = () => {
               <div className="card-body">
                 <div style={{ display: 'flex', flexDirection: 'column', gap: '12px' }}>
                   <div><strong>Guest:</strong> {selectedBooking.guest?.name} ({selectedBooking.guest?.email})</div>
-                  <div><strong>Room:</strong> {selectedBooking.room?.code} ({selectedBooking.room?.type})</div>
+                  <div><strong>Room:</strong> {selectedBooking.room?.code || 'Unassigned'} ({selectedBooking.room?.type || selectedBooking.roomType})</div>
                   <div><strong>Check-in:</strong> {formatDate(selectedBooking.checkInDate)}</div>
                   <div><strong>Check-out:</strong> {formatDate(selectedBooking.checkOutDate)}</div>
                   <div><strong>Total Nights:</strong> {selectedBooking.totalNights}</div>
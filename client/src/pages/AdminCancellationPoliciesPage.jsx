@@ -0,0 +1,371 @@
+/**
+ * @fileoverview Admin cancellation policies page
+ * @module pages/AdminCancellationPoliciesPage
+ */
+
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { useAuth } from '../context/AuthContext';
+import api from '../services/api';
+import Loader from '../components/Loader';
+import describeCancellationPolicy from '../utils/cancellationPolicy';
+import '../styles/Theme.css';
+import './AdminCancellationPoliciesPage.css';
+
+const EMPTY_FORM = {
+  name: '',
+  description: '',
+  freeCancellationHours: 48,
+  penaltyType: 'nights',
+  penaltyValue: 1,
+  noShowPenaltyType: 'nights',
+  noShowPenaltyValue: 1,
+  isNonRefundable: false,
+  isDefault: false,
+  isActive: true,
+};
+
+const AdminCancellationPoliciesPage = () => {
+  const { user } = useAuth();
+  const [policies, setPolicies] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [showForm, setShowForm] = useState(false);
+  const [editingId, setEditingId] = useState(null);
+  const [formData, setFormData] = useState(EMPTY_FORM);
+
+  useEffect(() => {
+    if (user?.role === 'admin') {
+      fetchPolicies();
+    }
+  }, [user]);
+
+  const fetchPolicies = async () => {
+    try {
+      setLoading(true);
+      const response = await api.get('/cancellation-policies');
+      setPolicies(response.data.data.policies || []);
+      setError('');
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to fetch cancellation policies');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleInputChange = (e) => {
+    const { name, value, type, checked } = e.target;
+    setFormData((prev) => ({
+      ...prev,
+      [name]: type === 'checkbox' ? checked : value,
+    }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+
+    try {
+      const policyData = {
+        name: formData.name,
+        description: formData.description,
+        freeCancellationHours: Number(formData.freeCancellationHours) || 0,
+        penaltyType: formData.penaltyType,
+        penaltyValue: Number(formData.penaltyValue) || 0,
+        noShowPenaltyType: formData.noShowPenaltyType,
+        noShowPenaltyValue: Number(formData.noShowPenaltyValue) || 0,
+        isNonRefundable: formData.isNonRefundable,
+        isDefault: formData.isDefault,
+        isActive: formData.isActive,
+      };
+
+      if (editingId) {
+        await api.put(`/cancellation-policies/${editingId}`, policyData);
+      } else {
+        await api.post('/cancellation-policies', policyData);
+      }
+
+      handleCancel();
+      fetchPolicies();
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to save cancellation policy');
+    }
+  };
+
+  const handleEdit = (policy) => {
+    setEditingId(policy._id);
+    setFormData({
+      name: policy.name,
+      description: policy.description || '',
+      freeCancellationHours: policy.freeCancellationHours,
+      penaltyType: policy.penaltyType,
+      penaltyValue: policy.penaltyValue,
+      noShowPenaltyType: policy.noShowPenaltyType || 'nights',
+      noShowPenaltyValue: policy.noShowPenaltyValue ?? 1,
+      isNonRefundable: policy.isNonRefundable,
+      isDefault: policy.isDefault,
+      isActive: policy.isActive,
+    });
+    setShowForm(true);
+  };
+
+  const handleDelete = async (policyId) => {
+    if (
+      !window.confirm(
+        'Are you sure you want to delete this policy? Rate plans using it fall back to the default policy. Existing bookings keep the terms they were booked with.'
+      )
+    ) {
+      return;
+    }
+
+    try {
+      await api.delete(`/cancellation-policies/${policyId}`);
+      fetchPolicies();
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to delete cancellation policy');
+    }
+  };
+
+  const handleCancel = () => {
+    setShowForm(false);
+    setEditingId(null);
+    setFormData(EMPTY_FORM);
+  };
+
+  if (user?.role !== 'admin') {
+    return <div className="admin-only">Admin access required</div>;
+  }
+
+  if (loading) {
+    return <Loader />;
+  }
+
+  return (
+    <div className="app-page">
+      <header className="page-header">
+        <div>
+          <h1 className="page-title">cancellation policies</h1>
+          <p className="page-subtitle">set free cancellation windows and late cancellation penalties.</p>
+        </div>
+        <div className="page-actions">
+          <button
+            className="btn-primary"
+            onClick={() => setShowForm(true)}
+            disabled={showForm}
+          >
+            add policy
+          </button>
+          <Link className="btn-secondary" to="/admin/rate-plans">
+            rate plans
+          </Link>
+          <Link className="btn-secondary" to="/admin/dashboard">
+            back to dashboard
+          </Link>
+        </div>
+      </header>
+
+      <section className="page-content">
+        {error && <div className="error-message">{error}</div>}
+
+        {showForm && (
+          <div className="card">
+            <div className="card-header">{editingId ? 'Edit Policy' : 'Create Policy'}</div>
+            <div className="card-body">
+              <form onSubmit={handleSubmit} className="policy-form">
+                <div className="form-group">
+                  <label>Name *</label>
+                  <input
+                    type="text"
+                    name="name"
+                    value={formData.name}
+                    onChange={handleInputChange}
+                    required
+                    placeholder="e.g., Flexible"
+                  />
+                </div>
+
+                <div className="form-group">
+                  <label>Free Cancellation (hours before check-in)</label>
+                  <input
+                    type="number"
+                    name="freeCancellationHours"
+                    value={formData.freeCancellationHours}
+                    onChange={handleInputChange}
+                    min="0"
+                    step="1"
+                    disabled={formData.isNonRefundable}
+                  />
+                </div>
+
+                <div className="form-group">
+                  <label>Late Cancellation Penalty</label>
+                  <select
+                    name="penaltyType"
+                    value={formData.penaltyType}
+                    onChange={handleInputChange}
+                    disabled={formData.isNonRefundable}
+                  >
+                    <option value="nights">Nights of the stay</option>
+                    <option value="percent">Percent of the stay</option>
+                    <option value="full">Full stay</option>
+                  </select>
+                </div>
+
+                {formData.penaltyType !== 'full' && (
+                  <div className="form-group">
+                    <label>{formData.penaltyType === 'percent' ? 'Penalty (%)' : 'Nights Charged'}</label>
+                    <input
+                      type="number"
+                      name="penaltyValue"
+                      value={formData.penaltyValue}
+                      onChange={handleInputChange}
+                      min="0"
+                      max={formData.penaltyType === 'percent' ? '100' : undefined}
+                      step={formData.penaltyType === 'percent' ? '0.01' : '1'}
+                      disabled={formData.isNonRefundable}
+                    />
+                  </div>
+                )}
+
+                <div className="form-group">
+                  <label>No-show Penalty</label>
+                  <select
+                    name="noShowPenaltyType"
+                    value={formData.noShowPenaltyType}
+                    onChange={handleInputChange}
+                    disabled={formData.isNonRefundable}
+                  >
+                    <option value="nights">Nights of the stay</option>
+                    <option value="percent">Percent of the stay</option>
+                    <option value="full">Full stay</option>
+                  </select>
+                </div>
+
+                {formData.noShowPenaltyType !== 'full' && (
+                  <div className="form-group">
+                    <label>{formData.noShowPenaltyType === 'percent' ? 'No-show Penalty (%)' : 'No-show Nights Charged'}</label>
+                    <input
+                      type="number"
+                      name="noShowPenaltyValue"
+                      value={formData.noShowPenaltyValue}
+                      onChange={handleInputChange}
+                      min="0"
+                      max={formData.noShowPenaltyType === 'percent' ? '100' : undefined}
+                      step={formData.noShowPenaltyType === 'percent' ? '0.01' : '1'}
+                      disabled={formData.isNonRefundable}
+                    />
+                  </div>
+                )}
+
+                <div className="form-group policy-form-wide">
+                  <label>Description</label>
+                  <textarea
+                    name="description"
+                    value={formData.description}
+                    onChange={handleInputChange}
+                    rows="2"
+                    placeholder="Shown to guests next to the policy terms"
+                  />
+                </div>
+
+                <div className="form-group checkbox-group">
+                  <label>
+                    <input
+                      type="checkbox"
+                      name="isNonRefundable"
+                      checked={formData.isNonRefundable}
+                      onChange={handleInputChange}
+                    />
+                    Non-refundable
+                  </label>
+                </div>
+
+                <div className="form-group checkbox-group">
+                  <label>
+                    <input
+                      type="checkbox"
+                      name="isDefault"
+                      checked={formData.isDefault}
+                      onChange={handleInputChange}
+                    />
+                    Default policy
+                  </label>
+                </div>
+
+                <div className="form-group checkbox-group">
+                  <label>
+                    <input
+                      type="checkbox"
+                      name="isActive"
+                      checked={formData.isActive}
+                      onChange={handleInputChange}
+                    />
+                    Active
+                  </label>
+                </div>
+
+                <p className="policy-preview policy-form-wide">
+                  {describeCancellationPolicy(formData)}
+                </p>
+
+                <div className="policy-form-actions">
+                  <button type="submit" className="btn-primary">
+                    {editingId ? 'Update Policy' : 'Create Policy'}
+                  </button>
+                  <button type="button" className="btn-secondary" onClick={handleCancel}>
+                    Cancel
+                  </button>
+                </div>
+              </form>
+            </div>
+          </div>
+        )}
+
+        <div className="card">
+          <div className="card-header">Policies</div>
+          <div className="card-body">
+            {policies.length === 0 ? (
+              <p className="empty-state">
+                No cancellation policies yet. Bookings can be cancelled for free until check-in.
+              </p>
+            ) : (
+              <div className="table-container">
+                <table className="table">
+                  <thead>
+                    <tr>
+                      <th>Name</th>
+                      <th>Terms</th>
+                      <th>Default</th>
+                      <th>Status</th>
+                      <th>Actions</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {policies.map((policy) => (
+                      <tr key={policy._id}>
+                        <td>{policy.name}</td>
+                        <td className="policy-terms">{describeCancellationPolicy(policy)}</td>
+                        <td>{policy.isDefault ? 'Yes' : ''}</td>
+                        <td>{policy.isActive ? 'Active' : 'Inactive'}</td>
+                        <td className="policy-actions">
+                          <button className="btn-primary" onClick={() => handleEdit(policy)}>
+                            Edit
+                          </button>
+                          <button className="btn-danger" onClick={() => handleDelete(policy._id)}>
+                            Delete
+                          </button>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </div>
+        </div>
+      </section>
+    </div>
+  );
+};
+
+export default AdminCancellationPoliciesPage;
@@ -147,6 +147,62 @@ const AdminDashboard = () => {
     <div style={{ marginTop: '6px', color: 'rgba(255,255,255,0.82)', fontSize: '13px', lineHeight: '1.5', textTransform: 'capitalize' }}>manage additional services (laundry, meals, etc.).</div>
     <Link className="btn-primary" to="/admin/services" style={{ display: 'inline-block', marginTop: '10px', fontSize: '12px', padding: '8px 12px' }}>open</Link>
   </div>
+
+  <div className="card-glass">
+    <div style={{ fontSize: '22px', width: '42px', height: '42px', display: 'grid', placeItems: 'center', borderRadius: '12px', background: 'rgba(212,175,55,0.18)', border: '1px solid rgba(212,175,55,0.25)' }}>📅</div>
+    <div style={{ marginTop: '12px', fontWeight: 900, textTransform: 'capitalize', fontSize: '16px' }}>rate plans</div>
+    <div style={{ marginTop: '6px', color: 'rgba(255,255,255,0.82)', fontSize: '13px', lineHeight: '1.5', textTransform: 'capitalize' }}>manage seasonal and weekend room rates.</div>
+    <Link className="btn-primary" to="/admin/rate-plans" style={{ display: 'inline-block', marginTop: '10px', fontSize: '12px', padding: '8px 12px' }}>open</Link>
+  </div>
+
+  <div className="card-glass">
+    <div style={{ fontSize: '22px', width: '42px', height: '42px', display: 'grid', placeItems: 'center', borderRadius: '12px', background: 'rgba(212,175,55,0.18)', border: '1px solid rgba(212,175,55,0.25)' }}>↩️</div>
+    <div style={{ marginTop: '12px', fontWeight: 900, textTransform: 'capitalize', fontSize: '16px' }}>cancellation policies</div>
+    <div style={{ marginTop: '6px', color: 'rgba(255,255,255,0.82)', fontSize: '13px', lineHeight: '1.5', textTransform: 'capitalize' }}>set free cancellation windows and penalties.</div>
+    <Link className="btn-primary" to="/admin/cancellation-policies" style={{ display: 'inline-block', marginTop: '10px', fontSize: '12px', padding: '8px 12px' }}>open</Link>
+  </div>
+
+  <div className="card-glass">
+    <div style={{ fontSize: '22px', width: '42px', height: '42px', display: 'grid', placeItems: 'center', borderRadius: '12px', background: 'rgba(212,175,55,0.18)', border: '1px solid rgba(212,175,55,0.25)' }}>🏷️</div>
+    <div style={{ marginTop: '12px', fontWeight: 900, textTransform: 'capitalize', fontSize: '16px' }}>promo codes</div>
+    <div style={{ marginTop: '6px', color: 'rgba(255,255,255,0.82)', fontSize: '13px', lineHeight: '1.5', textTransform: 'capitalize' }}>discount codes, usage limits and redemptions.</div>
+    <Link className="btn-primary" to="/admin/promo-codes" style={{ display: 'inline-block', marginTop: '10px', fontSize: '12px', padding: '8px 12px' }}>open</Link>
+  </div>
+
+  <div className="card-glass">
+    <div style={{ fontSize: '22px', width: '42px', height: '42px', display: 'grid', placeItems: 'center', borderRadius: '12px', background: 'rgba(212,175,55,0.18)', border: '1px solid rgba(212,175,55,0.25)' }}>🏢</div>
+    <div style={{ marginTop: '12px', fontWeight: 900, textTransform: 'capitalize', fontSize: '16px' }}>corporate accounts</div>
+    <div style={{ marginTop: '6px', color: 'rgba(255,255,255,0.82)', fontSize: '13px', lineHeight: '1.5', textTransform: 'capitalize' }}>negotiated rates, credit limits and receivables aging.</div>
+    <Link className="btn-primary" to="/staff/corporate-accounts" style={{ display: 'inline-block', marginTop: '10px', fontSize: '12px', padding: '8px 12px' }}>open</Link>
+  </div>
+
+  <div className="card-glass">
+    <div style={{ fontSize: '22px', width: '42px', height: '42px', display: 'grid', placeItems: 'center', borderRadius: '12px', background: 'rgba(212,175,55,0.18)', border: '1px solid rgba(212,175,55,0.25)' }}>🧹</div>
+    <div style={{ marginTop: '12px', fontWeight: 900, textTransform: 'capitalize', fontSize: '16px' }}>housekeeping</div>
+    <div style={{ marginTop: '6px', color: 'rgba(255,255,255,0.82)', fontSize: '13px', lineHeight: '1.5', textTransform: 'capitalize' }}>room cleaning status and housekeeper tasks.</div>
+    <Link className="btn-primary" to="/staff/housekeeping" style={{ display: 'inline-block', marginTop: '10px', fontSize: '12px', padding: '8px 12px' }}>open</Link>
+  </div>
+
+  <div className="card-glass">
+    <div style={{ fontSize: '22px', width: '42px', height: '42px', display: 'grid', placeItems: 'center', borderRadius: '12px', background: 'rgba(212,175,55,0.18)', border: '1px solid rgba(212,175,55,0.25)' }}>🛠️</div>
+    <div style={{ marginTop: '12px', fontWeight: 900, textTransform: 'capitalize', fontSize: '16px' }}>maintenance</div>
+    <div style={{ marginTop: '6px', color: 'rgba(255,255,255,0.82)', fontSize: '13px', lineHeight: '1.5', textTransform: 'capitalize' }}>work orders and out-of-order room blocks.</div>
+    <Link className="btn-primary" to="/staff/work-orders" style={{ display: 'inline-block', marginTop: '10px', fontSize: '12px', padding: '8px 12px' }}>open</Link>
+  </div>
+
+  <div className="card-glass">
+    <div style={{ fontSize: '22px', width: '42px', height: '42px', display: 'grid', placeItems: 'center', borderRadius: '12px', background: 'rgba(212,175,55,0.18)', border: '1px solid rgba(212,175,55,0.25)' }}>📅</div>
+    <div style={{ marginTop: '12px', fontWeight: 900, textTransform: 'capitalize', fontSize: '16px' }}>tape chart</div>
+    <div style={{ marginTop: '6px', color: 'rgba(255,255,255,0.82)', fontSize: '13px', lineHeight: '1.5', textTransform: 'capitalize' }}>room-by-night availability with drag-and-drop moves.</div>
+    <Link className="btn-primary" to="/staff/tape-chart" style={{ display: 'inline-block', marginTop: '10px', fontSize: '12px', padding: '8px 12px' }}>open</Link>
+  </div>
+
+  <div className="card-glass">
+    <div style={{ fontSize: '22px', width: '42px', height: '42px', display: 'grid', placeItems: 'center', borderRadius: '12px', background: 'rgba(212,175,55,0.18)', border: '1px solid rgba(212,175,55,0.25)' }}>⏱️</div>
+    <div style={{ marginTop: '12px', fontWeight: 900, textTransform: 'capitalize', fontSize: '16px' }}>scheduled jobs</div>
+    <div style={{ marginTop: '6px', color: 'rgba(255,255,255,0.82)', fontSize: '13px', lineHeight: '1.5', textTransform: 'capitalize' }}>reminders, no-shows, backups and run history.</div>
+    <Link className="btn-primary" to="/admin/jobs" style={{ display: 'inline-block', marginTop: '10px', fontSize: '12px', padding: '8px 12px' }}>open</Link>
+  </div>
         </div>
       </section>
     </div>
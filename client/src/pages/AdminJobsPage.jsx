@@ -0,0 +1,286 @@
+/**
+ * @fileoverview Admin scheduled jobs page
+ * @module pages/AdminJobsPage
+ */
+
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { useAuth } from '../context/AuthContext';
+import api from '../services/api';
+import Loader from '../components/Loader';
+import '../styles/Theme.css';
+import './AdminJobsPage.css';
+
+const AdminJobsPage = () => {
+  const { user } = useAuth();
+  const [jobs, setJobs] = useState([]);
+  const [schedules, setSchedules] = useState({});
+  const [selectedJob, setSelectedJob] = useState(null);
+  const [runs, setRuns] = useState([]);
+  const [runningJob, setRunningJob] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+
+  useEffect(() => {
+    if (user?.role === 'admin') {
+      fetchJobs();
+    }
+  }, [user]);
+
+  const fetchJobs = async () => {
+    try {
+      const response = await api.get('/admin/jobs');
+      const list = response.data.data.jobs || [];
+      setJobs(list);
+      setSchedules(
+        Object.fromEntries(
+          list.map((job) => [
+            job.name,
+            job.scheduleType === 'interval' ? String(job.intervalMinutes) : job.timeOfDay,
+          ])
+        )
+      );
+      setError('');
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to fetch jobs');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const fetchRuns = async (name) => {
+    try {
+      const response = await api.get(`/admin/jobs/${name}/runs`);
+      setSelectedJob(name);
+      setRuns(response.data.data.runs || []);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to fetch run history');
+    }
+  };
+
+  const handleRun = async (name) => {
+    setError('');
+    setMessage('');
+    setRunningJob(name);
+
+    try {
+      const response = await api.post(`/admin/jobs/${name}/run`);
+      setMessage(response.data.message);
+      await fetchJobs();
+      await fetchRuns(name);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to run job');
+    } finally {
+      setRunningJob(null);
+    }
+  };
+
+  const updateJob = async (name, changes) => {
+    setError('');
+    setMessage('');
+
+    try {
+      await api.patch(`/admin/jobs/${name}`, changes);
+      setMessage('Job updated');
+      fetchJobs();
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to update job');
+    }
+  };
+
+  const handleScheduleSave = (job) => {
+    const value = schedules[job.name];
+    updateJob(
+      job.name,
+      job.scheduleType === 'interval' ? { intervalMinutes: Number(value) } : { timeOfDay: value }
+    );
+  };
+
+  const formatDateTime = (dateString) => {
+    if (!dateString) return '—';
+    return new Date(dateString).toLocaleDateString('en-US', {
+      year: 'numeric',
+      month: 'short',
+      day: 'numeric',
+      hour: '2-digit',
+      minute: '2-digit',
+    });
+  };
+
+  const formatResult = (result) => {
+    if (!result) return '';
+    return Object.entries(result)
+      .map(([key, value]) => `${key}: ${value}`)
+      .join(', ');
+  };
+
+  if (user?.role !== 'admin') {
+    return <div className="admin-only">Admin access required</div>;
+  }
+
+  if (loading) {
+    return <Loader />;
+  }
+
+  return (
+    <div className="app-page">
+      <header className="page-header">
+        <div>
+          <h1 className="page-title">scheduled jobs</h1>
+          <p className="page-subtitle">reminders, feedback requests, no-shows, waitlist offers, the night audit and backups that run in the background.</p>
+        </div>
+        <div className="page-actions">
+          <Link className="btn-secondary" to="/admin/dashboard">
+            back to dashboard
+          </Link>
+        </div>
+      </header>
+
+      <section className="page-content">
+        {error && <div className="error-message">{error}</div>}
+        {message && <div className="success-message">{message}</div>}
+
+        <div className="card">
+          <div className="card-header">Jobs</div>
+          <div className="card-body">
+            {jobs.length === 0 ? (
+              <p className="empty-state">No jobs yet. They are created when the server starts.</p>
+            ) : (
+              <div className="table-container">
+                <table className="table">
+                  <thead>
+                    <tr>
+                      <th>Job</th>
+                      <th>Schedule</th>
+                      <th>Next Run</th>
+                      <th>Last Run</th>
+                      <th>Enabled</th>
+                      <th>Actions</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {jobs.map((job) => (
+                      <tr key={job._id}>
+                        <td>
+                          <div className="job-name">{job.name}</div>
+                          <div className="job-description">{job.description}</div>
+                        </td>
+                        <td>
+                          <div className="job-schedule">
+                            {job.scheduleType === 'interval' ? (
+                              <>
+                                <span>every</span>
+                                <input
+                                  type="number"
+                                  min="1"
+                                  max="1440"
+                                  value={schedules[job.name] ?? ''}
+                                  onChange={(e) => setSchedules((prev) => ({ ...prev, [job.name]: e.target.value }))}
+                                />
+                                <span>min</span>
+                              </>
+                            ) : (
+                              <>
+                                <span>daily at</span>
+                                <input
+                                  type="time"
+                                  value={schedules[job.name] ?? ''}
+                                  onChange={(e) => setSchedules((prev) => ({ ...prev, [job.name]: e.target.value }))}
+                                />
+                              </>
+                            )}
+                            <button className="btn-secondary" onClick={() => handleScheduleSave(job)}>
+                              Save
+                            </button>
+                          </div>
+                        </td>
+                        <td>{job.isEnabled ? formatDateTime(job.nextRunAt) : 'Disabled'}</td>
+                        <td>
+                          <div>{formatDateTime(job.lastRunAt)}</div>
+                          {job.lockedBy ? (
+                            <span className="status-badge job-status-running">running on {job.lockedBy}</span>
+                          ) : (
+                            job.lastStatus && (
+                              <span className={`status-badge job-status-${job.lastStatus}`}>{job.lastStatus}</span>
+                            )
+                          )}
+                          {job.lastError && <div className="job-error">{job.lastError}</div>}
+                        </td>
+                        <td>
+                          <input
+                            type="checkbox"
+                            checked={job.isEnabled}
+                            onChange={(e) => updateJob(job.name, { isEnabled: e.target.checked })}
+                          />
+                        </td>
+                        <td className="job-actions">
+                          <button
+                            className="btn-primary"
+                            onClick={() => handleRun(job.name)}
+                            disabled={runningJob !== null}
+                          >
+                            {runningJob === job.name ? 'Running...' : 'Run now'}
+                          </button>
+                          <button className="btn-secondary" onClick={() => fetchRuns(job.name)}>
+                            History
+                          </button>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </div>
+        </div>
+
+        {selectedJob && (
+          <div className="card">
+            <div className="card-header">Run History: {selectedJob}</div>
+            <div className="card-body">
+              {runs.length === 0 ? (
+                <p className="empty-state">This job has not run yet.</p>
+              ) : (
+                <div className="table-container">
+                  <table className="table">
+                    <thead>
+                      <tr>
+                        <th>Started</th>
+                        <th>Trigger</th>
+                        <th>Instance</th>
+                        <th>Duration</th>
+                        <th>Status</th>
+                        <th>Result</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {runs.map((run) => (
+                        <tr key={run._id}>
+                          <td>{formatDateTime(run.startedAt)}</td>
+                          <td>
+                            {run.trigger === 'manual'
+                              ? `manual${run.triggeredBy ? ` (${run.triggeredBy.name})` : ''}`
+                              : 'schedule'}
+                          </td>
+                          <td>{run.instance}</td>
+                          <td>{run.durationMs !== null ? `${run.durationMs} ms` : '—'}</td>
+                          <td>
+                            <span className={`status-badge job-status-${run.status}`}>{run.status}</span>
+                          </td>
+                          <td className="job-result">{run.error || formatResult(run.result)}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              )}
+            </div>
+          </div>
+        )}
+      </section>
+    </div>
+  );
+};
+
+export default AdminJobsPage;
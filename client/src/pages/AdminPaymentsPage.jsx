@@ -19,12 +19,14 @@ const AdminPaymentsPage = () => {
     paidCount: 0,
     pendingCount: 0,
     failedCount: 0,
+    refundCount: 0,
   });
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState('');
   const [filters, setFilters] = useState({
     bookingId: '',
     status: '',
+    type: '',
     paymentMethod: '',
     startDate: '',
     endDate: '',
@@ -42,6 +44,7 @@ const AdminPaymentsPage = () => {
       const params = new URLSearchParams();
       if (filters.bookingId) params.append('bookingId', filters.bookingId);
       if (filters.status) params.append('status', filters.status);
+      if (filters.type) params.append('type', filters.type);
       if (filters.paymentMethod) params.append('paymentMethod', filters.paymentMethod);
       if (filters.startDate) params.append('startDate', filters.startDate);
       if (filters.endDate) params.append('endDate', filters.endDate);
@@ -91,7 +94,7 @@ const AdminPaymentsPage = () => {
 
       <div className="summary-cards">
         <div className="summary-card">
-          <div className="summary-label">Total Amount</div>
+          <div className="summary-label">Net Amount</div>
           <div className="summary-value">{formatCurrency(summary.totalAmount)}</div>
         </div>
         <div className="summary-card">
@@ -110,6 +113,10 @@ const AdminPaymentsPage = () => {
           <div className="summary-label">Failed</div>
           <div className="summary-value">{summary.failedCount}</div>
         </div>
+        <div className="summary-card">
+          <div className="summary-label">Refunds</div>
+          <div className="summary-value">{summary.refundCount}</div>
+        </div>
       </div>
 
       <div className="filters-section">
@@ -132,6 +139,17 @@ const AdminPaymentsPage = () => {
               <option value="paid">Paid</option>
               <option value="pending">Pending</option>
               <option value="failed">Failed</option>
+              <option value="partially_refunded">Partially Refunded</option>
+              <option value="refunded">Refunded</option>
+            </select>
+          </div>
+          <div className="form-group">
+            <label>Type</label>
+            <select name="type" value={filters.type} onChange={handleFilterChange}>
+              <option value="">All Types</option>
+              <option value="payment">Payment</option>
+              <option value="penalty">Penalty</option>
+              <option value="refund">Refund</option>
             </select>
           </div>
           <div className="form-group">
@@ -165,6 +183,7 @@ const AdminPaymentsPage = () => {
           <button className="btn-clear" onClick={() => setFilters({
             bookingId: '',
             status: '',
+            type: '',
             paymentMethod: '',
             startDate: '',
             endDate: '',
@@ -204,25 +223,40 @@ const AdminPaymentsPage = () => {
                   <td>
                     {payment.booking?._id ? (
                       <span className="booking-id">{String(payment.booking._id).slice(-8)}</span>
+                    ) : payment.group?.name ? (
+                      <span className="booking-id">Group: {payment.group.name}</span>
                     ) : (
                       'N/A'
                     )}
                   </td>
                   <td>
-                    {payment.booking?.guest?.name || 'N/A'}
+                    {payment.booking?.guest?.name || payment.group?.organizer?.name || 'N/A'}
                     {payment.booking?.guest?.email && (
                       <div className="customer-email">{payment.booking.guest.email}</div>
                     )}
                   </td>
-                  <td className="amount-cell">{formatCurrency(payment.amount)}</td>
+                  <td className="amount-cell">
+                    {payment.type === 'refund' ? '−' : ''}
+                    {formatCurrency(payment.amount)}
+                    {payment.type !== 'payment' && <div className="payment-type">{payment.type}</div>}
+                    {payment.refundedAmount > 0 && (
+                      <div className="payment-type">{formatCurrency(payment.refundedAmount)} refunded</div>
+                    )}
+                    {payment.reason && (
+                      <div className="payment-type">
+                        {payment.reason}
+                        {payment.approvedBy?.name && ` — approved by ${payment.approvedBy.name}`}
+                      </div>
+                    )}
+                  </td>
                   <td>
                     <span className={`method-badge method-${payment.paymentMethod}`}>
-                      {payment.paymentMethod}
+                      {payment.paymentMethod || 'N/A'}
                     </span>
                   </td>
                   <td>
                     <span className={`status-badge status-${payment.status}`}>
-                      {payment.status}
+                      {payment.status.replace('_', ' ')}
                     </span>
                   </td>
                   <td>{payment.transactionId || 'N/A'}</td>
@@ -0,0 +1,446 @@
+/**
+ * @fileoverview Admin promo codes page
+ * @module pages/AdminPromoCodesPage
+ */
+
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { useAuth } from '../context/AuthContext';
+import api from '../services/api';
+import Loader from '../components/Loader';
+import formatCurrency from '../utils/formatCurrency';
+import '../styles/Theme.css';
+import './AdminPromoCodesPage.css';
+
+const ROOM_TYPES = ['single', 'double', 'suite'];
+
+const EMPTY_FORM = {
+  code: '',
+  description: '',
+  discountType: 'percent',
+  discountValue: '',
+  validFrom: '',
+  validUntil: '',
+  roomTypes: [],
+  minNights: 1,
+  maxUses: '',
+  maxUsesPerGuest: '',
+  isActive: true,
+};
+
+const toDateInput = (date) => (date ? new Date(date).toISOString().split('T')[0] : '');
+
+const AdminPromoCodesPage = () => {
+  const { user } = useAuth();
+  const [promoCodes, setPromoCodes] = useState([]);
+  const [redemptions, setRedemptions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [showForm, setShowForm] = useState(false);
+  const [editingId, setEditingId] = useState(null);
+  const [formData, setFormData] = useState(EMPTY_FORM);
+
+  useEffect(() => {
+    if (user?.role === 'admin') {
+      fetchPromoCodes();
+      fetchRedemptions();
+    }
+  }, [user]);
+
+  const fetchPromoCodes = async () => {
+    try {
+      setLoading(true);
+      const response = await api.get('/promo-codes');
+      setPromoCodes(response.data.data.promoCodes || []);
+      setError('');
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to fetch promo codes');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const fetchRedemptions = async () => {
+    try {
+      const response = await api.get('/admin/reports/promotions');
+      setRedemptions(response.data.data.promotions || []);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to fetch promotion redemptions');
+    }
+  };
+
+  const handleInputChange = (e) => {
+    const { name, value, type, checked } = e.target;
+    setFormData((prev) => ({
+      ...prev,
+      [name]: type === 'checkbox' ? checked : value,
+    }));
+  };
+
+  const handleRoomTypeToggle = (roomType) => {
+    setFormData((prev) => ({
+      ...prev,
+      roomTypes: prev.roomTypes.includes(roomType)
+        ? prev.roomTypes.filter((t) => t !== roomType)
+        : [...prev.roomTypes, roomType],
+    }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+
+    try {
+      const promoCodeData = {
+        code: formData.code,
+        description: formData.description || null,
+        discountType: formData.discountType,
+        discountValue: Number(formData.discountValue),
+        validFrom: formData.validFrom || null,
+        validUntil: formData.validUntil || null,
+        roomTypes: formData.roomTypes,
+        minNights: Number(formData.minNights) || 1,
+        maxUses: formData.maxUses === '' ? null : Number(formData.maxUses),
+        maxUsesPerGuest: formData.maxUsesPerGuest === '' ? null : Number(formData.maxUsesPerGuest),
+        isActive: formData.isActive,
+      };
+
+      if (editingId) {
+        await api.put(`/promo-codes/${editingId}`, promoCodeData);
+      } else {
+        await api.post('/promo-codes', promoCodeData);
+      }
+
+      handleCancel();
+      fetchPromoCodes();
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to save promo code');
+    }
+  };
+
+  const handleEdit = (promoCode) => {
+    setEditingId(promoCode._id);
+    setFormData({
+      code: promoCode.code,
+      description: promoCode.description || '',
+      discountType: promoCode.discountType,
+      discountValue: promoCode.discountValue,
+      validFrom: toDateInput(promoCode.validFrom),
+      validUntil: toDateInput(promoCode.validUntil),
+      roomTypes: promoCode.roomTypes || [],
+      minNights: promoCode.minNights,
+      maxUses: promoCode.maxUses ?? '',
+      maxUsesPerGuest: promoCode.maxUsesPerGuest ?? '',
+      isActive: promoCode.isActive,
+    });
+    setShowForm(true);
+  };
+
+  const handleDelete = async (promoCodeId) => {
+    if (!window.confirm('Are you sure you want to delete this promo code?')) {
+      return;
+    }
+
+    try {
+      await api.delete(`/promo-codes/${promoCodeId}`);
+      fetchPromoCodes();
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to delete promo code');
+    }
+  };
+
+  const handleCancel = () => {
+    setShowForm(false);
+    setEditingId(null);
+    setFormData(EMPTY_FORM);
+  };
+
+  const describeDiscount = (promoCode) =>
+    promoCode.discountType === 'percent'
+      ? `${promoCode.discountValue}% off`
+      : `${formatCurrency(promoCode.discountValue)} off`;
+
+  const describeValidity = (promoCode) => {
+    if (!promoCode.validFrom && !promoCode.validUntil) return 'Always';
+    return `${toDateInput(promoCode.validFrom) || '…'} → ${toDateInput(promoCode.validUntil) || '…'}`;
+  };
+
+  if (user?.role !== 'admin') {
+    return <div className="admin-only">Admin access required</div>;
+  }
+
+  if (loading) {
+    return <Loader />;
+  }
+
+  return (
+    <div className="app-page">
+      <header className="page-header">
+        <div>
+          <h1 className="page-title">promo codes</h1>
+          <p className="page-subtitle">manage discount codes, their restrictions and usage limits.</p>
+        </div>
+        <div className="page-actions">
+          <button
+            className="btn-primary"
+            onClick={() => setShowForm(true)}
+            disabled={showForm}
+          >
+            add promo code
+          </button>
+          <Link className="btn-secondary" to="/admin/dashboard">
+            back to dashboard
+          </Link>
+        </div>
+      </header>
+
+      <section className="page-content">
+        {error && <div className="error-message">{error}</div>}
+
+        {showForm && (
+          <div className="card">
+            <div className="card-header">{editingId ? 'Edit Promo Code' : 'Create Promo Code'}</div>
+            <div className="card-body">
+              <form onSubmit={handleSubmit} className="promo-code-form">
+                <div className="form-group">
+                  <label>Code *</label>
+                  <input
+                    type="text"
+                    name="code"
+                    value={formData.code}
+                    onChange={handleInputChange}
+                    required
+                    placeholder="e.g., EID25"
+                    className="promo-code-input"
+                  />
+                </div>
+
+                <div className="form-group">
+                  <label>Discount Type *</label>
+                  <select name="discountType" value={formData.discountType} onChange={handleInputChange}>
+                    <option value="percent">Percentage off</option>
+                    <option value="fixed">Fixed amount off</option>
+                  </select>
+                </div>
+
+                <div className="form-group">
+                  <label>{formData.discountType === 'percent' ? 'Discount (%) *' : 'Discount Amount *'}</label>
+                  <input
+                    type="number"
+                    name="discountValue"
+                    value={formData.discountValue}
+                    onChange={handleInputChange}
+                    required
+                    min="0"
+                    max={formData.discountType === 'percent' ? '100' : undefined}
+                    step="0.01"
+                  />
+                </div>
+
+                <div className="form-group">
+                  <label>Valid From</label>
+                  <input
+                    type="date"
+                    name="validFrom"
+                    value={formData.validFrom}
+                    onChange={handleInputChange}
+                  />
+                </div>
+
+                <div className="form-group">
+                  <label>Valid Until (inclusive)</label>
+                  <input
+                    type="date"
+                    name="validUntil"
+                    value={formData.validUntil}
+                    onChange={handleInputChange}
+                  />
+                </div>
+
+                <div className="form-group">
+                  <label>Minimum Nights</label>
+                  <input
+                    type="number"
+                    name="minNights"
+                    value={formData.minNights}
+                    onChange={handleInputChange}
+                    min="1"
+                    step="1"
+                  />
+                </div>
+
+                <div className="form-group">
+                  <label>Usage Limit</label>
+                  <input
+                    type="number"
+                    name="maxUses"
+                    value={formData.maxUses}
+                    onChange={handleInputChange}
+                    min="1"
+                    step="1"
+                    placeholder="Unlimited"
+                  />
+                </div>
+
+                <div className="form-group">
+                  <label>Limit Per Guest</label>
+                  <input
+                    type="number"
+                    name="maxUsesPerGuest"
+                    value={formData.maxUsesPerGuest}
+                    onChange={handleInputChange}
+                    min="1"
+                    step="1"
+                    placeholder="Unlimited"
+                  />
+                </div>
+
+                <div className="form-group promo-code-form-wide">
+                  <label>Description</label>
+                  <input
+                    type="text"
+                    name="description"
+                    value={formData.description}
+                    onChange={handleInputChange}
+                    maxLength="200"
+                    placeholder="e.g., Eid holiday offer"
+                  />
+                </div>
+
+                <div className="form-group promo-code-form-wide">
+                  <label>Room Types</label>
+                  <div className="promo-room-type-options">
+                    {ROOM_TYPES.map((roomType) => (
+                      <label key={roomType}>
+                        <input
+                          type="checkbox"
+                          checked={formData.roomTypes.includes(roomType)}
+                          onChange={() => handleRoomTypeToggle(roomType)}
+                        />
+                        {roomType}
+                      </label>
+                    ))}
+                  </div>
+                </div>
+
+                <div className="form-group checkbox-group">
+                  <label>
+                    <input
+                      type="checkbox"
+                      name="isActive"
+                      checked={formData.isActive}
+                      onChange={handleInputChange}
+                    />
+                    Active
+                  </label>
+                </div>
+
+                <div className="promo-code-form-actions">
+                  <button type="submit" className="btn-primary">
+                    {editingId ? 'Update Promo Code' : 'Create Promo Code'}
+                  </button>
+                  <button type="button" className="btn-secondary" onClick={handleCancel}>
+                    Cancel
+                  </button>
+                </div>
+              </form>
+            </div>
+          </div>
+        )}
+
+        <div className="card">
+          <div className="card-header">Promo Codes</div>
+          <div className="card-body">
+            {promoCodes.length === 0 ? (
+              <p className="empty-state">No promo codes yet.</p>
+            ) : (
+              <div className="table-container">
+                <table className="table">
+                  <thead>
+                    <tr>
+                      <th>Code</th>
+                      <th>Discount</th>
+                      <th>Valid</th>
+                      <th>Room Types</th>
+                      <th>Min Nights</th>
+                      <th>Used</th>
+                      <th>Status</th>
+                      <th>Actions</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {promoCodes.map((promoCode) => (
+                      <tr key={promoCode._id}>
+                        <td>
+                          <strong>{promoCode.code}</strong>
+                          {promoCode.description && (
+                            <div className="promo-code-description">{promoCode.description}</div>
+                          )}
+                        </td>
+                        <td>{describeDiscount(promoCode)}</td>
+                        <td>{describeValidity(promoCode)}</td>
+                        <td className="promo-room-types">
+                          {promoCode.roomTypes?.length ? promoCode.roomTypes.join(', ') : 'All'}
+                        </td>
+                        <td>{promoCode.minNights}</td>
+                        <td>
+                          {promoCode.usedCount}
+                          {promoCode.maxUses !== null && ` / ${promoCode.maxUses}`}
+                        </td>
+                        <td>{promoCode.isActive ? 'Active' : 'Inactive'}</td>
+                        <td className="promo-code-actions">
+                          <button className="btn-primary" onClick={() => handleEdit(promoCode)}>
+                            Edit
+                          </button>
+                          <button className="btn-danger" onClick={() => handleDelete(promoCode._id)}>
+                            Delete
+                          </button>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </div>
+        </div>
+
+        <div className="card">
+          <div className="card-header">Redemptions</div>
+          <div className="card-body">
+            {redemptions.length === 0 ? (
+              <p className="empty-state">No bookings have used a promo code yet.</p>
+            ) : (
+              <div className="table-container">
+                <table className="table">
+                  <thead>
+                    <tr>
+                      <th>Code</th>
+                      <th>Bookings</th>
+                      <th>Cancelled</th>
+                      <th>Total Discount</th>
+                      <th>Room Revenue</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {redemptions.map((row) => (
+                      <tr key={row.promoCodeId}>
+                        <td>{row.code}</td>
+                        <td>{row.redemptions}</td>
+                        <td>{row.cancelled}</td>
+                        <td>{formatCurrency(row.totalDiscount)}</td>
+                        <td>{formatCurrency(row.roomRevenue)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </div>
+        </div>
+      </section>
+    </div>
+  );
+};
+
+export default AdminPromoCodesPage;
@@ -0,0 +1,538 @@
+/**
+ * @fileoverview Admin rate plans and rate calendar page
+ * @module pages/AdminRatePlansPage
+ */
+
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { useAuth } from '../context/AuthContext';
+import api from '../services/api';
+import Loader from '../components/Loader';
+import formatCurrency from '../utils/formatCurrency';
+import '../styles/Theme.css';
+import './AdminRatePlansPage.css';
+
+const DAY_LABELS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+const EMPTY_FORM = {
+  name: '',
+  roomType: '',
+  startDate: '',
+  endDate: '',
+  adjustmentPercent: 0,
+  nightlyRate: '',
+  weekendUplift: 0,
+  weekendDays: [5, 6],
+  priority: 0,
+  cancellationPolicy: '',
+  depositType: '',
+  depositPercent: '',
+  isActive: true,
+};
+
+const toDateInput = (date) => (date ? new Date(date).toISOString().split('T')[0] : '');
+
+const addDays = (dateString, days) => {
+  const date = new Date(dateString);
+  date.setUTCDate(date.getUTCDate() + days);
+  return toDateInput(date);
+};
+
+const AdminRatePlansPage = () => {
+  const { user } = useAuth();
+  const [ratePlans, setRatePlans] = useState([]);
+  const [policies, setPolicies] = useState([]);
+  const [calendar, setCalendar] = useState(null);
+  const [calendarStart, setCalendarStart] = useState(toDateInput(new Date()));
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [showForm, setShowForm] = useState(false);
+  const [editingId, setEditingId] = useState(null);
+  const [formData, setFormData] = useState(EMPTY_FORM);
+
+  useEffect(() => {
+    if (user?.role === 'admin') {
+      fetchRatePlans();
+      fetchPolicies();
+    }
+  }, [user]);
+
+  useEffect(() => {
+    if (user?.role === 'admin' && calendarStart) {
+      fetchCalendar();
+    }
+  }, [user, calendarStart]);
+
+  const fetchRatePlans = async () => {
+    try {
+      setLoading(true);
+      const response = await api.get('/rate-plans');
+      setRatePlans(response.data.data.ratePlans || []);
+      setError('');
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to fetch rate plans');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const fetchPolicies = async () => {
+    try {
+      const response = await api.get('/cancellation-policies');
+      setPolicies(response.data.data.policies || []);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to fetch cancellation policies');
+    }
+  };
+
+  const fetchCalendar = async () => {
+    try {
+      const response = await api.get('/rate-plans/calendar', {
+        params: { startDate: calendarStart, endDate: addDays(calendarStart, 14) },
+      });
+      setCalendar(response.data.data);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to fetch rate calendar');
+    }
+  };
+
+  const handleInputChange = (e) => {
+    const { name, value, type, checked } = e.target;
+    setFormData((prev) => ({
+      ...prev,
+      [name]: type === 'checkbox' ? checked : value,
+    }));
+  };
+
+  const handleWeekendDayToggle = (day) => {
+    setFormData((prev) => ({
+      ...prev,
+      weekendDays: prev.weekendDays.includes(day)
+        ? prev.weekendDays.filter((d) => d !== day)
+        : [...prev.weekendDays, day].sort(),
+    }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+
+    try {
+      const ratePlanData = {
+        name: formData.name,
+        roomType: formData.roomType || null,
+        startDate: formData.startDate || null,
+        endDate: formData.endDate || null,
+        adjustmentPercent: Number(formData.adjustmentPercent) || 0,
+        nightlyRate: formData.nightlyRate === '' ? null : Number(formData.nightlyRate),
+        weekendUplift: Number(formData.weekendUplift) || 0,
+        weekendDays: formData.weekendDays,
+        priority: Number(formData.priority) || 0,
+        cancellationPolicy: formData.cancellationPolicy || null,
+        depositType: formData.depositType || null,
+        depositPercent: formData.depositPercent === '' ? null : Number(formData.depositPercent),
+        isActive: formData.isActive,
+      };
+
+      if (editingId) {
+        await api.put(`/rate-plans/${editingId}`, ratePlanData);
+      } else {
+        await api.post('/rate-plans', ratePlanData);
+      }
+
+      handleCancel();
+      fetchRatePlans();
+      fetchCalendar();
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to save rate plan');
+    }
+  };
+
+  const handleEdit = (ratePlan) => {
+    setEditingId(ratePlan._id);
+    setFormData({
+      name: ratePlan.name,
+      roomType: ratePlan.roomType || '',
+      startDate: toDateInput(ratePlan.startDate),
+      endDate: toDateInput(ratePlan.endDate),
+      adjustmentPercent: ratePlan.adjustmentPercent,
+      nightlyRate: ratePlan.nightlyRate ?? '',
+      weekendUplift: ratePlan.weekendUplift,
+      weekendDays: ratePlan.weekendDays || [],
+      priority: ratePlan.priority,
+      cancellationPolicy: ratePlan.cancellationPolicy || '',
+      depositType: ratePlan.depositType || '',
+      depositPercent: ratePlan.depositPercent ?? '',
+      isActive: ratePlan.isActive,
+    });
+    setShowForm(true);
+  };
+
+  const handleDelete = async (ratePlanId) => {
+    if (!window.confirm('Are you sure you want to delete this rate plan?')) {
+      return;
+    }
+
+    try {
+      await api.delete(`/rate-plans/${ratePlanId}`);
+      fetchRatePlans();
+      fetchCalendar();
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to delete rate plan');
+    }
+  };
+
+  const handleCancel = () => {
+    setShowForm(false);
+    setEditingId(null);
+    setFormData(EMPTY_FORM);
+  };
+
+  const describeSeason = (ratePlan) => {
+    if (!ratePlan.startDate && !ratePlan.endDate) return 'All year';
+    return `${toDateInput(ratePlan.startDate) || '…'} → ${toDateInput(ratePlan.endDate) || '…'}`;
+  };
+
+  const describeAdjustment = (ratePlan) => {
+    const parts = [];
+    if (ratePlan.nightlyRate !== null && ratePlan.nightlyRate !== undefined) {
+      parts.push(`${formatCurrency(ratePlan.nightlyRate)} / night`);
+    } else if (ratePlan.adjustmentPercent) {
+      parts.push(`${ratePlan.adjustmentPercent > 0 ? '+' : ''}${ratePlan.adjustmentPercent}%`);
+    }
+    if (ratePlan.weekendUplift) {
+      const days = (ratePlan.weekendDays || []).map((d) => DAY_LABELS[d]).join('/');
+      parts.push(`weekend ${ratePlan.weekendUplift > 0 ? '+' : ''}${ratePlan.weekendUplift}% (${days})`);
+    }
+    return parts.join(', ') || 'No change';
+  };
+
+  if (user?.role !== 'admin') {
+    return <div className="admin-only">Admin access required</div>;
+  }
+
+  if (loading) {
+    return <Loader />;
+  }
+
+  return (
+    <div className="app-page">
+      <header className="page-header">
+        <div>
+          <h1 className="page-title">rate plans</h1>
+          <p className="page-subtitle">manage seasons, weekend uplifts and room type rates.</p>
+        </div>
+        <div className="page-actions">
+          <button
+            className="btn-primary"
+            onClick={() => setShowForm(true)}
+            disabled={showForm}
+          >
+            add rate plan
+          </button>
+          <Link className="btn-secondary" to="/admin/cancellation-policies">
+            cancellation policies
+          </Link>
+          <Link className="btn-secondary" to="/admin/dashboard">
+            back to dashboard
+          </Link>
+        </div>
+      </header>
+
+      <section className="page-content">
+        {error && <div className="error-message">{error}</div>}
+
+        {showForm && (
+          <div className="card">
+            <div className="card-header">{editingId ? 'Edit Rate Plan' : 'Create Rate Plan'}</div>
+            <div className="card-body">
+              <form onSubmit={handleSubmit} className="rate-plan-form">
+                <div className="form-group">
+                  <label>Name *</label>
+                  <input
+                    type="text"
+                    name="name"
+                    value={formData.name}
+                    onChange={handleInputChange}
+                    required
+                    placeholder="e.g., Eid Season"
+                  />
+                </div>
+
+                <div className="form-group">
+                  <label>Room Type</label>
+                  <select name="roomType" value={formData.roomType} onChange={handleInputChange}>
+                    <option value="">All types</option>
+                    <option value="single">Single</option>
+                    <option value="double">Double</option>
+                    <option value="suite">Suite</option>
+                  </select>
+                </div>
+
+                <div className="form-group">
+                  <label>Start Date</label>
+                  <input
+                    type="date"
+                    name="startDate"
+                    value={formData.startDate}
+                    onChange={handleInputChange}
+                  />
+                </div>
+
+                <div className="form-group">
+                  <label>End Date (inclusive)</label>
+                  <input
+                    type="date"
+                    name="endDate"
+                    value={formData.endDate}
+                    onChange={handleInputChange}
+                  />
+                </div>
+
+                <div className="form-group">
+                  <label>Adjustment (%)</label>
+                  <input
+                    type="number"
+                    name="adjustmentPercent"
+                    value={formData.adjustmentPercent}
+                    onChange={handleInputChange}
+                    min="-100"
+                    step="0.01"
+                  />
+                </div>
+
+                <div className="form-group">
+                  <label>Fixed Nightly Rate</label>
+                  <input
+                    type="number"
+                    name="nightlyRate"
+                    value={formData.nightlyRate}
+                    onChange={handleInputChange}
+                    min="0"
+                    step="0.01"
+                    placeholder="Leave empty to use adjustment"
+                  />
+                </div>
+
+                <div className="form-group">
+                  <label>Weekend Uplift (%)</label>
+                  <input
+                    type="number"
+                    name="weekendUplift"
+                    value={formData.weekendUplift}
+                    onChange={handleInputChange}
+                    min="-100"
+                    step="0.01"
+                  />
+                </div>
+
+                <div className="form-group">
+                  <label>Priority</label>
+                  <input
+                    type="number"
+                    name="priority"
+                    value={formData.priority}
+                    onChange={handleInputChange}
+                    step="1"
+                  />
+                </div>
+
+                <div className="form-group">
+                  <label>Cancellation Policy</label>
+                  <select
+                    name="cancellationPolicy"
+                    value={formData.cancellationPolicy}
+                    onChange={handleInputChange}
+                  >
+                    <option value="">Default policy</option>
+                    {policies.map((policy) => (
+                      <option key={policy._id} value={policy._id}>
+                        {policy.name}
+                        {policy.isActive ? '' : ' (inactive)'}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+
+                <div className="form-group">
+                  <label>Deposit</label>
+                  <select name="depositType" value={formData.depositType} onChange={handleInputChange}>
+                    <option value="">Default deposit</option>
+                    <option value="none">No deposit</option>
+                    <option value="percent">Percentage of the stay</option>
+                    <option value="first_night">First night</option>
+                    <option value="full">Full prepayment</option>
+                  </select>
+                </div>
+
+                {formData.depositType === 'percent' && (
+                  <div className="form-group">
+                    <label>Deposit (%)</label>
+                    <input
+                      type="number"
+                      name="depositPercent"
+                      value={formData.depositPercent}
+                      onChange={handleInputChange}
+                      min="0"
+                      max="100"
+                      step="0.01"
+                      placeholder="Default percentage"
+                    />
+                  </div>
+                )}
+
+                <div className="form-group rate-plan-weekend-days">
+                  <label>Weekend Nights</label>
+                  <div className="weekend-day-options">
+                    {DAY_LABELS.map((label, day) => (
+                      <label key={label}>
+                        <input
+                          type="checkbox"
+                          checked={formData.weekendDays.includes(day)}
+                          onChange={() => handleWeekendDayToggle(day)}
+                        />
+                        {label}
+                      </label>
+                    ))}
+                  </div>
+                </div>
+
+                <div className="form-group checkbox-group">
+                  <label>
+                    <input
+                      type="checkbox"
+                      name="isActive"
+                      checked={formData.isActive}
+                      onChange={handleInputChange}
+                    />
+                    Active
+                  </label>
+                </div>
+
+                <div className="rate-plan-form-actions">
+                  <button type="submit" className="btn-primary">
+                    {editingId ? 'Update Rate Plan' : 'Create Rate Plan'}
+                  </button>
+                  <button type="button" className="btn-secondary" onClick={handleCancel}>
+                    Cancel
+                  </button>
+                </div>
+              </form>
+            </div>
+          </div>
+        )}
+
+        <div className="card">
+          <div className="card-header">Rate Plans</div>
+          <div className="card-body">
+            {ratePlans.length === 0 ? (
+              <p className="empty-state">No rate plans yet. Rooms are charged their base price every night.</p>
+            ) : (
+              <div className="table-container">
+                <table className="table">
+                  <thead>
+                    <tr>
+                      <th>Name</th>
+                      <th>Room Type</th>
+                      <th>Season</th>
+                      <th>Pricing</th>
+                      <th>Priority</th>
+                      <th>Cancellation</th>
+                      <th>Status</th>
+                      <th>Actions</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {ratePlans.map((ratePlan) => (
+                      <tr key={ratePlan._id}>
+                        <td>{ratePlan.name}</td>
+                        <td className="rate-plan-type">{ratePlan.roomType || 'All'}</td>
+                        <td>{describeSeason(ratePlan)}</td>
+                        <td>{describeAdjustment(ratePlan)}</td>
+                        <td>{ratePlan.priority}</td>
+                        <td>
+                          {policies.find((policy) => policy._id === ratePlan.cancellationPolicy)?.name ||
+                            'Default'}
+                        </td>
+                        <td>{ratePlan.isActive ? 'Active' : 'Inactive'}</td>
+                        <td className="rate-plan-actions">
+                          <button className="btn-primary" onClick={() => handleEdit(ratePlan)}>
+                            Edit
+                          </button>
+                          <button className="btn-danger" onClick={() => handleDelete(ratePlan._id)}>
+                            Delete
+                          </button>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </div>
+        </div>
+
+        <div className="card">
+          <div className="card-header rate-calendar-header">
+            <span>Rate Calendar</span>
+            <div className="rate-calendar-nav">
+              <button className="btn-secondary" onClick={() => setCalendarStart(addDays(calendarStart, -14))}>
+                ‹ prev
+              </button>
+              <input
+                type="date"
+                value={calendarStart}
+                onChange={(e) => setCalendarStart(e.target.value)}
+              />
+              <button className="btn-secondary" onClick={() => setCalendarStart(addDays(calendarStart, 14))}>
+                next ›
+              </button>
+            </div>
+          </div>
+          <div className="card-body">
+            {!calendar || calendar.roomTypes.length === 0 ? (
+              <p className="empty-state">No rooms to price yet.</p>
+            ) : (
+              <div className="table-container">
+                <table className="table rate-calendar">
+                  <thead>
+                    <tr>
+                      <th>Room Type</th>
+                      {calendar.dates.map((date) => (
+                        <th key={date}>
+                          <div>{DAY_LABELS[new Date(date).getUTCDay()]}</div>
+                          <div className="rate-calendar-date">{toDateInput(date).slice(5)}</div>
+                        </th>
+                      ))}
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {calendar.roomTypes.map((row) => (
+                      <tr key={row.roomType}>
+                        <td className="rate-plan-type">
+                          {row.roomType}
+                          <div className="rate-calendar-base">base {formatCurrency(row.basePrice)}</div>
+                        </td>
+                        {row.nights.map((night) => (
+                          <td
+                            key={night.date}
+                            className={`rate-calendar-cell ${night.price !== night.basePrice ? 'adjusted' : ''}`}
+                            title={night.ratePlan || 'Base price'}
+                          >
+                            {formatCurrency(night.price)}
+                          </td>
+                        ))}
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </div>
+        </div>
+      </section>
+    </div>
+  );
+};
+
+export default AdminRatePlansPage;
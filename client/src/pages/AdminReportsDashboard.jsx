@@ -1,5 +1,6 @@
 /**
- * @fileoverview Admin reports dashboard with revenue, occupancy, and service analytics
+ * @fileoverview Admin reports dashboard with revenue, occupancy, service, oversold night and night audit analytics.
+ * Days closed by the night audit show the figures snapshotted when they were closed.
  * @module pages/AdminReportsDashboard
  */
 
@@ -30,6 +31,10 @@ const AdminReportsDashboard = () => {
   const [revenueData, setRevenueData] = useState(null);
   const [occupancyData, setOccupancyData] = useState(null);
   const [topServices, setTopServices] = useState([]);
+  const [oversoldNights, setOversoldNights] = useState([]);
+  const [nightAudits, setNightAudits] = useState({ audits: [], lastClosedDate: null, nextBusinessDate: null });
+  const [selectedAudit, setSelectedAudit] = useState(null);
+  const [closingDay, setClosingDay] = useState(false);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState('');
   const [period, setPeriod] = useState('monthly');
@@ -70,6 +75,20 @@ const AdminReportsDashboard = () => {
       // Fetch top services
       const servicesResponse = await api.get('/admin/reports/top-services?limit=5');
       setTopServices(servicesResponse.data.data.topServices || []);
+
+      // Fetch oversold nights (next 30 days)
+      const oversoldEnd = new Date();
+      oversoldEnd.setDate(oversoldEnd.getDate() + 30);
+      const oversoldResponse = await api.get(
+        `/admin/reports/oversold-nights?startDate=${endDate.toISOString().split('T')[0]}&endDate=${oversoldEnd.toISOString().split('T')[0]}`
+      );
+      setOversoldNights(oversoldResponse.data.data.oversoldNights || []);
+
+      // Fetch closed days (last 30 days)
+      await fetchNightAudits(
+        startDate.toISOString().split('T')[0],
+        endDate.toISOString().split('T')[0]
+      );
     } catch (err) {
       setError(err.response?.data?.message || 'Failed to fetch reports');
     } finally {
@@ -77,6 +96,35 @@ const AdminReportsDashboard = () => {
     }
   };
 
+  const fetchNightAudits = async (startDate, endDate) => {
+    const auditResponse = await api.get(
+      `/night-audit?startDate=${startDate}&endDate=${endDate}`
+    );
+    setNightAudits(auditResponse.data.data);
+    setSelectedAudit(null);
+  };
+
+  const handleCloseDay = async () => {
+    if (
+      !window.confirm(
+        `Close ${nightAudits.nextBusinessDate}? Room charges are posted and the day's figures are locked.`
+      )
+    ) {
+      return;
+    }
+
+    try {
+      setClosingDay(true);
+      setError('');
+      await api.post('/night-audit', { date: nightAudits.nextBusinessDate });
+      await fetchAllReports();
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to run the night audit');
+    } finally {
+      setClosingDay(false);
+    }
+  };
+
   const handlePeriodChange = (e) => {
     setPeriod(e.target.value);
   };
@@ -100,6 +148,13 @@ const AdminReportsDashboard = () => {
         `/admin/reports/occupancy?startDate=${dateRange.startDate}&endDate=${dateRange.endDate}`
       );
       setOccupancyData(occupancyResponse.data.data);
+
+      const oversoldResponse = await api.get(
+        `/admin/reports/oversold-nights?startDate=${dateRange.startDate}&endDate=${dateRange.endDate}`
+      );
+      setOversoldNights(oversoldResponse.data.data.oversoldNights || []);
+
+      await fetchNightAudits(dateRange.startDate, dateRange.endDate);
     } catch (err) {
       setError(err.response?.data?.message || 'Failed to fetch reports');
     } finally {
@@ -107,6 +162,11 @@ const AdminReportsDashboard = () => {
     }
   };
 
+  // A day can be closed once it has ended
+  const canCloseDay =
+    nightAudits.nextBusinessDate &&
+    nightAudits.nextBusinessDate < new Date().toISOString().split('T')[0];
+
   if (user?.role !== 'admin') {
     return <div className="admin-only">Admin access required</div>;
   }
@@ -171,6 +231,25 @@ const AdminReportsDashboard = () => {
             </div>
             <div className="stat-label">
               {revenueData.transactionCount} transactions
+              {revenueData.totalRefunds > 0 &&
+                ` (after ${formatCurrency(revenueData.totalRefunds)} refunded)`}
+              {revenueData.closedDays > 0 &&
+                ` · ${revenueData.closedDays} closed day(s)`}
+            </div>
+          </div>
+
+          <div className="stat-card revenue-card">
+            <h3>Net Revenue</h3>
+            <div className="stat-value">
+              {formatCurrency(revenueData.netRevenue ?? revenueData.totalRevenue)}
+            </div>
+            <div className="stat-label">
+              {formatCurrency(revenueData.totalTax ?? 0)} tax collected
+              {revenueData.taxByLine &&
+                Object.keys(revenueData.taxByLine).length > 0 &&
+                ` (${Object.entries(revenueData.taxByLine)
+                  .map(([name, amount]) => `${name}: ${formatCurrency(amount)}`)
+                  .join(', ')})`}
             </div>
           </div>
 
@@ -215,7 +294,9 @@ const AdminReportsDashboard = () => {
               <YAxis />
               <Tooltip
                 formatter={(value) => formatCurrency(value)}
-                labelFormatter={(label) => `Date: ${label}`}
+                labelFormatter={(label) =>
+                  `Date: ${label}${revenueData.dailyBreakdown.find((day) => day.date === label)?.closed ? ' (closed)' : ''}`
+                }
               />
               <Legend />
               <Line
@@ -261,7 +342,9 @@ const AdminReportsDashboard = () => {
               <YAxis domain={[0, 100]} />
               <Tooltip
                 formatter={(value) => `${value.toFixed(1)}%`}
-                labelFormatter={(label) => `Date: ${label}`}
+                labelFormatter={(label) =>
+                  `Date: ${label}${occupancyData.dailyOccupancy.find((day) => day.date === label)?.closed ? ' (closed)' : ''}`
+                }
               />
               <Legend />
               <Line
@@ -325,6 +408,148 @@ const AdminReportsDashboard = () => {
           </div>
         </div>
       )}
+
+      {/* Night Audit */}
+      <div className="chart-card">
+        <div className="night-audit-header">
+          <div>
+            <h2>Night Audit</h2>
+            <p className="night-audit-status">
+              {nightAudits.lastClosedDate
+                ? `Books closed through ${nightAudits.lastClosedDate}. Changes dated on or before it are locked.`
+                : 'No business date has been closed yet.'}
+            </p>
+          </div>
+          {canCloseDay && (
+            <button className="btn-primary" onClick={handleCloseDay} disabled={closingDay}>
+              {closingDay ? 'Closing...' : `Close ${nightAudits.nextBusinessDate}`}
+            </button>
+          )}
+        </div>
+        {nightAudits.audits.length === 0 ? (
+          <p className="oversold-empty">No closed days in this period.</p>
+        ) : (
+          <div className="oversold-table">
+            <table>
+              <thead>
+                <tr>
+                  <th>Business Date</th>
+                  <th>Occupancy</th>
+                  <th>Rooms Sold</th>
+                  <th>ADR</th>
+                  <th>RevPAR</th>
+                  <th>Room Revenue</th>
+                  <th>Payments</th>
+                  <th>Exceptions</th>
+                  <th>Closed By</th>
+                </tr>
+              </thead>
+              <tbody>
+                {nightAudits.audits.map((audit) => {
+                  const exceptions = audit.unbalancedFolios.length + audit.unreturnedDepartures.length;
+                  return (
+                    <tr
+                      key={audit._id}
+                      className={`night-audit-row${selectedAudit?._id === audit._id ? ' selected' : ''}`}
+                      onClick={() => setSelectedAudit(selectedAudit?._id === audit._id ? null : audit)}
+                    >
+                      <td>{audit.businessDate.split('T')[0]}</td>
+                      <td>{audit.occupancy.occupancyPercentage.toFixed(1)}%</td>
+                      <td>
+                        {audit.occupancy.occupiedRooms} / {audit.occupancy.totalRooms - audit.occupancy.outOfOrderRooms}
+                      </td>
+                      <td>{formatCurrency(audit.occupancy.adr)}</td>
+                      <td>{formatCurrency(audit.occupancy.revPar)}</td>
+                      <td>{formatCurrency(audit.revenue.roomRevenue)}</td>
+                      <td>{formatCurrency(audit.revenue.totalRevenue)}</td>
+                      <td className={exceptions > 0 ? 'oversold-cell' : ''}>{exceptions}</td>
+                      <td>{audit.closedBy?.name || 'Scheduler'}</td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+        )}
+
+        {selectedAudit && (
+          <div className="night-audit-details">
+            <h3>{selectedAudit.businessDate.split('T')[0]}</h3>
+            <p>
+              {selectedAudit.occupancy.arrivals} arrival(s), {selectedAudit.occupancy.departures} departure(s),{' '}
+              {selectedAudit.occupancy.noShows} no-show(s), {selectedAudit.occupancy.outOfOrderRooms} room(s) out of order.
+              Extras {formatCurrency(selectedAudit.revenue.extrasRevenue)}, penalties{' '}
+              {formatCurrency(selectedAudit.revenue.penaltyRevenue)}, refunds{' '}
+              {formatCurrency(selectedAudit.revenue.totalRefunds)}.
+            </p>
+
+            <h4>Unbalanced Folios</h4>
+            {selectedAudit.unbalancedFolios.length === 0 ? (
+              <p className="oversold-empty">Every departure's folio balanced.</p>
+            ) : (
+              <ul>
+                {selectedAudit.unbalancedFolios.map((folio) => (
+                  <li key={folio.booking}>
+                    {folio.guestName}{folio.roomCode ? ` (Room ${folio.roomCode})` : ''}:{' '}
+                    {folio.balance > 0
+                      ? `${formatCurrency(folio.balance)} owed`
+                      : `${formatCurrency(-folio.balance)} to refund`}
+                  </li>
+                ))}
+              </ul>
+            )}
+
+            <h4>Unreturned Departures</h4>
+            {selectedAudit.unreturnedDepartures.length === 0 ? (
+              <p className="oversold-empty">Every guest due out had checked out.</p>
+            ) : (
+              <ul>
+                {selectedAudit.unreturnedDepartures.map((departure) => (
+                  <li key={departure.booking}>
+                    {departure.guestName}{departure.roomCode ? ` (Room ${departure.roomCode})` : ''}: due out{' '}
+                    {departure.checkOutDate.split('T')[0]}
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+        )}
+      </div>
+
+      {/* Oversold Nights */}
+      <div className="chart-card">
+        <h2>Oversold Nights</h2>
+        {oversoldNights.length === 0 ? (
+          <p className="oversold-empty">No room type is booked beyond its rooms in this period.</p>
+        ) : (
+          <div className="oversold-table">
+            <table>
+              <thead>
+                <tr>
+                  <th>Night</th>
+                  <th>Room Type</th>
+                  <th>Booked</th>
+                  <th>Rooms to Sell</th>
+                  <th>Overbooking Allowance</th>
+                  <th>Oversold By</th>
+                </tr>
+              </thead>
+              <tbody>
+                {oversoldNights.map((night) => (
+                  <tr key={`${night.date}-${night.roomType}`}>
+                    <td>{night.date}</td>
+                    <td>{night.roomType}</td>
+                    <td>{night.booked}</td>
+                    <td>{night.capacity}</td>
+                    <td>{night.overbookingAllowance}</td>
+                    <td className="oversold-cell">{night.oversoldBy}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
     </div>
   );
 };
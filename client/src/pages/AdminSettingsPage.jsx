@@ -10,14 +10,41 @@ import api from '../services/api';
 import Loader from '../components/Loader';
 import './AdminSettingsPage.css';
 
+const ROOM_TYPES = ['single', 'double', 'suite'];
+
 const AdminSettingsPage = () => {
   const { user } = useAuth();
   const { showNotification } = useNotification();
   const [settings, setSettings] = useState({
+    hotelName: 'CheckInn Hotel',
+    hotelAddress: '',
+    hotelPhone: '',
+    hotelEmail: '',
     defaultTaxRate: 10,
+    taxLines: [],
     currencySymbol: '৳',
     defaultCheckInTime: '14:00',
     defaultCheckOutTime: '11:00',
+    earlyCheckInWindowHours: 6,
+    earlyCheckInFeeType: 'none',
+    earlyCheckInFee: 0,
+    lateCheckOutWindowHours: 6,
+    lateCheckOutFeeType: 'none',
+    lateCheckOutFee: 0,
+    depositType: 'none',
+    depositPercent: 20,
+    depositHoldHours: 24,
+    requireDepositForApproval: false,
+    earlyDepartureFeeType: 'none',
+    earlyDepartureFeeAmount: 0,
+    earlyDepartureFeePercent: 50,
+    noShowCutoffHours: 12,
+    overbookingAllowance: { single: 0, double: 0, suite: 0 },
+    waitlistHoldHours: 24,
+    loyaltyEnabled: true,
+    loyaltyEarnRate: 5,
+    loyaltyBurnRate: 0.5,
+    loyaltyMinRedeemPoints: 100,
   });
   const [loading, setLoading] = useState(true);
   const [saving, setSaving] = useState(false);
@@ -27,6 +54,7 @@ const AdminSettingsPage = () => {
   const [promotionData, setPromotionData] = useState({
     title: '',
     message: '',
+    promoCode: '',
     filterByPastBookings: false,
   });
 
@@ -51,10 +79,43 @@ const AdminSettingsPage = () => {
   };
 
   const handleInputChange = (e) => {
-    const { name, value } = e.target;
+    const { name, value, type, checked } = e.target;
+    setSettings((prev) => ({
+      ...prev,
+      [name]: type === 'checkbox' ? checked : value,
+    }));
+  };
+
+  const handleOverbookingChange = (roomType, value) => {
+    setSettings((prev) => ({
+      ...prev,
+      overbookingAllowance: { ...prev.overbookingAllowance, [roomType]: value },
+    }));
+  };
+
+  const handleTaxLineChange = (index, field, value) => {
+    setSettings((prev) => ({
+      ...prev,
+      taxLines: prev.taxLines.map((line, i) =>
+        i === index ? { ...line, [field]: value } : line
+      ),
+    }));
+  };
+
+  const handleAddTaxLine = () => {
+    setSettings((prev) => ({
+      ...prev,
+      taxLines: [
+        ...(prev.taxLines || []),
+        { name: '', rate: 0, appliesTo: 'both', isInclusive: false, isActive: true },
+      ],
+    }));
+  };
+
+  const handleRemoveTaxLine = (index) => {
     setSettings((prev) => ({
       ...prev,
-      [name]: value,
+      taxLines: prev.taxLines.filter((_, i) => i !== index),
     }));
   };
 
@@ -65,10 +126,40 @@ const AdminSettingsPage = () => {
 
     try {
       const updateData = {
+        hotelName: settings.hotelName,
+        hotelAddress: settings.hotelAddress || '',
+        hotelPhone: settings.hotelPhone || '',
+        hotelEmail: settings.hotelEmail || '',
         defaultTaxRate: parseFloat(settings.defaultTaxRate),
+        taxLines: (settings.taxLines || []).map((line) => ({
+          ...line,
+          rate: parseFloat(line.rate),
+        })),
         currencySymbol: settings.currencySymbol,
         defaultCheckInTime: settings.defaultCheckInTime,
         defaultCheckOutTime: settings.defaultCheckOutTime,
+        earlyCheckInWindowHours: parseFloat(settings.earlyCheckInWindowHours) || 0,
+        earlyCheckInFeeType: settings.earlyCheckInFeeType,
+        earlyCheckInFee: parseFloat(settings.earlyCheckInFee) || 0,
+        lateCheckOutWindowHours: parseFloat(settings.lateCheckOutWindowHours) || 0,
+        lateCheckOutFeeType: settings.lateCheckOutFeeType,
+        lateCheckOutFee: parseFloat(settings.lateCheckOutFee) || 0,
+        depositType: settings.depositType,
+        depositPercent: parseFloat(settings.depositPercent) || 0,
+        depositHoldHours: parseFloat(settings.depositHoldHours) || 0,
+        requireDepositForApproval: settings.requireDepositForApproval,
+        earlyDepartureFeeType: settings.earlyDepartureFeeType,
+        earlyDepartureFeeAmount: parseFloat(settings.earlyDepartureFeeAmount) || 0,
+        earlyDepartureFeePercent: parseFloat(settings.earlyDepartureFeePercent) || 0,
+        noShowCutoffHours: parseFloat(settings.noShowCutoffHours) || 0,
+        overbookingAllowance: Object.fromEntries(
+          ROOM_TYPES.map((roomType) => [roomType, parseInt(settings.overbookingAllowance?.[roomType], 10) || 0])
+        ),
+        waitlistHoldHours: parseFloat(settings.waitlistHoldHours) || 24,
+        loyaltyEnabled: settings.loyaltyEnabled,
+        loyaltyEarnRate: parseFloat(settings.loyaltyEarnRate) || 0,
+        loyaltyBurnRate: parseFloat(settings.loyaltyBurnRate) || 0,
+        loyaltyMinRedeemPoints: parseInt(settings.loyaltyMinRedeemPoints, 10) || 0,
       };
 
       await api.patch('/admin/settings', updateData);
@@ -127,6 +218,7 @@ const AdminSettingsPage = () => {
         title: promotionData.title,
         message: promotionData.message,
         filterByPastBookings: promotionData.filterByPastBookings,
+        promoCode: promotionData.promoCode || undefined,
       });
       const { sent, failed, total } = response.data.data;
       showNotification(
@@ -136,6 +228,7 @@ const AdminSettingsPage = () => {
       setPromotionData({
         title: '',
         message: '',
+        promoCode: '',
         filterByPastBookings: false,
       });
     } catch (err) {
@@ -174,12 +267,69 @@ const AdminSettingsPage = () => {
 
       <div className="settings-form-container">
         <form onSubmit={handleSubmit} className="settings-form">
+          <div className="form-section">
+            <h3>Hotel Details</h3>
+            <div className="form-group">
+              <label htmlFor="hotelName">
+                Hotel Name
+                <span className="help-text">Printed at the top of invoices and receipts</span>
+              </label>
+              <input
+                type="text"
+                id="hotelName"
+                name="hotelName"
+                value={settings.hotelName || ''}
+                onChange={handleInputChange}
+                required
+              />
+            </div>
+
+            <div className="form-group">
+              <label htmlFor="hotelAddress">
+                Address
+              </label>
+              <input
+                type="text"
+                id="hotelAddress"
+                name="hotelAddress"
+                value={settings.hotelAddress || ''}
+                onChange={handleInputChange}
+              />
+            </div>
+
+            <div className="form-group">
+              <label htmlFor="hotelPhone">
+                Phone
+              </label>
+              <input
+                type="tel"
+                id="hotelPhone"
+                name="hotelPhone"
+                value={settings.hotelPhone || ''}
+                onChange={handleInputChange}
+              />
+            </div>
+
+            <div className="form-group">
+              <label htmlFor="hotelEmail">
+                Email
+              </label>
+              <input
+                type="email"
+                id="hotelEmail"
+                name="hotelEmail"
+                value={settings.hotelEmail || ''}
+                onChange={handleInputChange}
+              />
+            </div>
+          </div>
+
           <div className="form-section">
             <h3>Financial Settings</h3>
             <div className="form-group">
               <label htmlFor="defaultTaxRate">
                 Default Tax Rate (%)
-                <span className="help-text">Enter a value between 0 and 100</span>
+                <span className="help-text">Enter a value between 0 and 100. Applied to room and services only when no tax lines are configured below.</span>
               </label>
               <input
                 type="number"
@@ -194,6 +344,92 @@ const AdminSettingsPage = () => {
               />
             </div>
 
+            <div className="form-group">
+              <label>
+                Tax & Fee Lines
+                <span className="help-text">
+                  Named lines such as VAT or service charge. Inclusive lines are already part of the price; exclusive lines are added on top.
+                </span>
+              </label>
+              {settings.taxLines && settings.taxLines.length > 0 && (
+                <table className="tax-lines-table">
+                  <thead>
+                    <tr>
+                      <th>Name</th>
+                      <th>Rate (%)</th>
+                      <th>Applies To</th>
+                      <th>Inclusive</th>
+                      <th>Active</th>
+                      <th></th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {settings.taxLines.map((line, index) => (
+                      <tr key={index}>
+                        <td>
+                          <input
+                            type="text"
+                            value={line.name}
+                            onChange={(e) => handleTaxLineChange(index, 'name', e.target.value)}
+                            placeholder="e.g., VAT"
+                            maxLength="50"
+                            required
+                          />
+                        </td>
+                        <td>
+                          <input
+                            type="number"
+                            value={line.rate}
+                            onChange={(e) => handleTaxLineChange(index, 'rate', e.target.value)}
+                            min="0"
+                            max="100"
+                            step="0.01"
+                            required
+                          />
+                        </td>
+                        <td>
+                          <select
+                            value={line.appliesTo}
+                            onChange={(e) => handleTaxLineChange(index, 'appliesTo', e.target.value)}
+                          >
+                            <option value="both">Room & Services</option>
+                            <option value="room">Room only</option>
+                            <option value="services">Services only</option>
+                          </select>
+                        </td>
+                        <td>
+                          <input
+                            type="checkbox"
+                            checked={line.isInclusive}
+                            onChange={(e) => handleTaxLineChange(index, 'isInclusive', e.target.checked)}
+                          />
+                        </td>
+                        <td>
+                          <input
+                            type="checkbox"
+                            checked={line.isActive !== false}
+                            onChange={(e) => handleTaxLineChange(index, 'isActive', e.target.checked)}
+                          />
+                        </td>
+                        <td>
+                          <button
+                            type="button"
+                            className="btn-remove-line"
+                            onClick={() => handleRemoveTaxLine(index)}
+                          >
+                            Remove
+                          </button>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              )}
+              <button type="button" className="btn-reset" onClick={handleAddTaxLine}>
+                + Add Tax Line
+              </button>
+            </div>
+
             <div className="form-group">
               <label htmlFor="currencySymbol">
                 Currency Symbol
@@ -244,6 +480,342 @@ const AdminSettingsPage = () => {
             </div>
           </div>
 
+          <div className="form-section">
+            <h3>Early Check-in &amp; Late Checkout</h3>
+            <div className="form-group">
+              <label htmlFor="earlyCheckInWindowHours">
+                Early Check-in Window (hours)
+                <span className="help-text">How long before the check-in time guests can arrive; earlier means booking the night before</span>
+              </label>
+              <input
+                type="number"
+                id="earlyCheckInWindowHours"
+                name="earlyCheckInWindowHours"
+                value={settings.earlyCheckInWindowHours}
+                onChange={handleInputChange}
+                min="0"
+                max="24"
+                step="1"
+              />
+            </div>
+
+            <div className="form-group">
+              <label htmlFor="earlyCheckInFeeType">Early Check-in Fee</label>
+              <select
+                id="earlyCheckInFeeType"
+                name="earlyCheckInFeeType"
+                value={settings.earlyCheckInFeeType}
+                onChange={handleInputChange}
+              >
+                <option value="none">Free</option>
+                <option value="flat">Flat fee</option>
+                <option value="hourly">Per started hour</option>
+              </select>
+            </div>
+
+            <div className="form-group">
+              <label htmlFor="earlyCheckInFee">
+                Early Check-in Amount
+                <span className="help-text">The flat fee, or the fee for each hour before the check-in time</span>
+              </label>
+              <input
+                type="number"
+                id="earlyCheckInFee"
+                name="earlyCheckInFee"
+                value={settings.earlyCheckInFee}
+                onChange={handleInputChange}
+                min="0"
+                step="0.01"
+              />
+            </div>
+
+            <div className="form-group">
+              <label htmlFor="lateCheckOutWindowHours">
+                Late Checkout Window (hours)
+                <span className="help-text">How long past the check-out time guests can stay on</span>
+              </label>
+              <input
+                type="number"
+                id="lateCheckOutWindowHours"
+                name="lateCheckOutWindowHours"
+                value={settings.lateCheckOutWindowHours}
+                onChange={handleInputChange}
+                min="0"
+                max="24"
+                step="1"
+              />
+            </div>
+
+            <div className="form-group">
+              <label htmlFor="lateCheckOutFeeType">Late Checkout Fee</label>
+              <select
+                id="lateCheckOutFeeType"
+                name="lateCheckOutFeeType"
+                value={settings.lateCheckOutFeeType}
+                onChange={handleInputChange}
+              >
+                <option value="none">Free</option>
+                <option value="flat">Flat fee</option>
+                <option value="hourly">Per started hour</option>
+              </select>
+            </div>
+
+            <div className="form-group">
+              <label htmlFor="lateCheckOutFee">
+                Late Checkout Amount
+                <span className="help-text">The flat fee, or the fee for each hour past the check-out time</span>
+              </label>
+              <input
+                type="number"
+                id="lateCheckOutFee"
+                name="lateCheckOutFee"
+                value={settings.lateCheckOutFee}
+                onChange={handleInputChange}
+                min="0"
+                step="0.01"
+              />
+            </div>
+          </div>
+
+          <div className="form-section">
+            <h3>Deposits</h3>
+            <div className="form-group">
+              <label htmlFor="depositType">
+                Default Deposit
+                <span className="help-text">Taken at booking time; rate plans can set their own deposit for a room type or season</span>
+              </label>
+              <select
+                id="depositType"
+                name="depositType"
+                value={settings.depositType}
+                onChange={handleInputChange}
+              >
+                <option value="none">No deposit</option>
+                <option value="percent">Percentage of the stay</option>
+                <option value="first_night">First night</option>
+                <option value="full">Full prepayment</option>
+              </select>
+            </div>
+
+            <div className="form-group">
+              <label htmlFor="depositPercent">
+                Deposit Percentage (%)
+                <span className="help-text">Used by percentage deposits that don't set their own</span>
+              </label>
+              <input
+                type="number"
+                id="depositPercent"
+                name="depositPercent"
+                value={settings.depositPercent}
+                onChange={handleInputChange}
+                min="0"
+                max="100"
+                step="0.01"
+              />
+            </div>
+
+            <div className="form-group">
+              <label htmlFor="depositHoldHours">
+                Hold Window (hours)
+                <span className="help-text">Bookings whose deposit is unpaid after this long are cancelled (0 = never)</span>
+              </label>
+              <input
+                type="number"
+                id="depositHoldHours"
+                name="depositHoldHours"
+                value={settings.depositHoldHours}
+                onChange={handleInputChange}
+                min="0"
+                step="1"
+              />
+            </div>
+
+            <div className="form-group">
+              <label style={{ display: 'flex', alignItems: 'center', cursor: 'pointer' }}>
+                <input
+                  type="checkbox"
+                  name="requireDepositForApproval"
+                  checked={settings.requireDepositForApproval}
+                  onChange={handleInputChange}
+                  style={{ marginRight: '10px', cursor: 'pointer' }}
+                />
+                <span>Require the deposit before a booking can be approved</span>
+              </label>
+            </div>
+          </div>
+
+          <div className="form-section">
+            <h3>Early Departures</h3>
+            <div className="form-group">
+              <label htmlFor="earlyDepartureFeeType">
+                Early Departure Fee
+                <span className="help-text">Charged when a guest checks out before their booked check-out date; the nights not stayed come off the bill</span>
+              </label>
+              <select
+                id="earlyDepartureFeeType"
+                name="earlyDepartureFeeType"
+                value={settings.earlyDepartureFeeType}
+                onChange={handleInputChange}
+              >
+                <option value="none">No fee</option>
+                <option value="flat">Flat fee</option>
+                <option value="percent">Percentage of the nights not stayed</option>
+                <option value="first_night">First night not stayed</option>
+              </select>
+            </div>
+
+            <div className="form-group">
+              <label htmlFor="earlyDepartureFeeAmount">
+                Flat Fee
+                <span className="help-text">Never more than the nights not stayed</span>
+              </label>
+              <input
+                type="number"
+                id="earlyDepartureFeeAmount"
+                name="earlyDepartureFeeAmount"
+                value={settings.earlyDepartureFeeAmount}
+                onChange={handleInputChange}
+                min="0"
+                step="0.01"
+              />
+            </div>
+
+            <div className="form-group">
+              <label htmlFor="earlyDepartureFeePercent">
+                Fee Percentage (%)
+                <span className="help-text">Used by percentage fees</span>
+              </label>
+              <input
+                type="number"
+                id="earlyDepartureFeePercent"
+                name="earlyDepartureFeePercent"
+                value={settings.earlyDepartureFeePercent}
+                onChange={handleInputChange}
+                min="0"
+                max="100"
+                step="0.01"
+              />
+            </div>
+          </div>
+
+          <div className="form-section">
+            <h3>No-shows, Overbooking & Waitlist</h3>
+            <div className="form-group">
+              <label htmlFor="noShowCutoffHours">
+                No-show Cutoff (hours)
+                <span className="help-text">Hours after the check-in time on the arrival day before a guest who has not arrived is marked a no-show and charged the policy's no-show penalty (0 = staff mark no-shows)</span>
+              </label>
+              <input
+                type="number"
+                id="noShowCutoffHours"
+                name="noShowCutoffHours"
+                value={settings.noShowCutoffHours}
+                onChange={handleInputChange}
+                min="0"
+                max="48"
+                step="1"
+              />
+            </div>
+
+            {ROOM_TYPES.map((roomType) => (
+              <div className="form-group" key={roomType}>
+                <label htmlFor={`overbooking-${roomType}`}>
+                  Overbooking Allowance: {roomType}
+                  <span className="help-text">Rooms that can be sold beyond the {roomType} rooms available each night</span>
+                </label>
+                <input
+                  type="number"
+                  id={`overbooking-${roomType}`}
+                  value={settings.overbookingAllowance?.[roomType] ?? 0}
+                  onChange={(e) => handleOverbookingChange(roomType, e.target.value)}
+                  min="0"
+                  step="1"
+                />
+              </div>
+            ))}
+
+            <div className="form-group">
+              <label htmlFor="waitlistHoldHours">
+                Waitlist Hold (hours)
+                <span className="help-text">Hours a room that frees up on sold-out dates is held for the next guest on the waitlist before it is offered to the one after</span>
+              </label>
+              <input
+                type="number"
+                id="waitlistHoldHours"
+                name="waitlistHoldHours"
+                value={settings.waitlistHoldHours}
+                onChange={handleInputChange}
+                min="1"
+                max="168"
+                step="1"
+              />
+            </div>
+          </div>
+
+          <div className="form-section">
+            <h3>Loyalty Program</h3>
+            <div className="form-group">
+              <label style={{ display: 'flex', alignItems: 'center', cursor: 'pointer' }}>
+                <input
+                  type="checkbox"
+                  name="loyaltyEnabled"
+                  checked={settings.loyaltyEnabled}
+                  onChange={handleInputChange}
+                  style={{ marginRight: '10px', cursor: 'pointer' }}
+                />
+                <span>Guests earn and redeem loyalty points</span>
+              </label>
+            </div>
+
+            <div className="form-group">
+              <label htmlFor="loyaltyEarnRate">
+                Earn Rate (points per 100 paid)
+                <span className="help-text">Points a stay earns at checkout; silver, gold and platinum guests earn 1.25x, 1.5x and 2x</span>
+              </label>
+              <input
+                type="number"
+                id="loyaltyEarnRate"
+                name="loyaltyEarnRate"
+                value={settings.loyaltyEarnRate}
+                onChange={handleInputChange}
+                min="0"
+                step="0.01"
+              />
+            </div>
+
+            <div className="form-group">
+              <label htmlFor="loyaltyBurnRate">
+                Point Value
+                <span className="help-text">Amount one point pays for when a guest redeems points</span>
+              </label>
+              <input
+                type="number"
+                id="loyaltyBurnRate"
+                name="loyaltyBurnRate"
+                value={settings.loyaltyBurnRate}
+                onChange={handleInputChange}
+                min="0"
+                step="0.01"
+              />
+            </div>
+
+            <div className="form-group">
+              <label htmlFor="loyaltyMinRedeemPoints">
+                Minimum Redemption (points)
+                <span className="help-text">Fewest points redeemed at once, unless fewer settle the balance</span>
+              </label>
+              <input
+                type="number"
+                id="loyaltyMinRedeemPoints"
+                name="loyaltyMinRedeemPoints"
+                value={settings.loyaltyMinRedeemPoints}
+                onChange={handleInputChange}
+                min="0"
+                step="1"
+              />
+            </div>
+          </div>
+
           <div className="form-actions">
             <button type="submit" className="btn-save" disabled={saving}>
               {saving ? 'Saving...' : 'Save Settings'}
@@ -321,6 +893,21 @@ const AdminSettingsPage = () => {
                 />
               </div>
 
+              <div className="form-group">
+                <label htmlFor="promotionCode">
+                  Promo Code (optional)
+                </label>
+                <input
+                  type="text"
+                  id="promotionCode"
+                  name="promoCode"
+                  value={promotionData.promoCode}
+                  onChange={handlePromotionInputChange}
+                  placeholder="e.g., SUMMER25"
+                  style={{ width: '100%', padding: '10px', marginTop: '5px', textTransform: 'uppercase' }}
+                />
+              </div>
+
               <div className="form-group">
                 <label style={{ display: 'flex', alignItems: 'center', cursor: 'pointer' }}>
                   <input
@@ -7,7 +7,9 @@ import React, { useState, useEffect } from 'react';
 import { useAuth } from '../context/AuthContext';
 import api from '../services/api';
 import Loader from '../components/Loader';
+import FolioPanel from '../components/FolioPanel';
 import formatCurrency from '../utils/formatCurrency';
+import downloadPdf from '../utils/downloadPdf';
 import bkashIcon from '../assets/payments/bkash.svg';
 import rocketIcon from '../assets/payments/rocket.svg';
 import nagadIcon from '../assets/payments/nagad.svg';
@@ -123,10 +125,129 @@ const BillingPage = () => {
     }
   };
 
+  const handleRefund = async (payment) => {
+    const refundable = payment.amount - payment.refundedAmount;
+    const amountInput = window.prompt(
+      `Refund amount (up to ${formatCurrency(refundable)}). Leave as is for a full refund.`,
+      String(refundable)
+    );
+    if (amountInput === null) {
+      return;
+    }
+
+    const reason = window.prompt('Reason for the refund');
+    if (!reason || !reason.trim()) {
+      setError('A reason is required to issue a refund');
+      return;
+    }
+
+    try {
+      setLoading(true);
+      setError('');
+      await api.post(`/billing/payments/${payment.id}/refund`, {
+        amount: Number(amountInput),
+        reason,
+      });
+      await handleViewInvoice(selectedBooking);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to issue refund');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleIssueInvoice = async () => {
+    if (!window.confirm('Issue this invoice? Its charges will be frozen under the next invoice number.')) {
+      return;
+    }
+
+    try {
+      setLoading(true);
+      setError('');
+      await api.post(`/billing/bookings/${selectedBooking}/invoice/issue`);
+      await handleViewInvoice(selectedBooking);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to issue invoice');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleVoidDocument = async (documentId, label) => {
+    const reason = window.prompt(`Reason for voiding ${label}`);
+    if (!reason || !reason.trim()) {
+      return;
+    }
+
+    try {
+      setLoading(true);
+      setError('');
+      await api.post(`/billing/invoices/${documentId}/void`, { reason });
+      await handleViewInvoice(selectedBooking);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to void document');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleCreditNote = async () => {
+    const creditable = invoice.totals.total - invoice.paymentSummary.credited;
+    const amountInput = window.prompt(
+      `Credit amount (up to ${formatCurrency(creditable)})`,
+      String(creditable)
+    );
+    if (amountInput === null) {
+      return;
+    }
+
+    const reason = window.prompt('Reason for the credit note');
+    if (!reason || !reason.trim()) {
+      setError('A reason is required to issue a credit note');
+      return;
+    }
+
+    try {
+      setLoading(true);
+      setError('');
+      await api.post(`/billing/invoices/${invoice.invoiceId}/credit-notes`, {
+        amount: Number(amountInput),
+        reason,
+      });
+      await handleViewInvoice(selectedBooking);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to issue credit note');
+    } finally {
+      setLoading(false);
+    }
+  };
+
   const handlePrintInvoice = () => {
     window.print();
   };
 
+  const handleDownloadInvoice = async () => {
+    try {
+      await downloadPdf(
+        `/billing/bookings/${selectedBooking}/invoice/pdf`,
+        `invoice-${invoice.invoiceNumber || 'draft'}.pdf`
+      );
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to download invoice');
+    }
+  };
+
+  const handleDownloadReceipt = async (payment) => {
+    try {
+      await downloadPdf(
+        `/billing/payments/${payment.id}/receipt/pdf`,
+        `receipt-${payment.transactionId || payment.id}.pdf`
+      );
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to download receipt');
+    }
+  };
+
   const handleLocalPayment = async (method) => {
     if (!selectedBooking) {
       setError('Please select a booking first');
@@ -140,14 +261,14 @@ const BillingPage = () => {
       const response = await api.post(`/billing/pay/${selectedBooking}`, { method });
       
       // Show success message
-      alert(`Payment completed successfully with ${method} (demo)`);
+      alert(`Payment completed successfully with ${method.replace('_', ' ')} (demo)`);
       
       // Refresh invoice
       await handleViewInvoice(selectedBooking);
       
       setProcessingPayment(null);
     } catch (err) {
-      setError(err.response?.data?.message || `Failed to process ${method} payment`);
+      setError(err.response?.data?.message || `Failed to process ${method.replace('_', ' ')} payment`);
       setProcessingPayment(null);
     }
   };
@@ -249,8 +370,36 @@ const BillingPage = () => {
               <button className="btn-secondary" onClick={handlePrintInvoice}>
                 Print Invoice
               </button>
+              <button className="btn-secondary" onClick={handleDownloadInvoice}>
+                Download PDF
+              </button>
+              {invoice.status === 'draft' ? (
+                <button className="btn-secondary" onClick={handleIssueInvoice} disabled={loading}>
+                  Issue Invoice
+                </button>
+              ) : (
+                <>
+                  <button className="btn-secondary" onClick={handleCreditNote} disabled={loading}>
+                    Credit Note
+                  </button>
+                  <button
+                    className="btn-secondary"
+                    onClick={() => handleVoidDocument(invoice.invoiceId, `invoice ${invoice.invoiceNumber}`)}
+                    disabled={loading}
+                  >
+                    Void Invoice
+                  </button>
+                </>
+              )}
             </div>
 
+            {invoice.chargesChanged && (
+              <div className="invoice-notice">
+                Charges have changed since this invoice was issued. Void and re-issue it, or issue a
+                credit note for the difference.
+              </div>
+            )}
+
             {showPaymentForm && (
               <div className="payment-form-card">
                 <h3>Record Payment</h3>
@@ -316,7 +465,10 @@ const BillingPage = () => {
                 </div>
                 <div className="invoice-number">
                   <strong>Invoice #</strong>
-                  <div>{invoice.invoiceNumber}</div>
+                  <div>{invoice.invoiceNumber || 'Draft'}</div>
+                  <span className={`invoice-status invoice-status-${invoice.status}`}>
+                    {invoice.status === 'issued' ? 'Issued' : 'Draft'}
+                  </span>
                   <div className="invoice-date">
                     Date: {formatDate(invoice.issueDate)}
                   </div>
@@ -363,6 +515,20 @@ const BillingPage = () => {
                     ))}
                   </tbody>
                   <tfoot>
+                    <tr>
+                      <td colSpan="3" className="total-label">
+                        Subtotal:
+                      </td>
+                      <td>{formatCurrency(invoice.totals.subtotal)}</td>
+                    </tr>
+                    {(invoice.taxLines || []).map((line) => (
+                      <tr key={line.name}>
+                        <td colSpan="3" className="total-label">
+                          {line.name} ({line.rate}%{line.isInclusive ? ', included' : ''}):
+                        </td>
+                        <td>{formatCurrency(line.amount)}</td>
+                      </tr>
+                    ))}
                     <tr>
                       <td colSpan="3" className="total-label">
                         <strong>Total:</strong>
@@ -374,8 +540,42 @@ const BillingPage = () => {
                   </tfoot>
                 </table>
 
+                {invoice.creditNotes?.length > 0 && (
+                  <div className="credit-notes">
+                    <h3>Credit Notes</h3>
+                    {invoice.creditNotes.map((creditNote) => (
+                      <div
+                        key={creditNote.id}
+                        className={`credit-note-row ${creditNote.status === 'void' ? 'credit-note-void' : ''}`}
+                      >
+                        <span>{creditNote.number}</span>
+                        <span>{formatDate(creditNote.issuedAt)}</span>
+                        <span>{creditNote.reason}</span>
+                        <span>-{formatCurrency(creditNote.total)}</span>
+                        {creditNote.status === 'issued' ? (
+                          <button
+                            className="btn-receipt"
+                            onClick={() => handleVoidDocument(creditNote.id, `credit note ${creditNote.number}`)}
+                            disabled={loading}
+                          >
+                            Void
+                          </button>
+                        ) : (
+                          <span className="invoice-status invoice-status-void">Void</span>
+                        )}
+                      </div>
+                    ))}
+                  </div>
+                )}
+
                 <div className="payment-summary">
                   <h3>Payment Summary</h3>
+                  {invoice.paymentSummary.credited > 0 && (
+                    <div className="summary-row">
+                      <span>Credited:</span>
+                      <span>{formatCurrency(invoice.paymentSummary.credited)}</span>
+                    </div>
+                  )}
                   <div className="summary-row">
                     <span>Total Paid:</span>
                     <span>{formatCurrency(invoice.paymentSummary.totalPaid)}</span>
@@ -392,6 +592,17 @@ const BillingPage = () => {
                       {formatCurrency(invoice.paymentSummary.balanceDue)}
                     </span>
                   </div>
+                  {invoice.deposit && (
+                    <div className="summary-row">
+                      <span>Deposit:</span>
+                      <span>
+                        {formatCurrency(invoice.deposit.amount)}{' '}
+                        {invoice.deposit.paidAt
+                          ? '(paid)'
+                          : `(${formatCurrency(invoice.deposit.due)} due)`}
+                      </span>
+                    </div>
+                  )}
                   <div className="summary-row status-row">
                     <span>Status:</span>
                     <span
@@ -449,6 +660,15 @@ const BillingPage = () => {
                         <span>Pay with Bank</span>
                         {processingPayment === 'bank' && <span className="processing">Processing...</span>}
                       </button>
+                      <button
+                        className="payment-method-btn"
+                        onClick={() => handleLocalPayment('loyalty_points')}
+                        disabled={loading || processingPayment !== null}
+                      >
+                        <span className="payment-icon payment-icon-points">★</span>
+                        <span>Guest's Loyalty Points</span>
+                        {processingPayment === 'loyalty_points' && <span className="processing">Processing...</span>}
+                      </button>
                     </div>
                     <p className="payment-note">These are demo payments. No real transactions will be processed.</p>
                   </div>
@@ -465,22 +685,55 @@ const BillingPage = () => {
                           <th>Method</th>
                           <th>Status</th>
                           <th>Transaction ID</th>
+                          <th className="no-print"></th>
                         </tr>
                       </thead>
                       <tbody>
                         {invoice.payments.map((payment) => (
-                          <tr key={payment.id}>
+                          <tr key={payment.id} className={payment.type === 'refund' ? 'refund-row' : ''}>
                             <td>{formatDate(payment.createdAt)}</td>
-                            <td>{formatCurrency(payment.amount)}</td>
-                            <td>{payment.method.toUpperCase()}</td>
+                            <td>
+                              {payment.type === 'refund' ? '−' : ''}
+                              {formatCurrency(payment.amount)}
+                              {payment.type !== 'payment' && (
+                                <div className="payment-type">{payment.type}</div>
+                              )}
+                              {payment.refundedAmount > 0 && (
+                                <div className="payment-type">
+                                  {formatCurrency(payment.refundedAmount)} refunded
+                                </div>
+                              )}
+                              {payment.reason && <div className="payment-type">{payment.reason}</div>}
+                            </td>
+                            <td>{(payment.method || 'pending').toUpperCase()}</td>
                             <td>
                               <span
                                 className={`payment-status status-${payment.status}`}
                               >
-                                {payment.status.toUpperCase()}
+                                {payment.status.replace('_', ' ').toUpperCase()}
                               </span>
                             </td>
                             <td>{payment.transactionId || 'N/A'}</td>
+                            <td className="no-print">
+                              {['paid', 'partially_refunded', 'refunded'].includes(payment.status) && (
+                                <button
+                                  className="btn-receipt"
+                                  onClick={() => handleDownloadReceipt(payment)}
+                                >
+                                  Receipt
+                                </button>
+                              )}
+                              {payment.type !== 'refund' &&
+                                ['paid', 'partially_refunded'].includes(payment.status) && (
+                                  <button
+                                    className="btn-refund"
+                                    onClick={() => handleRefund(payment)}
+                                    disabled={loading}
+                                  >
+                                    Refund
+                                  </button>
+                                )}
+                            </td>
                           </tr>
                         ))}
                       </tbody>
@@ -496,6 +749,12 @@ const BillingPage = () => {
                 </p>
               </div>
             </div>
+
+            <FolioPanel
+              bookingId={selectedBooking}
+              refreshKey={invoice}
+              onPosted={() => handleViewInvoice(selectedBooking)}
+            />
           </div>
         )}
 
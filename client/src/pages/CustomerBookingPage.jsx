@@ -8,6 +8,8 @@ import { useAuth } from '../context/AuthContext';
 import api from '../services/api';
 import Loader from '../components/Loader';
 import formatCurrency from '../utils/formatCurrency';
+import describeCancellationPolicy, { describeCancellationQuote } from '../utils/cancellationPolicy';
+import describeDeposit from '../utils/deposit';
 import './CustomerBookingPage.css';
 
 const CustomerBookingPage = () => {
@@ -23,7 +25,12 @@ const CustomerBookingPage = () => {
     checkInDate: '',
     checkOutDate: '',
     numberOfGuests: '',
+    promoCode: '',
   });
+  const [quote, setQuote] = useState(null);
+  const [promoPreview, setPromoPreview] = useState(null);
+  const [promoError, setPromoError] = useState('');
+  const [policyAccepted, setPolicyAccepted] = useState(false);
 
   useEffect(() => {
     if (user?.role === 'customer') {
@@ -32,6 +39,23 @@ const CustomerBookingPage = () => {
     }
   }, [user]);
 
+  // Price the selected room and dates so the guest sees the total and cancellation terms before confirming
+  useEffect(() => {
+    const { roomId, checkInDate, checkOutDate } = formData;
+    setQuote(null);
+    setPromoPreview(null);
+    setPromoError('');
+    setPolicyAccepted(false);
+    if (editingBooking || !roomId || !checkInDate || !checkOutDate || checkOutDate <= checkInDate) {
+      return;
+    }
+
+    api
+      .get(`/rooms/${roomId}/quote`, { params: { checkInDate, checkOutDate } })
+      .then((response) => setQuote(response.data.data))
+      .catch((err) => console.error('Failed to fetch quote:', err));
+  }, [formData.roomId, formData.checkInDate, formData.checkOutDate, editingBooking]);
+
   const fetchBookings = async () => {
     try {
       setLoading(true);
@@ -60,12 +84,38 @@ const CustomerBookingPage = () => {
       ...prev,
       [name]: value,
     }));
+    if (name === 'promoCode') {
+      setPromoPreview(null);
+      setPromoError('');
+    }
+  };
+
+  // Check the promo code against the selected stay and show the discounted total
+  const handleApplyPromoCode = async () => {
+    setPromoError('');
+    setPromoPreview(null);
+    try {
+      const response = await api.post('/promo-codes/validate', {
+        code: formData.promoCode,
+        roomId: formData.roomId,
+        checkInDate: formData.checkInDate,
+        checkOutDate: formData.checkOutDate,
+      });
+      setPromoPreview(response.data.data);
+    } catch (err) {
+      setPromoError(err.response?.data?.message || 'Failed to apply promo code');
+    }
   };
 
   const handleCreateBooking = async (e) => {
     e.preventDefault();
     setError('');
 
+    if (!policyAccepted) {
+      setError('Please accept the cancellation policy to continue');
+      return;
+    }
+
     try {
       const bookingData = {
         roomId: formData.roomId,
@@ -74,6 +124,7 @@ const CustomerBookingPage = () => {
         numberOfGuests: formData.numberOfGuests
           ? Number(formData.numberOfGuests)
           : undefined,
+        promoCode: formData.promoCode.trim() || undefined,
       };
 
       await api.post('/bookings', bookingData);
@@ -83,6 +134,7 @@ const CustomerBookingPage = () => {
         checkInDate: '',
         checkOutDate: '',
         numberOfGuests: '',
+        promoCode: '',
       });
       fetchBookings();
     } catch (err) {
@@ -108,6 +160,7 @@ const CustomerBookingPage = () => {
         checkInDate: '',
         checkOutDate: '',
         numberOfGuests: '',
+        promoCode: '',
       });
       fetchBookings();
     } catch (err) {
@@ -116,15 +169,19 @@ const CustomerBookingPage = () => {
   };
 
   const handleCancelBooking = async (bookingId) => {
-    if (
-      !window.confirm(
-        'Are you sure you want to cancel this booking? This action cannot be undone.'
-      )
-    ) {
-      return;
-    }
-
     try {
+      // Show what the booking's policy charges for cancelling now
+      const response = await api.get(`/bookings/${bookingId}/cancellation-quote`);
+      const terms = describeCancellationQuote(response.data.data.quote);
+
+      if (
+        !window.confirm(
+          `${terms}\n\nAre you sure you want to cancel this booking? This action cannot be undone.`
+        )
+      ) {
+        return;
+      }
+
       await api.post(`/bookings/${bookingId}/cancel`);
       fetchBookings();
     } catch (err) {
@@ -149,6 +206,7 @@ const CustomerBookingPage = () => {
         ? new Date(booking.checkOutDate).toISOString().split('T')[0]
         : '',
       numberOfGuests: '',
+      promoCode: '',
     });
     setShowBookingForm(true);
   };
@@ -161,6 +219,7 @@ const CustomerBookingPage = () => {
       checkInDate: '',
       checkOutDate: '',
       numberOfGuests: '',
+      promoCode: '',
     });
   };
 
@@ -275,8 +334,58 @@ const CustomerBookingPage = () => {
               </div>
             )}
 
+            {!editingBooking && quote && (
+              <div className="booking-policy">
+                <div className="booking-policy-total">
+                  {quote.totalNights} night(s): <strong>{formatCurrency(quote.totalAmount)}</strong>
+                </div>
+                <div className="booking-promo">
+                  <input
+                    type="text"
+                    name="promoCode"
+                    value={formData.promoCode}
+                    onChange={handleInputChange}
+                    placeholder="Promo code"
+                  />
+                  <button
+                    type="button"
+                    className="btn-secondary"
+                    onClick={handleApplyPromoCode}
+                    disabled={!formData.promoCode.trim()}
+                  >
+                    Apply
+                  </button>
+                </div>
+                {promoError && <p className="booking-promo-error">{promoError}</p>}
+                {promoPreview && (
+                  <p className="booking-promo-applied">
+                    {promoPreview.code} ({promoPreview.discount}): -{formatCurrency(promoPreview.discountAmount)}, new total{' '}
+                    <strong>{formatCurrency(promoPreview.totalAmount)}</strong>
+                  </p>
+                )}
+                <div className="booking-policy-name">
+                  Cancellation policy: {quote.cancellationPolicy?.name || 'Free cancellation'}
+                </div>
+                <p>{describeCancellationPolicy(quote.cancellationPolicy)}</p>
+                {quote.cancellationPolicy?.description && <p>{quote.cancellationPolicy.description}</p>}
+                <p>{describeDeposit(quote.deposit)}</p>
+                <label className="booking-policy-accept">
+                  <input
+                    type="checkbox"
+                    checked={policyAccepted}
+                    onChange={(e) => setPolicyAccepted(e.target.checked)}
+                  />
+                  I have read and accept the cancellation policy
+                </label>
+              </div>
+            )}
+
             <div className="form-actions">
-              <button type="submit" className="btn-primary">
+              <button
+                type="submit"
+                className="btn-primary"
+                disabled={!editingBooking && !policyAccepted}
+              >
                 {editingBooking ? 'Update Booking' : 'Create Booking'}
               </button>
               <button
@@ -328,6 +437,24 @@ const CustomerBookingPage = () => {
                   <strong>Total Amount:</strong>{' '}
                   {formatCurrency(booking.totalAmount)}
                 </div>
+                {booking.promotion && (
+                  <div className="detail-item">
+                    <strong>Promo Code:</strong> {booking.promotion.code} (-
+                    {formatCurrency(booking.promotion.discountAmount)})
+                  </div>
+                )}
+                <div className="detail-item">
+                  <strong>Cancellation:</strong>{' '}
+                  {booking.cancellationPolicy?.name || 'Free cancellation'}
+                </div>
+                {booking.cancellation && (
+                  <div className="detail-item">
+                    <strong>{booking.cancellation.noShow ? 'No-show fee:' : 'Cancellation fee:'}</strong>{' '}
+                    {formatCurrency(booking.cancellation.penaltyAmount)}
+                    {booking.cancellation.refundAmount > 0 &&
+                      ` (refund ${formatCurrency(booking.cancellation.refundAmount)})`}
+                  </div>
+                )}
                 {booking.room?.amenities && booking.room.amenities.length > 0 && (
                   <div className="detail-item">
                     <strong>Amenities:</strong>{' '}
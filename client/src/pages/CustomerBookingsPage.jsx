@@ -10,6 +10,8 @@ import { useNotification } from '../context/NotificationContext';
 import api from '../services/api';
 import Loader from '../components/Loader';
 import formatCurrency from '../utils/formatCurrency';
+import { describeCancellationQuote } from '../utils/cancellationPolicy';
+import { describeDeposit, describeDepositHold } from '../utils/deposit';
 import './CustomerBookingsPage.css';
 
 const CustomerBookingsPage = () => {
@@ -45,15 +47,19 @@ const CustomerBookingsPage = () => {
   };
 
   const handleCancelBooking = async (bookingId) => {
-    if (
-      !window.confirm(
-        'Are you sure you want to cancel this booking? This action cannot be undone.'
-      )
-    ) {
-      return;
-    }
-
     try {
+      // Show what the booking's policy charges for cancelling now
+      const response = await api.get(`/bookings/${bookingId}/cancellation-quote`);
+      const terms = describeCancellationQuote(response.data.data.quote);
+
+      if (
+        !window.confirm(
+          `${terms}\n\nAre you sure you want to cancel this booking? This action cannot be undone.`
+        )
+      ) {
+        return;
+      }
+
       await api.post(`/bookings/${bookingId}/cancel`);
       showNotification('Booking cancelled successfully', 'success');
       fetchBookings();
@@ -63,6 +69,28 @@ const CustomerBookingsPage = () => {
     }
   };
 
+  const handlePayDeposit = async (bookingId) => {
+    try {
+      const response = await api.post(`/billing/bookings/${bookingId}/pay/sslcommerz`, {
+        depositOnly: true,
+      });
+      const { isDemo, redirectUrl } = response.data.data;
+
+      if (isDemo) {
+        showNotification('Deposit paid successfully', 'success');
+        fetchBookings();
+      } else if (redirectUrl) {
+        window.location.href = redirectUrl;
+      }
+    } catch (err) {
+      const errorMsg = err.response?.data?.message || 'Failed to start deposit payment';
+      showNotification(errorMsg, 'error');
+    }
+  };
+
+  const needsDeposit = (booking) =>
+    booking.deposit && !booking.deposit.paidAt && ['pending', 'approved'].includes(booking.status);
+
   const formatDate = (dateString) => {
     return new Date(dateString).toLocaleDateString('en-US', {
       year: 'numeric',
@@ -161,7 +189,7 @@ const CustomerBookingsPage = () => {
                 <div className="detail-row">
                   <span className="detail-label">Room:</span>
                   <span className="detail-value">
-                    {booking.room?.code || 'N/A'} ({booking.room?.type || 'N/A'})
+                    {booking.room?.code || 'Assigned at check-in'} ({booking.room?.type || booking.roomType || 'N/A'})
                   </span>
                 </div>
                 <div className="detail-row">
@@ -180,9 +208,32 @@ const CustomerBookingsPage = () => {
                   <span className="detail-label">Total Amount:</span>
                   <span className="detail-value amount">{formatCurrency(booking.totalAmount)}</span>
                 </div>
+                {booking.deposit && (
+                  <div className="detail-row">
+                    <span className="detail-label">Deposit:</span>
+                    <span className="detail-value">
+                      {formatCurrency(booking.deposit.amount)}{' '}
+                      {booking.deposit.paidAt ? '(paid)' : '(unpaid)'}
+                    </span>
+                  </div>
+                )}
               </div>
 
+              {needsDeposit(booking) && (
+                <p className="booking-deposit-note">
+                  {describeDeposit(booking.deposit)} {describeDepositHold(booking.deposit)}
+                </p>
+              )}
+
               <div className="booking-actions">
+                {needsDeposit(booking) && (
+                  <button
+                    className="btn-pay-deposit"
+                    onClick={() => handlePayDeposit(booking._id || booking.id)}
+                  >
+                    Pay Deposit
+                  </button>
+                )}
                 {canCancel(booking.status) && (
                   <button
                     className="btn-cancel"
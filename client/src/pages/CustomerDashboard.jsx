@@ -16,6 +16,8 @@ import './Dashboard.css';
 const CustomerDashboard = () => {
   const { user } = useAuth();
   const [bookings, setBookings] = useState([]);
+  const [loyalty, setLoyalty] = useState(null);
+  const [loyaltyTransactions, setLoyaltyTransactions] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
 
@@ -34,8 +36,19 @@ const CustomerDashboard = () => {
       }
     };
 
+    const fetchLoyalty = async () => {
+      try {
+        const res = await api.get('/customer/loyalty', { params: { limit: 10 } });
+        setLoyalty(res.data?.data?.loyalty || null);
+        setLoyaltyTransactions(res.data?.data?.transactions || []);
+      } catch (err) {
+        console.error('Error fetching loyalty account:', err);
+      }
+    };
+
     if (user?.role === 'customer') {
       fetchBookings();
+      fetchLoyalty();
     } else {
       setLoading(false);
     }
@@ -84,6 +97,7 @@ const CustomerDashboard = () => {
         <div className="page-actions">
           <Link className="btn-primary" to="/customer/rooms">search rooms</Link>
           <Link className="btn-secondary" to="/customer/bookings">my bookings</Link>
+          <Link className="btn-secondary" to="/customer/book">book a room</Link>
         </div>
       </header>
 
@@ -124,6 +138,62 @@ const CustomerDashboard = () => {
         </div>
         </div>
 
+        {loyalty?.enabled && (
+          <div className="card loyalty-card">
+            <div className="card-header">loyalty points</div>
+            <div className="card-body">
+              <div className="loyalty-summary">
+                <div>
+                  <div className="loyalty-points">{loyalty.points.toLocaleString('en-US')}</div>
+                  <div className="loyalty-label">points · worth {formatCurrency(loyalty.pointsValue)}</div>
+                </div>
+                <div>
+                  <span className={`loyalty-tier loyalty-tier-${loyalty.tier.name}`}>{loyalty.tier.name}</span>
+                  <div className="loyalty-label">
+                    {loyalty.nightsStayed} night(s) stayed
+                    {loyalty.nextTier
+                      ? ` · ${loyalty.nextTier.nightsToGo} more to ${loyalty.nextTier.name}`
+                      : ' · top tier'}
+                  </div>
+                </div>
+                <div className="loyalty-label">
+                  earn {loyalty.earnRate * loyalty.tier.earnMultiplier} points per {formatCurrency(100)} paid;
+                  redeem from {loyalty.minRedeemPoints} points on the payments page
+                </div>
+              </div>
+
+              {loyaltyTransactions.length === 0 ? (
+                <p className="empty-state">No points yet. Points are added when you check out.</p>
+              ) : (
+                <div className="table-container">
+                  <table className="table">
+                    <thead>
+                      <tr>
+                        <th>Date</th>
+                        <th>Activity</th>
+                        <th>Points</th>
+                        <th>Balance</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {loyaltyTransactions.map((entry) => (
+                        <tr key={entry._id}>
+                          <td>{formatDate(entry.createdAt)}</td>
+                          <td>{entry.description || entry.type}</td>
+                          <td className={entry.points < 0 ? 'loyalty-debit' : 'loyalty-credit'}>
+                            {entry.points > 0 ? `+${entry.points}` : entry.points}
+                          </td>
+                          <td>{entry.balanceAfter}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              )}
+            </div>
+          </div>
+        )}
+
         <div style={{ display: 'grid', gridTemplateColumns: 'repeat(4, 1fr)', gap: '14px' }}>
         <div className="card-glass">
           <div style={{ fontSize: '22px', width: '42px', height: '42px', display: 'grid', placeItems: 'center', borderRadius: '12px', background: 'rgba(212,175,55,0.18)', border: '1px solid rgba(212,175,55,0.25)' }}>🛏️</div>
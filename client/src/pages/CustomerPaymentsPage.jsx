@@ -9,6 +9,7 @@ import { useAuth } from '../context/AuthContext';
 import api from '../services/api';
 import Loader from '../components/Loader';
 import formatCurrency from '../utils/formatCurrency';
+import downloadPdf from '../utils/downloadPdf';
 import './CustomerPaymentsPage.css';
 
 const CustomerPaymentsPage = () => {
@@ -17,14 +18,19 @@ const CustomerPaymentsPage = () => {
   const bookingIdParam = searchParams.get('bookingId');
   
   const [payments, setPayments] = useState([]);
+  const [paymentSummary, setPaymentSummary] = useState(null);
   const [bookings, setBookings] = useState([]);
   const [selectedBooking, setSelectedBooking] = useState(bookingIdParam || '');
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState('');
+  const [loyalty, setLoyalty] = useState(null);
+  const [pointsToRedeem, setPointsToRedeem] = useState('');
+  const [redeeming, setRedeeming] = useState(false);
 
   useEffect(() => {
     if (user?.role === 'customer') {
       fetchBookings();
+      fetchLoyalty();
       if (selectedBooking) {
         fetchPayments(selectedBooking);
       }
@@ -40,11 +46,39 @@ const CustomerPaymentsPage = () => {
     }
   };
 
+  const fetchLoyalty = async () => {
+    try {
+      const response = await api.get('/customer/loyalty', { params: { limit: 1 } });
+      setLoyalty(response.data.data.loyalty || null);
+    } catch (err) {
+      console.error('Failed to fetch loyalty points:', err);
+    }
+  };
+
+  // Pay towards the selected booking with loyalty points (as many as the balance needs when left empty)
+  const handleRedeemPoints = async () => {
+    try {
+      setRedeeming(true);
+      setError('');
+      await api.post(`/billing/pay/${selectedBooking}`, {
+        method: 'loyalty_points',
+        points: pointsToRedeem ? Number(pointsToRedeem) : undefined,
+      });
+      setPointsToRedeem('');
+      await Promise.all([fetchPayments(selectedBooking), fetchLoyalty()]);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to redeem loyalty points');
+    } finally {
+      setRedeeming(false);
+    }
+  };
+
   const fetchPayments = async (bookingId) => {
     try {
       setLoading(true);
       const response = await api.get(`/billing/bookings/${bookingId}/payments`);
       setPayments(response.data.data.payments || []);
+      setPaymentSummary(response.data.data.summary || null);
       setError('');
     } catch (err) {
       setError(err.response?.data?.message || 'Failed to fetch payments');
@@ -53,6 +87,29 @@ const CustomerPaymentsPage = () => {
     }
   };
 
+  const handleDownloadInvoice = async () => {
+    try {
+      await downloadPdf(
+        `/billing/bookings/${selectedBooking}/invoice/pdf`,
+        `invoice-${String(selectedBooking).slice(-8)}.pdf`
+      );
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to download invoice');
+    }
+  };
+
+  const handleDownloadReceipt = async (payment) => {
+    const paymentId = payment._id || payment.id;
+    try {
+      await downloadPdf(
+        `/billing/payments/${paymentId}/receipt/pdf`,
+        `receipt-${payment.transactionId || paymentId}.pdf`
+      );
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to download receipt');
+    }
+  };
+
   const formatDate = (dateString) => {
     return new Date(dateString).toLocaleDateString('en-US', {
       year: 'numeric',
@@ -71,6 +128,9 @@ const CustomerPaymentsPage = () => {
         return '#f39c12';
       case 'failed':
         return '#e74c3c';
+      case 'partially_refunded':
+      case 'refunded':
+        return '#8e44ad';
       default:
         return '#7f8c8d';
     }
@@ -80,6 +140,7 @@ const CustomerPaymentsPage = () => {
     if (!method) return 'N/A';
     // Handle special cases
     if (method === 'sslcommerz-demo') return 'SSLCommerz (Demo)';
+    if (method === 'loyalty_points') return 'Loyalty Points';
     // Capitalize first letter and handle camelCase
     return method
       .replace(/([A-Z])/g, ' $1')
@@ -142,6 +203,9 @@ const CustomerPaymentsPage = () => {
                 <h2>
                   Payments for Booking #{String(selectedBooking).slice(-8)}
                 </h2>
+                <button className="btn-download-invoice" onClick={handleDownloadInvoice}>
+                  Download Invoice (PDF)
+                </button>
               </div>
 
               {selectedBookingData && (
@@ -156,17 +220,37 @@ const CustomerPaymentsPage = () => {
                     <div className="summary-item">
                       <span className="summary-label">Total Paid:</span>
                       <span className="summary-value">
-                        {formatCurrency(
-                          payments
-                            .filter((p) => p.status === 'paid')
-                            .reduce((sum, p) => sum + p.amount, 0)
-                        )}
+                        {formatCurrency(paymentSummary?.totalPaid || 0)}
                       </span>
                     </div>
                   )}
                 </div>
               )}
 
+              {loyalty?.enabled && paymentSummary?.balanceDue > 0 && loyalty.points > 0 && (
+                <div className="redeem-points">
+                  <div>
+                    <strong>Pay with loyalty points</strong>
+                    <div className="redeem-points-note">
+                      {loyalty.points.toLocaleString('en-US')} points available, worth{' '}
+                      {formatCurrency(loyalty.pointsValue)} (minimum {loyalty.minRedeemPoints} points)
+                    </div>
+                  </div>
+                  <input
+                    type="number"
+                    min="1"
+                    step="1"
+                    max={loyalty.points}
+                    value={pointsToRedeem}
+                    onChange={(e) => setPointsToRedeem(e.target.value)}
+                    placeholder="All needed"
+                  />
+                  <button className="btn-download-invoice" onClick={handleRedeemPoints} disabled={redeeming}>
+                    {redeeming ? 'Redeeming...' : 'Redeem Points'}
+                  </button>
+                </div>
+              )}
+
               {loading ? (
                 <Loader />
               ) : error ? (
@@ -186,13 +270,19 @@ const CustomerPaymentsPage = () => {
                         <th>Status</th>
                         <th>Transaction ID</th>
                         <th>Invoice #</th>
+                        <th>Receipt</th>
                       </tr>
                     </thead>
                     <tbody>
                       {payments.map((payment) => (
                         <tr key={payment._id || payment.id}>
                           <td>{formatDate(payment.createdAt)}</td>
-                          <td className="amount">{formatCurrency(payment.amount)}</td>
+                          <td className="amount">
+                            {payment.type === 'refund' ? `Refund −${formatCurrency(payment.amount)}` : formatCurrency(payment.amount)}
+                            {payment.refundedAmount > 0 && (
+                              <div className="amount-note">{formatCurrency(payment.refundedAmount)} refunded</div>
+                            )}
+                          </td>
                           <td>
                             <span className={`method-badge method-${payment.paymentMethod}`}>
                               {formatPaymentMethod(payment.paymentMethod)}
@@ -203,11 +293,21 @@ const CustomerPaymentsPage = () => {
                               className="status-badge"
                               style={{ backgroundColor: getStatusColor(payment.status) }}
                             >
-                              {payment.status}
+                              {payment.status.replace('_', ' ')}
                             </span>
                           </td>
                           <td>{payment.transactionId || 'N/A'}</td>
                           <td>{payment.invoiceNumber || 'N/A'}</td>
+                          <td>
+                            {['paid', 'partially_refunded', 'refunded'].includes(payment.status) && (
+                              <button
+                                className="btn-receipt"
+                                onClick={() => handleDownloadReceipt(payment)}
+                              >
+                                PDF
+                              </button>
+                            )}
+                          </td>
                         </tr>
                       ))}
                     </tbody>
@@ -5,19 +5,26 @@
 
 import React, { useState, useEffect } from 'react';
 import { Link } from 'react-router-dom';
+import { useAuth } from '../context/AuthContext';
 import api from '../services/api';
 import Loader from '../components/Loader';
 import formatCurrency from '../utils/formatCurrency';
+import describeCancellationPolicy from '../utils/cancellationPolicy';
+import describeDeposit from '../utils/deposit';
 import { getRoomImage, getRoomDescription } from '../utils/roomImages';
 import '../styles/Theme.css';
 import './CustomerRoomsSearchPage.css';
 
 const CustomerRoomsSearchPage = () => {
+  const { user } = useAuth();
   const [rooms, setRooms] = useState([]);
+  const [roomTypes, setRoomTypes] = useState([]);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState('');
   const [successMessage, setSuccessMessage] = useState('');
-  const [bookingRoomId, setBookingRoomId] = useState(null);
+  const [bookingRoomType, setBookingRoomType] = useState(null);
+  const [waitlistEntries, setWaitlistEntries] = useState([]);
+  const [waitlistAction, setWaitlistAction] = useState(null);
   const [filters, setFilters] = useState({
     type: '',
     minPrice: '',
@@ -31,6 +38,22 @@ const CustomerRoomsSearchPage = () => {
     searchRooms();
   }, []);
 
+  // Only guests join the waitlist
+  useEffect(() => {
+    if (user?.role === 'customer') {
+      fetchWaitlist();
+    }
+  }, [user]);
+
+  const fetchWaitlist = async () => {
+    try {
+      const response = await api.get('/waitlist/my-entries');
+      setWaitlistEntries(response.data.data.entries || []);
+    } catch (err) {
+      console.error('Failed to fetch waitlist entries:', err);
+    }
+  };
+
   const handleFilterChange = (e) => {
     const { name, value } = e.target;
     setFilters((prev) => ({
@@ -56,6 +79,7 @@ const CustomerRoomsSearchPage = () => {
 
       const response = await api.get(`/rooms?${params.toString()}`);
       setRooms(response.data.data.rooms || []);
+      setRoomTypes([]);
     } catch (err) {
       setError(err.response?.data?.message || 'Failed to search rooms');
       setRooms([]);
@@ -92,10 +116,10 @@ const CustomerRoomsSearchPage = () => {
     try {
       setLoading(true);
       const response = await api.get(
-        `/rooms/availability?checkInDate=${filters.checkInDate}&checkOutDate=${filters.checkOutDate}`
+        `/rooms/type-availability?checkInDate=${filters.checkInDate}&checkOutDate=${filters.checkOutDate}`
       );
-      const availableRooms = response.data.data.availableRooms || [];
-      setRooms(availableRooms);
+      const types = response.data.data.roomTypes || [];
+      setRoomTypes(filters.type ? types.filter((t) => t.roomType === filters.type) : types);
       setError('');
     } catch (err) {
       setError(err.response?.data?.message || 'Failed to check availability');
@@ -104,33 +128,145 @@ const CustomerRoomsSearchPage = () => {
     }
   };
 
-  const handleBookRoom = async (roomId) => {
+  // Rooms are sold by type; the front desk assigns the actual room at check-in
+  const handleBookRoomType = async ({ roomType, totalAmount, cancellationPolicy, deposit }) => {
     if (!filters.checkInDate || !filters.checkOutDate) {
       setError('Please select check-in and check-out dates before booking');
       return;
     }
 
+    // The guest accepts the cancellation terms before the booking is placed
+    if (
+      !window.confirm(
+        `Book a ${roomType} room${totalAmount ? ` for ${formatCurrency(totalAmount)}` : ''}?\n\n` +
+          `Cancellation policy: ${cancellationPolicy?.name || 'Free cancellation'}\n` +
+          `${describeCancellationPolicy(cancellationPolicy)}\n` +
+          `${describeDeposit(deposit)}\n\n` +
+          'Press OK to accept the cancellation policy and book.'
+      )
+    ) {
+      return;
+    }
+
     setError('');
     setSuccessMessage('');
-    setBookingRoomId(roomId);
+    setBookingRoomType(roomType);
 
     try {
       await api.post('/bookings', {
-        roomId,
+        roomType,
         checkInDate: filters.checkInDate,
         checkOutDate: filters.checkOutDate,
       });
 
       setSuccessMessage(
-        'Booking request submitted! You can view it under My Bookings.'
+        `Booking request for a ${roomType} room submitted! Your room number is assigned at check-in. You can view it under My Bookings.`
       );
+      if (roomTypes.length > 0) {
+        checkAvailability();
+      }
     } catch (err) {
       setError(err.response?.data?.message || 'Failed to create booking');
     } finally {
-      setBookingRoomId(null);
+      setBookingRoomType(null);
+    }
+  };
+
+  // Sold-out dates: the guest waits in line and is offered a room that frees up
+  const handleJoinWaitlist = async (roomType) => {
+    setError('');
+    setSuccessMessage('');
+    setWaitlistAction(roomType);
+
+    try {
+      const response = await api.post('/waitlist', {
+        roomType,
+        checkInDate: filters.checkInDate,
+        checkOutDate: filters.checkOutDate,
+      });
+      setSuccessMessage(
+        `You are number ${response.data.data.position} on the waitlist for a ${roomType} room. We will let you know as soon as one frees up.`
+      );
+      fetchWaitlist();
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to join the waitlist');
+    } finally {
+      setWaitlistAction(null);
     }
   };
 
+  // An offered room is held for the guest; booking it takes over the hold
+  const handleBookOffer = async (entry) => {
+    if (
+      !window.confirm(
+        `Book the ${entry.roomType} room held for you from ${formatDate(entry.checkInDate)} to ${formatDate(entry.checkOutDate)}?\n\n` +
+          'The room type\'s cancellation policy and deposit apply.'
+      )
+    ) {
+      return;
+    }
+
+    setError('');
+    setSuccessMessage('');
+    setWaitlistAction(entry._id);
+
+    try {
+      await api.post('/bookings', {
+        roomType: entry.roomType,
+        checkInDate: entry.checkInDate,
+        checkOutDate: entry.checkOutDate,
+        waitlistEntryId: entry._id,
+      });
+      setSuccessMessage(
+        `Booking request for a ${entry.roomType} room submitted! You can view it under My Bookings.`
+      );
+      fetchWaitlist();
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to book the offered room');
+      fetchWaitlist();
+    } finally {
+      setWaitlistAction(null);
+    }
+  };
+
+  const handleLeaveWaitlist = async (entry) => {
+    if (!window.confirm('Leave the waitlist for these dates?')) {
+      return;
+    }
+
+    setError('');
+    setSuccessMessage('');
+    setWaitlistAction(entry._id);
+
+    try {
+      const response = await api.post(`/waitlist/${entry._id}/cancel`);
+      setSuccessMessage(response.data.message);
+      fetchWaitlist();
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to leave the waitlist');
+    } finally {
+      setWaitlistAction(null);
+    }
+  };
+
+  const formatDate = (dateString) =>
+    new Date(dateString).toLocaleDateString('en-US', {
+      timeZone: 'UTC',
+      month: 'short',
+      day: 'numeric',
+      year: 'numeric',
+    });
+
+  const formatDateTime = (dateString) =>
+    new Date(dateString).toLocaleString('en-US', {
+      month: 'short',
+      day: 'numeric',
+      hour: '2-digit',
+      minute: '2-digit',
+    });
+
+  const activeWaitlistEntries = waitlistEntries.filter((entry) => ['waiting', 'offered'].includes(entry.status));
+
   // Set minimum date to today
   const today = new Date().toISOString().split('T')[0];
 
@@ -255,8 +391,108 @@ const CustomerRoomsSearchPage = () => {
         {error && <div className="error-message">{error}</div>}
         {successMessage && <div className="success-message">{successMessage}</div>}
 
+        {activeWaitlistEntries.length > 0 && (
+          <div className="card">
+            <div className="card-header">My Waitlist</div>
+            <div className="card-body">
+              {activeWaitlistEntries.map((entry) => (
+                <div key={entry._id} className={`waitlist-entry ${entry.status}`}>
+                  <div>
+                    <div className="waitlist-entry-stay">
+                      {entry.roomType} room · {formatDate(entry.checkInDate)} – {formatDate(entry.checkOutDate)}
+                    </div>
+                    <div className="waitlist-entry-status">
+                      {entry.status === 'offered'
+                        ? `A room is held for you until ${formatDateTime(entry.holdExpiresAt)}`
+                        : `Number ${entry.position} in line`}
+                    </div>
+                  </div>
+                  <div className="waitlist-entry-actions">
+                    {entry.status === 'offered' && (
+                      <button
+                        className="btn-primary"
+                        onClick={() => handleBookOffer(entry)}
+                        disabled={waitlistAction === entry._id}
+                      >
+                        Book Now
+                      </button>
+                    )}
+                    <button
+                      className="btn-clear"
+                      onClick={() => handleLeaveWaitlist(entry)}
+                      disabled={waitlistAction === entry._id}
+                    >
+                      Leave Waitlist
+                    </button>
+                  </div>
+                </div>
+              ))}
+            </div>
+          </div>
+        )}
+
         {loading ? (
           <Loader />
+        ) : roomTypes.length > 0 ? (
+          <div className="card">
+            <div className="card-header">Available Room Types</div>
+            <div className="card-body">
+              <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fill, minmax(300px, 1fr))', gap: '18px' }}>
+                {roomTypes.map((roomType) => (
+                  <div key={roomType.roomType} className="card">
+                    <div className="card-body">
+                      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '8px' }}>
+                        <h3 style={{ margin: 0, fontWeight: 900, textTransform: 'capitalize', color: '#0b1b2a' }}>{roomType.roomType} room</h3>
+                        <span className={`room-type-availability ${roomType.available > 0 ? 'available' : 'sold-out'}`}>
+                          {roomType.available > 0 ? `${roomType.available} left` : 'Sold out'}
+                        </span>
+                      </div>
+                      <div style={{ fontSize: '14px', lineHeight: '1.6' }}>
+                        <p style={{ margin: '4px 0' }}><strong>From:</strong> {formatCurrency(roomType.pricePerNight)}/night</p>
+                        <p style={{ margin: '4px 0' }}><strong>Total for {roomType.nightlyRates.length} night(s):</strong> {formatCurrency(roomType.totalAmount)}</p>
+                        <p style={{ margin: '4px 0' }}><strong>Max Guests:</strong> {roomType.maxGuests}</p>
+                        <p className="room-type-policy">
+                          <strong>{roomType.cancellationPolicy?.name || 'Free cancellation'}:</strong>{' '}
+                          {describeCancellationPolicy(roomType.cancellationPolicy)}
+                        </p>
+                        <p className="room-type-policy">{describeDeposit(roomType.deposit)}</p>
+                        {roomType.amenities.length > 0 && (
+                          <div style={{ display: 'flex', flexWrap: 'wrap', gap: '6px', marginTop: '4px' }}>
+                            {roomType.amenities.slice(0, 4).map((amenity, index) => (
+                              <span key={index} style={{ padding: '4px 8px', borderRadius: '6px', background: 'rgba(212,175,55,0.16)', fontSize: '12px' }}>{amenity}</span>
+                            ))}
+                          </div>
+                        )}
+                      </div>
+                      {roomType.available > 0 ? (
+                        <button
+                          className="btn-primary"
+                          onClick={() => handleBookRoomType(roomType)}
+                          disabled={bookingRoomType === roomType.roomType}
+                          style={{ width: '100%', marginTop: '12px' }}
+                        >
+                          {bookingRoomType === roomType.roomType ? 'Booking...' : 'Book Now'}
+                        </button>
+                      ) : user?.role === 'customer' ? (
+                        <button
+                          className="btn-secondary"
+                          onClick={() => handleJoinWaitlist(roomType.roomType)}
+                          disabled={waitlistAction === roomType.roomType}
+                          style={{ width: '100%', marginTop: '12px' }}
+                        >
+                          {waitlistAction === roomType.roomType ? 'Joining...' : 'Join Waitlist'}
+                        </button>
+                      ) : (
+                        <button className="btn-primary" disabled style={{ width: '100%', marginTop: '12px' }}>
+                          Not Available
+                        </button>
+                      )}
+                    </div>
+                  </div>
+                ))}
+              </div>
+            </div>
+          </div>
         ) : (
           <div className="card">
             <div className="card-header">Available Rooms ({rooms.length})</div>
@@ -308,14 +544,14 @@ const CustomerRoomsSearchPage = () => {
                         <div style={{ marginTop: '12px' }}>
                           <button
                             className="btn-primary"
-                            onClick={() => handleBookRoom(room._id || room.id)}
-                            disabled={bookingRoomId === (room._id || room.id) || room.status !== 'available'}
+                            onClick={() => handleBookRoomType({ roomType: room.type })}
+                            disabled={bookingRoomType === room.type || room.status === 'maintenance'}
                             style={{ width: '100%' }}
                           >
-                            {bookingRoomId === (room._id || room.id)
+                            {bookingRoomType === room.type
                               ? 'Booking...'
-                              : room.status === 'available'
-                              ? 'Book Now'
+                              : room.status !== 'maintenance'
+                              ? `Book a ${room.type} room`
                               : 'Not Available'}
                           </button>
                         </div>
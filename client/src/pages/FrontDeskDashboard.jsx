@@ -9,14 +9,23 @@ import api from '../services/api';
 import Loader from '../components/Loader';
 import formatCurrency from '../utils/formatCurrency';
 import StayCard from '../components/StayCard';
+import RoomAssignmentModal from '../components/RoomAssignmentModal';
 import './FrontDeskDashboard.css';
 
+// Early check-in and late checkout requests: request type, booking field and label
+const TIME_REQUEST_TYPES = [
+  { type: 'early_check_in', field: 'earlyCheckIn', label: 'Early check-in' },
+  { type: 'late_check_out', field: 'lateCheckOut', label: 'Late checkout' },
+];
+
 const FrontDeskDashboard = () => {
   const { user } = useAuth();
   const [overview, setOverview] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState('');
   const [selectedBooking, setSelectedBooking] = useState(null);
+  const [assigningBooking, setAssigningBooking] = useState(null);
+  const [movingBooking, setMovingBooking] = useState(null);
   const [actionLoading, setActionLoading] = useState({});
 
   useEffect(() => {
@@ -41,31 +50,156 @@ const FrontDeskDashboard = () => {
     }
   };
 
-  const handleCheckIn = async (bookingId) => {
+  // Check-in goes through the room assignment step; staff can keep the suggestion or pick another room
+  const handleCheckIn = async (bookingId, roomId, overrides = {}) => {
     try {
       setActionLoading((prev) => ({ ...prev, [bookingId]: true }));
-      await api.post(`/bookings/${bookingId}/check-in`);
+      await api.post(`/bookings/${bookingId}/check-in`, { roomId, ...overrides });
+      setAssigningBooking(null);
       await fetchOverview();
       setError('');
     } catch (err) {
+      const details = err.response?.data?.data;
+      // The guest is arriving early and the early check-in has a fee: staff may approve it here
+      if (err.response?.status === 409 && details?.canApprove) {
+        if (
+          window.confirm(
+            `${err.response.data.message}. Approve it and charge ${formatCurrency(details.earlyCheckIn.fee)}?`
+          )
+        ) {
+          setActionLoading((prev) => ({ ...prev, [bookingId]: false }));
+          return handleCheckIn(bookingId, roomId, { ...overrides, approveEarlyCheckIn: true });
+        }
+        setError(err.response.data.message);
+        return;
+      }
+      // The room has not been cleaned yet: staff may check the guest in anyway
+      if (err.response?.status === 409 && details?.canOverride) {
+        if (window.confirm(`${err.response.data.message}. Check the guest in anyway?`)) {
+          setActionLoading((prev) => ({ ...prev, [bookingId]: false }));
+          return handleCheckIn(bookingId, roomId, { ...overrides, allowUncleanRoom: true });
+        }
+        setError(err.response.data.message);
+        return;
+      }
       setError(err.response?.data?.message || 'Failed to check in guest');
     } finally {
       setActionLoading((prev) => ({ ...prev, [bookingId]: false }));
     }
   };
 
+  // Moving an in-house guest re-prices the rest of the stay and sends the old room to housekeeping
+  const handleMoveRoom = async (bookingId, roomId, { reason, complimentary }, allowUncleanRoom = false) => {
+    try {
+      setActionLoading((prev) => ({ ...prev, [bookingId]: true }));
+      await api.post(`/bookings/${bookingId}/move-room`, { roomId, reason, complimentary, allowUncleanRoom });
+      setMovingBooking(null);
+      await fetchOverview();
+      setError('');
+    } catch (err) {
+      const details = err.response?.data?.data;
+      if (err.response?.status === 409 && details?.canOverride) {
+        if (window.confirm(`${err.response.data.message}. Move the guest anyway?`)) {
+          setActionLoading((prev) => ({ ...prev, [bookingId]: false }));
+          return handleMoveRoom(bookingId, roomId, { reason, complimentary }, true);
+        }
+        setError(err.response.data.message);
+        return;
+      }
+      setError(err.response?.data?.message || 'Failed to move guest');
+    } finally {
+      setActionLoading((prev) => ({ ...prev, [bookingId]: false }));
+    }
+  };
+
+  // Early check-ins and late checkouts are asked for with a time, then approved or declined
+  const handleRequestStayTime = async (booking, type) => {
+    const bookingId = booking._id || booking.id;
+    const time = window.prompt(
+      type === 'early_check_in' ? 'Arrival time (HH:mm):' : 'Departure time (HH:mm):'
+    );
+    if (!time) {
+      return;
+    }
+
+    try {
+      setActionLoading((prev) => ({ ...prev, [bookingId]: true }));
+      await api.post(`/bookings/${bookingId}/time-requests`, { type, time });
+      await fetchOverview();
+      setError('');
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to send request');
+    } finally {
+      setActionLoading((prev) => ({ ...prev, [bookingId]: false }));
+    }
+  };
+
+  const handleDecideStayTime = async (bookingId, type, decision) => {
+    try {
+      setActionLoading((prev) => ({ ...prev, [bookingId]: true }));
+      await api.patch(`/bookings/${bookingId}/time-requests/${type}`, { decision });
+      await fetchOverview();
+      setError('');
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to update request');
+    } finally {
+      setActionLoading((prev) => ({ ...prev, [bookingId]: false }));
+    }
+  };
+
+  const handleExtendStay = async (booking) => {
+    const bookingId = booking._id || booking.id;
+    const checkOutDate = window.prompt(
+      'New check-out date (YYYY-MM-DD):',
+      new Date(booking.checkOutDate).toISOString().slice(0, 10)
+    );
+    if (!checkOutDate) {
+      return;
+    }
+
+    try {
+      setActionLoading((prev) => ({ ...prev, [bookingId]: true }));
+      await api.post(`/bookings/${bookingId}/extend`, { checkOutDate });
+      await fetchOverview();
+      setError('');
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to extend stay');
+    } finally {
+      setActionLoading((prev) => ({ ...prev, [bookingId]: false }));
+    }
+  };
+
   const handleCheckOut = async (bookingId) => {
-    if (
-      !window.confirm(
-        'Are you sure you want to check out this guest? This action cannot be undone.'
-      )
-    ) {
+    let waiveEarlyDepartureFee = false;
+    try {
+      // A guest leaving before their check-out date only pays for the nights stayed, plus any fee
+      const response = await api.get(`/bookings/${bookingId}/early-departure-quote`);
+      const { quote } = response.data.data;
+      if (quote.isEarly) {
+        if (
+          !window.confirm(
+            `The guest is leaving ${quote.nightsCancelled} night(s) early: ${formatCurrency(quote.cancelledAmount)} comes off the bill` +
+              `${quote.fee > 0 ? ` and an early departure fee of ${formatCurrency(quote.fee)} is charged` : ''}. Check out now?`
+          )
+        ) {
+          return;
+        }
+        waiveEarlyDepartureFee = quote.fee > 0 && !window.confirm('Charge the early departure fee? Cancel to waive it.');
+      } else if (
+        !window.confirm(
+          'Are you sure you want to check out this guest? This action cannot be undone.'
+        )
+      ) {
+        return;
+      }
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to check out guest');
       return;
     }
 
     try {
       setActionLoading((prev) => ({ ...prev, [bookingId]: true }));
-      await api.post(`/bookings/${bookingId}/check-out`);
+      await api.post(`/bookings/${bookingId}/check-out`, { waiveEarlyDepartureFee });
       await fetchOverview();
       setError('');
     } catch (err) {
@@ -75,6 +209,38 @@ const FrontDeskDashboard = () => {
     }
   };
 
+  const handleNoShow = async (booking) => {
+    const bookingId = booking._id || booking.id;
+    let waivePenalty = false;
+    try {
+      const response = await api.get(`/bookings/${bookingId}/cancellation-quote`, { params: { noShow: true } });
+      const { quote } = response.data.data;
+      if (
+        !window.confirm(
+          `Mark ${booking.guest?.name || 'this guest'} as a no-show and release the room?` +
+            `${quote.penaltyAmount > 0 ? ` The no-show penalty is ${formatCurrency(quote.penaltyAmount)}.` : ''}`
+        )
+      ) {
+        return;
+      }
+      waivePenalty = quote.penaltyAmount > 0 && !window.confirm('Charge the no-show penalty? Cancel to waive it.');
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to mark no-show');
+      return;
+    }
+
+    try {
+      setActionLoading((prev) => ({ ...prev, [bookingId]: true }));
+      await api.post(`/bookings/${bookingId}/no-show`, { waivePenalty });
+      await fetchOverview();
+      setError('');
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to mark no-show');
+    } finally {
+      setActionLoading((prev) => ({ ...prev, [bookingId]: false }));
+    }
+  };
+
   const formatDate = (dateString) => {
     return new Date(dateString).toLocaleDateString('en-US', {
       year: 'numeric',
@@ -133,7 +299,10 @@ const FrontDeskDashboard = () => {
                       <div className="guest-name">
                         {booking.guest?.name || 'N/A'}
                       </div>
-                      <div className="room-code">Room {booking.room?.code || 'N/A'}</div>
+                      <div className="room-code">
+                        {booking.room?.code ? `Room ${booking.room.code}` : 'Unassigned'}
+                        <span className="room-type-label">{booking.roomType || booking.room?.type}</span>
+                      </div>
                     </div>
                     <div className="booking-details">
                       <div className="detail-item">
@@ -147,11 +316,21 @@ const FrontDeskDashboard = () => {
                         <span className="detail-value">{booking.totalNights}</span>
                       </div>
                     </div>
+                    <button
+                      className="btn-stay-action"
+                      onClick={(e) => {
+                        e.stopPropagation();
+                        handleRequestStayTime(booking, 'early_check_in');
+                      }}
+                      disabled={actionLoading[booking._id || booking.id]}
+                    >
+                      Early Check-in
+                    </button>
                     <button
                       className="btn-check-in"
                       onClick={(e) => {
                         e.stopPropagation();
-                        handleCheckIn(booking._id || booking.id);
+                        setAssigningBooking(booking);
                       }}
                       disabled={actionLoading[booking._id || booking.id]}
                     >
@@ -201,6 +380,36 @@ const FrontDeskDashboard = () => {
                         <span className="detail-value">{booking.totalNights}</span>
                       </div>
                     </div>
+                    <button
+                      className="btn-stay-action"
+                      onClick={(e) => {
+                        e.stopPropagation();
+                        setMovingBooking(booking);
+                      }}
+                      disabled={actionLoading[booking._id || booking.id]}
+                    >
+                      Move Room
+                    </button>
+                    <button
+                      className="btn-stay-action"
+                      onClick={(e) => {
+                        e.stopPropagation();
+                        handleExtendStay(booking);
+                      }}
+                      disabled={actionLoading[booking._id || booking.id]}
+                    >
+                      Extend Stay
+                    </button>
+                    <button
+                      className="btn-stay-action"
+                      onClick={(e) => {
+                        e.stopPropagation();
+                        handleRequestStayTime(booking, 'late_check_out');
+                      }}
+                      disabled={actionLoading[booking._id || booking.id]}
+                    >
+                      Late Checkout
+                    </button>
                     <button
                       className="btn-check-out"
                       onClick={(e) => {
@@ -274,9 +483,130 @@ const FrontDeskDashboard = () => {
               )}
             </div>
           </div>
+
+          {/* Overdue Arrivals: guests who were due before today and never arrived */}
+          <div className="section-card overdue-arrivals-card">
+            <div className="section-header">
+              <h2>
+                Overdue Arrivals
+                <span className="count-badge">{overview.overdueArrivals?.count || 0}</span>
+              </h2>
+            </div>
+            <div className="bookings-list">
+              {!overview.overdueArrivals?.bookings.length ? (
+                <p className="empty-message">No overdue arrivals</p>
+              ) : (
+                overview.overdueArrivals.bookings.map((booking) => (
+                  <div key={booking._id || booking.id} className="booking-item">
+                    <div className="booking-main-info">
+                      <div className="guest-name">{booking.guest?.name || 'N/A'}</div>
+                      <div className="room-code">{booking.room?.code ? `Room ${booking.room.code}` : 'Unassigned'}</div>
+                    </div>
+                    <div className="booking-details">
+                      <div className="detail-item">
+                        <span className="detail-label">Due:</span>
+                        <span className="detail-value">{formatDate(booking.checkInDate)}</span>
+                      </div>
+                    </div>
+                    <div className="time-request-actions">
+                      <button
+                        className="btn-check-in"
+                        onClick={() => setAssigningBooking(booking)}
+                        disabled={actionLoading[booking._id || booking.id]}
+                      >
+                        Check In
+                      </button>
+                      <button
+                        className="btn-check-out"
+                        onClick={() => handleNoShow(booking)}
+                        disabled={actionLoading[booking._id || booking.id]}
+                      >
+                        No-show
+                      </button>
+                    </div>
+                  </div>
+                ))
+              )}
+            </div>
+          </div>
+
+          {/* Early Check-in & Late Checkout Requests */}
+          <div className="section-card time-requests-card">
+            <div className="section-header">
+              <h2>
+                Time Requests
+                <span className="count-badge">{overview.timeRequests?.count || 0}</span>
+              </h2>
+            </div>
+            <div className="bookings-list">
+              {!overview.timeRequests?.bookings.length ? (
+                <p className="empty-message">No early check-in or late checkout requests</p>
+              ) : (
+                overview.timeRequests.bookings.flatMap((booking) =>
+                  TIME_REQUEST_TYPES.filter(({ field }) => booking[field]?.status === 'requested').map(
+                    ({ type, field, label }) => (
+                      <div key={`${booking._id || booking.id}-${type}`} className="booking-item">
+                        <div className="booking-main-info">
+                          <div className="guest-name">{booking.guest?.name || 'N/A'}</div>
+                          <div className="room-code">{booking.room?.code ? `Room ${booking.room.code}` : 'Unassigned'}</div>
+                        </div>
+                        <div className="booking-details">
+                          <div className="detail-item">
+                            <span className="detail-label">{label}:</span>
+                            <span className="detail-value">
+                              {formatDate(booking[field].requestedTime)} {formatTime(booking[field].requestedTime)}
+                            </span>
+                          </div>
+                          <div className="detail-item">
+                            <span className="detail-label">Fee:</span>
+                            <span className="detail-value amount">{formatCurrency(booking[field].fee)}</span>
+                          </div>
+                        </div>
+                        <div className="time-request-actions">
+                          <button
+                            className="btn-check-in"
+                            onClick={() => handleDecideStayTime(booking._id || booking.id, type, 'approved')}
+                            disabled={actionLoading[booking._id || booking.id]}
+                          >
+                            Approve
+                          </button>
+                          <button
+                            className="btn-check-out"
+                            onClick={() => handleDecideStayTime(booking._id || booking.id, type, 'declined')}
+                            disabled={actionLoading[booking._id || booking.id]}
+                          >
+                            Decline
+                          </button>
+                        </div>
+                      </div>
+                    )
+                  )
+                )
+              )}
+            </div>
+          </div>
         </div>
       )}
 
+      {assigningBooking && (
+        <RoomAssignmentModal
+          booking={assigningBooking}
+          submitting={actionLoading[assigningBooking._id || assigningBooking.id]}
+          onConfirm={(roomId) => handleCheckIn(assigningBooking._id || assigningBooking.id, roomId)}
+          onClose={() => setAssigningBooking(null)}
+        />
+      )}
+
+      {movingBooking && (
+        <RoomAssignmentModal
+          mode="move"
+          booking={movingBooking}
+          submitting={actionLoading[movingBooking._id || movingBooking.id]}
+          onConfirm={(roomId, options) => handleMoveRoom(movingBooking._id || movingBooking.id, roomId, options)}
+          onClose={() => setMovingBooking(null)}
+        />
+      )}
+
       {selectedBooking && (
         <StayCard
           booking={selectedBooking}
@@ -4,6 +4,7 @@
  */
 
 import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
 import api from '../services/api';
 import Loader from '../components/Loader';
@@ -130,6 +131,9 @@ const StaffBookingsDashboard = () => {
     <div className="staff-bookings-dashboard">
       <div className="page-header">
         <h1>Bookings Management</h1>
+        <Link className="btn-secondary" to="/staff/tape-chart">
+          Tape Chart
+        </Link>
       </div>
 
       <div className="filters-card">
@@ -233,10 +237,10 @@ const StaffBookingsDashboard = () => {
                   </td>
                   <td>
                     <div>
-                      <strong>{booking.room?.code || 'N/A'}</strong>
+                      <strong>{booking.room?.code || 'Unassigned'}</strong>
                     </div>
                     <div className="room-type">
-                      {booking.room?.type?.toUpperCase() || 'N/A'}
+                      {(booking.room?.type || booking.roomType)?.toUpperCase() || 'N/A'}
                     </div>
                   </td>
                   <td>{formatDate(booking.checkInDate)}</td>
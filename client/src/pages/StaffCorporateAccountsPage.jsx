@@ -0,0 +1,552 @@
+/**
+ * @fileoverview Corporate accounts page: company rates and credit, city ledger, statements and aging
+ * @module pages/StaffCorporateAccountsPage
+ */
+
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { useAuth } from '../context/AuthContext';
+import api from '../services/api';
+import Loader from '../components/Loader';
+import formatCurrency from '../utils/formatCurrency';
+import downloadPdf from '../utils/downloadPdf';
+import '../styles/Theme.css';
+import './StaffCorporateAccountsPage.css';
+
+const ROOM_TYPES = ['single', 'double', 'suite'];
+
+const EMPTY_FORM = {
+  name: '',
+  contactName: '',
+  contactEmail: '',
+  contactPhone: '',
+  address: '',
+  rates: { single: '', double: '', suite: '' },
+  discountPercent: 0,
+  creditLimit: 0,
+  paymentTermsDays: 30,
+  notes: '',
+  isActive: true,
+};
+
+const EMPTY_ENTRY = {
+  type: 'payment',
+  amount: '',
+  paymentMethod: 'bank',
+  reference: '',
+  description: '',
+};
+
+const currentMonth = () => new Date().toISOString().slice(0, 7);
+
+const formatDate = (date) =>
+  new Date(date).toLocaleDateString('en-US', { year: 'numeric', month: 'short', day: 'numeric' });
+
+const StaffCorporateAccountsPage = () => {
+  const { user } = useAuth();
+  const isAdmin = user?.role === 'admin';
+  const [accounts, setAccounts] = useState([]);
+  const [aging, setAging] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [showForm, setShowForm] = useState(false);
+  const [editingId, setEditingId] = useState(null);
+  const [formData, setFormData] = useState(EMPTY_FORM);
+  const [selected, setSelected] = useState(null);
+  const [ledger, setLedger] = useState([]);
+  const [entry, setEntry] = useState(EMPTY_ENTRY);
+  const [statementMonth, setStatementMonth] = useState(currentMonth());
+  const [submitting, setSubmitting] = useState(false);
+
+  useEffect(() => {
+    fetchAccounts();
+    fetchAging();
+  }, []);
+
+  const fetchAccounts = async () => {
+    try {
+      setLoading(true);
+      const response = await api.get('/corporate-accounts');
+      setAccounts(response.data.data.accounts || []);
+      setError('');
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to fetch corporate accounts');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const fetchAging = async () => {
+    try {
+      const response = await api.get('/corporate-accounts/aging');
+      setAging(response.data.data.report);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to fetch aging report');
+    }
+  };
+
+  const fetchLedger = async (accountId) => {
+    try {
+      const [accountResponse, ledgerResponse] = await Promise.all([
+        api.get(`/corporate-accounts/${accountId}`),
+        api.get(`/corporate-accounts/${accountId}/ledger`, { params: { limit: 50 } }),
+      ]);
+      setSelected(accountResponse.data.data);
+      setLedger(ledgerResponse.data.data.entries || []);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to fetch city ledger');
+    }
+  };
+
+  const handleInputChange = (e) => {
+    const { name, value, type, checked } = e.target;
+    setFormData((prev) => ({
+      ...prev,
+      [name]: type === 'checkbox' ? checked : value,
+    }));
+  };
+
+  const handleRateChange = (roomType, value) => {
+    setFormData((prev) => ({ ...prev, rates: { ...prev.rates, [roomType]: value } }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+
+    try {
+      const accountData = {
+        name: formData.name,
+        billingContact: {
+          name: formData.contactName || null,
+          email: formData.contactEmail || null,
+          phone: formData.contactPhone || null,
+        },
+        address: formData.address || null,
+        negotiatedRates: ROOM_TYPES
+          .filter((roomType) => formData.rates[roomType] !== '')
+          .map((roomType) => ({ roomType, nightlyRate: Number(formData.rates[roomType]) })),
+        discountPercent: Number(formData.discountPercent) || 0,
+        creditLimit: Number(formData.creditLimit) || 0,
+        paymentTermsDays: Number(formData.paymentTermsDays) || 0,
+        notes: formData.notes || null,
+        isActive: formData.isActive,
+      };
+
+      if (editingId) {
+        await api.put(`/corporate-accounts/${editingId}`, accountData);
+      } else {
+        await api.post('/corporate-accounts', accountData);
+      }
+
+      handleCancel();
+      fetchAccounts();
+      if (selected?.account._id === editingId) {
+        fetchLedger(editingId);
+      }
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to save corporate account');
+    }
+  };
+
+  const handleEdit = (account) => {
+    const rates = { single: '', double: '', suite: '' };
+    (account.negotiatedRates || []).forEach((rate) => {
+      rates[rate.roomType] = rate.nightlyRate;
+    });
+    setEditingId(account._id);
+    setFormData({
+      name: account.name,
+      contactName: account.billingContact?.name || '',
+      contactEmail: account.billingContact?.email || '',
+      contactPhone: account.billingContact?.phone || '',
+      address: account.address || '',
+      rates,
+      discountPercent: account.discountPercent,
+      creditLimit: account.creditLimit,
+      paymentTermsDays: account.paymentTermsDays,
+      notes: account.notes || '',
+      isActive: account.isActive,
+    });
+    setShowForm(true);
+  };
+
+  const handleCancel = () => {
+    setShowForm(false);
+    setEditingId(null);
+    setFormData(EMPTY_FORM);
+  };
+
+  const handleEntryChange = (e) => {
+    const { name, value } = e.target;
+    setEntry((prev) => ({ ...prev, [name]: value }));
+  };
+
+  const handlePostEntry = async (e) => {
+    e.preventDefault();
+    const payload = { type: entry.type, amount: Number(entry.amount) };
+    if (entry.type === 'payment') {
+      payload.paymentMethod = entry.paymentMethod;
+      payload.reference = entry.reference;
+    }
+    if (entry.description) {
+      payload.description = entry.description;
+    }
+
+    try {
+      setSubmitting(true);
+      setError('');
+      await api.post(`/corporate-accounts/${selected.account._id}/ledger`, payload);
+      setEntry(EMPTY_ENTRY);
+      fetchLedger(selected.account._id);
+      fetchAccounts();
+      fetchAging();
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to post ledger entry');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleDownloadStatement = async () => {
+    try {
+      setError('');
+      await downloadPdf(
+        `/corporate-accounts/${selected.account._id}/statement/pdf?month=${statementMonth}`,
+        `statement-${statementMonth}.pdf`
+      );
+    } catch (err) {
+      setError(err.message || 'Failed to download statement');
+    }
+  };
+
+  const describeRates = (account) => {
+    const parts = (account.negotiatedRates || []).map(
+      (rate) => `${rate.roomType} ${formatCurrency(rate.nightlyRate)}`
+    );
+    if (account.discountPercent) {
+      parts.push(`${account.discountPercent}% off other rates`);
+    }
+    return parts.join(', ') || 'Published rates';
+  };
+
+  if (loading) {
+    return <Loader />;
+  }
+
+  return (
+    <div className="app-page">
+      <header className="page-header">
+        <div>
+          <h1 className="page-title">corporate accounts</h1>
+          <p className="page-subtitle">negotiated rates, city ledger balances, statements and aging.</p>
+        </div>
+        <div className="page-actions">
+          {isAdmin && (
+            <button className="btn-primary" onClick={() => setShowForm(true)} disabled={showForm}>
+              add account
+            </button>
+          )}
+          <Link className="btn-secondary" to="/staff/billing">
+            billing
+          </Link>
+        </div>
+      </header>
+
+      <section className="page-content">
+        {error && <div className="error-message">{error}</div>}
+
+        {showForm && (
+          <div className="card">
+            <div className="card-header">{editingId ? 'Edit Corporate Account' : 'Create Corporate Account'}</div>
+            <div className="card-body">
+              <form onSubmit={handleSubmit} className="corporate-form">
+                <div className="form-group">
+                  <label>Company Name *</label>
+                  <input type="text" name="name" value={formData.name} onChange={handleInputChange} required />
+                </div>
+                <div className="form-group">
+                  <label>Billing Contact</label>
+                  <input type="text" name="contactName" value={formData.contactName} onChange={handleInputChange} />
+                </div>
+                <div className="form-group">
+                  <label>Contact Email</label>
+                  <input type="email" name="contactEmail" value={formData.contactEmail} onChange={handleInputChange} />
+                </div>
+                <div className="form-group">
+                  <label>Contact Phone</label>
+                  <input type="text" name="contactPhone" value={formData.contactPhone} onChange={handleInputChange} />
+                </div>
+                <div className="form-group corporate-form-wide">
+                  <label>Billing Address</label>
+                  <input type="text" name="address" value={formData.address} onChange={handleInputChange} />
+                </div>
+                {ROOM_TYPES.map((roomType) => (
+                  <div className="form-group" key={roomType}>
+                    <label className="corporate-room-type">{roomType} Rate</label>
+                    <input
+                      type="number"
+                      value={formData.rates[roomType]}
+                      onChange={(e) => handleRateChange(roomType, e.target.value)}
+                      min="0"
+                      step="0.01"
+                      placeholder="Published rate"
+                    />
+                  </div>
+                ))}
+                <div className="form-group">
+                  <label>Discount on Other Rates (%)</label>
+                  <input
+                    type="number"
+                    name="discountPercent"
+                    value={formData.discountPercent}
+                    onChange={handleInputChange}
+                    min="0"
+                    max="100"
+                    step="0.01"
+                  />
+                </div>
+                <div className="form-group">
+                  <label>Credit Limit</label>
+                  <input
+                    type="number"
+                    name="creditLimit"
+                    value={formData.creditLimit}
+                    onChange={handleInputChange}
+                    min="0"
+                    step="0.01"
+                  />
+                </div>
+                <div className="form-group">
+                  <label>Payment Terms (days)</label>
+                  <input
+                    type="number"
+                    name="paymentTermsDays"
+                    value={formData.paymentTermsDays}
+                    onChange={handleInputChange}
+                    min="0"
+                    step="1"
+                  />
+                </div>
+                <div className="form-group corporate-form-wide">
+                  <label>Notes</label>
+                  <input type="text" name="notes" value={formData.notes} onChange={handleInputChange} />
+                </div>
+                <div className="form-group checkbox-group">
+                  <label>
+                    <input type="checkbox" name="isActive" checked={formData.isActive} onChange={handleInputChange} />
+                    Active
+                  </label>
+                </div>
+                <div className="corporate-form-actions">
+                  <button type="submit" className="btn-primary">
+                    {editingId ? 'Update Account' : 'Create Account'}
+                  </button>
+                  <button type="button" className="btn-secondary" onClick={handleCancel}>
+                    Cancel
+                  </button>
+                </div>
+              </form>
+            </div>
+          </div>
+        )}
+
+        <div className="card">
+          <div className="card-header">Accounts</div>
+          <div className="card-body">
+            {accounts.length === 0 ? (
+              <p className="empty-state">No corporate accounts yet.</p>
+            ) : (
+              <div className="table-container">
+                <table className="table">
+                  <thead>
+                    <tr>
+                      <th>Company</th>
+                      <th>Rates</th>
+                      <th>Terms</th>
+                      <th>Credit Limit</th>
+                      <th>Balance</th>
+                      <th>Status</th>
+                      <th>Actions</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {accounts.map((account) => (
+                      <tr key={account._id}>
+                        <td>{account.name}</td>
+                        <td className="corporate-rates">{describeRates(account)}</td>
+                        <td>{account.paymentTermsDays} days</td>
+                        <td>{formatCurrency(account.creditLimit)}</td>
+                        <td className={account.balance > account.creditLimit ? 'balance-due' : ''}>
+                          {formatCurrency(account.balance)}
+                        </td>
+                        <td>{account.isActive ? 'Active' : 'Inactive'}</td>
+                        <td className="corporate-actions">
+                          <button className="btn-secondary" onClick={() => fetchLedger(account._id)}>
+                            Ledger
+                          </button>
+                          {isAdmin && (
+                            <button className="btn-primary" onClick={() => handleEdit(account)}>
+                              Edit
+                            </button>
+                          )}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </div>
+        </div>
+
+        {selected && (
+          <div className="card">
+            <div className="card-header corporate-ledger-header">
+              <span>City Ledger: {selected.account.name}</span>
+              <div className="corporate-statement">
+                <input type="month" value={statementMonth} onChange={(e) => setStatementMonth(e.target.value)} />
+                <button className="btn-secondary" onClick={handleDownloadStatement} disabled={!statementMonth}>
+                  Statement PDF
+                </button>
+              </div>
+            </div>
+            <div className="card-body">
+              <div className="corporate-summary">
+                <span>Balance {formatCurrency(selected.account.balance)}</span>
+                <span>Available credit {formatCurrency(selected.availableCredit)}</span>
+                <span>Over 30 days {formatCurrency(selected.aging.days31to60 + selected.aging.days61to90 + selected.aging.over90)}</span>
+              </div>
+
+              <form className="corporate-entry-form" onSubmit={handlePostEntry}>
+                <select name="type" value={entry.type} onChange={handleEntryChange}>
+                  <option value="payment">Payment received</option>
+                  <option value="adjustment">Adjustment</option>
+                </select>
+                <input
+                  type="number"
+                  name="amount"
+                  value={entry.amount}
+                  onChange={handleEntryChange}
+                  placeholder={entry.type === 'adjustment' ? 'Amount (negative to reduce)' : 'Amount'}
+                  step="0.01"
+                  required
+                />
+                {entry.type === 'payment' && (
+                  <>
+                    <select name="paymentMethod" value={entry.paymentMethod} onChange={handleEntryChange}>
+                      <option value="bank">Bank</option>
+                      <option value="cheque">Cheque</option>
+                      <option value="cash">Cash</option>
+                      <option value="card">Card</option>
+                      <option value="bkash">bKash</option>
+                      <option value="rocket">Rocket</option>
+                      <option value="nagad">Nagad</option>
+                    </select>
+                    <input
+                      type="text"
+                      name="reference"
+                      value={entry.reference}
+                      onChange={handleEntryChange}
+                      placeholder="Reference"
+                    />
+                  </>
+                )}
+                <input
+                  type="text"
+                  name="description"
+                  value={entry.description}
+                  onChange={handleEntryChange}
+                  placeholder={entry.type === 'adjustment' ? 'Reason *' : 'Description (optional)'}
+                  required={entry.type === 'adjustment'}
+                  maxLength={200}
+                />
+                <button type="submit" className="btn-primary" disabled={submitting}>
+                  {submitting ? 'Posting...' : 'Post'}
+                </button>
+              </form>
+
+              {ledger.length === 0 ? (
+                <p className="empty-state">Nothing on this account's ledger yet.</p>
+              ) : (
+                <div className="table-container">
+                  <table className="table">
+                    <thead>
+                      <tr>
+                        <th>Date</th>
+                        <th>Type</th>
+                        <th>Description</th>
+                        <th>Posted By</th>
+                        <th className="corporate-amount">Amount</th>
+                        <th className="corporate-amount">Balance</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {ledger.map((line) => (
+                        <tr key={line._id}>
+                          <td>{formatDate(line.postedAt)}</td>
+                          <td className="corporate-room-type">{line.type}</td>
+                          <td>{[line.description, line.reference].filter(Boolean).join(' / ')}</td>
+                          <td>{line.postedBy?.name || '—'}</td>
+                          <td className="corporate-amount">
+                            {formatCurrency(line.type === 'payment' ? -line.amount : line.amount)}
+                          </td>
+                          <td className="corporate-amount">{formatCurrency(line.balance)}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              )}
+            </div>
+          </div>
+        )}
+
+        {aging && (
+          <div className="card">
+            <div className="card-header">Accounts Receivable Aging</div>
+            <div className="card-body">
+              {aging.accounts.length === 0 ? (
+                <p className="empty-state">No company owes anything on the city ledger.</p>
+              ) : (
+                <div className="table-container">
+                  <table className="table">
+                    <thead>
+                      <tr>
+                        <th>Company</th>
+                        {aging.buckets.map((bucket) => (
+                          <th key={bucket.key} className="corporate-amount">{bucket.label}</th>
+                        ))}
+                        <th className="corporate-amount">Total</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {aging.accounts.map((row) => (
+                        <tr key={row.accountId}>
+                          <td>{row.name}</td>
+                          {aging.buckets.map((bucket) => (
+                            <td key={bucket.key} className="corporate-amount">{formatCurrency(row[bucket.key])}</td>
+                          ))}
+                          <td className="corporate-amount">{formatCurrency(row.total)}</td>
+                        </tr>
+                      ))}
+                      <tr className="corporate-aging-total">
+                        <td>Total</td>
+                        {aging.buckets.map((bucket) => (
+                          <td key={bucket.key} className="corporate-amount">{formatCurrency(aging.totals[bucket.key])}</td>
+                        ))}
+                        <td className="corporate-amount">{formatCurrency(aging.totals.total)}</td>
+                      </tr>
+                    </tbody>
+                  </table>
+                </div>
+              )}
+            </div>
+          </div>
+        )}
+      </section>
+    </div>
+  );
+};
+
+export default StaffCorporateAccountsPage;
@@ -102,7 +102,7 @@ const StaffDashboard = () => {
         <div className="card">
           <div className="card-body" style={{ textAlign: 'center' }}>
             <div style={{ color: '#0f2c44', fontWeight: 800, textTransform: 'capitalize', fontSize: '12px', opacity: 0.9 }}>quick actions</div>
-            <div style={{ marginTop: '10px', fontSize: '38px', fontWeight: 900, color: '#0b1b2a' }}>6</div>
+            <div style={{ marginTop: '10px', fontSize: '38px', fontWeight: 900, color: '#0b1b2a' }}>7</div>
             <div style={{ marginTop: '6px', color: '#2b3b4a', fontSize: '12px', textTransform: 'capitalize', opacity: 0.9 }}>available features</div>
           </div>
         </div>
@@ -116,6 +116,13 @@ const StaffDashboard = () => {
           <Link className="btn-primary" to="/staff/bookings" style={{ display: 'inline-block', marginTop: '10px', fontSize: '12px', padding: '8px 12px' }}>open</Link>
         </div>
 
+        <div className="card-glass">
+          <div style={{ fontSize: '22px', width: '42px', height: '42px', display: 'grid', placeItems: 'center', borderRadius: '12px', background: 'rgba(212,175,55,0.18)', border: '1px solid rgba(212,175,55,0.25)' }}>👥</div>
+          <div style={{ marginTop: '12px', fontWeight: 900, textTransform: 'capitalize', fontSize: '16px' }}>group bookings</div>
+          <div style={{ marginTop: '6px', color: 'rgba(255,255,255,0.82)', fontSize: '13px', lineHeight: '1.5', textTransform: 'capitalize' }}>room blocks, rooming lists and group billing.</div>
+          <Link className="btn-primary" to="/staff/groups" style={{ display: 'inline-block', marginTop: '10px', fontSize: '12px', padding: '8px 12px' }}>open</Link>
+        </div>
+
         <div className="card-glass">
           <div style={{ fontSize: '22px', width: '42px', height: '42px', display: 'grid', placeItems: 'center', borderRadius: '12px', background: 'rgba(212,175,55,0.18)', border: '1px solid rgba(212,175,55,0.25)' }}>🚪</div>
           <div style={{ marginTop: '12px', fontWeight: 900, textTransform: 'capitalize', fontSize: '16px' }}>front desk</div>
@@ -150,6 +157,34 @@ const StaffDashboard = () => {
           <div style={{ marginTop: '6px', color: 'rgba(255,255,255,0.82)', fontSize: '13px', lineHeight: '1.5', textTransform: 'capitalize' }}>process payments and invoices.</div>
           <Link className="btn-primary" to="/staff/billing" style={{ display: 'inline-block', marginTop: '10px', fontSize: '12px', padding: '8px 12px' }}>open</Link>
         </div>
+
+        <div className="card-glass">
+          <div style={{ fontSize: '22px', width: '42px', height: '42px', display: 'grid', placeItems: 'center', borderRadius: '12px', background: 'rgba(212,175,55,0.18)', border: '1px solid rgba(212,175,55,0.25)' }}>🏢</div>
+          <div style={{ marginTop: '12px', fontWeight: 900, textTransform: 'capitalize', fontSize: '16px' }}>corporate accounts</div>
+          <div style={{ marginTop: '6px', color: 'rgba(255,255,255,0.82)', fontSize: '13px', lineHeight: '1.5', textTransform: 'capitalize' }}>company rates, city ledger and statements.</div>
+          <Link className="btn-primary" to="/staff/corporate-accounts" style={{ display: 'inline-block', marginTop: '10px', fontSize: '12px', padding: '8px 12px' }}>open</Link>
+        </div>
+
+        <div className="card-glass">
+          <div style={{ fontSize: '22px', width: '42px', height: '42px', display: 'grid', placeItems: 'center', borderRadius: '12px', background: 'rgba(212,175,55,0.18)', border: '1px solid rgba(212,175,55,0.25)' }}>🧹</div>
+          <div style={{ marginTop: '12px', fontWeight: 900, textTransform: 'capitalize', fontSize: '16px' }}>housekeeping</div>
+          <div style={{ marginTop: '6px', color: 'rgba(255,255,255,0.82)', fontSize: '13px', lineHeight: '1.5', textTransform: 'capitalize' }}>room cleaning status and daily tasks.</div>
+          <Link className="btn-primary" to="/staff/housekeeping" style={{ display: 'inline-block', marginTop: '10px', fontSize: '12px', padding: '8px 12px' }}>open</Link>
+        </div>
+
+        <div className="card-glass">
+          <div style={{ fontSize: '22px', width: '42px', height: '42px', display: 'grid', placeItems: 'center', borderRadius: '12px', background: 'rgba(212,175,55,0.18)', border: '1px solid rgba(212,175,55,0.25)' }}>🛠️</div>
+          <div style={{ marginTop: '12px', fontWeight: 900, textTransform: 'capitalize', fontSize: '16px' }}>maintenance</div>
+          <div style={{ marginTop: '6px', color: 'rgba(255,255,255,0.82)', fontSize: '13px', lineHeight: '1.5', textTransform: 'capitalize' }}>work orders and out-of-order rooms.</div>
+          <Link className="btn-primary" to="/staff/work-orders" style={{ display: 'inline-block', marginTop: '10px', fontSize: '12px', padding: '8px 12px' }}>open</Link>
+        </div>
+
+        <div className="card-glass">
+          <div style={{ fontSize: '22px', width: '42px', height: '42px', display: 'grid', placeItems: 'center', borderRadius: '12px', background: 'rgba(212,175,55,0.18)', border: '1px solid rgba(212,175,55,0.25)' }}>📅</div>
+          <div style={{ marginTop: '12px', fontWeight: 900, textTransform: 'capitalize', fontSize: '16px' }}>tape chart</div>
+          <div style={{ marginTop: '6px', color: 'rgba(255,255,255,0.82)', fontSize: '13px', lineHeight: '1.5', textTransform: 'capitalize' }}>rooms by night, drag stays to move them.</div>
+          <Link className="btn-primary" to="/staff/tape-chart" style={{ display: 'inline-block', marginTop: '10px', fontSize: '12px', padding: '8px 12px' }}>open</Link>
+        </div>
         </div>
       </section>
     </div>
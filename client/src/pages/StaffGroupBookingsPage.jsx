@@ -0,0 +1,499 @@
+/**
+ * @fileoverview Staff group bookings page - room blocks, rooming lists and group billing
+ * @module pages/StaffGroupBookingsPage
+ */
+
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { useAuth } from '../context/AuthContext';
+import api from '../services/api';
+import Loader from '../components/Loader';
+import formatCurrency from '../utils/formatCurrency';
+import '../styles/Theme.css';
+import './StaffGroupBookingsPage.css';
+
+const ROOM_TYPES = ['single', 'double', 'suite'];
+
+const EMPTY_FORM = {
+  name: '',
+  guestId: '',
+  contactName: '',
+  contactEmail: '',
+  checkInDate: '',
+  checkOutDate: '',
+  billingMode: 'master',
+  notes: '',
+  roomCounts: { single: 0, double: 0, suite: 0 },
+};
+
+const formatDate = (date) => new Date(date).toLocaleDateString();
+
+const StaffGroupBookingsPage = () => {
+  const { user } = useAuth();
+  const [groups, setGroups] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [showForm, setShowForm] = useState(false);
+  const [formData, setFormData] = useState(EMPTY_FORM);
+  const [selected, setSelected] = useState(null);
+  const [guestNames, setGuestNames] = useState({});
+  const [invoice, setInvoice] = useState(null);
+  const [actionLoading, setActionLoading] = useState(false);
+
+  const isStaffOrAdmin = ['staff', 'admin'].includes(user?.role);
+
+  useEffect(() => {
+    if (isStaffOrAdmin) {
+      fetchGroups();
+    }
+  }, [user]);
+
+  const fetchGroups = async () => {
+    try {
+      setLoading(true);
+      const response = await api.get('/bookings/groups', { params: { limit: 50 } });
+      setGroups(response.data.data.groups || []);
+      setError('');
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to fetch group bookings');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const showGroup = (data) => {
+    setSelected(data);
+    setGuestNames(
+      Object.fromEntries(data.bookings.map((booking) => [booking._id, booking.guestName || '']))
+    );
+  };
+
+  const openGroup = async (groupId) => {
+    try {
+      const response = await api.get(`/bookings/groups/${groupId}`);
+      showGroup(response.data.data);
+      setInvoice(null);
+      setError('');
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to load group booking');
+    }
+  };
+
+  const handleInputChange = (e) => {
+    const { name, value } = e.target;
+    setFormData((prev) => ({ ...prev, [name]: value }));
+  };
+
+  const handleRoomCountChange = (roomType, value) => {
+    setFormData((prev) => ({
+      ...prev,
+      roomCounts: { ...prev.roomCounts, [roomType]: Math.max(0, Number(value) || 0) },
+    }));
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    setError('');
+
+    const rooms = ROOM_TYPES.flatMap((roomType) =>
+      Array.from({ length: formData.roomCounts[roomType] }, () => ({ roomType }))
+    );
+    if (rooms.length === 0) {
+      setError('Add at least one room to the block');
+      return;
+    }
+
+    try {
+      setActionLoading(true);
+      const response = await api.post('/bookings/groups', {
+        name: formData.name,
+        guestId: formData.guestId || undefined,
+        contactName: formData.contactName,
+        contactEmail: formData.contactEmail,
+        checkInDate: formData.checkInDate,
+        checkOutDate: formData.checkOutDate,
+        billingMode: formData.billingMode,
+        notes: formData.notes,
+        rooms,
+      });
+      setShowForm(false);
+      setFormData(EMPTY_FORM);
+      showGroup(response.data.data);
+      setInvoice(null);
+      fetchGroups();
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to create group booking');
+    } finally {
+      setActionLoading(false);
+    }
+  };
+
+  // Run a group action and refresh the rooming list from its response
+  const runGroupAction = async (request, fallbackMessage) => {
+    try {
+      setActionLoading(true);
+      setError('');
+      const response = await request();
+      showGroup(response.data.data);
+      setInvoice(null);
+      const failed = response.data.data.failed || [];
+      if (failed.length > 0) {
+        setError(failed.map((f) => `${f.guestName || 'Room'}: ${f.message}`).join(' · '));
+      }
+      fetchGroups();
+    } catch (err) {
+      setError(err.response?.data?.message || fallbackMessage);
+    } finally {
+      setActionLoading(false);
+    }
+  };
+
+  const handleSaveRoomingList = () =>
+    runGroupAction(
+      () => api.put(`/bookings/groups/${selected.group._id}/rooming-list`, {
+        entries: selected.bookings
+          .filter((booking) => !['checked_out', 'cancelled'].includes(booking.status))
+          .map((booking) => ({ bookingId: booking._id, guestName: guestNames[booking._id] })),
+      }),
+      'Failed to save rooming list'
+    );
+
+  const handleBillingModeChange = (billingMode) =>
+    runGroupAction(
+      () => api.put(`/bookings/groups/${selected.group._id}`, { billingMode }),
+      'Failed to update billing mode'
+    );
+
+  const handleApprove = () =>
+    runGroupAction(
+      () => api.post(`/bookings/groups/${selected.group._id}/approve`),
+      'Failed to approve group booking'
+    );
+
+  const handleCheckIn = () =>
+    runGroupAction(
+      () => api.post(`/bookings/groups/${selected.group._id}/check-in`),
+      'Failed to check in group'
+    );
+
+  const handleCancel = () => {
+    if (!window.confirm('Cancel this group and every room in it?')) {
+      return;
+    }
+    runGroupAction(
+      () => api.post(`/bookings/groups/${selected.group._id}/cancel`),
+      'Failed to cancel group booking'
+    );
+  };
+
+  const handleShowInvoice = async () => {
+    try {
+      const response = await api.get(`/billing/groups/${selected.group._id}/invoice`);
+      setInvoice(response.data.data);
+      setError('');
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to generate group invoice');
+    }
+  };
+
+  if (!isStaffOrAdmin) {
+    return <div className="admin-only">Staff access required</div>;
+  }
+
+  if (loading && groups.length === 0) {
+    return <Loader />;
+  }
+
+  const group = selected?.group;
+
+  return (
+    <div className="app-page">
+      <header className="page-header">
+        <div>
+          <h1 className="page-title">group bookings</h1>
+          <p className="page-subtitle">room blocks for corporate and wedding parties.</p>
+        </div>
+        <div className="page-actions">
+          <button className="btn-primary" onClick={() => setShowForm(true)} disabled={showForm}>
+            new group
+          </button>
+          <Link className="btn-secondary" to="/staff/dashboard">
+            back to dashboard
+          </Link>
+        </div>
+      </header>
+
+      <section className="page-content">
+        {error && <div className="error-message">{error}</div>}
+
+        {showForm && (
+          <div className="card">
+            <div className="card-header">Create Group Booking</div>
+            <div className="card-body">
+              <form onSubmit={handleCreate} className="group-form">
+                <div className="form-group">
+                  <label>Group Name *</label>
+                  <input
+                    type="text"
+                    name="name"
+                    value={formData.name}
+                    onChange={handleInputChange}
+                    required
+                    placeholder="e.g., Rahman–Chowdhury Wedding"
+                  />
+                </div>
+
+                <div className="form-group">
+                  <label>Organizer Guest ID</label>
+                  <input
+                    type="text"
+                    name="guestId"
+                    value={formData.guestId}
+                    onChange={handleInputChange}
+                    placeholder="Leave empty to book under your account"
+                  />
+                </div>
+
+                <div className="form-group">
+                  <label>Contact Name</label>
+                  <input type="text" name="contactName" value={formData.contactName} onChange={handleInputChange} />
+                </div>
+
+                <div className="form-group">
+                  <label>Contact Email</label>
+                  <input type="email" name="contactEmail" value={formData.contactEmail} onChange={handleInputChange} />
+                </div>
+
+                <div className="form-group">
+                  <label>Check-in *</label>
+                  <input type="date" name="checkInDate" value={formData.checkInDate} onChange={handleInputChange} required />
+                </div>
+
+                <div className="form-group">
+                  <label>Check-out *</label>
+                  <input type="date" name="checkOutDate" value={formData.checkOutDate} onChange={handleInputChange} required />
+                </div>
+
+                <div className="form-group">
+                  <label>Billing</label>
+                  <select name="billingMode" value={formData.billingMode} onChange={handleInputChange}>
+                    <option value="master">Master invoice (one bill for the party)</option>
+                    <option value="split">Split invoices (one bill per room)</option>
+                  </select>
+                </div>
+
+                {ROOM_TYPES.map((roomType) => (
+                  <div className="form-group" key={roomType}>
+                    <label className="group-room-type">{roomType} rooms</label>
+                    <input
+                      type="number"
+                      min="0"
+                      value={formData.roomCounts[roomType]}
+                      onChange={(e) => handleRoomCountChange(roomType, e.target.value)}
+                    />
+                  </div>
+                ))}
+
+                <div className="form-group group-form-wide">
+                  <label>Notes</label>
+                  <textarea name="notes" value={formData.notes} onChange={handleInputChange} rows="2" />
+                </div>
+
+                <div className="group-form-actions">
+                  <button type="submit" className="btn-primary" disabled={actionLoading}>
+                    {actionLoading ? 'Reserving rooms...' : 'Create Group Booking'}
+                  </button>
+                  <button
+                    type="button"
+                    className="btn-secondary"
+                    onClick={() => {
+                      setShowForm(false);
+                      setFormData(EMPTY_FORM);
+                    }}
+                  >
+                    Cancel
+                  </button>
+                </div>
+              </form>
+            </div>
+          </div>
+        )}
+
+        {selected && (
+          <div className="card">
+            <div className="card-header group-detail-header">
+              <div>
+                {group.name}
+                <span className={`status-badge status-${group.status}`}>{group.status.replace('_', ' ')}</span>
+              </div>
+              <div className="group-detail-meta">
+                {formatDate(group.checkInDate)} → {formatDate(group.checkOutDate)} · organizer{' '}
+                {group.organizer?.name || 'N/A'}
+              </div>
+            </div>
+            <div className="card-body">
+              <div className="group-actions">
+                {group.status === 'pending' && (
+                  <button className="btn-primary" onClick={handleApprove} disabled={actionLoading}>
+                    Approve All Rooms
+                  </button>
+                )}
+                {['approved', 'checked_in'].includes(group.status) && (
+                  <button className="btn-primary" onClick={handleCheckIn} disabled={actionLoading}>
+                    Check In Arrived Rooms
+                  </button>
+                )}
+                <button className="btn-secondary" onClick={handleSaveRoomingList} disabled={actionLoading}>
+                  Save Rooming List
+                </button>
+                <button className="btn-secondary" onClick={handleShowInvoice} disabled={actionLoading}>
+                  View Invoice
+                </button>
+                <label className="group-billing-mode">
+                  Billing
+                  <select
+                    value={group.billingMode}
+                    onChange={(e) => handleBillingModeChange(e.target.value)}
+                    disabled={actionLoading}
+                  >
+                    <option value="master">Master</option>
+                    <option value="split">Split</option>
+                  </select>
+                </label>
+                {['pending', 'approved'].includes(group.status) && (
+                  <button className="btn-danger" onClick={handleCancel} disabled={actionLoading}>
+                    Cancel Group
+                  </button>
+                )}
+              </div>
+
+              <div className="table-container">
+                <table className="table">
+                  <thead>
+                    <tr>
+                      <th>#</th>
+                      <th>Guest Name</th>
+                      <th>Room</th>
+                      <th>Status</th>
+                      <th>Amount</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {selected.bookings.map((booking, index) => (
+                      <tr key={booking._id}>
+                        <td>{index + 1}</td>
+                        <td>
+                          <input
+                            type="text"
+                            className="rooming-list-name"
+                            value={guestNames[booking._id] || ''}
+                            onChange={(e) =>
+                              setGuestNames((prev) => ({ ...prev, [booking._id]: e.target.value }))
+                            }
+                            disabled={['checked_out', 'cancelled'].includes(booking.status)}
+                            placeholder="Guest name"
+                          />
+                        </td>
+                        <td>
+                          {booking.room?.code ? `Room ${booking.room.code}` : 'Unassigned'}
+                          <span className="group-room-type"> ({booking.room?.type || booking.roomType})</span>
+                        </td>
+                        <td>
+                          <span className={`status-badge status-${booking.status}`}>
+                            {booking.status.replace('_', ' ')}
+                          </span>
+                        </td>
+                        <td>{formatCurrency(booking.totalAmount)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+
+              {invoice && invoice.billingMode === 'master' && (
+                <div className="group-invoice">
+                  <h3>Master Invoice {invoice.invoice.invoiceNumber}</h3>
+                  <div className="group-invoice-totals">
+                    <span>Subtotal: {formatCurrency(invoice.invoice.totals.subtotal)}</span>
+                    <span>Tax: {formatCurrency(invoice.invoice.totals.tax)}</span>
+                    <span>Total: {formatCurrency(invoice.invoice.totals.total)}</span>
+                    <span>Paid: {formatCurrency(invoice.invoice.paymentSummary.totalPaid)}</span>
+                    <strong>Balance: {formatCurrency(invoice.invoice.paymentSummary.balanceDue)}</strong>
+                  </div>
+                </div>
+              )}
+
+              {invoice && invoice.billingMode === 'split' && (
+                <div className="group-invoice">
+                  <h3>Split Invoices</h3>
+                  <ul className="group-invoice-list">
+                    {invoice.invoices.map((roomInvoice) => (
+                      <li key={roomInvoice.bookingId}>
+                        {roomInvoice.invoiceNumber} · {roomInvoice.guestName || 'Guest'} ·{' '}
+                        {roomInvoice.room.code} — {formatCurrency(roomInvoice.totals.total)} (balance{' '}
+                        {formatCurrency(roomInvoice.paymentSummary.balanceDue)})
+                      </li>
+                    ))}
+                  </ul>
+                  <div className="group-invoice-totals">
+                    <strong>Group balance: {formatCurrency(invoice.totals.balanceDue)}</strong>
+                  </div>
+                </div>
+              )}
+            </div>
+          </div>
+        )}
+
+        <div className="card">
+          <div className="card-header">Groups</div>
+          <div className="card-body">
+            {groups.length === 0 ? (
+              <p className="empty-state">No group bookings yet.</p>
+            ) : (
+              <div className="table-container">
+                <table className="table">
+                  <thead>
+                    <tr>
+                      <th>Name</th>
+                      <th>Organizer</th>
+                      <th>Dates</th>
+                      <th>Rooms</th>
+                      <th>Amount</th>
+                      <th>Billing</th>
+                      <th>Status</th>
+                      <th>Actions</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {groups.map((row) => (
+                      <tr key={row._id}>
+                        <td>{row.name}</td>
+                        <td>{row.organizer?.name || 'N/A'}</td>
+                        <td>
+                          {formatDate(row.checkInDate)} → {formatDate(row.checkOutDate)}
+                        </td>
+                        <td>{row.roomCount}</td>
+                        <td>{formatCurrency(row.totalAmount)}</td>
+                        <td className="group-room-type">{row.billingMode}</td>
+                        <td>
+                          <span className={`status-badge status-${row.status}`}>{row.status.replace('_', ' ')}</span>
+                        </td>
+                        <td>
+                          <button className="btn-primary group-open-button" onClick={() => openGroup(row._id)}>
+                            Open
+                          </button>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </div>
+        </div>
+      </section>
+    </div>
+  );
+};
+
+export default StaffGroupBookingsPage;
@@ -0,0 +1,282 @@
+/**
+ * @fileoverview Housekeeping page: room cleaning board, daily tasks and housekeeper assignment
+ * @module pages/StaffHousekeepingPage
+ */
+
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import api from '../services/api';
+import Loader from '../components/Loader';
+import '../styles/Theme.css';
+import './StaffHousekeepingPage.css';
+
+const HOUSEKEEPING_STATUSES = ['dirty', 'cleaning', 'clean', 'inspected'];
+
+// Actions offered for a task in each status: [next status, button label]
+const TASK_ACTIONS = {
+  pending: [['in_progress', 'Start'], ['done', 'Done']],
+  in_progress: [['done', 'Done'], ['pending', 'Reopen']],
+  done: [['inspected', 'Inspect'], ['pending', 'Reopen']],
+  inspected: [['pending', 'Reopen']],
+};
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+const formatStatus = (status) => status.replace('_', ' ');
+
+const StaffHousekeepingPage = () => {
+  const [date, setDate] = useState(today());
+  const [board, setBoard] = useState([]);
+  const [counts, setCounts] = useState({});
+  const [tasks, setTasks] = useState([]);
+  const [housekeepers, setHousekeepers] = useState([]);
+  const [onShift, setOnShift] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+
+  useEffect(() => {
+    fetchHousekeepers();
+  }, []);
+
+  useEffect(() => {
+    fetchDay();
+  }, [date]);
+
+  const fetchDay = async () => {
+    try {
+      setLoading(true);
+      const [boardResponse, tasksResponse] = await Promise.all([
+        api.get('/housekeeping/board', { params: { date } }),
+        api.get('/housekeeping/tasks', { params: { date } }),
+      ]);
+      setBoard(boardResponse.data.data.board || []);
+      setCounts(boardResponse.data.data.counts || {});
+      setTasks(tasksResponse.data.data.tasks || []);
+      setError('');
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to fetch housekeeping board');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const fetchHousekeepers = async () => {
+    try {
+      const response = await api.get('/housekeeping/housekeepers');
+      setHousekeepers(response.data.data.housekeepers || []);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to fetch housekeepers');
+    }
+  };
+
+  const toggleOnShift = (id) => {
+    setOnShift((prev) => (prev.includes(id) ? prev.filter((item) => item !== id) : [...prev, id]));
+  };
+
+  const handleGenerate = async () => {
+    try {
+      setSubmitting(true);
+      setError('');
+      const response = await api.post('/housekeeping/tasks/generate', { date, housekeeperIds: onShift });
+      setMessage(response.data.message);
+      fetchDay();
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to generate tasks');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleAssign = async (taskId, assignedTo) => {
+    try {
+      setError('');
+      await api.put(`/housekeeping/tasks/${taskId}/assign`, { assignedTo: assignedTo || null });
+      fetchDay();
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to assign task');
+    }
+  };
+
+  const handleTaskStatus = async (taskId, status) => {
+    try {
+      setError('');
+      await api.patch(`/housekeeping/tasks/${taskId}/status`, { status });
+      fetchDay();
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to update task');
+    }
+  };
+
+  const handleRoomStatus = async (roomId, housekeepingStatus) => {
+    try {
+      setError('');
+      await api.patch(`/housekeeping/rooms/${roomId}`, { housekeepingStatus });
+      fetchDay();
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to update room');
+    }
+  };
+
+  if (loading && board.length === 0) {
+    return <Loader />;
+  }
+
+  return (
+    <div className="app-page">
+      <header className="page-header">
+        <div>
+          <h1 className="page-title">housekeeping</h1>
+          <p className="page-subtitle">room cleaning status, daily tasks and housekeeper assignments.</p>
+        </div>
+        <div className="page-actions">
+          <input type="date" value={date} onChange={(e) => setDate(e.target.value)} />
+          <Link className="btn-secondary" to="/staff/front-desk">
+            front desk
+          </Link>
+        </div>
+      </header>
+
+      <section className="page-content">
+        {error && <div className="error-message">{error}</div>}
+        {message && <div className="success-message">{message}</div>}
+
+        <div className="housekeeping-counts">
+          {HOUSEKEEPING_STATUSES.map((status) => (
+            <div key={status} className={`housekeeping-count hk-${status}`}>
+              <span className="housekeeping-count-value">{counts[status] || 0}</span>
+              <span className="housekeeping-count-label">{status}</span>
+            </div>
+          ))}
+        </div>
+
+        <div className="card">
+          <div className="card-header">Generate Tasks</div>
+          <div className="card-body">
+            <p className="housekeeping-hint">
+              Creates a departure clean for every room whose guest leaves on this day and a stayover clean for
+              every occupied room. Tasks are shared between the housekeepers on shift.
+            </p>
+            <div className="housekeeping-shift">
+              {housekeepers.length === 0 ? (
+                <span className="housekeeping-hint">No staff accounts to assign tasks to.</span>
+              ) : (
+                housekeepers.map((housekeeper) => (
+                  <label key={housekeeper._id}>
+                    <input
+                      type="checkbox"
+                      checked={onShift.includes(housekeeper._id)}
+                      onChange={() => toggleOnShift(housekeeper._id)}
+                    />
+                    {housekeeper.name}
+                  </label>
+                ))
+              )}
+            </div>
+            <button className="btn-primary" onClick={handleGenerate} disabled={submitting}>
+              {submitting ? 'Generating...' : 'Generate Tasks'}
+            </button>
+          </div>
+        </div>
+
+        <div className="card">
+          <div className="card-header">Tasks</div>
+          <div className="card-body">
+            {tasks.length === 0 ? (
+              <p className="empty-state">No tasks for this day yet.</p>
+            ) : (
+              <div className="table-container">
+                <table className="table">
+                  <thead>
+                    <tr>
+                      <th>Room</th>
+                      <th>Type</th>
+                      <th>Status</th>
+                      <th>Housekeeper</th>
+                      <th>Actions</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {tasks.map((task) => (
+                      <tr key={task._id}>
+                        <td>Room {task.room?.code}</td>
+                        <td className="housekeeping-capitalize">{task.type}</td>
+                        <td>
+                          <span className={`housekeeping-badge task-${task.status}`}>{formatStatus(task.status)}</span>
+                        </td>
+                        <td>
+                          <select
+                            value={task.assignedTo?._id || ''}
+                            onChange={(e) => handleAssign(task._id, e.target.value)}
+                          >
+                            <option value="">Unassigned</option>
+                            {housekeepers.map((housekeeper) => (
+                              <option key={housekeeper._id} value={housekeeper._id}>
+                                {housekeeper.name}
+                              </option>
+                            ))}
+                          </select>
+                        </td>
+                        <td className="housekeeping-actions">
+                          {TASK_ACTIONS[task.status].map(([status, label]) => (
+                            <button
+                              key={status}
+                              className={status === 'pending' ? 'btn-secondary' : 'btn-primary'}
+                              onClick={() => handleTaskStatus(task._id, status)}
+                            >
+                              {label}
+                            </button>
+                          ))}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </div>
+        </div>
+
+        <div className="card">
+          <div className="card-header">Room Board</div>
+          <div className="card-body">
+            <div className="housekeeping-board">
+              {board.map(({ room, task, occupiedBy, arrival }) => (
+                <div key={room._id} className={`housekeeping-room hk-${room.housekeepingStatus}`}>
+                  <div className="housekeeping-room-header">
+                    <strong>Room {room.code}</strong>
+                    <span className="housekeeping-capitalize">{room.type}</span>
+                  </div>
+                  <select
+                    value={room.housekeepingStatus}
+                    onChange={(e) => handleRoomStatus(room._id, e.target.value)}
+                  >
+                    {HOUSEKEEPING_STATUSES.map((status) => (
+                      <option key={status} value={status}>
+                        {status}
+                      </option>
+                    ))}
+                  </select>
+                  <div className="housekeeping-room-notes">
+                    {room.status === 'maintenance' && <span>Under maintenance</span>}
+                    {occupiedBy && <span>Occupied · {occupiedBy.guestName || occupiedBy.guest?.name || 'Guest'}</span>}
+                    {arrival && <span>Arrival · {arrival.guestName || arrival.guest?.name || 'Guest'}</span>}
+                    {task && (
+                      <span>
+                        {task.type} task {formatStatus(task.status)}
+                        {task.assignedTo && ` · ${task.assignedTo.name}`}
+                      </span>
+                    )}
+                  </div>
+                </div>
+              ))}
+            </div>
+          </div>
+        </div>
+      </section>
+    </div>
+  );
+};
+
+export default StaffHousekeepingPage;
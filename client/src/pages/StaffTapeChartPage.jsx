@@ -0,0 +1,446 @@
+/**
+ * @fileoverview Tape chart page: a room × date grid of stays and out-of-order blocks, where staff drag
+ * a stay to another room or other dates, or drag its end to change the check-out date
+ * @module pages/StaffTapeChartPage
+ */
+
+import React, { useState, useEffect, useRef } from 'react';
+import { Link } from 'react-router-dom';
+import api from '../services/api';
+import Loader from '../components/Loader';
+import '../styles/Theme.css';
+import './StaffTapeChartPage.css';
+
+const ONE_DAY = 24 * 60 * 60 * 1000;
+
+const WINDOW_OPTIONS = [7, 14, 30];
+
+const STATUS_LABELS = {
+  pending: 'Pending',
+  approved: 'Approved',
+  checked_in: 'In house',
+  checked_out: 'Checked out',
+};
+
+// Stays that have not started can be moved freely; in-house guests can change rooms or extend
+const MOVABLE_STATUSES = ['pending', 'approved', 'checked_in'];
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+const toDateString = (date) => new Date(date).toISOString().slice(0, 10);
+
+const addDays = (dateString, count) => new Date(Date.parse(dateString) + count * ONE_DAY).toISOString().slice(0, 10);
+
+const formatDate = (date) =>
+  new Date(date).toLocaleDateString('en-US', { month: 'short', day: 'numeric', timeZone: 'UTC' });
+
+/**
+ * Arrange the chart into rows: each room, then lanes for stays of the type not yet given a room
+ * (packed so stays that don't overlap share a lane)
+ * @param {Object} chart - Tape chart from the API
+ * @returns {Object[]} Rows with key, room (null for unassigned lanes), roomType, items and blocks
+ */
+const buildRows = (chart) => {
+  const types = [...new Set([
+    ...chart.rooms.map((room) => room.type),
+    ...chart.bookings.filter((booking) => !booking.room).map((booking) => booking.roomType),
+  ])];
+
+  return types.flatMap((roomType) => {
+    const roomRows = chart.rooms
+      .filter((room) => room.type === roomType)
+      .map((room) => ({
+        key: room._id,
+        room,
+        roomType,
+        items: chart.bookings.flatMap((booking) =>
+          booking.segments
+            .filter((segment) => segment.room === room._id)
+            .map((segment) => ({ booking, segment }))
+        ),
+        blocks: chart.blocks.filter((block) => block.room === room._id),
+      }));
+
+    const lanes = [];
+    chart.bookings
+      .filter((booking) => booking.roomType === roomType)
+      .forEach((booking) => {
+        booking.segments
+          .filter((segment) => segment.room === null)
+          .forEach((segment) => {
+            let lane = lanes.find((candidate) => candidate.end <= segment.startDate);
+            if (!lane) {
+              lane = { key: `unassigned-${roomType}-${lanes.length}`, room: null, roomType, items: [], blocks: [] };
+              lanes.push(lane);
+            }
+            lane.items.push({ booking, segment });
+            lane.end = segment.endDate;
+          });
+      });
+
+    return [...roomRows, ...lanes];
+  });
+};
+
+const StaffTapeChartPage = () => {
+  const [startDate, setStartDate] = useState(today());
+  const [days, setDays] = useState(14);
+  const [chart, setChart] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+  const [dragging, setDragging] = useState(false);
+  const [dropTarget, setDropTarget] = useState(null);
+  const dragRef = useRef(null);
+
+  useEffect(() => {
+    fetchChart();
+  }, [startDate, days]);
+
+  const fetchChart = async () => {
+    try {
+      setLoading(true);
+      const response = await api.get('/bookings/tape-chart', { params: { startDate, days } });
+      setChart(response.data.data);
+      setError('');
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to fetch the tape chart');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const dayIndex = (date) => Math.round((Date.parse(toDateString(date)) - Date.parse(chart.dates[0])) / ONE_DAY);
+
+  const roomCode = (roomId) => chart.rooms.find((room) => room._id === roomId)?.code || '—';
+
+  const bookingType = (booking) =>
+    booking.roomType || chart.rooms.find((room) => room._id === booking.room)?.type;
+
+  const runChange = async (request) => {
+    setError('');
+    setMessage('');
+    setSaving(true);
+
+    try {
+      const response = await request();
+      setMessage(response.data.message);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to change the stay');
+    } finally {
+      setSaving(false);
+      fetchChart();
+    }
+  };
+
+  // In-house guests change rooms through a room move, which re-prices the nights left
+  const moveGuest = (booking, room) => {
+    if (!window.confirm(`Move ${booking.guestName || 'the guest'} from room ${roomCode(booking.room)} to room ${room.code} for the rest of the stay?`)) {
+      return;
+    }
+
+    runChange(async () => {
+      try {
+        return await api.post(`/bookings/${booking._id}/move-room`, { roomId: room._id });
+      } catch (err) {
+        if (err.response?.status === 409 && err.response.data?.data?.canOverride) {
+          if (window.confirm(`${err.response.data.message}. Move the guest anyway?`)) {
+            return api.post(`/bookings/${booking._id}/move-room`, { roomId: room._id, allowUncleanRoom: true });
+          }
+        }
+        throw err;
+      }
+    });
+  };
+
+  const moveStay = (booking, row, shift) => {
+    const room = row.room;
+    const sameRoom = room ? room._id === booking.room : !booking.room;
+    if (shift === 0 && sameRoom) {
+      return;
+    }
+
+    if (!room && (booking.room || row.roomType !== bookingType(booking))) {
+      setError(`Drop the stay on a ${bookingType(booking)} room, or on its own unassigned lane to change only the dates`);
+      return;
+    }
+
+    if (booking.status === 'checked_in') {
+      if (shift !== 0) {
+        setError("An in-house guest's arrival can't be moved; drag the end of the stay to extend it");
+        return;
+      }
+      moveGuest(booking, room);
+      return;
+    }
+
+    const checkInDate = addDays(toDateString(booking.checkInDate), shift);
+    const checkOutDate = addDays(toDateString(booking.checkOutDate), shift);
+    const typeChange = room && room.type !== bookingType(booking)
+      ? `\n\nThis changes the room type to ${room.type}.`
+      : '';
+    if (
+      !window.confirm(
+        `Move ${booking.guestName || 'the stay'} to ${room ? `room ${room.code}` : 'an unassigned room'}, ` +
+          `${formatDate(checkInDate)} – ${formatDate(checkOutDate)}?${typeChange}\n\nThe stay is re-priced.`
+      )
+    ) {
+      return;
+    }
+
+    runChange(() =>
+      api.put(`/bookings/${booking._id}`, {
+        ...(room && { roomId: room._id }),
+        checkInDate,
+        checkOutDate,
+      })
+    );
+  };
+
+  const resizeStay = (booking, checkOutDate) => {
+    const currentCheckOut = toDateString(booking.checkOutDate);
+    if (checkOutDate === currentCheckOut) {
+      return;
+    }
+    if (checkOutDate <= toDateString(booking.checkInDate)) {
+      setError('A stay must keep at least one night');
+      return;
+    }
+
+    if (booking.status === 'checked_in' && checkOutDate < currentCheckOut) {
+      setError('To shorten an in-house stay, check the guest out early from the front desk');
+      return;
+    }
+
+    if (!window.confirm(`Change ${booking.guestName || 'the stay'}'s check-out to ${formatDate(checkOutDate)}?`)) {
+      return;
+    }
+
+    runChange(() =>
+      booking.status === 'checked_in'
+        ? api.post(`/bookings/${booking._id}/extend`, { checkOutDate })
+        : api.put(`/bookings/${booking._id}`, { checkOutDate })
+    );
+  };
+
+  const handleDragStart = (e, booking, segment, mode) => {
+    const startIndex = Math.max(dayIndex(segment.startDate), 0);
+    const endIndex = Math.min(dayIndex(segment.endDate), chart.dates.length);
+    const rect = e.currentTarget.getBoundingClientRect();
+    const nights = endIndex - startIndex;
+    const grabIndex = startIndex + Math.min(nights - 1, Math.floor((e.clientX - rect.left) / (rect.width / nights)));
+
+    dragRef.current = { booking, mode, grabIndex };
+    e.dataTransfer.effectAllowed = 'move';
+    e.dataTransfer.setData('text/plain', booking._id);
+    // Let the drag begin before the bars stop catching the pointer
+    setTimeout(() => setDragging(true), 0);
+  };
+
+  const handleDragEnd = () => {
+    dragRef.current = null;
+    setDragging(false);
+    setDropTarget(null);
+  };
+
+  const handleDrop = (e, row, index) => {
+    e.preventDefault();
+    const drag = dragRef.current;
+    handleDragEnd();
+    if (!drag) {
+      return;
+    }
+
+    if (drag.mode === 'resize') {
+      resizeStay(drag.booking, addDays(chart.dates[index], 1));
+    } else {
+      moveStay(drag.booking, row, index - drag.grabIndex);
+    }
+  };
+
+  const goToWindow = (offset) => setStartDate(addDays(startDate, offset));
+
+  const renderBar = ({ booking, segment }, row) => {
+    const startIndex = dayIndex(segment.startDate);
+    const endIndex = dayIndex(segment.endDate);
+    const clippedStart = startIndex < 0;
+    const clippedEnd = endIndex > chart.dates.length;
+    const isCurrent = segment.room === (booking.room || null);
+    const canMove = MOVABLE_STATUSES.includes(booking.status) && isCurrent && !saving;
+    const canResize = canMove && !clippedEnd && toDateString(segment.endDate) === toDateString(booking.checkOutDate);
+
+    return (
+      <div
+        key={`${booking._id}-${toDateString(segment.startDate)}`}
+        className={`tape-bar tape-bar-${booking.status}${clippedStart ? ' clipped-start' : ''}${clippedEnd ? ' clipped-end' : ''}${isCurrent ? '' : ' tape-bar-moved'}`}
+        style={{ gridColumn: `${Math.max(startIndex, 0) + 2} / ${Math.min(endIndex, chart.dates.length) + 2}` }}
+        draggable={canMove}
+        onDragStart={(e) => handleDragStart(e, booking, segment, 'move')}
+        onDragEnd={handleDragEnd}
+        title={
+          `${booking.guestName || 'Guest'}${booking.group ? ` (${booking.group.name})` : ''}\n` +
+          `${formatDate(booking.checkInDate)} – ${formatDate(booking.checkOutDate)} · ${STATUS_LABELS[booking.status]}` +
+          `${row.room ? '' : `\nNo room assigned (${booking.roomType})`}` +
+          `${isCurrent ? '' : '\nMoved to another room'}`
+        }
+      >
+        <span className="tape-bar-label">{booking.guestName || 'Guest'}</span>
+        {canResize && (
+          <span
+            className="tape-bar-handle"
+            draggable
+            onDragStart={(e) => {
+              e.stopPropagation();
+              handleDragStart(e, booking, segment, 'resize');
+            }}
+            onDragEnd={handleDragEnd}
+            title="Drag to change the check-out date"
+          />
+        )}
+      </div>
+    );
+  };
+
+  const rows = chart ? buildRows(chart) : [];
+
+  return (
+    <div className="app-page">
+      <header className="page-header">
+        <div>
+          <h1 className="page-title">tape chart</h1>
+          <p className="page-subtitle">rooms by night: drag a stay to move it, drag its end to change the check-out.</p>
+        </div>
+        <div className="page-actions">
+          <Link className="btn-secondary" to="/staff/bookings">
+            bookings list
+          </Link>
+          <Link className="btn-secondary" to="/staff/front-desk">
+            front desk
+          </Link>
+        </div>
+      </header>
+
+      <section className="page-content">
+        {error && <div className="error-message">{error}</div>}
+        {message && <div className="success-message">{message}</div>}
+
+        <div className="card">
+          <div className="card-body tape-controls">
+            <button className="btn-secondary" onClick={() => goToWindow(-days)}>
+              ‹ Previous
+            </button>
+            <button className="btn-secondary" onClick={() => setStartDate(today())}>
+              Today
+            </button>
+            <button className="btn-secondary" onClick={() => goToWindow(days)}>
+              Next ›
+            </button>
+            <input
+              type="date"
+              value={startDate}
+              onChange={(e) => e.target.value && setStartDate(e.target.value)}
+            />
+            <select value={days} onChange={(e) => setDays(Number(e.target.value))}>
+              {WINDOW_OPTIONS.map((option) => (
+                <option key={option} value={option}>
+                  {option} nights
+                </option>
+              ))}
+            </select>
+            <div className="tape-legend">
+              {Object.entries(STATUS_LABELS).map(([status, label]) => (
+                <span key={status} className={`tape-legend-item tape-bar-${status}`}>{label}</span>
+              ))}
+              <span className="tape-legend-item tape-block">Out of order</span>
+            </div>
+          </div>
+        </div>
+
+        {loading && !chart ? (
+          <Loader />
+        ) : chart && (
+          <div className="card">
+            <div className="card-body">
+              {rows.length === 0 ? (
+                <p className="empty-state">No rooms yet.</p>
+              ) : (
+                <div className="table-container">
+                  <div
+                    className={`tape-chart${dragging ? ' dragging' : ''}${saving || loading ? ' busy' : ''}`}
+                    style={{ '--tape-days': chart.dates.length }}
+                  >
+                    <div className="tape-row tape-header">
+                      <div className="tape-room-label">Room</div>
+                      {chart.dates.map((date, index) => {
+                        const weekday = new Date(date).getUTCDay();
+                        return (
+                          <div
+                            key={date}
+                            className={`tape-date${date === today() ? ' today' : ''}${weekday === 0 || weekday === 6 ? ' weekend' : ''}`}
+                            style={{ gridColumn: index + 2 }}
+                          >
+                            <span>{new Date(date).toLocaleDateString('en-US', { weekday: 'short', timeZone: 'UTC' })}</span>
+                            <strong>{formatDate(date)}</strong>
+                          </div>
+                        );
+                      })}
+                    </div>
+
+                    {rows.map((row) => (
+                      <div
+                        key={row.key}
+                        className={`tape-row${row.room ? '' : ' tape-row-unassigned'}${row.room?.status === 'maintenance' ? ' tape-row-maintenance' : ''}`}
+                      >
+                        <div className="tape-room-label">
+                          {row.room ? (
+                            <>
+                              <strong>{row.room.code}</strong>
+                              <span>{row.room.status === 'maintenance' ? 'maintenance' : row.room.type}</span>
+                            </>
+                          ) : (
+                            <>
+                              <strong>Unassigned</strong>
+                              <span>{row.roomType}</span>
+                            </>
+                          )}
+                        </div>
+                        {chart.dates.map((date, index) => (
+                          <div
+                            key={date}
+                            className={`tape-cell${dropTarget === `${row.key}:${index}` ? ' drop-target' : ''}${date === today() ? ' today' : ''}`}
+                            style={{ gridColumn: index + 2 }}
+                            onDragOver={(e) => e.preventDefault()}
+                            onDragEnter={() => setDropTarget(`${row.key}:${index}`)}
+                            onDrop={(e) => handleDrop(e, row, index)}
+                          />
+                        ))}
+                        {row.blocks.map((block) => {
+                          const startIndex = Math.max(dayIndex(block.startDate), 0);
+                          const endIndex = Math.min(dayIndex(block.endDate), chart.dates.length);
+                          return (
+                            <div
+                              key={block._id}
+                              className="tape-block"
+                              style={{ gridColumn: `${startIndex + 2} / ${endIndex + 2}` }}
+                              title={`Out of order: ${block.title} (${formatDate(block.startDate)} – ${formatDate(block.endDate)})`}
+                            >
+                              {block.title}
+                            </div>
+                          );
+                        })}
+                        {row.items.map((item) => renderBar(item, row))}
+                      </div>
+                    ))}
+                  </div>
+                </div>
+              )}
+            </div>
+          </div>
+        )}
+      </section>
+    </div>
+  );
+};
+
+export default StaffTapeChartPage;
@@ -0,0 +1,372 @@
+/**
+ * @fileoverview Maintenance page: work orders on rooms and their out-of-order blocks
+ * @module pages/StaffWorkOrdersPage
+ */
+
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import api from '../services/api';
+import Loader from '../components/Loader';
+import '../styles/Theme.css';
+import './StaffWorkOrdersPage.css';
+
+const PRIORITIES = ['low', 'medium', 'high', 'urgent'];
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+const tomorrow = () => new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+
+const EMPTY_FORM = {
+  roomId: '',
+  title: '',
+  description: '',
+  priority: 'medium',
+  assignedTo: '',
+  startDate: today(),
+  endDate: tomorrow(),
+  outOfOrder: true,
+};
+
+// Actions offered for a work order in each status: [next status, button label]
+const STATUS_ACTIONS = {
+  open: [['in_progress', 'Start'], ['resolved', 'Resolve'], ['cancelled', 'Cancel']],
+  in_progress: [['resolved', 'Resolve'], ['cancelled', 'Cancel']],
+  resolved: [['open', 'Reopen']],
+  cancelled: [['open', 'Reopen']],
+};
+
+const formatDate = (date) =>
+  new Date(date).toLocaleDateString('en-US', { year: 'numeric', month: 'short', day: 'numeric', timeZone: 'UTC' });
+
+const StaffWorkOrdersPage = () => {
+  const [workOrders, setWorkOrders] = useState([]);
+  const [rooms, setRooms] = useState([]);
+  const [staff, setStaff] = useState([]);
+  const [statusFilter, setStatusFilter] = useState('open,in_progress');
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+  const [showForm, setShowForm] = useState(false);
+  const [formData, setFormData] = useState(EMPTY_FORM);
+  const [conflicts, setConflicts] = useState(null);
+  const [submitting, setSubmitting] = useState(false);
+
+  useEffect(() => {
+    fetchRooms();
+    fetchStaff();
+  }, []);
+
+  useEffect(() => {
+    fetchWorkOrders();
+  }, [statusFilter]);
+
+  const fetchWorkOrders = async () => {
+    try {
+      setLoading(true);
+      const response = await api.get('/work-orders', { params: { status: statusFilter || undefined } });
+      setWorkOrders(response.data.data.workOrders || []);
+      setError('');
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to fetch work orders');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const fetchRooms = async () => {
+    try {
+      const response = await api.get('/rooms');
+      setRooms(response.data.data.rooms || []);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to fetch rooms');
+    }
+  };
+
+  const fetchStaff = async () => {
+    try {
+      const response = await api.get('/housekeeping/housekeepers');
+      setStaff(response.data.data.housekeepers || []);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to fetch staff');
+    }
+  };
+
+  const handleInputChange = (e) => {
+    const { name, value, type, checked } = e.target;
+    setFormData((prev) => ({
+      ...prev,
+      [name]: type === 'checkbox' ? checked : value,
+    }));
+  };
+
+  const handleCancel = () => {
+    setShowForm(false);
+    setFormData(EMPTY_FORM);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    try {
+      setSubmitting(true);
+      setError('');
+      const response = await api.post('/work-orders', {
+        ...formData,
+        assignedTo: formData.assignedTo || null,
+      });
+      setMessage(response.data.message);
+      setConflicts(response.data.data.conflicts);
+      handleCancel();
+      fetchWorkOrders();
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to create work order');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleAssign = async (workOrderId, assignedTo) => {
+    try {
+      setError('');
+      await api.put(`/work-orders/${workOrderId}`, { assignedTo: assignedTo || null });
+      fetchWorkOrders();
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to assign work order');
+    }
+  };
+
+  const handleStatus = async (workOrder, status) => {
+    const payload = { status };
+    if (status === 'resolved') {
+      const resolutionNotes = window.prompt(`What was done in room ${workOrder.room?.code}?`);
+      if (!resolutionNotes) {
+        return;
+      }
+      payload.resolutionNotes = resolutionNotes;
+    }
+
+    try {
+      setError('');
+      const response = await api.patch(`/work-orders/${workOrder._id}/status`, payload);
+      setMessage(response.data.message);
+      setConflicts(response.data.data.conflicts);
+      fetchWorkOrders();
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to update work order');
+    }
+  };
+
+  if (loading && workOrders.length === 0 && !error) {
+    return <Loader />;
+  }
+
+  return (
+    <div className="app-page">
+      <header className="page-header">
+        <div>
+          <h1 className="page-title">maintenance</h1>
+          <p className="page-subtitle">work orders and out-of-order rooms.</p>
+        </div>
+        <div className="page-actions">
+          <button className="btn-primary" onClick={() => setShowForm(true)} disabled={showForm}>
+            new work order
+          </button>
+          <Link className="btn-secondary" to="/staff/housekeeping">
+            housekeeping
+          </Link>
+        </div>
+      </header>
+
+      <section className="page-content">
+        {error && <div className="error-message">{error}</div>}
+        {message && <div className="success-message">{message}</div>}
+
+        {conflicts && (conflicts.bookings.length > 0 || conflicts.oversoldNights.length > 0) && (
+          <div className="card work-order-conflicts">
+            <div className="card-header">Bookings Affected by the Block</div>
+            <div className="card-body">
+              {conflicts.bookings.map((booking) => (
+                <p key={booking._id}>
+                  {booking.guestName || booking.guest?.name || 'Guest'} · {formatDate(booking.checkInDate)} –{' '}
+                  {formatDate(booking.checkOutDate)} · {booking.status.replace('_', ' ')}
+                </p>
+              ))}
+              {conflicts.oversoldNights.map((night) => (
+                <p key={night.date}>
+                  {formatDate(night.date)}: {night.booked} booking(s) for {night.capacity} sellable room(s) of this type
+                </p>
+              ))}
+              <p className="work-order-hint">Move these guests to another room or adjust the block dates.</p>
+            </div>
+          </div>
+        )}
+
+        {showForm && (
+          <div className="card">
+            <div className="card-header">New Work Order</div>
+            <div className="card-body">
+              <form onSubmit={handleSubmit} className="work-order-form">
+                <div className="form-group">
+                  <label>Room *</label>
+                  <select name="roomId" value={formData.roomId} onChange={handleInputChange} required>
+                    <option value="">Select a room</option>
+                    {rooms.map((room) => (
+                      <option key={room._id} value={room._id}>
+                        Room {room.code} ({room.type})
+                      </option>
+                    ))}
+                  </select>
+                </div>
+                <div className="form-group">
+                  <label>Title *</label>
+                  <input type="text" name="title" value={formData.title} onChange={handleInputChange} required />
+                </div>
+                <div className="form-group">
+                  <label>Priority</label>
+                  <select name="priority" value={formData.priority} onChange={handleInputChange}>
+                    {PRIORITIES.map((priority) => (
+                      <option key={priority} value={priority}>
+                        {priority}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+                <div className="form-group">
+                  <label>Assign To</label>
+                  <select name="assignedTo" value={formData.assignedTo} onChange={handleInputChange}>
+                    <option value="">Unassigned</option>
+                    {staff.map((member) => (
+                      <option key={member._id} value={member._id}>
+                        {member.name}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+                <div className="form-group">
+                  <label>Start Date *</label>
+                  <input type="date" name="startDate" value={formData.startDate} onChange={handleInputChange} required />
+                </div>
+                <div className="form-group">
+                  <label>Back in Service *</label>
+                  <input
+                    type="date"
+                    name="endDate"
+                    value={formData.endDate}
+                    onChange={handleInputChange}
+                    min={formData.startDate}
+                    required
+                  />
+                </div>
+                <div className="form-group work-order-form-wide">
+                  <label>Description</label>
+                  <textarea name="description" value={formData.description} onChange={handleInputChange} rows="3" />
+                </div>
+                <div className="form-group checkbox-group">
+                  <label>
+                    <input type="checkbox" name="outOfOrder" checked={formData.outOfOrder} onChange={handleInputChange} />
+                    Take the room out of order for these dates
+                  </label>
+                </div>
+                <div className="work-order-form-actions">
+                  <button type="submit" className="btn-primary" disabled={submitting}>
+                    {submitting ? 'Saving...' : 'Create Work Order'}
+                  </button>
+                  <button type="button" className="btn-secondary" onClick={handleCancel}>
+                    Cancel
+                  </button>
+                </div>
+              </form>
+            </div>
+          </div>
+        )}
+
+        <div className="card">
+          <div className="card-header work-order-list-header">
+            <span>Work Orders</span>
+            <select value={statusFilter} onChange={(e) => setStatusFilter(e.target.value)}>
+              <option value="open,in_progress">Active</option>
+              <option value="resolved">Resolved</option>
+              <option value="cancelled">Cancelled</option>
+              <option value="">All</option>
+            </select>
+          </div>
+          <div className="card-body">
+            {workOrders.length === 0 ? (
+              <p className="empty-state">No work orders.</p>
+            ) : (
+              <div className="table-container">
+                <table className="table">
+                  <thead>
+                    <tr>
+                      <th>Room</th>
+                      <th>Work</th>
+                      <th>Priority</th>
+                      <th>Dates</th>
+                      <th>Assigned To</th>
+                      <th>Status</th>
+                      <th>Actions</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {workOrders.map((workOrder) => (
+                      <tr key={workOrder._id}>
+                        <td>Room {workOrder.room?.code}</td>
+                        <td>
+                          <strong>{workOrder.title}</strong>
+                          {workOrder.description && <div className="work-order-note">{workOrder.description}</div>}
+                          {workOrder.resolutionNotes && (
+                            <div className="work-order-note">Resolution: {workOrder.resolutionNotes}</div>
+                          )}
+                          {workOrder.conflictingBookings?.length > 0 && (
+                            <div className="work-order-warning">
+                              {workOrder.conflictingBookings.length} booking(s) hold the room during the block
+                            </div>
+                          )}
+                        </td>
+                        <td>
+                          <span className={`work-order-priority priority-${workOrder.priority}`}>
+                            {workOrder.priority}
+                          </span>
+                        </td>
+                        <td className="work-order-dates">
+                          {formatDate(workOrder.startDate)} – {formatDate(workOrder.endDate)}
+                          {workOrder.outOfOrder && <div className="work-order-note">Out of order</div>}
+                        </td>
+                        <td>
+                          <select
+                            value={workOrder.assignedTo?._id || ''}
+                            onChange={(e) => handleAssign(workOrder._id, e.target.value)}
+                          >
+                            <option value="">Unassigned</option>
+                            {staff.map((member) => (
+                              <option key={member._id} value={member._id}>
+                                {member.name}
+                              </option>
+                            ))}
+                          </select>
+                        </td>
+                        <td className="work-order-status">{workOrder.status.replace('_', ' ')}</td>
+                        <td className="work-order-actions">
+                          {STATUS_ACTIONS[workOrder.status].map(([status, label]) => (
+                            <button
+                              key={status}
+                              className={status === 'cancelled' ? 'btn-secondary' : 'btn-primary'}
+                              onClick={() => handleStatus(workOrder, status)}
+                            >
+                              {label}
+                            </button>
+                          ))}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </div>
+        </div>
+      </section>
+    </div>
+  );
+};
+
+export default StaffWorkOrdersPage;
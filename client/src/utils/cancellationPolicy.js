@@ -0,0 +1,73 @@
+/**
+ * @fileoverview Guest-facing wording for cancellation policies
+ */
+
+import formatCurrency from './formatCurrency';
+
+/**
+ * Describe a penalty on the stay, e.g. "2 nights are charged"
+ * @param {('nights'|'percent'|'full')} penaltyType - How the penalty is worked out
+ * @param {number} penaltyValue - Number of nights, or percentage of the stay
+ * @returns {string}
+ */
+const describeCharge = (penaltyType, penaltyValue) => {
+  if (penaltyType === 'full') {
+    return 'the full stay is charged';
+  }
+  if (penaltyType === 'percent') {
+    return `${penaltyValue}% of the stay is charged`;
+  }
+  return `${penaltyValue} night${penaltyValue === 1 ? '' : 's'} ${penaltyValue === 1 ? 'is' : 'are'} charged`;
+};
+
+/**
+ * Describe what cancelling, or not turning up, costs under a policy.
+ * A missing policy means the booking can be cancelled for free.
+ *
+ * @param {Object|null} policy - Policy (or booking policy snapshot)
+ * @returns {string}
+ */
+export const describeCancellationPolicy = (policy) => {
+  if (!policy) {
+    return 'Free cancellation any time before check-in.';
+  }
+
+  if (policy.isNonRefundable) {
+    return 'Non-refundable: the full stay is charged if you cancel.';
+  }
+
+  const charge = describeCharge(policy.penaltyType, policy.penaltyValue);
+  // Terms booked before no-show charges existed charge a no-show like a late cancellation
+  const noShowCharge = policy.noShowPenaltyType
+    ? describeCharge(policy.noShowPenaltyType, policy.noShowPenaltyValue)
+    : charge;
+
+  const terms = policy.freeCancellationHours
+    ? `Free cancellation until ${policy.freeCancellationHours} hours before check-in; after that ${charge}.`
+    : `Cancelling at any time: ${charge}.`;
+
+  return `${terms} If you don't arrive, ${noShowCharge}.`;
+};
+
+/**
+ * Build the confirmation text shown before a guest cancels, from a cancellation quote
+ * (GET /bookings/:id/cancellation-quote).
+ *
+ * @param {Object} quote - Cancellation quote
+ * @returns {string}
+ */
+export const describeCancellationQuote = (quote) => {
+  const lines = [describeCancellationPolicy(quote.policy)];
+  if (quote.penaltyAmount > 0) {
+    lines.push(`Cancellation fee: ${formatCurrency(quote.penaltyAmount)}.`);
+  }
+  if (quote.refundAmount > 0) {
+    lines.push(`Refund due to you: ${formatCurrency(quote.refundAmount)}.`);
+  }
+  if (quote.balanceDue > 0) {
+    lines.push(`Amount still to pay: ${formatCurrency(quote.balanceDue)}.`);
+  }
+  return lines.join('\n');
+};
+
+export default describeCancellationPolicy;
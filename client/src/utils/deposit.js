@@ -0,0 +1,50 @@
+/**
+ * @fileoverview Guest-facing wording for booking deposits
+ */
+
+import formatCurrency from './formatCurrency';
+
+const DEPOSIT_LABELS = {
+  percent: 'of the stay',
+  first_night: 'first night',
+  full: 'full prepayment',
+};
+
+/**
+ * Describe the deposit a stay asks for, in one sentence.
+ *
+ * @param {Object|null} deposit - Deposit from a quote or booking
+ * @returns {string}
+ */
+export const describeDeposit = (deposit) => {
+  if (!deposit) {
+    return 'No deposit required - pay at checkout.';
+  }
+
+  const label = deposit.type === 'percent'
+    ? `${deposit.percent}% ${DEPOSIT_LABELS.percent}`
+    : DEPOSIT_LABELS[deposit.type];
+
+  return `Deposit of ${formatCurrency(deposit.amount)} (${label}) is due at booking.`;
+};
+
+/**
+ * Describe how long an unpaid booking is held for its deposit.
+ *
+ * @param {Object|null} deposit - Deposit from a booking
+ * @returns {string|null} Null when the deposit is paid or the hold never expires
+ */
+export const describeDepositHold = (deposit) => {
+  if (!deposit || deposit.paidAt || !deposit.dueBy) {
+    return null;
+  }
+
+  return `Held until ${new Date(deposit.dueBy).toLocaleString('en-US', {
+    month: 'short',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit',
+  })} - the booking is cancelled if the deposit is not paid by then.`;
+};
+
+export default describeDeposit;
@@ -0,0 +1,38 @@
+/**
+ * @fileoverview Download PDF documents (invoices, receipts) from the API
+ */
+
+import api from '../services/api';
+
+/**
+ * Fetch a PDF from the API and save it in the browser.
+ * API errors are decoded from the blob so callers can read err.response.data.message as usual.
+ *
+ * @param {string} path - API path, e.g. `/billing/bookings/${id}/invoice/pdf`
+ * @param {string} filename - File name to save as
+ * @returns {Promise<void>}
+ */
+export const downloadPdf = async (path, filename) => {
+  try {
+    const response = await api.get(path, { responseType: 'blob' });
+    const url = URL.createObjectURL(response.data);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+  } catch (err) {
+    if (err.response?.data instanceof Blob) {
+      try {
+        err.response.data = JSON.parse(await err.response.data.text());
+      } catch {
+        // Not a JSON error body; leave it as is
+      }
+    }
+    throw err;
+  }
+};
+
+export default downloadPdf;
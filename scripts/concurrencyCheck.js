@@ -0,0 +1,337 @@
+/**
+ * @fileoverview Concurrency harness for booking creation (by room and by room type), date changes and approvals.
+ * Starts an in-memory MongoDB, fires simultaneous requests at the booking controller
+ * and verifies that no room is ever sold twice for the same night.
+ * @module scripts/concurrencyCheck
+ *
+ * Run with: npm run check:concurrency. Needs a mongod binary: mongodb-memory-server
+ * downloads one on first run, or set MONGOMS_SYSTEM_BINARY to an installed mongod.
+ */
+
+import mongoose from 'mongoose';
+import { MongoMemoryServer } from 'mongodb-memory-server';
+import User from '../src/models/User.js';
+import Room from '../src/models/Room.js';
+import Booking from '../src/models/Booking.js';
+import RoomNight from '../src/models/RoomNight.js';
+import RoomTypeNight from '../src/models/RoomTypeNight.js';
+import {
+  createBooking,
+  updateBooking,
+  approveBooking,
+  cancelBooking,
+} from '../src/controllers/bookingController.js';
+
+const CONCURRENT_REQUESTS = Number(process.env.CONCURRENT_REQUESTS || 25);
+
+let failures = 0;
+
+/**
+ * Record a check result
+ * @param {boolean} condition - Whether the check passed
+ * @param {string} message - Description of the check
+ */
+const check = (condition, message) => {
+  if (condition) {
+    console.log(`  ✅ ${message}`);
+  } else {
+    failures++;
+    console.log(`  ❌ ${message}`);
+  }
+};
+
+/**
+ * Call a controller the way Express would and collect its response
+ * @param {Function} controller - Controller function
+ * @param {Object} req - Request fields (body, params, user)
+ * @returns {Promise<Object>} Object with statusCode and body
+ */
+const invoke = (controller, { body = {}, params = {}, user }) =>
+  new Promise((resolve) => {
+    const res = {
+      statusCode: 200,
+      status(code) {
+        this.statusCode = code;
+        return this;
+      },
+      json(payload) {
+        resolve({ statusCode: this.statusCode, body: payload });
+        return this;
+      },
+    };
+    controller({ body, params, query: {}, user }, res, (error) =>
+      resolve({ statusCode: 500, body: { message: error?.message } })
+    );
+  });
+
+/**
+ * Build a date N days from today as a YYYY-MM-DD string
+ * @param {number} days - Days from today
+ * @returns {string} Date string
+ */
+const daysFromNow = (days) => {
+  const date = new Date();
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().split('T')[0];
+};
+
+/**
+ * Find active bookings for a room that overlap each other
+ * @param {mongoose.Types.ObjectId} roomId - Room ID
+ * @returns {Promise<number>} Number of overlapping pairs
+ */
+const countOverlaps = async (roomId) => {
+  const bookings = await Booking.find({
+    room: roomId,
+    status: { $nin: ['cancelled', 'checked_out'] },
+  }).sort({ checkInDate: 1 });
+
+  let overlaps = 0;
+  for (let i = 0; i < bookings.length; i++) {
+    for (let j = i + 1; j < bookings.length; j++) {
+      if (bookings[j].checkInDate < bookings[i].checkOutDate) {
+        overlaps++;
+      }
+    }
+  }
+  return overlaps;
+};
+
+/**
+ * Create customers to book with
+ * @param {number} count - Number of customers
+ * @returns {Promise<Object[]>} Request users ({ id, role })
+ */
+const createCustomers = async (count) => {
+  const customers = await User.insertMany(
+    Array.from({ length: count }, (_, i) => ({
+      name: `Guest ${i + 1}`,
+      email: `guest${i + 1}@concurrency.test`,
+      password: 'password123',
+      role: 'customer',
+    }))
+  );
+  return customers.map((customer) => ({ id: customer._id.toString(), role: 'customer' }));
+};
+
+/**
+ * Many guests book the same room for the same dates at the same moment
+ */
+const sameDatesScenario = async (room, customers) => {
+  console.log(`\n${CONCURRENT_REQUESTS} simultaneous bookings for the same room and dates`);
+
+  const results = await Promise.all(
+    customers.map((user) =>
+      invoke(createBooking, {
+        user,
+        body: { roomId: room._id.toString(), checkInDate: daysFromNow(10), checkOutDate: daysFromNow(13) },
+      })
+    )
+  );
+
+  const created = results.filter((result) => result.statusCode === 201);
+  const rejected = results.filter((result) => result.statusCode === 400);
+  check(created.length === 1, `exactly one booking created (got ${created.length})`);
+  check(rejected.length === results.length - 1, `all other requests rejected (got ${rejected.length})`);
+  check(await countOverlaps(room._id) === 0, 'no overlapping bookings stored');
+  check(await RoomNight.countDocuments({ room: room._id }) === 3, 'three nights held');
+};
+
+/**
+ * Guests book overlapping, staggered date ranges at the same moment
+ */
+const staggeredDatesScenario = async (room, customers) => {
+  console.log(`\n${CONCURRENT_REQUESTS} simultaneous bookings with staggered, overlapping dates`);
+
+  const results = await Promise.all(
+    customers.map((user, i) =>
+      invoke(createBooking, {
+        user,
+        body: {
+          roomId: room._id.toString(),
+          checkInDate: daysFromNow(20 + (i % 6)),
+          checkOutDate: daysFromNow(23 + (i % 6)),
+        },
+      })
+    )
+  );
+
+  const created = results.filter((result) => result.statusCode === 201);
+  const errors = results.filter((result) => result.statusCode === 500);
+  check(created.length >= 1, `at least one booking created (got ${created.length})`);
+  check(errors.length === 0, `no request errored (got ${errors.length})`);
+  check(await countOverlaps(room._id) === 0, 'no overlapping bookings stored');
+
+  const bookings = await Booking.find({ room: room._id, status: 'pending' });
+  const heldNights = bookings.reduce((sum, booking) => sum + booking.totalNights, 0);
+  check(
+    await RoomNight.countDocuments({ room: room._id }) === heldNights,
+    'held nights match the stored bookings'
+  );
+};
+
+/**
+ * Many guests book the same room type at the same moment; only as many as there are rooms succeed
+ */
+const roomTypeScenario = async (suites, customers) => {
+  console.log(`\n${CONCURRENT_REQUESTS} simultaneous bookings for a type with ${suites.length} rooms`);
+
+  const results = await Promise.all(
+    customers.map((user) =>
+      invoke(createBooking, {
+        user,
+        body: { roomType: 'suite', checkInDate: daysFromNow(30), checkOutDate: daysFromNow(32) },
+      })
+    )
+  );
+
+  const created = results.filter((result) => result.statusCode === 201);
+  check(created.length === suites.length, `exactly ${suites.length} bookings created (got ${created.length})`);
+
+  const nights = await RoomTypeNight.find({ roomType: 'suite' });
+  check(
+    nights.length === 2 && nights.every((night) => night.bookings.length === suites.length),
+    'each night holds one booking per suite'
+  );
+};
+
+/**
+ * Two existing bookings are moved onto the same free dates at the same moment
+ */
+const updateScenario = async (room, customers) => {
+  console.log('\nTwo bookings moved onto the same dates at the same moment');
+
+  const [first, second] = await Promise.all([
+    invoke(createBooking, {
+      user: customers[0],
+      body: { roomId: room._id.toString(), checkInDate: daysFromNow(40), checkOutDate: daysFromNow(42) },
+    }),
+    invoke(createBooking, {
+      user: customers[1],
+      body: { roomId: room._id.toString(), checkInDate: daysFromNow(44), checkOutDate: daysFromNow(46) },
+    }),
+  ]);
+  check(first.statusCode === 201 && second.statusCode === 201, 'two separate bookings created');
+
+  const results = await Promise.all(
+    [[first, customers[0]], [second, customers[1]]].map(([created, user]) =>
+      invoke(updateBooking, {
+        user,
+        params: { id: created.body.data.booking._id.toString() },
+        body: { checkInDate: daysFromNow(50), checkOutDate: daysFromNow(53) },
+      })
+    )
+  );
+
+  const updated = results.filter((result) => result.statusCode === 200);
+  check(updated.length === 1, `exactly one date change accepted (got ${updated.length})`);
+  check(await countOverlaps(room._id) === 0, 'no overlapping bookings stored');
+
+  const bookings = await Booking.find({ room: room._id, status: 'pending' });
+  const heldNights = bookings.reduce((sum, booking) => sum + booking.totalNights, 0);
+  check(
+    await RoomNight.countDocuments({ room: room._id }) === heldNights,
+    'nights given back for the moved booking'
+  );
+};
+
+/**
+ * Two overlapping bookings made before night inventory existed are approved at the same moment
+ */
+const approveScenario = async (room, customers, staff) => {
+  console.log('\nTwo overlapping legacy bookings approved at the same moment');
+
+  const legacy = await Booking.insertMany(
+    customers.slice(0, 2).map((user) => ({
+      guest: user.id,
+      room: room._id,
+      checkInDate: new Date(daysFromNow(60)),
+      checkOutDate: new Date(daysFromNow(62)),
+      totalNights: 2,
+      totalAmount: room.pricePerNight * 2,
+      status: 'pending',
+      createdBy: user.id,
+    }))
+  );
+
+  const results = await Promise.all(
+    legacy.map((booking) =>
+      invoke(approveBooking, { user: staff, params: { id: booking._id.toString() } })
+    )
+  );
+
+  const approved = results.filter((result) => result.statusCode === 200);
+  check(approved.length <= 1, `at most one approval accepted (got ${approved.length})`);
+  check(
+    await Booking.countDocuments({ _id: { $in: legacy.map((b) => b._id) }, status: 'approved' }) <= 1,
+    'at most one legacy booking approved'
+  );
+};
+
+/**
+ * A cancelled booking gives its nights back
+ */
+const cancelScenario = async (room, customers) => {
+  console.log('\nCancelled booking frees its nights');
+
+  const created = await invoke(createBooking, {
+    user: customers[0],
+    body: { roomId: room._id.toString(), checkInDate: daysFromNow(70), checkOutDate: daysFromNow(72) },
+  });
+  await invoke(cancelBooking, {
+    user: customers[0],
+    params: { id: created.body.data.booking._id.toString() },
+  });
+
+  const rebooked = await invoke(createBooking, {
+    user: customers[1],
+    body: { roomId: room._id.toString(), checkInDate: daysFromNow(70), checkOutDate: daysFromNow(72) },
+  });
+  check(rebooked.statusCode === 201, 'dates can be booked again after cancellation');
+};
+
+/**
+ * Run all scenarios
+ */
+async function runConcurrencyCheck() {
+  const mongoServer = await MongoMemoryServer.create();
+
+  try {
+    await mongoose.connect(mongoServer.getUri());
+    await Promise.all([RoomNight.init(), RoomTypeNight.init(), Booking.init()]);
+
+    const customers = await createCustomers(CONCURRENT_REQUESTS);
+    const staff = { id: new mongoose.Types.ObjectId().toString(), role: 'staff' };
+    const [sameDatesRoom, staggeredRoom, updateRoom, approveRoom, cancelRoom] = await Room.insertMany(
+      ['C-101', 'C-102', 'C-103', 'C-104', 'C-105'].map((code) => ({
+        code,
+        type: 'double',
+        pricePerNight: 100,
+        maxGuests: 2,
+      }))
+    );
+
+    const suites = await Room.insertMany(
+      ['S-201', 'S-202'].map((code) => ({ code, type: 'suite', pricePerNight: 300, maxGuests: 4 }))
+    );
+
+    await sameDatesScenario(sameDatesRoom, customers);
+    await staggeredDatesScenario(staggeredRoom, customers);
+    await roomTypeScenario(suites, customers);
+    await updateScenario(updateRoom, customers);
+    await approveScenario(approveRoom, customers, staff);
+    await cancelScenario(cancelRoom, customers);
+
+    console.log(failures === 0 ? '\n✅ All concurrency checks passed' : `\n❌ ${failures} check(s) failed`);
+  } catch (error) {
+    console.error('Error running concurrency check:', error);
+    failures++;
+  } finally {
+    await mongoose.disconnect();
+    await mongoServer.stop();
+    process.exit(failures === 0 ? 0 : 1);
+  }
+}
+
+// Run concurrency check
+runConcurrencyCheck();
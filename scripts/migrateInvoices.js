@@ -0,0 +1,98 @@
+/**
+ * @fileoverview Moves billing onto persisted, sequentially numbered invoices.
+ * Drops the old unique index on payment invoice numbers, clears the random numbers
+ * payments were stamped with, removes the pending placeholder payments checkout used
+ * to create, and issues invoices for checked-out stays, oldest first.
+ * @module scripts/migrateInvoices
+ *
+ * Run with: npm run migrate:invoices
+ */
+
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import Booking from '../src/models/Booking.js';
+import GroupBooking from '../src/models/GroupBooking.js';
+import Payment from '../src/models/Payment.js';
+import Invoice from '../src/models/Invoice.js';
+import { issueBookingInvoice, issueGroupInvoice } from '../src/services/invoiceService.js';
+
+// Load environment variables
+dotenv.config();
+
+const MONGO_URI = process.env.MONGO_URI || 'mongodb://localhost:27017/checkinn';
+
+/**
+ * Migrate payments to issued invoices
+ */
+async function migrateInvoices() {
+  try {
+    console.log('Connecting to MongoDB...');
+    await mongoose.connect(MONGO_URI);
+    console.log('Connected to MongoDB');
+
+    // Payment invoice numbers are shared by an invoice's payments now, so drop the old unique index
+    await Payment.syncIndexes();
+    await Invoice.init();
+
+    const issuedNumbers = await Invoice.find({ number: { $type: 'string' } }).distinct('number');
+    const cleared = await Payment.updateMany(
+      { invoiceNumber: { $nin: [...issuedNumbers, null] } },
+      { $set: { invoiceNumber: null } }
+    );
+    console.log(`Cleared ${cleared.modifiedCount} unissued invoice numbers from payments`);
+
+    // Checkout used to open a pending payment just to hold the invoice number
+    const placeholders = await Payment.deleteMany({ type: 'payment', status: 'pending', paymentMethod: null });
+    console.log(`Removed ${placeholders.deletedCount} placeholder payments`);
+
+    const masterGroupIds = await GroupBooking.find({ billingMode: 'master' }).distinct('_id');
+
+    // Invoice checked-out stays, oldest first, so numbers follow checkout order
+    const bookings = await Booking.find({
+      status: 'checked_out',
+      group: { $nin: masterGroupIds },
+    })
+      .populate('room', 'code type pricePerNight')
+      .populate('guest', 'name email')
+      .sort({ updatedAt: 1, _id: 1 });
+
+    let issued = 0;
+    for (const booking of bookings) {
+      const { created } = await issueBookingInvoice(booking);
+      if (created) {
+        issued++;
+      }
+    }
+
+    const groups = await GroupBooking.find({ _id: { $in: masterGroupIds }, status: 'checked_out' })
+      .populate('organizer', 'name email')
+      .sort({ updatedAt: 1, _id: 1 });
+
+    let groupsIssued = 0;
+    for (const group of groups) {
+      const groupBookings = await Booking.find({ group: group._id, status: { $ne: 'cancelled' } })
+        .populate('room', 'code type pricePerNight')
+        .populate('guest', 'name email')
+        .sort({ createdAt: 1, _id: 1 });
+      const { created } = await issueGroupInvoice(group, groupBookings);
+      if (created) {
+        groupsIssued++;
+      }
+    }
+
+    console.log('\n=== Migration Summary ===');
+    console.log(`Booking invoices issued: ${issued}`);
+    console.log(`Group invoices issued: ${groupsIssued}`);
+    console.log('\n✅ Invoice migration completed!');
+  } catch (error) {
+    console.error('Error migrating invoices:', error);
+    process.exit(1);
+  } finally {
+    await mongoose.connection.close();
+    console.log('\nDatabase connection closed');
+    process.exit(0);
+  }
+}
+
+// Run migration function
+migrateInvoices();
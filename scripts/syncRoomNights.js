@@ -0,0 +1,89 @@
+/**
+ * @fileoverview Rebuilds the room-night and room-type-night inventory from bookings.
+ * Claims nights for active bookings made before night inventory existed and
+ * removes nights left behind by cancelled, checked-out or missing bookings.
+ * @module scripts/syncRoomNights
+ *
+ * Run with: npm run sync:room-nights
+ */
+
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import Booking from '../src/models/Booking.js';
+import RoomNight from '../src/models/RoomNight.js';
+import RoomTypeNight from '../src/models/RoomTypeNight.js';
+import { reserveStay } from '../src/utils/roomAvailability.js';
+
+// Load environment variables
+dotenv.config();
+
+const MONGO_URI = process.env.MONGO_URI || 'mongodb://localhost:27017/checkinn';
+
+/**
+ * Sync room nights with bookings
+ */
+async function syncRoomNights() {
+  try {
+    console.log('Connecting to MongoDB...');
+    await mongoose.connect(MONGO_URI);
+    console.log('Connected to MongoDB');
+
+    // Make sure the unique indexes exist before claiming nights
+    await RoomNight.init();
+    await RoomTypeNight.init();
+
+    // Remove nights whose booking no longer holds them
+    const activeBookingIds = await Booking.find({
+      status: { $nin: ['cancelled', 'checked_out'] },
+    }).distinct('_id');
+    const removed = await RoomNight.deleteMany({ booking: { $nin: activeBookingIds } });
+    console.log(`Removed ${removed.deletedCount} orphaned room nights`);
+    await RoomTypeNight.updateMany({}, { $pull: { bookings: { $nin: activeBookingIds } } });
+
+    // Claim nights for active bookings, oldest first
+    const bookings = await Booking.find({ _id: { $in: activeBookingIds } })
+      .populate('room', 'type')
+      .sort({ createdAt: 1 });
+
+    let synced = 0;
+    const conflicts = [];
+
+    for (const booking of bookings) {
+      const roomType = booking.roomType || booking.room?.type;
+      const reserved = await reserveStay(booking._id, {
+        roomType,
+        roomId: booking.room?._id,
+        checkInDate: booking.checkInDate,
+        checkOutDate: booking.checkOutDate,
+      });
+
+      if (reserved) {
+        if (!booking.roomType) {
+          await Booking.updateOne({ _id: booking._id }, { roomType });
+        }
+        synced++;
+      } else {
+        conflicts.push(booking._id.toString());
+      }
+    }
+
+    console.log('\n=== Sync Summary ===');
+    console.log(`Bookings synced: ${synced}`);
+    console.log(`Conflicting bookings: ${conflicts.length}`);
+    if (conflicts.length > 0) {
+      console.log('These bookings overlap another booking for the same room and need review:');
+      conflicts.forEach((id) => console.log(`  - ${id}`));
+    }
+    console.log('\n✅ Room night sync completed!');
+  } catch (error) {
+    console.error('Error syncing room nights:', error);
+    process.exit(1);
+  } finally {
+    await mongoose.connection.close();
+    console.log('\nDatabase connection closed');
+    process.exit(0);
+  }
+}
+
+// Run sync function
+syncRoomNights();
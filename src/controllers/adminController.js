@@ -9,9 +9,17 @@ import Booking from '../models/Booking.js';
 import Payment from '../models/Payment.js';
 import Settings from '../models/Settings.js';
 import { successResponse, errorResponse } from '../utils/ApiResponse.js';
-import { sendCheckInReminder, sendPromotion } from '../services/notificationService.js';
+import { sendPromotion } from '../services/notificationService.js';
+import { sendCheckInReminders as sendDueCheckInReminders } from '../services/reminderService.js';
+import { findPromoCode, describeDiscount } from '../services/promotionService.js';
+import { SETTLED_PAYMENTS_FILTER, signedAmount } from '../services/billingService.js';
+import { DEPOSIT_TYPES } from '../services/depositService.js';
+import { EARLY_DEPARTURE_FEE_TYPES } from '../services/stayChangeService.js';
+import { STAY_TIME_FEE_TYPES } from '../services/stayTimeService.js';
 // import { sendCheckInReminder, sendPromotion } from '../services/notificationService.js';
 
+const ROOM_TYPES = ['single', 'double', 'suite'];
+
 /**
  * Get admin summary statistics
  * @param {import('express').Request} req - Express request object
@@ -31,9 +39,9 @@ export const getAdminSummary = async (req, res, next) => {
       status: { $in: ['pending', 'approved', 'checked_in'] },
     });
 
-    // Calculate total revenue from paid payments
-    const paidPayments = await Payment.find({ status: 'paid' });
-    const totalRevenue = paidPayments.reduce((sum, payment) => sum + payment.amount, 0);
+    // Calculate total revenue from paid payments, net of refunds
+    const paidPayments = await Payment.find(SETTLED_PAYMENTS_FILTER);
+    const totalRevenue = paidPayments.reduce((sum, payment) => sum + signedAmount(payment), 0);
 
     res.status(200).json(
       successResponse('Admin summary retrieved successfully', {
@@ -221,11 +229,54 @@ export const getSettings = async (req, res, next) => {
  */
 export const updateSettings = async (req, res, next) => {
   try {
-    const { defaultTaxRate, currencySymbol, defaultCheckInTime, defaultCheckOutTime } = req.body;
+    const {
+      hotelName,
+      hotelAddress,
+      hotelPhone,
+      hotelEmail,
+      defaultTaxRate,
+      taxLines,
+      currencySymbol,
+      defaultCheckInTime,
+      defaultCheckOutTime,
+      earlyCheckInWindowHours,
+      earlyCheckInFeeType,
+      earlyCheckInFee,
+      lateCheckOutWindowHours,
+      lateCheckOutFeeType,
+      lateCheckOutFee,
+      depositType,
+      depositPercent,
+      depositHoldHours,
+      requireDepositForApproval,
+      earlyDepartureFeeType,
+      earlyDepartureFeeAmount,
+      earlyDepartureFeePercent,
+      noShowCutoffHours,
+      overbookingAllowance,
+      waitlistHoldHours,
+      loyaltyEnabled,
+      loyaltyEarnRate,
+      loyaltyBurnRate,
+      loyaltyMinRedeemPoints,
+    } = req.body;
 
     const settings = await Settings.getSettings();
 
     // Update only provided fields
+    const hotelDetails = { hotelName, hotelAddress, hotelPhone, hotelEmail };
+    for (const [field, value] of Object.entries(hotelDetails)) {
+      if (value === undefined) continue;
+      if (typeof value !== 'string') {
+        return res.status(400).json(errorResponse(`${field} must be a string`, null, 400));
+      }
+      settings[field] = value.trim();
+    }
+
+    if (hotelName !== undefined && !settings.hotelName) {
+      return res.status(400).json(errorResponse('hotelName cannot be empty', null, 400));
+    }
+
     if (defaultTaxRate !== undefined) {
       if (typeof defaultTaxRate !== 'number' || defaultTaxRate < 0 || defaultTaxRate > 100) {
         return res.status(400).json(
@@ -235,6 +286,40 @@ export const updateSettings = async (req, res, next) => {
       settings.defaultTaxRate = defaultTaxRate;
     }
 
+    if (taxLines !== undefined) {
+      if (!Array.isArray(taxLines)) {
+        return res.status(400).json(
+          errorResponse('taxLines must be an array', null, 400)
+        );
+      }
+
+      for (const line of taxLines) {
+        if (!line || typeof line.name !== 'string' || !line.name.trim()) {
+          return res.status(400).json(
+            errorResponse('Each tax line must have a name', null, 400)
+          );
+        }
+        if (typeof line.rate !== 'number' || line.rate < 0 || line.rate > 100) {
+          return res.status(400).json(
+            errorResponse(`Tax line "${line.name}" rate must be a number between 0 and 100`, null, 400)
+          );
+        }
+        if (line.appliesTo !== undefined && !['room', 'services', 'both'].includes(line.appliesTo)) {
+          return res.status(400).json(
+            errorResponse(`Tax line "${line.name}" appliesTo must be room, services, or both`, null, 400)
+          );
+        }
+      }
+
+      settings.taxLines = taxLines.map((line) => ({
+        name: line.name.trim(),
+        rate: line.rate,
+        appliesTo: line.appliesTo || 'both',
+        isInclusive: Boolean(line.isInclusive),
+        isActive: line.isActive !== false,
+      }));
+    }
+
     if (currencySymbol !== undefined) {
       if (typeof currencySymbol !== 'string' || currencySymbol.length > 5) {
         return res.status(400).json(
@@ -262,6 +347,160 @@ export const updateSettings = async (req, res, next) => {
       settings.defaultCheckOutTime = defaultCheckOutTime;
     }
 
+    const windowHours = { earlyCheckInWindowHours, lateCheckOutWindowHours };
+    for (const [field, value] of Object.entries(windowHours)) {
+      if (value === undefined) continue;
+      if (typeof value !== 'number' || value < 0 || value > 24) {
+        return res.status(400).json(
+          errorResponse(`${field} must be a number of hours between 0 and 24`, null, 400)
+        );
+      }
+      settings[field] = value;
+    }
+
+    const stayTimeFeeTypes = { earlyCheckInFeeType, lateCheckOutFeeType };
+    for (const [field, value] of Object.entries(stayTimeFeeTypes)) {
+      if (value === undefined) continue;
+      if (!STAY_TIME_FEE_TYPES.includes(value)) {
+        return res.status(400).json(
+          errorResponse(`${field} must be one of: ${STAY_TIME_FEE_TYPES.join(', ')}`, null, 400)
+        );
+      }
+      settings[field] = value;
+    }
+
+    const stayTimeFees = { earlyCheckInFee, lateCheckOutFee };
+    for (const [field, value] of Object.entries(stayTimeFees)) {
+      if (value === undefined) continue;
+      if (typeof value !== 'number' || !Number.isFinite(value) || value < 0) {
+        return res.status(400).json(
+          errorResponse(`${field} must be a number of 0 or more`, null, 400)
+        );
+      }
+      settings[field] = value;
+    }
+
+    if (depositType !== undefined) {
+      if (!DEPOSIT_TYPES.includes(depositType)) {
+        return res.status(400).json(
+          errorResponse(`depositType must be one of: ${DEPOSIT_TYPES.join(', ')}`, null, 400)
+        );
+      }
+      settings.depositType = depositType;
+    }
+
+    if (depositPercent !== undefined) {
+      if (typeof depositPercent !== 'number' || depositPercent < 0 || depositPercent > 100) {
+        return res.status(400).json(
+          errorResponse('depositPercent must be a number between 0 and 100', null, 400)
+        );
+      }
+      settings.depositPercent = depositPercent;
+    }
+
+    if (depositHoldHours !== undefined) {
+      if (typeof depositHoldHours !== 'number' || depositHoldHours < 0) {
+        return res.status(400).json(
+          errorResponse('depositHoldHours must be a number of hours (0 = bookings never expire)', null, 400)
+        );
+      }
+      settings.depositHoldHours = depositHoldHours;
+    }
+
+    if (requireDepositForApproval !== undefined) {
+      settings.requireDepositForApproval = Boolean(requireDepositForApproval);
+    }
+
+    if (earlyDepartureFeeType !== undefined) {
+      if (!EARLY_DEPARTURE_FEE_TYPES.includes(earlyDepartureFeeType)) {
+        return res.status(400).json(
+          errorResponse(`earlyDepartureFeeType must be one of: ${EARLY_DEPARTURE_FEE_TYPES.join(', ')}`, null, 400)
+        );
+      }
+      settings.earlyDepartureFeeType = earlyDepartureFeeType;
+    }
+
+    if (earlyDepartureFeeAmount !== undefined) {
+      if (
+        typeof earlyDepartureFeeAmount !== 'number' ||
+        !Number.isFinite(earlyDepartureFeeAmount) ||
+        earlyDepartureFeeAmount < 0
+      ) {
+        return res.status(400).json(
+          errorResponse('earlyDepartureFeeAmount must be a number of 0 or more', null, 400)
+        );
+      }
+      settings.earlyDepartureFeeAmount = earlyDepartureFeeAmount;
+    }
+
+    if (earlyDepartureFeePercent !== undefined) {
+      if (
+        typeof earlyDepartureFeePercent !== 'number' ||
+        earlyDepartureFeePercent < 0 ||
+        earlyDepartureFeePercent > 100
+      ) {
+        return res.status(400).json(
+          errorResponse('earlyDepartureFeePercent must be a number between 0 and 100', null, 400)
+        );
+      }
+      settings.earlyDepartureFeePercent = earlyDepartureFeePercent;
+    }
+
+    if (noShowCutoffHours !== undefined) {
+      if (typeof noShowCutoffHours !== 'number' || noShowCutoffHours < 0 || noShowCutoffHours > 48) {
+        return res.status(400).json(
+          errorResponse('noShowCutoffHours must be a number of hours between 0 and 48 (0 = staff mark no-shows)', null, 400)
+        );
+      }
+      settings.noShowCutoffHours = noShowCutoffHours;
+    }
+
+    if (overbookingAllowance !== undefined) {
+      if (!overbookingAllowance || typeof overbookingAllowance !== 'object' || Array.isArray(overbookingAllowance)) {
+        return res.status(400).json(
+          errorResponse('overbookingAllowance must be an object of room counts by room type', null, 400)
+        );
+      }
+
+      for (const [roomType, value] of Object.entries(overbookingAllowance)) {
+        if (!ROOM_TYPES.includes(roomType)) {
+          return res.status(400).json(
+            errorResponse(`overbookingAllowance room type must be one of: ${ROOM_TYPES.join(', ')}`, null, 400)
+          );
+        }
+        if (!Number.isInteger(value) || value < 0) {
+          return res.status(400).json(
+            errorResponse(`overbookingAllowance.${roomType} must be a whole number of rooms (0 or more)`, null, 400)
+          );
+        }
+        settings.overbookingAllowance[roomType] = value;
+      }
+    }
+
+    if (waitlistHoldHours !== undefined) {
+      if (typeof waitlistHoldHours !== 'number' || waitlistHoldHours < 1 || waitlistHoldHours > 168) {
+        return res.status(400).json(
+          errorResponse('waitlistHoldHours must be a number of hours between 1 and 168', null, 400)
+        );
+      }
+      settings.waitlistHoldHours = waitlistHoldHours;
+    }
+
+    if (loyaltyEnabled !== undefined) {
+      settings.loyaltyEnabled = Boolean(loyaltyEnabled);
+    }
+
+    const loyaltyRates = { loyaltyEarnRate, loyaltyBurnRate, loyaltyMinRedeemPoints };
+    for (const [field, value] of Object.entries(loyaltyRates)) {
+      if (value === undefined) continue;
+      if (typeof value !== 'number' || !Number.isFinite(value) || value < 0) {
+        return res.status(400).json(
+          errorResponse(`${field} must be a number of 0 or more`, null, 400)
+        );
+      }
+      settings[field] = value;
+    }
+
     settings.updatedAt = new Date();
     await settings.save();
 
@@ -390,6 +629,7 @@ export const listPayments = async (req, res, next) => {
     const {
       bookingId,
       status,
+      type,
       paymentMethod,
       startDate,
       endDate,
@@ -407,6 +647,10 @@ export const listPayments = async (req, res, next) => {
       filter.status = status;
     }
 
+    if (type) {
+      filter.type = type;
+    }
+
     if (paymentMethod) {
       filter.paymentMethod = paymentMethod;
     }
@@ -438,6 +682,15 @@ export const listPayments = async (req, res, next) => {
           select: 'name email',
         },
       })
+      .populate({
+        path: 'group',
+        select: 'name organizer',
+        populate: {
+          path: 'organizer',
+          select: 'name email',
+        },
+      })
+      .populate('approvedBy', 'name')
       .sort({ createdAt: -1 })
       .skip(skip)
       .limit(limitNum);
@@ -446,8 +699,9 @@ export const listPayments = async (req, res, next) => {
 
     // Calculate summary statistics
     const allPaymentsInFilter = await Payment.find(filter);
-    const totalAmount = allPaymentsInFilter.reduce((sum, p) => sum + p.amount, 0);
-    const paidCount = allPaymentsInFilter.filter((p) => p.status === 'paid').length;
+    const totalAmount = allPaymentsInFilter.reduce((sum, p) => sum + signedAmount(p), 0);
+    const paidCount = allPaymentsInFilter.filter((p) => p.type !== 'refund' && p.status === 'paid').length;
+    const refundCount = allPaymentsInFilter.filter((p) => p.type === 'refund').length;
     const pendingCount = allPaymentsInFilter.filter((p) => p.status === 'pending').length;
     const failedCount = allPaymentsInFilter.filter((p) => p.status === 'failed').length;
 
@@ -460,6 +714,7 @@ export const listPayments = async (req, res, next) => {
           paidCount,
           pendingCount,
           failedCount,
+          refundCount,
         },
         pagination: {
           page: pageNum,
@@ -475,32 +730,17 @@ export const listPayments = async (req, res, next) => {
 };
 
 /**
- * Send check-in reminders for bookings with check-in date tomorrow (admin/staff only)
+ * Send check-in reminders for bookings with check-in date tomorrow (admin/staff only).
+ * The daily check-in reminder job sends the same reminders; each booking is only reminded once.
  * @param {import('express').Request} req - Express request object
  * @param {import('express').Response} res - Express response object
  * @param {import('express').NextFunction} next - Express next function
  */
 export const sendCheckInReminders = async (req, res, next) => {
   try {
-    const tomorrow = new Date();
-    tomorrow.setDate(tomorrow.getDate() + 1);
-    tomorrow.setHours(0, 0, 0, 0);
-    
-    const dayAfter = new Date(tomorrow);
-    dayAfter.setDate(dayAfter.getDate() + 1);
-
-    // Find all approved bookings with check-in date tomorrow
-    const bookings = await Booking.find({
-      status: { $in: ['approved', 'pending'] },
-      checkInDate: {
-        $gte: tomorrow,
-        $lt: dayAfter,
-      },
-    })
-      .populate('guest', 'name email')
-      .populate('room', 'code type');
-
-    if (bookings.length === 0) {
+    const summary = await sendDueCheckInReminders();
+
+    if (summary.total === 0) {
       return res.status(200).json(
         successResponse('No bookings found for tomorrow', {
           sent: 0,
@@ -510,39 +750,8 @@ export const sendCheckInReminders = async (req, res, next) => {
       );
     }
 
-    let sent = 0;
-    let failed = 0;
-    const results = [];
-
-    // Send reminder to each guest
-    for (const booking of bookings) {
-      try {
-        await sendCheckInReminder(booking.guest, booking);
-        sent++;
-        results.push({
-          bookingId: booking._id,
-          guestEmail: booking.guest.email,
-          status: 'sent',
-        });
-      } catch (error) {
-        failed++;
-        results.push({
-          bookingId: booking._id,
-          guestEmail: booking.guest.email,
-          status: 'failed',
-          error: error.message,
-        });
-        console.error(`Failed to send reminder for booking ${booking._id}:`, error);
-      }
-    }
-
     res.status(200).json(
-      successResponse('Check-in reminders processed', {
-        sent,
-        failed,
-        total: bookings.length,
-        results,
-      }, 200)
+      successResponse('Check-in reminders processed', summary, 200)
     );
   } catch (error) {
     next(error);
@@ -557,7 +766,7 @@ export const sendCheckInReminders = async (req, res, next) => {
  */
 export const sendPromotionEmails = async (req, res, next) => {
   try {
-    const { title, message, details, filterByPastBookings } = req.body;
+    const { title, message, details, filterByPastBookings, promoCode } = req.body;
 
     if (!title || !message) {
       return res.status(400).json(
@@ -565,6 +774,29 @@ export const sendPromotionEmails = async (req, res, next) => {
       );
     }
 
+    // Only a code guests can still redeem is worth sending
+    let promotionCode = null;
+    if (promoCode) {
+      const promo = await findPromoCode(promoCode);
+      const today = new Date().toISOString().split('T')[0];
+      if (!promo || !promo.isActive) {
+        return res.status(400).json(
+          errorResponse('Promo code not found or inactive', null, 400)
+        );
+      }
+      if (promo.validUntil && new Date(promo.validUntil).toISOString().split('T')[0] < today) {
+        return res.status(400).json(
+          errorResponse(`Promo code ${promo.code} has expired`, null, 400)
+        );
+      }
+      promotionCode = {
+        code: promo.code,
+        discount: describeDiscount(promo),
+        description: promo.description,
+        validUntil: promo.validUntil,
+      };
+    }
+
     // Build user filter
     const userFilter = { role: 'customer', isActive: true };
 
@@ -616,6 +848,7 @@ export const sendPromotionEmails = async (req, res, next) => {
           title,
           message,
           details: details || {},
+          promoCode: promotionCode,
         });
         sent++;
         results.push({
@@ -3,16 +3,58 @@
  * @module controllers/billingController
  */
 
+import mongoose from 'mongoose';
 import Booking from '../models/Booking.js';
 import Payment from '../models/Payment.js';
+import Invoice from '../models/Invoice.js';
+import FolioEntry from '../models/FolioEntry.js';
+import GroupBooking from '../models/GroupBooking.js';
+import CorporateAccount from '../models/CorporateAccount.js';
 import { successResponse, errorResponse } from '../utils/ApiResponse.js';
 import {
   calculateBookingTotal,
-  generateInvoiceNumber,
+  calculateGroupTotal,
   getTotalPaid,
-  isFullyPaid,
+  getGroupTotalPaid,
+  getTotalCredited,
+  RECEIVED_STATUSES,
 } from '../services/billingService.js';
+import { roundMoney } from '../services/taxService.js';
+import { getRefundableAmount, issueRefund } from '../services/refundService.js';
+import { getDepositDue, syncDepositStatus } from '../services/depositService.js';
+import {
+  buildBookingInvoice,
+  buildGroupInvoice,
+  buildBookingInvoicePdf,
+  getHotelBranding,
+  findInvoiceNumber,
+  issueBookingInvoice,
+  issueGroupInvoice,
+  voidInvoice,
+  issueCreditNote,
+  formatInvoiceDocument,
+} from '../services/invoiceService.js';
+import { FOLIOS, buildFolio, postFolioEntry, postFolioPayment } from '../services/folioService.js';
+import { transferToCityLedger } from '../services/cityLedgerService.js';
+import { redeemPoints, syncStayPoints } from '../services/loyaltyService.js';
+import { checkBusinessDateOpen } from '../services/nightAuditService.js';
 import { initiatePaymentGateway } from '../utils/paymentGateway.js';
+import { renderReceiptPdf } from '../utils/invoicePdf.js';
+
+/**
+ * Send a PDF file as a download
+ * @param {import('express').Response} res - Express response object
+ * @param {Buffer} pdf - PDF file contents
+ * @param {string} filename - Download file name
+ */
+const sendPdf = (res, pdf, filename) => {
+  res.set({
+    'Content-Type': 'application/pdf',
+    'Content-Disposition': `attachment; filename="${filename}"`,
+    'Content-Length': pdf.length,
+  });
+  res.status(200).send(pdf);
+};
 
 /**
  * Generate invoice for a booking
@@ -44,80 +86,124 @@ export const generateInvoiceForBooking = async (req, res, next) => {
       );
     }
 
-    // Calculate totals
-    const billingDetails = await calculateBookingTotal(booking);
+    const invoice = await buildBookingInvoice(booking);
 
-    // Get payment history
-    const payments = await Payment.find({ booking: bookingId })
-      .sort({ createdAt: -1 });
+    res.status(200).json(
+      successResponse('Invoice generated successfully', { invoice }, 200)
+    );
+  } catch (error) {
+    next(error);
+  }
+};
 
-    const totalPaid = await getTotalPaid(bookingId);
-    const balanceDue = billingDetails.totalCost - totalPaid;
-    const isPaid = await isFullyPaid(bookingId, billingDetails.totalCost);
+/**
+ * Download a booking's invoice as a PDF
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next function
+ */
+export const downloadInvoicePdf = async (req, res, next) => {
+  try {
+    const { bookingId } = req.params;
+    const userId = req.user.id;
+    const userRole = req.user.role;
+
+    const booking = await Booking.findById(bookingId)
+      .populate('room', 'code type pricePerNight')
+      .populate('guest', 'name email');
+
+    if (!booking) {
+      return res.status(404).json(
+        errorResponse('Booking not found', null, 404)
+      );
+    }
 
-    // Generate invoice number if not exists
-    let invoiceNumber = payments.find((p) => p.invoiceNumber)?.invoiceNumber;
-    if (!invoiceNumber) {
-      invoiceNumber = generateInvoiceNumber();
+    // Authorization check: customers can only download their own invoices
+    if (userRole === 'customer' && booking.guest._id.toString() !== userId) {
+      return res.status(403).json(
+        errorResponse('You can only view invoices for your own bookings', null, 403)
+      );
     }
 
-    // Build invoice object
-    const invoice = {
-      invoiceNumber,
-      bookingId: booking._id,
-      issueDate: new Date(),
-      guest: {
-        name: booking.guest.name,
-        email: booking.guest.email,
-      },
-      room: {
-        code: booking.room.code,
-        type: booking.room.type,
-        pricePerNight: booking.room.pricePerNight,
-      },
-      stayDetails: {
-        checkInDate: booking.checkInDate,
-        checkOutDate: booking.checkOutDate,
-        totalNights: booking.totalNights,
-      },
-      lineItems: [
-        {
-          description: `Room ${booking.room.code} - ${booking.totalNights} night(s)`,
-          quantity: booking.totalNights,
-          unitPrice: booking.room.pricePerNight,
-          total: billingDetails.roomCost,
-        },
-        ...billingDetails.serviceItems.map((item) => ({
-          description: item.serviceName,
-          quantity: item.quantity,
-          unitPrice: item.unitPrice,
-          total: item.total,
-        })),
-      ],
-      totals: {
-        subtotal: billingDetails.totalCost,
-        tax: 0, // Can be added later if needed
-        total: billingDetails.totalCost,
-      },
-      paymentSummary: {
-        totalPaid,
-        balanceDue,
-        isFullyPaid: isPaid,
-      },
-      payments: payments.map((payment) => ({
-        id: payment._id,
-        amount: payment.amount,
-        method: payment.paymentMethod,
-        status: payment.status,
-        transactionId: payment.transactionId,
-        invoiceNumber: payment.invoiceNumber,
-        createdAt: payment.createdAt,
-      })),
-    };
+    const { invoice, pdf } = await buildBookingInvoicePdf(booking);
 
-    res.status(200).json(
-      successResponse('Invoice generated successfully', { invoice }, 200)
-    );
+    sendPdf(res, pdf, `invoice-${invoice.invoiceNumber || `draft-${booking._id}`}.pdf`);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Download a receipt for a payment or refund as a PDF
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next function
+ */
+export const downloadReceiptPdf = async (req, res, next) => {
+  try {
+    const { paymentId } = req.params;
+    const userId = req.user.id;
+    const userRole = req.user.role;
+
+    if (!mongoose.Types.ObjectId.isValid(paymentId)) {
+      return res.status(400).json(errorResponse('Invalid payment ID', null, 400));
+    }
+
+    const payment = await Payment.findById(paymentId)
+      .populate({
+        path: 'booking',
+        select: 'guest guestName room roomType checkInDate checkOutDate',
+        populate: [
+          { path: 'guest', select: 'name email' },
+          { path: 'room', select: 'code type' },
+        ],
+      })
+      .populate({
+        path: 'group',
+        select: 'name organizer checkInDate checkOutDate',
+        populate: { path: 'organizer', select: 'name email' },
+      });
+
+    if (!payment) {
+      return res.status(404).json(errorResponse('Payment not found', null, 404));
+    }
+
+    // Receipts are only issued for money that actually changed hands
+    if (!RECEIVED_STATUSES.includes(payment.status)) {
+      return res.status(400).json(
+        errorResponse(`No receipt is available for a payment with status: ${payment.status}`, null, 400)
+      );
+    }
+
+    const { booking, group } = payment;
+    const owner = booking ? booking.guest : group?.organizer;
+
+    // Authorization check: customers can only download receipts for their own payments
+    if (userRole === 'customer' && owner?._id.toString() !== userId) {
+      return res.status(403).json(
+        errorResponse('You can only view receipts for your own payments', null, 403)
+      );
+    }
+
+    const stay = booking
+      ? {
+          reference: `Booking ${booking._id.toString().slice(-8).toUpperCase()}`,
+          guestName: booking.guestName || booking.guest?.name,
+          roomLabel: booking.room ? `${booking.room.code} (${booking.room.type})` : `${booking.roomType} room`,
+          checkInDate: booking.checkInDate,
+          checkOutDate: booking.checkOutDate,
+        }
+      : {
+          reference: `Group ${group?.name || '-'}`,
+          guestName: group?.organizer?.name,
+          roomLabel: 'Group master folio',
+          checkInDate: group?.checkInDate,
+          checkOutDate: group?.checkOutDate,
+        };
+
+    const pdf = await renderReceiptPdf(payment, stay, await getHotelBranding());
+
+    sendPdf(res, pdf, `receipt-${payment.transactionId || payment._id}.pdf`);
   } catch (error) {
     next(error);
   }
@@ -178,7 +264,8 @@ export const recordPayment = async (req, res, next) => {
     // Calculate total cost
     const billingDetails = await calculateBookingTotal(booking);
     const totalPaid = await getTotalPaid(bookingId);
-    const balanceDue = billingDetails.totalCost - totalPaid;
+    const credited = await getTotalCredited({ booking: bookingId });
+    const balanceDue = roundMoney(billingDetails.totalCost - credited - totalPaid);
 
     // Validate payment amount doesn't exceed balance
     if (amount > balanceDue) {
@@ -221,8 +308,8 @@ export const recordPayment = async (req, res, next) => {
       paymentStatus = 'paid';
     }
 
-    // Generate invoice number
-    const invoiceNumber = generateInvoiceNumber();
+    // Payments belong to the booking's invoice once one is issued
+    const invoiceNumber = await findInvoiceNumber({ booking: bookingId });
 
     // Create payment record
     const paymentData = {
@@ -240,10 +327,14 @@ export const recordPayment = async (req, res, next) => {
     }
 
     const payment = await Payment.create(paymentData);
+    if (paymentStatus === 'paid') {
+      await syncDepositStatus(bookingId);
+      await syncStayPoints(bookingId);
+    }
 
     // Check if booking is now fully paid
     const newTotalPaid = await getTotalPaid(bookingId);
-    const isFullyPaidNow = newTotalPaid >= billingDetails.totalCost;
+    const newBalanceDue = roundMoney(billingDetails.totalCost - credited - newTotalPaid);
 
     // Note: In a real system, you might want to update booking status or send notifications here
 
@@ -252,8 +343,8 @@ export const recordPayment = async (req, res, next) => {
         payment,
         paymentSummary: {
           totalPaid: newTotalPaid,
-          balanceDue: billingDetails.totalCost - newTotalPaid,
-          isFullyPaid: isFullyPaidNow,
+          balanceDue: newBalanceDue,
+          isFullyPaid: newBalanceDue <= 0,
         },
         gatewayResponse,
       }, 201)
@@ -273,6 +364,7 @@ export const recordPayment = async (req, res, next) => {
 export const initiateSslcommerzPayment = async (req, res, next) => {
   try {
     const { bookingId } = req.params;
+    const { depositOnly = false } = req.body || {};
     const userId = req.user.id;
     const userRole = req.user.role;
 
@@ -298,15 +390,22 @@ export const initiateSslcommerzPayment = async (req, res, next) => {
     // Calculate balance due
     const billingDetails = await calculateBookingTotal(booking);
     const totalPaid = await getTotalPaid(bookingId);
-    const balanceDue = billingDetails.totalCost - totalPaid;
+    const credited = await getTotalCredited({ booking: bookingId });
+    const balanceDue = roundMoney(billingDetails.totalCost - credited - totalPaid);
 
     if (balanceDue <= 0) {
       return res.status(400).json(errorResponse('This booking is already fully paid', null, 400));
     }
 
+    // Pay just the deposit that holds the booking, or the whole balance
+    const amount = depositOnly ? await getDepositDue(booking, totalPaid) : balanceDue;
+    if (amount <= 0) {
+      return res.status(400).json(errorResponse('This booking has no deposit to pay', null, 400));
+    }
+
     // Initiate SSLCommerz session
     const gatewayResponse = await initiatePaymentGateway({
-      amount: balanceDue,
+      amount,
       paymentMethod: 'sslcommerz',
       bookingId,
       customerInfo: {
@@ -321,25 +420,27 @@ export const initiateSslcommerzPayment = async (req, res, next) => {
       );
     }
 
-    const invoiceNumber = generateInvoiceNumber();
+    const invoiceNumber = await findInvoiceNumber({ booking: bookingId });
 
     // Demo mode: If this is a demo payment, mark it as paid immediately
     if (gatewayResponse.isDemo) {
       const payment = await Payment.create({
         booking: bookingId,
-        amount: balanceDue,
+        amount,
         paymentMethod: 'sslcommerz-demo',
         status: 'paid',
         transactionId: gatewayResponse.transactionId,
         invoiceNumber,
         paidAt: new Date(),
       });
+      await syncDepositStatus(bookingId);
+      await syncStayPoints(bookingId);
 
       return res.status(200).json(
         successResponse('Payment completed successfully (demo mode)', {
           payment,
           transactionId: gatewayResponse.transactionId,
-          balanceDue: 0,
+          balanceDue: roundMoney(balanceDue - amount),
           isDemo: true,
         }, 200)
       );
@@ -354,7 +455,7 @@ export const initiateSslcommerzPayment = async (req, res, next) => {
 
     const payment = await Payment.create({
       booking: bookingId,
-      amount: balanceDue,
+      amount,
       paymentMethod: 'sslcommerz',
       status: 'pending',
       transactionId: gatewayResponse.transactionId,
@@ -375,7 +476,7 @@ export const initiateSslcommerzPayment = async (req, res, next) => {
 };
 
 /**
- * Pay with local payment method (bkash, rocket, nagad, bank, cash)
+ * Pay with local payment method (bkash, rocket, nagad, bank, cash) or the guest's loyalty points
  * This is a simple local payment flow that marks the invoice as paid without calling any external gateway
  * @route POST /api/billing/pay/:bookingId
  * @access Private (Staff/Admin/Customer - customers can only pay for their own bookings)
@@ -383,12 +484,12 @@ export const initiateSslcommerzPayment = async (req, res, next) => {
 export const payWithLocalMethod = async (req, res, next) => {
   try {
     const { bookingId } = req.params;
-    const { method } = req.body;
+    const { method, depositOnly = false, points } = req.body;
     const userId = req.user.id;
     const userRole = req.user.role;
 
     // Validate payment method
-    const validMethods = ['bkash', 'rocket', 'nagad', 'bank', 'cash'];
+    const validMethods = ['bkash', 'rocket', 'nagad', 'bank', 'cash', 'loyalty_points'];
     if (!method || !validMethods.includes(method)) {
       return res.status(400).json(
         errorResponse(`Invalid payment method. Must be one of: ${validMethods.join(', ')}`, null, 400)
@@ -412,32 +513,56 @@ export const payWithLocalMethod = async (req, res, next) => {
     // Calculate balance due
     const billingDetails = await calculateBookingTotal(booking);
     const totalPaid = await getTotalPaid(bookingId);
-    const balanceDue = billingDetails.totalCost - totalPaid;
+    const credited = await getTotalCredited({ booking: bookingId });
+    const balanceDue = roundMoney(billingDetails.totalCost - credited - totalPaid);
 
     if (balanceDue <= 0) {
       return res.status(400).json(errorResponse('This booking is already fully paid', null, 400));
     }
 
-    // Generate invoice number
-    const invoiceNumber = generateInvoiceNumber();
+    // Pay just the deposit that holds the booking, or the whole balance
+    const amount = depositOnly ? await getDepositDue(booking, totalPaid) : balanceDue;
+    if (amount <= 0) {
+      return res.status(400).json(errorResponse('This booking has no deposit to pay', null, 400));
+    }
 
-    // Create payment record marked as paid
-    const payment = await Payment.create({
-      booking: bookingId,
-      amount: balanceDue,
-      paymentMethod: method,
-      status: 'paid',
-      transactionId: `${method.toUpperCase()}-${Date.now()}-${Math.random().toString(36).slice(2, 9).toUpperCase()}`,
-      invoiceNumber,
-      paidAt: new Date(),
-    });
+    const invoiceNumber = await findInvoiceNumber({ booking: bookingId });
+
+    let payment;
+    if (method === 'loyalty_points') {
+      // Points pay what they can towards the amount due, the guest's own points only
+      const result = await redeemPoints(booking, {
+        amountDue: amount,
+        points,
+        invoiceNumber,
+        postedBy: userRole === 'customer' ? null : userId,
+      });
+      if (!result.success) {
+        const status = result.conflict ? 409 : 400;
+        return res.status(status).json(errorResponse(result.message, null, status));
+      }
+      payment = result.payment;
+    } else {
+      // Create payment record marked as paid
+      payment = await Payment.create({
+        booking: bookingId,
+        amount,
+        paymentMethod: method,
+        status: 'paid',
+        transactionId: `${method.toUpperCase()}-${Date.now()}-${Math.random().toString(36).slice(2, 9).toUpperCase()}`,
+        invoiceNumber,
+        paidAt: new Date(),
+      });
+    }
+    await syncDepositStatus(bookingId);
+    await syncStayPoints(bookingId);
 
     // Get updated payment summary
     const newTotalPaid = await getTotalPaid(bookingId);
-    const newBalanceDue = billingDetails.totalCost - newTotalPaid;
+    const newBalanceDue = roundMoney(billingDetails.totalCost - credited - newTotalPaid);
 
     return res.status(200).json(
-      successResponse(`Payment completed successfully with ${method}`, {
+      successResponse(`Payment completed successfully with ${method.replace('_', ' ')}`, {
         payment,
         invoice: {
           invoiceNumber,
@@ -487,7 +612,8 @@ export const getPaymentHistory = async (req, res, next) => {
       await booking.populate('room', 'pricePerNight')
     );
     const totalPaid = await getTotalPaid(bookingId);
-    const balanceDue = billingDetails.totalCost - totalPaid;
+    const credited = await getTotalCredited({ booking: bookingId });
+    const balanceDue = roundMoney(billingDetails.totalCost - credited - totalPaid);
 
     res.status(200).json(
       successResponse('Payment history retrieved successfully', {
@@ -495,6 +621,7 @@ export const getPaymentHistory = async (req, res, next) => {
         summary: {
           totalCost: billingDetails.totalCost,
           totalPaid,
+          credited,
           balanceDue,
           isFullyPaid: balanceDue <= 0,
         },
@@ -507,120 +634,986 @@ export const getPaymentHistory = async (req, res, next) => {
 
 
 
+const FOLIO_ENTRY_TYPES = ['charge', 'discount', 'adjustment', 'payment'];
+const FOLIO_CATEGORIES = ['room', 'extras'];
+const FOLIO_PAYMENT_METHODS = ['cash', 'card', 'bkash', 'rocket', 'nagad', 'bank'];
+
 /**
- * Mock SSLCommerz payment page (development only)
- * This simulates the SSLCommerz payment gateway page for testing
+ * Get a stay's folio: its ledger with a running balance per folio
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next function
  */
-export const sslcommerzMockPayment = async (req, res, next) => {
+export const getFolio = async (req, res, next) => {
   try {
-    const { tran_id, amount, bookingId } = req.query;
-    const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
-    
-    // Generate mock payment page HTML
-    const html = `
-<!DOCTYPE html>
-<html>
-<head>
-  <title>SSLCommerz Payment - Development Mode</title>
-  <style>
-    body {
-      font-family: Arial, sans-serif;
-      max-width: 600px;
-      margin: 50px auto;
-      padding: 20px;
-      background: #f5f5f5;
-    }
-    .payment-card {
-      background: white;
-      padding: 30px;
-      border-radius: 8px;
-      box-shadow: 0 2px 10px rgba(0,0,0,0.1);
-    }
-    h1 { color: #2563eb; margin-top: 0; }
-    .amount { font-size: 24px; font-weight: bold; color: #059669; margin: 20px 0; }
-    .info { background: #fef3c7; padding: 15px; border-radius: 5px; margin: 20px 0; }
-    .buttons { display: flex; gap: 10px; margin-top: 30px; }
-    button {
-      flex: 1;
-      padding: 15px;
-      border: none;
-      border-radius: 5px;
-      font-size: 16px;
-      cursor: pointer;
-      font-weight: 600;
-    }
-    .btn-success {
-      background: #10b981;
-      color: white;
-    }
-    .btn-success:hover { background: #059669; }
-    .btn-fail {
-      background: #ef4444;
-      color: white;
+    const { bookingId } = req.params;
+    const userId = req.user.id;
+    const userRole = req.user.role;
+
+    if (!mongoose.Types.ObjectId.isValid(bookingId)) {
+      return res.status(400).json(errorResponse('Invalid booking ID', null, 400));
     }
-    .btn-fail:hover { background: #dc2626; }
-    .btn-cancel {
-      background: #6b7280;
-      color: white;
+
+    const booking = await Booking.findById(bookingId)
+      .populate('room', 'code type pricePerNight')
+      .populate('guest', 'name email');
+
+    if (!booking) {
+      return res.status(404).json(errorResponse('Booking not found', null, 404));
     }
-    .btn-cancel:hover { background: #4b5563; }
-  </style>
-</head>
-<body>
-  <div class="payment-card">
-    <h1>🔒 SSLCommerz Payment Gateway</h1>
-    <div class="info">
-      <strong>⚠️ Development Mode</strong><br>
-      This is a mock payment page for testing. In production, you would see the real SSLCommerz payment form.
-    </div>
-    <p><strong>Transaction ID:</strong> ${tran_id || 'N/A'}</p>
-    <p><strong>Booking ID:</strong> ${bookingId || 'N/A'}</p>
-    <div class="amount">Amount: ৳${amount || '0.00'}</div>
-    <p>Select an option to simulate payment:</p>
-    <div class="buttons">
-      <button class="btn-success" onclick="simulatePayment('success')">✅ Simulate Success</button>
-      <button class="btn-fail" onclick="simulatePayment('fail')">❌ Simulate Failure</button>
-      <button class="btn-cancel" onclick="simulatePayment('cancel')">🚫 Cancel</button>
-    </div>
-  </div>
-  <script>
-    function simulatePayment(action) {
-      const baseUrl = '${process.env.BACKEND_PUBLIC_URL || `http://localhost:${process.env.PORT || 5001}`}';
-      const tranId = '${tran_id}';
-      
-      if (action === 'success') {
-        window.location.href = baseUrl + '/api/billing/sslcommerz/success?tran_id=' + tranId;
-      } else if (action === 'fail') {
-        window.location.href = baseUrl + '/api/billing/sslcommerz/fail?tran_id=' + tranId;
-      } else {
-        window.location.href = baseUrl + '/api/billing/sslcommerz/cancel?tran_id=' + tranId;
-      }
+
+    // Authorization check: customers can only view their own folio
+    if (userRole === 'customer' && booking.guest._id.toString() !== userId) {
+      return res.status(403).json(
+        errorResponse('You can only view the folio of your own bookings', null, 403)
+      );
     }
-  </script>
-</body>
-</html>
-    `;
-    
-    res.status(200).send(html);
+
+    const folio = await buildFolio(booking);
+
+    res.status(200).json(
+      successResponse('Folio retrieved successfully', { folio }, 200)
+    );
   } catch (error) {
     next(error);
   }
 };
 
 /**
- * SSLCommerz success callback (gateway redirects here)
- * NOTE: For production, you should verify payment with SSLCommerz validation API.
+ * Post a charge, discount, adjustment or payment to a stay's folio
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next function
  */
-export const sslcommerzSuccess = async (req, res, next) => {
+export const postToFolio = async (req, res, next) => {
   try {
-    const tran_id = req.body?.tran_id || req.query?.tran_id;
-    if (tran_id) {
-      await Payment.findOneAndUpdate(
-        { transactionId: tran_id },
-        { status: 'paid' },
-        { new: true }
+    const { bookingId } = req.params;
+    const {
+      type,
+      category = 'extras',
+      folio,
+      description,
+      amount,
+      paymentMethod,
+      transactionId,
+    } = req.body;
+
+    if (!FOLIO_ENTRY_TYPES.includes(type)) {
+      return res.status(400).json(
+        errorResponse(`Entry type must be one of: ${FOLIO_ENTRY_TYPES.join(', ')}`, null, 400)
+      );
+    }
+
+    if (typeof amount !== 'number' || !Number.isFinite(amount) || amount === 0) {
+      return res.status(400).json(errorResponse('Amount must be a non-zero number', null, 400));
+    }
+
+    // Only adjustments can take the bill down as well as up
+    if (type !== 'adjustment' && amount < 0) {
+      return res.status(400).json(errorResponse('Amount must be greater than 0', null, 400));
+    }
+
+    if (folio !== undefined && !FOLIOS.includes(folio)) {
+      return res.status(400).json(
+        errorResponse(`Folio must be one of: ${FOLIOS.join(', ')}`, null, 400)
       );
     }
+
+    if (type === 'payment') {
+      if (!FOLIO_PAYMENT_METHODS.includes(paymentMethod)) {
+        return res.status(400).json(
+          errorResponse(`Invalid payment method. Must be one of: ${FOLIO_PAYMENT_METHODS.join(', ')}`, null, 400)
+        );
+      }
+    } else {
+      if (!FOLIO_CATEGORIES.includes(category)) {
+        return res.status(400).json(
+          errorResponse(`Category must be one of: ${FOLIO_CATEGORIES.join(', ')}`, null, 400)
+        );
+      }
+
+      if (!description || typeof description !== 'string' || !description.trim()) {
+        return res.status(400).json(errorResponse('Please provide a description', null, 400));
+      }
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(bookingId)) {
+      return res.status(400).json(errorResponse('Invalid booking ID', null, 400));
+    }
+
+    const booking = await Booking.findById(bookingId)
+      .populate('room', 'code type pricePerNight')
+      .populate('guest', 'name email');
+
+    if (!booking) {
+      return res.status(404).json(errorResponse('Booking not found', null, 404));
+    }
+
+    if (folio === 'company' && !booking.folioSplit) {
+      return res.status(400).json(
+        errorResponse('This stay has no company folio; split the folio first', null, 400)
+      );
+    }
+
+    // Postings are dated now, which must not fall on a date the audit has just closed
+    const postingOpen = await checkBusinessDateOpen(new Date());
+    if (!postingOpen.success) {
+      return res.status(409).json(errorResponse(postingOpen.message, null, 409));
+    }
+
+    if (type === 'payment') {
+      const result = await postFolioPayment(
+        booking,
+        { folio: folio || 'guest', amount, paymentMethod, transactionId },
+        req.user.id
+      );
+      if (!result.success) {
+        return res.status(400).json(errorResponse(result.message, null, 400));
+      }
+
+      return res.status(201).json(
+        successResponse(result.message, { payment: result.payment, folio: await buildFolio(booking) }, 201)
+      );
+    }
+
+    if (booking.status === 'cancelled') {
+      return res.status(400).json(
+        errorResponse('Cannot post charges to a cancelled booking', null, 400)
+      );
+    }
+
+    const result = await postFolioEntry(
+      booking,
+      { type, category, folio, description: description.trim(), amount },
+      req.user.id
+    );
+    if (!result.success) {
+      return res.status(400).json(errorResponse(result.message, null, 400));
+    }
+
+    res.status(201).json(
+      successResponse(result.message, { entry: result.entry, folio: await buildFolio(booking) }, 201)
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Split a stay's folio between the guest and a company, or stop splitting it
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next function
+ */
+export const updateFolioSplit = async (req, res, next) => {
+  try {
+    const { bookingId } = req.params;
+    const { companyName, roomTo = 'company', extrasTo = 'guest' } = req.body;
+
+    if (companyName !== null && companyName !== undefined && typeof companyName !== 'string') {
+      return res.status(400).json(errorResponse('Company name must be a string', null, 400));
+    }
+
+    if (!FOLIOS.includes(roomTo) || !FOLIOS.includes(extrasTo)) {
+      return res.status(400).json(
+        errorResponse(`roomTo and extrasTo must be one of: ${FOLIOS.join(', ')}`, null, 400)
+      );
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(bookingId)) {
+      return res.status(400).json(errorResponse('Invalid booking ID', null, 400));
+    }
+
+    const booking = await Booking.findById(bookingId)
+      .populate('room', 'code type pricePerNight')
+      .populate('guest', 'name email');
+
+    if (!booking) {
+      return res.status(404).json(errorResponse('Booking not found', null, 404));
+    }
+
+    // The split routes every charge of the stay, including those already on closed dates
+    const stayOpen = await checkBusinessDateOpen(
+      booking.checkInDate,
+      'This stay has nights on closed business dates; its folio split can no longer be changed'
+    );
+    if (!stayOpen.success) {
+      return res.status(409).json(errorResponse(stayOpen.message, null, 409));
+    }
+
+    if (companyName && companyName.trim()) {
+      booking.folioSplit = { companyName: companyName.trim(), roomTo, extrasTo };
+    } else {
+      // Anything posted to the company folio has to be moved off it before the split can go
+      const [companyEntry, companyPayment] = await Promise.all([
+        FolioEntry.exists({ booking: booking._id, folio: 'company' }),
+        Payment.exists({ booking: booking._id, folio: 'company' }),
+      ]);
+      if (companyEntry || companyPayment) {
+        return res.status(409).json(
+          errorResponse('The company folio has postings; offset them before removing the split', null, 409)
+        );
+      }
+      booking.folioSplit = null;
+    }
+    await booking.save();
+
+    res.status(200).json(
+      successResponse('Folio split updated successfully', { folio: await buildFolio(booking) }, 200)
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Transfer a folio's balance to the city ledger of the stay's corporate account
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next function
+ */
+export const transferFolioToCityLedger = async (req, res, next) => {
+  try {
+    const { bookingId } = req.params;
+    const { folio, amount } = req.body;
+
+    if (folio !== undefined && !FOLIOS.includes(folio)) {
+      return res.status(400).json(
+        errorResponse(`Folio must be one of: ${FOLIOS.join(', ')}`, null, 400)
+      );
+    }
+
+    if (amount !== undefined && (typeof amount !== 'number' || !Number.isFinite(amount) || amount <= 0)) {
+      return res.status(400).json(errorResponse('Amount must be greater than 0', null, 400));
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(bookingId)) {
+      return res.status(400).json(errorResponse('Invalid booking ID', null, 400));
+    }
+
+    const booking = await Booking.findById(bookingId)
+      .populate('room', 'code type pricePerNight')
+      .populate('guest', 'name email');
+
+    if (!booking) {
+      return res.status(404).json(errorResponse('Booking not found', null, 404));
+    }
+
+    if (booking.status === 'cancelled') {
+      return res.status(400).json(
+        errorResponse('Cannot transfer the balance of a cancelled booking', null, 400)
+      );
+    }
+
+    const account = booking.corporateAccount
+      ? await CorporateAccount.findById(booking.corporateAccount)
+      : null;
+    if (!account) {
+      return res.status(400).json(
+        errorResponse('This booking is not linked to a corporate account', null, 400)
+      );
+    }
+
+    // The transfer is posted now, on the current business date
+    const transferOpen = await checkBusinessDateOpen(new Date());
+    if (!transferOpen.success) {
+      return res.status(409).json(errorResponse(transferOpen.message, null, 409));
+    }
+
+    // The company's share is what goes on its ledger unless staff say otherwise
+    const targetFolio = folio || (booking.folioSplit ? 'company' : 'guest');
+    if (targetFolio === 'company' && !booking.folioSplit) {
+      return res.status(400).json(
+        errorResponse('This stay has no company folio', null, 400)
+      );
+    }
+
+    const result = await transferToCityLedger(booking, account, {
+      folio: targetFolio,
+      amount: amount === undefined ? undefined : roundMoney(amount),
+      postedBy: req.user.id,
+    });
+
+    if (!result.success) {
+      // Running out of credit is a conflict with the account's state, not a bad request
+      const status = result.conflict ? 409 : 400;
+      return res.status(status).json(errorResponse(result.message, null, status));
+    }
+
+    res.status(201).json(
+      successResponse(result.message, {
+        entry: result.entry,
+        payment: result.payment,
+        account: result.account,
+        folio: await buildFolio(booking),
+      }, 201)
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Load a group and its billable (not cancelled) rooms, checking the caller may see them
+ * @param {import('express').Request} req - Express request object
+ * @returns {Promise<Object>} Object with group and bookings, or error ({ status, message })
+ */
+const loadGroupForBilling = async (req) => {
+  const { groupId } = req.params;
+  const group = mongoose.Types.ObjectId.isValid(groupId)
+    ? await GroupBooking.findById(groupId).populate('organizer', 'name email')
+    : null;
+  if (!group) {
+    return { error: { status: 404, message: 'Group booking not found' } };
+  }
+
+  // Authorization check: customers can only bill groups they organize
+  if (req.user.role === 'customer' && group.organizer._id.toString() !== req.user.id) {
+    return { error: { status: 403, message: 'You can only view invoices for your own group bookings' } };
+  }
+
+  const bookings = await Booking.find({ group: group._id, status: { $ne: 'cancelled' } })
+    .populate('room', 'code type pricePerNight amenities maxGuests')
+    .populate('guest', 'name email')
+    .sort({ createdAt: 1, _id: 1 });
+
+  return { group, bookings };
+};
+
+/**
+ * Generate the invoice(s) for a group booking: one master invoice for the whole party,
+ * or one invoice per room when the group is billed split
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next function
+ */
+export const generateInvoiceForGroup = async (req, res, next) => {
+  try {
+    const { group, bookings, error } = await loadGroupForBilling(req);
+    if (error) {
+      return res.status(error.status).json(
+        errorResponse(error.message, null, error.status)
+      );
+    }
+
+    // The group's billing mode decides the layout unless one is asked for explicitly
+    const billingMode = req.query.mode || group.billingMode;
+    if (!['master', 'split'].includes(billingMode)) {
+      return res.status(400).json(
+        errorResponse('Invoice mode must be one of: master, split', null, 400)
+      );
+    }
+
+    const billTo = {
+      groupId: group._id,
+      name: group.name,
+      organizer: {
+        name: group.organizer.name,
+        email: group.organizer.email,
+      },
+      contactName: group.contactName,
+      contactEmail: group.contactEmail,
+    };
+
+    if (billingMode === 'split') {
+      const invoices = [];
+      for (const booking of bookings) {
+        invoices.push(await buildBookingInvoice(booking));
+      }
+
+      return res.status(200).json(
+        successResponse('Group invoices generated successfully', {
+          billingMode,
+          billTo,
+          invoices,
+          totals: {
+            total: roundMoney(invoices.reduce((sum, invoice) => sum + invoice.totals.total, 0)),
+            totalPaid: roundMoney(invoices.reduce((sum, invoice) => sum + invoice.paymentSummary.totalPaid, 0)),
+            balanceDue: roundMoney(invoices.reduce((sum, invoice) => sum + invoice.paymentSummary.balanceDue, 0)),
+          },
+        }, 200)
+      );
+    }
+
+    // Master invoice: every room's nights and services on the group's shared folio
+    const invoice = await buildGroupInvoice(group, bookings);
+
+    res.status(200).json(
+      successResponse('Group invoice generated successfully', { billingMode, invoice }, 200)
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Record a payment on a group's master folio
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next function
+ */
+export const recordGroupPayment = async (req, res, next) => {
+  try {
+    const { amount, paymentMethod, transactionId } = req.body;
+
+    // Validation
+    if (!amount || !paymentMethod) {
+      return res.status(400).json(
+        errorResponse('Please provide amount and paymentMethod', null, 400)
+      );
+    }
+
+    // Gateway methods need a booking to return to, so the folio takes direct payments only
+    const validPaymentMethods = ['cash', 'card', 'bkash', 'rocket', 'nagad', 'bank'];
+    if (!validPaymentMethods.includes(paymentMethod)) {
+      return res.status(400).json(
+        errorResponse(`Invalid payment method. Must be one of: ${validPaymentMethods.join(', ')}`, null, 400)
+      );
+    }
+
+    const { group, bookings, error } = await loadGroupForBilling(req);
+    if (error) {
+      return res.status(error.status).json(
+        errorResponse(error.message, null, error.status)
+      );
+    }
+
+    if (group.billingMode !== 'master') {
+      return res.status(400).json(
+        errorResponse('This group is billed per room; record payments against each booking', null, 400)
+      );
+    }
+
+    const billingDetails = await calculateGroupTotal(bookings);
+    const bookingIds = bookings.map((booking) => booking._id);
+    const totalPaid = await getGroupTotalPaid(group._id, bookingIds);
+    const credited = await getTotalCredited({ group: group._id });
+    const balanceDue = roundMoney(billingDetails.totalCost - credited - totalPaid);
+
+    // Validate payment amount doesn't exceed balance
+    if (amount > balanceDue) {
+      return res.status(400).json(
+        errorResponse(`Payment amount (${amount}) exceeds balance due (${balanceDue})`, null, 400)
+      );
+    }
+
+    const payment = await Payment.create({
+      booking: null,
+      group: group._id,
+      amount,
+      paymentMethod,
+      status: 'paid',
+      transactionId,
+      invoiceNumber: await findInvoiceNumber({ group: group._id }),
+      paidAt: new Date(),
+    });
+
+    const newTotalPaid = await getGroupTotalPaid(group._id, bookingIds);
+    const newBalanceDue = roundMoney(billingDetails.totalCost - credited - newTotalPaid);
+
+    res.status(201).json(
+      successResponse('Group payment recorded successfully', {
+        payment,
+        paymentSummary: {
+          totalCost: billingDetails.totalCost,
+          totalPaid: newTotalPaid,
+          balanceDue: newBalanceDue,
+          isFullyPaid: newBalanceDue <= 0,
+        },
+      }, 201)
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Issue a booking's invoice: freeze its current charges under the next invoice number
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next function
+ */
+export const issueInvoiceForBooking = async (req, res, next) => {
+  try {
+    const { bookingId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(bookingId)) {
+      return res.status(400).json(errorResponse('Invalid booking ID', null, 400));
+    }
+
+    const booking = await Booking.findById(bookingId)
+      .populate('room', 'code type pricePerNight')
+      .populate('guest', 'name email');
+
+    if (!booking) {
+      return res.status(404).json(errorResponse('Booking not found', null, 404));
+    }
+
+    // A room on a group's master folio is invoiced with the group
+    if (booking.billedToGroup) {
+      return res.status(400).json(
+        errorResponse('This booking is billed to its group; issue the group invoice instead', null, 400)
+      );
+    }
+
+    const { invoice, created } = await issueBookingInvoice(booking, req.user.id);
+
+    res.status(created ? 201 : 200).json(
+      successResponse(
+        created ? 'Invoice issued successfully' : 'Invoice was already issued',
+        { invoice: formatInvoiceDocument(invoice) },
+        created ? 201 : 200
+      )
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Issue a group's master invoice
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next function
+ */
+export const issueInvoiceForGroup = async (req, res, next) => {
+  try {
+    const { group, bookings, error } = await loadGroupForBilling(req);
+    if (error) {
+      return res.status(error.status).json(
+        errorResponse(error.message, null, error.status)
+      );
+    }
+
+    if (group.billingMode !== 'master') {
+      return res.status(400).json(
+        errorResponse('This group is billed per room; issue an invoice for each booking', null, 400)
+      );
+    }
+
+    const { invoice, created } = await issueGroupInvoice(group, bookings, req.user.id);
+
+    res.status(created ? 201 : 200).json(
+      successResponse(
+        created ? 'Group invoice issued successfully' : 'Group invoice was already issued',
+        { invoice: formatInvoiceDocument(invoice) },
+        created ? 201 : 200
+      )
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * List issued invoices and credit notes (the invoice register)
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next function
+ */
+export const listInvoices = async (req, res, next) => {
+  try {
+    const {
+      kind,
+      status,
+      bookingId,
+      groupId,
+      startDate,
+      endDate,
+      page = 1,
+      limit = 20,
+    } = req.query;
+
+    const filter = {};
+
+    if (kind) {
+      filter.kind = kind;
+    }
+
+    if (status) {
+      filter.status = status;
+    }
+
+    if (bookingId) {
+      filter.booking = bookingId;
+    }
+
+    if (groupId) {
+      filter.group = groupId;
+    }
+
+    if (startDate || endDate) {
+      filter.issuedAt = {};
+      if (startDate) {
+        const start = new Date(startDate);
+        start.setHours(0, 0, 0, 0);
+        filter.issuedAt.$gte = start;
+      }
+      if (endDate) {
+        const end = new Date(endDate);
+        end.setHours(23, 59, 59, 999);
+        filter.issuedAt.$lte = end;
+      }
+    }
+
+    const pageNum = parseInt(page, 10);
+    const limitNum = parseInt(limit, 10);
+    const skip = (pageNum - 1) * limitNum;
+
+    const invoices = await Invoice.find(filter)
+      .populate('issuedBy', 'name')
+      .populate('voidedBy', 'name')
+      .sort({ issuedAt: -1, _id: -1 })
+      .skip(skip)
+      .limit(limitNum);
+
+    const total = await Invoice.countDocuments(filter);
+
+    res.status(200).json(
+      successResponse('Invoices retrieved successfully', {
+        invoices,
+        pagination: {
+          page: pageNum,
+          limit: limitNum,
+          total,
+          pages: Math.ceil(total / limitNum),
+        },
+      }, 200)
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Load an invoice or credit note by the ID in the route
+ * @param {import('express').Request} req - Express request object
+ * @returns {Promise<Object>} Object with invoice, or error ({ status, message })
+ */
+const loadInvoice = async (req) => {
+  const { invoiceId } = req.params;
+  if (!mongoose.Types.ObjectId.isValid(invoiceId)) {
+    return { error: { status: 400, message: 'Invalid invoice ID' } };
+  }
+
+  const invoice = await Invoice.findById(invoiceId);
+  if (!invoice) {
+    return { error: { status: 404, message: 'Invoice not found' } };
+  }
+
+  return { invoice };
+};
+
+/**
+ * Void an issued invoice or credit note. The number is kept; the booking can be invoiced again.
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next function
+ */
+export const voidInvoiceDocument = async (req, res, next) => {
+  try {
+    const { reason } = req.body;
+
+    if (!reason || typeof reason !== 'string' || !reason.trim()) {
+      return res.status(400).json(errorResponse('Please provide a reason for voiding', null, 400));
+    }
+
+    const { invoice, error } = await loadInvoice(req);
+    if (error) {
+      return res.status(error.status).json(
+        errorResponse(error.message, null, error.status)
+      );
+    }
+
+    // Documents issued on a closed business date stay on it; invoices are corrected with a credit note
+    if (invoice.status === 'issued') {
+      const issuedOpen = await checkBusinessDateOpen(
+        invoice.issuedAt,
+        invoice.kind === 'invoice'
+          ? 'This invoice was issued on a closed business date; issue a credit note instead'
+          : 'This credit note was issued on a closed business date and can no longer be voided'
+      );
+      if (!issuedOpen.success) {
+        return res.status(409).json(errorResponse(issuedOpen.message, null, 409));
+      }
+    }
+
+    const result = await voidInvoice(invoice, { reason: reason.trim(), voidedBy: req.user.id });
+    if (!result.success) {
+      return res.status(409).json(errorResponse(result.message, null, 409));
+    }
+
+    res.status(200).json(
+      successResponse(result.message, { invoice: formatInvoiceDocument(result.invoice) }, 200)
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Issue a credit note against an invoice, reducing what the guest owes without editing the invoice
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next function
+ */
+export const createCreditNote = async (req, res, next) => {
+  try {
+    const { amount, reason } = req.body;
+
+    if (!reason || typeof reason !== 'string' || !reason.trim()) {
+      return res.status(400).json(errorResponse('Please provide a reason for the credit note', null, 400));
+    }
+
+    if (amount !== undefined && (typeof amount !== 'number' || !(amount > 0))) {
+      return res.status(400).json(errorResponse('Credit amount must be a number greater than 0', null, 400));
+    }
+
+    const { invoice, error } = await loadInvoice(req);
+    if (error) {
+      return res.status(error.status).json(
+        errorResponse(error.message, null, error.status)
+      );
+    }
+
+    if (invoice.kind !== 'invoice' || invoice.status !== 'issued') {
+      return res.status(400).json(
+        errorResponse('Credit notes can only be issued against an issued invoice', null, 400)
+      );
+    }
+
+    const result = await issueCreditNote(invoice, { amount, reason: reason.trim(), issuedBy: req.user.id });
+    if (!result.success) {
+      return res.status(409).json(errorResponse(result.message, null, 409));
+    }
+
+    res.status(201).json(
+      successResponse(result.message, {
+        creditNote: formatInvoiceDocument(result.creditNote),
+        invoice: formatInvoiceDocument(result.invoice),
+      }, 201)
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Refund a payment in full or in part. Gateway payments are refunded through the gateway;
+ * direct payments are handed back at the desk and recorded as refunded straight away.
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next function
+ */
+export const refundPayment = async (req, res, next) => {
+  try {
+    const { paymentId } = req.params;
+    const { amount, reason } = req.body;
+
+    if (!mongoose.isValidObjectId(paymentId)) {
+      return res.status(400).json(
+        errorResponse('Invalid payment ID', null, 400)
+      );
+    }
+
+    if (!reason || !String(reason).trim()) {
+      return res.status(400).json(
+        errorResponse('Please provide a reason for the refund', null, 400)
+      );
+    }
+
+    const payment = await Payment.findById(paymentId);
+    if (!payment) {
+      return res.status(404).json(
+        errorResponse('Payment not found', null, 404)
+      );
+    }
+
+    if (payment.type === 'refund') {
+      return res.status(400).json(
+        errorResponse('A refund cannot be refunded', null, 400)
+      );
+    }
+
+    // The money was never received: the company owes it on its city ledger instead
+    if (payment.paymentMethod === 'city_ledger') {
+      return res.status(400).json(
+        errorResponse('City ledger transfers cannot be refunded; adjust the corporate account instead', null, 400)
+      );
+    }
+
+    if (!['paid', 'partially_refunded'].includes(payment.status)) {
+      return res.status(400).json(
+        errorResponse(`Cannot refund payment with status: ${payment.status}`, null, 400)
+      );
+    }
+
+    const refundable = getRefundableAmount(payment);
+    const refundAmount = amount === undefined || amount === null || amount === '' ? refundable : Number(amount);
+    if (!Number.isFinite(refundAmount) || refundAmount <= 0) {
+      return res.status(400).json(
+        errorResponse('Refund amount must be greater than 0', null, 400)
+      );
+    }
+
+    if (refundAmount > refundable) {
+      return res.status(400).json(
+        errorResponse(`Refund amount (${refundAmount}) exceeds refundable amount (${refundable})`, null, 400)
+      );
+    }
+
+    // The refund is dated now; the payment it gives back stays on the day it was taken
+    const refundOpen = await checkBusinessDateOpen(new Date());
+    if (!refundOpen.success) {
+      return res.status(409).json(errorResponse(refundOpen.message, null, 409));
+    }
+
+    const result = await issueRefund(payment, {
+      amount: refundAmount,
+      reason: String(reason).trim(),
+      approvedBy: req.user.id,
+    });
+
+    if (!result.success) {
+      // A declined gateway refund is the gateway's failure; otherwise another refund got there first
+      const status = result.refund ? 502 : 409;
+      return res.status(status).json(
+        errorResponse(result.message, { refund: result.refund || null }, status)
+      );
+    }
+
+    res.status(201).json(
+      successResponse('Refund issued successfully', {
+        refund: result.refund,
+        payment: result.payment,
+        refundableAmount: getRefundableAmount(result.payment),
+      }, 201)
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Mock SSLCommerz payment page (development only)
+ * This simulates the SSLCommerz payment gateway page for testing
+ */
+export const sslcommerzMockPayment = async (req, res, next) => {
+  try {
+    const { tran_id, amount, bookingId } = req.query;
+    const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
+    
+    // Generate mock payment page HTML
+    const html = `
+<!DOCTYPE html>
+<html>
+<head>
+  <title>SSLCommerz Payment - Development Mode</title>
+  <style>
+    body {
+      font-family: Arial, sans-serif;
+      max-width: 600px;
+      margin: 50px auto;
+      padding: 20px;
+      background: #f5f5f5;
+    }
+    .payment-card {
+      background: white;
+      padding: 30px;
+      border-radius: 8px;
+      box-shadow: 0 2px 10px rgba(0,0,0,0.1);
+    }
+    h1 { color: #2563eb; margin-top: 0; }
+    .amount { font-size: 24px; font-weight: bold; color: #059669; margin: 20px 0; }
+    .info { background: #fef3c7; padding: 15px; border-radius: 5px; margin: 20px 0; }
+    .buttons { display: flex; gap: 10px; margin-top: 30px; }
+    button {
+      flex: 1;
+      padding: 15px;
+      border: none;
+      border-radius: 5px;
+      font-size: 16px;
+      cursor: pointer;
+      font-weight: 600;
+    }
+    .btn-success {
+      background: #10b981;
+      color: white;
+    }
+    .btn-success:hover { background: #059669; }
+    .btn-fail {
+      background: #ef4444;
+      color: white;
+    }
+    .btn-fail:hover { background: #dc2626; }
+    .btn-cancel {
+      background: #6b7280;
+      color: white;
+    }
+    .btn-cancel:hover { background: #4b5563; }
+  </style>
+</head>
+<body>
+  <div class="payment-card">
+    <h1>🔒 SSLCommerz Payment Gateway</h1>
+    <div class="info">
+      <strong>⚠️ Development Mode</strong><br>
+      This is a mock payment page for testing. In production, you would see the real SSLCommerz payment form.
+    </div>
+    <p><strong>Transaction ID:</strong> ${tran_id || 'N/A'}</p>
+    <p><strong>Booking ID:</strong> ${bookingId || 'N/A'}</p>
+    <div class="amount">Amount: ৳${amount || '0.00'}</div>
+    <p>Select an option to simulate payment:</p>
+    <div class="buttons">
+      <button class="btn-success" onclick="simulatePayment('success')">✅ Simulate Success</button>
+      <button class="btn-fail" onclick="simulatePayment('fail')">❌ Simulate Failure</button>
+      <button class="btn-cancel" onclick="simulatePayment('cancel')">🚫 Cancel</button>
+    </div>
+  </div>
+  <script>
+    function simulatePayment(action) {
+      const baseUrl = '${process.env.BACKEND_PUBLIC_URL || `http://localhost:${process.env.PORT || 5001}`}';
+      const tranId = '${tran_id}';
+      
+      if (action === 'success') {
+        window.location.href = baseUrl + '/api/billing/sslcommerz/success?tran_id=' + tranId;
+      } else if (action === 'fail') {
+        window.location.href = baseUrl + '/api/billing/sslcommerz/fail?tran_id=' + tranId;
+      } else {
+        window.location.href = baseUrl + '/api/billing/sslcommerz/cancel?tran_id=' + tranId;
+      }
+    }
+  </script>
+</body>
+</html>
+    `;
+    
+    res.status(200).send(html);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * SSLCommerz success callback (gateway redirects here)
+ * NOTE: For production, you should verify payment with SSLCommerz validation API.
+ */
+export const sslcommerzSuccess = async (req, res, next) => {
+  try {
+    const tran_id = req.body?.tran_id || req.query?.tran_id;
+    const bank_tran_id = req.body?.bank_tran_id || req.query?.bank_tran_id;
+    if (tran_id) {
+      // Keep the bank transaction ID: SSLCommerz refunds are made against it
+      const payment = await Payment.findOneAndUpdate(
+        { transactionId: tran_id },
+        { status: 'paid', paidAt: new Date(), ...(bank_tran_id && { bankTransactionId: bank_tran_id }) },
+        { new: true }
+      );
+      if (payment?.booking) {
+        await syncDepositStatus(payment.booking);
+        await syncStayPoints(payment.booking);
+      }
+    }
     // Redirect to frontend with success message
     const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
     res.redirect(`${frontendUrl}/customer/bookings?payment=success`);
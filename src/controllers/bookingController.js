@@ -3,19 +3,99 @@
  * @module controllers/bookingController
  */
 
+import mongoose from 'mongoose';
 import Booking from '../models/Booking.js';
 import Room from '../models/Room.js';
-import Payment from '../models/Payment.js';
+import User from '../models/User.js';
+import GroupBooking from '../models/GroupBooking.js';
+import Settings from '../models/Settings.js';
+import CorporateAccount from '../models/CorporateAccount.js';
+import WaitlistEntry from '../models/WaitlistEntry.js';
 import { successResponse, errorResponse } from '../utils/ApiResponse.js';
-import { isRoomAvailable, getBookedRoomIds } from '../utils/roomAvailability.js';
+import {
+  getBookedRoomIds,
+  isRoomAvailable,
+  reserveStay,
+  releaseStay,
+  toNightDate,
+} from '../utils/roomAvailability.js';
 import {
   sendBookingConfirmation,
   sendBookingApproved,
+  sendCheckoutInvoice,
 } from '../services/notificationService.js';
 import {
   calculateBookingTotal,
-  generateInvoiceNumber,
+  getTotalPaid,
 } from '../services/billingService.js';
+import { priceStay, getRoomTypeBase } from '../services/pricingService.js';
+import { getAssignableRooms, assignRoom } from '../services/roomAssignmentService.js';
+import {
+  getCancellationPolicySnapshot,
+  previewCancellation,
+  applyCancellation,
+} from '../services/cancellationService.js';
+import {
+  calculateDeposit,
+  recalculateDeposit,
+  getDepositDue,
+  syncDepositStatus,
+} from '../services/depositService.js';
+import {
+  findPromoCode,
+  checkPromoCode,
+  applyPromotion,
+  redeemPromoCode,
+  releasePromoCode,
+  toPromotionSnapshot,
+  checkPromotionStillApplies,
+  reapplyPromotion,
+} from '../services/promotionService.js';
+import {
+  buildBookingInvoicePdf,
+  issueBookingInvoice,
+  issueGroupInvoice,
+} from '../services/invoiceService.js';
+import { recordStay } from '../services/loyaltyService.js';
+import { isRoomReady, recordDeparture } from '../services/housekeepingService.js';
+import { moveRoom } from '../services/roomMoveService.js';
+import { extendStay, previewEarlyDeparture, applyEarlyDeparture } from '../services/stayChangeService.js';
+import { postFolioEntry } from '../services/folioService.js';
+import { markNoShow } from '../services/noShowService.js';
+import {
+  STAY_TIME_REQUESTS,
+  quoteEarlyCheckIn,
+  quoteLateCheckOut,
+  requestStayTime,
+  decideStayTime,
+  getStayTimeCharge,
+  chargeStayTime,
+} from '../services/stayTimeService.js';
+import { offerFreedRooms, claimWaitlistOffer, returnWaitlistOffer } from '../services/waitlistService.js';
+import { buildTapeChart, MAX_TAPE_CHART_DAYS } from '../services/tapeChartService.js';
+import { checkBusinessDateOpen } from '../services/nightAuditService.js';
+
+const ROOM_TYPES = ['single', 'double', 'suite'];
+const BILLING_MODES = ['master', 'split'];
+const MAX_GROUP_ROOMS = 50;
+
+/**
+ * Load a corporate account that new stays can be booked under
+ * @param {string} accountId - CorporateAccount ID
+ * @returns {Promise<Object>} Object with account, or error ({ status, message })
+ */
+const loadBookableAccount = async (accountId) => {
+  const account = mongoose.Types.ObjectId.isValid(accountId)
+    ? await CorporateAccount.findById(accountId)
+    : null;
+  if (!account) {
+    return { error: { status: 404, message: 'Corporate account not found' } };
+  }
+  if (!account.isActive) {
+    return { error: { status: 400, message: 'This corporate account is inactive' } };
+  }
+  return { account };
+};
 
 /**
  * Create a new booking
@@ -25,13 +105,22 @@ import {
  */
 export const createBooking = async (req, res, next) => {
   try {
-    const { roomId, checkInDate, checkOutDate, numberOfGuests } = req.body;
+    const {
+      roomId,
+      roomType,
+      checkInDate,
+      checkOutDate,
+      numberOfGuests,
+      corporateAccountId,
+      promoCode,
+      waitlistEntryId,
+    } = req.body;
     const userId = req.user.id;
 
-    // Validation
-    if (!roomId || !checkInDate || !checkOutDate) {
+    // Validation: book either a room type (assigned later) or a specific room
+    if ((!roomType && !roomId) || !checkInDate || !checkOutDate) {
       return res.status(400).json(
-        errorResponse('Please provide roomId, checkInDate, and checkOutDate', null, 400)
+        errorResponse('Please provide roomType (or roomId), checkInDate, and checkOutDate', null, 400)
       );
     }
 
@@ -53,55 +142,179 @@ export const createBooking = async (req, res, next) => {
       );
     }
 
-    // Get room
-    const room = await Room.findById(roomId);
-    if (!room) {
-      return res.status(404).json(
-        errorResponse('Room not found', null, 404)
-      );
-    }
+    // Get the specific room when one was requested, otherwise the type's base pricing
+    let room = null;
+    let pricingRoom;
+    if (roomId) {
+      room = await Room.findById(roomId);
+      if (!room) {
+        return res.status(404).json(
+          errorResponse('Room not found', null, 404)
+        );
+      }
 
-    // Check if room is in maintenance
-    if (room.status === 'maintenance') {
-      return res.status(400).json(
-        errorResponse('Room is currently under maintenance', null, 400)
-      );
+      // Check if room is in maintenance
+      if (room.status === 'maintenance') {
+        return res.status(400).json(
+          errorResponse('Room is currently under maintenance', null, 400)
+        );
+      }
+      pricingRoom = room;
+    } else {
+      if (!ROOM_TYPES.includes(roomType)) {
+        return res.status(400).json(
+          errorResponse(`Room type must be one of: ${ROOM_TYPES.join(', ')}`, null, 400)
+        );
+      }
+
+      pricingRoom = await getRoomTypeBase(roomType);
+      if (!pricingRoom) {
+        return res.status(404).json(
+          errorResponse(`No ${roomType} rooms are available`, null, 404)
+        );
+      }
     }
 
     // Check number of guests
-    if (numberOfGuests && numberOfGuests > room.maxGuests) {
+    if (numberOfGuests && numberOfGuests > pricingRoom.maxGuests) {
       return res.status(400).json(
-        errorResponse(`Room can accommodate maximum ${room.maxGuests} guests`, null, 400)
+        errorResponse(`Room can accommodate maximum ${pricingRoom.maxGuests} guests`, null, 400)
       );
     }
 
-    // Check room availability
-    const available = await isRoomAvailable(roomId, checkIn, checkOut);
-    if (!available) {
-      return res.status(400).json(
-        errorResponse('Room is not available for the selected dates', null, 400)
-      );
+    // Staff can book under a company's account, at its negotiated rate
+    let corporateAccount = null;
+    if (corporateAccountId) {
+      if (req.user.role === 'customer') {
+        return res.status(403).json(
+          errorResponse('Only staff can book under a corporate account', null, 403)
+        );
+      }
+      const { account, error } = await loadBookableAccount(corporateAccountId);
+      if (error) {
+        return res.status(error.status).json(errorResponse(error.message, null, error.status));
+      }
+      corporateAccount = account;
     }
 
     // Calculate total nights and amount
     const oneDay = 24 * 60 * 60 * 1000;
     const totalNights = Math.ceil((checkOut - checkIn) / oneDay);
-    const totalAmount = room.pricePerNight * totalNights;
 
-    // Business rule: Customer bookings start as 'pending', staff/admin can create 'approved'
-    const initialStatus = req.user.role === 'customer' ? 'pending' : 'approved';
+    // Check the promo code against the stay before anything is held
+    let promo = null;
+    if (promoCode) {
+      promo = await findPromoCode(promoCode);
+      if (!promo) {
+        return res.status(400).json(
+          errorResponse('Invalid promo code', null, 400)
+        );
+      }
+      const reason = await checkPromoCode(promo, {
+        roomType: pricingRoom.type,
+        totalNights,
+        guestId: userId,
+      });
+      if (reason) {
+        return res.status(400).json(errorResponse(reason, null, 400));
+      }
+    }
 
-    // Create booking
-    const booking = await Booking.create({
-      guest: userId,
-      room: roomId,
+    const bookingId = new mongoose.Types.ObjectId();
+
+    // A guest booking their waitlist offer takes over the nights held for them
+    let waitlistEntry = null;
+    if (waitlistEntryId) {
+      waitlistEntry = mongoose.Types.ObjectId.isValid(waitlistEntryId)
+        ? await WaitlistEntry.findById(waitlistEntryId)
+        : null;
+      if (!waitlistEntry || waitlistEntry.guest.toString() !== userId) {
+        return res.status(404).json(
+          errorResponse('Waitlist offer not found', null, 404)
+        );
+      }
+      const claim = await claimWaitlistOffer(waitlistEntry, bookingId, {
+        roomType: pricingRoom.type,
+        checkInDate: checkIn,
+        checkOutDate: checkOut,
+      });
+      if (!claim.success) {
+        const code = claim.conflict ? 409 : 400;
+        return res.status(code).json(errorResponse(claim.message, null, code));
+      }
+    }
+    const releaseHeldStay = async () => {
+      if (waitlistEntry) {
+        await returnWaitlistOffer(waitlistEntry, bookingId);
+      }
+      await releaseStay(bookingId);
+    };
+
+    // Reserve the type's (and room's) nights up front; this is the atomic availability check
+    const reserved = await reserveStay(bookingId, {
+      roomType: pricingRoom.type,
+      roomId: room?._id,
       checkInDate: checkIn,
       checkOutDate: checkOut,
-      totalNights,
-      totalAmount,
-      status: initialStatus,
-      createdBy: userId,
     });
+    if (!reserved) {
+      await releaseHeldStay();
+      return res.status(400).json(
+        errorResponse(
+          room ? 'Room is not available for the selected dates' : `No ${pricingRoom.type} rooms are available for the selected dates`,
+          null,
+          400
+        )
+      );
+    }
+
+    // Take a use of the promo code; another booking may have taken the last one meanwhile
+    if (promo && !(await redeemPromoCode(promo))) {
+      await releaseHeldStay();
+      return res.status(409).json(
+        errorResponse(`Promo code ${promo.code} has reached its usage limit`, null, 409)
+      );
+    }
+
+    // Business rule: Customer bookings start as 'pending', staff/admin can create 'approved'
+    const initialStatus = req.user.role === 'customer' ? 'pending' : 'approved';
+
+    // Create booking, giving the nights back if it cannot be saved
+    let booking;
+    try {
+      let pricing = await priceStay(pricingRoom, checkIn, checkOut, corporateAccount);
+      if (promo) {
+        pricing = applyPromotion(pricing, promo);
+      }
+      const { nightlyRates, totalAmount, cancellationPolicyId } = pricing;
+      const cancellationPolicy = await getCancellationPolicySnapshot(cancellationPolicyId);
+      // The booking is held until its deposit (if any) is paid
+      const deposit = await calculateDeposit(pricing, pricing.depositRule);
+      booking = await Booking.create({
+        _id: bookingId,
+        guest: userId,
+        corporateAccount: corporateAccount?._id || null,
+        roomType: pricingRoom.type,
+        room: room?._id || null,
+        roomAssignedAt: room ? new Date() : null,
+        checkInDate: checkIn,
+        checkOutDate: checkOut,
+        totalNights,
+        totalAmount,
+        nightlyRates,
+        cancellationPolicy,
+        deposit,
+        promotion: promo ? toPromotionSnapshot(promo, pricing.discountAmount) : null,
+        status: initialStatus,
+        createdBy: userId,
+      });
+    } catch (createError) {
+      await releaseHeldStay();
+      if (promo) {
+        await releasePromoCode({ promotion: { promoCode: promo._id } });
+      }
+      throw createError;
+    }
 
     // Populate room and guest details
     await booking.populate('room', 'code type pricePerNight amenities maxGuests');
@@ -135,7 +348,7 @@ export const createBooking = async (req, res, next) => {
 export const updateBooking = async (req, res, next) => {
   try {
     const { id } = req.params;
-    const { roomId, checkInDate, checkOutDate } = req.body;
+    const { roomId, roomType, checkInDate, checkOutDate } = req.body;
     const userId = req.user.id;
 
     const booking = await Booking.findById(id);
@@ -152,14 +365,16 @@ export const updateBooking = async (req, res, next) => {
       );
     }
 
-    // Can only update if status is pending or approved (not checked_in or checked_out)
-    if (['checked_in', 'checked_out'].includes(booking.status)) {
+    // Can only update while the stay is still ahead: a cancelled booking holds no nights to change
+    if (!['pending', 'approved'].includes(booking.status)) {
       return res.status(400).json(
-        errorResponse('Cannot update booking that is already checked in or checked out', null, 400)
+        errorResponse(`Cannot update booking with status: ${booking.status}`, null, 400)
       );
     }
 
-    let room = booking.room;
+    const currentRoom = booking.room ? await Room.findById(booking.room) : null;
+    let room = currentRoom;
+    let type = booking.roomType || currentRoom?.type;
     let checkIn = booking.checkInDate;
     let checkOut = booking.checkOutDate;
 
@@ -176,7 +391,17 @@ export const updateBooking = async (req, res, next) => {
           errorResponse('Selected room is under maintenance', null, 400)
         );
       }
-      room = newRoom._id;
+      room = newRoom;
+      type = newRoom.type;
+    } else if (roomType && roomType !== type) {
+      // Switching to another type drops the assigned room; one is assigned again later
+      if (!ROOM_TYPES.includes(roomType)) {
+        return res.status(400).json(
+          errorResponse(`Room type must be one of: ${ROOM_TYPES.join(', ')}`, null, 400)
+        );
+      }
+      room = null;
+      type = roomType;
     }
 
     // Update dates if provided
@@ -193,22 +418,59 @@ export const updateBooking = async (req, res, next) => {
       );
     }
 
-    // Check availability (exclude current booking)
-    const available = await isRoomAvailable(
-      room.toString(),
-      checkIn,
-      checkOut,
-      booking._id
+    // Nights on a closed business date can't be moved, neither off the stay nor onto it
+    const datesOpen = await checkBusinessDateOpen(
+      [booking.checkInDate, checkIn],
+      'The stay starts on a closed business date; its dates can no longer be changed'
     );
+    if (!datesOpen.success) {
+      return res.status(409).json(errorResponse(datesOpen.message, null, 409));
+    }
+
+    // Another stay or an out-of-order block on the room over the new dates is a conflict
+    if (room && !(await isRoomAvailable(room._id, checkIn, checkOut, booking._id))) {
+      return res.status(409).json(
+        errorResponse(`Room ${room.code} is already booked or out of order for the selected dates`, null, 409)
+      );
+    }
+
+    // A redeemed promo code must still fit the changed stay
+    const promotionError = await checkPromotionStillApplies(booking, {
+      roomType: type,
+      totalNights: Math.ceil((checkOut - checkIn) / (24 * 60 * 60 * 1000)),
+    });
+    if (promotionError) {
+      return res.status(400).json(errorResponse(promotionError, null, 400));
+    }
+
+    const previousStay = {
+      roomType: booking.roomType || currentRoom?.type,
+      roomId: booking.room,
+      checkInDate: booking.checkInDate,
+      checkOutDate: booking.checkOutDate,
+    };
+    const newStay = {
+      roomType: type,
+      roomId: room?._id,
+      checkInDate: checkIn,
+      checkOutDate: checkOut,
+    };
 
-    if (!available) {
+    // Claim the new nights (nights the booking already holds are kept)
+    const reserved = await reserveStay(booking._id, newStay);
+    if (!reserved) {
+      await releaseStay(booking._id, previousStay);
       return res.status(400).json(
         errorResponse('Room is not available for the selected dates', null, 400)
       );
     }
 
     // Update booking
-    booking.room = room;
+    booking.roomType = type;
+    if ((room?._id || null)?.toString() !== booking.room?.toString()) {
+      booking.room = room?._id || null;
+      booking.roomAssignedAt = room ? new Date() : null;
+    }
     booking.checkInDate = checkIn;
     booking.checkOutDate = checkOut;
 
@@ -216,11 +478,33 @@ export const updateBooking = async (req, res, next) => {
     const oneDay = 24 * 60 * 60 * 1000;
     booking.totalNights = Math.ceil((checkOut - checkIn) / oneDay);
     
-    // Get room price
-    const roomData = await Room.findById(room);
-    booking.totalAmount = roomData.pricePerNight * booking.totalNights;
+    try {
+      // Re-price the stay night by night (type bookings use the type's base price)
+      const pricingRoom = room || await getRoomTypeBase(type);
+      const corporateAccount = booking.corporateAccount
+        ? await CorporateAccount.findById(booking.corporateAccount)
+        : null;
+      const pricing = reapplyPromotion(
+        booking,
+        await priceStay(pricingRoom, checkIn, checkOut, corporateAccount)
+      );
+      booking.totalAmount = pricing.totalAmount;
+      booking.nightlyRates = pricing.nightlyRates;
+      booking.cancellationPolicy = await getCancellationPolicySnapshot(pricing.cancellationPolicyId);
+      // Group rooms are held by the group, not by a deposit of their own
+      if (!booking.group) {
+        booking.deposit = await recalculateDeposit(booking, pricing);
+      }
 
-    await booking.save();
+      await booking.save();
+    } catch (saveError) {
+      // Keep only the nights of the stay that is still on record
+      await releaseStay(booking._id, previousStay);
+      throw saveError;
+    }
+
+    // Give back nights that are no longer part of the stay
+    await releaseStay(booking._id, newStay);
 
     // Populate details
     await booking.populate('room', 'code type pricePerNight amenities maxGuests');
@@ -235,6 +519,74 @@ export const updateBooking = async (req, res, next) => {
   }
 };
 
+/**
+ * Link a booking to a corporate account, or unlink it. Stays that have not started are re-priced
+ * at the company's negotiated rate; stays in progress keep their rates and only change who is billed.
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next function
+ */
+export const setBookingCorporateAccount = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { corporateAccountId = null } = req.body;
+
+    const booking = await Booking.findById(id);
+    if (!booking) {
+      return res.status(404).json(
+        errorResponse('Booking not found', null, 404)
+      );
+    }
+
+    if (booking.status === 'cancelled') {
+      return res.status(400).json(
+        errorResponse('Cannot change the company of a cancelled booking', null, 400)
+      );
+    }
+
+    let corporateAccount = null;
+    if (corporateAccountId) {
+      const { account, error } = await loadBookableAccount(corporateAccountId);
+      if (error) {
+        return res.status(error.status).json(errorResponse(error.message, null, error.status));
+      }
+      corporateAccount = account;
+    }
+
+    booking.corporateAccount = corporateAccount?._id || null;
+
+    if (['pending', 'approved'].includes(booking.status)) {
+      const currentRoom = booking.room ? await Room.findById(booking.room) : null;
+      const pricingRoom = currentRoom || await getRoomTypeBase(booking.roomType);
+      const pricing = reapplyPromotion(
+        booking,
+        await priceStay(pricingRoom, booking.checkInDate, booking.checkOutDate, corporateAccount)
+      );
+      booking.totalAmount = pricing.totalAmount;
+      booking.nightlyRates = pricing.nightlyRates;
+      if (!booking.group) {
+        booking.deposit = await recalculateDeposit(booking, pricing);
+      }
+    }
+
+    await booking.save();
+
+    await booking.populate('room', 'code type pricePerNight amenities maxGuests');
+    await booking.populate('guest', 'name email');
+    await booking.populate('corporateAccount', 'name');
+
+    res.status(200).json(
+      successResponse(
+        corporateAccount ? `Booking linked to ${corporateAccount.name}` : 'Booking unlinked from its company',
+        { booking },
+        200
+      )
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * Cancel a booking
  * @param {import('express').Request} req - Express request object
@@ -278,16 +630,136 @@ export const cancelBooking = async (req, res, next) => {
       );
     }
 
-    // Update booking status
-    booking.status = 'cancelled';
-    await booking.save();
+    if (['cancelled', 'checked_out'].includes(booking.status)) {
+      return res.status(400).json(
+        errorResponse(`Cannot cancel booking with status: ${booking.status}`, null, 400)
+      );
+    }
+
+    // Room charges the night audit posted for an in-house stay stand; the guest is checked out instead
+    if (booking.status === 'checked_in') {
+      const nightsOpen = await checkBusinessDateOpen(
+        booking.checkInDate,
+        'This stay has nights on closed business dates; check the guest out instead of cancelling'
+      );
+      if (!nightsOpen.success) {
+        return res.status(409).json(errorResponse(nightsOpen.message, null, 409));
+      }
+    }
+
+    // Apply the cancellation policy (penalty or refund), then free the booking's nights
+    const { reason, waivePenalty } = req.body || {};
+    const cancellation = await applyCancellation(booking, {
+      cancelledBy: userId,
+      reason,
+      waivePenalty: isStaffOrAdmin && Boolean(waivePenalty),
+      fromStatuses: isStaffOrAdmin ? ['pending', 'approved', 'checked_in'] : ['pending', 'approved'],
+    });
+    if (!cancellation) {
+      return res.status(409).json(
+        errorResponse('Booking status changed while cancelling, please refresh', null, 409)
+      );
+    }
+    await releaseStay(booking._id);
+
+    // Offer the freed nights to guests waiting for them
+    try {
+      await offerFreedRooms(booking);
+    } catch (waitlistError) {
+      console.error('Failed to offer the freed room to the waitlist:', waitlistError);
+      // Don't fail the request; the waitlist job offers it on its next run
+    }
 
     // Populate details
     await booking.populate('room', 'code type');
     await booking.populate('guest', 'name email');
 
     res.status(200).json(
-      successResponse('Booking cancelled successfully', { booking }, 200)
+      successResponse('Booking cancelled successfully', { booking, cancellation }, 200)
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Preview the penalty and refund for cancelling a booking now
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next function
+ */
+export const getCancellationQuote = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const booking = await Booking.findById(id);
+    if (!booking) {
+      return res.status(404).json(
+        errorResponse('Booking not found', null, 404)
+      );
+    }
+
+    // Check permissions: customers can only see their own bookings
+    if (req.user.role === 'customer' && booking.guest.toString() !== req.user.id) {
+      return res.status(403).json(
+        errorResponse('You can only view your own bookings', null, 403)
+      );
+    }
+
+    if (['cancelled', 'checked_out'].includes(booking.status)) {
+      return res.status(400).json(
+        errorResponse(`Cannot cancel booking with status: ${booking.status}`, null, 400)
+      );
+    }
+
+    const isStaffOrAdmin = ['staff', 'admin'].includes(req.user.role);
+    const quote = await previewCancellation(booking, {
+      waivePenalty: isStaffOrAdmin && req.query.waivePenalty === 'true',
+      noShow: isStaffOrAdmin && req.query.noShow === 'true',
+    });
+
+    res.status(200).json(
+      successResponse('Cancellation quote retrieved successfully', { quote }, 200)
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Mark a booking whose guest never arrived as a no-show
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next function
+ */
+export const markBookingNoShow = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { waivePenalty = false } = req.body || {};
+
+    const booking = await Booking.findById(id);
+    if (!booking) {
+      return res.status(404).json(
+        errorResponse('Booking not found', null, 404)
+      );
+    }
+
+    const result = await markNoShow(booking, {
+      markedBy: req.user.id,
+      waivePenalty: Boolean(waivePenalty),
+    });
+    if (!result.success) {
+      const code = result.conflict ? 409 : 400;
+      return res.status(code).json(
+        errorResponse(result.message, null, code)
+      );
+    }
+
+    await booking.populate('room', 'code type');
+    await booking.populate('guest', 'name email');
+
+    res.status(200).json(
+      successResponse(result.message, { booking, cancellation: result.cancellation }, 200)
     );
   } catch (error) {
     next(error);
@@ -432,22 +904,57 @@ export const approveBooking = async (req, res, next) => {
       );
     }
 
-    // Check room availability before approving
-    const available = await isRoomAvailable(
-      booking.room.toString(),
-      booking.checkInDate,
-      booking.checkOutDate,
-      booking._id
-    );
+    // The hotel may only confirm bookings once their deposit is in
+    const settings = await Settings.getSettings();
+    if (settings.requireDepositForApproval && booking.deposit && !booking.deposit.paidAt) {
+      const depositDue = await getDepositDue(booking);
+      if (depositDue > 0) {
+        return res.status(400).json(
+          errorResponse(
+            `A deposit of ${depositDue} must be paid before this booking can be approved`,
+            { depositDue },
+            400
+          )
+        );
+      }
+      await syncDepositStatus(booking._id);
+    }
+
+    // Make sure the booking holds all of its nights before approving
+    // (bookings made before night inventory existed claim them here)
+    const roomType = booking.roomType || (await Room.findById(booking.room))?.type;
+    const reserved = await reserveStay(booking._id, {
+      roomType,
+      roomId: booking.room,
+      checkInDate: booking.checkInDate,
+      checkOutDate: booking.checkOutDate,
+    });
 
-    if (!available) {
+    if (!reserved) {
       return res.status(400).json(
         errorResponse('Room is no longer available for the selected dates', null, 400)
       );
     }
 
-    booking.status = 'approved';
-    await booking.save();
+    // Only move pending -> approved, so concurrent approvals/cancellations can't both win
+    const approved = await Booking.findOneAndUpdate(
+      { _id: booking._id, status: 'pending' },
+      { status: 'approved', roomType, updatedAt: Date.now() },
+      { new: true }
+    );
+
+    if (!approved) {
+      const current = await Booking.findById(booking._id).select('status');
+      if (!current || ['cancelled', 'checked_out'].includes(current.status)) {
+        await releaseStay(booking._id);
+      }
+      return res.status(409).json(
+        errorResponse('Booking status changed while approving, please refresh', null, 409)
+      );
+    }
+    booking.status = approved.status;
+    booking.roomType = approved.roomType;
+    booking.updatedAt = approved.updatedAt;
 
     // Populate details
     await booking.populate('room', 'code type pricePerNight amenities maxGuests');
@@ -510,63 +1017,164 @@ export const getBookingById = async (req, res, next) => {
 };
 
 /**
- * Check-in a guest
- * @param {import('express').Request} req - Express request object
- * @param {import('express').Response} res - Express response object
- * @param {import('express').NextFunction} next - Express next function
+ * Check in a booking: validate the stay dates, assign a room when needed and mark it checked in.
+ * Shared by single and group check-in. A room housekeeping has not cleaned yet blocks the check-in
+ * unless staff choose to check the guest in anyway, and so does an early check-in with a fee that
+ * has not been approved. The early check-in fee is posted to the folio.
+ * @param {Object} booking - Booking document with populated room
+ * @param {string} [roomId] - Room picked by staff (defaults to the assigned room or the best free room)
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.allowUncleanRoom] - Check in even if the room is not clean yet
+ * @param {boolean} [options.approveEarlyCheckIn] - Approve a chargeable early check-in at the desk
+ * @param {string} [options.checkedInBy] - Staff member checking the guest in
+ * @returns {Promise<Object|null>} Error (message, plus room and housekeepingStatus when the room is not
+ *   ready or earlyCheckIn when an early check-in needs approving), or null when the guest was checked in
  */
-export const checkInGuest = async (req, res, next) => {
-  try {
-    const { id } = req.params;
+const checkInBooking = async (
+  booking,
+  roomId,
+  { allowUncleanRoom = false, approveEarlyCheckIn = false, checkedInBy = null } = {}
+) => {
+  // Validate booking status
+  if (booking.status !== 'approved') {
+    return { message: `Cannot check in booking with status: ${booking.status}. Booking must be approved.` };
+  }
 
-    const booking = await Booking.findById(id)
-      .populate('room', 'code type pricePerNight amenities maxGuests')
-      .populate('guest', 'name email')
-      .populate('createdBy', 'name email role');
+  const today = new Date();
+  today.setHours(0, 0, 0, 0);
 
-    if (!booking) {
-      return res.status(404).json(
-        errorResponse('Booking not found', null, 404)
-      );
-    }
+  const checkOutDate = new Date(booking.checkOutDate);
+  checkOutDate.setHours(0, 0, 0, 0);
 
-    // Validate booking status
-    if (booking.status !== 'approved') {
-      return res.status(400).json(
-        errorResponse(`Cannot check in booking with status: ${booking.status}. Booking must be approved.`, null, 400)
-      );
+  if (today >= checkOutDate) {
+    return { message: 'Cannot check in: check-out date has passed' };
+  }
+
+  // Arriving before the standard check-in time is an early check-in, possible within the configured window
+  const now = new Date();
+  const earlyQuote = await quoteEarlyCheckIn(booking, now);
+  if (!earlyQuote.allowed) {
+    return {
+      message: `Check-in for this booking opens at ${earlyQuote.earliestTime.toLocaleString()}; book the night before to arrive earlier`,
+    };
+  }
+  const earlyCharge = getStayTimeCharge(booking, 'early_check_in', earlyQuote);
+  if (earlyCharge.fee > 0 && booking.earlyCheckIn?.status !== 'approved') {
+    if (!approveEarlyCheckIn) {
+      return {
+        message: `Checking in ${earlyQuote.hours} hour(s) before the standard check-in time is an early check-in`,
+        earlyCheckIn: { standardTime: earlyQuote.standardTime, hours: earlyQuote.hours, fee: earlyQuote.fee },
+      };
     }
+    // Approved at the desk on arrival
+    booking.earlyCheckIn = {
+      status: 'approved',
+      requestedTime: now,
+      hours: earlyCharge.hours,
+      fee: earlyCharge.fee,
+      requestedBy: checkedInBy,
+      requestedAt: now,
+      decidedBy: checkedInBy,
+      decidedAt: now,
+    };
+  }
 
-    // Validate check-in date: today should be within check-in range (allow early check-in up to 1 day before)
-    const today = new Date();
-    today.setHours(0, 0, 0, 0);
-    
-    const checkInDate = new Date(booking.checkInDate);
-    checkInDate.setHours(0, 0, 0, 0);
-    
-    const checkOutDate = new Date(booking.checkOutDate);
-    checkOutDate.setHours(0, 0, 0, 0);
+  // Pick the room: the one staff picked, the one already assigned, or the best free room
+  let room = booking.room ? await Room.findById(booking.room._id || booking.room) : null;
+  if (roomId || !booking.room) {
+    const assignableRooms = await getAssignableRooms(booking);
+    room = roomId
+      ? assignableRooms.find((r) => r._id.toString() === roomId.toString())
+      : assignableRooms[0];
+
+    if (!room) {
+      return {
+        message: roomId
+          ? 'Selected room is not free for this stay or does not match the booked room type'
+          : `No free ${booking.roomType} room is available to assign`,
+      };
+    }
+  }
 
-    // Allow check-in from 1 day before check-in date up to check-out date
-    const oneDayBefore = new Date(checkInDate);
-    oneDayBefore.setDate(oneDayBefore.getDate() - 1);
+  if (room && !isRoomReady(room) && !allowUncleanRoom) {
+    return {
+      message: `Room ${room.code} is ${room.housekeepingStatus} and has not been cleaned for the next guest yet`,
+      room: room.code,
+      housekeepingStatus: room.housekeepingStatus,
+    };
+  }
 
-    if (today < oneDayBefore) {
-      return res.status(400).json(
-        errorResponse('Check-in is only allowed from 1 day before the scheduled check-in date', null, 400)
+  if (room && room._id.toString() !== booking.room?._id?.toString()) {
+    const assigned = await assignRoom(booking, room);
+    if (!assigned) {
+      return { message: 'Selected room was just taken, please pick another room' };
+    }
+    await booking.populate('room', 'code type pricePerNight amenities maxGuests');
+  }
+
+  // Update booking status
+  booking.status = 'checked_in';
+  await booking.save();
+
+  if (earlyQuote.isEarly) {
+    await chargeStayTime(booking, 'early_check_in', earlyCharge, checkedInBy);
+  }
+
+  return null;
+};
+
+/**
+ * Check-in a guest
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next function
+ */
+export const checkInGuest = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { roomId, allowUncleanRoom = false, approveEarlyCheckIn = false } = req.body || {};
+
+    const booking = await Booking.findById(id)
+      .populate('room', 'code type pricePerNight amenities maxGuests')
+      .populate('guest', 'name email')
+      .populate('createdBy', 'name email role');
+
+    if (!booking) {
+      return res.status(404).json(
+        errorResponse('Booking not found', null, 404)
       );
     }
 
-    if (today >= checkOutDate) {
+    const checkInError = await checkInBooking(booking, roomId, {
+      allowUncleanRoom: allowUncleanRoom === true,
+      approveEarlyCheckIn: approveEarlyCheckIn === true,
+      checkedInBy: req.user.id,
+    });
+    if (checkInError?.earlyCheckIn) {
+      // Staff can approve the early check-in and its fee, then retry with approveEarlyCheckIn
+      return res.status(409).json(
+        errorResponse(checkInError.message, {
+          earlyCheckIn: checkInError.earlyCheckIn,
+          canApprove: true,
+        }, 409)
+      );
+    }
+    if (checkInError?.housekeepingStatus) {
+      // Staff can confirm and retry with allowUncleanRoom to check the guest in anyway
+      return res.status(409).json(
+        errorResponse(checkInError.message, {
+          room: checkInError.room,
+          housekeepingStatus: checkInError.housekeepingStatus,
+          canOverride: true,
+        }, 409)
+      );
+    }
+    if (checkInError) {
       return res.status(400).json(
-        errorResponse('Cannot check in: check-out date has passed', null, 400)
+        errorResponse(checkInError.message, null, 400)
       );
     }
 
-    // Update booking status
-    booking.status = 'checked_in';
-    await booking.save();
-
     // Generate stay card
     const stayCard = {
       bookingId: booking._id,
@@ -598,99 +1206,173 @@ export const checkInGuest = async (req, res, next) => {
 };
 
 /**
- * Check-out a guest
+ * Get rooms that can be assigned to a booking, with the suggested room first.
+ * With move=true, get rooms an in-house guest can move to for the rest of their stay.
  * @param {import('express').Request} req - Express request object
  * @param {import('express').Response} res - Express response object
  * @param {import('express').NextFunction} next - Express next function
  */
-export const checkOutGuest = async (req, res, next) => {
+export const getRoomSuggestions = async (req, res, next) => {
   try {
     const { id } = req.params;
 
-    const booking = await Booking.findById(id)
-      .populate('room', 'code type pricePerNight amenities maxGuests status')
-      .populate('guest', 'name email');
+    const booking = await Booking.findById(id).populate('room', 'code type status');
+    if (!booking) {
+      return res.status(404).json(
+        errorResponse('Booking not found', null, 404)
+      );
+    }
 
+    if (['checked_out', 'cancelled'].includes(booking.status)) {
+      return res.status(400).json(
+        errorResponse(`Cannot assign a room to booking with status: ${booking.status}`, null, 400)
+      );
+    }
+
+    const moving = req.query.move === 'true';
+    if (moving && booking.status !== 'checked_in') {
+      return res.status(400).json(
+        errorResponse('Only checked-in guests can move rooms', null, 400)
+      );
+    }
+
+    const rooms = await getAssignableRooms(booking, { moving });
+
+    res.status(200).json(
+      successResponse('Room suggestions retrieved successfully', {
+        roomType: booking.roomType || booking.room?.type,
+        currentRoom: booking.room,
+        suggestedRoom: rooms[0] || null,
+        rooms,
+      }, 200)
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Assign (or re-assign) a room to a booking before check-in
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next function
+ */
+export const assignBookingRoom = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { roomId } = req.body;
+
+    if (!roomId) {
+      return res.status(400).json(
+        errorResponse('Please provide roomId', null, 400)
+      );
+    }
+
+    const booking = await Booking.findById(id);
     if (!booking) {
       return res.status(404).json(
         errorResponse('Booking not found', null, 404)
       );
     }
 
-    // Validate booking status
-    if (booking.status !== 'checked_in') {
+    if (!['pending', 'approved'].includes(booking.status)) {
       return res.status(400).json(
-        errorResponse(`Cannot check out booking with status: ${booking.status}. Guest must be checked in first.`, null, 400)
+        errorResponse(`Cannot assign a room to booking with status: ${booking.status}`, null, 400)
       );
     }
 
-    // Update booking status
-    booking.status = 'checked_out';
-    await booking.save();
+    const assignableRooms = await getAssignableRooms(booking);
+    const room = assignableRooms.find((r) => r._id.toString() === roomId.toString());
+    if (!room) {
+      return res.status(400).json(
+        errorResponse('Selected room is not free for this stay or does not match the booked room type', null, 400)
+      );
+    }
 
-    // Calculate total billing amount (room + services)
-    const billingDetails = await calculateBookingTotal(booking);
-    const totalPaid = await Payment.find({
-      booking: booking._id,
-      status: 'paid',
-    }).then(payments => payments.reduce((sum, p) => sum + p.amount, 0));
-
-    // Auto-generate invoice if not already generated
-    const existingPayment = await Payment.findOne({ booking: booking._id });
-    let invoiceNumber = existingPayment?.invoiceNumber;
-    
-    if (!invoiceNumber) {
-      invoiceNumber = generateInvoiceNumber();
-      // Create a pending payment record to track the invoice
-      // Staff will mark it as paid when payment is received
-      await Payment.create({
-        booking: booking._id,
-        amount: billingDetails.totalCost,
-        paymentMethod: 'pending', // Will be updated when payment is recorded
-        status: 'pending',
-        invoiceNumber,
-      });
+    const assigned = await assignRoom(booking, room);
+    if (!assigned) {
+      return res.status(400).json(
+        errorResponse('Selected room was just taken, please pick another room', null, 400)
+      );
     }
 
-    // Check if room can be marked as available
-    // Only mark as available if there are no overlapping bookings
-    const roomId = booking.room._id;
-    const hasOverlappingBookings = await Booking.findOne({
-      room: roomId,
-      status: { $nin: ['cancelled', 'checked_out'] },
-      $or: [
-        {
-          checkInDate: { $lte: booking.checkOutDate },
-          checkOutDate: { $gt: booking.checkOutDate },
-        },
-      ],
-    });
+    await booking.populate('room', 'code type pricePerNight amenities maxGuests');
+    await booking.populate('guest', 'name email');
 
-    // Update room status if no overlapping bookings
-    if (!hasOverlappingBookings) {
-      const room = await Room.findById(roomId);
-      if (room && room.status === 'booked') {
-        room.status = 'available';
-        await room.save();
-      }
+    res.status(200).json(
+      successResponse('Room assigned successfully', { booking }, 200)
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Move an in-house guest to another room for the rest of their stay
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next function
+ */
+export const moveBookingRoom = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { roomId, reason = null, complimentary = false, allowUncleanRoom = false } = req.body || {};
+
+    if (!roomId) {
+      return res.status(400).json(
+        errorResponse('Please provide roomId', null, 400)
+      );
+    }
+
+    const booking = await Booking.findById(id);
+    if (!booking) {
+      return res.status(404).json(
+        errorResponse('Booking not found', null, 404)
+      );
+    }
+
+    if (booking.status !== 'checked_in') {
+      return res.status(400).json(
+        errorResponse(`Cannot move a booking with status: ${booking.status}. Guest must be checked in.`, null, 400)
+      );
+    }
+
+    const room = mongoose.Types.ObjectId.isValid(roomId) ? await Room.findById(roomId) : null;
+    if (!room) {
+      return res.status(404).json(
+        errorResponse('Room not found', null, 404)
+      );
+    }
+
+    const result = await moveRoom(booking, room, {
+      reason,
+      complimentary: complimentary === true,
+      allowUncleanRoom: allowUncleanRoom === true,
+      movedBy: req.user.id,
+    });
+    if (result.housekeepingStatus) {
+      // Staff can confirm and retry with allowUncleanRoom to move the guest anyway
+      return res.status(409).json(
+        errorResponse(result.message, {
+          room: result.room,
+          housekeepingStatus: result.housekeepingStatus,
+          canOverride: true,
+        }, 409)
+      );
+    }
+    if (!result.success) {
+      const code = result.conflict ? 409 : 400;
+      return res.status(code).json(
+        errorResponse(result.message, null, code)
+      );
     }
 
-    // Populate booking details for response
     await booking.populate('room', 'code type pricePerNight amenities maxGuests');
     await booking.populate('guest', 'name email');
+    await booking.populate('roomMoves.fromRoom roomMoves.toRoom', 'code');
 
     res.status(200).json(
-      successResponse('Guest checked out successfully', {
-        booking,
-        invoice: {
-          invoiceNumber,
-          totalCost: billingDetails.totalCost,
-          roomCost: billingDetails.roomCost,
-          servicesCost: billingDetails.servicesCost,
-          totalPaid,
-          balanceDue: billingDetails.totalCost - totalPaid,
-        },
-      }, 200)
+      successResponse(result.message, { booking, move: result.move }, 200)
     );
   } catch (error) {
     next(error);
@@ -698,73 +1380,1182 @@ export const checkOutGuest = async (req, res, next) => {
 };
 
 /**
- * Get front desk overview - today's arrivals, in-house guests, and departures
+ * Request an early check-in or late checkout for a booking
  * @param {import('express').Request} req - Express request object
  * @param {import('express').Response} res - Express response object
  * @param {import('express').NextFunction} next - Express next function
  */
-export const getFrontDeskOverview = async (req, res, next) => {
+export const requestBookingStayTime = async (req, res, next) => {
   try {
-    const today = new Date();
-    today.setHours(0, 0, 0, 0);
-    
-    const tomorrow = new Date(today);
-    tomorrow.setDate(tomorrow.getDate() + 1);
+    const { id } = req.params;
+    const { type, time } = req.body || {};
 
-    // Today's arrivals: approved bookings with check-in date today
-    const arrivals = await Booking.find({
-      status: 'approved',
-      checkInDate: {
-        $gte: today,
-        $lt: tomorrow,
-      },
-    })
-      .populate('room', 'code type pricePerNight amenities maxGuests')
-      .populate('guest', 'name email')
-      .populate('createdBy', 'name email role')
-      .sort({ checkInDate: 1 });
+    if (!STAY_TIME_REQUESTS[type]) {
+      return res.status(400).json(
+        errorResponse(`type must be one of: ${Object.keys(STAY_TIME_REQUESTS).join(', ')}`, null, 400)
+      );
+    }
+    if (!/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/.test(time || '')) {
+      return res.status(400).json(
+        errorResponse('time must be in HH:mm format', null, 400)
+      );
+    }
 
-    // In-house guests: currently checked in
-    const inHouse = await Booking.find({
-      status: 'checked_in',
-    })
-      .populate('room', 'code type pricePerNight amenities maxGuests')
-      .populate('guest', 'name email')
-      .populate('createdBy', 'name email role')
-      .sort({ checkInDate: 1 });
+    const booking = await Booking.findById(id);
+    if (!booking) {
+      return res.status(404).json(
+        errorResponse('Booking not found', null, 404)
+      );
+    }
 
-    // Today's departures: checked in guests with check-out date today
-    const departures = await Booking.find({
-      status: 'checked_in',
-      checkOutDate: {
-        $gte: today,
-        $lt: tomorrow,
-      },
-    })
-      .populate('room', 'code type pricePerNight amenities maxGuests')
-      .populate('guest', 'name email')
-      .populate('createdBy', 'name email role')
-      .sort({ checkOutDate: 1 });
+    // Customers can only ask for their own bookings
+    if (req.user.role === 'customer' && booking.guest.toString() !== req.user.id) {
+      return res.status(403).json(
+        errorResponse('You can only change your own bookings', null, 403)
+      );
+    }
+
+    const result = await requestStayTime(booking, type, time, req.user.id);
+    if (!result.success) {
+      return res.status(400).json(
+        errorResponse(result.message, null, 400)
+      );
+    }
 
     res.status(200).json(
-      successResponse('Front desk overview retrieved successfully', {
-        date: today,
-        arrivals: {
-          count: arrivals.length,
-          bookings: arrivals,
-        },
-        inHouse: {
-          count: inHouse.length,
-          bookings: inHouse,
-        },
-        departures: {
-          count: departures.length,
-          bookings: departures,
-        },
-      }, 200)
+      successResponse(result.message, { booking, request: result.request }, 200)
     );
   } catch (error) {
     next(error);
   }
 };
 
+/**
+ * Approve or decline a booking's early check-in or late checkout request
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next function
+ */
+export const decideBookingStayTime = async (req, res, next) => {
+  try {
+    const { id, type } = req.params;
+    const { decision } = req.body || {};
+
+    if (!STAY_TIME_REQUESTS[type]) {
+      return res.status(404).json(
+        errorResponse('Request type not found', null, 404)
+      );
+    }
+    if (!['approved', 'declined'].includes(decision)) {
+      return res.status(400).json(
+        errorResponse('decision must be approved or declined', null, 400)
+      );
+    }
+
+    const booking = await Booking.findById(id);
+    if (!booking) {
+      return res.status(404).json(
+        errorResponse('Booking not found', null, 404)
+      );
+    }
+
+    const result = await decideStayTime(booking, type, decision, req.user.id);
+    if (!result.success) {
+      return res.status(400).json(
+        errorResponse(result.message, null, 400)
+      );
+    }
+
+    res.status(200).json(
+      successResponse(result.message, { booking, request: result.request }, 200)
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Extend an in-house guest's stay in their current room
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next function
+ */
+export const extendBookingStay = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { checkOutDate, reason = null } = req.body || {};
+
+    const newCheckOutDate = checkOutDate ? new Date(checkOutDate) : null;
+    if (!newCheckOutDate || Number.isNaN(newCheckOutDate.getTime())) {
+      return res.status(400).json(
+        errorResponse('Please provide a valid checkOutDate', null, 400)
+      );
+    }
+
+    const booking = await Booking.findById(id);
+    if (!booking) {
+      return res.status(404).json(
+        errorResponse('Booking not found', null, 404)
+      );
+    }
+
+    // Stays that have not started are changed through the booking update
+    if (booking.status !== 'checked_in') {
+      return res.status(400).json(
+        errorResponse(`Cannot extend a booking with status: ${booking.status}. Guest must be checked in.`, null, 400)
+      );
+    }
+
+    // A guest staying past their check-out date can't have nights added on dates already closed
+    const checkOutOpen = await checkBusinessDateOpen(
+      booking.checkOutDate,
+      'The stay was due to end on a closed business date; post the extra nights to the folio instead'
+    );
+    if (!checkOutOpen.success) {
+      return res.status(409).json(errorResponse(checkOutOpen.message, null, 409));
+    }
+
+    const result = await extendStay(booking, newCheckOutDate, { reason, changedBy: req.user.id });
+    if (!result.success) {
+      const code = result.conflict ? 409 : 400;
+      return res.status(code).json(
+        errorResponse(result.message, null, code)
+      );
+    }
+
+    await booking.populate('room', 'code type pricePerNight amenities maxGuests');
+    await booking.populate('guest', 'name email');
+
+    res.status(200).json(
+      successResponse(result.message, { booking, change: result.change }, 200)
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Preview the nights taken off the bill and the fee for checking a guest out before their check-out date
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next function
+ */
+export const getEarlyDepartureQuote = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const booking = await Booking.findById(id).populate('room', 'code pricePerNight');
+    if (!booking) {
+      return res.status(404).json(
+        errorResponse('Booking not found', null, 404)
+      );
+    }
+
+    if (booking.status !== 'checked_in') {
+      return res.status(400).json(
+        errorResponse(`Cannot check out booking with status: ${booking.status}. Guest must be checked in first.`, null, 400)
+      );
+    }
+
+    const quote = await previewEarlyDeparture(booking, { waiveFee: req.query.waiveFee === 'true' });
+
+    res.status(200).json(
+      successResponse('Early departure quote retrieved successfully', { quote }, 200)
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Check-out a guest
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next function
+ */
+export const checkOutGuest = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { waiveEarlyDepartureFee = false, waiveLateCheckOutFee = false } = req.body || {};
+
+    const booking = await Booking.findById(id)
+      .populate('room', 'code type pricePerNight amenities maxGuests status')
+      .populate('guest', 'name email');
+
+    if (!booking) {
+      return res.status(404).json(
+        errorResponse('Booking not found', null, 404)
+      );
+    }
+
+    // Validate booking status
+    if (booking.status !== 'checked_in') {
+      return res.status(400).json(
+        errorResponse(`Cannot check out booking with status: ${booking.status}. Guest must be checked in first.`, null, 400)
+      );
+    }
+
+    // A guest leaving early is only charged the nights they stayed, plus any early departure fee
+    const earlyDeparture = await applyEarlyDeparture(booking, {
+      waiveFee: waiveEarlyDepartureFee === true,
+      changedBy: req.user.id,
+    });
+
+    // Staying past the standard check-out time on the last day is a late checkout
+    let lateCheckOut = null;
+    const lateQuote = earlyDeparture ? null : await quoteLateCheckOut(booking, new Date());
+    if (lateQuote?.isLate) {
+      const charge = getStayTimeCharge(booking, 'late_check_out', lateQuote);
+      lateCheckOut = waiveLateCheckOutFee === true
+        ? { fee: 0, hours: charge.hours, feeWaived: charge.fee > 0 }
+        : { ...charge, feeWaived: false };
+    }
+
+    // Update booking status and free its nights
+    booking.status = 'checked_out';
+    await booking.save();
+    await releaseStay(booking._id);
+
+    if (lateCheckOut) {
+      await chargeStayTime(booking, 'late_check_out', lateCheckOut, req.user.id);
+    }
+
+    if (earlyDeparture?.fee > 0) {
+      await postFolioEntry(booking, {
+        type: 'charge',
+        category: 'room',
+        description: `Early departure fee (${earlyDeparture.nightsCancelled} night(s) not stayed)`,
+        amount: earlyDeparture.fee,
+      }, req.user.id);
+    }
+
+    // The stay counts towards the guest's loyalty tier and its payments earn points
+    const loyaltyEarned = await recordStay(booking);
+
+    // The room needs a departure clean before the next guest
+    await recordDeparture(booking);
+
+    // Calculate total billing amount (room + services)
+    const billingDetails = await calculateBookingTotal(booking);
+    const totalPaid = await getTotalPaid(booking._id);
+
+    // Rooms of a master-billed group are settled on the group's folio, not room by room
+    const group = booking.group ? await GroupBooking.findById(booking.group) : null;
+    const billedToGroup = group?.billingMode === 'master';
+
+    // Issue the final invoice unless one was issued before checkout
+    let invoiceNumber = null;
+    if (!billedToGroup) {
+      const { invoice } = await issueBookingInvoice(booking, req.user.id);
+      invoiceNumber = invoice.number;
+    }
+
+    // Check if room can be marked as available
+    // Only mark as available if there are no overlapping bookings
+    const roomId = booking.room._id;
+    const hasOverlappingBookings = await Booking.findOne({
+      room: roomId,
+      status: { $nin: ['cancelled', 'checked_out'] },
+      $or: [
+        {
+          checkInDate: { $lte: booking.checkOutDate },
+          checkOutDate: { $gt: booking.checkOutDate },
+        },
+      ],
+    });
+
+    // Update room status if no overlapping bookings
+    if (!hasOverlappingBookings) {
+      const room = await Room.findById(roomId);
+      if (room && room.status === 'booked') {
+        room.status = 'available';
+        await room.save();
+      }
+    }
+
+    // The group is checked out once its last room leaves
+    if (group) {
+      const roomsStaying = await Booking.countDocuments({
+        group: group._id,
+        status: { $in: ['pending', 'approved', 'checked_in'] },
+      });
+      if (roomsStaying === 0) {
+        group.status = 'checked_out';
+        await group.save();
+
+        // The master invoice covers every room, so it is issued when the last one leaves
+        if (billedToGroup) {
+          const groupBookings = await Booking.find({ group: group._id, status: { $ne: 'cancelled' } })
+            .populate('room', 'code type pricePerNight')
+            .populate('guest', 'name email')
+            .sort({ createdAt: 1, _id: 1 });
+          await group.populate('organizer', 'name email');
+          await issueGroupInvoice(group, groupBookings, req.user.id);
+        }
+      }
+    }
+
+    // Populate booking details for response
+    await booking.populate('room', 'code type pricePerNight amenities maxGuests');
+    await booking.populate('guest', 'name email');
+
+    // Email the final invoice as a PDF (master-billed rooms are invoiced on the group)
+    if (!billedToGroup) {
+      try {
+        const { invoice, pdf } = await buildBookingInvoicePdf(booking);
+        await sendCheckoutInvoice(booking.guest, invoice, pdf);
+      } catch (notifError) {
+        console.error('Failed to send checkout invoice:', notifError);
+        // Don't fail the checkout if the invoice email fails
+      }
+    }
+
+    res.status(200).json(
+      successResponse('Guest checked out successfully', {
+        booking,
+        invoice: {
+          invoiceNumber: invoiceNumber || null,
+          billedToGroup: billedToGroup ? group._id : null,
+          totalCost: billingDetails.totalCost,
+          roomCost: billingDetails.roomCost,
+          servicesCost: billingDetails.servicesCost,
+          subtotal: billingDetails.subtotal,
+          taxLines: billingDetails.taxLines,
+          taxTotal: billingDetails.taxTotal,
+          totalPaid,
+          balanceDue: billingDetails.totalCost - totalPaid,
+        },
+        earlyDeparture,
+        lateCheckOut,
+        loyaltyPointsEarned: loyaltyEarned?.points || 0,
+      }, 200)
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get front desk overview - today's arrivals, in-house guests, departures and overdue arrivals
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next function
+ */
+export const getFrontDeskOverview = async (req, res, next) => {
+  try {
+    const today = new Date();
+    today.setHours(0, 0, 0, 0);
+    
+    const tomorrow = new Date(today);
+    tomorrow.setDate(tomorrow.getDate() + 1);
+
+    // Today's arrivals: approved bookings with check-in date today
+    const arrivals = await Booking.find({
+      status: 'approved',
+      checkInDate: {
+        $gte: today,
+        $lt: tomorrow,
+      },
+    })
+      .populate('room', 'code type pricePerNight amenities maxGuests')
+      .populate('guest', 'name email')
+      .populate('createdBy', 'name email role')
+      .sort({ checkInDate: 1 });
+
+    // In-house guests: currently checked in
+    const inHouse = await Booking.find({
+      status: 'checked_in',
+    })
+      .populate('room', 'code type pricePerNight amenities maxGuests')
+      .populate('guest', 'name email')
+      .populate('createdBy', 'name email role')
+      .populate('roomMoves.fromRoom roomMoves.toRoom', 'code')
+      .sort({ checkInDate: 1 });
+
+    // Today's departures: checked in guests with check-out date today
+    const departures = await Booking.find({
+      status: 'checked_in',
+      checkOutDate: {
+        $gte: today,
+        $lt: tomorrow,
+      },
+    })
+      .populate('room', 'code type pricePerNight amenities maxGuests')
+      .populate('guest', 'name email')
+      .populate('createdBy', 'name email role')
+      .populate('roomMoves.fromRoom roomMoves.toRoom', 'code')
+      .sort({ checkOutDate: 1 });
+
+    // Overdue arrivals: approved bookings whose check-in date has passed without the guest arriving
+    const overdueArrivals = await Booking.find({
+      status: 'approved',
+      checkInDate: { $lt: today },
+    })
+      .populate('room', 'code type')
+      .populate('guest', 'name email')
+      .sort({ checkInDate: 1 });
+
+    // Early check-ins and late checkouts waiting for a decision
+    const timeRequests = await Booking.find({
+      status: { $in: ['pending', 'approved', 'checked_in'] },
+      $or: [{ 'earlyCheckIn.status': 'requested' }, { 'lateCheckOut.status': 'requested' }],
+    })
+      .populate('room', 'code type')
+      .populate('guest', 'name email')
+      .sort({ checkInDate: 1 });
+
+    res.status(200).json(
+      successResponse('Front desk overview retrieved successfully', {
+        date: today,
+        arrivals: {
+          count: arrivals.length,
+          bookings: arrivals,
+        },
+        inHouse: {
+          count: inHouse.length,
+          bookings: inHouse,
+        },
+        departures: {
+          count: departures.length,
+          bookings: departures,
+        },
+        overdueArrivals: {
+          count: overdueArrivals.length,
+          bookings: overdueArrivals,
+        },
+        timeRequests: {
+          count: timeRequests.length,
+          bookings: timeRequests,
+        },
+      }, 200)
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get the tape chart: every room with the stays and out-of-order blocks on it for a date window (staff/admin)
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next function
+ */
+export const getTapeChart = async (req, res, next) => {
+  try {
+    const { startDate, days = 14 } = req.query;
+
+    const start = toNightDate(startDate || new Date());
+    if (Number.isNaN(start.getTime())) {
+      return res.status(400).json(
+        errorResponse('Invalid start date', null, 400)
+      );
+    }
+
+    const dayCount = Number(days);
+    if (!Number.isInteger(dayCount) || dayCount < 1 || dayCount > MAX_TAPE_CHART_DAYS) {
+      return res.status(400).json(
+        errorResponse(`days must be a whole number between 1 and ${MAX_TAPE_CHART_DAYS}`, null, 400)
+      );
+    }
+
+    const chart = await buildTapeChart(start, dayCount);
+
+    res.status(200).json(
+      successResponse('Tape chart retrieved successfully', chart, 200)
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Load a group booking with its rooms (the rooming list)
+ * @param {string} groupId - GroupBooking ID
+ * @returns {Promise<Object|null>} Object with group and bookings, or null if the group does not exist
+ */
+const findGroupWithBookings = async (groupId) => {
+  if (!mongoose.Types.ObjectId.isValid(groupId)) {
+    return null;
+  }
+
+  const group = await GroupBooking.findById(groupId)
+    .populate('organizer', 'name email')
+    .populate('createdBy', 'name email role');
+  if (!group) {
+    return null;
+  }
+
+  const bookings = await Booking.find({ group: group._id })
+    .populate('room', 'code type pricePerNight amenities maxGuests')
+    .populate('guest', 'name email')
+    .sort({ createdAt: 1, _id: 1 });
+
+  return { group, bookings };
+};
+
+/**
+ * Count a group's rooms by status
+ * @param {Object[]} bookings - Member bookings
+ * @returns {Object} Room count per status plus total
+ */
+const summarizeGroupRooms = (bookings) =>
+  bookings.reduce(
+    (summary, booking) => {
+      summary[booking.status] = (summary[booking.status] || 0) + 1;
+      return summary;
+    },
+    { total: bookings.length }
+  );
+
+/**
+ * Create a group booking: one party reserving a block of rooms under a single organizer.
+ * Every room's nights are held before anything is saved, so the block is booked in full or not at all.
+ * Blocks are booked by staff, who agree deposits and release dates with the organizer, so the
+ * rooms are confirmed at once.
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next function
+ */
+export const createGroupBooking = async (req, res, next) => {
+  try {
+    const {
+      name,
+      guestId,
+      contactName,
+      contactEmail,
+      checkInDate,
+      checkOutDate,
+      billingMode = 'master',
+      notes,
+      rooms,
+    } = req.body;
+    const userId = req.user.id;
+
+    // Validation
+    if (!name || !checkInDate || !checkOutDate || !Array.isArray(rooms) || rooms.length === 0) {
+      return res.status(400).json(
+        errorResponse('Please provide name, checkInDate, checkOutDate, and at least one room', null, 400)
+      );
+    }
+
+    if (rooms.length > MAX_GROUP_ROOMS) {
+      return res.status(400).json(
+        errorResponse(`A group booking can hold at most ${MAX_GROUP_ROOMS} rooms`, null, 400)
+      );
+    }
+
+    if (!BILLING_MODES.includes(billingMode)) {
+      return res.status(400).json(
+        errorResponse(`Billing mode must be one of: ${BILLING_MODES.join(', ')}`, null, 400)
+      );
+    }
+
+    const checkIn = new Date(checkInDate);
+    const checkOut = new Date(checkOutDate);
+
+    if (checkOut <= checkIn) {
+      return res.status(400).json(
+        errorResponse('Check-out date must be after check-in date', null, 400)
+      );
+    }
+
+    const today = new Date();
+    today.setHours(0, 0, 0, 0);
+    if (checkIn < today) {
+      return res.status(400).json(
+        errorResponse('Check-in date cannot be in the past', null, 400)
+      );
+    }
+
+    // Staff book on behalf of an organizer account (themselves when none is given)
+    let organizerId = userId;
+    if (guestId) {
+      const organizer = mongoose.Types.ObjectId.isValid(guestId) ? await User.findById(guestId) : null;
+      if (!organizer) {
+        return res.status(404).json(
+          errorResponse('Organizer not found', null, 404)
+        );
+      }
+      organizerId = organizer._id;
+    }
+
+    // Resolve each line of the block to a specific room or a room type
+    const lines = [];
+    for (const [index, line] of rooms.entries()) {
+      const label = `Room ${index + 1}`;
+      let room = null;
+      let pricingRoom;
+
+      if (line.roomId) {
+        room = mongoose.Types.ObjectId.isValid(line.roomId) ? await Room.findById(line.roomId) : null;
+        if (!room) {
+          return res.status(404).json(
+            errorResponse(`${label}: room not found`, null, 404)
+          );
+        }
+        if (room.status === 'maintenance') {
+          return res.status(400).json(
+            errorResponse(`${label}: room ${room.code} is currently under maintenance`, null, 400)
+          );
+        }
+        pricingRoom = room;
+      } else {
+        if (!ROOM_TYPES.includes(line.roomType)) {
+          return res.status(400).json(
+            errorResponse(`${label}: room type must be one of: ${ROOM_TYPES.join(', ')}`, null, 400)
+          );
+        }
+        pricingRoom = await getRoomTypeBase(line.roomType);
+        if (!pricingRoom) {
+          return res.status(404).json(
+            errorResponse(`${label}: no ${line.roomType} rooms are available`, null, 404)
+          );
+        }
+      }
+
+      if (line.numberOfGuests && line.numberOfGuests > pricingRoom.maxGuests) {
+        return res.status(400).json(
+          errorResponse(`${label}: room can accommodate maximum ${pricingRoom.maxGuests} guests`, null, 400)
+        );
+      }
+
+      lines.push({
+        bookingId: new mongoose.Types.ObjectId(),
+        room,
+        pricingRoom,
+        guestName: line.guestName?.trim() || null,
+      });
+    }
+
+    // Hold every room's nights; give all of them back if any room cannot be held
+    const releaseAll = () => Promise.all(lines.map((line) => releaseStay(line.bookingId)));
+    for (const [index, line] of lines.entries()) {
+      const reserved = await reserveStay(line.bookingId, {
+        roomType: line.pricingRoom.type,
+        roomId: line.room?._id,
+        checkInDate: checkIn,
+        checkOutDate: checkOut,
+      });
+      if (!reserved) {
+        await releaseAll();
+        return res.status(400).json(
+          errorResponse(
+            line.room
+              ? `Room ${index + 1}: room ${line.room.code} is not available for the selected dates`
+              : `Room ${index + 1}: not enough ${line.pricingRoom.type} rooms are available for the selected dates`,
+            null,
+            400
+          )
+        );
+      }
+    }
+
+    const oneDay = 24 * 60 * 60 * 1000;
+    const totalNights = Math.ceil((checkOut - checkIn) / oneDay);
+
+    // Create the group and its rooms, giving the nights back if they cannot be saved
+    const groupId = new mongoose.Types.ObjectId();
+    try {
+      const pricing = await Promise.all(
+        lines.map((line) => priceStay(line.pricingRoom, checkIn, checkOut))
+      );
+      const policies = await Promise.all(
+        pricing.map((price) => getCancellationPolicySnapshot(price.cancellationPolicyId))
+      );
+
+      await GroupBooking.create({
+        _id: groupId,
+        name,
+        organizer: organizerId,
+        contactName: contactName || null,
+        contactEmail: contactEmail || null,
+        checkInDate: checkIn,
+        checkOutDate: checkOut,
+        status: 'approved',
+        billingMode,
+        notes: notes || null,
+        createdBy: userId,
+      });
+
+      await Booking.insertMany(
+        lines.map((line, index) => ({
+          _id: line.bookingId,
+          guest: organizerId,
+          group: groupId,
+          guestName: line.guestName,
+          roomType: line.pricingRoom.type,
+          room: line.room?._id || null,
+          roomAssignedAt: line.room ? new Date() : null,
+          checkInDate: checkIn,
+          checkOutDate: checkOut,
+          totalNights,
+          totalAmount: pricing[index].totalAmount,
+          nightlyRates: pricing[index].nightlyRates,
+          cancellationPolicy: policies[index],
+          status: 'approved',
+          createdBy: userId,
+        }))
+      );
+    } catch (createError) {
+      await Booking.deleteMany({ group: groupId });
+      await GroupBooking.deleteOne({ _id: groupId });
+      await releaseAll();
+      throw createError;
+    }
+
+    const { group, bookings } = await findGroupWithBookings(groupId);
+
+    res.status(201).json(
+      successResponse('Group booking created successfully', {
+        group,
+        bookings,
+        summary: summarizeGroupRooms(bookings),
+      }, 201)
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * List group bookings (staff/admin see all, customers see the groups they organize)
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next function
+ */
+export const listGroupBookings = async (req, res, next) => {
+  try {
+    const { status, page = 1, limit = 10 } = req.query;
+
+    const filter = {};
+    if (req.user.role === 'customer') {
+      filter.organizer = req.user.id;
+    }
+    if (status) {
+      filter.status = status;
+    }
+
+    const pageNum = parseInt(page, 10);
+    const limitNum = parseInt(limit, 10);
+    const skip = (pageNum - 1) * limitNum;
+
+    const groups = await GroupBooking.find(filter)
+      .populate('organizer', 'name email')
+      .sort({ checkInDate: -1 })
+      .skip(skip)
+      .limit(limitNum);
+
+    const total = await GroupBooking.countDocuments(filter);
+
+    // Room counts per group for the list view
+    const roomCounts = await Booking.aggregate([
+      { $match: { group: { $in: groups.map((group) => group._id) } } },
+      { $group: { _id: '$group', total: { $sum: 1 }, totalAmount: { $sum: '$totalAmount' } } },
+    ]);
+    const countsByGroup = new Map(roomCounts.map((count) => [count._id.toString(), count]));
+
+    res.status(200).json(
+      successResponse('Group bookings retrieved successfully', {
+        groups: groups.map((group) => ({
+          ...group.toObject(),
+          roomCount: countsByGroup.get(group._id.toString())?.total || 0,
+          totalAmount: countsByGroup.get(group._id.toString())?.totalAmount || 0,
+        })),
+        pagination: {
+          page: pageNum,
+          limit: limitNum,
+          total,
+          pages: Math.ceil(total / limitNum),
+        },
+      }, 200)
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get a group booking with its rooming list
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next function
+ */
+export const getGroupBooking = async (req, res, next) => {
+  try {
+    const found = await findGroupWithBookings(req.params.groupId);
+    if (!found) {
+      return res.status(404).json(
+        errorResponse('Group booking not found', null, 404)
+      );
+    }
+
+    const { group, bookings } = found;
+    if (req.user.role === 'customer' && group.organizer._id.toString() !== req.user.id) {
+      return res.status(403).json(
+        errorResponse('You can only view your own group bookings', null, 403)
+      );
+    }
+
+    res.status(200).json(
+      successResponse('Group booking retrieved successfully', {
+        group,
+        bookings,
+        summary: summarizeGroupRooms(bookings),
+      }, 200)
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Update a group's details and billing mode (staff/admin only)
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next function
+ */
+export const updateGroupBooking = async (req, res, next) => {
+  try {
+    const { name, contactName, contactEmail, billingMode, notes } = req.body;
+
+    const group = mongoose.Types.ObjectId.isValid(req.params.groupId)
+      ? await GroupBooking.findById(req.params.groupId)
+      : null;
+    if (!group) {
+      return res.status(404).json(
+        errorResponse('Group booking not found', null, 404)
+      );
+    }
+
+    if (billingMode !== undefined && !BILLING_MODES.includes(billingMode)) {
+      return res.status(400).json(
+        errorResponse(`Billing mode must be one of: ${BILLING_MODES.join(', ')}`, null, 400)
+      );
+    }
+
+    if (name !== undefined) group.name = name;
+    if (contactName !== undefined) group.contactName = contactName || null;
+    if (contactEmail !== undefined) group.contactEmail = contactEmail || null;
+    if (billingMode !== undefined) group.billingMode = billingMode;
+    if (notes !== undefined) group.notes = notes || null;
+    await group.save();
+
+    const { bookings } = await findGroupWithBookings(group._id);
+    await group.populate('organizer', 'name email');
+
+    res.status(200).json(
+      successResponse('Group booking updated successfully', {
+        group,
+        bookings,
+        summary: summarizeGroupRooms(bookings),
+      }, 200)
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Update the rooming list: the name of the guest staying in each of the group's rooms
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next function
+ */
+export const updateRoomingList = async (req, res, next) => {
+  try {
+    const { entries } = req.body;
+
+    if (!Array.isArray(entries) || entries.length === 0) {
+      return res.status(400).json(
+        errorResponse('Please provide entries with bookingId and guestName', null, 400)
+      );
+    }
+
+    const found = await findGroupWithBookings(req.params.groupId);
+    if (!found) {
+      return res.status(404).json(
+        errorResponse('Group booking not found', null, 404)
+      );
+    }
+
+    const { group } = found;
+    if (req.user.role === 'customer' && group.organizer._id.toString() !== req.user.id) {
+      return res.status(403).json(
+        errorResponse('You can only update your own group bookings', null, 403)
+      );
+    }
+
+    // Every entry must point at one of the group's rooms that is still active
+    const bookingsById = new Map(found.bookings.map((booking) => [booking._id.toString(), booking]));
+    for (const entry of entries) {
+      const booking = bookingsById.get(String(entry.bookingId));
+      if (!booking) {
+        return res.status(400).json(
+          errorResponse(`Booking ${entry.bookingId} is not part of this group`, null, 400)
+        );
+      }
+      if (['checked_out', 'cancelled'].includes(booking.status)) {
+        return res.status(400).json(
+          errorResponse(`Cannot rename the guest of a booking with status: ${booking.status}`, null, 400)
+        );
+      }
+    }
+
+    await Booking.bulkWrite(
+      entries.map((entry) => ({
+        updateOne: {
+          filter: { _id: entry.bookingId, group: group._id },
+          update: { guestName: entry.guestName?.trim() || null, updatedAt: Date.now() },
+        },
+      }))
+    );
+
+    const { bookings } = await findGroupWithBookings(group._id);
+
+    res.status(200).json(
+      successResponse('Rooming list updated successfully', {
+        group,
+        bookings,
+        summary: summarizeGroupRooms(bookings),
+      }, 200)
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Approve all pending rooms of a group booking (staff/admin only).
+ * The block is approved in full or not at all.
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next function
+ */
+export const approveGroupBooking = async (req, res, next) => {
+  try {
+    const found = await findGroupWithBookings(req.params.groupId);
+    if (!found) {
+      return res.status(404).json(
+        errorResponse('Group booking not found', null, 404)
+      );
+    }
+
+    const { group } = found;
+    if (group.status !== 'pending') {
+      return res.status(400).json(
+        errorResponse(`Cannot approve group booking with status: ${group.status}`, null, 400)
+      );
+    }
+
+    const pending = found.bookings.filter((booking) => booking.status === 'pending');
+
+    // Make sure every room still holds its nights before approving any of them
+    const unavailable = [];
+    for (const booking of pending) {
+      const reserved = await reserveStay(booking._id, {
+        roomType: booking.roomType || booking.room?.type,
+        roomId: booking.room?._id,
+        checkInDate: booking.checkInDate,
+        checkOutDate: booking.checkOutDate,
+      });
+      if (!reserved) {
+        unavailable.push({ bookingId: booking._id, guestName: booking.guestName });
+      }
+    }
+
+    if (unavailable.length > 0) {
+      return res.status(400).json(
+        errorResponse('Some rooms are no longer available for the selected dates', { unavailable }, 400)
+      );
+    }
+
+    await Booking.updateMany(
+      { _id: { $in: pending.map((booking) => booking._id) }, status: 'pending' },
+      { status: 'approved', updatedAt: Date.now() }
+    );
+    group.status = 'approved';
+    await group.save();
+
+    const { bookings } = await findGroupWithBookings(group._id);
+
+    res.status(200).json(
+      successResponse('Group booking approved successfully', {
+        group,
+        bookings,
+        summary: summarizeGroupRooms(bookings),
+      }, 200)
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Cancel a group booking and every room in it
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next function
+ */
+export const cancelGroupBooking = async (req, res, next) => {
+  try {
+    const found = await findGroupWithBookings(req.params.groupId);
+    if (!found) {
+      return res.status(404).json(
+        errorResponse('Group booking not found', null, 404)
+      );
+    }
+
+    const { group } = found;
+    if (req.user.role === 'customer' && group.organizer._id.toString() !== req.user.id) {
+      return res.status(403).json(
+        errorResponse('You can only cancel your own group bookings', null, 403)
+      );
+    }
+
+    if (group.status === 'cancelled') {
+      return res.status(400).json(
+        errorResponse('Group booking is already cancelled', null, 400)
+      );
+    }
+
+    // Rooms already in use are checked out one by one, not cancelled
+    const arrived = found.bookings.filter((booking) =>
+      ['checked_in', 'checked_out'].includes(booking.status)
+    );
+    if (arrived.length > 0) {
+      return res.status(400).json(
+        errorResponse('Cannot cancel a group with rooms already checked in; cancel the remaining rooms individually', null, 400)
+      );
+    }
+
+    // Each room is cancelled under its own policy
+    const { reason, waivePenalty } = req.body || {};
+    const active = found.bookings.filter((booking) => booking.status !== 'cancelled');
+    const cancellations = [];
+    const freed = [];
+    for (const booking of active) {
+      const cancellation = await applyCancellation(booking, {
+        cancelledBy: req.user.id,
+        reason,
+        waivePenalty: ['staff', 'admin'].includes(req.user.role) && Boolean(waivePenalty),
+        fromStatuses: ['pending', 'approved'],
+      });
+      // A room cancelled or checked in meanwhile is left as it is
+      if (!cancellation) continue;
+      await releaseStay(booking._id);
+      cancellations.push({ bookingId: booking._id, ...cancellation });
+      freed.push(booking);
+    }
+
+    group.status = 'cancelled';
+    await group.save();
+
+    // Offer the freed nights to guests waiting for them
+    try {
+      for (const booking of freed) {
+        await offerFreedRooms(booking);
+      }
+    } catch (waitlistError) {
+      console.error('Failed to offer the freed rooms to the waitlist:', waitlistError);
+    }
+
+    const { bookings } = await findGroupWithBookings(group._id);
+
+    res.status(200).json(
+      successResponse('Group booking cancelled successfully', {
+        group,
+        bookings,
+        summary: summarizeGroupRooms(bookings),
+        cancellations,
+      }, 200)
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Check in the approved rooms of a group booking (staff/admin only).
+ * Rooms are assigned as in single check-in; rooms that cannot be checked in are reported, not fatal.
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next function
+ */
+export const checkInGroupBooking = async (req, res, next) => {
+  try {
+    // Optional per-room choices: [{ bookingId, roomId }]; omitted rooms use the suggested room
+    const { rooms = [], allowUncleanRoom = false, approveEarlyCheckIn = false } = req.body || {};
+
+    const found = await findGroupWithBookings(req.params.groupId);
+    if (!found) {
+      return res.status(404).json(
+        errorResponse('Group booking not found', null, 404)
+      );
+    }
+
+    const { group } = found;
+    if (!['approved', 'checked_in'].includes(group.status)) {
+      return res.status(400).json(
+        errorResponse(`Cannot check in group booking with status: ${group.status}. Group must be approved.`, null, 400)
+      );
+    }
+
+    const roomChoices = new Map(
+      (Array.isArray(rooms) ? rooms : []).map((choice) => [String(choice.bookingId), choice.roomId])
+    );
+    const arriving = found.bookings.filter((booking) => booking.status === 'approved');
+    if (arriving.length === 0) {
+      return res.status(400).json(
+        errorResponse('No approved rooms left to check in', null, 400)
+      );
+    }
+
+    // Check rooms in one at a time so auto-assignment never hands the same room out twice
+    const checkedIn = [];
+    const failed = [];
+    for (const booking of arriving) {
+      const checkInError = await checkInBooking(booking, roomChoices.get(booking._id.toString()), {
+        allowUncleanRoom: allowUncleanRoom === true,
+        approveEarlyCheckIn: approveEarlyCheckIn === true,
+        checkedInBy: req.user.id,
+      });
+      if (checkInError) {
+        failed.push({
+          bookingId: booking._id,
+          guestName: booking.guestName,
+          message: checkInError.message,
+          ...(checkInError.housekeepingStatus && {
+            room: checkInError.room,
+            housekeepingStatus: checkInError.housekeepingStatus,
+          }),
+          ...(checkInError.earlyCheckIn && { earlyCheckIn: checkInError.earlyCheckIn }),
+        });
+      } else {
+        checkedIn.push(booking._id);
+      }
+    }
+
+    if (checkedIn.length === 0) {
+      return res.status(400).json(
+        errorResponse('No rooms could be checked in', { failed }, 400)
+      );
+    }
+
+    group.status = 'checked_in';
+    await group.save();
+
+    const { bookings } = await findGroupWithBookings(group._id);
+
+    res.status(200).json(
+      successResponse(`${checkedIn.length} room(s) checked in successfully`, {
+        group,
+        bookings,
+        summary: summarizeGroupRooms(bookings),
+        checkedIn,
+        failed,
+      }, 200)
+    );
+  } catch (error) {
+    next(error);
+  }
+};
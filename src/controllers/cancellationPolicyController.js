@@ -0,0 +1,157 @@
+/**
+ * @fileoverview Cancellation policy controller
+ * @module controllers/cancellationPolicyController
+ */
+
+import CancellationPolicy from '../models/CancellationPolicy.js';
+import RatePlan from '../models/RatePlan.js';
+import { successResponse, errorResponse } from '../utils/ApiResponse.js';
+
+const POLICY_FIELDS = [
+  'name',
+  'description',
+  'freeCancellationHours',
+  'penaltyType',
+  'penaltyValue',
+  'noShowPenaltyType',
+  'noShowPenaltyValue',
+  'isNonRefundable',
+  'isDefault',
+  'isActive',
+];
+
+/**
+ * Pick the editable policy fields from a request body
+ * @param {Object} body - Request body
+ * @returns {Object} Policy fields
+ */
+const pickPolicyFields = (body) => {
+  const fields = {};
+  POLICY_FIELDS.forEach((field) => {
+    if (body[field] !== undefined) {
+      fields[field] = body[field];
+    }
+  });
+  return fields;
+};
+
+/**
+ * Keep a single default policy: clear the flag on every other policy
+ * @param {Object} policy - Policy that was just saved
+ */
+const clearOtherDefaults = async (policy) => {
+  if (policy.isDefault) {
+    await CancellationPolicy.updateMany(
+      { _id: { $ne: policy._id }, isDefault: true },
+      { isDefault: false, updatedAt: Date.now() }
+    );
+  }
+};
+
+/**
+ * List cancellation policies
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next function
+ */
+export const listCancellationPolicies = async (req, res, next) => {
+  try {
+    const filter = {};
+    // Guests only see the policies that can still be booked
+    if (req.user.role === 'customer') {
+      filter.isActive = true;
+    } else if (req.query.isActive !== undefined) {
+      filter.isActive = req.query.isActive === 'true';
+    }
+
+    const policies = await CancellationPolicy.find(filter).sort({ isDefault: -1, name: 1 });
+
+    res.status(200).json(
+      successResponse('Cancellation policies retrieved successfully', { policies }, 200)
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Create a cancellation policy
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next function
+ */
+export const createCancellationPolicy = async (req, res, next) => {
+  try {
+    const fields = pickPolicyFields(req.body);
+
+    if (!fields.name) {
+      return res.status(400).json(
+        errorResponse('Please provide a policy name', null, 400)
+      );
+    }
+
+    const policy = await CancellationPolicy.create(fields);
+    await clearOtherDefaults(policy);
+
+    res.status(201).json(
+      successResponse('Cancellation policy created successfully', { policy }, 201)
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Update a cancellation policy. Existing bookings keep the terms they were booked with.
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next function
+ */
+export const updateCancellationPolicy = async (req, res, next) => {
+  try {
+    const policy = await CancellationPolicy.findById(req.params.id);
+    if (!policy) {
+      return res.status(404).json(
+        errorResponse('Cancellation policy not found', null, 404)
+      );
+    }
+
+    Object.assign(policy, pickPolicyFields(req.body));
+    await policy.save();
+    await clearOtherDefaults(policy);
+
+    res.status(200).json(
+      successResponse('Cancellation policy updated successfully', { policy }, 200)
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Delete a cancellation policy (rate plans using it fall back to the default policy)
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next function
+ */
+export const deleteCancellationPolicy = async (req, res, next) => {
+  try {
+    const policy = await CancellationPolicy.findByIdAndDelete(req.params.id);
+    if (!policy) {
+      return res.status(404).json(
+        errorResponse('Cancellation policy not found', null, 404)
+      );
+    }
+
+    await RatePlan.updateMany(
+      { cancellationPolicy: policy._id },
+      { cancellationPolicy: null, updatedAt: Date.now() }
+    );
+
+    res.status(200).json(
+      successResponse('Cancellation policy deleted successfully', null, 200)
+    );
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,393 @@
+/**
+ * @fileoverview Corporate account controller: company accounts, their city ledger, statements and aging
+ * @module controllers/corporateAccountController
+ */
+
+import mongoose from 'mongoose';
+import CorporateAccount from '../models/CorporateAccount.js';
+import CityLedgerEntry from '../models/CityLedgerEntry.js';
+import { successResponse, errorResponse } from '../utils/ApiResponse.js';
+import {
+  postLedgerEntry,
+  buildStatement,
+  buildAgingReport,
+  computeAging,
+  signedLedgerAmount,
+} from '../services/cityLedgerService.js';
+import { getHotelBranding } from '../services/invoiceService.js';
+import { roundMoney } from '../services/taxService.js';
+import { renderStatementPdf } from '../utils/invoicePdf.js';
+
+const CORPORATE_ACCOUNT_FIELDS = [
+  'name',
+  'billingContact',
+  'address',
+  'negotiatedRates',
+  'discountPercent',
+  'creditLimit',
+  'paymentTermsDays',
+  'isActive',
+  'notes',
+];
+
+const LEDGER_ENTRY_TYPES = ['payment', 'adjustment'];
+const LEDGER_PAYMENT_METHODS = ['cash', 'card', 'bkash', 'rocket', 'nagad', 'bank', 'cheque'];
+
+/**
+ * Pick the editable corporate account fields from a request body
+ * @param {Object} body - Request body
+ * @returns {Object} Corporate account fields
+ */
+const pickAccountFields = (body) => {
+  const fields = {};
+  CORPORATE_ACCOUNT_FIELDS.forEach((field) => {
+    if (body[field] !== undefined) {
+      fields[field] = body[field] === '' ? null : body[field];
+    }
+  });
+  return fields;
+};
+
+/**
+ * Parse a statement month ("YYYY-MM"), defaulting to the current month
+ * @param {string} [value] - Month from the query string
+ * @returns {Object|null} Object with year and month (1-12), or null if invalid
+ */
+const parseStatementMonth = (value) => {
+  if (!value) {
+    const now = new Date();
+    return { year: now.getFullYear(), month: now.getMonth() + 1 };
+  }
+  const match = /^(\d{4})-(\d{2})$/.exec(value);
+  if (!match || Number(match[2]) < 1 || Number(match[2]) > 12) {
+    return null;
+  }
+  return { year: Number(match[1]), month: Number(match[2]) };
+};
+
+/**
+ * Load a corporate account by the :id route parameter
+ * @param {import('express').Request} req - Express request object
+ * @returns {Promise<Object|null>} CorporateAccount document, or null if not found
+ */
+const loadAccount = (req) =>
+  mongoose.Types.ObjectId.isValid(req.params.id) ? CorporateAccount.findById(req.params.id) : null;
+
+/**
+ * Send a PDF file as a download
+ * @param {import('express').Response} res - Express response object
+ * @param {Buffer} pdf - PDF file contents
+ * @param {string} filename - Download file name
+ */
+const sendPdf = (res, pdf, filename) => {
+  res.set({
+    'Content-Type': 'application/pdf',
+    'Content-Disposition': `attachment; filename="${filename}"`,
+    'Content-Length': pdf.length,
+  });
+  res.status(200).send(pdf);
+};
+
+/**
+ * List corporate accounts
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next function
+ */
+export const listCorporateAccounts = async (req, res, next) => {
+  try {
+    const { search, isActive } = req.query;
+
+    const filter = {};
+    if (isActive !== undefined) {
+      filter.isActive = isActive === 'true';
+    }
+    if (search) {
+      filter.name = { $regex: String(search).replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), $options: 'i' };
+    }
+
+    const accounts = await CorporateAccount.find(filter).sort({ name: 1 });
+
+    res.status(200).json(
+      successResponse('Corporate accounts retrieved successfully', { accounts }, 200)
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get a corporate account with its current aging
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next function
+ */
+export const getCorporateAccount = async (req, res, next) => {
+  try {
+    const account = await loadAccount(req);
+    if (!account) {
+      return res.status(404).json(errorResponse('Corporate account not found', null, 404));
+    }
+
+    const entries = await CityLedgerEntry.find({ account: account._id }).sort({ postedAt: 1 });
+
+    res.status(200).json(
+      successResponse('Corporate account retrieved successfully', {
+        account,
+        availableCredit: roundMoney(Math.max(0, account.creditLimit - account.balance)),
+        aging: computeAging(entries, new Date()),
+      }, 200)
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Create a corporate account
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next function
+ */
+export const createCorporateAccount = async (req, res, next) => {
+  try {
+    const fields = pickAccountFields(req.body);
+
+    if (!fields.name) {
+      return res.status(400).json(
+        errorResponse('Please provide a company name', null, 400)
+      );
+    }
+
+    const account = await CorporateAccount.create({ ...fields, createdBy: req.user.id });
+
+    res.status(201).json(
+      successResponse('Corporate account created successfully', { account }, 201)
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Update a corporate account. The balance only moves through the ledger; lowering the
+ * credit limit below it stops further transfers until the company pays.
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next function
+ */
+export const updateCorporateAccount = async (req, res, next) => {
+  try {
+    const account = await loadAccount(req);
+    if (!account) {
+      return res.status(404).json(errorResponse('Corporate account not found', null, 404));
+    }
+
+    Object.assign(account, pickAccountFields(req.body));
+    await account.save();
+
+    res.status(200).json(
+      successResponse('Corporate account updated successfully', { account }, 200)
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get a corporate account's city ledger, newest first, with a running balance
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next function
+ */
+export const getCityLedger = async (req, res, next) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+
+    const account = await loadAccount(req);
+    if (!account) {
+      return res.status(404).json(errorResponse('Corporate account not found', null, 404));
+    }
+
+    const entries = await CityLedgerEntry.find({ account: account._id })
+      .populate('postedBy', 'name')
+      .populate('booking', 'guestName checkInDate checkOutDate')
+      .sort({ postedAt: 1, _id: 1 });
+
+    // The running balance needs every entry; pages are then cut newest first
+    let balance = 0;
+    const ledger = entries
+      .map((entry) => {
+        balance = roundMoney(balance + signedLedgerAmount(entry));
+        return { ...entry.toObject(), balance };
+      })
+      .reverse();
+
+    const pageNumber = Math.max(1, parseInt(page, 10) || 1);
+    const pageSize = Math.min(100, Math.max(1, parseInt(limit, 10) || 20));
+    const skip = (pageNumber - 1) * pageSize;
+
+    res.status(200).json(
+      successResponse('City ledger retrieved successfully', {
+        entries: ledger.slice(skip, skip + pageSize),
+        balance: roundMoney(account.balance),
+        pagination: {
+          total: ledger.length,
+          page: pageNumber,
+          limit: pageSize,
+          pages: Math.ceil(ledger.length / pageSize),
+        },
+      }, 200)
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Post a company payment or an adjustment to a corporate account's city ledger
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next function
+ */
+export const postCityLedgerEntry = async (req, res, next) => {
+  try {
+    const { type, amount, description, paymentMethod, reference } = req.body;
+
+    if (!LEDGER_ENTRY_TYPES.includes(type)) {
+      return res.status(400).json(
+        errorResponse(`Entry type must be one of: ${LEDGER_ENTRY_TYPES.join(', ')}`, null, 400)
+      );
+    }
+
+    if (typeof amount !== 'number' || !Number.isFinite(amount) || amount === 0) {
+      return res.status(400).json(errorResponse('Amount must be a non-zero number', null, 400));
+    }
+
+    // Only adjustments can go either way
+    if (type === 'payment' && amount < 0) {
+      return res.status(400).json(errorResponse('Amount must be greater than 0', null, 400));
+    }
+
+    if (type === 'payment' && !LEDGER_PAYMENT_METHODS.includes(paymentMethod)) {
+      return res.status(400).json(
+        errorResponse(`Invalid payment method. Must be one of: ${LEDGER_PAYMENT_METHODS.join(', ')}`, null, 400)
+      );
+    }
+
+    if (type === 'adjustment' && (!description || typeof description !== 'string' || !description.trim())) {
+      return res.status(400).json(errorResponse('Please provide a description', null, 400));
+    }
+
+    const account = await loadAccount(req);
+    if (!account) {
+      return res.status(404).json(errorResponse('Corporate account not found', null, 404));
+    }
+
+    const result = await postLedgerEntry(
+      account,
+      {
+        type,
+        amount,
+        description: description?.trim() || `Payment received (${paymentMethod})`,
+        paymentMethod,
+        reference: typeof reference === 'string' ? reference.trim() : null,
+      },
+      req.user.id
+    );
+
+    if (!result.success) {
+      return res.status(400).json(errorResponse(result.message, null, 400));
+    }
+
+    res.status(201).json(
+      successResponse(result.message, { entry: result.entry, account: result.account }, 201)
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get a corporate account's statement for a month (query: month=YYYY-MM, defaults to this month)
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next function
+ */
+export const getStatement = async (req, res, next) => {
+  try {
+    const period = parseStatementMonth(req.query.month);
+    if (!period) {
+      return res.status(400).json(errorResponse('Month must be in YYYY-MM format', null, 400));
+    }
+
+    const account = await loadAccount(req);
+    if (!account) {
+      return res.status(404).json(errorResponse('Corporate account not found', null, 404));
+    }
+
+    const statement = await buildStatement(account, period.year, period.month);
+
+    res.status(200).json(
+      successResponse('Statement generated successfully', { statement }, 200)
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Download a corporate account's statement for a month as a PDF
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next function
+ */
+export const downloadStatementPdf = async (req, res, next) => {
+  try {
+    const period = parseStatementMonth(req.query.month);
+    if (!period) {
+      return res.status(400).json(errorResponse('Month must be in YYYY-MM format', null, 400));
+    }
+
+    const account = await loadAccount(req);
+    if (!account) {
+      return res.status(404).json(errorResponse('Corporate account not found', null, 404));
+    }
+
+    const statement = await buildStatement(account, period.year, period.month);
+    const pdf = await renderStatementPdf(statement, await getHotelBranding());
+    const slug = account.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+
+    sendPdf(res, pdf, `statement-${slug}-${period.year}-${String(period.month).padStart(2, '0')}.pdf`);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get the accounts receivable aging report (query: asOf, defaults to now)
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next function
+ */
+export const getAgingReport = async (req, res, next) => {
+  try {
+    const asOf = req.query.asOf ? new Date(req.query.asOf) : new Date();
+    if (Number.isNaN(asOf.getTime())) {
+      return res.status(400).json(errorResponse('Invalid asOf date', null, 400));
+    }
+
+    // A date on its own ages everything posted by the end of that day
+    if (req.query.asOf && /^\d{4}-\d{2}-\d{2}$/.test(req.query.asOf)) {
+      asOf.setUTCHours(23, 59, 59, 999);
+    }
+
+    const report = await buildAgingReport(asOf);
+
+    res.status(200).json(
+      successResponse('Aging report generated successfully', { report }, 200)
+    );
+  } catch (error) {
+    next(error);
+  }
+};
@@ -4,7 +4,10 @@
  */
 
 import Booking from '../models/Booking.js';
+import User from '../models/User.js';
+import LoyaltyTransaction from '../models/LoyaltyTransaction.js';
 import { successResponse, errorResponse } from '../utils/ApiResponse.js';
+import { getLoyaltySummary } from '../services/loyaltyService.js';
 
 /**
  * Get customer bookings summary
@@ -49,3 +52,47 @@ export const getCustomerBookingsSummary = async (req, res, next) => {
   }
 };
 
+/**
+ * Get the customer's loyalty points, tier and points ledger (newest first)
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next function
+ */
+export const getCustomerLoyalty = async (req, res, next) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+
+    const user = await User.findById(req.user.id);
+    if (!user) {
+      return res.status(404).json(
+        errorResponse('User not found', null, 404)
+      );
+    }
+
+    const pageNumber = Math.max(1, parseInt(page, 10) || 1);
+    const pageSize = Math.min(100, Math.max(1, parseInt(limit, 10) || 20));
+
+    const [transactions, total] = await Promise.all([
+      LoyaltyTransaction.find({ user: user._id })
+        .sort({ createdAt: -1, _id: -1 })
+        .skip((pageNumber - 1) * pageSize)
+        .limit(pageSize),
+      LoyaltyTransaction.countDocuments({ user: user._id }),
+    ]);
+
+    res.status(200).json(
+      successResponse('Loyalty account retrieved successfully', {
+        loyalty: await getLoyaltySummary(user),
+        transactions,
+        pagination: {
+          total,
+          page: pageNumber,
+          limit: pageSize,
+          pages: Math.ceil(total / pageSize),
+        },
+      }, 200)
+    );
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,340 @@
+/**
+ * @fileoverview Housekeeping controller: room cleaning board, daily tasks and their assignment
+ * @module controllers/housekeepingController
+ */
+
+import mongoose from 'mongoose';
+import Room from '../models/Room.js';
+import Booking from '../models/Booking.js';
+import User from '../models/User.js';
+import HousekeepingTask from '../models/HousekeepingTask.js';
+import { successResponse, errorResponse } from '../utils/ApiResponse.js';
+import {
+  HOUSEKEEPING_STATUSES,
+  TASK_STATUSES,
+  toServiceDate,
+  setRoomHousekeepingStatus,
+  generateHousekeepingTasks,
+  advanceTask,
+} from '../services/housekeepingService.js';
+
+const ONE_DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Parse a housekeeping day from the query string or body ("YYYY-MM-DD"), defaulting to today
+ * @param {string} [value] - Date value
+ * @returns {Date|null} Start of the day, or null if invalid
+ */
+const parseServiceDate = (value) => {
+  if (!value) {
+    return toServiceDate();
+  }
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : toServiceDate(date);
+};
+
+/**
+ * Load a housekeeping task by the :id route parameter
+ * @param {import('express').Request} req - Express request object
+ * @returns {Promise<Object|null>} HousekeepingTask document, or null if not found
+ */
+const loadTask = (req) =>
+  mongoose.Types.ObjectId.isValid(req.params.id) ? HousekeepingTask.findById(req.params.id) : null;
+
+/**
+ * Populate a task for the response
+ * @param {Object} task - HousekeepingTask document
+ * @returns {Promise<Object>} Task with room, housekeeper and inspector populated
+ */
+const populateTask = (task) =>
+  task.populate([
+    { path: 'room', select: 'code type housekeepingStatus' },
+    { path: 'assignedTo', select: 'name email' },
+    { path: 'inspectedBy', select: 'name email' },
+  ]);
+
+/**
+ * Get the housekeeping board: every room's cleaning state with its task, guest and arrival for the day
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next function
+ */
+export const getHousekeepingBoard = async (req, res, next) => {
+  try {
+    const date = parseServiceDate(req.query.date);
+    if (!date) {
+      return res.status(400).json(
+        errorResponse('Invalid date', null, 400)
+      );
+    }
+    const nextDay = new Date(date.getTime() + ONE_DAY);
+
+    const rooms = await Room.find().select('code type status housekeepingStatus housekeepingUpdatedAt').sort({ code: 1 });
+    const tasks = await HousekeepingTask.find({ date }).populate('assignedTo', 'name email');
+    const inHouse = await Booking.find({ status: 'checked_in', room: { $ne: null } })
+      .select('room guest guestName checkOutDate')
+      .populate('guest', 'name');
+    const arrivals = await Booking.find({
+      status: 'approved',
+      room: { $ne: null },
+      checkInDate: { $gte: date, $lt: nextDay },
+    })
+      .select('room guest guestName checkInDate')
+      .populate('guest', 'name');
+
+    const taskByRoom = new Map(tasks.map((task) => [task.room.toString(), task]));
+    const stayByRoom = new Map(inHouse.map((booking) => [booking.room.toString(), booking]));
+    const arrivalByRoom = new Map(arrivals.map((booking) => [booking.room.toString(), booking]));
+
+    const board = rooms.map((room) => {
+      const id = room._id.toString();
+      return {
+        room,
+        task: taskByRoom.get(id) || null,
+        occupiedBy: stayByRoom.get(id) || null,
+        arrival: arrivalByRoom.get(id) || null,
+      };
+    });
+
+    const counts = HOUSEKEEPING_STATUSES.reduce((totals, status) => ({ ...totals, [status]: 0 }), {});
+    rooms.forEach((room) => {
+      counts[room.housekeepingStatus] = (counts[room.housekeepingStatus] || 0) + 1;
+    });
+
+    res.status(200).json(
+      successResponse('Housekeeping board retrieved successfully', { date, board, counts }, 200)
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * List a day's housekeeping tasks
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next function
+ */
+export const listHousekeepingTasks = async (req, res, next) => {
+  try {
+    const { assignedTo, status, mine } = req.query;
+
+    const date = parseServiceDate(req.query.date);
+    if (!date) {
+      return res.status(400).json(
+        errorResponse('Invalid date', null, 400)
+      );
+    }
+
+    const filter = { date };
+    if (mine === 'true') {
+      filter.assignedTo = req.user.id;
+    } else if (assignedTo) {
+      filter.assignedTo = assignedTo === 'none' ? null : assignedTo;
+    }
+    if (status) {
+      if (!TASK_STATUSES.includes(status)) {
+        return res.status(400).json(
+          errorResponse(`Status must be one of: ${TASK_STATUSES.join(', ')}`, null, 400)
+        );
+      }
+      filter.status = status;
+    }
+
+    const tasks = await HousekeepingTask.find(filter)
+      .populate('room', 'code type housekeepingStatus')
+      .populate('assignedTo', 'name email')
+      .populate('inspectedBy', 'name email')
+      .sort({ type: 1, createdAt: 1 });
+
+    res.status(200).json(
+      successResponse('Housekeeping tasks retrieved successfully', { date, tasks }, 200)
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * List the staff members tasks can be assigned to
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next function
+ */
+export const listHousekeepers = async (req, res, next) => {
+  try {
+    const housekeepers = await User.find({ role: 'staff', isActive: true })
+      .select('name email')
+      .sort({ name: 1 });
+
+    res.status(200).json(
+      successResponse('Housekeepers retrieved successfully', { housekeepers }, 200)
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Generate a day's tasks from departures and stayovers, optionally sharing them between housekeepers
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next function
+ */
+export const generateTasks = async (req, res, next) => {
+  try {
+    const { housekeeperIds = [] } = req.body || {};
+
+    const date = parseServiceDate(req.body?.date);
+    if (!date) {
+      return res.status(400).json(
+        errorResponse('Invalid date', null, 400)
+      );
+    }
+
+    if (!Array.isArray(housekeeperIds) || housekeeperIds.some((id) => !mongoose.Types.ObjectId.isValid(id))) {
+      return res.status(400).json(
+        errorResponse('housekeeperIds must be a list of user IDs', null, 400)
+      );
+    }
+
+    const onShift = [...new Set(housekeeperIds.map(String))];
+    const housekeepers = await User.countDocuments({
+      _id: { $in: onShift },
+      role: { $in: ['staff', 'admin'] },
+      isActive: true,
+    });
+    if (housekeepers !== onShift.length) {
+      return res.status(400).json(
+        errorResponse('Tasks can only be assigned to active staff members', null, 400)
+      );
+    }
+
+    const result = await generateHousekeepingTasks(date, onShift);
+
+    res.status(201).json(
+      successResponse(`${result.created} task(s) created, ${result.assigned} assigned`, result, 201)
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Assign a task to a housekeeper, or unassign it
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next function
+ */
+export const assignHousekeepingTask = async (req, res, next) => {
+  try {
+    const { assignedTo = null } = req.body || {};
+
+    const task = await loadTask(req);
+    if (!task) {
+      return res.status(404).json(
+        errorResponse('Housekeeping task not found', null, 404)
+      );
+    }
+
+    if (assignedTo) {
+      const housekeeper = mongoose.Types.ObjectId.isValid(assignedTo)
+        ? await User.findOne({ _id: assignedTo, role: { $in: ['staff', 'admin'] }, isActive: true })
+        : null;
+      if (!housekeeper) {
+        return res.status(400).json(
+          errorResponse('Tasks can only be assigned to active staff members', null, 400)
+        );
+      }
+    }
+
+    task.assignedTo = assignedTo || null;
+    await task.save();
+    await populateTask(task);
+
+    res.status(200).json(
+      successResponse(assignedTo ? 'Task assigned successfully' : 'Task unassigned successfully', { task }, 200)
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Start, finish, inspect or reopen a task; the room's cleaning state follows it
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next function
+ */
+export const updateHousekeepingTaskStatus = async (req, res, next) => {
+  try {
+    const { status, notes } = req.body || {};
+
+    if (!TASK_STATUSES.includes(status)) {
+      return res.status(400).json(
+        errorResponse(`Status must be one of: ${TASK_STATUSES.join(', ')}`, null, 400)
+      );
+    }
+
+    const task = await loadTask(req);
+    if (!task) {
+      return res.status(404).json(
+        errorResponse('Housekeeping task not found', null, 404)
+      );
+    }
+
+    const result = await advanceTask(task, status, req.user.id);
+    if (!result.success) {
+      const code = result.conflict ? 409 : 400;
+      return res.status(code).json(
+        errorResponse(result.message, null, code)
+      );
+    }
+
+    const updated = result.task;
+    if (notes !== undefined) {
+      updated.notes = notes === '' ? null : notes;
+      await updated.save();
+    }
+    await populateTask(updated);
+
+    res.status(200).json(
+      successResponse(result.message, { task: updated }, 200)
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Set a room's cleaning state directly (e.g. a room found dirty outside of any task)
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next function
+ */
+export const updateRoomHousekeepingStatus = async (req, res, next) => {
+  try {
+    const { housekeepingStatus } = req.body || {};
+
+    if (!HOUSEKEEPING_STATUSES.includes(housekeepingStatus)) {
+      return res.status(400).json(
+        errorResponse(`Housekeeping status must be one of: ${HOUSEKEEPING_STATUSES.join(', ')}`, null, 400)
+      );
+    }
+
+    const room = mongoose.Types.ObjectId.isValid(req.params.roomId)
+      ? await setRoomHousekeepingStatus(req.params.roomId, housekeepingStatus)
+      : null;
+    if (!room) {
+      return res.status(404).json(
+        errorResponse('Room not found', null, 404)
+      );
+    }
+
+    res.status(200).json(
+      successResponse('Room housekeeping status updated successfully', { room }, 200)
+    );
+  } catch (error) {
+    next(error);
+  }
+};
@@ -13,4 +13,10 @@ export * as feedbackController from './feedbackController.js';
 export * as adminController from './adminController.js';
 export * as staffController from './staffController.js';
 export * as customerController from './customerController.js';
-
+export * as notificationController from './notificationController.js';
+export * as ratePlanController from './ratePlanController.js';
+export * as cancellationPolicyController from './cancellationPolicyController.js';
+export * as corporateAccountController from './corporateAccountController.js';
+export * as promoCodeController from './promoCodeController.js';
+export * as housekeepingController from './housekeepingController.js';
+export * as workOrderController from './workOrderController.js';
\ No newline at end of file
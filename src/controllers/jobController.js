@@ -0,0 +1,145 @@
+/**
+ * @fileoverview Scheduled job controller: lists jobs and their run history, runs jobs on demand and changes schedules
+ * @module controllers/jobController
+ */
+
+import Job from '../models/Job.js';
+import JobRun from '../models/JobRun.js';
+import { successResponse, errorResponse } from '../utils/ApiResponse.js';
+import { JOB_DEFINITIONS, getNextRunAt, runJobNow } from '../services/jobService.js';
+
+const TIME_OF_DAY = /^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/;
+
+/**
+ * List scheduled jobs with their schedule, lock and last run
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next function
+ */
+export const listJobs = async (req, res, next) => {
+  try {
+    const jobs = await Job.find({ name: { $in: Object.keys(JOB_DEFINITIONS) } }).sort({ name: 1 });
+
+    res.status(200).json(
+      successResponse('Jobs retrieved successfully', { jobs }, 200)
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * List a job's runs, newest first
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next function
+ */
+export const listJobRuns = async (req, res, next) => {
+  try {
+    const { name } = req.params;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 20, 100);
+
+    const job = await Job.findOne({ name });
+    if (!job) {
+      return res.status(404).json(
+        errorResponse('Job not found', null, 404)
+      );
+    }
+
+    const runs = await JobRun.find({ job: job._id })
+      .populate('triggeredBy', 'name email')
+      .sort({ startedAt: -1 })
+      .limit(limit);
+
+    res.status(200).json(
+      successResponse('Job runs retrieved successfully', { job, runs }, 200)
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Run a job now. The request waits for the run to finish.
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next function
+ */
+export const runJob = async (req, res, next) => {
+  try {
+    const result = await runJobNow(req.params.name, req.user.id);
+    if (!result.success) {
+      const code = result.conflict ? 409 : 404;
+      return res.status(code).json(
+        errorResponse(result.message, null, code)
+      );
+    }
+
+    res.status(200).json(
+      successResponse(result.message, { run: result.run }, 200)
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Enable or disable a job, or change when it runs
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next function
+ */
+export const updateJob = async (req, res, next) => {
+  try {
+    const { isEnabled, intervalMinutes, timeOfDay } = req.body;
+
+    const job = await Job.findOne({ name: req.params.name });
+    if (!job) {
+      return res.status(404).json(
+        errorResponse('Job not found', null, 404)
+      );
+    }
+
+    if (intervalMinutes !== undefined) {
+      if (job.scheduleType !== 'interval') {
+        return res.status(400).json(
+          errorResponse('Only interval jobs have an interval; set timeOfDay for a daily job', null, 400)
+        );
+      }
+      if (!Number.isInteger(intervalMinutes) || intervalMinutes < 1 || intervalMinutes > 24 * 60) {
+        return res.status(400).json(
+          errorResponse('intervalMinutes must be a whole number of minutes between 1 and 1440', null, 400)
+        );
+      }
+      job.intervalMinutes = intervalMinutes;
+    }
+
+    if (timeOfDay !== undefined) {
+      if (job.scheduleType !== 'daily') {
+        return res.status(400).json(
+          errorResponse('Only daily jobs have a time of day; set intervalMinutes for an interval job', null, 400)
+        );
+      }
+      if (!TIME_OF_DAY.test(timeOfDay)) {
+        return res.status(400).json(
+          errorResponse('timeOfDay must be in HH:mm format', null, 400)
+        );
+      }
+      job.timeOfDay = timeOfDay;
+    }
+
+    if (isEnabled !== undefined) {
+      job.isEnabled = Boolean(isEnabled);
+    }
+
+    // The next run follows the new schedule
+    job.nextRunAt = getNextRunAt(job, new Date());
+    await job.save();
+
+    res.status(200).json(
+      successResponse('Job updated successfully', { job }, 200)
+    );
+  } catch (error) {
+    next(error);
+  }
+};
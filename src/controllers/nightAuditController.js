@@ -0,0 +1,108 @@
+/**
+ * @fileoverview Night audit controller: closes business dates and returns the closed-day snapshots
+ * @module controllers/nightAuditController
+ */
+
+import NightAudit from '../models/NightAudit.js';
+import { successResponse, errorResponse } from '../utils/ApiResponse.js';
+import {
+  formatBusinessDate,
+  getLastClosedDate,
+  getNextBusinessDate,
+  runNightAudit,
+} from '../services/nightAuditService.js';
+import { toNightDate } from '../utils/roomAvailability.js';
+
+const ONE_DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * List closed business dates, newest first (defaults to the last 30 days)
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next function
+ */
+export const listNightAudits = async (req, res, next) => {
+  try {
+    const { startDate, endDate } = req.query;
+
+    const end = endDate ? toNightDate(endDate) : toNightDate(new Date());
+    const start = startDate ? toNightDate(startDate) : new Date(end.getTime() - 30 * ONE_DAY);
+
+    if (Number.isNaN(start.getTime()) || Number.isNaN(end.getTime()) || end < start) {
+      return res.status(400).json(
+        errorResponse('End date must be on or after start date', null, 400)
+      );
+    }
+
+    const audits = await NightAudit.find({ businessDate: { $gte: start, $lte: end } })
+      .populate('closedBy', 'name')
+      .sort({ businessDate: -1 });
+    const lastClosedDate = await getLastClosedDate();
+
+    res.status(200).json(
+      successResponse('Night audits retrieved successfully', {
+        audits,
+        lastClosedDate: lastClosedDate ? formatBusinessDate(lastClosedDate) : null,
+        nextBusinessDate: formatBusinessDate(await getNextBusinessDate()),
+      }, 200)
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get the audit of one business date
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next function
+ */
+export const getNightAudit = async (req, res, next) => {
+  try {
+    const businessDate = toNightDate(req.params.date);
+    if (Number.isNaN(businessDate.getTime())) {
+      return res.status(400).json(
+        errorResponse('Invalid business date', null, 400)
+      );
+    }
+
+    const audit = await NightAudit.findOne({ businessDate }).populate('closedBy', 'name');
+    if (!audit) {
+      return res.status(404).json(
+        errorResponse(`Business date ${formatBusinessDate(businessDate)} has not been closed`, null, 404)
+      );
+    }
+
+    res.status(200).json(
+      successResponse('Night audit retrieved successfully', { audit }, 200)
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Run the night audit, closing the next open business date (or the date given)
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next function
+ */
+export const closeBusinessDate = async (req, res, next) => {
+  try {
+    const { date } = req.body || {};
+
+    const result = await runNightAudit(date || (await getNextBusinessDate()), { closedBy: req.user.id });
+    if (!result.success) {
+      const code = result.conflict ? 409 : 400;
+      return res.status(code).json(
+        errorResponse(result.message, null, code)
+      );
+    }
+
+    res.status(201).json(
+      successResponse(result.message, { audit: result.audit }, 201)
+    );
+  } catch (error) {
+    next(error);
+  }
+};
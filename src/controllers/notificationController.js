@@ -0,0 +1,157 @@
+/**
+ * @fileoverview Notification controller for the in-app notification inbox
+ * @module controllers/notificationController
+ */
+
+import Notification from '../models/Notification.js';
+import { successResponse, errorResponse } from '../utils/ApiResponse.js';
+
+/**
+ * List notifications for the current user
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next function
+ */
+export const listMyNotifications = async (req, res, next) => {
+  try {
+    const userId = req.user.id;
+    const { isRead, type, page = 1, limit = 10 } = req.query;
+
+    const filter = { user: userId };
+
+    if (isRead !== undefined) {
+      filter.isRead = isRead === 'true';
+    }
+
+    if (type) {
+      filter.type = type;
+    }
+
+    const pageNum = parseInt(page, 10);
+    const limitNum = parseInt(limit, 10);
+    const skip = (pageNum - 1) * limitNum;
+
+    const notifications = await Notification.find(filter)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limitNum);
+
+    const total = await Notification.countDocuments(filter);
+    const unreadCount = await Notification.countDocuments({ user: userId, isRead: false });
+
+    res.status(200).json(
+      successResponse('Notifications retrieved successfully', {
+        notifications,
+        unreadCount,
+        pagination: {
+          page: pageNum,
+          limit: limitNum,
+          total,
+          pages: Math.ceil(total / limitNum),
+        },
+      }, 200)
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get unread notification count for the current user
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next function
+ */
+export const getUnreadCount = async (req, res, next) => {
+  try {
+    const unreadCount = await Notification.countDocuments({
+      user: req.user.id,
+      isRead: false,
+    });
+
+    res.status(200).json(
+      successResponse('Unread count retrieved successfully', { unreadCount }, 200)
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Mark a single notification as read
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next function
+ */
+export const markNotificationRead = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    // Scope the lookup to the current user so nobody can touch another inbox
+    const notification = await Notification.findOne({ _id: id, user: req.user.id });
+    if (!notification) {
+      return res.status(404).json(
+        errorResponse('Notification not found', null, 404)
+      );
+    }
+
+    if (!notification.isRead) {
+      notification.isRead = true;
+      await notification.save();
+    }
+
+    res.status(200).json(
+      successResponse('Notification marked as read', { notification }, 200)
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Mark all notifications of the current user as read
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next function
+ */
+export const markAllNotificationsRead = async (req, res, next) => {
+  try {
+    const result = await Notification.updateMany(
+      { user: req.user.id, isRead: false },
+      { $set: { isRead: true } }
+    );
+
+    res.status(200).json(
+      successResponse('All notifications marked as read', {
+        updated: result.modifiedCount,
+      }, 200)
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Delete a notification
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next function
+ */
+export const deleteNotification = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const notification = await Notification.findOneAndDelete({ _id: id, user: req.user.id });
+    if (!notification) {
+      return res.status(404).json(
+        errorResponse('Notification not found', null, 404)
+      );
+    }
+
+    res.status(200).json(
+      successResponse('Notification deleted successfully', null, 200)
+    );
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,236 @@
+/**
+ * @fileoverview Promo code controller for discount codes guests redeem when booking
+ * @module controllers/promoCodeController
+ */
+
+import mongoose from 'mongoose';
+import PromoCode from '../models/PromoCode.js';
+import Booking from '../models/Booking.js';
+import Room from '../models/Room.js';
+import { successResponse, errorResponse } from '../utils/ApiResponse.js';
+import { priceStay, getRoomTypeBase } from '../services/pricingService.js';
+import {
+  findPromoCode,
+  checkPromoCode,
+  applyPromotion,
+  describeDiscount,
+} from '../services/promotionService.js';
+
+const PROMO_CODE_FIELDS = [
+  'code',
+  'description',
+  'discountType',
+  'discountValue',
+  'validFrom',
+  'validUntil',
+  'roomTypes',
+  'minNights',
+  'maxUses',
+  'maxUsesPerGuest',
+  'isActive',
+];
+
+/**
+ * Pick the editable promo code fields from a request body
+ * @param {Object} body - Request body
+ * @returns {Object} Promo code fields
+ */
+const pickPromoCodeFields = (body) => {
+  const fields = {};
+  PROMO_CODE_FIELDS.forEach((field) => {
+    if (body[field] !== undefined) {
+      fields[field] = body[field] === '' ? null : body[field];
+    }
+  });
+  return fields;
+};
+
+/**
+ * List promo codes
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next function
+ */
+export const listPromoCodes = async (req, res, next) => {
+  try {
+    const { isActive } = req.query;
+
+    const filter = {};
+    if (isActive !== undefined) {
+      filter.isActive = isActive === 'true';
+    }
+
+    const promoCodes = await PromoCode.find(filter).sort({ createdAt: -1 });
+
+    res.status(200).json(
+      successResponse('Promo codes retrieved successfully', { promoCodes }, 200)
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Create a promo code
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next function
+ */
+export const createPromoCode = async (req, res, next) => {
+  try {
+    const fields = pickPromoCodeFields(req.body);
+
+    if (!fields.code || !fields.discountType || fields.discountValue === undefined) {
+      return res.status(400).json(
+        errorResponse('Please provide code, discountType and discountValue', null, 400)
+      );
+    }
+
+    if (fields.validFrom && fields.validUntil && new Date(fields.validUntil) < new Date(fields.validFrom)) {
+      return res.status(400).json(
+        errorResponse('validUntil cannot be before validFrom', null, 400)
+      );
+    }
+
+    const promoCode = await PromoCode.create({ ...fields, createdBy: req.user.id });
+
+    res.status(201).json(
+      successResponse('Promo code created successfully', { promoCode }, 201)
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Update a promo code. Bookings that already redeemed it keep the terms they got.
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next function
+ */
+export const updatePromoCode = async (req, res, next) => {
+  try {
+    const promoCode = mongoose.Types.ObjectId.isValid(req.params.id)
+      ? await PromoCode.findById(req.params.id)
+      : null;
+    if (!promoCode) {
+      return res.status(404).json(
+        errorResponse('Promo code not found', null, 404)
+      );
+    }
+
+    Object.assign(promoCode, pickPromoCodeFields(req.body));
+
+    if (promoCode.validFrom && promoCode.validUntil && promoCode.validUntil < promoCode.validFrom) {
+      return res.status(400).json(
+        errorResponse('validUntil cannot be before validFrom', null, 400)
+      );
+    }
+
+    await promoCode.save();
+
+    res.status(200).json(
+      successResponse('Promo code updated successfully', { promoCode }, 200)
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Delete a promo code that was never redeemed (redeemed codes are deactivated instead)
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next function
+ */
+export const deletePromoCode = async (req, res, next) => {
+  try {
+    const promoCode = mongoose.Types.ObjectId.isValid(req.params.id)
+      ? await PromoCode.findById(req.params.id)
+      : null;
+    if (!promoCode) {
+      return res.status(404).json(
+        errorResponse('Promo code not found', null, 404)
+      );
+    }
+
+    if (await Booking.exists({ 'promotion.promoCode': promoCode._id })) {
+      return res.status(409).json(
+        errorResponse('This promo code has been redeemed; deactivate it instead', null, 409)
+      );
+    }
+
+    await promoCode.deleteOne();
+
+    res.status(200).json(
+      successResponse('Promo code deleted successfully', null, 200)
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Check a promo code against a stay and preview the discount before booking
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next function
+ */
+export const validatePromoCode = async (req, res, next) => {
+  try {
+    const { code, roomType, roomId, checkInDate, checkOutDate } = req.body;
+
+    if (!code || (!roomType && !roomId) || !checkInDate || !checkOutDate) {
+      return res.status(400).json(
+        errorResponse('Please provide code, roomType (or roomId), checkInDate and checkOutDate', null, 400)
+      );
+    }
+
+    const checkIn = new Date(checkInDate);
+    const checkOut = new Date(checkOutDate);
+    if (Number.isNaN(checkIn.getTime()) || Number.isNaN(checkOut.getTime()) || checkOut <= checkIn) {
+      return res.status(400).json(
+        errorResponse('Check-out date must be after check-in date', null, 400)
+      );
+    }
+
+    const pricingRoom = roomId
+      ? mongoose.Types.ObjectId.isValid(roomId) ? await Room.findById(roomId) : null
+      : await getRoomTypeBase(roomType);
+    if (!pricingRoom) {
+      return res.status(404).json(
+        errorResponse(roomId ? 'Room not found' : `No ${roomType} rooms are available`, null, 404)
+      );
+    }
+
+    const promo = await findPromoCode(code);
+    if (!promo) {
+      return res.status(400).json(errorResponse('Invalid promo code', null, 400));
+    }
+
+    const pricing = await priceStay(pricingRoom, checkIn, checkOut);
+    const reason = await checkPromoCode(promo, {
+      roomType: pricingRoom.type,
+      totalNights: pricing.nightlyRates.length,
+      guestId: req.user.id,
+    });
+    if (reason) {
+      return res.status(400).json(errorResponse(reason, null, 400));
+    }
+
+    const discounted = applyPromotion(pricing, promo);
+
+    res.status(200).json(
+      successResponse('Promo code applied', {
+        code: promo.code,
+        description: promo.description,
+        discount: describeDiscount(promo),
+        originalAmount: pricing.totalAmount,
+        discountAmount: discounted.discountAmount,
+        totalAmount: discounted.totalAmount,
+      }, 200)
+    );
+  } catch (error) {
+    next(error);
+  }
+};
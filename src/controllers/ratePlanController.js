@@ -0,0 +1,208 @@
+/**
+ * @fileoverview Rate plan controller for seasonal and weekend room pricing
+ * @module controllers/ratePlanController
+ */
+
+import RatePlan from '../models/RatePlan.js';
+import Room from '../models/Room.js';
+import { successResponse, errorResponse } from '../utils/ApiResponse.js';
+import {
+  getApplicableRatePlans,
+  getStayNights,
+  priceNight,
+} from '../services/pricingService.js';
+
+const RATE_PLAN_FIELDS = [
+  'name',
+  'roomType',
+  'startDate',
+  'endDate',
+  'adjustmentPercent',
+  'nightlyRate',
+  'weekendUplift',
+  'weekendDays',
+  'priority',
+  'cancellationPolicy',
+  'depositType',
+  'depositPercent',
+  'isActive',
+];
+
+/**
+ * Pick the editable rate plan fields from a request body
+ * @param {Object} body - Request body
+ * @returns {Object} Rate plan fields
+ */
+const pickRatePlanFields = (body) => {
+  const fields = {};
+  RATE_PLAN_FIELDS.forEach((field) => {
+    if (body[field] !== undefined) {
+      fields[field] = body[field] === '' ? null : body[field];
+    }
+  });
+  return fields;
+};
+
+/**
+ * List rate plans
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next function
+ */
+export const listRatePlans = async (req, res, next) => {
+  try {
+    const { roomType, isActive } = req.query;
+
+    const filter = {};
+    if (roomType) {
+      filter.roomType = roomType === 'all' ? null : roomType;
+    }
+    if (isActive !== undefined) {
+      filter.isActive = isActive === 'true';
+    }
+
+    const ratePlans = await RatePlan.find(filter).sort({ priority: -1, startDate: 1 });
+
+    res.status(200).json(
+      successResponse('Rate plans retrieved successfully', { ratePlans }, 200)
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Create a rate plan
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next function
+ */
+export const createRatePlan = async (req, res, next) => {
+  try {
+    const fields = pickRatePlanFields(req.body);
+
+    if (!fields.name) {
+      return res.status(400).json(
+        errorResponse('Please provide a rate plan name', null, 400)
+      );
+    }
+
+    const ratePlan = await RatePlan.create(fields);
+
+    res.status(201).json(
+      successResponse('Rate plan created successfully', { ratePlan }, 201)
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Update a rate plan
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next function
+ */
+export const updateRatePlan = async (req, res, next) => {
+  try {
+    const ratePlan = await RatePlan.findById(req.params.id);
+    if (!ratePlan) {
+      return res.status(404).json(
+        errorResponse('Rate plan not found', null, 404)
+      );
+    }
+
+    Object.assign(ratePlan, pickRatePlanFields(req.body));
+    await ratePlan.save();
+
+    res.status(200).json(
+      successResponse('Rate plan updated successfully', { ratePlan }, 200)
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Delete a rate plan
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next function
+ */
+export const deleteRatePlan = async (req, res, next) => {
+  try {
+    const ratePlan = await RatePlan.findByIdAndDelete(req.params.id);
+    if (!ratePlan) {
+      return res.status(404).json(
+        errorResponse('Rate plan not found', null, 404)
+      );
+    }
+
+    res.status(200).json(
+      successResponse('Rate plan deleted successfully', null, 200)
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get the rate calendar: nightly price per room type for a date range.
+ * Each room type is priced from the lowest base price among its rooms.
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next function
+ */
+export const getRateCalendar = async (req, res, next) => {
+  try {
+    const { startDate, endDate } = req.query;
+
+    if (!startDate || !endDate) {
+      return res.status(400).json(
+        errorResponse('Please provide startDate and endDate', null, 400)
+      );
+    }
+
+    const start = new Date(startDate);
+    const end = new Date(endDate);
+
+    if (end <= start) {
+      return res.status(400).json(
+        errorResponse('End date must be after start date', null, 400)
+      );
+    }
+
+    const nights = getStayNights(start, end);
+    if (nights.length > 93) {
+      return res.status(400).json(
+        errorResponse('Date range cannot exceed 93 nights', null, 400)
+      );
+    }
+
+    const basePrices = await Room.aggregate([
+      { $group: { _id: '$type', basePrice: { $min: '$pricePerNight' } } },
+      { $sort: { _id: 1 } },
+    ]);
+
+    const ratePlans = await getApplicableRatePlans(null, start, end);
+
+    const roomTypes = basePrices.map(({ _id: type, basePrice }) => ({
+      roomType: type,
+      basePrice,
+      nights: nights.map((night) =>
+        priceNight({ type, pricePerNight: basePrice }, night, ratePlans)
+      ),
+    }));
+
+    res.status(200).json(
+      successResponse('Rate calendar retrieved successfully', {
+        startDate: start,
+        endDate: end,
+        dates: nights,
+        roomTypes,
+      }, 200)
+    );
+  } catch (error) {
+    next(error);
+  }
+};
@@ -1,16 +1,24 @@
 /**
- * @fileoverview Reports controller for revenue, occupancy, and service analytics
+ * @fileoverview Reports controller for revenue, occupancy, service and promotion analytics
  * @module controllers/reportsController
  */
 
-import Payment from '../models/Payment.js';
 import Booking from '../models/Booking.js';
 import Room from '../models/Room.js';
 import ServiceUsage from '../models/ServiceUsage.js';
+import RoomTypeNight from '../models/RoomTypeNight.js';
+import Settings from '../models/Settings.js';
+import NightAudit from '../models/NightAudit.js';
 import { successResponse, errorResponse } from '../utils/ApiResponse.js';
+import { signedAmount } from '../services/billingService.js';
+import { roundMoney } from '../services/taxService.js';
+import { findSettledPayments, getPaymentDate, summarizePayments } from '../services/reportService.js';
+import { formatBusinessDate } from '../services/nightAuditService.js';
+import { getNightDates, getRoomTypeCapacity, toNightDate } from '../utils/roomAvailability.js';
 
 /**
- * Get revenue summary (daily, weekly, monthly)
+ * Get revenue summary (daily, weekly, monthly). Business dates closed by the night audit report
+ * the figures snapshotted when they were closed.
  * @param {import('express').Request} req - Express request object
  * @param {import('express').Response} res - Express response object
  * @param {import('express').NextFunction} next - Express next function
@@ -52,44 +60,77 @@ export const getRevenueSummary = async (req, res, next) => {
       }
     }
 
-    // Get all paid payments in the date range
-    const payments = await Payment.find({
-      status: 'paid',
-      createdAt: {
-        $gte: start,
-        $lte: end,
-      },
-    });
+    // Closed business dates report the figures snapshotted by the night audit
+    const audits = await NightAudit.find({
+      businessDate: { $gte: toNightDate(start), $lte: end },
+    }).select('businessDate revenue');
+    const auditByDate = new Map(audits.map((audit) => [formatBusinessDate(audit.businessDate), audit]));
 
-    // Calculate totals
-    const totalRevenue = payments.reduce((sum, payment) => sum + payment.amount, 0);
+    // Get all payments received and refunds paid in the rest of the range; refunds count against the day they were made
+    const payments = (await findSettledPayments(start, end)).filter(
+      (payment) => !auditByDate.has(formatBusinessDate(toNightDate(getPaymentDate(payment))))
+    );
+    const live = await summarizePayments(payments);
 
-    // Revenue by payment method
-    const revenueByMethod = payments.reduce((acc, payment) => {
-      const method = payment.paymentMethod;
-      acc[method] = (acc[method] || 0) + payment.amount;
-      return acc;
-    }, {});
+    // Calculate totals
+    const addClosed = (key) => roundMoney(audits.reduce((sum, audit) => sum + audit.revenue[key], live[key]));
+    const totalRevenue = addClosed('totalRevenue');
+    const totalRefunds = addClosed('totalRefunds');
+    const totalTax = addClosed('totalTax');
+    const netRevenue = roundMoney(totalRevenue - totalTax);
+    const transactionCount = audits.reduce((sum, audit) => sum + audit.revenue.transactionCount, payments.length);
+
+    const mergeAmounts = (key) => {
+      const merged = { ...live[key] };
+      audits.forEach((audit) => {
+        Object.entries(audit.revenue[key] || {}).forEach(([name, amount]) => {
+          merged[name] = roundMoney((merged[name] || 0) + amount);
+        });
+      });
+      return merged;
+    };
+    const taxByLine = mergeAmounts('taxByLine');
+    const revenueByMethod = mergeAmounts('revenueByMethod');
 
     // Daily breakdown for the period
     const dailyBreakdown = [];
     const currentDate = new Date(start);
     while (currentDate <= end) {
-      const dayStart = new Date(currentDate);
-      dayStart.setHours(0, 0, 0, 0);
-      const dayEnd = new Date(currentDate);
-      dayEnd.setHours(23, 59, 59, 999);
-
-      const dayPayments = payments.filter(
-        (p) => p.createdAt >= dayStart && p.createdAt <= dayEnd
-      );
-      const dayRevenue = dayPayments.reduce((sum, p) => sum + p.amount, 0);
+      const date = new Date(currentDate).toISOString().split('T')[0];
+      const audit = auditByDate.get(date);
+
+      if (audit) {
+        dailyBreakdown.push({
+          date,
+          revenue: audit.revenue.totalRevenue,
+          tax: audit.revenue.totalTax,
+          netRevenue: audit.revenue.netRevenue,
+          transactionCount: audit.revenue.transactionCount,
+          closed: true,
+        });
+      } else {
+        const dayStart = new Date(currentDate);
+        dayStart.setHours(0, 0, 0, 0);
+        const dayEnd = new Date(currentDate);
+        dayEnd.setHours(23, 59, 59, 999);
+
+        const dayPayments = payments.filter(
+          (p) => getPaymentDate(p) >= dayStart && getPaymentDate(p) <= dayEnd
+        );
+        const dayRevenue = roundMoney(dayPayments.reduce((sum, p) => sum + signedAmount(p), 0));
+        const dayTax = roundMoney(
+          dayPayments.reduce((sum, p) => sum + live.taxByPayment.get(p._id.toString()), 0)
+        );
 
-      dailyBreakdown.push({
-        date: new Date(currentDate).toISOString().split('T')[0],
-        revenue: dayRevenue,
-        transactionCount: dayPayments.length,
-      });
+        dailyBreakdown.push({
+          date,
+          revenue: dayRevenue,
+          tax: dayTax,
+          netRevenue: roundMoney(dayRevenue - dayTax),
+          transactionCount: dayPayments.length,
+          closed: false,
+        });
+      }
 
       currentDate.setDate(currentDate.getDate() + 1);
     }
@@ -100,9 +141,14 @@ export const getRevenueSummary = async (req, res, next) => {
         startDate: start,
         endDate: end,
         totalRevenue,
+        totalRefunds,
+        totalTax,
+        netRevenue,
+        taxByLine,
         revenueByMethod,
         dailyBreakdown,
-        transactionCount: payments.length,
+        transactionCount,
+        closedDays: audits.length,
       }, 200)
     );
   } catch (error) {
@@ -111,7 +157,8 @@ export const getRevenueSummary = async (req, res, next) => {
 };
 
 /**
- * Get occupancy statistics
+ * Get occupancy statistics. Business dates closed by the night audit report the rooms occupied
+ * and sellable when they were closed.
  * @param {import('express').Request} req - Express request object
  * @param {import('express').Response} res - Express response object
  * @param {import('express').NextFunction} next - Express next function
@@ -158,7 +205,7 @@ export const getOccupancyStats = async (req, res, next) => {
     // Calculate number of days in range
     const oneDay = 24 * 60 * 60 * 1000;
     const daysInRange = Math.ceil((end - start) / oneDay);
-    const totalRoomNights = totalRooms * daysInRange;
+    let totalRoomNights = totalRooms * daysInRange;
 
     // Get bookings that overlap with the date range (excluding cancelled)
     const bookings = await Booking.find({
@@ -184,13 +231,17 @@ export const getOccupancyStats = async (req, res, next) => {
       }
     });
 
-    const occupancyPercentage =
-      totalRoomNights > 0 ? (bookedRoomNights / totalRoomNights) * 100 : 0;
+    // Closed business dates report the rooms the night audit found occupied and sellable
+    const audits = await NightAudit.find({
+      businessDate: { $gte: toNightDate(start), $lte: end },
+    }).select('businessDate occupancy');
+    const auditByDate = new Map(audits.map((audit) => [formatBusinessDate(audit.businessDate), audit]));
 
     // Daily occupancy breakdown
     const dailyOccupancy = [];
     const currentDate = new Date(start);
     while (currentDate <= end) {
+      const date = new Date(currentDate).toISOString().split('T')[0];
       const dayStart = new Date(currentDate);
       dayStart.setHours(0, 0, 0, 0);
       const dayEnd = new Date(currentDate);
@@ -205,19 +256,41 @@ export const getOccupancyStats = async (req, res, next) => {
         );
       });
 
-      const dayOccupiedRooms = new Set(dayBookings.map((b) => b.room.toString())).size;
+      // Bookings without an assigned room still occupy one room of their type
+      const dayOccupiedRooms =
+        new Set(dayBookings.filter((b) => b.room).map((b) => b.room.toString())).size +
+        dayBookings.filter((b) => !b.room).length;
       const dayOccupancy = totalRooms > 0 ? (dayOccupiedRooms / totalRooms) * 100 : 0;
 
-      dailyOccupancy.push({
-        date: new Date(currentDate).toISOString().split('T')[0],
-        occupiedRooms: dayOccupiedRooms,
-        totalRooms,
-        occupancyPercentage: dayOccupancy,
-      });
+      const audit = auditByDate.get(date);
+      if (audit) {
+        const { occupiedRooms, totalRooms: auditRooms, outOfOrderRooms, occupancyPercentage: auditOccupancy } = audit.occupancy;
+        bookedRoomNights += occupiedRooms - dayOccupiedRooms;
+        totalRoomNights += auditRooms - outOfOrderRooms - totalRooms;
+
+        dailyOccupancy.push({
+          date,
+          occupiedRooms,
+          totalRooms: auditRooms - outOfOrderRooms,
+          occupancyPercentage: auditOccupancy,
+          closed: true,
+        });
+      } else {
+        dailyOccupancy.push({
+          date,
+          occupiedRooms: dayOccupiedRooms,
+          totalRooms,
+          occupancyPercentage: dayOccupancy,
+          closed: false,
+        });
+      }
 
       currentDate.setDate(currentDate.getDate() + 1);
     }
 
+    const occupancyPercentage =
+      totalRoomNights > 0 ? (bookedRoomNights / totalRoomNights) * 100 : 0;
+
     res.status(200).json(
       successResponse('Occupancy stats retrieved successfully', {
         startDate: start,
@@ -227,6 +300,7 @@ export const getOccupancyStats = async (req, res, next) => {
         totalRoomNights,
         occupancyPercentage: Math.round(occupancyPercentage * 100) / 100,
         dailyOccupancy,
+        closedDays: audits.length,
       }, 200)
     );
   } catch (error) {
@@ -312,3 +386,124 @@ export const getTopServices = async (req, res, next) => {
   }
 };
 
+/**
+ * Get promo code redemptions: bookings made with each code, the discount given and the room revenue they brought
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next function
+ */
+export const getPromotionRedemptions = async (req, res, next) => {
+  try {
+    const { startDate, endDate } = req.query;
+
+    const match = { promotion: { $ne: null } };
+
+    // If date range provided, filter by when the booking was made
+    if (startDate && endDate) {
+      const start = new Date(startDate);
+      start.setHours(0, 0, 0, 0);
+      const end = new Date(endDate);
+      end.setHours(23, 59, 59, 999);
+      match.createdAt = { $gte: start, $lte: end };
+    }
+
+    const stats = await Booking.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: '$promotion.promoCode',
+          code: { $last: '$promotion.code' },
+          redemptions: { $sum: { $cond: [{ $ne: ['$status', 'cancelled'] }, 1, 0] } },
+          cancelled: { $sum: { $cond: [{ $eq: ['$status', 'cancelled'] }, 1, 0] } },
+          totalDiscount: {
+            $sum: { $cond: [{ $ne: ['$status', 'cancelled'] }, '$promotion.discountAmount', 0] },
+          },
+          roomRevenue: {
+            $sum: { $cond: [{ $ne: ['$status', 'cancelled'] }, '$totalAmount', 0] },
+          },
+        },
+      },
+      { $sort: { redemptions: -1, code: 1 } },
+    ]);
+
+    const promotions = stats.map(({ _id, code, redemptions, cancelled, totalDiscount, roomRevenue }) => ({
+      promoCodeId: _id,
+      code,
+      redemptions,
+      cancelled,
+      totalDiscount: roundMoney(totalDiscount),
+      roomRevenue: roundMoney(roomRevenue),
+    }));
+
+    res.status(200).json(
+      successResponse('Promotion redemptions retrieved successfully', {
+        promotions,
+        totalRedemptions: promotions.reduce((sum, promotion) => sum + promotion.redemptions, 0),
+        totalDiscount: roundMoney(promotions.reduce((sum, promotion) => sum + promotion.totalDiscount, 0)),
+      }, 200)
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get oversold nights: nights a room type holds more bookings than it has rooms to sell, whether from
+ * the overbooking allowance or rooms taken out of order after the nights were sold
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next function
+ */
+export const getOversoldNights = async (req, res, next) => {
+  try {
+    const { startDate, endDate } = req.query;
+
+    if (!startDate || !endDate) {
+      return res.status(400).json(
+        errorResponse('Please provide startDate and endDate', null, 400)
+      );
+    }
+
+    const start = toNightDate(startDate);
+    const end = toNightDate(endDate);
+
+    if (Number.isNaN(start.getTime()) || Number.isNaN(end.getTime()) || end < start) {
+      return res.status(400).json(
+        errorResponse('End date must be on or after start date', null, 400)
+      );
+    }
+
+    // Both dates are nights of the report
+    const nights = getNightDates(start, new Date(end.getTime() + 24 * 60 * 60 * 1000));
+    const inventory = await RoomTypeNight.find({ date: { $in: nights } })
+      .select('roomType date bookings')
+      .sort({ date: 1, roomType: 1 });
+    const { overbookingAllowance } = await Settings.getSettings();
+
+    const oversoldNights = [];
+    for (const night of inventory) {
+      const capacity = await getRoomTypeCapacity(night.roomType, night.date);
+      if (night.bookings.length > capacity) {
+        oversoldNights.push({
+          date: night.date.toISOString().split('T')[0],
+          roomType: night.roomType,
+          booked: night.bookings.length,
+          capacity,
+          overbookingAllowance: overbookingAllowance?.[night.roomType] || 0,
+          oversoldBy: night.bookings.length - capacity,
+        });
+      }
+    }
+
+    res.status(200).json(
+      successResponse('Oversold nights retrieved successfully', {
+        startDate: start,
+        endDate: end,
+        oversoldNights,
+        totalOversold: oversoldNights.reduce((sum, night) => sum + night.oversoldBy, 0),
+      }, 200)
+    );
+  } catch (error) {
+    next(error);
+  }
+};
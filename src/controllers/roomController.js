@@ -5,7 +5,14 @@
 
 import Room from '../models/Room.js';
 import { successResponse, errorResponse } from '../utils/ApiResponse.js';
-import { isRoomAvailable, getBookedRoomIds } from '../utils/roomAvailability.js';
+import {
+  isRoomAvailable,
+  getBookedRoomIds,
+  getRoomTypeAvailability,
+} from '../utils/roomAvailability.js';
+import { priceStay, getRoomTypeBase } from '../services/pricingService.js';
+import { getCancellationPolicySnapshot } from '../services/cancellationService.js';
+import { calculateDeposit } from '../services/depositService.js';
 
 /**
  * Create a new room
@@ -287,3 +294,115 @@ export const getAvailabilityForDateRange = async (req, res, next) => {
   }
 };
 
+/**
+ * Get a night-by-night price quote for a room
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next function
+ */
+export const getRoomQuote = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { checkInDate, checkOutDate } = req.query;
+
+    if (!checkInDate || !checkOutDate) {
+      return res.status(400).json(
+        errorResponse('Please provide checkInDate and checkOutDate', null, 400)
+      );
+    }
+
+    const checkIn = new Date(checkInDate);
+    const checkOut = new Date(checkOutDate);
+
+    if (checkOut <= checkIn) {
+      return res.status(400).json(
+        errorResponse('Check-out date must be after check-in date', null, 400)
+      );
+    }
+
+    const room = await Room.findById(id);
+    if (!room) {
+      return res.status(404).json(
+        errorResponse('Room not found', null, 404)
+      );
+    }
+
+    const pricing = await priceStay(room, checkIn, checkOut);
+    const { nightlyRates, totalAmount, cancellationPolicyId } = pricing;
+
+    res.status(200).json(
+      successResponse('Room quote retrieved successfully', {
+        roomId: room._id,
+        checkInDate: checkIn,
+        checkOutDate: checkOut,
+        totalNights: nightlyRates.length,
+        nightlyRates,
+        totalAmount,
+        cancellationPolicy: await getCancellationPolicySnapshot(cancellationPolicyId),
+        deposit: await calculateDeposit(pricing, pricing.depositRule),
+      }, 200)
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get availability per room type for a date range, with a price quote for each type
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next function
+ */
+export const getRoomTypeAvailabilityForDateRange = async (req, res, next) => {
+  try {
+    const { checkInDate, checkOutDate } = req.query;
+
+    if (!checkInDate || !checkOutDate) {
+      return res.status(400).json(
+        errorResponse('Please provide checkInDate and checkOutDate', null, 400)
+      );
+    }
+
+    const checkIn = new Date(checkInDate);
+    const checkOut = new Date(checkOutDate);
+
+    if (checkOut <= checkIn) {
+      return res.status(400).json(
+        errorResponse('Check-out date must be after check-in date', null, 400)
+      );
+    }
+
+    const availability = await getRoomTypeAvailability(checkIn, checkOut);
+
+    const roomTypes = [];
+    for (const entry of availability) {
+      const base = await getRoomTypeBase(entry.roomType);
+      const sampleRoom = await Room.findOne({ type: entry.roomType, status: { $ne: 'maintenance' } })
+        .sort({ pricePerNight: 1 })
+        .select('amenities');
+      const pricing = await priceStay(base, checkIn, checkOut);
+      const { nightlyRates, totalAmount, cancellationPolicyId } = pricing;
+
+      roomTypes.push({
+        ...entry,
+        pricePerNight: base.pricePerNight,
+        maxGuests: base.maxGuests,
+        amenities: sampleRoom?.amenities || [],
+        nightlyRates,
+        totalAmount,
+        cancellationPolicy: await getCancellationPolicySnapshot(cancellationPolicyId),
+        deposit: await calculateDeposit(pricing, pricing.depositRule),
+      });
+    }
+
+    res.status(200).json(
+      successResponse('Room type availability retrieved successfully', {
+        checkInDate: checkIn,
+        checkOutDate: checkOut,
+        roomTypes,
+      }, 200)
+    );
+  } catch (error) {
+    next(error);
+  }
+};
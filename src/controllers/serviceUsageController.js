@@ -7,6 +7,7 @@ import ServiceUsage from '../models/ServiceUsage.js';
 import Booking from '../models/Booking.js';
 import Service from '../models/Service.js';
 import { successResponse, errorResponse } from '../utils/ApiResponse.js';
+import { checkBusinessDateOpen } from '../services/nightAuditService.js';
 
 /**
  * Get service usages for a booking
@@ -156,6 +157,15 @@ export const removeServiceFromBooking = async (req, res, next) => {
       );
     }
 
+    // A service charged on a closed business date stays on it; correct it with a folio adjustment
+    const chargeOpen = await checkBusinessDateOpen(
+      serviceUsage.createdAt,
+      'This service was charged on a closed business date; post an adjustment to the folio instead'
+    );
+    if (!chargeOpen.success) {
+      return res.status(409).json(errorResponse(chargeOpen.message, null, 409));
+    }
+
     await ServiceUsage.findByIdAndDelete(usageId);
 
     res.status(200).json(
@@ -0,0 +1,227 @@
+/**
+ * @fileoverview Waitlist controller: guests join the waitlist for sold-out dates, see their place
+ * and offers, and leave it; staff see who is waiting
+ * @module controllers/waitlistController
+ */
+
+import mongoose from 'mongoose';
+import WaitlistEntry from '../models/WaitlistEntry.js';
+import Room from '../models/Room.js';
+import { successResponse, errorResponse } from '../utils/ApiResponse.js';
+import { getRoomTypeAvailability } from '../utils/roomAvailability.js';
+import { ACTIVE_WAITLIST_STATUSES, cancelWaitlistEntry } from '../services/waitlistService.js';
+
+const ROOM_TYPES = ['single', 'double', 'suite'];
+const WAITLIST_STATUSES = ['waiting', 'offered', 'booked', 'expired', 'cancelled'];
+
+/**
+ * Work out a waiting entry's place in line: one more than the entries for the same room type
+ * and overlapping dates that joined before it and are still waiting
+ * @param {Object} entry - WaitlistEntry document
+ * @returns {Promise<number>} Position (1 = next to be offered a room)
+ */
+const getWaitlistPosition = async (entry) => {
+  const ahead = await WaitlistEntry.countDocuments({
+    status: 'waiting',
+    roomType: entry.roomType,
+    checkInDate: { $lt: entry.checkOutDate },
+    checkOutDate: { $gt: entry.checkInDate },
+    createdAt: { $lt: entry.createdAt },
+  });
+  return ahead + 1;
+};
+
+/**
+ * Join the waitlist for a room type that is sold out over a date range
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next function
+ */
+export const joinWaitlist = async (req, res, next) => {
+  try {
+    const { roomType, checkInDate, checkOutDate } = req.body;
+    const userId = req.user.id;
+
+    if (!roomType || !checkInDate || !checkOutDate) {
+      return res.status(400).json(
+        errorResponse('Please provide roomType, checkInDate, and checkOutDate', null, 400)
+      );
+    }
+
+    if (!ROOM_TYPES.includes(roomType)) {
+      return res.status(400).json(
+        errorResponse(`Room type must be one of: ${ROOM_TYPES.join(', ')}`, null, 400)
+      );
+    }
+
+    const checkIn = new Date(checkInDate);
+    const checkOut = new Date(checkOutDate);
+
+    if (Number.isNaN(checkIn.getTime()) || Number.isNaN(checkOut.getTime()) || checkOut <= checkIn) {
+      return res.status(400).json(
+        errorResponse('Check-out date must be after check-in date', null, 400)
+      );
+    }
+
+    const today = new Date();
+    today.setHours(0, 0, 0, 0);
+    if (checkIn < today) {
+      return res.status(400).json(
+        errorResponse('Check-in date cannot be in the past', null, 400)
+      );
+    }
+
+    if (!(await Room.exists({ type: roomType, status: { $ne: 'maintenance' } }))) {
+      return res.status(404).json(
+        errorResponse(`The hotel has no ${roomType} rooms`, null, 404)
+      );
+    }
+
+    // Only sold-out dates have a waitlist; with a room free the guest can book it
+    const availability = await getRoomTypeAvailability(checkIn, checkOut);
+    const typeAvailability = availability.find((entry) => entry.roomType === roomType);
+    if (typeAvailability && typeAvailability.available > 0) {
+      return res.status(400).json(
+        errorResponse(`${roomType} rooms are available for these dates; book one instead`, null, 400)
+      );
+    }
+
+    const existing = await WaitlistEntry.findOne({
+      guest: userId,
+      roomType,
+      checkInDate: checkIn,
+      checkOutDate: checkOut,
+      status: { $in: ACTIVE_WAITLIST_STATUSES },
+    });
+    if (existing) {
+      return res.status(409).json(
+        errorResponse('You are already on the waitlist for these dates', null, 409)
+      );
+    }
+
+    const entry = await WaitlistEntry.create({
+      guest: userId,
+      roomType,
+      checkInDate: checkIn,
+      checkOutDate: checkOut,
+    });
+
+    res.status(201).json(
+      successResponse('You have joined the waitlist', {
+        entry,
+        position: await getWaitlistPosition(entry),
+      }, 201)
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * List the current customer's waitlist entries, newest first, with the place in line of those still waiting
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next function
+ */
+export const listMyWaitlistEntries = async (req, res, next) => {
+  try {
+    const entries = await WaitlistEntry.find({ guest: req.user.id })
+      .sort({ createdAt: -1 })
+      .limit(50);
+
+    const result = [];
+    for (const entry of entries) {
+      result.push({
+        ...entry.toObject(),
+        position: entry.status === 'waiting' ? await getWaitlistPosition(entry) : null,
+      });
+    }
+
+    res.status(200).json(
+      successResponse('Waitlist entries retrieved successfully', { entries: result }, 200)
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * List waitlist entries in line order (staff/admin)
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next function
+ */
+export const listWaitlistEntries = async (req, res, next) => {
+  try {
+    const { status, roomType } = req.query;
+
+    const filter = { status: { $in: ACTIVE_WAITLIST_STATUSES } };
+    if (status) {
+      if (!WAITLIST_STATUSES.includes(status)) {
+        return res.status(400).json(
+          errorResponse(`Status must be one of: ${WAITLIST_STATUSES.join(', ')}`, null, 400)
+        );
+      }
+      filter.status = status;
+    }
+    if (roomType) {
+      if (!ROOM_TYPES.includes(roomType)) {
+        return res.status(400).json(
+          errorResponse(`Room type must be one of: ${ROOM_TYPES.join(', ')}`, null, 400)
+        );
+      }
+      filter.roomType = roomType;
+    }
+
+    const entries = await WaitlistEntry.find(filter)
+      .populate('guest', 'name email')
+      .populate('booking', 'status')
+      .sort({ createdAt: 1 })
+      .limit(200);
+
+    res.status(200).json(
+      successResponse('Waitlist entries retrieved successfully', { entries }, 200)
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Leave the waitlist; a room held for the entry goes to the next guest
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next function
+ */
+export const cancelWaitlist = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const entry = mongoose.Types.ObjectId.isValid(id) ? await WaitlistEntry.findById(id) : null;
+    if (!entry) {
+      return res.status(404).json(
+        errorResponse('Waitlist entry not found', null, 404)
+      );
+    }
+
+    if (req.user.role === 'customer' && entry.guest.toString() !== req.user.id) {
+      return res.status(403).json(
+        errorResponse('You can only cancel your own waitlist entries', null, 403)
+      );
+    }
+
+    const result = await cancelWaitlistEntry(entry);
+    if (!result.success) {
+      const code = result.conflict ? 409 : 400;
+      return res.status(code).json(
+        errorResponse(result.message, null, code)
+      );
+    }
+
+    res.status(200).json(
+      successResponse(result.message, { entry: result.entry }, 200)
+    );
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,289 @@
+/**
+ * @fileoverview Work order controller: maintenance work on rooms and their out-of-order blocks
+ * @module controllers/workOrderController
+ */
+
+import mongoose from 'mongoose';
+import WorkOrder from '../models/WorkOrder.js';
+import Room from '../models/Room.js';
+import User from '../models/User.js';
+import { successResponse, errorResponse } from '../utils/ApiResponse.js';
+import { toNightDate } from '../utils/roomAvailability.js';
+import { findBlockConflicts } from '../services/workOrderService.js';
+
+const WORK_ORDER_FIELDS = [
+  'title',
+  'description',
+  'priority',
+  'assignedTo',
+  'startDate',
+  'endDate',
+  'outOfOrder',
+];
+
+// Moves a work order can make; resolved and cancelled orders can be reopened
+const STATUS_TRANSITIONS = {
+  open: ['in_progress', 'resolved', 'cancelled'],
+  in_progress: ['open', 'resolved', 'cancelled'],
+  resolved: ['open'],
+  cancelled: ['open'],
+};
+
+/**
+ * Pick the editable work order fields from a request body. Dates are moved to the night they fall on.
+ * @param {Object} body - Request body
+ * @returns {Object} Work order fields
+ */
+const pickWorkOrderFields = (body) => {
+  const fields = {};
+  WORK_ORDER_FIELDS.forEach((field) => {
+    if (body[field] !== undefined) {
+      fields[field] = body[field] === '' ? null : body[field];
+    }
+  });
+  ['startDate', 'endDate'].forEach((field) => {
+    if (fields[field]) {
+      const date = new Date(fields[field]);
+      fields[field] = Number.isNaN(date.getTime()) ? fields[field] : toNightDate(date);
+    }
+  });
+  return fields;
+};
+
+/**
+ * Check that a work order can be assigned to a user
+ * @param {string|null} userId - User ID
+ * @returns {Promise<boolean>} True when unassigned or assigned to an active staff member
+ */
+const isValidAssignee = async (userId) => {
+  if (!userId) {
+    return true;
+  }
+  if (!mongoose.Types.ObjectId.isValid(userId)) {
+    return false;
+  }
+  return Boolean(await User.exists({ _id: userId, role: { $in: ['staff', 'admin'] }, isActive: true }));
+};
+
+/**
+ * Load a work order by the :id route parameter
+ * @param {import('express').Request} req - Express request object
+ * @returns {Promise<Object|null>} WorkOrder document, or null if not found
+ */
+const loadWorkOrder = (req) =>
+  mongoose.Types.ObjectId.isValid(req.params.id) ? WorkOrder.findById(req.params.id) : null;
+
+/**
+ * Populate a work order for the response
+ * @param {Object} workOrder - WorkOrder document
+ * @returns {Promise<Object>} Work order with room, people and conflicting bookings populated
+ */
+const populateWorkOrder = (workOrder) =>
+  workOrder.populate([
+    { path: 'room', select: 'code type status' },
+    { path: 'assignedTo', select: 'name email' },
+    { path: 'reportedBy', select: 'name email' },
+    { path: 'conflictingBookings', select: 'guest guestName checkInDate checkOutDate status' },
+  ]);
+
+/**
+ * Record the bookings a work order's block clashes with on the order
+ * @param {Object} workOrder - WorkOrder document
+ * @returns {Promise<Object>} Conflicts (bookings, oversoldNights)
+ */
+const flagConflicts = async (workOrder) => {
+  const conflicts = await findBlockConflicts(workOrder);
+  workOrder.conflictingBookings = conflicts.bookings.map((booking) => booking._id);
+  await workOrder.save();
+  return conflicts;
+};
+
+/**
+ * List work orders
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next function
+ */
+export const listWorkOrders = async (req, res, next) => {
+  try {
+    const { status, priority, roomId, assignedTo } = req.query;
+
+    const filter = {};
+    if (status) {
+      filter.status = { $in: String(status).split(',') };
+    }
+    if (priority) {
+      filter.priority = priority;
+    }
+    if (roomId) {
+      filter.room = roomId;
+    }
+    if (assignedTo) {
+      filter.assignedTo = assignedTo === 'none' ? null : assignedTo;
+    }
+
+    const workOrders = await WorkOrder.find(filter)
+      .populate('room', 'code type status')
+      .populate('assignedTo', 'name email')
+      .populate('reportedBy', 'name email')
+      .populate('conflictingBookings', 'guest guestName checkInDate checkOutDate status')
+      .sort({ startDate: 1, createdAt: -1 });
+
+    res.status(200).json(
+      successResponse('Work orders retrieved successfully', { workOrders }, 200)
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get a work order with the bookings its block currently clashes with
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next function
+ */
+export const getWorkOrder = async (req, res, next) => {
+  try {
+    const workOrder = await loadWorkOrder(req);
+    if (!workOrder) {
+      return res.status(404).json(
+        errorResponse('Work order not found', null, 404)
+      );
+    }
+
+    const conflicts = await findBlockConflicts(workOrder);
+    await populateWorkOrder(workOrder);
+
+    res.status(200).json(
+      successResponse('Work order retrieved successfully', { workOrder, conflicts }, 200)
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Raise a work order. Bookings that hold the room during its out-of-order block are flagged.
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next function
+ */
+export const createWorkOrder = async (req, res, next) => {
+  try {
+    const { roomId } = req.body;
+
+    const room = mongoose.Types.ObjectId.isValid(roomId) ? await Room.findById(roomId) : null;
+    if (!room) {
+      return res.status(404).json(
+        errorResponse('Room not found', null, 404)
+      );
+    }
+
+    const fields = pickWorkOrderFields(req.body);
+    if (!(await isValidAssignee(fields.assignedTo))) {
+      return res.status(400).json(
+        errorResponse('Work orders can only be assigned to active staff members', null, 400)
+      );
+    }
+
+    const workOrder = await WorkOrder.create({
+      ...fields,
+      room: room._id,
+      reportedBy: req.user.id,
+    });
+    const conflicts = await flagConflicts(workOrder);
+    await populateWorkOrder(workOrder);
+
+    const message = conflicts.bookings.length > 0
+      ? `Work order created; ${conflicts.bookings.length} booking(s) hold the room during the block`
+      : 'Work order created successfully';
+
+    res.status(201).json(
+      successResponse(message, { workOrder, conflicts }, 201)
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Update a work order's details or block dates; conflicts are flagged again
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next function
+ */
+export const updateWorkOrder = async (req, res, next) => {
+  try {
+    const workOrder = await loadWorkOrder(req);
+    if (!workOrder) {
+      return res.status(404).json(
+        errorResponse('Work order not found', null, 404)
+      );
+    }
+
+    const fields = pickWorkOrderFields(req.body);
+    if (fields.assignedTo !== undefined && !(await isValidAssignee(fields.assignedTo))) {
+      return res.status(400).json(
+        errorResponse('Work orders can only be assigned to active staff members', null, 400)
+      );
+    }
+
+    Object.assign(workOrder, fields);
+    await workOrder.save();
+    const conflicts = await flagConflicts(workOrder);
+    await populateWorkOrder(workOrder);
+
+    res.status(200).json(
+      successResponse('Work order updated successfully', { workOrder, conflicts }, 200)
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Start, resolve, cancel or reopen a work order. Resolving or cancelling puts the room back on sale.
+ * @param {import('express').Request} req - Express request object
+ * @param {import('express').Response} res - Express response object
+ * @param {import('express').NextFunction} next - Express next function
+ */
+export const updateWorkOrderStatus = async (req, res, next) => {
+  try {
+    const { status, resolutionNotes } = req.body || {};
+
+    const workOrder = await loadWorkOrder(req);
+    if (!workOrder) {
+      return res.status(404).json(
+        errorResponse('Work order not found', null, 404)
+      );
+    }
+
+    if (!STATUS_TRANSITIONS[workOrder.status]?.includes(status)) {
+      return res.status(400).json(
+        errorResponse(`Cannot move a ${workOrder.status.replace('_', ' ')} work order to ${status}`, null, 400)
+      );
+    }
+
+    if (status === 'resolved' && !resolutionNotes?.trim()) {
+      return res.status(400).json(
+        errorResponse('Please describe the work done in resolutionNotes', null, 400)
+      );
+    }
+
+    workOrder.status = status;
+    if (resolutionNotes !== undefined) {
+      workOrder.resolutionNotes = resolutionNotes || null;
+    }
+    workOrder.resolvedAt = status === 'resolved' ? new Date() : null;
+    await workOrder.save();
+    const conflicts = await flagConflicts(workOrder);
+    await populateWorkOrder(workOrder);
+
+    res.status(200).json(
+      successResponse('Work order updated successfully', { workOrder, conflicts }, 200)
+    );
+  } catch (error) {
+    next(error);
+  }
+};
@@ -5,15 +5,398 @@
 
 import mongoose from 'mongoose';
 
+/**
+ * Nightly rate sub-schema (price locked in at booking time)
+ */
+const nightlyRateSchema = new mongoose.Schema(
+  {
+    date: {
+      type: Date,
+      required: true,
+    },
+    price: {
+      type: Number,
+      required: true,
+      min: [0, 'Nightly price cannot be negative'],
+    },
+    ratePlan: {
+      type: String,
+      default: null,
+    },
+    // Room the night is spent in, set once the guest has moved rooms (null = the booking's room)
+    room: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Room',
+      default: null,
+    },
+    // When the night audit posted the night's room charge (null = not posted yet)
+    postedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  { _id: false }
+);
+
+/**
+ * Cancellation policy sub-schema (terms locked in at booking time)
+ */
+const cancellationPolicySnapshotSchema = new mongoose.Schema(
+  {
+    policy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'CancellationPolicy',
+      default: null,
+    },
+    name: {
+      type: String,
+      required: true,
+    },
+    description: {
+      type: String,
+      default: '',
+    },
+    freeCancellationHours: {
+      type: Number,
+      default: 0,
+    },
+    penaltyType: {
+      type: String,
+      enum: ['nights', 'percent', 'full'],
+      default: 'nights',
+    },
+    penaltyValue: {
+      type: Number,
+      default: 0,
+    },
+    // Null on terms locked in before no-show charges existed: the late cancellation terms apply
+    noShowPenaltyType: {
+      type: String,
+      enum: ['nights', 'percent', 'full', null],
+      default: null,
+    },
+    noShowPenaltyValue: {
+      type: Number,
+      default: null,
+    },
+    isNonRefundable: {
+      type: Boolean,
+      default: false,
+    },
+  },
+  { _id: false }
+);
+
+/**
+ * Cancellation outcome sub-schema (recorded when the booking is cancelled)
+ */
+const cancellationSchema = new mongoose.Schema(
+  {
+    cancelledAt: {
+      type: Date,
+      required: true,
+    },
+    cancelledBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+    reason: {
+      type: String,
+      trim: true,
+      default: null,
+    },
+    hoursBeforeCheckIn: {
+      type: Number,
+      default: null,
+    },
+    penaltyAmount: {
+      type: Number,
+      default: 0,
+      min: [0, 'Penalty cannot be negative'],
+    },
+    refundAmount: {
+      type: Number,
+      default: 0,
+      min: [0, 'Refund cannot be negative'],
+    },
+    penaltyWaived: {
+      type: Boolean,
+      default: false,
+    },
+    // The guest never arrived; the policy's no-show terms were charged
+    noShow: {
+      type: Boolean,
+      default: false,
+    },
+  },
+  { _id: false }
+);
+
+/**
+ * Deposit sub-schema (set at booking time when the stay's rate or the hotel asks for one)
+ */
+const depositSchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      enum: ['percent', 'first_night', 'full'],
+      required: true,
+    },
+    percent: {
+      type: Number,
+      default: null,
+    },
+    amount: {
+      type: Number,
+      required: true,
+      min: [0, 'Deposit cannot be negative'],
+    },
+    dueBy: {
+      type: Date,
+      default: null,
+    },
+    paidAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  { _id: false }
+);
+
+/**
+ * How a stay's charges are split between the guest and a company paying part of the bill
+ */
+const folioSplitSchema = new mongoose.Schema(
+  {
+    companyName: {
+      type: String,
+      trim: true,
+      required: true,
+      maxlength: [100, 'Company name cannot exceed 100 characters'],
+    },
+    roomTo: {
+      type: String,
+      enum: ['guest', 'company'],
+      default: 'company',
+    },
+    extrasTo: {
+      type: String,
+      enum: ['guest', 'company'],
+      default: 'guest',
+    },
+  },
+  { _id: false }
+);
+
+/**
+ * Promo code redeemed on the booking (terms snapshot, so later edits to the code don't change the discount)
+ */
+const promotionSchema = new mongoose.Schema(
+  {
+    promoCode: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'PromoCode',
+      required: true,
+    },
+    code: {
+      type: String,
+      required: true,
+    },
+    discountType: {
+      type: String,
+      enum: ['percent', 'fixed'],
+      required: true,
+    },
+    discountValue: {
+      type: Number,
+      required: true,
+    },
+    discountAmount: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+  },
+  { _id: false }
+);
+
+/**
+ * Room move during a stay (the guest changed rooms after checking in)
+ */
+const roomMoveSchema = new mongoose.Schema(
+  {
+    fromRoom: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Room',
+      required: true,
+    },
+    toRoom: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Room',
+      required: true,
+    },
+    movedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    movedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+    reason: {
+      type: String,
+      trim: true,
+      maxlength: [200, 'Reason cannot exceed 200 characters'],
+      default: null,
+    },
+    nights: {
+      type: Number,
+      default: 0,
+    },
+    rateDifference: {
+      type: Number,
+      default: 0,
+    },
+    complimentary: {
+      type: Boolean,
+      default: false,
+    },
+  },
+  { _id: false }
+);
+
+/**
+ * Change to the length of a stay after check-in (extended, or cut short by an early departure)
+ */
+const stayChangeSchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      enum: ['extension', 'early_departure'],
+      required: true,
+    },
+    previousCheckOutDate: {
+      type: Date,
+      required: true,
+    },
+    newCheckOutDate: {
+      type: Date,
+      required: true,
+    },
+    nights: {
+      type: Number,
+      default: 0,
+    },
+    amountChange: {
+      type: Number,
+      default: 0,
+    },
+    fee: {
+      type: Number,
+      default: 0,
+    },
+    feeWaived: {
+      type: Boolean,
+      default: false,
+    },
+    reason: {
+      type: String,
+      trim: true,
+      maxlength: [200, 'Reason cannot exceed 200 characters'],
+      default: null,
+    },
+    changedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+    changedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false }
+);
+
+/**
+ * Early check-in or late checkout asked for by the guest, with the fee quoted for it
+ */
+const stayTimeRequestSchema = new mongoose.Schema(
+  {
+    status: {
+      type: String,
+      enum: ['requested', 'approved', 'declined'],
+      default: 'requested',
+    },
+    requestedTime: {
+      type: Date,
+      required: true,
+    },
+    hours: {
+      type: Number,
+      default: 0,
+    },
+    fee: {
+      type: Number,
+      default: 0,
+    },
+    requestedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+    requestedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    decidedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+    decidedAt: {
+      type: Date,
+      default: null,
+    },
+    chargedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  { _id: false }
+);
+
 /**
  * @typedef {Object} BookingSchema
  * @property {mongoose.Types.ObjectId} guest - Reference to User (customer)
- * @property {mongoose.Types.ObjectId} room - Reference to Room
+ * @property {mongoose.Types.ObjectId} group - Reference to the GroupBooking this room belongs to (null for single bookings)
+ * @property {string} guestName - Name of the guest staying in the room (rooming list)
+ * @property {('single'|'double'|'suite')} roomType - Room type that was booked
+ * @property {mongoose.Types.ObjectId} room - Reference to the assigned Room (null until assigned)
+ * @property {Date} roomAssignedAt - When a room was assigned to the booking
  * @property {Date} checkInDate - Check-in date
  * @property {Date} checkOutDate - Check-out date
  * @property {('pending'|'approved'|'checked_in'|'checked_out'|'cancelled')} status - Booking status
  * @property {number} totalNights - Total number of nights (computed)
  * @property {number} totalAmount - Total booking amount
+ * @property {Array<{date: Date, price: number, ratePlan: string, room: mongoose.Types.ObjectId, postedAt: Date}>} nightlyRates - Price
+ *   charged for each night of the stay (room is set once the guest has moved rooms, postedAt once the night audit posted it)
+ * @property {Object[]} roomMoves - Room moves during the stay: from/to room, when, who, why, nights moved,
+ *   change in room charges and whether an upgrade was complimentary
+ * @property {Object[]} stayChanges - Extensions and early departures: previous and new check-out date, nights added or
+ *   removed, change in room charges and any early departure fee
+ * @property {Object} earlyCheckIn - Early check-in request: time, quoted fee, approval and when it was charged (null = none)
+ * @property {Object} lateCheckOut - Late checkout request: time, quoted fee, approval and when it was charged (null = none)
+ * @property {Object} cancellationPolicy - Cancellation terms locked in at booking time (null = free cancellation)
+ * @property {Object} cancellation - Outcome of the cancellation (or no-show): penalty charged and amount to refund
+ * @property {Object} deposit - Deposit owed at booking time: amount, hold expiry (dueBy) and when it was paid (null = no deposit)
+ * @property {mongoose.Types.ObjectId} corporateAccount - Company the stay is booked under (negotiated rate, city-ledger billing)
+ * @property {Object} promotion - Promo code redeemed on the booking and the discount it gave (null = none)
+ * @property {Object} folioSplit - Company paying part of the stay and which charges go to its folio (null = all to the guest)
+ * @property {Date} checkInReminderSentAt - When the guest was reminded of their check-in
+ * @property {Date} feedbackRequestedAt - When the guest was asked to rate their stay
  * @property {mongoose.Types.ObjectId} createdBy - Reference to User who created the booking (staff/admin/customer)
  * @property {Date} createdAt - Booking creation timestamp
  * @property {Date} updatedAt - Booking last update timestamp
@@ -26,10 +409,29 @@ const bookingSchema = new mongoose.Schema(
       ref: 'User',
       required: [true, 'Guest is required'],
     },
+    group: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'GroupBooking',
+      default: null,
+    },
+    guestName: {
+      type: String,
+      trim: true,
+      default: null,
+    },
+    roomType: {
+      type: String,
+      enum: ['single', 'double', 'suite'],
+      default: null,
+    },
     room: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'Room',
-      required: [true, 'Room is required'],
+      default: null,
+    },
+    roomAssignedAt: {
+      type: Date,
+      default: null,
     },
     checkInDate: {
       type: Date,
@@ -61,6 +463,59 @@ const bookingSchema = new mongoose.Schema(
       required: [true, 'Total amount is required'],
       min: [0, 'Total amount cannot be negative'],
     },
+    nightlyRates: {
+      type: [nightlyRateSchema],
+      default: [],
+    },
+    roomMoves: {
+      type: [roomMoveSchema],
+      default: [],
+    },
+    stayChanges: {
+      type: [stayChangeSchema],
+      default: [],
+    },
+    earlyCheckIn: {
+      type: stayTimeRequestSchema,
+      default: null,
+    },
+    lateCheckOut: {
+      type: stayTimeRequestSchema,
+      default: null,
+    },
+    cancellationPolicy: {
+      type: cancellationPolicySnapshotSchema,
+      default: null,
+    },
+    cancellation: {
+      type: cancellationSchema,
+      default: null,
+    },
+    deposit: {
+      type: depositSchema,
+      default: null,
+    },
+    corporateAccount: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'CorporateAccount',
+      default: null,
+    },
+    promotion: {
+      type: promotionSchema,
+      default: null,
+    },
+    folioSplit: {
+      type: folioSplitSchema,
+      default: null,
+    },
+    checkInReminderSentAt: {
+      type: Date,
+      default: null,
+    },
+    feedbackRequestedAt: {
+      type: Date,
+      default: null,
+    },
     createdBy: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User',
@@ -98,12 +553,17 @@ bookingSchema.pre('save', function (next) {
 bookingSchema.index({ guest: 1 }); // Query bookings by guest
 bookingSchema.index({ room: 1 }); // Query bookings by room
 bookingSchema.index({ status: 1 }); // Query bookings by status
+bookingSchema.index({ corporateAccount: 1 }, { sparse: true }); // Query a company's bookings
+bookingSchema.index({ 'promotion.promoCode': 1 }, { sparse: true }); // Count a promo code's redemptions
 bookingSchema.index({ checkInDate: 1, checkOutDate: 1 }); // Query by date range
 bookingSchema.index({ guest: 1, status: 1 }); // Query guest bookings by status
+bookingSchema.index({ group: 1 }, { sparse: true }); // Query the rooms of a group booking
 bookingSchema.index({ room: 1, status: 1 }); // Query room bookings by status
+bookingSchema.index({ roomType: 1, status: 1 }); // Query room type bookings by status
 bookingSchema.index({ createdBy: 1 }); // Query bookings by creator
 bookingSchema.index({ checkInDate: 1 }); // Query by check-in date
 bookingSchema.index({ checkOutDate: 1 }); // Query by check-out date
+bookingSchema.index({ 'deposit.dueBy': 1 }, { sparse: true }); // Find holds whose deposit is overdue
 
 const Booking = mongoose.model('Booking', bookingSchema);
 
@@ -0,0 +1,100 @@
+/**
+ * @fileoverview CancellationPolicy model - when a booking can be cancelled for free and what it costs afterwards
+ * @module models/CancellationPolicy
+ */
+
+import mongoose from 'mongoose';
+
+/**
+ * @typedef {Object} CancellationPolicySchema
+ * @property {string} name - Policy name shown to guests (e.g. "Flexible", "Non-refundable")
+ * @property {string} description - Guest-facing explanation of the policy
+ * @property {number} freeCancellationHours - Cancelling at least this many hours before check-in is free
+ * @property {('nights'|'percent'|'full')} penaltyType - How the late cancellation charge is worked out
+ * @property {number} penaltyValue - Number of nights, or percentage of the stay, charged for a late cancellation
+ * @property {('nights'|'percent'|'full')} noShowPenaltyType - How the charge for a guest who never arrives is worked out
+ * @property {number} noShowPenaltyValue - Number of nights, or percentage of the stay, charged for a no-show
+ * @property {boolean} isNonRefundable - The stay is charged in full whenever it is cancelled
+ * @property {boolean} isDefault - Applies to bookings whose rate plans do not name a policy
+ * @property {boolean} isActive - Whether the policy can be applied to new bookings
+ * @property {Date} createdAt - Policy creation timestamp
+ * @property {Date} updatedAt - Policy last update timestamp
+ */
+
+const cancellationPolicySchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Policy name is required'],
+      trim: true,
+      maxlength: [100, 'Policy name cannot exceed 100 characters'],
+    },
+    description: {
+      type: String,
+      trim: true,
+      default: '',
+    },
+    freeCancellationHours: {
+      type: Number,
+      default: 48,
+      min: [0, 'Free cancellation window cannot be negative'],
+    },
+    penaltyType: {
+      type: String,
+      enum: ['nights', 'percent', 'full'],
+      default: 'nights',
+    },
+    penaltyValue: {
+      type: Number,
+      default: 1,
+      min: [0, 'Penalty cannot be negative'],
+    },
+    noShowPenaltyType: {
+      type: String,
+      enum: ['nights', 'percent', 'full'],
+      default: 'nights',
+    },
+    noShowPenaltyValue: {
+      type: Number,
+      default: 1,
+      min: [0, 'No-show penalty cannot be negative'],
+    },
+    isNonRefundable: {
+      type: Boolean,
+      default: false,
+    },
+    isDefault: {
+      type: Boolean,
+      default: false,
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now,
+    },
+    updatedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  {
+    timestamps: false, // We're handling timestamps manually
+    versionKey: false,
+  }
+);
+
+// Update updatedAt before saving
+cancellationPolicySchema.pre('save', function (next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+// Indexes for frequent queries
+cancellationPolicySchema.index({ isDefault: 1, isActive: 1 }); // Find the default policy
+
+const CancellationPolicy = mongoose.model('CancellationPolicy', cancellationPolicySchema);
+
+export default CancellationPolicy;
@@ -0,0 +1,93 @@
+/**
+ * @fileoverview CityLedgerEntry model - charges, payments and adjustments on a corporate account's ledger
+ * @module models/CityLedgerEntry
+ */
+
+import mongoose from 'mongoose';
+
+/**
+ * @typedef {Object} CityLedgerEntrySchema
+ * @property {mongoose.Types.ObjectId} account - Reference to CorporateAccount
+ * @property {('charge'|'payment'|'adjustment')} type - Charge: a stay's balance transferred to the company;
+ *   payment: money received from the company; adjustment: correction or write-off (signed)
+ * @property {mongoose.Types.ObjectId} booking - Charges: the stay whose balance was transferred
+ * @property {mongoose.Types.ObjectId} payment - Charges: the city-ledger payment that settled the stay's folio
+ * @property {number} amount - Charges and payments: positive amount; adjustments: signed amount
+ * @property {string} description - What the entry is for
+ * @property {string} paymentMethod - Payments: how the company paid
+ * @property {string} reference - Payments: cheque number, bank reference, etc.
+ * @property {mongoose.Types.ObjectId} postedBy - Reference to User who posted the entry
+ * @property {Date} postedAt - When the entry was posted (ages the receivable)
+ * @property {Date} createdAt - Creation timestamp
+ */
+
+const cityLedgerEntrySchema = new mongoose.Schema(
+  {
+    account: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'CorporateAccount',
+      required: [true, 'Corporate account is required'],
+    },
+    type: {
+      type: String,
+      enum: ['charge', 'payment', 'adjustment'],
+      required: [true, 'Entry type is required'],
+    },
+    booking: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Booking',
+      default: null,
+    },
+    payment: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Payment',
+      default: null,
+    },
+    amount: {
+      type: Number,
+      required: [true, 'Amount is required'],
+    },
+    description: {
+      type: String,
+      required: [true, 'Description is required'],
+      trim: true,
+      maxlength: [200, 'Description cannot exceed 200 characters'],
+    },
+    paymentMethod: {
+      type: String,
+      enum: ['cash', 'card', 'bkash', 'rocket', 'nagad', 'bank', 'cheque', null],
+      default: null,
+    },
+    reference: {
+      type: String,
+      trim: true,
+      maxlength: [100, 'Reference cannot exceed 100 characters'],
+      default: null,
+    },
+    postedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+    postedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  {
+    timestamps: false, // Entries are never edited; corrections are posted as adjustments
+    versionKey: false,
+  }
+);
+
+// Indexes for frequent queries
+cityLedgerEntrySchema.index({ account: 1, postedAt: 1 }); // An account's ledger in posting order
+cityLedgerEntrySchema.index({ booking: 1 }, { sparse: true }); // Transfers of a stay
+
+const CityLedgerEntry = mongoose.model('CityLedgerEntry', cityLedgerEntrySchema);
+
+export default CityLedgerEntry;
@@ -0,0 +1,126 @@
+/**
+ * @fileoverview CorporateAccount model - companies with negotiated rates billed on the city ledger
+ * @module models/CorporateAccount
+ */
+
+import mongoose from 'mongoose';
+
+/**
+ * @typedef {Object} CorporateAccountSchema
+ * @property {string} name - Company name
+ * @property {Object} billingContact - Who receives statements: name, email and phone
+ * @property {string} address - Billing address
+ * @property {Array<{roomType: string, nightlyRate: number}>} negotiatedRates - Fixed nightly rate per room type
+ * @property {number} discountPercent - Discount off the published rate for room types without a negotiated rate
+ * @property {number} creditLimit - Most the company may owe on the city ledger
+ * @property {number} paymentTermsDays - Days the company has to settle a transferred balance
+ * @property {number} balance - Amount currently owed on the city ledger
+ * @property {boolean} isActive - Inactive accounts keep their ledger but cannot take new bookings or transfers
+ * @property {string} notes - Internal notes
+ * @property {mongoose.Types.ObjectId} createdBy - Reference to User who created the account
+ * @property {Date} createdAt - Creation timestamp
+ * @property {Date} updatedAt - Last update timestamp
+ */
+
+const negotiatedRateSchema = new mongoose.Schema(
+  {
+    roomType: {
+      type: String,
+      enum: ['single', 'double', 'suite'],
+      required: true,
+    },
+    nightlyRate: {
+      type: Number,
+      required: true,
+      min: [0, 'Nightly rate cannot be negative'],
+    },
+  },
+  { _id: false }
+);
+
+const corporateAccountSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Company name is required'],
+      trim: true,
+      maxlength: [100, 'Company name cannot exceed 100 characters'],
+    },
+    billingContact: {
+      name: { type: String, trim: true, default: null },
+      email: { type: String, trim: true, lowercase: true, default: null },
+      phone: { type: String, trim: true, default: null },
+    },
+    address: {
+      type: String,
+      trim: true,
+      maxlength: [300, 'Address cannot exceed 300 characters'],
+      default: null,
+    },
+    negotiatedRates: {
+      type: [negotiatedRateSchema],
+      default: [],
+    },
+    discountPercent: {
+      type: Number,
+      default: 0,
+      min: [0, 'Discount cannot be negative'],
+      max: [100, 'Discount cannot exceed 100%'],
+    },
+    creditLimit: {
+      type: Number,
+      default: 0,
+      min: [0, 'Credit limit cannot be negative'],
+    },
+    paymentTermsDays: {
+      type: Number,
+      default: 30,
+      min: [0, 'Payment terms cannot be negative'],
+    },
+    balance: {
+      type: Number,
+      default: 0,
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    notes: {
+      type: String,
+      trim: true,
+      maxlength: [1000, 'Notes cannot exceed 1000 characters'],
+      default: null,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now,
+    },
+    updatedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  {
+    timestamps: false, // We're handling timestamps manually
+    versionKey: false,
+  }
+);
+
+// Update updatedAt before saving
+corporateAccountSchema.pre('save', function (next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+// Indexes for frequent queries
+corporateAccountSchema.index({ name: 1 }, { unique: true, collation: { locale: 'en', strength: 2 } }); // One account per company
+corporateAccountSchema.index({ isActive: 1 }); // Query active accounts
+
+const CorporateAccount = mongoose.model('CorporateAccount', corporateAccountSchema);
+
+export default CorporateAccount;
@@ -0,0 +1,48 @@
+/**
+ * @fileoverview Counter model - named sequences for gap-free document numbers
+ * @module models/Counter
+ */
+
+import mongoose from 'mongoose';
+
+/**
+ * @typedef {Object} CounterSchema
+ * @property {string} _id - Sequence name, e.g. "invoice-2025"
+ * @property {number} seq - Last number handed out
+ */
+
+const counterSchema = new mongoose.Schema(
+  {
+    _id: {
+      type: String,
+      required: true,
+    },
+    seq: {
+      type: Number,
+      default: 0,
+    },
+  },
+  {
+    timestamps: false,
+    versionKey: false,
+  }
+);
+
+/**
+ * Hand out the next number of a sequence. The increment is a single atomic update,
+ * so concurrent callers always get different numbers.
+ * @param {string} name - Sequence name
+ * @returns {Promise<number>} Next number (starting at 1)
+ */
+counterSchema.statics.next = async function (name) {
+  const counter = await this.findOneAndUpdate(
+    { _id: name },
+    { $inc: { seq: 1 } },
+    { upsert: true, new: true }
+  );
+  return counter.seq;
+};
+
+const Counter = mongoose.model('Counter', counterSchema);
+
+export default Counter;
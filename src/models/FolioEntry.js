@@ -0,0 +1,95 @@
+/**
+ * @fileoverview FolioEntry model - charges, discounts and adjustments posted to a stay's folio by staff,
+ * and the room charges the night audit posts for each night it closes
+ * @module models/FolioEntry
+ */
+
+import mongoose from 'mongoose';
+
+/**
+ * @typedef {Object} FolioEntrySchema
+ * @property {mongoose.Types.ObjectId} booking - Reference to Booking
+ * @property {('guest'|'company')} folio - Folio the entry is posted to
+ * @property {('charge'|'discount'|'adjustment')} type - Charge adds to the bill, discount takes off it,
+ *   adjustment corrects it either way (payments are Payment records posted to a folio)
+ * @property {('room'|'extras')} category - Part of the bill the entry belongs to (decides its taxes and split routing)
+ * @property {string} description - What the entry is for
+ * @property {number} amount - Charges and discounts: positive amount; adjustments: signed amount
+ * @property {Date} night - Night whose room charge the night audit posted (null for entries posted by staff)
+ * @property {mongoose.Types.ObjectId} postedBy - Reference to User who posted the entry (none when the
+ *   scheduler's night audit posted it)
+ * @property {Date} postedAt - When the entry was posted
+ * @property {Date} createdAt - Creation timestamp
+ */
+
+const folioEntrySchema = new mongoose.Schema(
+  {
+    booking: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Booking',
+      required: [true, 'Booking is required'],
+    },
+    folio: {
+      type: String,
+      enum: ['guest', 'company'],
+      default: 'guest',
+    },
+    type: {
+      type: String,
+      enum: ['charge', 'discount', 'adjustment'],
+      required: [true, 'Entry type is required'],
+    },
+    category: {
+      type: String,
+      enum: ['room', 'extras'],
+      default: 'extras',
+    },
+    description: {
+      type: String,
+      required: [true, 'Description is required'],
+      trim: true,
+      maxlength: [200, 'Description cannot exceed 200 characters'],
+    },
+    amount: {
+      type: Number,
+      required: [true, 'Amount is required'],
+    },
+    night: {
+      type: Date,
+      default: null,
+    },
+    postedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [
+        function () {
+          return !this.night;
+        },
+        'Posting user is required',
+      ],
+    },
+    postedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  {
+    timestamps: false, // Entries are never edited; corrections are posted as adjustments
+    versionKey: false,
+  }
+);
+
+// Indexes for frequent queries
+folioEntrySchema.index({ booking: 1, postedAt: 1 }); // A stay's folio in posting order
+folioEntrySchema.index(
+  { booking: 1, night: 1 },
+  { unique: true, partialFilterExpression: { night: { $type: 'date' } } }
+); // A night's room charge is posted once
+
+const FolioEntry = mongoose.model('FolioEntry', folioEntrySchema);
+
+export default FolioEntry;
@@ -0,0 +1,105 @@
+/**
+ * @fileoverview GroupBooking model - a party (corporate block, wedding) that owns many room bookings
+ * @module models/GroupBooking
+ */
+
+import mongoose from 'mongoose';
+
+/**
+ * @typedef {Object} GroupBookingSchema
+ * @property {string} name - Party name shown on the rooming list and invoices
+ * @property {mongoose.Types.ObjectId} organizer - Reference to User who owns the group's bookings
+ * @property {string} contactName - Contact person for the party
+ * @property {string} contactEmail - Contact email for the party
+ * @property {Date} checkInDate - Arrival date of the block
+ * @property {Date} checkOutDate - Departure date of the block
+ * @property {('pending'|'approved'|'checked_in'|'checked_out'|'cancelled')} status - Group status
+ * @property {('master'|'split')} billingMode - One master invoice for the party, or one invoice per room
+ * @property {string} notes - Internal notes
+ * @property {mongoose.Types.ObjectId} createdBy - Reference to User who created the group
+ * @property {Date} createdAt - Creation timestamp
+ * @property {Date} updatedAt - Last update timestamp
+ */
+
+const groupBookingSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Group name is required'],
+      trim: true,
+      maxlength: [120, 'Group name cannot exceed 120 characters'],
+    },
+    organizer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'Organizer is required'],
+    },
+    contactName: {
+      type: String,
+      trim: true,
+      default: null,
+    },
+    contactEmail: {
+      type: String,
+      trim: true,
+      lowercase: true,
+      default: null,
+    },
+    checkInDate: {
+      type: Date,
+      required: [true, 'Check-in date is required'],
+    },
+    checkOutDate: {
+      type: Date,
+      required: [true, 'Check-out date is required'],
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'approved', 'checked_in', 'checked_out', 'cancelled'],
+      default: 'pending',
+      required: true,
+    },
+    billingMode: {
+      type: String,
+      enum: ['master', 'split'],
+      default: 'master',
+      required: true,
+    },
+    notes: {
+      type: String,
+      trim: true,
+      default: null,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'Created by user is required'],
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now,
+    },
+    updatedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  {
+    timestamps: false, // We're handling timestamps manually
+    versionKey: false,
+  }
+);
+
+// Update updatedAt before saving
+groupBookingSchema.pre('save', function (next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+// Indexes for frequent queries
+groupBookingSchema.index({ organizer: 1 }); // Query groups by organizer
+groupBookingSchema.index({ status: 1, checkInDate: 1 }); // Query upcoming groups
+
+const GroupBooking = mongoose.model('GroupBooking', groupBookingSchema);
+
+export default GroupBooking;
@@ -0,0 +1,107 @@
+/**
+ * @fileoverview HousekeepingTask model - a room to clean on a given day
+ * @module models/HousekeepingTask
+ */
+
+import mongoose from 'mongoose';
+
+/**
+ * @typedef {Object} HousekeepingTaskSchema
+ * @property {mongoose.Types.ObjectId} room - Reference to the Room to clean
+ * @property {Date} date - Day the room is cleaned (UTC midnight)
+ * @property {('departure'|'stayover')} type - Full clean after a guest leaves, or a service clean of an occupied room
+ * @property {mongoose.Types.ObjectId} booking - Reference to the Booking leaving or staying over
+ * @property {mongoose.Types.ObjectId} assignedTo - Reference to the housekeeper (User) doing the task
+ * @property {('pending'|'in_progress'|'done'|'inspected')} status - Task progress
+ * @property {string} notes - Notes for or from the housekeeper
+ * @property {Date} startedAt - When cleaning started
+ * @property {Date} completedAt - When cleaning finished
+ * @property {Date} inspectedAt - When a supervisor passed the room
+ * @property {mongoose.Types.ObjectId} inspectedBy - Reference to the User who inspected the room
+ * @property {Date} createdAt - Creation timestamp
+ * @property {Date} updatedAt - Last update timestamp
+ */
+
+const housekeepingTaskSchema = new mongoose.Schema(
+  {
+    room: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Room',
+      required: [true, 'Room is required'],
+    },
+    date: {
+      type: Date,
+      required: [true, 'Date is required'],
+    },
+    type: {
+      type: String,
+      enum: ['departure', 'stayover'],
+      required: [true, 'Task type is required'],
+    },
+    booking: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Booking',
+      default: null,
+    },
+    assignedTo: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'in_progress', 'done', 'inspected'],
+      default: 'pending',
+    },
+    notes: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Notes cannot exceed 500 characters'],
+      default: null,
+    },
+    startedAt: {
+      type: Date,
+      default: null,
+    },
+    completedAt: {
+      type: Date,
+      default: null,
+    },
+    inspectedAt: {
+      type: Date,
+      default: null,
+    },
+    inspectedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now,
+    },
+    updatedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  {
+    timestamps: false, // We're handling timestamps manually
+    versionKey: false,
+  }
+);
+
+// Update updatedAt before saving
+housekeepingTaskSchema.pre('save', function (next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+// Indexes for frequent queries
+housekeepingTaskSchema.index({ room: 1, date: 1 }, { unique: true }); // One task per room per day
+housekeepingTaskSchema.index({ date: 1, status: 1 }); // A day's task board
+housekeepingTaskSchema.index({ assignedTo: 1, date: 1 }); // A housekeeper's tasks
+
+const HousekeepingTask = mongoose.model('HousekeepingTask', housekeepingTaskSchema);
+
+export default HousekeepingTask;
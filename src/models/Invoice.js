@@ -0,0 +1,204 @@
+/**
+ * @fileoverview Invoice model - issued invoices and credit notes with sequential numbers
+ * @module models/Invoice
+ */
+
+import mongoose from 'mongoose';
+
+/**
+ * @typedef {Object} InvoiceSchema
+ * @property {string} number - Sequential document number, e.g. INV-2025-000042 or CN-2025-000003
+ *   (taken before the document is saved; never reused, even when the document is voided)
+ * @property {('invoice'|'credit_note')} kind - Invoice, or credit note reducing an issued invoice
+ * @property {mongoose.Types.ObjectId} booking - Reference to Booking (null for a group's master invoice)
+ * @property {mongoose.Types.ObjectId} group - Reference to GroupBooking for master invoices
+ * @property {mongoose.Types.ObjectId} creditNoteFor - Credit notes: the invoice being credited
+ * @property {('issued'|'void')} status - Issued documents are never edited; mistakes are voided or credited
+ * @property {Object} billTo - Name and email the document is addressed to
+ * @property {Object[]} lineItems - Charges as they stood when the document was issued
+ * @property {Object[]} taxLines - Tax lines as they stood when the document was issued
+ * @property {number} subtotal - Subtotal of the line items
+ * @property {number} taxTotal - Total tax
+ * @property {number} total - Amount invoiced (or credited)
+ * @property {number} creditedAmount - Invoices: total of the credit notes issued against it
+ * @property {string} reason - Credit notes: why the amount is credited
+ * @property {Date} issuedAt - Issue timestamp
+ * @property {mongoose.Types.ObjectId} issuedBy - Reference to User who issued the document
+ * @property {Date} voidedAt - Void timestamp
+ * @property {mongoose.Types.ObjectId} voidedBy - Reference to User who voided the document
+ * @property {string} voidReason - Why the document was voided
+ * @property {Date} createdAt - Creation timestamp
+ * @property {Date} updatedAt - Last update timestamp
+ */
+
+const lineItemSchema = new mongoose.Schema(
+  {
+    description: { type: String, required: true },
+    quantity: { type: Number, required: true },
+    unitPrice: { type: Number, required: true },
+    total: { type: Number, required: true },
+  },
+  { _id: false }
+);
+
+const taxLineSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true },
+    rate: { type: Number, required: true },
+    isInclusive: { type: Boolean, default: false },
+    amount: { type: Number, required: true },
+  },
+  { _id: false }
+);
+
+const invoiceSchema = new mongoose.Schema(
+  {
+    number: {
+      type: String,
+      trim: true,
+      default: null,
+    },
+    kind: {
+      type: String,
+      enum: ['invoice', 'credit_note'],
+      default: 'invoice',
+    },
+    booking: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Booking',
+      required: [
+        function () {
+          return !this.group;
+        },
+        'Booking is required',
+      ],
+      default: null,
+    },
+    group: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'GroupBooking',
+      default: null,
+    },
+    creditNoteFor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Invoice',
+      required: [
+        function () {
+          return this.kind === 'credit_note';
+        },
+        'Credit notes must reference an invoice',
+      ],
+      default: null,
+    },
+    status: {
+      type: String,
+      enum: ['issued', 'void'],
+      default: 'issued',
+    },
+    billTo: {
+      name: { type: String, trim: true, default: null },
+      email: { type: String, trim: true, default: null },
+    },
+    lineItems: {
+      type: [lineItemSchema],
+      default: [],
+    },
+    taxLines: {
+      type: [taxLineSchema],
+      default: [],
+    },
+    subtotal: {
+      type: Number,
+      required: true,
+    },
+    taxTotal: {
+      type: Number,
+      default: 0,
+    },
+    total: {
+      type: Number,
+      required: true,
+      min: [0, 'Total cannot be negative'],
+    },
+    creditedAmount: {
+      type: Number,
+      default: 0,
+      min: [0, 'Credited amount cannot be negative'],
+    },
+    reason: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Reason cannot exceed 500 characters'],
+      default: null,
+    },
+    issuedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    issuedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+    voidedAt: {
+      type: Date,
+      default: null,
+    },
+    voidedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+    voidReason: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Void reason cannot exceed 500 characters'],
+      default: null,
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now,
+    },
+    updatedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  {
+    timestamps: false,
+    versionKey: false,
+  }
+);
+
+// Update updatedAt before saving
+invoiceSchema.pre('save', function (next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+// Numbers are unique once assigned
+invoiceSchema.index(
+  { number: 1 },
+  { unique: true, partialFilterExpression: { number: { $type: 'string' } } }
+);
+// At most one issued invoice per booking and per group
+invoiceSchema.index(
+  { booking: 1 },
+  {
+    unique: true,
+    partialFilterExpression: { kind: 'invoice', status: 'issued', booking: { $type: 'objectId' } },
+  }
+);
+invoiceSchema.index(
+  { group: 1 },
+  {
+    unique: true,
+    partialFilterExpression: { kind: 'invoice', status: 'issued', group: { $type: 'objectId' } },
+  }
+);
+invoiceSchema.index({ creditNoteFor: 1 }, { sparse: true }); // Credit notes of an invoice
+invoiceSchema.index({ kind: 1, issuedAt: -1 }); // Invoice register, newest first
+
+const Invoice = mongoose.model('Invoice', invoiceSchema);
+
+export default Invoice;
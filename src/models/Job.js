@@ -0,0 +1,108 @@
+/**
+ * @fileoverview Job model - a recurring background task run by the job scheduler
+ * @module models/Job
+ */
+
+import mongoose from 'mongoose';
+
+/**
+ * @typedef {Object} JobSchema
+ * @property {string} name - Job key, one per task the scheduler knows how to run (e.g. "no-shows")
+ * @property {string} description - What the job does, shown to admins
+ * @property {('interval'|'daily')} scheduleType - Run every few minutes, or once a day at a time
+ * @property {number} intervalMinutes - Minutes between runs of an interval job
+ * @property {string} timeOfDay - Time a daily job runs (HH:mm, the hotel's local time)
+ * @property {boolean} isEnabled - Whether the scheduler runs the job
+ * @property {Date} nextRunAt - When the job is next due
+ * @property {Date} lastRunAt - When the job last started
+ * @property {('succeeded'|'failed')} lastStatus - Outcome of the last run
+ * @property {string} lastError - Error message of the last failed run
+ * @property {string} lockedBy - Server instance running the job (null when idle)
+ * @property {Date} lockedUntil - When a lock left by a crashed instance may be taken over
+ * @property {Date} createdAt - Creation timestamp
+ * @property {Date} updatedAt - Last update timestamp
+ */
+
+const jobSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Job name is required'],
+      unique: true,
+      trim: true,
+    },
+    description: {
+      type: String,
+      default: '',
+    },
+    scheduleType: {
+      type: String,
+      enum: ['interval', 'daily'],
+      required: [true, 'Schedule type is required'],
+    },
+    intervalMinutes: {
+      type: Number,
+      default: null,
+      min: [1, 'Interval must be at least 1 minute'],
+    },
+    timeOfDay: {
+      type: String,
+      default: null,
+      match: [/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/, 'Invalid time format. Use HH:mm'],
+    },
+    isEnabled: {
+      type: Boolean,
+      default: true,
+    },
+    nextRunAt: {
+      type: Date,
+      default: null,
+    },
+    lastRunAt: {
+      type: Date,
+      default: null,
+    },
+    lastStatus: {
+      type: String,
+      enum: ['succeeded', 'failed', null],
+      default: null,
+    },
+    lastError: {
+      type: String,
+      default: null,
+    },
+    lockedBy: {
+      type: String,
+      default: null,
+    },
+    lockedUntil: {
+      type: Date,
+      default: null,
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now,
+    },
+    updatedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  {
+    timestamps: false, // We're handling timestamps manually
+    versionKey: false,
+  }
+);
+
+// Update updatedAt before saving
+jobSchema.pre('save', function (next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+// Indexes for frequent queries
+jobSchema.index({ isEnabled: 1, nextRunAt: 1 }); // Find due jobs
+
+const Job = mongoose.model('Job', jobSchema);
+
+export default Job;
@@ -0,0 +1,86 @@
+/**
+ * @fileoverview JobRun model - one run of a scheduled job, kept as the job's history
+ * @module models/JobRun
+ */
+
+import mongoose from 'mongoose';
+
+/**
+ * @typedef {Object} JobRunSchema
+ * @property {mongoose.Types.ObjectId} job - Reference to the Job
+ * @property {string} jobName - Job key at the time of the run
+ * @property {('schedule'|'manual')} trigger - Started by the scheduler or by an admin
+ * @property {mongoose.Types.ObjectId} triggeredBy - Reference to the admin (User) who started a manual run
+ * @property {string} instance - Server instance that ran the job
+ * @property {('running'|'succeeded'|'failed')} status - Run progress
+ * @property {Date} startedAt - When the run started
+ * @property {Date} finishedAt - When the run finished
+ * @property {number} durationMs - How long the run took
+ * @property {Object} result - What the job reported (counts, file names, etc.)
+ * @property {string} error - Error message of a failed run
+ */
+
+const jobRunSchema = new mongoose.Schema(
+  {
+    job: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Job',
+      required: [true, 'Job is required'],
+    },
+    jobName: {
+      type: String,
+      required: [true, 'Job name is required'],
+    },
+    trigger: {
+      type: String,
+      enum: ['schedule', 'manual'],
+      default: 'schedule',
+    },
+    triggeredBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+    instance: {
+      type: String,
+      default: null,
+    },
+    status: {
+      type: String,
+      enum: ['running', 'succeeded', 'failed'],
+      default: 'running',
+    },
+    startedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    finishedAt: {
+      type: Date,
+      default: null,
+    },
+    durationMs: {
+      type: Number,
+      default: null,
+    },
+    result: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null,
+    },
+    error: {
+      type: String,
+      default: null,
+    },
+  },
+  {
+    timestamps: false,
+    versionKey: false,
+  }
+);
+
+// Indexes for frequent queries
+jobRunSchema.index({ job: 1, startedAt: -1 }); // A job's run history, newest first
+jobRunSchema.index({ startedAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 }); // Keep 30 days of history
+
+const JobRun = mongoose.model('JobRun', jobRunSchema);
+
+export default JobRun;
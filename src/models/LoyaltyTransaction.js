@@ -0,0 +1,92 @@
+/**
+ * @fileoverview LoyaltyTransaction model - a guest's loyalty points ledger
+ * @module models/LoyaltyTransaction
+ */
+
+import mongoose from 'mongoose';
+
+/**
+ * @typedef {Object} LoyaltyTransactionSchema
+ * @property {mongoose.Types.ObjectId} user - Reference to the guest (User) whose points moved
+ * @property {('earn'|'reverse'|'redeem'|'restore'|'adjustment')} type - Points earned on a paid stay, earned points
+ *   taken back after a refund, points spent as a payment, spent points given back when that payment is refunded,
+ *   or a manual correction
+ * @property {number} points - Points added (positive) or taken off (negative)
+ * @property {number} amount - Money the points relate to: the amount paid they were earned on (earn/reverse,
+ *   negative when reversed) or the value they paid (redeem/restore)
+ * @property {number} balanceAfter - Guest's points balance after this transaction
+ * @property {mongoose.Types.ObjectId} booking - Reference to the Booking the points belong to
+ * @property {mongoose.Types.ObjectId} payment - Reference to the Payment made with the points (redeem/restore)
+ * @property {string} description - What the transaction is
+ * @property {mongoose.Types.ObjectId} postedBy - Reference to the User who posted it (null when automatic)
+ * @property {Date} createdAt - When the points moved
+ */
+
+const loyaltyTransactionSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'User is required'],
+    },
+    type: {
+      type: String,
+      enum: ['earn', 'reverse', 'redeem', 'restore', 'adjustment'],
+      required: [true, 'Transaction type is required'],
+    },
+    points: {
+      type: Number,
+      required: [true, 'Points are required'],
+      validate: {
+        validator: Number.isInteger,
+        message: 'Points must be a whole number',
+      },
+    },
+    amount: {
+      type: Number,
+      default: 0,
+    },
+    balanceAfter: {
+      type: Number,
+      required: true,
+    },
+    booking: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Booking',
+      default: null,
+    },
+    payment: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Payment',
+      default: null,
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [200, 'Description cannot exceed 200 characters'],
+      default: null,
+    },
+    postedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  {
+    timestamps: false, // We're handling timestamps manually
+    versionKey: false,
+  }
+);
+
+// Indexes for frequent queries
+loyaltyTransactionSchema.index({ user: 1, createdAt: -1 }); // A guest's ledger, newest first
+loyaltyTransactionSchema.index({ booking: 1, type: 1 }); // Points earned on a stay
+loyaltyTransactionSchema.index({ payment: 1 }); // Points spent on a payment
+
+const LoyaltyTransaction = mongoose.model('LoyaltyTransaction', loyaltyTransactionSchema);
+
+export default LoyaltyTransaction;
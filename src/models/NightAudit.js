@@ -0,0 +1,166 @@
+/**
+ * @fileoverview NightAudit model - the close of a business date: room charges posted, exceptions found
+ * and the day's occupancy and revenue figures as they stood when the day was closed
+ * @module models/NightAudit
+ */
+
+import mongoose from 'mongoose';
+
+/**
+ * Room charge posted for a guest in house on the night
+ */
+const roomChargeSchema = new mongoose.Schema(
+  {
+    booking: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Booking',
+      required: true,
+    },
+    guestName: {
+      type: String,
+      default: null,
+    },
+    roomCode: {
+      type: String,
+      default: null,
+    },
+    amount: {
+      type: Number,
+      required: true,
+    },
+  },
+  { _id: false }
+);
+
+/**
+ * Departure with money still owed or owing on its folio
+ */
+const unbalancedFolioSchema = new mongoose.Schema(
+  {
+    booking: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Booking',
+      required: true,
+    },
+    guestName: {
+      type: String,
+      default: null,
+    },
+    roomCode: {
+      type: String,
+      default: null,
+    },
+    // Positive = the guest owes money, negative = the hotel owes the guest
+    balance: {
+      type: Number,
+      required: true,
+    },
+  },
+  { _id: false }
+);
+
+/**
+ * Guest due out on or before the business date who is still checked in
+ */
+const unreturnedDepartureSchema = new mongoose.Schema(
+  {
+    booking: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Booking',
+      required: true,
+    },
+    guestName: {
+      type: String,
+      default: null,
+    },
+    roomCode: {
+      type: String,
+      default: null,
+    },
+    checkOutDate: {
+      type: Date,
+      required: true,
+    },
+  },
+  { _id: false }
+);
+
+/**
+ * @typedef {Object} NightAuditSchema
+ * @property {Date} businessDate - Business date closed (UTC midnight, one audit per date)
+ * @property {Date} closedAt - When the day was closed
+ * @property {mongoose.Types.ObjectId} closedBy - Reference to the User who ran the audit (null = the scheduler)
+ * @property {Object[]} roomCharges - Room charges posted for the night: booking, guest, room and amount
+ * @property {Object[]} unbalancedFolios - The day's departures whose folio does not balance
+ * @property {Object[]} unreturnedDepartures - Guests due out by the business date who are still checked in
+ * @property {Object} occupancy - Rooms, occupied rooms, occupancy percentage, arrivals, departures, no-shows, ADR and RevPAR
+ * @property {Object} revenue - Room, extras and penalty charges, payments received and refunds (by method and tax line),
+ *   tax and net revenue
+ * @property {Date} createdAt - Creation timestamp
+ */
+
+const nightAuditSchema = new mongoose.Schema(
+  {
+    businessDate: {
+      type: Date,
+      required: [true, 'Business date is required'],
+      unique: true,
+    },
+    closedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    closedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+    roomCharges: {
+      type: [roomChargeSchema],
+      default: [],
+    },
+    unbalancedFolios: {
+      type: [unbalancedFolioSchema],
+      default: [],
+    },
+    unreturnedDepartures: {
+      type: [unreturnedDepartureSchema],
+      default: [],
+    },
+    occupancy: {
+      totalRooms: { type: Number, default: 0 },
+      outOfOrderRooms: { type: Number, default: 0 },
+      occupiedRooms: { type: Number, default: 0 },
+      occupancyPercentage: { type: Number, default: 0 },
+      arrivals: { type: Number, default: 0 },
+      departures: { type: Number, default: 0 },
+      noShows: { type: Number, default: 0 },
+      adr: { type: Number, default: 0 },
+      revPar: { type: Number, default: 0 },
+    },
+    revenue: {
+      roomRevenue: { type: Number, default: 0 },
+      extrasRevenue: { type: Number, default: 0 },
+      penaltyRevenue: { type: Number, default: 0 },
+      totalRevenue: { type: Number, default: 0 },
+      totalRefunds: { type: Number, default: 0 },
+      totalTax: { type: Number, default: 0 },
+      netRevenue: { type: Number, default: 0 },
+      revenueByMethod: { type: mongoose.Schema.Types.Mixed, default: {} },
+      taxByLine: { type: mongoose.Schema.Types.Mixed, default: {} },
+      transactionCount: { type: Number, default: 0 },
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  {
+    timestamps: false, // A closed day is never edited
+    versionKey: false,
+  }
+);
+
+const NightAudit = mongoose.model('NightAudit', nightAuditSchema);
+
+export default NightAudit;
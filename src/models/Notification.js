@@ -8,7 +8,7 @@ import mongoose from 'mongoose';
 /**
  * @typedef {Object} NotificationSchema
  * @property {mongoose.Types.ObjectId} user - Reference to User
- * @property {string} type - Notification type (booking_confirmation, checkin_reminder, promotion, etc.)
+ * @property {string} type - Notification type (booking_confirmation, checkin_reminder, feedback_request, promotion, etc.)
  * @property {string} title - Notification title
  * @property {string} message - Notification message
  * @property {Object} metadata - Additional data (booking, payload, etc.)
@@ -33,6 +33,9 @@ const notificationSchema = new mongoose.Schema(
         'booking_approved',
         'booking_cancelled',
         'payment_received',
+        'checkout_invoice',
+        'feedback_request',
+        'waitlist_offer',
         'other',
       ],
     },
@@ -70,6 +73,7 @@ notificationSchema.index({ user: 1 }); // Query notifications by user
 notificationSchema.index({ type: 1 }); // Query notifications by type
 notificationSchema.index({ user: 1, isRead: 1 }); // Query unread notifications
 notificationSchema.index({ createdAt: -1 }); // Query recent notifications
+notificationSchema.index({ user: 1, createdAt: -1 }); // Inbox listing sorted by newest
 
 const Notification = mongoose.model('Notification', notificationSchema);
 
@@ -7,12 +7,23 @@ import mongoose from 'mongoose';
 
 /**
  * @typedef {Object} PaymentSchema
- * @property {mongoose.Types.ObjectId} booking - Reference to Booking
+ * @property {mongoose.Types.ObjectId} booking - Reference to Booking (null for payments on a group's master folio)
+ * @property {mongoose.Types.ObjectId} group - Reference to GroupBooking for master folio payments
+ * @property {('payment'|'penalty'|'refund')} type - Money received, a charge owed (e.g. cancellation penalty), or money owed back
  * @property {number} amount - Payment amount
- * @property {('cash'|'card'|'online'|'sslcommerz'|'sslcommerz-demo'|'bkash'|'rocket'|'nagad'|'bank')} paymentMethod - Payment method
- * @property {('pending'|'paid'|'failed')} status - Payment status
+ * @property {('cash'|'card'|'online'|'sslcommerz'|'sslcommerz-demo'|'bkash'|'rocket'|'nagad'|'bank'|'city_ledger'|'loyalty_points')} paymentMethod - Payment method
+ *   (city_ledger: the balance was transferred to a corporate account; loyalty_points: paid with the guest's points)
+ * @property {('pending'|'paid'|'failed'|'partially_refunded'|'refunded')} status - Payment status
+ *   (a refund record is paid once the money has gone back to the guest)
  * @property {string} transactionId - Optional transaction ID from payment gateway
- * @property {string} invoiceNumber - Invoice number for this payment
+ * @property {string} bankTransactionId - Gateway's bank transaction ID, needed to refund through SSLCommerz
+ * @property {mongoose.Types.ObjectId} refundOf - Refund records: the payment being refunded
+ * @property {number} refundedAmount - Payments: total refunded so far
+ * @property {string} reason - Refund records: why the money is given back
+ * @property {mongoose.Types.ObjectId} approvedBy - Refund records: staff member who approved the refund
+ * @property {('guest'|'company')} folio - Folio the payment settles when the stay's bill is split
+ * @property {mongoose.Types.ObjectId} postedBy - Staff member who posted the payment to the folio
+ * @property {string} invoiceNumber - Number of the issued invoice the payment belongs to (null until one is issued)
  * @property {Date} createdAt - Payment creation timestamp
  */
 
@@ -21,7 +32,23 @@ const paymentSchema = new mongoose.Schema(
     booking: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'Booking',
-      required: [true, 'Booking is required'],
+      required: [
+        function () {
+          return !this.group;
+        },
+        'Booking is required',
+      ],
+      default: null,
+    },
+    group: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'GroupBooking',
+      default: null,
+    },
+    type: {
+      type: String,
+      enum: ['payment', 'penalty', 'refund'],
+      default: 'payment',
     },
     amount: {
       type: Number,
@@ -30,12 +57,19 @@ const paymentSchema = new mongoose.Schema(
     },
     paymentMethod: {
       type: String,
-      enum: ['cash', 'card', 'online', 'sslcommerz', 'sslcommerz-demo', 'bkash', 'rocket', 'nagad', 'bank'],
-      required: [true, 'Payment method is required'],
+      enum: ['cash', 'card', 'online', 'sslcommerz', 'sslcommerz-demo', 'bkash', 'rocket', 'nagad', 'bank', 'city_ledger', 'loyalty_points'],
+      // Pending records (invoices, penalties, refunds) get their method once money moves
+      required: [
+        function () {
+          return this.status !== 'pending';
+        },
+        'Payment method is required',
+      ],
+      default: null,
     },
     status: {
       type: String,
-      enum: ['pending', 'paid', 'failed'],
+      enum: ['pending', 'paid', 'failed', 'partially_refunded', 'refunded'],
       default: 'pending',
       required: true,
     },
@@ -44,10 +78,46 @@ const paymentSchema = new mongoose.Schema(
       trim: true,
       sparse: true, // Allows multiple null values but enforces uniqueness for non-null values
     },
+    bankTransactionId: {
+      type: String,
+      trim: true,
+      default: null,
+    },
     invoiceNumber: {
       type: String,
       trim: true,
-      sparse: true,
+      default: null,
+    },
+    folio: {
+      type: String,
+      enum: ['guest', 'company'],
+      default: 'guest',
+    },
+    postedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+    refundOf: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Payment',
+      default: null,
+    },
+    refundedAmount: {
+      type: Number,
+      default: 0,
+      min: [0, 'Refunded amount cannot be negative'],
+    },
+    reason: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Reason cannot exceed 500 characters'],
+      default: null,
+    },
+    approvedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
     },
     createdAt: {
       type: Date,
@@ -66,12 +136,14 @@ const paymentSchema = new mongoose.Schema(
 
 // Indexes for frequent queries
 paymentSchema.index({ booking: 1 }); // Query payments by booking
+paymentSchema.index({ group: 1 }, { sparse: true }); // Query master folio payments by group
 paymentSchema.index({ status: 1 }); // Query payments by status
 paymentSchema.index({ paymentMethod: 1 }); // Query payments by method
 paymentSchema.index({ booking: 1, status: 1 }); // Composite index for booking-status queries (optimized for reports)
+paymentSchema.index({ refundOf: 1 }, { sparse: true }); // Query refunds of a payment
 paymentSchema.index({ transactionId: 1 }, { sparse: true }); // Index for transaction ID lookups
 paymentSchema.index({ createdAt: -1 }); // Query recent payments
-paymentSchema.index({ invoiceNumber: 1 }, { sparse: true, unique: true }); // Index for invoice lookups
+paymentSchema.index({ invoiceNumber: 1 }, { sparse: true }); // Payments of an invoice
 
 const Payment = mongoose.model('Payment', paymentSchema);
 
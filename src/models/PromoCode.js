@@ -0,0 +1,126 @@
+/**
+ * @fileoverview PromoCode model - discount codes guests enter when booking
+ * @module models/PromoCode
+ */
+
+import mongoose from 'mongoose';
+
+/**
+ * @typedef {Object} PromoCodeSchema
+ * @property {string} code - Code the guest enters (stored upper case)
+ * @property {string} description - What the promotion is
+ * @property {('percent'|'fixed')} discountType - Percentage off the room charges, or a fixed amount off the stay
+ * @property {number} discountValue - Percentage (0-100) or amount
+ * @property {Date} validFrom - First day the code can be redeemed (null = straight away)
+ * @property {Date} validUntil - Last day the code can be redeemed, inclusive (null = no end)
+ * @property {string[]} roomTypes - Room types the code applies to (empty = all)
+ * @property {number} minNights - Shortest stay the code applies to
+ * @property {number} maxUses - Most bookings that can use the code (null = unlimited)
+ * @property {number} maxUsesPerGuest - Most bookings one guest can use the code on (null = unlimited)
+ * @property {number} usedCount - Bookings currently holding the code (cancelling a booking gives its use back)
+ * @property {boolean} isActive - Whether the code can be redeemed
+ * @property {mongoose.Types.ObjectId} createdBy - Reference to User who created the code
+ * @property {Date} createdAt - Creation timestamp
+ * @property {Date} updatedAt - Last update timestamp
+ */
+
+const promoCodeSchema = new mongoose.Schema(
+  {
+    code: {
+      type: String,
+      required: [true, 'Code is required'],
+      trim: true,
+      uppercase: true,
+      match: [/^[A-Z0-9_-]{3,20}$/, 'Code must be 3-20 letters, digits, dashes or underscores'],
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [200, 'Description cannot exceed 200 characters'],
+      default: null,
+    },
+    discountType: {
+      type: String,
+      enum: ['percent', 'fixed'],
+      required: [true, 'Discount type is required'],
+    },
+    discountValue: {
+      type: Number,
+      required: [true, 'Discount value is required'],
+      min: [0, 'Discount cannot be negative'],
+      validate: {
+        validator: function (value) {
+          return this.discountType !== 'percent' || value <= 100;
+        },
+        message: 'Percentage discount cannot exceed 100%',
+      },
+    },
+    validFrom: {
+      type: Date,
+      default: null,
+    },
+    validUntil: {
+      type: Date,
+      default: null,
+    },
+    roomTypes: {
+      type: [{ type: String, enum: ['single', 'double', 'suite'] }],
+      default: [],
+    },
+    minNights: {
+      type: Number,
+      default: 1,
+      min: [1, 'Minimum nights must be at least 1'],
+    },
+    maxUses: {
+      type: Number,
+      default: null,
+      min: [1, 'Usage limit must be at least 1'],
+    },
+    maxUsesPerGuest: {
+      type: Number,
+      default: null,
+      min: [1, 'Per-guest limit must be at least 1'],
+    },
+    usedCount: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now,
+    },
+    updatedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  {
+    timestamps: false, // We're handling timestamps manually
+    versionKey: false,
+  }
+);
+
+// Update updatedAt before saving
+promoCodeSchema.pre('save', function (next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+// Indexes for frequent queries
+promoCodeSchema.index({ code: 1 }, { unique: true }); // Look codes up as guests enter them
+promoCodeSchema.index({ isActive: 1 }); // Query active codes
+
+const PromoCode = mongoose.model('PromoCode', promoCodeSchema);
+
+export default PromoCode;
@@ -0,0 +1,124 @@
+/**
+ * @fileoverview RatePlan model for seasonal and day-of-week room pricing
+ * @module models/RatePlan
+ */
+
+import mongoose from 'mongoose';
+
+/**
+ * @typedef {Object} RatePlanSchema
+ * @property {string} name - Rate plan name (e.g. "Eid Season", "Weekend Uplift")
+ * @property {('single'|'double'|'suite'|null)} roomType - Room type the plan applies to (null = all types)
+ * @property {Date} startDate - First night the plan applies to (null = open-ended)
+ * @property {Date} endDate - Last night the plan applies to, inclusive (null = open-ended)
+ * @property {number} adjustmentPercent - Percentage change applied to the room's base price (e.g. 20 = +20%, -10 = -10%)
+ * @property {number} nightlyRate - Fixed nightly rate that overrides the room's base price (optional)
+ * @property {number} weekendUplift - Extra percentage applied on weekend nights
+ * @property {number[]} weekendDays - Days of week treated as weekend (0 = Sunday ... 6 = Saturday)
+ * @property {number} priority - Higher priority plans win when several match the same night
+ * @property {mongoose.Types.ObjectId} cancellationPolicy - Cancellation terms of this rate (null = default policy)
+ * @property {('none'|'percent'|'first_night'|'full'|null)} depositType - Deposit taken at booking time (null = default deposit)
+ * @property {number} depositPercent - Percentage of the stay taken as deposit when depositType is 'percent'
+ * @property {boolean} isActive - Whether the plan is currently applied
+ * @property {Date} createdAt - Plan creation timestamp
+ * @property {Date} updatedAt - Plan last update timestamp
+ */
+
+const ratePlanSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Rate plan name is required'],
+      trim: true,
+      maxlength: [100, 'Rate plan name cannot exceed 100 characters'],
+    },
+    roomType: {
+      type: String,
+      enum: ['single', 'double', 'suite', null],
+      default: null,
+    },
+    startDate: {
+      type: Date,
+      default: null,
+    },
+    endDate: {
+      type: Date,
+      default: null,
+      validate: {
+        validator: function (value) {
+          return !value || !this.startDate || value >= this.startDate;
+        },
+        message: 'End date cannot be before start date',
+      },
+    },
+    adjustmentPercent: {
+      type: Number,
+      default: 0,
+      min: [-100, 'Adjustment cannot be below -100%'],
+    },
+    nightlyRate: {
+      type: Number,
+      default: null,
+      min: [0, 'Nightly rate cannot be negative'],
+    },
+    weekendUplift: {
+      type: Number,
+      default: 0,
+      min: [-100, 'Weekend uplift cannot be below -100%'],
+    },
+    weekendDays: {
+      type: [Number],
+      default: [5, 6], // Friday and Saturday nights
+    },
+    priority: {
+      type: Number,
+      default: 0,
+    },
+    cancellationPolicy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'CancellationPolicy',
+      default: null,
+    },
+    depositType: {
+      type: String,
+      enum: ['none', 'percent', 'first_night', 'full', null],
+      default: null,
+    },
+    depositPercent: {
+      type: Number,
+      default: null,
+      min: [0, 'Deposit percentage cannot be negative'],
+      max: [100, 'Deposit percentage cannot exceed 100'],
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now,
+    },
+    updatedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  {
+    timestamps: false, // We're handling timestamps manually
+    versionKey: false,
+  }
+);
+
+// Update updatedAt before saving
+ratePlanSchema.pre('save', function (next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+// Indexes for frequent queries
+ratePlanSchema.index({ isActive: 1 }); // Query active plans
+ratePlanSchema.index({ roomType: 1, startDate: 1, endDate: 1 }); // Query plans by type and season
+
+const RatePlan = mongoose.model('RatePlan', ratePlanSchema);
+
+export default RatePlan;
@@ -14,6 +14,10 @@ import mongoose from 'mongoose';
  *                                  Note: These are included in room price and do NOT add extra cost.
  *                                  Additional paid services (laundry, meals, etc.) are managed via Service model.
  * @property {('available'|'booked'|'maintenance')} status - Room availability status
+ * @property {('dirty'|'cleaning'|'clean'|'inspected')} housekeepingStatus - Cleaning state: dirty after a guest
+ *                                  leaves, cleaning while housekeeping works on it, clean once done and inspected
+ *                                  once a supervisor has checked it. Guests check in to clean or inspected rooms.
+ * @property {Date} housekeepingUpdatedAt - When the cleaning state last changed
  * @property {number} maxGuests - Maximum number of guests
  * @property {Date} createdAt - Room creation timestamp
  * @property {Date} updatedAt - Room last update timestamp
@@ -53,6 +57,15 @@ const roomSchema = new mongoose.Schema(
       required: [true, 'Maximum guests is required'],
       min: [1, 'Maximum guests must be at least 1'],
     },
+    housekeepingStatus: {
+      type: String,
+      enum: ['dirty', 'cleaning', 'clean', 'inspected'],
+      default: 'clean',
+    },
+    housekeepingUpdatedAt: {
+      type: Date,
+      default: null,
+    },
     createdAt: {
       type: Date,
       default: Date.now,
@@ -77,6 +90,7 @@ roomSchema.pre('save', function (next) {
 // Indexes for frequent queries
 roomSchema.index({ status: 1 }); // Query by status
 roomSchema.index({ type: 1, status: 1 }); // Query by type and status
+roomSchema.index({ housekeepingStatus: 1 }); // Rooms waiting for housekeeping
 roomSchema.index({ code: 1 }, { unique: true }); // Enforce unique room code at DB level
 
 const Room = mongoose.model('Room', roomSchema);
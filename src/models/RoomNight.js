@@ -0,0 +1,50 @@
+/**
+ * @fileoverview RoomNight model - one document per room per night held by a booking.
+ * The unique (room, date) index is what makes double-booking impossible.
+ * @module models/RoomNight
+ */
+
+import mongoose from 'mongoose';
+
+/**
+ * @typedef {Object} RoomNightSchema
+ * @property {mongoose.Types.ObjectId} room - Reference to Room
+ * @property {Date} date - The night, normalized to UTC midnight
+ * @property {mongoose.Types.ObjectId} booking - Reference to the Booking holding the night
+ * @property {Date} createdAt - Reservation timestamp
+ */
+
+const roomNightSchema = new mongoose.Schema(
+  {
+    room: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Room',
+      required: [true, 'Room is required'],
+    },
+    date: {
+      type: Date,
+      required: [true, 'Night date is required'],
+    },
+    booking: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Booking',
+      required: [true, 'Booking is required'],
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  {
+    timestamps: false, // We're handling timestamps manually
+    versionKey: false,
+  }
+);
+
+// Indexes for frequent queries
+roomNightSchema.index({ room: 1, date: 1 }, { unique: true }); // One booking per room per night
+roomNightSchema.index({ booking: 1 }); // Query nights held by a booking
+
+const RoomNight = mongoose.model('RoomNight', roomNightSchema);
+
+export default RoomNight;
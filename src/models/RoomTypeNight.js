@@ -0,0 +1,52 @@
+/**
+ * @fileoverview RoomTypeNight model - bookings holding a room of a given type on a given night.
+ * Bookings are sold against a room type, so this is the inventory that stops a type from
+ * being sold more times than there are rooms of that type.
+ * @module models/RoomTypeNight
+ */
+
+import mongoose from 'mongoose';
+
+/**
+ * @typedef {Object} RoomTypeNightSchema
+ * @property {('single'|'double'|'suite')} roomType - Room type
+ * @property {Date} date - The night, normalized to UTC midnight
+ * @property {mongoose.Types.ObjectId[]} bookings - Bookings holding a room of this type on this night
+ * @property {Date} updatedAt - Last change timestamp
+ */
+
+const roomTypeNightSchema = new mongoose.Schema(
+  {
+    roomType: {
+      type: String,
+      enum: ['single', 'double', 'suite'],
+      required: [true, 'Room type is required'],
+    },
+    date: {
+      type: Date,
+      required: [true, 'Night date is required'],
+    },
+    bookings: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Booking',
+      },
+    ],
+    updatedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  {
+    timestamps: false, // We're handling timestamps manually
+    versionKey: false,
+  }
+);
+
+// Indexes for frequent queries
+roomTypeNightSchema.index({ roomType: 1, date: 1 }, { unique: true }); // One inventory row per type per night
+roomTypeNightSchema.index({ bookings: 1 }); // Query nights held by a booking
+
+const RoomTypeNight = mongoose.model('RoomTypeNight', roomTypeNightSchema);
+
+export default RoomTypeNight;
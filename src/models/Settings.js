@@ -7,21 +7,109 @@ import mongoose from 'mongoose';
 
 /**
  * @typedef {Object} SettingsSchema
- * @property {number} defaultTaxRate - Default tax rate percentage (0-100)
+ * @property {string} hotelName - Hotel name printed on invoices and receipts
+ * @property {string} hotelAddress - Hotel address printed on invoices and receipts
+ * @property {string} hotelPhone - Hotel phone number printed on invoices and receipts
+ * @property {string} hotelEmail - Hotel email address printed on invoices and receipts
+ * @property {number} defaultTaxRate - Default tax rate percentage (0-100), used when no tax lines are configured
+ * @property {Object[]} taxLines - Named tax/fee lines (VAT, service charge, etc.)
  * @property {string} currencySymbol - Currency symbol (e.g., '$', '€')
  * @property {string} defaultCheckInTime - Default check-in time (HH:mm format)
  * @property {string} defaultCheckOutTime - Default check-out time (HH:mm format)
+ * @property {number} earlyCheckInWindowHours - Hours before defaultCheckInTime a guest can check in (earlier means booking the night before)
+ * @property {('none'|'flat'|'hourly')} earlyCheckInFeeType - How an early check-in is charged
+ * @property {number} earlyCheckInFee - Flat early check-in fee, or fee per started hour
+ * @property {number} lateCheckOutWindowHours - Hours past defaultCheckOutTime a guest can stay on
+ * @property {('none'|'flat'|'hourly')} lateCheckOutFeeType - How a late checkout is charged
+ * @property {number} lateCheckOutFee - Flat late checkout fee, or fee per started hour
+ * @property {('none'|'percent'|'first_night'|'full')} depositType - Deposit taken at booking time unless a rate plan sets one
+ * @property {number} depositPercent - Percentage of the stay taken as deposit when depositType is 'percent'
+ * @property {number} depositHoldHours - Hours a booking is held for its deposit before it expires (0 = never expires)
+ * @property {boolean} requireDepositForApproval - Bookings cannot be approved until their deposit is paid
+ * @property {('none'|'flat'|'percent'|'first_night')} earlyDepartureFeeType - Fee charged when a guest checks out before
+ *   their booked check-out date
+ * @property {number} earlyDepartureFeeAmount - Fee charged when earlyDepartureFeeType is 'flat'
+ * @property {number} earlyDepartureFeePercent - Percentage of the unused nights' charges taken when earlyDepartureFeeType is 'percent'
+ * @property {number} noShowCutoffHours - Hours after defaultCheckInTime on the arrival day before a guest who
+ *   has not arrived is marked a no-show (0 = only marked by staff)
+ * @property {Object} overbookingAllowance - Rooms of each type (single, double, suite) that can be sold beyond
+ *   the sellable rooms each night
+ * @property {number} waitlistHoldHours - Hours a freed room is held for a waitlisted guest before it goes to the next one
+ * @property {boolean} loyaltyEnabled - Whether guests earn and redeem loyalty points
+ * @property {number} loyaltyEarnRate - Points earned for every 100 paid on a stay (before the tier bonus)
+ * @property {number} loyaltyBurnRate - Amount one point pays for when redeemed
+ * @property {number} loyaltyMinRedeemPoints - Fewest points a guest can redeem at once
  * @property {Date} updatedAt - Last update timestamp
  */
 
+const taxLineSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Tax line name is required'],
+      trim: true,
+      maxlength: [50, 'Tax line name cannot exceed 50 characters'],
+    },
+    rate: {
+      type: Number,
+      required: [true, 'Tax rate is required'],
+      min: [0, 'Tax rate cannot be negative'],
+      max: [100, 'Tax rate cannot exceed 100'],
+    },
+    appliesTo: {
+      type: String,
+      enum: ['room', 'services', 'both'],
+      default: 'both',
+    },
+    isInclusive: {
+      type: Boolean,
+      default: false,
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  { _id: false }
+);
+
 const settingsSchema = new mongoose.Schema(
   {
+    hotelName: {
+      type: String,
+      default: 'CheckInn Hotel',
+      trim: true,
+      maxlength: 100,
+    },
+    hotelAddress: {
+      type: String,
+      default: '',
+      trim: true,
+      maxlength: 300,
+    },
+    hotelPhone: {
+      type: String,
+      default: '',
+      trim: true,
+      maxlength: 30,
+    },
+    hotelEmail: {
+      type: String,
+      default: '',
+      trim: true,
+      lowercase: true,
+      maxlength: 100,
+    },
     defaultTaxRate: {
       type: Number,
       default: 10,
       min: 0,
       max: 100,
     },
+    taxLines: {
+      type: [taxLineSchema],
+      default: [],
+    },
     currencySymbol: {
       type: String,
       default: '$',
@@ -38,6 +126,110 @@ const settingsSchema = new mongoose.Schema(
       default: '11:00',
       match: [/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/, 'Invalid time format. Use HH:mm'],
     },
+    earlyCheckInWindowHours: {
+      type: Number,
+      default: 6,
+      min: 0,
+      max: 24,
+    },
+    earlyCheckInFeeType: {
+      type: String,
+      enum: ['none', 'flat', 'hourly'],
+      default: 'none',
+    },
+    earlyCheckInFee: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    lateCheckOutWindowHours: {
+      type: Number,
+      default: 6,
+      min: 0,
+      max: 24,
+    },
+    lateCheckOutFeeType: {
+      type: String,
+      enum: ['none', 'flat', 'hourly'],
+      default: 'none',
+    },
+    lateCheckOutFee: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    depositType: {
+      type: String,
+      enum: ['none', 'percent', 'first_night', 'full'],
+      default: 'none',
+    },
+    depositPercent: {
+      type: Number,
+      default: 20,
+      min: 0,
+      max: 100,
+    },
+    depositHoldHours: {
+      type: Number,
+      default: 24,
+      min: 0,
+    },
+    requireDepositForApproval: {
+      type: Boolean,
+      default: false,
+    },
+    earlyDepartureFeeType: {
+      type: String,
+      enum: ['none', 'flat', 'percent', 'first_night'],
+      default: 'none',
+    },
+    earlyDepartureFeeAmount: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    earlyDepartureFeePercent: {
+      type: Number,
+      default: 50,
+      min: 0,
+      max: 100,
+    },
+    noShowCutoffHours: {
+      type: Number,
+      default: 12,
+      min: 0,
+      max: 48,
+    },
+    overbookingAllowance: {
+      single: { type: Number, default: 0, min: 0 },
+      double: { type: Number, default: 0, min: 0 },
+      suite: { type: Number, default: 0, min: 0 },
+    },
+    waitlistHoldHours: {
+      type: Number,
+      default: 24,
+      min: 1,
+      max: 168,
+    },
+    loyaltyEnabled: {
+      type: Boolean,
+      default: true,
+    },
+    loyaltyEarnRate: {
+      type: Number,
+      default: 5,
+      min: 0,
+    },
+    loyaltyBurnRate: {
+      type: Number,
+      default: 0.5,
+      min: 0,
+    },
+    loyaltyMinRedeemPoints: {
+      type: Number,
+      default: 100,
+      min: 0,
+    },
     updatedAt: {
       type: Date,
       default: Date.now,
@@ -13,6 +13,9 @@ import bcrypt from 'bcryptjs';
  * @property {string} password - Hashed password
  * @property {('admin'|'staff'|'customer')} role - User role
  * @property {boolean} isActive - Whether the user account is active
+ * @property {Object} loyalty - Loyalty program standing (guests)
+ * @property {number} loyalty.points - Points available to redeem
+ * @property {number} loyalty.nightsStayed - Nights stayed (checked out), which set the guest's tier
  * @property {Date} createdAt - Account creation timestamp
  */
 
@@ -50,6 +53,18 @@ const userSchema = new mongoose.Schema(
       type: Boolean,
       default: true,
     },
+    loyalty: {
+      points: {
+        type: Number,
+        default: 0,
+        min: [0, 'Loyalty points cannot be negative'],
+      },
+      nightsStayed: {
+        type: Number,
+        default: 0,
+        min: 0,
+      },
+    },
     createdAt: {
       type: Date,
       default: Date.now,
@@ -0,0 +1,89 @@
+/**
+ * @fileoverview WaitlistEntry model - a guest waiting for a sold-out room type over a date range.
+ * When a room frees up, entries are offered it in the order they joined, with the nights held
+ * for the guest until the offer runs out.
+ * @module models/WaitlistEntry
+ */
+
+import mongoose from 'mongoose';
+
+/**
+ * @typedef {Object} WaitlistEntrySchema
+ * @property {mongoose.Types.ObjectId} guest - Reference to the User waiting
+ * @property {('single'|'double'|'suite')} roomType - Room type wanted
+ * @property {Date} checkInDate - Check-in date wanted
+ * @property {Date} checkOutDate - Check-out date wanted
+ * @property {('waiting'|'offered'|'booked'|'expired'|'cancelled')} status - Where the entry stands
+ * @property {Date} offeredAt - When a freed room was offered (nights held under the entry's ID)
+ * @property {Date} holdExpiresAt - When the offer runs out and the held nights go to the next guest
+ * @property {mongoose.Types.ObjectId} booking - Reference to the Booking made from the offer
+ * @property {Date} cancelledAt - When the guest left the waitlist
+ * @property {Date} createdAt - When the guest joined (the entry's place in line)
+ * @property {Date} updatedAt - Last update timestamp
+ */
+
+const waitlistEntrySchema = new mongoose.Schema(
+  {
+    guest: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'Guest is required'],
+    },
+    roomType: {
+      type: String,
+      enum: ['single', 'double', 'suite'],
+      required: [true, 'Room type is required'],
+    },
+    checkInDate: {
+      type: Date,
+      required: [true, 'Check-in date is required'],
+    },
+    checkOutDate: {
+      type: Date,
+      required: [true, 'Check-out date is required'],
+    },
+    status: {
+      type: String,
+      enum: ['waiting', 'offered', 'booked', 'expired', 'cancelled'],
+      default: 'waiting',
+    },
+    offeredAt: {
+      type: Date,
+      default: null,
+    },
+    holdExpiresAt: {
+      type: Date,
+      default: null,
+    },
+    booking: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Booking',
+      default: null,
+    },
+    cancelledAt: {
+      type: Date,
+      default: null,
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now,
+    },
+    updatedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  {
+    timestamps: false, // We're handling timestamps manually
+    versionKey: false,
+  }
+);
+
+// Indexes for frequent queries
+waitlistEntrySchema.index({ status: 1, roomType: 1, createdAt: 1 }); // Waiting entries in line order
+waitlistEntrySchema.index({ status: 1, holdExpiresAt: 1 }); // Offers that have run out
+waitlistEntrySchema.index({ guest: 1, createdAt: -1 }); // A guest's entries
+
+const WaitlistEntry = mongoose.model('WaitlistEntry', waitlistEntrySchema);
+
+export default WaitlistEntry;
@@ -0,0 +1,128 @@
+/**
+ * @fileoverview WorkOrder model - maintenance work on a room, optionally taking it out of order
+ * @module models/WorkOrder
+ */
+
+import mongoose from 'mongoose';
+
+/**
+ * @typedef {Object} WorkOrderSchema
+ * @property {mongoose.Types.ObjectId} room - Reference to the Room the work is on
+ * @property {string} title - Short summary of the problem
+ * @property {string} description - Details of the problem and the work needed
+ * @property {('low'|'medium'|'high'|'urgent')} priority - How soon the work is needed
+ * @property {('open'|'in_progress'|'resolved'|'cancelled')} status - Work order progress
+ * @property {mongoose.Types.ObjectId} assignedTo - Reference to the User doing the work
+ * @property {Date} startDate - First night the room is out of order (UTC midnight)
+ * @property {Date} endDate - Day the room is back in service (UTC midnight, first night not blocked)
+ * @property {boolean} outOfOrder - Whether the room cannot be sold between startDate and endDate
+ * @property {mongoose.Types.ObjectId[]} conflictingBookings - Bookings holding the room during the block when it was set
+ * @property {string} resolutionNotes - What was done
+ * @property {Date} resolvedAt - When the work was resolved
+ * @property {mongoose.Types.ObjectId} reportedBy - Reference to the User who raised the work order
+ * @property {Date} createdAt - Creation timestamp
+ * @property {Date} updatedAt - Last update timestamp
+ */
+
+const workOrderSchema = new mongoose.Schema(
+  {
+    room: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Room',
+      required: [true, 'Room is required'],
+    },
+    title: {
+      type: String,
+      required: [true, 'Title is required'],
+      trim: true,
+      maxlength: [120, 'Title cannot exceed 120 characters'],
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [1000, 'Description cannot exceed 1000 characters'],
+      default: null,
+    },
+    priority: {
+      type: String,
+      enum: ['low', 'medium', 'high', 'urgent'],
+      default: 'medium',
+    },
+    status: {
+      type: String,
+      enum: ['open', 'in_progress', 'resolved', 'cancelled'],
+      default: 'open',
+    },
+    assignedTo: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+    startDate: {
+      type: Date,
+      required: [true, 'Start date is required'],
+    },
+    endDate: {
+      type: Date,
+      required: [true, 'End date is required'],
+      validate: {
+        validator: function (value) {
+          return !this.startDate || value > this.startDate;
+        },
+        message: 'End date must be after the start date',
+      },
+    },
+    outOfOrder: {
+      type: Boolean,
+      default: true,
+    },
+    conflictingBookings: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Booking',
+      },
+    ],
+    resolutionNotes: {
+      type: String,
+      trim: true,
+      maxlength: [1000, 'Resolution notes cannot exceed 1000 characters'],
+      default: null,
+    },
+    resolvedAt: {
+      type: Date,
+      default: null,
+    },
+    reportedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now,
+    },
+    updatedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  {
+    timestamps: false, // We're handling timestamps manually
+    versionKey: false,
+  }
+);
+
+// Update updatedAt before saving
+workOrderSchema.pre('save', function (next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+// Indexes for frequent queries
+workOrderSchema.index({ room: 1, status: 1 }); // A room's open work
+workOrderSchema.index({ outOfOrder: 1, status: 1, startDate: 1, endDate: 1 }); // Out-of-order blocks by date
+workOrderSchema.index({ status: 1, priority: 1 }); // Work order list
+
+const WorkOrder = mongoose.model('WorkOrder', workOrderSchema);
+
+export default WorkOrder;
@@ -12,4 +12,21 @@ export { default as Payment } from './Payment.js';
 export { default as Feedback } from './Feedback.js';
 export { default as Notification } from './Notification.js';
 export { default as Settings } from './Settings.js';
-
+export { default as Invoice } from './Invoice.js';
+export { default as Counter } from './Counter.js';
+export { default as FolioEntry } from './FolioEntry.js';
+export { default as CityLedgerEntry } from './CityLedgerEntry.js';
+export { default as CorporateAccount } from './CorporateAccount.js';
+export { default as GroupBooking } from './GroupBooking.js';
+export { default as LoyaltyTransaction } from './LoyaltyTransaction.js';
+export { default as PromoCode } from './PromoCode.js';
+export { default as RatePlan } from './RatePlan.js';
+export { default as CancellationPolicy } from './CancellationPolicy.js';
+export { default as RoomNight } from './RoomNight.js';
+export { default as RoomTypeNight } from './RoomTypeNight.js';
+export { default as HousekeepingTask } from './HousekeepingTask.js';
+export { default as WorkOrder } from './WorkOrder.js';
+export { default as NightAudit } from './NightAudit.js';
+export { default as WaitlistEntry } from './WaitlistEntry.js';
+export { default as Job } from './Job.js';
+export { default as JobRun } from './JobRun.js';
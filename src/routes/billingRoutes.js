@@ -8,8 +8,22 @@ import { protect, authorize } from '../middleware/auth.js';
 import express from 'express';
 import {
   generateInvoiceForBooking,
+  downloadInvoicePdf,
+  downloadReceiptPdf,
+  generateInvoiceForGroup,
+  recordGroupPayment,
+  issueInvoiceForBooking,
+  issueInvoiceForGroup,
+  listInvoices,
+  voidInvoiceDocument,
+  createCreditNote,
   recordPayment,
+  refundPayment,
   getPaymentHistory,
+  getFolio,
+  postToFolio,
+  updateFolioSplit,
+  transferFolioToCityLedger,
   initiateSslcommerzPayment,
   payWithLocalMethod,
   sslcommerzSuccess,
@@ -67,6 +81,53 @@ router.get(
   getPaymentHistory
 );
 
+/**
+ * @route GET /api/billing/bookings/:bookingId/folio
+ * @desc Get a stay's folio with a running balance per folio
+ * @access Private (Staff/Admin/Customer - customers can only view their own bookings)
+ */
+router.get(
+  '/bookings/:bookingId/folio',
+  protect,
+  getFolio
+);
+
+/**
+ * @route POST /api/billing/bookings/:bookingId/folio/entries
+ * @desc Post a charge, discount, adjustment or payment to a stay's folio
+ * @access Private (Staff/Admin)
+ */
+router.post(
+  '/bookings/:bookingId/folio/entries',
+  protect,
+  authorize('staff', 'admin'),
+  postToFolio
+);
+
+/**
+ * @route PUT /api/billing/bookings/:bookingId/folio/split
+ * @desc Split a stay's folio between the guest and a company (body: companyName, roomTo, extrasTo)
+ * @access Private (Staff/Admin)
+ */
+router.put(
+  '/bookings/:bookingId/folio/split',
+  protect,
+  authorize('staff', 'admin'),
+  updateFolioSplit
+);
+
+/**
+ * @route POST /api/billing/bookings/:bookingId/city-ledger
+ * @desc Transfer a folio's balance to the stay's corporate account (body: folio, amount - both optional)
+ * @access Private (Staff/Admin)
+ */
+router.post(
+  '/bookings/:bookingId/city-ledger',
+  protect,
+  authorize('staff', 'admin'),
+  transferFolioToCityLedger
+);
+
 /**
  * @route GET /api/billing/bookings/:bookingId/invoice
  * @desc Generate invoice for a booking (customers can view their own)
@@ -78,6 +139,123 @@ router.get(
   generateInvoiceForBooking
 );
 
+/**
+ * @route GET /api/billing/bookings/:bookingId/invoice/pdf
+ * @desc Download a booking's invoice as a PDF
+ * @access Private (Staff/Admin/Customer - customers can only download their own invoices)
+ */
+router.get(
+  '/bookings/:bookingId/invoice/pdf',
+  protect,
+  downloadInvoicePdf
+);
+
+/**
+ * @route POST /api/billing/bookings/:bookingId/invoice/issue
+ * @desc Issue a booking's invoice under the next sequential number
+ * @access Private (Staff/Admin)
+ */
+router.post(
+  '/bookings/:bookingId/invoice/issue',
+  protect,
+  authorize('staff', 'admin'),
+  issueInvoiceForBooking
+);
+
+/**
+ * @route GET /api/billing/groups/:groupId/invoice
+ * @desc Generate a group's master invoice or per-room invoices (query: mode=master|split)
+ * @access Private (Staff/Admin/Customer - customers can only view groups they organize)
+ */
+router.get(
+  '/groups/:groupId/invoice',
+  protect,
+  generateInvoiceForGroup
+);
+
+/**
+ * @route POST /api/billing/groups/:groupId/invoice/issue
+ * @desc Issue a group's master invoice under the next sequential number
+ * @access Private (Staff/Admin)
+ */
+router.post(
+  '/groups/:groupId/invoice/issue',
+  protect,
+  authorize('staff', 'admin'),
+  issueInvoiceForGroup
+);
+
+/**
+ * @route POST /api/billing/groups/:groupId/payment
+ * @desc Record a payment on a group's master folio
+ * @access Private (Staff/Admin)
+ */
+router.post(
+  '/groups/:groupId/payment',
+  protect,
+  authorize('staff', 'admin'),
+  recordGroupPayment
+);
+
+/**
+ * @route GET /api/billing/invoices
+ * @desc List issued invoices and credit notes (query: kind, status, bookingId, groupId, startDate, endDate, page, limit)
+ * @access Private (Staff/Admin)
+ */
+router.get(
+  '/invoices',
+  protect,
+  authorize('staff', 'admin'),
+  listInvoices
+);
+
+/**
+ * @route POST /api/billing/invoices/:invoiceId/void
+ * @desc Void an issued invoice or credit note (body: reason)
+ * @access Private (Staff/Admin)
+ */
+router.post(
+  '/invoices/:invoiceId/void',
+  protect,
+  authorize('staff', 'admin'),
+  voidInvoiceDocument
+);
+
+/**
+ * @route POST /api/billing/invoices/:invoiceId/credit-notes
+ * @desc Issue a credit note against an invoice (body: amount, reason)
+ * @access Private (Staff/Admin)
+ */
+router.post(
+  '/invoices/:invoiceId/credit-notes',
+  protect,
+  authorize('staff', 'admin'),
+  createCreditNote
+);
+
+/**
+ * @route POST /api/billing/payments/:paymentId/refund
+ * @desc Refund a payment in full or in part (body: amount, reason)
+ * @access Private (Staff/Admin)
+ */
+router.post(
+  '/payments/:paymentId/refund',
+  protect,
+  authorize('staff', 'admin'),
+  refundPayment
+);
+
+/**
+ * @route GET /api/billing/payments/:paymentId/receipt/pdf
+ * @desc Download a receipt for a payment or refund as a PDF
+ * @access Private (Staff/Admin/Customer - customers can only download their own receipts)
+ */
+router.get(
+  '/payments/:paymentId/receipt/pdf',
+  protect,
+  downloadReceiptPdf
+);
+
 /**
  * SSLCommerz gateway callbacks (public)
  * These endpoints are called by SSLCommerz after payment attempt.
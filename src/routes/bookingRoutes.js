@@ -8,7 +8,10 @@ import { protect, authorize } from '../middleware/auth.js';
 import {
   createBooking,
   updateBooking,
+  setBookingCorporateAccount,
   cancelBooking,
+  getCancellationQuote,
+  markBookingNoShow,
   listBookingsForUser,
   listAllBookings,
   approveBooking,
@@ -16,6 +19,22 @@ import {
   checkInGuest,
   checkOutGuest,
   getFrontDeskOverview,
+  getTapeChart,
+  getRoomSuggestions,
+  assignBookingRoom,
+  moveBookingRoom,
+  extendBookingStay,
+  requestBookingStayTime,
+  decideBookingStayTime,
+  getEarlyDepartureQuote,
+  createGroupBooking,
+  listGroupBookings,
+  getGroupBooking,
+  updateGroupBooking,
+  updateRoomingList,
+  approveGroupBooking,
+  cancelGroupBooking,
+  checkInGroupBooking,
 } from '../controllers/bookingController.js';
 
 const router = express.Router();
@@ -34,6 +53,70 @@ router.get('/my-bookings', protect, authorize('customer'), listBookingsForUser);
  */
 router.get('/', protect, authorize('staff', 'admin'), listAllBookings);
 
+/**
+ * @route GET /api/bookings/tape-chart
+ * @desc Get the room × date grid: rooms, stays split into runs of nights per room, and out-of-order
+ *   blocks (query: startDate - defaults to today, days - 1 to 62, defaults to 14)
+ * @access Private (Staff/Admin)
+ */
+router.get('/tape-chart', protect, authorize('staff', 'admin'), getTapeChart);
+
+/**
+ * @route GET /api/bookings/groups
+ * @desc List group bookings (customers see the groups they organize)
+ * @access Private
+ */
+router.get('/groups', protect, listGroupBookings);
+
+/**
+ * @route POST /api/bookings/groups
+ * @desc Create a group booking with a block of rooms
+ * @access Private (Staff/Admin)
+ */
+router.post('/groups', protect, authorize('staff', 'admin'), createGroupBooking);
+
+/**
+ * @route GET /api/bookings/groups/:groupId
+ * @desc Get a group booking with its rooming list
+ * @access Private (Organizer/Staff/Admin)
+ */
+router.get('/groups/:groupId', protect, getGroupBooking);
+
+/**
+ * @route PUT /api/bookings/groups/:groupId
+ * @desc Update group details and billing mode
+ * @access Private (Staff/Admin)
+ */
+router.put('/groups/:groupId', protect, authorize('staff', 'admin'), updateGroupBooking);
+
+/**
+ * @route PUT /api/bookings/groups/:groupId/rooming-list
+ * @desc Set the guest name for each room of the group
+ * @access Private (Organizer/Staff/Admin)
+ */
+router.put('/groups/:groupId/rooming-list', protect, updateRoomingList);
+
+/**
+ * @route POST /api/bookings/groups/:groupId/approve
+ * @desc Approve every pending room of the group
+ * @access Private (Staff/Admin)
+ */
+router.post('/groups/:groupId/approve', protect, authorize('staff', 'admin'), approveGroupBooking);
+
+/**
+ * @route POST /api/bookings/groups/:groupId/cancel
+ * @desc Cancel the group and every room in it
+ * @access Private (Organizer/Staff/Admin)
+ */
+router.post('/groups/:groupId/cancel', protect, cancelGroupBooking);
+
+/**
+ * @route POST /api/bookings/groups/:groupId/check-in
+ * @desc Check in the group's approved rooms (optional body: rooms [{ bookingId, roomId }], allowUncleanRoom, approveEarlyCheckIn)
+ * @access Private (Staff/Admin)
+ */
+router.post('/groups/:groupId/check-in', protect, authorize('staff', 'admin'), checkInGroupBooking);
+
 /**
  * @route GET /api/bookings/:id
  * @desc Get booking by ID
@@ -55,6 +138,13 @@ router.post('/', protect, createBooking);
  */
 router.put('/:id', protect, updateBooking);
 
+/**
+ * @route PUT /api/bookings/:id/corporate-account
+ * @desc Link a booking to a corporate account, or unlink it (body: corporateAccountId, null to unlink)
+ * @access Private (Staff/Admin)
+ */
+router.put('/:id/corporate-account', protect, authorize('staff', 'admin'), setBookingCorporateAccount);
+
 /**
  * @route POST /api/bookings/:id/approve
  * @desc Approve a booking
@@ -62,30 +152,102 @@ router.put('/:id', protect, updateBooking);
  */
 router.post('/:id/approve', protect, authorize('staff', 'admin'), approveBooking);
 
+/**
+ * @route GET /api/bookings/:id/cancellation-quote
+ * @desc Preview the cancellation penalty and refund for a booking (staff query: waivePenalty, noShow)
+ * @access Private
+ */
+router.get('/:id/cancellation-quote', protect, getCancellationQuote);
+
 /**
  * @route POST /api/bookings/:id/cancel
- * @desc Cancel a booking
+ * @desc Cancel a booking under its cancellation policy (optional body: reason, waivePenalty for staff)
  * @access Private
  */
 router.post('/:id/cancel', protect, cancelBooking);
 
+/**
+ * @route POST /api/bookings/:id/no-show
+ * @desc Mark an approved booking whose guest never arrived as a no-show; the policy's no-show
+ *   penalty is charged (optional body: waivePenalty) and the room released
+ * @access Private (Staff/Admin)
+ */
+router.post('/:id/no-show', protect, authorize('staff', 'admin'), markBookingNoShow);
+
 /**
  * @route GET /api/bookings/front-desk/overview
- * @desc Get front desk overview (arrivals, in-house, departures)
+ * @desc Get front desk overview (arrivals, in-house, departures, overdue arrivals, time requests)
  * @access Private (Staff/Admin)
  */
 router.get('/front-desk/overview', protect, authorize('staff', 'admin'), getFrontDeskOverview);
 
+/**
+ * @route GET /api/bookings/:id/room-suggestions
+ * @desc Get free rooms of the booked type, best suggestion first. With ?move=true, get rooms of any type
+ *   an in-house guest can move to for the rest of the stay
+ * @access Private (Staff/Admin)
+ */
+router.get('/:id/room-suggestions', protect, authorize('staff', 'admin'), getRoomSuggestions);
+
+/**
+ * @route POST /api/bookings/:id/assign-room
+ * @desc Assign or re-assign a room to a booking before check-in
+ * @access Private (Staff/Admin)
+ */
+router.post('/:id/assign-room', protect, authorize('staff', 'admin'), assignBookingRoom);
+
 /**
  * @route POST /api/bookings/:id/check-in
- * @desc Check-in a guest
+ * @desc Check-in a guest (assigns the suggested room, or body.roomId, if needed). A room that is not
+ *   clean returns 409 unless body.allowUncleanRoom is true; an early check-in with a fee that was not
+ *   approved returns 409 unless body.approveEarlyCheckIn is true
  * @access Private (Staff/Admin)
  */
 router.post('/:id/check-in', protect, authorize('staff', 'admin'), checkInGuest);
 
+/**
+ * @route POST /api/bookings/:id/move-room
+ * @desc Move an in-house guest to another room (body: roomId, reason, complimentary, allowUncleanRoom).
+ *   Remaining nights are re-priced at the new room's rate unless complimentary waives an increase
+ * @access Private (Staff/Admin)
+ */
+router.post('/:id/move-room', protect, authorize('staff', 'admin'), moveBookingRoom);
+
+/**
+ * @route POST /api/bookings/:id/time-requests
+ * @desc Request an early check-in or late checkout (body: type early_check_in/late_check_out, time HH:mm);
+ *   the fee is quoted with the request
+ * @access Private (own booking for customers)
+ */
+router.post('/:id/time-requests', protect, requestBookingStayTime);
+
+/**
+ * @route PATCH /api/bookings/:id/time-requests/:type
+ * @desc Approve or decline an early check-in or late checkout request (body: decision approved/declined)
+ * @access Private (Staff/Admin)
+ */
+router.patch('/:id/time-requests/:type', protect, authorize('staff', 'admin'), decideBookingStayTime);
+
+/**
+ * @route POST /api/bookings/:id/extend
+ * @desc Extend an in-house guest's stay in their room (body: checkOutDate, reason); 409 if the room is taken
+ * @access Private (Staff/Admin)
+ */
+router.post('/:id/extend', protect, authorize('staff', 'admin'), extendBookingStay);
+
+/**
+ * @route GET /api/bookings/:id/early-departure-quote
+ * @desc Preview the nights taken off the bill and the fee for checking out before the check-out date
+ *   (query: waiveFee)
+ * @access Private (Staff/Admin)
+ */
+router.get('/:id/early-departure-quote', protect, authorize('staff', 'admin'), getEarlyDepartureQuote);
+
 /**
  * @route POST /api/bookings/:id/check-out
- * @desc Check-out a guest
+ * @desc Check-out a guest. Leaving before the check-out date bills only the nights stayed plus the
+ *   early departure fee (body: waiveEarlyDepartureFee); leaving after the standard check-out time
+ *   posts the late checkout fee (body: waiveLateCheckOutFee)
  * @access Private (Staff/Admin)
  */
 router.post('/:id/check-out', protect, authorize('staff', 'admin'), checkOutGuest);
@@ -0,0 +1,45 @@
+/**
+ * @fileoverview Cancellation policy routes
+ * @module routes/cancellationPolicyRoutes
+ */
+
+import express from 'express';
+import { protect, authorize } from '../middleware/auth.js';
+import {
+  listCancellationPolicies,
+  createCancellationPolicy,
+  updateCancellationPolicy,
+  deleteCancellationPolicy,
+} from '../controllers/cancellationPolicyController.js';
+
+const router = express.Router();
+
+/**
+ * @route GET /api/cancellation-policies
+ * @desc List cancellation policies (customers see active policies only)
+ * @access Private
+ */
+router.get('/', protect, listCancellationPolicies);
+
+/**
+ * @route POST /api/cancellation-policies
+ * @desc Create a cancellation policy
+ * @access Private (Admin only)
+ */
+router.post('/', protect, authorize('admin'), createCancellationPolicy);
+
+/**
+ * @route PUT /api/cancellation-policies/:id
+ * @desc Update a cancellation policy
+ * @access Private (Admin only)
+ */
+router.put('/:id', protect, authorize('admin'), updateCancellationPolicy);
+
+/**
+ * @route DELETE /api/cancellation-policies/:id
+ * @desc Delete a cancellation policy
+ * @access Private (Admin only)
+ */
+router.delete('/:id', protect, authorize('admin'), deleteCancellationPolicy);
+
+export default router;
@@ -0,0 +1,85 @@
+/**
+ * @fileoverview Corporate account and city ledger routes
+ * @module routes/corporateAccountRoutes
+ */
+
+import express from 'express';
+import { protect, authorize } from '../middleware/auth.js';
+import {
+  listCorporateAccounts,
+  getCorporateAccount,
+  createCorporateAccount,
+  updateCorporateAccount,
+  getCityLedger,
+  postCityLedgerEntry,
+  getStatement,
+  downloadStatementPdf,
+  getAgingReport,
+} from '../controllers/corporateAccountController.js';
+
+const router = express.Router();
+
+/**
+ * @route GET /api/corporate-accounts/aging
+ * @desc Accounts receivable aging (0-30, 31-60, 61-90, over 90 days) across corporate accounts
+ * @access Private (Staff/Admin)
+ */
+router.get('/aging', protect, authorize('staff', 'admin'), getAgingReport);
+
+/**
+ * @route GET /api/corporate-accounts
+ * @desc List corporate accounts (query: search, isActive)
+ * @access Private (Staff/Admin)
+ */
+router.get('/', protect, authorize('staff', 'admin'), listCorporateAccounts);
+
+/**
+ * @route POST /api/corporate-accounts
+ * @desc Create a corporate account
+ * @access Private (Admin only)
+ */
+router.post('/', protect, authorize('admin'), createCorporateAccount);
+
+/**
+ * @route GET /api/corporate-accounts/:id
+ * @desc Get a corporate account with its available credit and aging
+ * @access Private (Staff/Admin)
+ */
+router.get('/:id', protect, authorize('staff', 'admin'), getCorporateAccount);
+
+/**
+ * @route PUT /api/corporate-accounts/:id
+ * @desc Update a corporate account (rates, credit limit, contact, active flag)
+ * @access Private (Admin only)
+ */
+router.put('/:id', protect, authorize('admin'), updateCorporateAccount);
+
+/**
+ * @route GET /api/corporate-accounts/:id/ledger
+ * @desc Get the account's city ledger with a running balance
+ * @access Private (Staff/Admin)
+ */
+router.get('/:id/ledger', protect, authorize('staff', 'admin'), getCityLedger);
+
+/**
+ * @route POST /api/corporate-accounts/:id/ledger
+ * @desc Record a company payment or post an adjustment
+ * @access Private (Staff/Admin)
+ */
+router.post('/:id/ledger', protect, authorize('staff', 'admin'), postCityLedgerEntry);
+
+/**
+ * @route GET /api/corporate-accounts/:id/statement
+ * @desc Get the account's statement for a month (query: month=YYYY-MM)
+ * @access Private (Staff/Admin)
+ */
+router.get('/:id/statement', protect, authorize('staff', 'admin'), getStatement);
+
+/**
+ * @route GET /api/corporate-accounts/:id/statement/pdf
+ * @desc Download the account's statement for a month as a PDF (query: month=YYYY-MM)
+ * @access Private (Staff/Admin)
+ */
+router.get('/:id/statement/pdf', protect, authorize('staff', 'admin'), downloadStatementPdf);
+
+export default router;
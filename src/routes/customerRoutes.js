@@ -5,7 +5,7 @@
 
 import express from 'express';
 import { protect, authorize } from '../middleware/auth.js';
-import { getCustomerBookingsSummary } from '../controllers/customerController.js';
+import { getCustomerBookingsSummary, getCustomerLoyalty } from '../controllers/customerController.js';
 
 const router = express.Router();
 
@@ -16,5 +16,12 @@ const router = express.Router();
  */
 router.get('/my-bookings/summary', protect, authorize('customer'), getCustomerBookingsSummary);
 
+/**
+ * @route GET /api/customer/loyalty
+ * @desc Get the customer's loyalty points, tier and points ledger
+ * @access Private (Customer)
+ */
+router.get('/loyalty', protect, authorize('customer'), getCustomerLoyalty);
+
 export default router;
 
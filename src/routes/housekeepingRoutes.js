@@ -0,0 +1,69 @@
+/**
+ * @fileoverview Housekeeping routes
+ * @module routes/housekeepingRoutes
+ */
+
+import express from 'express';
+import { protect, authorize } from '../middleware/auth.js';
+import {
+  getHousekeepingBoard,
+  listHousekeepingTasks,
+  listHousekeepers,
+  generateTasks,
+  assignHousekeepingTask,
+  updateHousekeepingTaskStatus,
+  updateRoomHousekeepingStatus,
+} from '../controllers/housekeepingController.js';
+
+const router = express.Router();
+
+/**
+ * @route GET /api/housekeeping/board
+ * @desc Every room's cleaning state with the day's task, in-house guest and arrival (query: date)
+ * @access Private (Staff/Admin)
+ */
+router.get('/board', protect, authorize('staff', 'admin'), getHousekeepingBoard);
+
+/**
+ * @route GET /api/housekeeping/housekeepers
+ * @desc List the active staff members tasks can be assigned to
+ * @access Private (Staff/Admin)
+ */
+router.get('/housekeepers', protect, authorize('staff', 'admin'), listHousekeepers);
+
+/**
+ * @route GET /api/housekeeping/tasks
+ * @desc List a day's tasks (query: date, assignedTo (user ID or "none"), status, mine=true)
+ * @access Private (Staff/Admin)
+ */
+router.get('/tasks', protect, authorize('staff', 'admin'), listHousekeepingTasks);
+
+/**
+ * @route POST /api/housekeeping/tasks/generate
+ * @desc Create a day's tasks from departures and stayovers (body: date, housekeeperIds to share them between)
+ * @access Private (Staff/Admin)
+ */
+router.post('/tasks/generate', protect, authorize('staff', 'admin'), generateTasks);
+
+/**
+ * @route PUT /api/housekeeping/tasks/:id/assign
+ * @desc Assign a task to a housekeeper (body: assignedTo, null to unassign)
+ * @access Private (Staff/Admin)
+ */
+router.put('/tasks/:id/assign', protect, authorize('staff', 'admin'), assignHousekeepingTask);
+
+/**
+ * @route PATCH /api/housekeeping/tasks/:id/status
+ * @desc Start, finish, inspect or reopen a task (body: status, notes); the room's cleaning state follows
+ * @access Private (Staff/Admin)
+ */
+router.patch('/tasks/:id/status', protect, authorize('staff', 'admin'), updateHousekeepingTaskStatus);
+
+/**
+ * @route PATCH /api/housekeeping/rooms/:roomId
+ * @desc Set a room's cleaning state directly (body: housekeepingStatus)
+ * @access Private (Staff/Admin)
+ */
+router.patch('/rooms/:roomId', protect, authorize('staff', 'admin'), updateRoomHousekeepingStatus);
+
+export default router;
@@ -12,11 +12,21 @@ import serviceRoutes from './serviceRoutes.js';
 import bookingRoutes from './bookingRoutes.js';
 import billingRoutes from './billingRoutes.js';
 import reportsRoutes from './reportsRoutes.js';
+import jobRoutes from './jobRoutes.js';
 import feedbackRoutes from './feedbackRoutes.js';
 import adminRoutes from './adminRoutes.js';
 import staffRoutes from './staffRoutes.js';
 import customerRoutes from './customerRoutes.js';
 import serviceUsageRoutes from './serviceUsageRoutes.js';
+import notificationRoutes from './notificationRoutes.js';
+import ratePlanRoutes from './ratePlanRoutes.js';
+import cancellationPolicyRoutes from './cancellationPolicyRoutes.js';
+import corporateAccountRoutes from './corporateAccountRoutes.js';
+import promoCodeRoutes from './promoCodeRoutes.js';
+import housekeepingRoutes from './housekeepingRoutes.js';
+import workOrderRoutes from './workOrderRoutes.js';
+import nightAuditRoutes from './nightAuditRoutes.js';
+import waitlistRoutes from './waitlistRoutes.js';
 
 const router = express.Router();
 
@@ -59,6 +69,9 @@ router.use('/admin', adminRoutes);
 // Admin reports routes
 router.use('/admin/reports', reportsRoutes);
 
+// Admin scheduled job routes
+router.use('/admin/jobs', jobRoutes);
+
 // Staff routes
 router.use('/staff', staffRoutes);
 
@@ -71,4 +84,31 @@ router.use('/feedback', feedbackRoutes);
 // Service usage routes
 router.use('/service-usage', serviceUsageRoutes);
 
+// Notification inbox routes
+router.use('/notifications', notificationRoutes);
+
+// Rate plan routes
+router.use('/rate-plans', ratePlanRoutes);
+
+// Cancellation policy routes
+router.use('/cancellation-policies', cancellationPolicyRoutes);
+
+// Corporate account and city ledger routes
+router.use('/corporate-accounts', corporateAccountRoutes);
+
+// Promo code routes
+router.use('/promo-codes', promoCodeRoutes);
+
+// Housekeeping routes
+router.use('/housekeeping', housekeepingRoutes);
+
+// Maintenance work order routes
+router.use('/work-orders', workOrderRoutes);
+
+// Night audit (end-of-day close) routes
+router.use('/night-audit', nightAuditRoutes);
+
+// Waitlist routes
+router.use('/waitlist', waitlistRoutes);
+
 export default router;
\ No newline at end of file
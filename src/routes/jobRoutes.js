@@ -0,0 +1,45 @@
+/**
+ * @fileoverview Scheduled job routes
+ * @module routes/jobRoutes
+ */
+
+import express from 'express';
+import { protect, authorize } from '../middleware/auth.js';
+import {
+  listJobs,
+  listJobRuns,
+  runJob,
+  updateJob,
+} from '../controllers/jobController.js';
+
+const router = express.Router();
+
+/**
+ * @route GET /api/admin/jobs
+ * @desc List scheduled jobs with their schedule, next run, last outcome and lock
+ * @access Private (Admin only)
+ */
+router.get('/', protect, authorize('admin'), listJobs);
+
+/**
+ * @route GET /api/admin/jobs/:name/runs
+ * @desc Get a job's run history, newest first (query: limit, max 100)
+ * @access Private (Admin only)
+ */
+router.get('/:name/runs', protect, authorize('admin'), listJobRuns);
+
+/**
+ * @route POST /api/admin/jobs/:name/run
+ * @desc Run a job now and wait for it to finish; 409 while it is running on any instance
+ * @access Private (Admin only)
+ */
+router.post('/:name/run', protect, authorize('admin'), runJob);
+
+/**
+ * @route PATCH /api/admin/jobs/:name
+ * @desc Enable or disable a job, or change its schedule (body: isEnabled, intervalMinutes or timeOfDay)
+ * @access Private (Admin only)
+ */
+router.patch('/:name', protect, authorize('admin'), updateJob);
+
+export default router;
@@ -0,0 +1,37 @@
+/**
+ * @fileoverview Night audit routes
+ * @module routes/nightAuditRoutes
+ */
+
+import express from 'express';
+import { protect, authorize } from '../middleware/auth.js';
+import {
+  listNightAudits,
+  getNightAudit,
+  closeBusinessDate,
+} from '../controllers/nightAuditController.js';
+
+const router = express.Router();
+
+/**
+ * @route GET /api/night-audit
+ * @desc List closed business dates with their snapshots (query: startDate, endDate; defaults to the last 30 days)
+ * @access Private (Staff/Admin)
+ */
+router.get('/', protect, authorize('staff', 'admin'), listNightAudits);
+
+/**
+ * @route POST /api/night-audit
+ * @desc Close the next open business date (body: date - optional, must be the next open date)
+ * @access Private (Staff/Admin)
+ */
+router.post('/', protect, authorize('staff', 'admin'), closeBusinessDate);
+
+/**
+ * @route GET /api/night-audit/:date
+ * @desc Get the audit of a closed business date (YYYY-MM-DD)
+ * @access Private (Staff/Admin)
+ */
+router.get('/:date', protect, authorize('staff', 'admin'), getNightAudit);
+
+export default router;
@@ -0,0 +1,53 @@
+/**
+ * @fileoverview Notification inbox routes
+ * @module routes/notificationRoutes
+ */
+
+import express from 'express';
+import { protect } from '../middleware/auth.js';
+import {
+  listMyNotifications,
+  getUnreadCount,
+  markNotificationRead,
+  markAllNotificationsRead,
+  deleteNotification,
+} from '../controllers/notificationController.js';
+
+const router = express.Router();
+
+/**
+ * @route GET /api/notifications
+ * @desc List current user's notifications (paginated)
+ * @access Private
+ */
+router.get('/', protect, listMyNotifications);
+
+/**
+ * @route GET /api/notifications/unread-count
+ * @desc Get current user's unread notification count
+ * @access Private
+ */
+router.get('/unread-count', protect, getUnreadCount);
+
+/**
+ * @route PATCH /api/notifications/read-all
+ * @desc Mark all of current user's notifications as read
+ * @access Private
+ */
+router.patch('/read-all', protect, markAllNotificationsRead);
+
+/**
+ * @route PATCH /api/notifications/:id/read
+ * @desc Mark a notification as read
+ * @access Private
+ */
+router.patch('/:id/read', protect, markNotificationRead);
+
+/**
+ * @route DELETE /api/notifications/:id
+ * @desc Delete a notification
+ * @access Private
+ */
+router.delete('/:id', protect, deleteNotification);
+
+export default router;
@@ -0,0 +1,53 @@
+/**
+ * @fileoverview Promo code routes
+ * @module routes/promoCodeRoutes
+ */
+
+import express from 'express';
+import { protect, authorize } from '../middleware/auth.js';
+import {
+  listPromoCodes,
+  createPromoCode,
+  updatePromoCode,
+  deletePromoCode,
+  validatePromoCode,
+} from '../controllers/promoCodeController.js';
+
+const router = express.Router();
+
+/**
+ * @route POST /api/promo-codes/validate
+ * @desc Check a promo code against a stay and preview the discount
+ * @access Private
+ */
+router.post('/validate', protect, validatePromoCode);
+
+/**
+ * @route GET /api/promo-codes
+ * @desc List promo codes
+ * @access Private (Admin only)
+ */
+router.get('/', protect, authorize('admin'), listPromoCodes);
+
+/**
+ * @route POST /api/promo-codes
+ * @desc Create a promo code
+ * @access Private (Admin only)
+ */
+router.post('/', protect, authorize('admin'), createPromoCode);
+
+/**
+ * @route PUT /api/promo-codes/:id
+ * @desc Update a promo code
+ * @access Private (Admin only)
+ */
+router.put('/:id', protect, authorize('admin'), updatePromoCode);
+
+/**
+ * @route DELETE /api/promo-codes/:id
+ * @desc Delete a promo code that was never redeemed
+ * @access Private (Admin only)
+ */
+router.delete('/:id', protect, authorize('admin'), deletePromoCode);
+
+export default router;
@@ -0,0 +1,53 @@
+/**
+ * @fileoverview Rate plan routes
+ * @module routes/ratePlanRoutes
+ */
+
+import express from 'express';
+import { protect, authorize } from '../middleware/auth.js';
+import {
+  listRatePlans,
+  createRatePlan,
+  updateRatePlan,
+  deleteRatePlan,
+  getRateCalendar,
+} from '../controllers/ratePlanController.js';
+
+const router = express.Router();
+
+/**
+ * @route GET /api/rate-plans/calendar
+ * @desc Get nightly prices per room type for a date range
+ * @access Private (Staff/Admin)
+ */
+router.get('/calendar', protect, authorize('staff', 'admin'), getRateCalendar);
+
+/**
+ * @route GET /api/rate-plans
+ * @desc List rate plans
+ * @access Private (Staff/Admin)
+ */
+router.get('/', protect, authorize('staff', 'admin'), listRatePlans);
+
+/**
+ * @route POST /api/rate-plans
+ * @desc Create a rate plan
+ * @access Private (Admin only)
+ */
+router.post('/', protect, authorize('admin'), createRatePlan);
+
+/**
+ * @route PUT /api/rate-plans/:id
+ * @desc Update a rate plan
+ * @access Private (Admin only)
+ */
+router.put('/:id', protect, authorize('admin'), updateRatePlan);
+
+/**
+ * @route DELETE /api/rate-plans/:id
+ * @desc Delete a rate plan
+ * @access Private (Admin only)
+ */
+router.delete('/:id', protect, authorize('admin'), deleteRatePlan);
+
+export default router;
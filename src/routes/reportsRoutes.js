@@ -9,6 +9,8 @@ import {
   getRevenueSummary,
   getOccupancyStats,
   getTopServices,
+  getPromotionRedemptions,
+  getOversoldNights,
 } from '../controllers/reportsController.js';
 
 const router = express.Router();
@@ -34,5 +36,19 @@ router.get('/occupancy', protect, authorize('admin'), getOccupancyStats);
  */
 router.get('/top-services', protect, authorize('admin'), getTopServices);
 
+/**
+ * @route GET /api/admin/reports/promotions
+ * @desc Get redemption counts and discounts per promo code
+ * @access Private (Admin only)
+ */
+router.get('/promotions', protect, authorize('admin'), getPromotionRedemptions);
+
+/**
+ * @route GET /api/admin/reports/oversold-nights
+ * @desc Get nights each room type is booked beyond its sellable rooms (query: startDate, endDate)
+ * @access Private (Admin only)
+ */
+router.get('/oversold-nights', protect, authorize('admin'), getOversoldNights);
+
 export default router;
 
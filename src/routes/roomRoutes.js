@@ -12,6 +12,8 @@ import {
   getRoomById,
   listRooms,
   getAvailabilityForDateRange,
+  getRoomQuote,
+  getRoomTypeAvailabilityForDateRange,
 } from '../controllers/roomController.js';
 
 const router = express.Router();
@@ -30,6 +32,20 @@ router.get('/', listRooms);
  */
 router.get('/availability', getAvailabilityForDateRange);
 
+/**
+ * @route GET /api/rooms/type-availability
+ * @desc Get availability and price quote per room type for date range
+ * @access Public
+ */
+router.get('/type-availability', getRoomTypeAvailabilityForDateRange);
+
+/**
+ * @route GET /api/rooms/:id/quote
+ * @desc Get a night-by-night price quote for a room and date range
+ * @access Public
+ */
+router.get('/:id/quote', getRoomQuote);
+
 /**
  * @route GET /api/rooms/:id
  * @desc Get room by ID
@@ -0,0 +1,45 @@
+/**
+ * @fileoverview Waitlist routes
+ * @module routes/waitlistRoutes
+ */
+
+import express from 'express';
+import { protect, authorize } from '../middleware/auth.js';
+import {
+  joinWaitlist,
+  listMyWaitlistEntries,
+  listWaitlistEntries,
+  cancelWaitlist,
+} from '../controllers/waitlistController.js';
+
+const router = express.Router();
+
+/**
+ * @route POST /api/waitlist
+ * @desc Join the waitlist for a sold-out room type (body: roomType, checkInDate, checkOutDate)
+ * @access Private (Customer)
+ */
+router.post('/', protect, authorize('customer'), joinWaitlist);
+
+/**
+ * @route GET /api/waitlist
+ * @desc List waitlist entries in line order (query: status - defaults to waiting and offered, roomType)
+ * @access Private (Staff/Admin)
+ */
+router.get('/', protect, authorize('staff', 'admin'), listWaitlistEntries);
+
+/**
+ * @route GET /api/waitlist/my-entries
+ * @desc List the customer's waitlist entries with their place in line and open offers
+ * @access Private (Customer)
+ */
+router.get('/my-entries', protect, authorize('customer'), listMyWaitlistEntries);
+
+/**
+ * @route POST /api/waitlist/:id/cancel
+ * @desc Leave the waitlist; a room held for the entry is offered to the next guest
+ * @access Private (Customer - own entries, Staff/Admin)
+ */
+router.post('/:id/cancel', protect, cancelWaitlist);
+
+export default router;
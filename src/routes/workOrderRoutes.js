@@ -0,0 +1,53 @@
+/**
+ * @fileoverview Maintenance work order routes
+ * @module routes/workOrderRoutes
+ */
+
+import express from 'express';
+import { protect, authorize } from '../middleware/auth.js';
+import {
+  listWorkOrders,
+  getWorkOrder,
+  createWorkOrder,
+  updateWorkOrder,
+  updateWorkOrderStatus,
+} from '../controllers/workOrderController.js';
+
+const router = express.Router();
+
+/**
+ * @route GET /api/work-orders
+ * @desc List work orders (query: status (comma separated), priority, roomId, assignedTo)
+ * @access Private (Staff/Admin)
+ */
+router.get('/', protect, authorize('staff', 'admin'), listWorkOrders);
+
+/**
+ * @route POST /api/work-orders
+ * @desc Raise a work order; bookings holding the room during its out-of-order block are flagged
+ * @access Private (Staff/Admin)
+ */
+router.post('/', protect, authorize('staff', 'admin'), createWorkOrder);
+
+/**
+ * @route GET /api/work-orders/:id
+ * @desc Get a work order with the bookings its block clashes with
+ * @access Private (Staff/Admin)
+ */
+router.get('/:id', protect, authorize('staff', 'admin'), getWorkOrder);
+
+/**
+ * @route PUT /api/work-orders/:id
+ * @desc Update a work order (details, assignee, block dates)
+ * @access Private (Staff/Admin)
+ */
+router.put('/:id', protect, authorize('staff', 'admin'), updateWorkOrder);
+
+/**
+ * @route PATCH /api/work-orders/:id/status
+ * @desc Start, resolve (body: resolutionNotes), cancel or reopen a work order
+ * @access Private (Staff/Admin)
+ */
+router.patch('/:id/status', protect, authorize('staff', 'admin'), updateWorkOrderStatus);
+
+export default router;
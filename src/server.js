@@ -5,6 +5,7 @@
 
 import app from './app.js';
 import connectDB from './config/db.js';
+import { startScheduler } from './services/jobService.js';
 
 const PORT = process.env.PORT || 5000;
 
@@ -16,6 +17,9 @@ const server = app.listen(PORT, () => {
   console.log(`Server running in ${process.env.NODE_ENV || 'development'} mode on port ${PORT}`);
 });
 
+// Run scheduled jobs (hold expiry, no-shows, reminders, backups) in the background
+startScheduler();
+
 // Handle unhandled promise rejections
 process.on('unhandledRejection', (err) => {
   console.error(`Error: ${err.message}`);
@@ -0,0 +1,87 @@
+/**
+ * @fileoverview Backup service: writes a JSON copy of every collection to the backups directory.
+ * Collections are taken from the central model exports, so a new model is backed up once it is exported there.
+ * @module services/backupService
+ *
+ * This is a minimal backup to satisfy NFR-7.
+ * For production use, consider using mongodump or a proper backup solution.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import * as models from '../models/index.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const BACKUP_DIR = path.join(__dirname, '..', '..', 'backups');
+
+/**
+ * Create backup directory if it doesn't exist
+ * @returns {string} Backup directory path
+ */
+const ensureBackupDir = () => {
+  if (!fs.existsSync(BACKUP_DIR)) {
+    fs.mkdirSync(BACKUP_DIR, { recursive: true });
+  }
+  return BACKUP_DIR;
+};
+
+/**
+ * Backup a single collection
+ * @param {string} collectionName - Name of the collection
+ * @param {mongoose.Model} Model - Mongoose model
+ * @param {string} backupDir - Backup directory path
+ * @param {string} timestamp - Timestamp used in the file name
+ * @returns {Promise<Object>} Object with collection, count and filename
+ */
+const backupCollection = async (collectionName, Model, backupDir, timestamp) => {
+  const data = await Model.find({}).lean();
+
+  const filename = `${collectionName}_${timestamp}.json`;
+  fs.writeFileSync(path.join(backupDir, filename), JSON.stringify(data, null, 2), 'utf8');
+
+  return {
+    collection: collectionName,
+    count: data.length,
+    filename,
+  };
+};
+
+/**
+ * Back up every collection over the open database connection and write a summary file.
+ * A collection that fails is logged and left out of the summary.
+ * @returns {Promise<Object>} Summary with timestamp, backupDir, collections, totalDocuments and summaryFile
+ */
+export const createBackup = async () => {
+  const backupDir = ensureBackupDir();
+  const timestamp = new Date().toISOString();
+  const fileTimestamp = timestamp.replace(/[:.]/g, '-');
+
+  const results = [];
+  const failed = [];
+  for (const [collectionName, Model] of Object.entries(models)) {
+    try {
+      results.push(await backupCollection(collectionName, Model, backupDir, fileTimestamp));
+    } catch (error) {
+      console.error(`Failed to backup ${collectionName}:`, error);
+      failed.push(collectionName);
+    }
+  }
+
+  const summary = {
+    timestamp,
+    backupDir,
+    collections: results,
+    failed,
+    totalDocuments: results.reduce((sum, r) => sum + r.count, 0),
+  };
+
+  const summaryFile = `backup_summary_${fileTimestamp}.json`;
+  fs.writeFileSync(path.join(backupDir, summaryFile), JSON.stringify(summary, null, 2), 'utf8');
+
+  return { ...summary, summaryFile };
+};
+
+export default createBackup;
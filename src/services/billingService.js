@@ -4,21 +4,79 @@
  */
 
 import ServiceUsage from '../models/ServiceUsage.js';
+import FolioEntry from '../models/FolioEntry.js';
 import Payment from '../models/Payment.js';
+import Invoice from '../models/Invoice.js';
+import Room from '../models/Room.js';
+import { getActiveTaxLines, applyTaxLines, roundMoney } from './taxService.js';
+import { toNightDate } from '../utils/roomAvailability.js';
 
 /**
- * Calculate total cost for a booking including room and services
+ * Signed amount of a folio entry: discounts take off the bill, adjustments carry their own sign
+ * @param {Object} entry - FolioEntry document
+ * @returns {number} Amount added to the bill
+ */
+export const signedEntryAmount = (entry) => (entry.type === 'discount' ? -entry.amount : entry.amount);
+
+/**
+ * Calculate total cost for a booking including room, services, entries posted to its folio and taxes
  * @param {Object} booking - Booking object with populated room
- * @returns {Promise<Object>} Object with roomCost, servicesCost, and totalCost
+ * @returns {Promise<Object>} Object with roomCost, roomItems, servicesCost, serviceItems, postedItems,
+ *   subtotal, taxLines, taxTotal, and totalCost
  */
 export const calculateBookingTotal = async (booking) => {
-  // Ensure room is populated
-  if (!booking.room || typeof booking.room.pricePerNight === 'undefined') {
-    throw new Error('Room must be populated with pricePerNight');
-  }
+  // Room cost: sum of the nightly rates locked in at booking time.
+  // Bookings made before rate plans existed fall back to pricePerNight * totalNights.
+  // Cancelled bookings are only charged their cancellation penalty.
+  // Nights closed by the night audit are billed by the room charge it posted to the folio
+  const folioEntries = await FolioEntry.find({ booking: booking._id }).sort({ postedAt: 1, _id: 1 });
+  const postedNights = folioEntries.filter((entry) => entry.night).map((entry) => entry.night.getTime());
+  const nightlyRates = (booking.nightlyRates || [])
+    .filter((night) => !postedNights.includes(toNightDate(night.date).getTime()));
+  let roomCost;
+  let roomItems;
+  if (booking.status === 'cancelled' && booking.cancellation) {
+    roomCost = booking.cancellation.penaltyAmount || 0;
+    roomItems = roomCost > 0
+      ? [{
+          date: null,
+          ratePlan: null,
+          description: 'Cancellation fee',
+          quantity: 1,
+          unitPrice: roomCost,
+          total: roomCost,
+        }]
+      : [];
+  } else if (nightlyRates.length > 0 || postedNights.length > 0) {
+    // Nights spent in another room after a room move are labelled with that room
+    const movedRoomIds = nightlyRates.map((night) => night.room).filter(Boolean);
+    const movedRooms = movedRoomIds.length > 0
+      ? await Room.find({ _id: { $in: movedRoomIds } }).select('code')
+      : [];
 
-  // Room cost: pricePerNight * totalNights
-  const roomCost = booking.room.pricePerNight * booking.totalNights;
+    roomCost = roundMoney(nightlyRates.reduce((sum, night) => sum + night.price, 0));
+    roomItems = nightlyRates.map((night) => ({
+      date: night.date,
+      ratePlan: night.ratePlan,
+      roomCode: night.room ? movedRooms.find((room) => room._id.equals(night.room))?.code || null : null,
+      quantity: 1,
+      unitPrice: night.price,
+      total: night.price,
+    }));
+  } else {
+    // Ensure room is populated
+    if (!booking.room || typeof booking.room.pricePerNight === 'undefined') {
+      throw new Error('Room must be populated with pricePerNight');
+    }
+    roomCost = booking.room.pricePerNight * booking.totalNights;
+    roomItems = [{
+      date: null,
+      ratePlan: null,
+      quantity: booking.totalNights,
+      unitPrice: booking.room.pricePerNight,
+      total: roomCost,
+    }];
+  }
 
   // Get all service usages for this booking
   const serviceUsages = await ServiceUsage.find({ booking: booking._id })
@@ -35,44 +93,151 @@ export const calculateBookingTotal = async (booking) => {
       quantity: usage.quantity,
       unitPrice: usage.service.price,
       total: itemTotal,
+      usedAt: usage.createdAt,
     };
   });
 
-  const totalCost = roomCost + servicesCost;
+  // Charges, discounts and adjustments posted to the folio count towards the room or the extras
+  const postedItems = folioEntries.map((entry) => ({
+    entryId: entry._id,
+    type: entry.type,
+    category: entry.category,
+    folio: entry.folio,
+    description: entry.description,
+    amount: signedEntryAmount(entry),
+    postedBy: entry.postedBy,
+    postedAt: entry.postedAt,
+  }));
+  const postedCost = (category) =>
+    postedItems.filter((item) => item.category === category).reduce((sum, item) => sum + item.amount, 0);
+  roomCost = roundMoney(roomCost + postedCost('room'));
+  servicesCost = roundMoney(servicesCost + postedCost('extras'));
+
+  const subtotal = roomCost + servicesCost;
+
+  // Apply configured tax lines; exclusive taxes are added on top of the subtotal
+  const taxes = applyTaxLines({ roomCost, servicesCost }, await getActiveTaxLines());
+  const totalCost = taxes.grossAmount;
 
   return {
     roomCost,
+    roomItems,
     servicesCost,
+    subtotal,
+    taxLines: taxes.lines,
+    inclusiveTax: taxes.inclusiveTax,
+    exclusiveTax: taxes.exclusiveTax,
+    taxTotal: taxes.taxTotal,
     totalCost,
     serviceItems,
+    postedItems,
+  };
+};
+
+/**
+ * Calculate the combined bill of a group's rooms (the group's master folio).
+ * Each room is billed exactly as it would be on its own, then the amounts are added up.
+ * @param {Object[]} bookings - Member bookings with populated room
+ * @returns {Promise<Object>} Same totals as calculateBookingTotal plus `rooms` ({ booking, billing } per room)
+ */
+export const calculateGroupTotal = async (bookings) => {
+  const rooms = [];
+  for (const booking of bookings) {
+    rooms.push({ booking, billing: await calculateBookingTotal(booking) });
+  }
+
+  const sum = (key) => roundMoney(rooms.reduce((total, room) => total + room.billing[key], 0));
+
+  // Merge tax lines by name so the master invoice shows one line per tax
+  const taxLinesByName = new Map();
+  rooms.forEach(({ billing }) => {
+    billing.taxLines.forEach((line) => {
+      const merged = taxLinesByName.get(line.name);
+      if (merged) {
+        merged.base = roundMoney(merged.base + line.base);
+        merged.amount = roundMoney(merged.amount + line.amount);
+      } else {
+        taxLinesByName.set(line.name, { ...line });
+      }
+    });
+  });
+
+  return {
+    roomCost: sum('roomCost'),
+    servicesCost: sum('servicesCost'),
+    subtotal: sum('subtotal'),
+    taxLines: [...taxLinesByName.values()],
+    inclusiveTax: sum('inclusiveTax'),
+    exclusiveTax: sum('exclusiveTax'),
+    taxTotal: sum('taxTotal'),
+    totalCost: sum('totalCost'),
+    rooms,
   };
 };
 
 /**
- * Generate invoice number
- * @returns {string} Invoice number in format INV-YYYYMMDD-XXXXX
+ * Statuses of payments whose money was received. Refunding a payment changes its status
+ * but the money given back is recorded as a separate refund record.
  */
-export const generateInvoiceNumber = () => {
-  const now = new Date();
-  const year = now.getFullYear();
-  const month = String(now.getMonth() + 1).padStart(2, '0');
-  const day = String(now.getDate()).padStart(2, '0');
-  const random = Math.floor(Math.random() * 100000).toString().padStart(5, '0');
-  return `INV-${year}${month}${day}-${random}`;
+export const RECEIVED_STATUSES = ['paid', 'partially_refunded', 'refunded'];
+
+/**
+ * Query for records where money actually moved: payments received and refunds paid out
+ */
+export const SETTLED_PAYMENTS_FILTER = {
+  $or: [
+    { type: { $ne: 'refund' }, status: { $in: RECEIVED_STATUSES } },
+    { type: 'refund', status: 'paid' },
+  ],
 };
 
 /**
- * Get total paid amount for a booking
+ * Signed amount of a payment record: refunds count against the money received
+ * @param {Object} payment - Payment document
+ * @returns {number} Amount, negative for refunds
+ */
+export const signedAmount = (payment) => (payment.type === 'refund' ? -payment.amount : payment.amount);
+
+/**
+ * Get total paid amount for a booking, net of refunds
  * @param {string} bookingId - Booking ID
  * @returns {Promise<number>} Total amount paid
  */
 export const getTotalPaid = async (bookingId) => {
   const payments = await Payment.find({
     booking: bookingId,
-    status: 'paid',
+    ...SETTLED_PAYMENTS_FILTER,
+  });
+
+  return roundMoney(payments.reduce((total, payment) => total + signedAmount(payment), 0));
+};
+
+/**
+ * Get total paid towards a group's master folio: payments taken on the group
+ * plus payments taken on any of its rooms, net of refunds
+ * @param {string} groupId - GroupBooking ID
+ * @param {string[]} bookingIds - IDs of the group's bookings
+ * @returns {Promise<number>} Total amount paid
+ */
+export const getGroupTotalPaid = async (groupId, bookingIds) => {
+  const payments = await Payment.find({
+    $and: [
+      { $or: [{ group: groupId }, { booking: { $in: bookingIds } }] },
+      SETTLED_PAYMENTS_FILTER,
+    ],
   });
 
-  return payments.reduce((total, payment) => total + payment.amount, 0);
+  return roundMoney(payments.reduce((total, payment) => total + signedAmount(payment), 0));
+};
+
+/**
+ * Total credited on the issued invoice of a booking or group. Credit notes reduce what is owed.
+ * @param {Object} owner - `{ booking }` or `{ group }` ID
+ * @returns {Promise<number>} Amount credited
+ */
+export const getTotalCredited = async (owner) => {
+  const invoice = await Invoice.findOne({ ...owner, kind: 'invoice', status: 'issued' });
+  return invoice?.creditedAmount || 0;
 };
 
 /**
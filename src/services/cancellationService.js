@@ -0,0 +1,255 @@
+/**
+ * @fileoverview Cancellation service: resolves cancellation policies and settles penalties and refunds
+ * @module services/cancellationService
+ */
+
+import CancellationPolicy from '../models/CancellationPolicy.js';
+import Booking from '../models/Booking.js';
+import Payment from '../models/Payment.js';
+import {
+  calculateBookingTotal,
+  getTotalPaid,
+} from './billingService.js';
+import { findInvoiceNumber } from './invoiceService.js';
+import { releasePromoCode } from './promotionService.js';
+import { roundMoney } from './taxService.js';
+
+const ONE_HOUR = 60 * 60 * 1000;
+
+// Bookings that can still be cancelled (staff can force-cancel an in-house stay)
+const CANCELLABLE_STATUSES = ['pending', 'approved', 'checked_in'];
+
+/**
+ * Copy a policy's terms onto a booking so later policy edits don't change what the guest agreed to
+ * @param {Object|null} policy - CancellationPolicy document
+ * @returns {Object|null} Policy snapshot
+ */
+export const toPolicySnapshot = (policy) =>
+  policy
+    ? {
+        policy: policy._id,
+        name: policy.name,
+        description: policy.description,
+        freeCancellationHours: policy.freeCancellationHours,
+        penaltyType: policy.penaltyType,
+        penaltyValue: policy.penaltyValue,
+        noShowPenaltyType: policy.noShowPenaltyType,
+        noShowPenaltyValue: policy.noShowPenaltyValue,
+        isNonRefundable: policy.isNonRefundable,
+      }
+    : null;
+
+/**
+ * Get the cancellation terms for a stay: the policy named by the rate, otherwise the default policy
+ * @param {string|null} policyId - Policy named by the stay's rate plan (see priceStay)
+ * @returns {Promise<Object|null>} Policy snapshot, or null when cancellation is always free
+ */
+export const getCancellationPolicySnapshot = async (policyId = null) => {
+  let policy = policyId
+    ? await CancellationPolicy.findOne({ _id: policyId, isActive: true })
+    : null;
+  if (!policy) {
+    policy = await CancellationPolicy.findOne({ isDefault: true, isActive: true });
+  }
+  return toPolicySnapshot(policy);
+};
+
+/**
+ * Price a penalty on a stay: a number of its first nights, a percentage of it, or all of it.
+ * The penalty is a room charge and never exceeds the stay's room total.
+ * @param {Object} booking - Booking with nightlyRates, totalAmount and totalNights
+ * @param {('nights'|'percent'|'full')} penaltyType - How the penalty is worked out
+ * @param {number} penaltyValue - Number of nights, or percentage of the stay
+ * @returns {number} Penalty amount
+ */
+const priceStayPenalty = (booking, penaltyType, penaltyValue) => {
+  const stayAmount = booking.totalAmount || 0;
+
+  let penalty;
+  switch (penaltyType) {
+    case 'full':
+      penalty = stayAmount;
+      break;
+    case 'percent':
+      penalty = (stayAmount * penaltyValue) / 100;
+      break;
+    case 'nights':
+    default: {
+      // Charge the first nights of the stay at the rate they were sold for
+      const nights = booking.nightlyRates || [];
+      penalty = nights.length > 0
+        ? nights.slice(0, penaltyValue).reduce((sum, night) => sum + night.price, 0)
+        : (stayAmount / (booking.totalNights || 1)) * penaltyValue;
+      break;
+    }
+  }
+
+  return roundMoney(Math.min(Math.max(penalty, 0), stayAmount));
+};
+
+/**
+ * Work out the penalty a booking's policy charges for cancelling at a given moment.
+ * @param {Object} booking - Booking with cancellationPolicy, nightlyRates, totalAmount and checkInDate
+ * @param {Date} [at] - Moment of cancellation
+ * @returns {Object} Object with hoursBeforeCheckIn and penaltyAmount
+ */
+export const calculateCancellationPenalty = (booking, at = new Date()) => {
+  const policy = booking.cancellationPolicy;
+  const hoursBeforeCheckIn = Math.floor((new Date(booking.checkInDate) - at) / ONE_HOUR);
+
+  if (!policy) {
+    return { hoursBeforeCheckIn, penaltyAmount: 0 };
+  }
+
+  let penaltyAmount = 0;
+  if (policy.isNonRefundable) {
+    penaltyAmount = priceStayPenalty(booking, 'full');
+  } else if (hoursBeforeCheckIn < policy.freeCancellationHours) {
+    penaltyAmount = priceStayPenalty(booking, policy.penaltyType, policy.penaltyValue);
+  }
+
+  return { hoursBeforeCheckIn, penaltyAmount };
+};
+
+/**
+ * Work out the penalty a booking's policy charges when the guest never arrives. There is no free
+ * window for a no-show; terms locked in before no-show charges existed fall back to the late
+ * cancellation terms.
+ * @param {Object} booking - Booking with cancellationPolicy, nightlyRates, totalAmount and checkInDate
+ * @param {Date} [at] - Moment the no-show is recorded
+ * @returns {Object} Object with hoursBeforeCheckIn and penaltyAmount
+ */
+export const calculateNoShowPenalty = (booking, at = new Date()) => {
+  const policy = booking.cancellationPolicy;
+  const hoursBeforeCheckIn = Math.floor((new Date(booking.checkInDate) - at) / ONE_HOUR);
+
+  if (!policy) {
+    return { hoursBeforeCheckIn, penaltyAmount: 0 };
+  }
+
+  const penaltyAmount = policy.isNonRefundable
+    ? priceStayPenalty(booking, 'full')
+    : priceStayPenalty(
+        booking,
+        policy.noShowPenaltyType || policy.penaltyType,
+        policy.noShowPenaltyType ? policy.noShowPenaltyValue : policy.penaltyValue
+      );
+
+  return { hoursBeforeCheckIn, penaltyAmount };
+};
+
+/**
+ * Preview what cancelling a booking now would cost: the penalty, the resulting bill
+ * and how much of what was paid goes back to the guest. Nothing is saved.
+ * @param {Object} booking - Booking document
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.waivePenalty] - Staff waive the policy's penalty
+ * @param {boolean} [options.noShow] - The guest never arrived: the policy's no-show terms apply
+ * @param {Date} [options.at] - Moment of cancellation
+ * @returns {Promise<Object>} Cancellation outcome
+ */
+export const previewCancellation = async (booking, { waivePenalty = false, noShow = false, at = new Date() } = {}) => {
+  const { hoursBeforeCheckIn, penaltyAmount: policyPenalty } = noShow
+    ? calculateNoShowPenalty(booking, at)
+    : calculateCancellationPenalty(booking, at);
+  const penaltyAmount = waivePenalty ? 0 : policyPenalty;
+
+  // Bill the booking as it will stand once cancelled: the penalty plus any services used
+  const billingDetails = await calculateBookingTotal({
+    ...booking.toObject(),
+    status: 'cancelled',
+    cancellation: { penaltyAmount },
+  });
+  const totalPaid = await getTotalPaid(booking._id);
+  const balance = roundMoney(billingDetails.totalCost - totalPaid);
+
+  return {
+    policy: booking.cancellationPolicy || null,
+    noShow,
+    hoursBeforeCheckIn,
+    penaltyAmount,
+    penaltyWaived: waivePenalty && policyPenalty > 0,
+    totalCharge: billingDetails.totalCost,
+    totalPaid,
+    balanceDue: Math.max(balance, 0),
+    refundAmount: Math.max(-balance, 0),
+  };
+};
+
+/**
+ * Cancel a booking under its cancellation policy. Records the outcome on the booking and
+ * raises a pending penalty charge (money still owed) or a pending refund (money to give back)
+ * against Payment and gives back the booking's promo code use. The caller releases the booking's nights.
+ * The status only moves to cancelled from one of `fromStatuses`, so when two requests cancel the
+ * same booking at once only one of them charges the penalty or refund.
+ * @param {Object} booking - Booking document
+ * @param {Object} [options] - Options
+ * @param {string} [options.cancelledBy] - User cancelling the booking
+ * @param {string} [options.reason] - Reason given for the cancellation
+ * @param {boolean} [options.waivePenalty] - Staff waive the policy's penalty
+ * @param {boolean} [options.noShow] - The guest never arrived: the policy's no-show terms apply
+ * @param {string[]} [options.fromStatuses] - Statuses the booking may be cancelled from
+ * @returns {Promise<Object|null>} Cancellation outcome with the penalty or refund payment record,
+ *   or null when the booking's status changed first
+ */
+export const applyCancellation = async (
+  booking,
+  {
+    cancelledBy = null,
+    reason = null,
+    waivePenalty = false,
+    noShow = false,
+    fromStatuses = CANCELLABLE_STATUSES,
+  } = {}
+) => {
+  const outcome = await previewCancellation(booking, { waivePenalty, noShow });
+
+  const cancelled = await Booking.findOneAndUpdate(
+    { _id: booking._id, status: { $in: fromStatuses } },
+    {
+      status: 'cancelled',
+      cancellation: {
+        cancelledAt: new Date(),
+        cancelledBy,
+        reason,
+        hoursBeforeCheckIn: outcome.hoursBeforeCheckIn,
+        penaltyAmount: outcome.penaltyAmount,
+        refundAmount: outcome.refundAmount,
+        penaltyWaived: outcome.penaltyWaived,
+        noShow,
+      },
+      updatedAt: Date.now(),
+    },
+    { new: true }
+  );
+  if (!cancelled) {
+    return null;
+  }
+  booking.status = cancelled.status;
+  booking.cancellation = cancelled.cancellation;
+  booking.updatedAt = cancelled.updatedAt;
+
+  // A cancelled stay no longer counts against the promo code's usage limit
+  await releasePromoCode(booking);
+
+  let payment = null;
+  if (outcome.penaltyAmount > 0 && outcome.balanceDue > 0) {
+    payment = await Payment.create({
+      booking: booking._id,
+      type: 'penalty',
+      amount: outcome.balanceDue,
+      status: 'pending',
+      invoiceNumber: await findInvoiceNumber({ booking: booking._id }),
+    });
+  } else if (outcome.refundAmount > 0) {
+    payment = await Payment.create({
+      booking: booking._id,
+      type: 'refund',
+      amount: outcome.refundAmount,
+      status: 'pending',
+      invoiceNumber: await findInvoiceNumber({ booking: booking._id }),
+    });
+  }
+
+  return { ...outcome, payment };
+};
@@ -0,0 +1,342 @@
+/**
+ * @fileoverview City ledger service: moves stay balances onto corporate accounts, takes company
+ * payments, and builds monthly statements and accounts receivable aging
+ * @module services/cityLedgerService
+ */
+
+import mongoose from 'mongoose';
+import CorporateAccount from '../models/CorporateAccount.js';
+import CityLedgerEntry from '../models/CityLedgerEntry.js';
+import Payment from '../models/Payment.js';
+import { buildFolio } from './folioService.js';
+import { findInvoiceNumber } from './invoiceService.js';
+import { syncDepositStatus } from './depositService.js';
+import { roundMoney } from './taxService.js';
+
+const ONE_DAY = 24 * 60 * 60 * 1000;
+
+// Tolerance for comparing money amounts stored as floating point numbers
+const MONEY_EPSILON = 0.001;
+
+/**
+ * Aging buckets for accounts receivable, by days since the charge was posted
+ */
+export const AGING_BUCKETS = [
+  { key: 'current', label: '0-30 days', maxDays: 30 },
+  { key: 'days31to60', label: '31-60 days', maxDays: 60 },
+  { key: 'days61to90', label: '61-90 days', maxDays: 90 },
+  { key: 'over90', label: 'Over 90 days', maxDays: Infinity },
+];
+
+/**
+ * Signed amount of a ledger entry: payments reduce what the company owes, adjustments carry their own sign
+ * @param {Object} entry - CityLedgerEntry document
+ * @returns {number} Amount added to the balance
+ */
+export const signedLedgerAmount = (entry) => (entry.type === 'payment' ? -entry.amount : entry.amount);
+
+/**
+ * Transfer a stay's folio balance to its company's city ledger. The company's credit line is
+ * reserved atomically, so concurrent transfers can never take it over the limit. The folio is
+ * settled with a `city_ledger` payment and the company owes the amount from then on.
+ * @param {Object} booking - Booking with populated room and guest
+ * @param {Object} account - CorporateAccount document
+ * @param {Object} options - Options
+ * @param {('guest'|'company')} options.folio - Folio whose balance is transferred
+ * @param {number} [options.amount] - Amount to transfer (defaults to the folio's balance)
+ * @param {string} options.postedBy - User making the transfer
+ * @returns {Promise<Object>} Object with success, message, the ledger entry, the folio payment and the account
+ *   (conflict is set when the account is inactive or out of credit)
+ */
+export const transferToCityLedger = async (booking, account, { folio, amount, postedBy }) => {
+  const { folios } = await buildFolio(booking);
+  const balance = folios.find((entry) => entry.folio === folio)?.balance || 0;
+  const transferAmount = roundMoney(amount ?? balance);
+
+  if (!(transferAmount > 0)) {
+    return { success: false, message: `The ${folio} folio has no balance to transfer` };
+  }
+  if (transferAmount > balance + MONEY_EPSILON) {
+    return {
+      success: false,
+      message: `Transfer amount (${transferAmount}) exceeds the ${folio} folio balance (${balance})`,
+    };
+  }
+
+  const reserved = await CorporateAccount.findOneAndUpdate(
+    {
+      _id: account._id,
+      isActive: true,
+      $expr: {
+        $lte: [{ $add: ['$balance', transferAmount] }, { $add: ['$creditLimit', MONEY_EPSILON] }],
+      },
+    },
+    { $inc: { balance: transferAmount }, $set: { updatedAt: new Date() } },
+    { new: true }
+  );
+
+  if (!reserved) {
+    return {
+      success: false,
+      conflict: true,
+      message: account.isActive
+        ? `Transfer would take ${account.name} over its credit limit (${account.creditLimit}, ${account.balance} owed)`
+        : 'This corporate account is inactive',
+    };
+  }
+
+  const entryId = new mongoose.Types.ObjectId();
+  let payment = null;
+  try {
+    payment = await Payment.create({
+      booking: booking._id,
+      folio,
+      amount: transferAmount,
+      paymentMethod: 'city_ledger',
+      status: 'paid',
+      transactionId: `CL-${entryId.toString().slice(-8).toUpperCase()}`,
+      invoiceNumber: await findInvoiceNumber({ booking: booking._id }),
+      reason: `Transferred to ${account.name}`,
+      postedBy,
+      paidAt: new Date(),
+    });
+
+    const guestName = booking.guestName || booking.guest?.name || 'Guest';
+    const stayDates = [booking.checkInDate, booking.checkOutDate]
+      .map((date) => new Date(date).toISOString().split('T')[0])
+      .join(' to ');
+    const entry = await CityLedgerEntry.create({
+      _id: entryId,
+      account: account._id,
+      type: 'charge',
+      booking: booking._id,
+      payment: payment._id,
+      amount: transferAmount,
+      description: `Booking ${booking._id.toString().slice(-8).toUpperCase()} - ${guestName} (${stayDates})`,
+      postedBy,
+    });
+
+    await syncDepositStatus(booking._id);
+
+    return {
+      success: true,
+      message: `Balance transferred to ${account.name}`,
+      entry,
+      payment,
+      account: reserved,
+    };
+  } catch (error) {
+    // Give the credit back and take the folio payment off again
+    await CorporateAccount.updateOne({ _id: account._id }, { $inc: { balance: -transferAmount } });
+    if (payment) {
+      await Payment.deleteOne({ _id: payment._id });
+    }
+    throw error;
+  }
+};
+
+/**
+ * Post a payment received from a company, or an adjustment (correction or write-off), to its ledger.
+ * Neither can take the balance below zero.
+ * @param {Object} account - CorporateAccount document
+ * @param {Object} entry - Entry to post
+ * @param {('payment'|'adjustment')} entry.type - Entry type
+ * @param {number} entry.amount - Payments: positive amount; adjustments: signed amount
+ * @param {string} entry.description - What the entry is for
+ * @param {string} [entry.paymentMethod] - Payments: how the company paid
+ * @param {string} [entry.reference] - Payments: cheque number, bank reference, etc.
+ * @param {string} postedBy - User posting the entry
+ * @returns {Promise<Object>} Object with success, message, the ledger entry and the account
+ */
+export const postLedgerEntry = async (account, { type, amount, description, paymentMethod, reference }, postedBy) => {
+  const change = roundMoney(type === 'payment' ? -amount : amount);
+
+  const updated = await CorporateAccount.findOneAndUpdate(
+    {
+      _id: account._id,
+      ...(change < 0 ? { balance: { $gte: -change - MONEY_EPSILON } } : {}),
+    },
+    { $inc: { balance: change }, $set: { updatedAt: new Date() } },
+    { new: true }
+  );
+
+  if (!updated) {
+    return {
+      success: false,
+      message: `Amount (${Math.abs(change)}) exceeds what ${account.name} owes (${roundMoney(account.balance)})`,
+    };
+  }
+
+  try {
+    const entry = await CityLedgerEntry.create({
+      account: account._id,
+      type,
+      amount: roundMoney(amount),
+      description,
+      paymentMethod: type === 'payment' ? paymentMethod : null,
+      reference: reference || null,
+      postedBy,
+    });
+
+    return {
+      success: true,
+      message: type === 'payment' ? 'Payment recorded successfully' : 'Adjustment posted successfully',
+      entry,
+      account: updated,
+    };
+  } catch (error) {
+    await CorporateAccount.updateOne({ _id: account._id }, { $inc: { balance: -change } });
+    throw error;
+  }
+};
+
+/**
+ * Age what a company owes. Payments and downward adjustments settle the oldest charges first;
+ * whatever is left of each charge is bucketed by days since it was posted.
+ * @param {Object[]} entries - The account's ledger entries
+ * @param {Date} asOf - Date to age at (later entries are ignored)
+ * @returns {Object} Amount per bucket, total outstanding and unappliedCredit (paid in advance)
+ */
+export const computeAging = (entries, asOf) => {
+  const charges = [];
+  let credits = 0;
+  entries
+    .filter((entry) => new Date(entry.postedAt) <= asOf)
+    .forEach((entry) => {
+      const amount = signedLedgerAmount(entry);
+      if (amount > 0) {
+        charges.push({ postedAt: new Date(entry.postedAt), open: amount });
+      } else {
+        credits += -amount;
+      }
+    });
+
+  charges.sort((a, b) => a.postedAt - b.postedAt);
+  charges.forEach((charge) => {
+    const applied = Math.min(charge.open, credits);
+    charge.open -= applied;
+    credits -= applied;
+  });
+
+  const aging = Object.fromEntries(AGING_BUCKETS.map((bucket) => [bucket.key, 0]));
+  charges
+    .filter((charge) => charge.open > MONEY_EPSILON)
+    .forEach((charge) => {
+      const days = Math.floor((asOf - charge.postedAt) / ONE_DAY);
+      const bucket = AGING_BUCKETS.find((candidate) => days <= candidate.maxDays);
+      aging[bucket.key] += charge.open;
+    });
+
+  AGING_BUCKETS.forEach((bucket) => {
+    aging[bucket.key] = roundMoney(aging[bucket.key]);
+  });
+
+  return {
+    ...aging,
+    total: roundMoney(AGING_BUCKETS.reduce((sum, bucket) => sum + aging[bucket.key], 0) - credits),
+    unappliedCredit: roundMoney(credits),
+  };
+};
+
+/**
+ * Build the accounts receivable aging report across corporate accounts
+ * @param {Date} asOf - Date to age at
+ * @returns {Promise<Object>} Object with asOf, buckets, accounts (aging per account owing or in credit) and totals
+ */
+export const buildAgingReport = async (asOf) => {
+  const [accounts, entries] = await Promise.all([
+    CorporateAccount.find().sort({ name: 1 }),
+    CityLedgerEntry.find({ postedAt: { $lte: asOf } }).sort({ postedAt: 1 }),
+  ]);
+
+  const rows = accounts
+    .map((account) => ({
+      accountId: account._id,
+      name: account.name,
+      creditLimit: account.creditLimit,
+      paymentTermsDays: account.paymentTermsDays,
+      ...computeAging(entries.filter((entry) => entry.account.equals(account._id)), asOf),
+    }))
+    .filter((row) => Math.abs(row.total) > MONEY_EPSILON || row.unappliedCredit > MONEY_EPSILON);
+
+  const totals = Object.fromEntries(
+    [...AGING_BUCKETS.map((bucket) => bucket.key), 'total', 'unappliedCredit'].map((key) => [
+      key,
+      roundMoney(rows.reduce((sum, row) => sum + row[key], 0)),
+    ])
+  );
+
+  return {
+    asOf,
+    buckets: AGING_BUCKETS.map(({ key, label }) => ({ key, label })),
+    accounts: rows,
+    totals,
+  };
+};
+
+/**
+ * Build a company's statement for a calendar month: opening balance, every entry of the month
+ * with a running balance, closing balance and aging at month end
+ * @param {Object} account - CorporateAccount document
+ * @param {number} year - Statement year
+ * @param {number} month - Statement month (1-12)
+ * @returns {Promise<Object>} Statement
+ */
+export const buildStatement = async (account, year, month) => {
+  const periodStart = new Date(year, month - 1, 1);
+  const periodEnd = new Date(year, month, 1);
+  const statementDate = new Date(periodEnd.getTime() - 1);
+
+  const entries = await CityLedgerEntry.find({ account: account._id, postedAt: { $lt: periodEnd } })
+    .sort({ postedAt: 1, _id: 1 });
+
+  const openingBalance = roundMoney(
+    entries
+      .filter((entry) => entry.postedAt < periodStart)
+      .reduce((sum, entry) => sum + signedLedgerAmount(entry), 0)
+  );
+
+  let balance = openingBalance;
+  const lines = entries
+    .filter((entry) => entry.postedAt >= periodStart)
+    .map((entry) => {
+      balance = roundMoney(balance + signedLedgerAmount(entry));
+      return {
+        id: entry._id,
+        date: entry.postedAt,
+        type: entry.type,
+        description: entry.description,
+        reference: entry.reference,
+        booking: entry.booking,
+        amount: signedLedgerAmount(entry),
+        balance,
+      };
+    });
+
+  const sum = (type) =>
+    roundMoney(lines.filter((line) => line.type === type).reduce((total, line) => total + line.amount, 0));
+
+  return {
+    account: {
+      id: account._id,
+      name: account.name,
+      billingContact: account.billingContact,
+      address: account.address,
+      creditLimit: account.creditLimit,
+      paymentTermsDays: account.paymentTermsDays,
+    },
+    period: {
+      year,
+      month,
+      start: periodStart,
+      end: statementDate,
+    },
+    openingBalance,
+    lines,
+    charges: sum('charge'),
+    payments: -sum('payment'),
+    adjustments: sum('adjustment'),
+    closingBalance: balance,
+    aging: computeAging(entries, statementDate),
+  };
+};
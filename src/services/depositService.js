@@ -0,0 +1,157 @@
+/**
+ * @fileoverview Deposit service: works out the deposit a booking owes, tracks when it is paid
+ * and expires bookings whose deposit never arrived
+ * @module services/depositService
+ */
+
+import Booking from '../models/Booking.js';
+import Settings from '../models/Settings.js';
+import { getTotalPaid } from './billingService.js';
+import { applyCancellation } from './cancellationService.js';
+import { getActiveTaxLines, applyTaxLines, roundMoney } from './taxService.js';
+import { releaseStay } from '../utils/roomAvailability.js';
+
+export const DEPOSIT_TYPES = ['none', 'percent', 'first_night', 'full'];
+
+const ONE_HOUR = 60 * 60 * 1000;
+
+// Tolerance for comparing money amounts stored as floating point numbers
+const MONEY_EPSILON = 0.001;
+
+/**
+ * Work out the deposit for a stay. The rate plan's deposit rule wins over the hotel default.
+ * The deposit covers its share of the room charge plus the taxes on it.
+ * @param {Object} stay - Stay with nightlyRates and totalAmount (see priceStay)
+ * @param {Object|null} depositRule - Deposit rule set by the stay's rate plan (see priceStay)
+ * @param {Object} [settings] - Hotel settings (loaded when omitted)
+ * @returns {Promise<Object|null>} Deposit with type, percent, amount and dueBy, or null when none is owed
+ */
+export const calculateDeposit = async (stay, depositRule = null, settings = null) => {
+  const hotelSettings = settings || (await Settings.getSettings());
+  const rule = depositRule || { type: hotelSettings.depositType, percent: hotelSettings.depositPercent };
+  const percent = rule.percent ?? hotelSettings.depositPercent;
+
+  let roomShare = 0;
+  switch (rule.type) {
+    case 'full':
+      roomShare = stay.totalAmount;
+      break;
+    case 'percent':
+      roomShare = (stay.totalAmount * percent) / 100;
+      break;
+    case 'first_night':
+      roomShare = stay.nightlyRates?.[0]?.price ?? 0;
+      break;
+    default:
+      return null;
+  }
+
+  const { grossAmount } = applyTaxLines({ roomCost: roundMoney(roomShare), servicesCost: 0 }, await getActiveTaxLines());
+  const amount = roundMoney(grossAmount);
+  if (amount <= 0) {
+    return null;
+  }
+
+  return {
+    type: rule.type,
+    percent: rule.type === 'percent' ? percent : null,
+    amount,
+    dueBy: hotelSettings.depositHoldHours > 0
+      ? new Date(Date.now() + hotelSettings.depositHoldHours * ONE_HOUR)
+      : null,
+    paidAt: null,
+  };
+};
+
+/**
+ * Work out a booking's deposit again after its stay was re-priced. Money already paid counts
+ * towards the new deposit, and re-pricing never extends an unpaid hold.
+ * @param {Object} booking - Booking document (before the new deposit is set)
+ * @param {Object} stay - Re-priced stay (see priceStay)
+ * @returns {Promise<Object|null>} New deposit, or null when none is owed
+ */
+export const recalculateDeposit = async (booking, stay) => {
+  const previous = booking.deposit;
+  const deposit = await calculateDeposit(stay, stay.depositRule);
+  if (!deposit) {
+    return null;
+  }
+
+  const totalPaid = await getTotalPaid(booking._id);
+  if (totalPaid >= deposit.amount - MONEY_EPSILON) {
+    deposit.paidAt = previous?.paidAt || new Date();
+  } else if (previous && !previous.paidAt) {
+    deposit.dueBy = previous.dueBy;
+  }
+  return deposit;
+};
+
+/**
+ * Amount of a booking's deposit still to pay
+ * @param {Object} booking - Booking document
+ * @param {number} [totalPaid] - Amount paid on the booking (looked up when omitted)
+ * @returns {Promise<number>} Deposit still due
+ */
+export const getDepositDue = async (booking, totalPaid = null) => {
+  if (!booking.deposit || booking.deposit.paidAt) {
+    return 0;
+  }
+  const paid = totalPaid ?? (await getTotalPaid(booking._id));
+  return roundMoney(Math.max(booking.deposit.amount - paid, 0));
+};
+
+/**
+ * Mark a booking's deposit as paid once its payments cover it. Call after recording a payment.
+ * A paid deposit ends the hold, so the booking no longer expires.
+ * @param {string} bookingId - Booking ID
+ * @returns {Promise<Object|null>} Updated booking, or null when it has no deposit outstanding
+ */
+export const syncDepositStatus = async (bookingId) => {
+  const booking = await Booking.findById(bookingId);
+  if (!booking?.deposit || booking.deposit.paidAt) {
+    return null;
+  }
+
+  const totalPaid = await getTotalPaid(booking._id);
+  if (totalPaid < booking.deposit.amount - MONEY_EPSILON) {
+    return null;
+  }
+
+  booking.deposit.paidAt = new Date();
+  await booking.save();
+  return booking;
+};
+
+/**
+ * Cancel bookings whose deposit hold has run out. Any partial payment is handed to the
+ * cancellation flow as a refund; no cancellation penalty is charged.
+ * @param {Date} [now] - Current time
+ * @returns {Promise<number>} Number of bookings expired
+ */
+export const expireUnpaidHolds = async (now = new Date()) => {
+  const overdue = await Booking.find({
+    status: { $in: ['pending', 'approved'] },
+    'deposit.paidAt': null,
+    'deposit.dueBy': { $ne: null, $lte: now },
+  });
+
+  let expired = 0;
+  for (const booking of overdue) {
+    // A payment may have come in without the deposit being marked yet
+    if (await syncDepositStatus(booking._id)) {
+      continue;
+    }
+
+    const cancellation = await applyCancellation(booking, {
+      reason: 'Deposit not received before the hold expired',
+      waivePenalty: true,
+      fromStatuses: ['pending', 'approved'],
+    });
+    // The guest may have cancelled or checked in meanwhile
+    if (!cancellation) continue;
+    await releaseStay(booking._id);
+    expired += 1;
+  }
+
+  return expired;
+};
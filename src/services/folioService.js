@@ -0,0 +1,285 @@
+/**
+ * @fileoverview Folio service: a stay's ledger of charges, postings, payments and credits,
+ * split between the guest and a company paying part of the bill
+ * @module services/folioService
+ */
+
+import FolioEntry from '../models/FolioEntry.js';
+import Payment from '../models/Payment.js';
+import Invoice from '../models/Invoice.js';
+import User from '../models/User.js';
+import CorporateAccount from '../models/CorporateAccount.js';
+import { calculateBookingTotal, SETTLED_PAYMENTS_FILTER, signedAmount } from './billingService.js';
+import { findInvoiceNumber } from './invoiceService.js';
+import { syncDepositStatus } from './depositService.js';
+import { syncStayPoints } from './loyaltyService.js';
+import { getActiveTaxLines, applyTaxLines, roundMoney } from './taxService.js';
+
+export const FOLIOS = ['guest', 'company'];
+
+// Tolerance for comparing money amounts stored as floating point numbers
+const MONEY_EPSILON = 0.001;
+
+// Order of entries posted at the same moment: charges first, then their taxes, then money received
+const KIND_ORDER = {
+  charge: 0,
+  discount: 0,
+  adjustment: 0,
+  tax: 1,
+  credit: 2,
+  payment: 2,
+  refund: 2,
+};
+
+/**
+ * Folio a charge goes to under the booking's split
+ * @param {Object} booking - Booking document
+ * @param {('room'|'extras')} category - Part of the bill
+ * @returns {('guest'|'company')} Folio
+ */
+export const routeToFolio = (booking, category) => {
+  if (!booking.folioSplit) return 'guest';
+  return category === 'room' ? booking.folioSplit.roomTo : booking.folioSplit.extrasTo;
+};
+
+/**
+ * Exclusive tax lines of each folio. The company's taxes are worked out on its own charges;
+ * the guest's are what is left of the bill's taxes, so the two folios always add up to the bill.
+ * @param {Object[]} charges - Ledger charge lines
+ * @param {Object} billingDetails - Result of calculateBookingTotal
+ * @returns {Promise<Object>} Tax lines keyed by folio
+ */
+const splitTaxLines = async (charges, billingDetails) => {
+  const companyCharges = { roomCost: 0, servicesCost: 0 };
+  charges
+    .filter((line) => line.folio === 'company')
+    .forEach((line) => {
+      companyCharges[line.category === 'room' ? 'roomCost' : 'servicesCost'] += line.amount;
+    });
+
+  const companyLines = applyTaxLines(companyCharges, await getActiveTaxLines()).lines
+    .filter((line) => !line.isInclusive);
+  const guestLines = billingDetails.taxLines
+    .filter((line) => !line.isInclusive)
+    .map((line) => ({
+      ...line,
+      amount: roundMoney(line.amount - (companyLines.find((company) => company.name === line.name)?.amount || 0)),
+    }));
+
+  return { guest: guestLines, company: companyLines };
+};
+
+/**
+ * Build a stay's folio: every charge, discount, adjustment, tax, payment and credit in posting
+ * order, with a running balance per folio
+ * @param {Object} booking - Booking with populated room and guest
+ * @returns {Promise<Object>} Folio with split, corporateAccount, folios ({ folio, name, entries, charges, paid, balance })
+ *   and balance
+ */
+export const buildFolio = async (booking) => {
+  const billingDetails = await calculateBookingTotal(booking);
+  const roomLabel = booking.room ? `Room ${booking.room.code}` : `${booking.roomType} room`;
+
+  const postedByIds = billingDetails.postedItems.map((item) => item.postedBy);
+  const users = await User.find({ _id: { $in: postedByIds } }).select('name');
+  const userName = (id) => users.find((user) => user._id.equals(id))?.name || null;
+
+  const charges = [
+    ...billingDetails.roomItems.map((item) => ({
+      kind: 'charge',
+      category: 'room',
+      folio: routeToFolio(booking, 'room'),
+      date: item.date || booking.checkInDate,
+      description: item.description
+        ? `${roomLabel} - ${item.description}`
+        : item.date
+        ? `${item.roomCode ? `Room ${item.roomCode}` : roomLabel} - night of ${new Date(item.date).toISOString().split('T')[0]}${item.ratePlan ? ` (${item.ratePlan})` : ''}`
+        : `${roomLabel} - ${booking.totalNights} night(s)`,
+      amount: item.total,
+      postedBy: null,
+    })),
+    ...billingDetails.serviceItems.map((item) => ({
+      kind: 'charge',
+      category: 'extras',
+      folio: routeToFolio(booking, 'extras'),
+      date: item.usedAt,
+      description: `${item.serviceName} x${item.quantity}`,
+      amount: item.total,
+      postedBy: null,
+    })),
+    ...billingDetails.postedItems.map((item) => ({
+      id: item.entryId,
+      kind: item.type,
+      category: item.category,
+      folio: item.folio,
+      date: item.postedAt,
+      description: item.description,
+      amount: item.amount,
+      postedBy: userName(item.postedBy),
+    })),
+  ];
+
+  // Exclusive taxes are posted after the last charge of each folio
+  const taxLines = await splitTaxLines(charges, billingDetails);
+  const taxes = FOLIOS.flatMap((folio) => {
+    const folioCharges = charges.filter((line) => line.folio === folio);
+    if (folioCharges.length === 0) return [];
+    const date = new Date(Math.max(...folioCharges.map((line) => new Date(line.date).getTime())));
+    return taxLines[folio]
+      .filter((line) => line.amount !== 0)
+      .map((line) => ({
+        kind: 'tax',
+        category: null,
+        folio,
+        date,
+        description: `${line.name} (${line.rate}%)`,
+        amount: line.amount,
+        postedBy: null,
+      }));
+  });
+
+  const payments = await Payment.find({ booking: booking._id, ...SETTLED_PAYMENTS_FILTER })
+    .populate('postedBy', 'name');
+  const received = payments.map((payment) => ({
+    id: payment._id,
+    kind: payment.type === 'refund' ? 'refund' : 'payment',
+    category: null,
+    folio: payment.folio || 'guest',
+    date: payment.paidAt || payment.createdAt,
+    description: `${payment.type === 'refund' ? 'Refund' : 'Payment'} (${payment.paymentMethod})${payment.transactionId ? ` ${payment.transactionId}` : ''}`,
+    amount: -signedAmount(payment),
+    postedBy: payment.postedBy?.name || null,
+  }));
+
+  // Credit notes reduce what the guest owes
+  const creditNotes = await Invoice.find({ booking: booking._id, kind: 'credit_note', status: 'issued' });
+  const credits = creditNotes.map((creditNote) => ({
+    id: creditNote._id,
+    kind: 'credit',
+    category: null,
+    folio: 'guest',
+    date: creditNote.issuedAt,
+    description: `Credit note ${creditNote.number}${creditNote.reason ? `: ${creditNote.reason}` : ''}`,
+    amount: -creditNote.total,
+    postedBy: null,
+  }));
+
+  const lines = [...charges, ...taxes, ...received, ...credits].sort(
+    (a, b) => new Date(a.date) - new Date(b.date) || KIND_ORDER[a.kind] - KIND_ORDER[b.kind]
+  );
+
+  const folios = FOLIOS
+    .filter((folio) => folio === 'guest' || booking.folioSplit || lines.some((line) => line.folio === folio))
+    .map((folio) => {
+      let balance = 0;
+      const entries = lines
+        .filter((line) => line.folio === folio)
+        .map((line) => {
+          balance = roundMoney(balance + line.amount);
+          return { ...line, balance };
+        });
+      const sum = (kinds) =>
+        roundMoney(entries.filter((line) => kinds.includes(line.kind)).reduce((total, line) => total + line.amount, 0));
+
+      return {
+        folio,
+        name: folio === 'company' ? booking.folioSplit?.companyName || 'Company' : booking.guestName || booking.guest?.name,
+        entries,
+        charges: sum(['charge', 'discount', 'adjustment', 'tax']),
+        paid: -sum(['payment', 'refund']),
+        credited: -sum(['credit']),
+        balance,
+      };
+    });
+
+  // The company the balance can be transferred to
+  const account = booking.corporateAccount
+    ? await CorporateAccount.findById(booking.corporateAccount._id || booking.corporateAccount).select('name isActive')
+    : null;
+
+  return {
+    bookingId: booking._id,
+    split: booking.folioSplit || null,
+    corporateAccount: account ? { id: account._id, name: account.name, isActive: account.isActive } : null,
+    folios,
+    totalCost: billingDetails.totalCost,
+    balance: roundMoney(folios.reduce((total, folio) => total + folio.balance, 0)),
+  };
+};
+
+/**
+ * Post a charge, discount or adjustment to a stay's folio. Discounts and downward adjustments
+ * cannot take the room or the extras below zero.
+ * @param {Object} booking - Booking with populated room
+ * @param {Object} entry - Entry to post
+ * @param {('charge'|'discount'|'adjustment')} entry.type - Entry type
+ * @param {('room'|'extras')} entry.category - Part of the bill
+ * @param {('guest'|'company')} [entry.folio] - Folio (defaults to where the split routes the category)
+ * @param {string} entry.description - What the entry is for
+ * @param {number} entry.amount - Positive amount (signed for adjustments)
+ * @param {string} postedBy - User posting the entry
+ * @returns {Promise<Object>} Object with success, message and the entry
+ */
+export const postFolioEntry = async (booking, { type, category, folio, description, amount }, postedBy) => {
+  const signed = type === 'discount' ? -amount : amount;
+  if (signed < 0) {
+    const billingDetails = await calculateBookingTotal(booking);
+    const current = category === 'room' ? billingDetails.roomCost : billingDetails.servicesCost;
+    if (current + signed < -MONEY_EPSILON) {
+      return {
+        success: false,
+        message: `Amount exceeds the ${category === 'room' ? 'room' : 'extras'} charges on this folio (${roundMoney(current)})`,
+      };
+    }
+  }
+
+  const entry = await FolioEntry.create({
+    booking: booking._id,
+    folio: folio || routeToFolio(booking, category),
+    type,
+    category,
+    description,
+    amount: roundMoney(amount),
+    postedBy,
+  });
+
+  return { success: true, message: 'Entry posted successfully', entry };
+};
+
+/**
+ * Post a payment received at the desk to one of a stay's folios
+ * @param {Object} booking - Booking with populated room and guest
+ * @param {Object} payment - Payment to post
+ * @param {('guest'|'company')} payment.folio - Folio the payment settles
+ * @param {number} payment.amount - Amount received
+ * @param {string} payment.paymentMethod - Payment method
+ * @param {string} [payment.transactionId] - Reference of the payment
+ * @param {string} postedBy - User posting the payment
+ * @returns {Promise<Object>} Object with success, message and the payment
+ */
+export const postFolioPayment = async (booking, { folio, amount, paymentMethod, transactionId }, postedBy) => {
+  const { folios } = await buildFolio(booking);
+  const balance = folios.find((entry) => entry.folio === folio)?.balance || 0;
+  if (amount > balance + MONEY_EPSILON) {
+    return {
+      success: false,
+      message: `Payment amount (${amount}) exceeds the ${folio} folio balance (${balance})`,
+    };
+  }
+
+  const payment = await Payment.create({
+    booking: booking._id,
+    folio,
+    amount: roundMoney(amount),
+    paymentMethod,
+    status: 'paid',
+    transactionId,
+    invoiceNumber: await findInvoiceNumber({ booking: booking._id }),
+    postedBy,
+    paidAt: new Date(),
+  });
+  await syncDepositStatus(booking._id);
+  await syncStayPoints(booking._id);
+
+  return { success: true, message: 'Payment posted successfully', payment };
+};
@@ -0,0 +1,237 @@
+/**
+ * @fileoverview Housekeeping service: tracks each room's cleaning state, builds the day's cleaning
+ * tasks from departures and stayovers and shares them out between housekeepers
+ * @module services/housekeepingService
+ */
+
+import Room from '../models/Room.js';
+import Booking from '../models/Booking.js';
+import HousekeepingTask from '../models/HousekeepingTask.js';
+
+export const HOUSEKEEPING_STATUSES = ['dirty', 'cleaning', 'clean', 'inspected'];
+
+// Cleaning states a guest can check in to
+export const READY_STATUSES = ['clean', 'inspected'];
+
+export const TASK_STATUSES = ['pending', 'in_progress', 'done', 'inspected'];
+
+// Moves a task can make; going back to pending reopens a room that failed inspection
+const TASK_TRANSITIONS = {
+  pending: ['in_progress', 'done'],
+  in_progress: ['done', 'pending'],
+  done: ['inspected', 'pending'],
+  inspected: ['pending'],
+};
+
+// The room's cleaning state once its task reaches each status
+const ROOM_STATUS_FOR_TASK = {
+  pending: 'dirty',
+  in_progress: 'cleaning',
+  done: 'clean',
+  inspected: 'inspected',
+};
+
+const ONE_DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Whether a room is clean enough for a guest to check in
+ * @param {Object} room - Room document
+ * @returns {boolean} True when the room is clean or inspected
+ */
+export const isRoomReady = (room) => READY_STATUSES.includes(room?.housekeepingStatus || 'clean');
+
+/**
+ * Housekeeping day a date falls on (UTC midnight, like room nights)
+ * @param {Date|string} [date] - Date (defaults to today)
+ * @returns {Date} Start of the day
+ */
+export const toServiceDate = (date = new Date()) => {
+  const day = new Date(date);
+  return new Date(Date.UTC(day.getUTCFullYear(), day.getUTCMonth(), day.getUTCDate()));
+};
+
+/**
+ * Set a room's cleaning state
+ * @param {string} roomId - Room ID
+ * @param {string} status - One of HOUSEKEEPING_STATUSES
+ * @returns {Promise<Object|null>} Updated room
+ */
+export const setRoomHousekeepingStatus = (roomId, status) =>
+  Room.findByIdAndUpdate(
+    roomId,
+    { housekeepingStatus: status, housekeepingUpdatedAt: new Date() },
+    { new: true }
+  );
+
+/**
+ * Make sure a room has a cleaning task for a day. A departure outranks a stayover: a stayover task
+ * becomes a departure clean, and one already finished is reopened because the room is dirty again.
+ * @param {string} roomId - Room ID
+ * @param {Date} date - Housekeeping day
+ * @param {Object} task - Task to create
+ * @param {string} task.type - departure or stayover
+ * @param {string} task.booking - Booking leaving or staying over
+ * @param {boolean} [task.reopen] - Reopen the task even if it already is a departure (the guest just left)
+ * @returns {Promise<Object>} Object with the task and whether it was created
+ */
+const ensureTask = async (roomId, date, { type, booking, reopen = false }) => {
+  const existing = await HousekeepingTask.findOne({ room: roomId, date });
+  if (!existing) {
+    try {
+      const task = await HousekeepingTask.create({ room: roomId, date, type, booking });
+      return { task, created: true };
+    } catch (error) {
+      // Another request created the room's task for the day first
+      if (error.code !== 11000) throw error;
+      return { task: await HousekeepingTask.findOne({ room: roomId, date }), created: false };
+    }
+  }
+
+  if (type === 'departure' && (existing.type === 'stayover' || reopen)) {
+    existing.type = 'departure';
+    existing.booking = booking;
+    if (existing.status !== 'pending') {
+      existing.status = 'pending';
+      existing.startedAt = null;
+      existing.completedAt = null;
+      existing.inspectedAt = null;
+      existing.inspectedBy = null;
+    }
+    await existing.save();
+  }
+
+  return { task: existing, created: false };
+};
+
+/**
+ * A guest has left their room: mark it dirty and queue its departure clean for today
+ * @param {Object} booking - Booking that checked out (room populated or an ID)
+ * @returns {Promise<Object|null>} The departure task, or null when the booking had no room
+ */
+export const recordDeparture = async (booking) => {
+  const roomId = booking.room?._id || booking.room;
+  if (!roomId) {
+    return null;
+  }
+
+  await setRoomHousekeepingStatus(roomId, 'dirty');
+  const { task } = await ensureTask(roomId, toServiceDate(), {
+    type: 'departure',
+    booking: booking._id,
+    reopen: true,
+  });
+  return task;
+};
+
+/**
+ * Share a day's unassigned tasks between housekeepers, least busy first
+ * @param {Date} date - Housekeeping day
+ * @param {string[]} housekeeperIds - Housekeepers (User IDs) on shift
+ * @returns {Promise<number>} Number of tasks assigned
+ */
+const assignTasks = async (date, housekeeperIds) => {
+  const load = new Map(housekeeperIds.map((id) => [String(id), 0]));
+  const assigned = await HousekeepingTask.find({ date, assignedTo: { $in: housekeeperIds } });
+  assigned.forEach((task) => {
+    load.set(String(task.assignedTo), load.get(String(task.assignedTo)) + 1);
+  });
+
+  // Departures first, so turnover rooms are spread out before stayovers, then by room
+  const unassigned = await HousekeepingTask.find({ date, assignedTo: null }).populate('room', 'code');
+  unassigned.sort((a, b) => {
+    if (a.type !== b.type) return a.type === 'departure' ? -1 : 1;
+    return (a.room?.code || '').localeCompare(b.room?.code || '', undefined, { numeric: true });
+  });
+
+  for (const task of unassigned) {
+    const [housekeeperId, count] = [...load.entries()].sort((a, b) => a[1] - b[1])[0];
+    task.assignedTo = housekeeperId;
+    await task.save();
+    load.set(housekeeperId, count + 1);
+  }
+
+  return unassigned.length;
+};
+
+/**
+ * Build a day's cleaning tasks: a departure clean for every room whose guest leaves that day and
+ * a stayover clean for every room whose guest stays on. Existing tasks are kept. When housekeepers
+ * are given, unassigned tasks are shared out between them.
+ * @param {Date|string} date - Housekeeping day
+ * @param {string[]} [housekeeperIds] - Housekeepers (User IDs) on shift
+ * @returns {Promise<Object>} Object with the day, created count, assigned count and the day's tasks
+ */
+export const generateHousekeepingTasks = async (date, housekeeperIds = []) => {
+  const day = toServiceDate(date);
+  const nextDay = new Date(day.getTime() + ONE_DAY);
+
+  const departures = await Booking.find({
+    status: { $in: ['checked_in', 'checked_out'] },
+    room: { $ne: null },
+    checkOutDate: { $gte: day, $lt: nextDay },
+  });
+  const stayovers = await Booking.find({
+    status: 'checked_in',
+    room: { $ne: null },
+    checkInDate: { $lt: day },
+    checkOutDate: { $gte: nextDay },
+  });
+
+  let created = 0;
+  for (const booking of departures) {
+    const result = await ensureTask(booking.room, day, { type: 'departure', booking: booking._id });
+    if (result.created) created += 1;
+  }
+  for (const booking of stayovers) {
+    const result = await ensureTask(booking.room, day, { type: 'stayover', booking: booking._id });
+    if (result.created) created += 1;
+  }
+
+  const assigned = housekeeperIds.length > 0 ? await assignTasks(day, housekeeperIds) : 0;
+
+  const tasks = await HousekeepingTask.find({ date: day })
+    .populate('room', 'code type housekeepingStatus')
+    .populate('assignedTo', 'name email')
+    .sort({ type: 1, createdAt: 1 });
+
+  return { date: day, created, assigned, tasks };
+};
+
+/**
+ * Move a task along (start, finish, inspect or reopen it) and set its room's cleaning state to match.
+ * The move is atomic, so two housekeepers updating the same task cannot both win.
+ * @param {Object} task - HousekeepingTask document
+ * @param {string} status - New task status
+ * @param {string} userId - User making the change
+ * @returns {Promise<Object>} Object with success, message, conflict and the updated task
+ */
+export const advanceTask = async (task, status, userId) => {
+  if (!TASK_TRANSITIONS[task.status]?.includes(status)) {
+    return { success: false, message: `Cannot move a ${task.status.replace('_', ' ')} task to ${status.replace('_', ' ')}` };
+  }
+
+  const now = new Date();
+  const changes = { status, updatedAt: now };
+  if (status === 'pending') {
+    Object.assign(changes, { startedAt: null, completedAt: null, inspectedAt: null, inspectedBy: null });
+  } else if (status === 'in_progress') {
+    changes.startedAt = now;
+  } else if (status === 'done') {
+    changes.completedAt = now;
+    if (!task.startedAt) changes.startedAt = now;
+  } else if (status === 'inspected') {
+    Object.assign(changes, { inspectedAt: now, inspectedBy: userId });
+  }
+
+  const updated = await HousekeepingTask.findOneAndUpdate(
+    { _id: task._id, status: task.status },
+    changes,
+    { new: true }
+  );
+  if (!updated) {
+    return { success: false, conflict: true, message: 'Task was updated by someone else, please refresh' };
+  }
+
+  await setRoomHousekeepingStatus(updated.room, ROOM_STATUS_FOR_TASK[status]);
+  return { success: true, message: 'Task updated successfully', task: updated };
+};
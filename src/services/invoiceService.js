@@ -0,0 +1,612 @@
+/**
+ * @fileoverview Invoice service: builds invoices from a booking's charges and payments, and issues,
+ * voids and credits numbered invoices
+ * @module services/invoiceService
+ */
+
+import Payment from '../models/Payment.js';
+import Invoice from '../models/Invoice.js';
+import Counter from '../models/Counter.js';
+import Settings from '../models/Settings.js';
+import {
+  calculateBookingTotal,
+  calculateGroupTotal,
+  getTotalPaid,
+  getGroupTotalPaid,
+} from './billingService.js';
+import { getDepositDue } from './depositService.js';
+import { roundMoney } from './taxService.js';
+import { renderInvoicePdf } from '../utils/invoicePdf.js';
+
+const DOCUMENT_PREFIXES = {
+  invoice: 'INV',
+  credit_note: 'CN',
+};
+
+// Tolerance for comparing money amounts stored as floating point numbers
+const MONEY_EPSILON = 0.001;
+
+/**
+ * Describe a room on invoice lines
+ * @param {Object} booking - Booking with populated room
+ * @returns {string} Room label, e.g. "Room 101" or "suite room" before a room is assigned
+ */
+const getRoomLabel = (booking) => (booking.room ? `Room ${booking.room.code}` : `${booking.roomType} room`);
+
+/**
+ * Build invoice line items for a booking's room nights, services and folio postings
+ * @param {Object} booking - Booking with populated room
+ * @param {Object} billingDetails - Result of calculateBookingTotal
+ * @param {string} [suffix] - Text appended to each line (e.g. the room on a group's master invoice)
+ * @returns {Object[]} Line items
+ */
+export const buildLineItems = (booking, billingDetails, suffix = '') => {
+  const roomLabel = getRoomLabel(booking);
+  return [
+    ...billingDetails.roomItems.map((item) => ({
+      description: item.description
+        ? `${roomLabel} - ${item.description}${suffix}`
+        : item.date
+        ? `${item.roomCode ? `Room ${item.roomCode}` : roomLabel} - ${new Date(item.date).toISOString().split('T')[0]}${item.ratePlan ? ` (${item.ratePlan})` : ''}${suffix}`
+        : `${roomLabel} - ${booking.totalNights} night(s)${suffix}`,
+      quantity: item.quantity,
+      unitPrice: item.unitPrice,
+      total: item.total,
+    })),
+    ...billingDetails.serviceItems.map((item) => ({
+      description: `${item.serviceName}${suffix}`,
+      quantity: item.quantity,
+      unitPrice: item.unitPrice,
+      total: item.total,
+    })),
+    ...billingDetails.postedItems.map((item) => ({
+      description: `${item.type === 'discount' ? 'Discount: ' : ''}${item.description}${suffix}`,
+      quantity: 1,
+      unitPrice: item.amount,
+      total: item.amount,
+    })),
+  ];
+};
+
+/**
+ * Map tax lines and totals of a bill onto the invoice shape
+ * @param {Object} billingDetails - Result of calculateBookingTotal or calculateGroupTotal
+ * @returns {Object} Object with taxLines and totals
+ */
+export const buildInvoiceTotals = (billingDetails) => ({
+  taxLines: billingDetails.taxLines.map((line) => ({
+    name: line.name,
+    rate: line.rate,
+    appliesTo: line.appliesTo,
+    isInclusive: line.isInclusive,
+    amount: line.amount,
+  })),
+  totals: {
+    subtotal: billingDetails.subtotal,
+    tax: billingDetails.taxTotal,
+    inclusiveTax: billingDetails.inclusiveTax,
+    exclusiveTax: billingDetails.exclusiveTax,
+    total: billingDetails.totalCost,
+  },
+});
+
+/**
+ * Map payments onto the invoice shape
+ * @param {Object[]} payments - Payment documents
+ * @returns {Object[]} Invoice payment entries
+ */
+export const formatInvoicePayments = (payments) =>
+  payments.map((payment) => ({
+    id: payment._id,
+    type: payment.type,
+    amount: payment.amount,
+    method: payment.paymentMethod,
+    status: payment.status,
+    refundedAmount: payment.refundedAmount || 0,
+    refundOf: payment.refundOf || null,
+    reason: payment.reason || null,
+    transactionId: payment.transactionId,
+    invoiceNumber: payment.invoiceNumber,
+    createdAt: payment.createdAt,
+  }));
+
+/**
+ * Find the issued invoice of a booking or group
+ * @param {Object} owner - `{ booking }` or `{ group }` ID
+ * @returns {Promise<Object|null>} Invoice document
+ */
+export const findIssuedInvoice = (owner) => Invoice.findOne({ ...owner, kind: 'invoice', status: 'issued' });
+
+/**
+ * Number of the issued invoice of a booking or group, to stamp on new payment records
+ * @param {Object} owner - `{ booking }` or `{ group }` ID
+ * @returns {Promise<string|null>} Invoice number, or null while no invoice is issued
+ */
+export const findInvoiceNumber = async (owner) => (await findIssuedInvoice(owner))?.number || null;
+
+/**
+ * Take the next number of a document sequence. Numbers run per document kind and UTC year
+ * (INV-2025-000001, CN-2025-000001).
+ * @param {('invoice'|'credit_note')} kind - Document kind
+ * @param {Date} issuedAt - Issue timestamp
+ * @returns {Promise<string>} Document number
+ */
+const takeNumber = async (kind, issuedAt) => {
+  const year = issuedAt.getUTCFullYear();
+  const seq = await Counter.next(`${kind}-${year}`);
+  return `${DOCUMENT_PREFIXES[kind]}-${year}-${String(seq).padStart(6, '0')}`;
+};
+
+/**
+ * Save a document under a number taken beforehand, so an issued document always has its number.
+ * When the document can't be saved, a void record keeps the number taken so the sequence has no gaps.
+ * @param {Object} fields - Document fields (kind, owner, bill-to, charges, issuedBy)
+ * @returns {Promise<Object>} The saved document
+ */
+const createNumbered = async (fields) => {
+  const issuedAt = new Date();
+  const number = await takeNumber(fields.kind, issuedAt);
+
+  try {
+    return await Invoice.create({ ...fields, number, issuedAt });
+  } catch (error) {
+    try {
+      await Invoice.create({
+        number,
+        kind: fields.kind,
+        booking: fields.booking || null,
+        group: fields.group || null,
+        creditNoteFor: fields.creditNoteFor || null,
+        status: 'void',
+        subtotal: 0,
+        total: 0,
+        issuedAt,
+        issuedBy: fields.issuedBy || null,
+        voidedAt: new Date(),
+        voidedBy: fields.issuedBy || null,
+        voidReason: 'Number not used: the document could not be issued',
+      });
+    } catch (voidError) {
+      console.error(`Failed to record unused document number ${number}:`, voidError);
+    }
+    throw error;
+  }
+};
+
+/**
+ * Copy a bill onto the fields an issued invoice keeps
+ * @param {Object[]} lineItems - Invoice line items
+ * @param {Object} billingDetails - Result of calculateBookingTotal or calculateGroupTotal
+ * @returns {Object} Snapshot fields
+ */
+const toSnapshot = (lineItems, billingDetails) => ({
+  lineItems,
+  taxLines: billingDetails.taxLines.map((line) => ({
+    name: line.name,
+    rate: line.rate,
+    isInclusive: line.isInclusive,
+    amount: line.amount,
+  })),
+  subtotal: billingDetails.subtotal,
+  taxTotal: billingDetails.taxTotal,
+  total: billingDetails.totalCost,
+});
+
+/**
+ * Map an issued invoice's snapshot onto the invoice shape
+ * @param {Object} issued - Issued invoice document
+ * @returns {Object} Object with taxLines and totals
+ */
+const snapshotTotals = (issued) => {
+  const taxLines = issued.taxLines.map((line) => ({
+    name: line.name,
+    rate: line.rate,
+    isInclusive: line.isInclusive,
+    amount: line.amount,
+  }));
+  const sumTax = (inclusive) =>
+    roundMoney(taxLines.filter((line) => line.isInclusive === inclusive).reduce((sum, line) => sum + line.amount, 0));
+
+  return {
+    taxLines,
+    totals: {
+      subtotal: issued.subtotal,
+      tax: issued.taxTotal,
+      inclusiveTax: sumTax(true),
+      exclusiveTax: sumTax(false),
+      total: issued.total,
+    },
+  };
+};
+
+/**
+ * Summarize an invoice or credit note document for API responses
+ * @param {Object} document - Invoice document
+ * @returns {Object} Document summary
+ */
+export const formatInvoiceDocument = (document) => ({
+  id: document._id,
+  number: document.number,
+  kind: document.kind,
+  status: document.status,
+  booking: document.booking,
+  group: document.group,
+  creditNoteFor: document.creditNoteFor,
+  billTo: document.billTo,
+  total: document.total,
+  creditedAmount: document.creditedAmount,
+  reason: document.reason,
+  issuedAt: document.issuedAt,
+  issuedBy: document.issuedBy,
+  voidedAt: document.voidedAt,
+  voidReason: document.voidReason,
+});
+
+/**
+ * Invoice number, status, charges and credit notes for an invoice view. An issued invoice shows
+ * the charges it was issued with; until then the view is a draft of the current charges.
+ * @param {Object|null} issued - Issued invoice document
+ * @param {Object[]} lineItems - Current line items
+ * @param {Object} billingDetails - Current bill
+ * @returns {Promise<Object>} Invoice view fields
+ */
+const buildInvoiceHeader = async (issued, lineItems, billingDetails) => {
+  const creditNotes = issued
+    ? await Invoice.find({ creditNoteFor: issued._id }).sort({ issuedAt: 1 })
+    : [];
+
+  return {
+    invoiceId: issued?._id || null,
+    invoiceNumber: issued?.number || null,
+    status: issued ? 'issued' : 'draft',
+    issueDate: issued?.issuedAt || new Date(),
+    // Charges changed after the invoice was issued: void and re-issue it, or credit the difference
+    chargesChanged: issued ? Math.abs(issued.total - billingDetails.totalCost) > MONEY_EPSILON : false,
+    lineItems: issued ? issued.lineItems : lineItems,
+    ...(issued ? snapshotTotals(issued) : buildInvoiceTotals(billingDetails)),
+    creditNotes: creditNotes.map(formatInvoiceDocument),
+  };
+};
+
+/**
+ * Build the invoice for a single booking
+ * @param {Object} booking - Booking with populated room and guest
+ * @returns {Promise<Object>} Invoice
+ */
+export const buildBookingInvoice = async (booking) => {
+  const bookingId = booking._id;
+
+  // Calculate totals
+  const billingDetails = await calculateBookingTotal(booking);
+  const issued = await findIssuedInvoice({ booking: bookingId });
+
+  // Get payment history
+  const payments = await Payment.find({ booking: bookingId })
+    .sort({ createdAt: -1 });
+
+  const totalPaid = await getTotalPaid(bookingId);
+  const credited = issued?.creditedAmount || 0;
+  const balanceDue = roundMoney(billingDetails.totalCost - credited - totalPaid);
+
+  // Build invoice object
+  const header = await buildInvoiceHeader(issued, buildLineItems(booking, billingDetails), billingDetails);
+  const invoice = {
+    ...header,
+    bookingId: booking._id,
+    guest: {
+      name: booking.guest.name,
+      email: booking.guest.email,
+    },
+    guestName: booking.guestName || null,
+    room: {
+      code: booking.room?.code || 'Unassigned',
+      type: booking.room?.type || booking.roomType,
+      pricePerNight: booking.room?.pricePerNight ?? null,
+    },
+    stayDetails: {
+      checkInDate: booking.checkInDate,
+      checkOutDate: booking.checkOutDate,
+      totalNights: booking.totalNights,
+    },
+    cancellation: booking.cancellation || null,
+    deposit: booking.deposit
+      ? {
+          type: booking.deposit.type,
+          amount: booking.deposit.amount,
+          dueBy: booking.deposit.dueBy,
+          paidAt: booking.deposit.paidAt,
+          due: await getDepositDue(booking, totalPaid),
+        }
+      : null,
+    paymentSummary: {
+      totalPaid,
+      credited,
+      balanceDue,
+      isFullyPaid: balanceDue <= MONEY_EPSILON,
+    },
+    payments: formatInvoicePayments(payments),
+  };
+
+  return invoice;
+};
+
+/**
+ * Line items of a group's master invoice: every room's nights and services, labelled with the guest
+ * @param {Object} billingDetails - Result of calculateGroupTotal
+ * @returns {Object[]} Line items
+ */
+const buildGroupLineItems = (billingDetails) =>
+  billingDetails.rooms.flatMap(({ booking, billing }) =>
+    buildLineItems(booking, billing, booking.guestName ? ` - ${booking.guestName}` : '')
+  );
+
+/**
+ * Build the master invoice of a group: every room's nights and services on the group's shared folio
+ * @param {Object} group - Group booking with populated organizer
+ * @param {Object[]} bookings - The group's billable bookings with populated room
+ * @returns {Promise<Object>} Invoice
+ */
+export const buildGroupInvoice = async (group, bookings) => {
+  const billingDetails = await calculateGroupTotal(bookings);
+  const issued = await findIssuedInvoice({ group: group._id });
+  const bookingIds = bookings.map((booking) => booking._id);
+  const payments = await Payment.find({
+    $or: [{ group: group._id }, { booking: { $in: bookingIds } }],
+  }).sort({ createdAt: -1 });
+
+  const totalPaid = await getGroupTotalPaid(group._id, bookingIds);
+  const credited = issued?.creditedAmount || 0;
+  const balanceDue = roundMoney(billingDetails.totalCost - credited - totalPaid);
+
+  const header = await buildInvoiceHeader(issued, buildGroupLineItems(billingDetails), billingDetails);
+  return {
+    ...header,
+    groupId: group._id,
+    billTo: {
+      groupId: group._id,
+      name: group.name,
+      organizer: {
+        name: group.organizer.name,
+        email: group.organizer.email,
+      },
+      contactName: group.contactName,
+      contactEmail: group.contactEmail,
+    },
+    stayDetails: {
+      checkInDate: group.checkInDate,
+      checkOutDate: group.checkOutDate,
+      rooms: bookings.length,
+    },
+    rooms: billingDetails.rooms.map(({ booking, billing }) => ({
+      bookingId: booking._id,
+      guestName: booking.guestName,
+      roomCode: booking.room?.code || 'Unassigned',
+      roomType: booking.room?.type || booking.roomType,
+      status: booking.status,
+      total: billing.totalCost,
+    })),
+    paymentSummary: {
+      totalPaid,
+      credited,
+      balanceDue,
+      isFullyPaid: balanceDue <= MONEY_EPSILON,
+    },
+    payments: formatInvoicePayments(payments),
+  };
+};
+
+/**
+ * Issue the invoice of a booking or group, or return the one already issued. The unique index on
+ * issued invoices settles races: the request that saves the invoice issues it, the others get that
+ * invoice (and their number is voided).
+ * @param {Object} owner - `{ booking }` or `{ group }` ID
+ * @param {Object} snapshot - Bill-to and charges to issue
+ * @param {string} [issuedBy] - User issuing the invoice
+ * @returns {Promise<Object>} Object with the invoice and whether it was issued now
+ */
+const issueInvoice = async (owner, snapshot, issuedBy) => {
+  const existing = await findIssuedInvoice(owner);
+  if (existing) {
+    return { invoice: existing, created: false };
+  }
+
+  let invoice;
+  try {
+    invoice = await createNumbered({ ...owner, kind: 'invoice', ...snapshot, issuedBy });
+  } catch (error) {
+    if (error.code === 11000) {
+      return { invoice: await findIssuedInvoice(owner), created: false };
+    }
+    throw error;
+  }
+
+  return { invoice, created: true };
+};
+
+/**
+ * Issue a booking's invoice with its current charges. Payments on the booking are stamped with the number.
+ * @param {Object} booking - Booking with populated room and guest
+ * @param {string} [issuedBy] - User issuing the invoice
+ * @returns {Promise<Object>} Object with the invoice and whether it was issued now
+ */
+export const issueBookingInvoice = async (booking, issuedBy = null) => {
+  const billingDetails = await calculateBookingTotal(booking);
+  const result = await issueInvoice(
+    { booking: booking._id },
+    {
+      billTo: { name: booking.guestName || booking.guest?.name, email: booking.guest?.email },
+      ...toSnapshot(buildLineItems(booking, billingDetails), billingDetails),
+    },
+    issuedBy
+  );
+
+  await Payment.updateMany(
+    { booking: booking._id, invoiceNumber: null },
+    { $set: { invoiceNumber: result.invoice.number } }
+  );
+  return result;
+};
+
+/**
+ * Issue a group's master invoice with the current charges of its rooms. Payments on the group's
+ * folio and on its rooms are stamped with the number.
+ * @param {Object} group - Group booking with populated organizer
+ * @param {Object[]} bookings - The group's billable bookings with populated room
+ * @param {string} [issuedBy] - User issuing the invoice
+ * @returns {Promise<Object>} Object with the invoice and whether it was issued now
+ */
+export const issueGroupInvoice = async (group, bookings, issuedBy = null) => {
+  const billingDetails = await calculateGroupTotal(bookings);
+  const result = await issueInvoice(
+    { group: group._id },
+    {
+      billTo: { name: group.name, email: group.contactEmail || group.organizer?.email },
+      ...toSnapshot(buildGroupLineItems(billingDetails), billingDetails),
+    },
+    issuedBy
+  );
+
+  const bookingIds = bookings.map((booking) => booking._id);
+  await Payment.updateMany(
+    { $or: [{ group: group._id }, { booking: { $in: bookingIds } }], invoiceNumber: null },
+    { $set: { invoiceNumber: result.invoice.number } }
+  );
+  return result;
+};
+
+/**
+ * Void an issued invoice or credit note. The number stays used. A voided invoice frees the booking
+ * (or group) to be invoiced again under a new number; an invoice with credit notes can only be voided
+ * once they are voided.
+ * @param {Object} document - Invoice document
+ * @param {Object} options - Options
+ * @param {string} options.reason - Why the document is voided
+ * @param {string} options.voidedBy - User voiding the document
+ * @returns {Promise<Object>} Object with success, message and the voided document
+ */
+export const voidInvoice = async (document, { reason, voidedBy }) => {
+  const voided = await Invoice.findOneAndUpdate(
+    {
+      _id: document._id,
+      status: 'issued',
+      ...(document.kind === 'invoice' ? { creditedAmount: { $lte: MONEY_EPSILON } } : {}),
+    },
+    { $set: { status: 'void', voidedAt: new Date(), voidedBy, voidReason: reason, updatedAt: new Date() } },
+    { new: true }
+  );
+
+  if (!voided) {
+    return {
+      success: false,
+      message: document.status === 'void'
+        ? 'This document is already void'
+        : 'Void the credit notes issued against this invoice first',
+    };
+  }
+
+  if (voided.kind === 'credit_note') {
+    await Invoice.updateOne({ _id: voided.creditNoteFor }, { $inc: { creditedAmount: -voided.total } });
+  } else {
+    await Payment.updateMany({ invoiceNumber: voided.number }, { $set: { invoiceNumber: null } });
+  }
+
+  return { success: true, message: 'Document voided successfully', invoice: voided };
+};
+
+/**
+ * Issue a credit note against an invoice. The amount is reserved on the invoice atomically, so
+ * credit notes can never add up to more than was invoiced. Tax is credited in proportion.
+ * @param {Object} invoice - Issued invoice document
+ * @param {Object} options - Options
+ * @param {number} [options.amount] - Amount to credit (defaults to everything not yet credited)
+ * @param {string} options.reason - Why the amount is credited
+ * @param {string} options.issuedBy - User issuing the credit note
+ * @returns {Promise<Object>} Object with success, message, the credit note and the updated invoice
+ */
+export const issueCreditNote = async (invoice, { amount, reason, issuedBy }) => {
+  const creditAmount = roundMoney(amount ?? invoice.total - invoice.creditedAmount);
+  if (!(creditAmount > 0)) {
+    return { success: false, message: 'Nothing is left to credit on this invoice' };
+  }
+
+  const reserved = await Invoice.findOneAndUpdate(
+    {
+      _id: invoice._id,
+      kind: 'invoice',
+      status: 'issued',
+      $expr: {
+        $lte: [{ $add: ['$creditedAmount', creditAmount] }, { $add: ['$total', MONEY_EPSILON] }],
+      },
+    },
+    { $inc: { creditedAmount: creditAmount } },
+    { new: true }
+  );
+
+  if (!reserved) {
+    return { success: false, message: 'Credit exceeds the amount left to credit on this invoice' };
+  }
+
+  const ratio = reserved.total > 0 ? creditAmount / reserved.total : 0;
+  let creditNote;
+  try {
+    creditNote = await createNumbered({
+      kind: 'credit_note',
+      booking: reserved.booking,
+      group: reserved.group,
+      creditNoteFor: reserved._id,
+      billTo: { name: reserved.billTo?.name, email: reserved.billTo?.email },
+      lineItems: [{
+        description: `Credit against invoice ${reserved.number}: ${reason}`,
+        quantity: 1,
+        unitPrice: creditAmount,
+        total: creditAmount,
+      }],
+      taxLines: reserved.taxLines.map((line) => ({
+        name: line.name,
+        rate: line.rate,
+        isInclusive: line.isInclusive,
+        amount: roundMoney(line.amount * ratio),
+      })),
+      subtotal: roundMoney(reserved.subtotal * ratio),
+      taxTotal: roundMoney(reserved.taxTotal * ratio),
+      total: creditAmount,
+      reason,
+      issuedBy,
+    });
+  } catch (error) {
+    await Invoice.updateOne({ _id: reserved._id }, { $inc: { creditedAmount: -creditAmount } });
+    throw error;
+  }
+
+  return {
+    success: true,
+    message: 'Credit note issued successfully',
+    creditNote,
+    invoice: reserved,
+  };
+};
+
+/**
+ * Hotel details printed on invoices and receipts
+ * @returns {Promise<Object>} Object with name, address, phone and email
+ */
+export const getHotelBranding = async () => {
+  const settings = await Settings.getSettings();
+  return {
+    name: settings.hotelName || 'CheckInn Hotel',
+    address: settings.hotelAddress,
+    phone: settings.hotelPhone,
+    email: settings.hotelEmail,
+  };
+};
+
+/**
+ * Build a booking's invoice and render it as a PDF
+ * @param {Object} booking - Booking with populated room and guest
+ * @returns {Promise<Object>} Object with the invoice and the PDF buffer
+ */
+export const buildBookingInvoicePdf = async (booking) => {
+  const invoice = await buildBookingInvoice(booking);
+  const pdf = await renderInvoicePdf(invoice, await getHotelBranding());
+  return { invoice, pdf };
+};
@@ -0,0 +1,329 @@
+/**
+ * @fileoverview Job scheduler: runs recurring background tasks from persisted job definitions, records
+ * each run, and locks a job while it runs so several server instances never run it at the same time
+ * @module services/jobService
+ */
+
+import os from 'os';
+import Job from '../models/Job.js';
+import JobRun from '../models/JobRun.js';
+import { expireUnpaidHolds } from './depositService.js';
+import { processNoShows } from './noShowService.js';
+import { sendCheckInReminders, sendFeedbackRequests } from './reminderService.js';
+import { createBackup } from './backupService.js';
+import { closeOpenBusinessDates, formatBusinessDate } from './nightAuditService.js';
+import { processWaitlist } from './waitlistService.js';
+
+const ONE_MINUTE = 60 * 1000;
+
+// How often the scheduler looks for due jobs
+const TICK_INTERVAL = ONE_MINUTE;
+
+// A lock not renewed for this long is assumed to have died with its instance
+const LOCK_MINUTES = 30;
+
+// How often a running job renews its lock, well inside LOCK_MINUTES
+const LOCK_RENEW_INTERVAL = 5 * ONE_MINUTE;
+
+// Identifies this server process in job locks and run history
+export const INSTANCE_ID = `${os.hostname()}:${process.pid}`;
+
+/**
+ * Tasks the scheduler can run, by job name, with the schedule a new job starts on.
+ * Each task gets the time of the run and returns what it did, which is kept on the run.
+ */
+export const JOB_DEFINITIONS = {
+  'hold-expiry': {
+    description: 'Cancel bookings whose deposit was not paid before the hold expired',
+    scheduleType: 'interval',
+    intervalMinutes: 5,
+    run: async (now) => {
+      const expired = await expireUnpaidHolds(now);
+      return { expired };
+    },
+  },
+  'no-shows': {
+    description: 'Mark guests who have not arrived by the no-show cutoff as no-shows and release their rooms',
+    scheduleType: 'interval',
+    intervalMinutes: 15,
+    run: async (now) => {
+      const marked = await processNoShows(now);
+      return { marked };
+    },
+  },
+  waitlist: {
+    description: 'Expire waitlist offers that were not booked in time and offer freed rooms to waiting guests in order',
+    scheduleType: 'interval',
+    intervalMinutes: 5,
+    run: async (now) => {
+      const { expired, offered } = await processWaitlist(now);
+      return { expired, offered };
+    },
+  },
+  'checkin-reminders': {
+    description: 'Remind guests arriving tomorrow of their check-in',
+    scheduleType: 'daily',
+    timeOfDay: '10:00',
+    run: async (now) => {
+      const { sent, failed, total } = await sendCheckInReminders(now);
+      return { sent, failed, total };
+    },
+  },
+  'feedback-requests': {
+    description: 'Ask guests who checked out in the last few days to rate their stay',
+    scheduleType: 'daily',
+    timeOfDay: '12:00',
+    run: async (now) => {
+      const { sent, failed, total } = await sendFeedbackRequests(now);
+      return { sent, failed, total };
+    },
+  },
+  'night-audit': {
+    description: 'Close the business dates that have ended: post room charges and snapshot occupancy and revenue',
+    scheduleType: 'daily',
+    timeOfDay: '02:00',
+    run: async (now) => {
+      const audits = await closeOpenBusinessDates(now);
+      return {
+        closed: audits.map((audit) => formatBusinessDate(audit.businessDate)),
+        exceptions: audits.reduce(
+          (sum, audit) => sum + audit.unbalancedFolios.length + audit.unreturnedDepartures.length,
+          0
+        ),
+      };
+    },
+  },
+  backup: {
+    description: 'Back up every collection to the backups directory',
+    scheduleType: 'daily',
+    timeOfDay: '03:00',
+    run: async () => {
+      const summary = await createBackup();
+      if (summary.failed.length > 0) {
+        throw new Error(`Could not back up: ${summary.failed.join(', ')}`);
+      }
+      return {
+        summaryFile: summary.summaryFile,
+        collections: summary.collections.length,
+        totalDocuments: summary.totalDocuments,
+      };
+    },
+  },
+};
+
+/**
+ * Work out when a job is next due after a moment. Daily jobs run at their time of day in the
+ * hotel's local time (the server's time zone).
+ * @param {Object} schedule - Job or job definition
+ * @param {('interval'|'daily')} schedule.scheduleType - Schedule type
+ * @param {number} [schedule.intervalMinutes] - Minutes between runs of an interval job
+ * @param {string} [schedule.timeOfDay] - Time of a daily job (HH:mm)
+ * @param {Date} from - Moment to count from
+ * @returns {Date} Next run time
+ */
+export const getNextRunAt = ({ scheduleType, intervalMinutes, timeOfDay }, from) => {
+  if (scheduleType === 'interval') {
+    return new Date(from.getTime() + intervalMinutes * ONE_MINUTE);
+  }
+
+  const [hours, minutes] = timeOfDay.split(':').map(Number);
+  const next = new Date(from);
+  next.setHours(hours, minutes, 0, 0);
+  if (next <= from) {
+    next.setDate(next.getDate() + 1);
+  }
+  return next;
+};
+
+/**
+ * Create a job for every task that has none yet. Existing jobs keep the schedule admins gave them.
+ * @param {Date} [now] - Current time
+ * @returns {Promise<void>}
+ */
+export const ensureJobs = async (now = new Date()) => {
+  for (const [name, definition] of Object.entries(JOB_DEFINITIONS)) {
+    await Job.updateOne(
+      { name },
+      {
+        $set: { description: definition.description },
+        $setOnInsert: {
+          name,
+          scheduleType: definition.scheduleType,
+          intervalMinutes: definition.intervalMinutes || null,
+          timeOfDay: definition.timeOfDay || null,
+          isEnabled: true,
+          nextRunAt: getNextRunAt(definition, now),
+          createdAt: now,
+          updatedAt: now,
+        },
+      },
+      { upsert: true }
+    );
+  }
+};
+
+/**
+ * Take a job's lock for this instance. The check and the claim happen in one atomic update,
+ * so only one instance can hold the lock; a lock left by a crashed instance can be taken over
+ * once it has expired.
+ * @param {string} name - Job name
+ * @param {Object} [options] - Options
+ * @param {Date} [options.now] - Current time
+ * @param {boolean} [options.due] - Only claim the job if it is enabled and due
+ * @returns {Promise<Object|null>} The claimed job, or null if it is running elsewhere (or not due)
+ */
+const claimJob = async (name, { now = new Date(), due = false } = {}) => {
+  const filter = {
+    name,
+    $or: [{ lockedBy: null }, { lockedUntil: { $lte: now } }],
+  };
+  if (due) {
+    filter.isEnabled = true;
+    filter.nextRunAt = { $lte: now };
+  }
+
+  return Job.findOneAndUpdate(
+    filter,
+    {
+      lockedBy: INSTANCE_ID,
+      lockedUntil: new Date(now.getTime() + LOCK_MINUTES * ONE_MINUTE),
+      updatedAt: now,
+    },
+    { new: true }
+  );
+};
+
+/**
+ * Run a job this instance has claimed, record the run, schedule the next one and release the lock.
+ * The lock is renewed while the task runs, so a long run is not taken over by another instance.
+ * @param {Object} job - Claimed job
+ * @param {Object} options - Options
+ * @param {('schedule'|'manual')} options.trigger - What started the run
+ * @param {string} [options.triggeredBy] - Admin starting a manual run
+ * @returns {Promise<Object>} The finished JobRun
+ */
+const runClaimedJob = async (job, { trigger, triggeredBy = null }) => {
+  const startedAt = new Date();
+  const run = await JobRun.create({
+    job: job._id,
+    jobName: job.name,
+    trigger,
+    triggeredBy,
+    instance: INSTANCE_ID,
+    startedAt,
+  });
+
+  const renewal = setInterval(() => {
+    Job.updateOne(
+      { _id: job._id, lockedBy: INSTANCE_ID },
+      { lockedUntil: new Date(Date.now() + LOCK_MINUTES * ONE_MINUTE) }
+    ).catch((err) => {
+      console.error(`Failed to renew the lock on job ${job.name}: ${err.message}`);
+    });
+  }, LOCK_RENEW_INTERVAL);
+  renewal.unref();
+
+  let result = null;
+  let error = null;
+  try {
+    result = await JOB_DEFINITIONS[job.name].run(startedAt);
+  } catch (err) {
+    error = err;
+  } finally {
+    clearInterval(renewal);
+  }
+
+  const finishedAt = new Date();
+  run.status = error ? 'failed' : 'succeeded';
+  run.finishedAt = finishedAt;
+  run.durationMs = finishedAt - startedAt;
+  run.result = result;
+  run.error = error ? error.message : null;
+  await run.save();
+
+  await Job.updateOne(
+    { _id: job._id, lockedBy: INSTANCE_ID },
+    {
+      lastRunAt: startedAt,
+      lastStatus: run.status,
+      lastError: run.error,
+      nextRunAt: getNextRunAt(job, finishedAt),
+      lockedBy: null,
+      lockedUntil: null,
+      updatedAt: finishedAt,
+    }
+  );
+
+  return run;
+};
+
+/**
+ * Run every enabled job that is due and not already running on another instance
+ * @param {Date} [now] - Current time
+ * @returns {Promise<Object[]>} The runs started by this call
+ */
+export const runDueJobs = async (now = new Date()) => {
+  const due = await Job.find({
+    name: { $in: Object.keys(JOB_DEFINITIONS) },
+    isEnabled: true,
+    nextRunAt: { $lte: now },
+  }).sort({ nextRunAt: 1 });
+
+  const runs = [];
+  for (const job of due) {
+    const claimed = await claimJob(job.name, { now, due: true });
+    if (claimed) {
+      runs.push(await runClaimedJob(claimed, { trigger: 'schedule' }));
+    }
+  }
+  return runs;
+};
+
+/**
+ * Run a job straight away, whatever its schedule (disabled jobs included)
+ * @param {string} name - Job name
+ * @param {string} [triggeredBy] - Admin starting the run
+ * @returns {Promise<Object>} Object with success, message, conflict and the run
+ */
+export const runJobNow = async (name, triggeredBy = null) => {
+  if (!JOB_DEFINITIONS[name] || !(await Job.exists({ name }))) {
+    return { success: false, message: `Unknown job: ${name}` };
+  }
+
+  const claimed = await claimJob(name);
+  if (!claimed) {
+    return { success: false, conflict: true, message: `Job ${name} is already running` };
+  }
+
+  const run = await runClaimedJob(claimed, { trigger: 'manual', triggeredBy });
+  return {
+    success: true,
+    message: run.status === 'succeeded' ? `Job ${name} ran successfully` : `Job ${name} failed: ${run.error}`,
+    run,
+  };
+};
+
+/**
+ * Start the scheduler: make sure every task has a job, then check for due jobs every minute.
+ * The timer does not keep the process alive on its own.
+ * @returns {NodeJS.Timeout} Scheduler timer
+ */
+export const startScheduler = () => {
+  ensureJobs().catch((err) => {
+    console.error(`Failed to set up scheduled jobs: ${err.message}`);
+  });
+
+  const timer = setInterval(async () => {
+    try {
+      const runs = await runDueJobs();
+      runs
+        .filter((run) => run.status === 'failed')
+        .forEach((run) => console.error(`Scheduled job ${run.jobName} failed: ${run.error}`));
+    } catch (err) {
+      console.error(`Failed to run scheduled jobs: ${err.message}`);
+    }
+  }, TICK_INTERVAL);
+  timer.unref();
+
+  return timer;
+};
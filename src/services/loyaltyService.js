@@ -0,0 +1,336 @@
+/**
+ * @fileoverview Loyalty service: guests earn points on what they pay for their stays, climb tiers
+ * by nights stayed and redeem points as a payment
+ * @module services/loyaltyService
+ */
+
+import User from '../models/User.js';
+import Booking from '../models/Booking.js';
+import Payment from '../models/Payment.js';
+import Settings from '../models/Settings.js';
+import LoyaltyTransaction from '../models/LoyaltyTransaction.js';
+import { SETTLED_PAYMENTS_FILTER, signedAmount } from './billingService.js';
+import { roundMoney } from './taxService.js';
+
+/**
+ * Loyalty tiers, lowest first. A guest reaches a tier once their checked-out nights reach
+ * minNights; higher tiers earn more points on every amount paid.
+ */
+export const LOYALTY_TIERS = [
+  { name: 'member', minNights: 0, earnMultiplier: 1 },
+  { name: 'silver', minNights: 10, earnMultiplier: 1.25 },
+  { name: 'gold', minNights: 25, earnMultiplier: 1.5 },
+  { name: 'platinum', minNights: 50, earnMultiplier: 2 },
+];
+
+// Payments that earn no points: points themselves, and balances the guest's company owes
+const NON_EARNING_METHODS = ['loyalty_points', 'city_ledger'];
+
+// Tolerance for comparing money amounts stored as floating point numbers
+const MONEY_EPSILON = 0.001;
+
+/**
+ * Booking reference used in ledger descriptions
+ * @param {Object|string} bookingId - Booking ID
+ * @returns {string} Short booking reference
+ */
+const bookingRef = (bookingId) => `booking #${String(bookingId).slice(-8)}`;
+
+/**
+ * Work out a guest's tier from the nights they have stayed
+ * @param {number} nightsStayed - Checked-out nights
+ * @returns {Object} Tier (name, minNights, earnMultiplier) with nextTier (name, nightsToGo), null at the top
+ */
+export const getLoyaltyTier = (nightsStayed = 0) => {
+  let index = 0;
+  LOYALTY_TIERS.forEach((tier, i) => {
+    if (nightsStayed >= tier.minNights) index = i;
+  });
+
+  const next = LOYALTY_TIERS[index + 1];
+  return {
+    ...LOYALTY_TIERS[index],
+    nextTier: next ? { name: next.name, nightsToGo: next.minNights - nightsStayed } : null,
+  };
+};
+
+/**
+ * Move points on a guest's balance and record it on their ledger. Taking points off is atomic,
+ * so the balance never goes below zero.
+ * @param {string} userId - Guest (User) ID
+ * @param {Object} entry - Transaction
+ * @param {string} entry.type - earn, reverse, redeem, restore or adjustment
+ * @param {number} entry.points - Points to add (positive) or take off (negative)
+ * @param {number} [entry.amount] - Money the points relate to
+ * @param {string} [entry.booking] - Booking ID
+ * @param {string} [entry.payment] - Payment ID
+ * @param {string} [entry.description] - Description
+ * @param {string} [entry.postedBy] - User posting it
+ * @returns {Promise<Object|null>} The transaction, or null when the guest doesn't have the points
+ */
+export const postLoyaltyTransaction = async (
+  userId,
+  { type, points, amount = 0, booking = null, payment = null, description = null, postedBy = null }
+) => {
+  const user = await User.findOneAndUpdate(
+    { _id: userId, ...(points < 0 && { 'loyalty.points': { $gte: -points } }) },
+    { $inc: { 'loyalty.points': points } },
+    { new: true }
+  );
+  if (!user) {
+    return null;
+  }
+
+  return LoyaltyTransaction.create({
+    user: userId,
+    type,
+    points,
+    amount: roundMoney(amount),
+    balanceAfter: user.loyalty.points,
+    booking,
+    payment,
+    description,
+    postedBy,
+  });
+};
+
+/**
+ * Bring the points a checked-out stay earned in line with what has been paid for it. Money paid
+ * since the last sync earns points at the guest's tier; money refunded takes back its share of
+ * the points earned (as many as the guest still has). Call after recording a payment or refund.
+ * @param {string} bookingId - Booking ID
+ * @returns {Promise<Object|null>} The earn or reverse transaction, or null when nothing changed
+ */
+export const syncStayPoints = async (bookingId) => {
+  const booking = await Booking.findById(bookingId);
+  if (!booking?.guest || booking.status !== 'checked_out') {
+    return null;
+  }
+
+  const payments = await Payment.find({
+    booking: booking._id,
+    paymentMethod: { $nin: NON_EARNING_METHODS },
+    ...SETTLED_PAYMENTS_FILTER,
+  });
+  const paid = roundMoney(payments.reduce((total, payment) => total + signedAmount(payment), 0));
+
+  const earned = await LoyaltyTransaction.find({ booking: booking._id, type: { $in: ['earn', 'reverse'] } });
+  const coveredAmount = roundMoney(earned.reduce((total, entry) => total + entry.amount, 0));
+  const earnedPoints = earned.reduce((total, entry) => total + entry.points, 0);
+  const difference = roundMoney(paid - coveredAmount);
+
+  const guest = await User.findById(booking.guest);
+  if (!guest) {
+    return null;
+  }
+
+  if (difference > MONEY_EPSILON) {
+    const settings = await Settings.getSettings();
+    if (!settings.loyaltyEnabled) {
+      return null;
+    }
+
+    // Amounts too small to earn a whole point are carried into the next sync
+    const tier = getLoyaltyTier(guest.loyalty?.nightsStayed);
+    const points = Math.floor((difference / 100) * settings.loyaltyEarnRate * tier.earnMultiplier);
+    if (points < 1) {
+      return null;
+    }
+
+    return postLoyaltyTransaction(guest._id, {
+      type: 'earn',
+      points,
+      amount: difference,
+      booking: booking._id,
+      description: `Earned on ${bookingRef(booking._id)}`,
+    });
+  }
+
+  if (difference < -MONEY_EPSILON && coveredAmount > 0) {
+    const reversedAmount = Math.min(-difference, coveredAmount);
+    const points = Math.min(
+      Math.round((earnedPoints * reversedAmount) / coveredAmount),
+      guest.loyalty?.points || 0
+    );
+
+    return postLoyaltyTransaction(guest._id, {
+      type: 'reverse',
+      points: -points,
+      amount: -reversedAmount,
+      booking: booking._id,
+      description: `Refund on ${bookingRef(booking._id)}`,
+    });
+  }
+
+  return null;
+};
+
+/**
+ * Count a checked-out stay towards the guest's tier and award the points its payments earned
+ * @param {Object} booking - Booking that just checked out
+ * @returns {Promise<Object|null>} The earn transaction, or null when nothing was earned
+ */
+export const recordStay = async (booking) => {
+  const guestId = booking.guest?._id || booking.guest;
+  if (!guestId) {
+    return null;
+  }
+
+  await User.updateOne({ _id: guestId }, { $inc: { 'loyalty.nightsStayed': booking.totalNights || 0 } });
+  return syncStayPoints(booking._id);
+};
+
+/**
+ * Pay towards a booking with its guest's loyalty points
+ * @param {Object} booking - Booking document
+ * @param {Object} options - Options
+ * @param {number} options.amountDue - Most the points may pay
+ * @param {number} [options.points] - Points to redeem (defaults to what the amount due needs, up to the balance)
+ * @param {string} [options.invoiceNumber] - Issued invoice the payment belongs to
+ * @param {string} [options.postedBy] - Staff member redeeming the points for the guest
+ * @returns {Promise<Object>} Object with success, message, conflict, payment, transaction and pointsRedeemed
+ */
+export const redeemPoints = async (booking, { amountDue, points, invoiceNumber = null, postedBy = null }) => {
+  const settings = await Settings.getSettings();
+  if (!settings.loyaltyEnabled || !(settings.loyaltyBurnRate > 0)) {
+    return { success: false, message: 'Loyalty points cannot be redeemed at the moment' };
+  }
+
+  const guestId = booking.guest?._id || booking.guest;
+  const guest = guestId ? await User.findById(guestId) : null;
+  if (!guest) {
+    return { success: false, message: 'This booking has no guest account to redeem points from' };
+  }
+
+  const balance = guest.loyalty?.points || 0;
+  const pointsNeeded = Math.ceil(amountDue / settings.loyaltyBurnRate - MONEY_EPSILON);
+
+  let toRedeem = Math.min(balance, pointsNeeded);
+  if (points !== undefined && points !== null && points !== '') {
+    const requested = Number(points);
+    if (!Number.isInteger(requested) || requested <= 0) {
+      return { success: false, message: 'Points to redeem must be a whole number greater than 0' };
+    }
+    if (requested > balance) {
+      return { success: false, message: `Only ${balance} loyalty points are available` };
+    }
+    toRedeem = Math.min(requested, pointsNeeded);
+  }
+
+  if (toRedeem <= 0) {
+    return { success: false, message: 'There are no loyalty points to redeem' };
+  }
+
+  // Smaller redemptions are only allowed when they settle what is due
+  if (toRedeem < settings.loyaltyMinRedeemPoints && toRedeem < pointsNeeded) {
+    return {
+      success: false,
+      message: `At least ${settings.loyaltyMinRedeemPoints} loyalty points must be redeemed at once`,
+    };
+  }
+
+  const amount = roundMoney(Math.min(amountDue, toRedeem * settings.loyaltyBurnRate));
+
+  const transaction = await postLoyaltyTransaction(guest._id, {
+    type: 'redeem',
+    points: -toRedeem,
+    amount,
+    booking: booking._id,
+    description: `Paid towards ${bookingRef(booking._id)}`,
+    postedBy,
+  });
+  if (!transaction) {
+    // Another redemption spent the points first
+    return { success: false, conflict: true, message: 'Not enough loyalty points' };
+  }
+
+  let payment;
+  try {
+    payment = await Payment.create({
+      booking: booking._id,
+      amount,
+      paymentMethod: 'loyalty_points',
+      status: 'paid',
+      transactionId: `POINTS-${Date.now()}-${Math.random().toString(36).slice(2, 9).toUpperCase()}`,
+      invoiceNumber,
+      paidAt: new Date(),
+    });
+  } catch (error) {
+    await postLoyaltyTransaction(guest._id, {
+      type: 'restore',
+      points: toRedeem,
+      amount,
+      booking: booking._id,
+      description: `Payment failed on ${bookingRef(booking._id)}`,
+    });
+    throw error;
+  }
+
+  transaction.payment = payment._id;
+  await transaction.save();
+
+  return {
+    success: true,
+    message: `Paid ${amount} with ${toRedeem} loyalty points`,
+    payment,
+    transaction,
+    pointsRedeemed: toRedeem,
+  };
+};
+
+/**
+ * Give a guest back the points a refunded points payment spent, in proportion to the amount refunded
+ * @param {Object} payment - Payment made with loyalty points
+ * @param {number} refundAmount - Amount refunded
+ * @returns {Promise<Object|null>} The restore transaction, or null when there were no points to give back
+ */
+export const restoreRedeemedPoints = async (payment, refundAmount) => {
+  const entries = await LoyaltyTransaction.find({ payment: payment._id, type: { $in: ['redeem', 'restore'] } });
+  const redeemed = entries.find((entry) => entry.type === 'redeem');
+  if (!redeemed || !(payment.amount > 0)) {
+    return null;
+  }
+
+  const spent = -redeemed.points;
+  const restored = entries
+    .filter((entry) => entry.type === 'restore')
+    .reduce((total, entry) => total + entry.points, 0);
+  const points = Math.min(Math.round((spent * refundAmount) / payment.amount), spent - restored);
+  if (points <= 0) {
+    return null;
+  }
+
+  return postLoyaltyTransaction(redeemed.user, {
+    type: 'restore',
+    points,
+    amount: refundAmount,
+    booking: payment.booking,
+    payment: payment._id,
+    description: `Refund on ${bookingRef(payment.booking)}`,
+  });
+};
+
+/**
+ * A guest's loyalty standing and the program's rates
+ * @param {Object} user - User document
+ * @param {Object} [settings] - Hotel settings (loaded when omitted)
+ * @returns {Promise<Object>} Points, point value, nights stayed, tier and next tier, earn/burn rates
+ */
+export const getLoyaltySummary = async (user, settings = null) => {
+  const hotelSettings = settings || (await Settings.getSettings());
+  const points = user.loyalty?.points || 0;
+  const nightsStayed = user.loyalty?.nightsStayed || 0;
+  const { nextTier, ...tier } = getLoyaltyTier(nightsStayed);
+
+  return {
+    enabled: hotelSettings.loyaltyEnabled,
+    points,
+    pointsValue: roundMoney(points * hotelSettings.loyaltyBurnRate),
+    nightsStayed,
+    tier,
+    nextTier,
+    earnRate: hotelSettings.loyaltyEarnRate,
+    burnRate: hotelSettings.loyaltyBurnRate,
+    minRedeemPoints: hotelSettings.loyaltyMinRedeemPoints,
+  };
+};
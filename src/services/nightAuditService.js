@@ -0,0 +1,347 @@
+/**
+ * @fileoverview Night audit service: closes a business date by posting the night's room charges,
+ * flagging folios and departures that need attention and snapshotting the day's occupancy and revenue.
+ * Business dates are closed in order; once a date is closed, records dated on or before it are locked.
+ * @module services/nightAuditService
+ */
+
+import NightAudit from '../models/NightAudit.js';
+import Booking from '../models/Booking.js';
+import Room from '../models/Room.js';
+import ServiceUsage from '../models/ServiceUsage.js';
+import FolioEntry from '../models/FolioEntry.js';
+import GroupBooking from '../models/GroupBooking.js';
+import { signedEntryAmount } from './billingService.js';
+import { buildFolio, routeToFolio } from './folioService.js';
+import { getLockedNightlyRates } from './stayChangeService.js';
+import { findSettledPayments, summarizePayments } from './reportService.js';
+import { roundMoney } from './taxService.js';
+import { getOutOfOrderRoomIds, toNightDate } from '../utils/roomAvailability.js';
+
+const ONE_DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Format a business date as YYYY-MM-DD
+ * @param {Date} date - Business date
+ * @returns {string} Date string
+ */
+export const formatBusinessDate = (date) => date.toISOString().split('T')[0];
+
+/**
+ * Get the last business date that has been closed
+ * @returns {Promise<Date|null>} Last closed date, or null before the first audit
+ */
+export const getLastClosedDate = async () => {
+  const last = await NightAudit.findOne().sort({ businessDate: -1 }).select('businessDate');
+  return last?.businessDate || null;
+};
+
+/**
+ * Get the business date the next audit closes: the day after the last closed date, or yesterday
+ * before the first audit
+ * @param {Date} [now] - Current time
+ * @returns {Promise<Date>} Next business date to close
+ */
+export const getNextBusinessDate = async (now = new Date()) => {
+  const last = await getLastClosedDate();
+  return last
+    ? new Date(last.getTime() + ONE_DAY)
+    : new Date(toNightDate(now).getTime() - ONE_DAY);
+};
+
+/**
+ * Check that a write may land on, or change, the business dates of the given moments. Every
+ * booking, folio and billing write that touches a dated record goes through this check.
+ * @param {Date|Date[]} dates - Moments the write lands on or changes
+ * @param {string} [message] - Reason given when one of them is closed
+ * @returns {Promise<Object>} Object with success, and conflict and message when a date is closed
+ */
+export const checkBusinessDateOpen = async (dates, message) => {
+  const last = await getLastClosedDate();
+  const closed = last && [].concat(dates).find((date) => toNightDate(date) <= last);
+  if (!closed) {
+    return { success: true };
+  }
+  return {
+    success: false,
+    conflict: true,
+    message: message || `Business date ${formatBusinessDate(toNightDate(closed))} is closed`,
+  };
+};
+
+/**
+ * Post the room charge of every guest who stayed the night: the night is marked posted on the
+ * booking and its charge is written to the folio, where it stands in for the night's rate from then on.
+ * Stays priced before nightly rates existed get their nights written out first.
+ * @param {Date} businessDate - Night being closed
+ * @param {Date} closedAt - Time of the audit
+ * @param {string|null} closedBy - User running the audit (none when run by the scheduler)
+ * @returns {Promise<Object[]>} Room charges posted (booking, guestName, roomCode, amount)
+ */
+const postRoomCharges = async (businessDate, closedAt, closedBy) => {
+  const stays = await Booking.find({
+    status: { $in: ['checked_in', 'checked_out'] },
+    checkInDate: { $lt: new Date(businessDate.getTime() + ONE_DAY) },
+    checkOutDate: { $gt: businessDate },
+  })
+    .populate('room', 'code pricePerNight')
+    .populate('guest', 'name');
+
+  // Nights spent in another room after a room move are charged to that room
+  const movedRoomIds = stays.flatMap((booking) => booking.nightlyRates.map((night) => night.room).filter(Boolean));
+  const movedRooms = movedRoomIds.length > 0
+    ? await Room.find({ _id: { $in: movedRoomIds } }).select('code')
+    : [];
+
+  const charges = [];
+  for (const booking of stays) {
+    const legacy = booking.nightlyRates.length === 0;
+    if (legacy && !booking.room) continue;
+
+    const nights = getLockedNightlyRates(booking, booking.room);
+    const night = nights.find((entry) => toNightDate(entry.date).getTime() === businessDate.getTime());
+    // A guest who left early no longer has the night on the bill
+    if (!night) continue;
+
+    let marked;
+    if (legacy) {
+      marked = await Booking.updateOne(
+        { _id: booking._id, nightlyRates: { $size: 0 } },
+        {
+          $set: {
+            nightlyRates: nights.map((entry) =>
+              entry === night ? { ...entry, postedAt: closedAt } : entry
+            ),
+          },
+        }
+      );
+    } else if (!night.postedAt) {
+      marked = await Booking.updateOne(
+        { _id: booking._id },
+        { $set: { 'nightlyRates.$[night].postedAt': closedAt } },
+        { arrayFilters: [{ 'night.date': night.date, 'night.postedAt': null }] }
+      );
+    }
+
+    const roomCode = night.room
+      ? movedRooms.find((room) => room._id.equals(night.room))?.code || null
+      : booking.room?.code || null;
+
+    // Only the audit that marked the night posts its charge
+    if (marked?.modifiedCount > 0) {
+      const roomLabel = roomCode ? `Room ${roomCode}` : `${booking.roomType} room`;
+      await FolioEntry.create({
+        booking: booking._id,
+        folio: routeToFolio(booking, 'room'),
+        type: 'charge',
+        category: 'room',
+        description: `${roomLabel} - night of ${formatBusinessDate(businessDate)}${night.ratePlan ? ` (${night.ratePlan})` : ''}`,
+        amount: roundMoney(night.price),
+        night: businessDate,
+        postedBy: closedBy,
+        postedAt: closedAt,
+        createdAt: closedAt,
+      });
+    }
+
+    charges.push({
+      booking: booking._id,
+      guestName: booking.guestName || booking.guest?.name || null,
+      roomCode,
+      amount: night.price,
+    });
+  }
+
+  return charges;
+};
+
+/**
+ * Find the day's departures whose folio does not balance. Rooms of a master-billed group are settled
+ * on the group's folio, so they are left out.
+ * @param {Object[]} departures - Bookings checked out on the business date, with populated room and guest
+ * @returns {Promise<Object[]>} Unbalanced folios (booking, guestName, roomCode, balance)
+ */
+const findUnbalancedFolios = async (departures) => {
+  const groupIds = departures.map((booking) => booking.group).filter(Boolean);
+  const masterGroups = groupIds.length > 0
+    ? await GroupBooking.find({ _id: { $in: groupIds }, billingMode: 'master' }).select('_id')
+    : [];
+
+  const unbalanced = [];
+  for (const booking of departures) {
+    if (booking.group && masterGroups.some((group) => group._id.equals(booking.group))) continue;
+
+    const { balance } = await buildFolio(booking);
+    if (roundMoney(balance) !== 0) {
+      unbalanced.push({
+        booking: booking._id,
+        guestName: booking.guestName || booking.guest?.name || null,
+        roomCode: booking.room?.code || null,
+        balance: roundMoney(balance),
+      });
+    }
+  }
+
+  return unbalanced;
+};
+
+/**
+ * Close a business date. The date must have ended and must be the next one to close; the first
+ * audit can close any past date.
+ * @param {Date|string} businessDate - Date to close
+ * @param {Object} [options] - Options
+ * @param {string} [options.closedBy] - User running the audit (none when run by the scheduler)
+ * @param {Date} [options.now] - Current time
+ * @returns {Promise<Object>} Object with success, message, conflict and the audit
+ */
+export const runNightAudit = async (businessDate, { closedBy = null, now = new Date() } = {}) => {
+  const date = toNightDate(businessDate);
+  if (Number.isNaN(date.getTime())) {
+    return { success: false, message: 'Invalid business date' };
+  }
+  if (date >= toNightDate(now)) {
+    return { success: false, message: 'A business date can only be closed once it has ended' };
+  }
+
+  const last = await getLastClosedDate();
+  if (last && date <= last) {
+    return { success: false, conflict: true, message: `Business date ${formatBusinessDate(date)} is already closed` };
+  }
+  if (last && date.getTime() !== last.getTime() + ONE_DAY) {
+    return {
+      success: false,
+      message: `Business dates are closed in order; close ${formatBusinessDate(new Date(last.getTime() + ONE_DAY))} first`,
+    };
+  }
+
+  const dayStart = date;
+  const dayEnd = new Date(date.getTime() + ONE_DAY - 1);
+  const closedAt = new Date();
+
+  const roomCharges = await postRoomCharges(date, closedAt, closedBy);
+
+  const departures = await Booking.find({
+    status: 'checked_out',
+    checkOutDate: { $gte: dayStart, $lte: dayEnd },
+  })
+    .populate('room', 'code type pricePerNight')
+    .populate('guest', 'name email');
+  const unbalancedFolios = await findUnbalancedFolios(departures);
+
+  const overstays = await Booking.find({
+    status: 'checked_in',
+    checkOutDate: { $lte: dayEnd },
+  })
+    .populate('room', 'code')
+    .populate('guest', 'name')
+    .sort({ checkOutDate: 1 });
+  const unreturnedDepartures = overstays.map((booking) => ({
+    booking: booking._id,
+    guestName: booking.guestName || booking.guest?.name || null,
+    roomCode: booking.room?.code || null,
+    checkOutDate: booking.checkOutDate,
+  }));
+
+  // Occupancy: rooms out of order for the night cannot be sold, so they don't count as available
+  const totalRooms = await Room.countDocuments({ status: { $ne: 'maintenance' } });
+  const outOfOrderRoomIds = await getOutOfOrderRoomIds(dayStart, new Date(dayStart.getTime() + ONE_DAY));
+  const outOfOrderRooms = await Room.countDocuments({
+    _id: { $in: outOfOrderRoomIds },
+    status: { $ne: 'maintenance' },
+  });
+  const sellableRooms = Math.max(totalRooms - outOfOrderRooms, 0);
+  const occupiedRooms = roomCharges.length;
+  const roomNightRevenue = roundMoney(roomCharges.reduce((sum, charge) => sum + charge.amount, 0));
+
+  const arrivals = await Booking.countDocuments({
+    status: { $in: ['checked_in', 'checked_out'] },
+    checkInDate: { $gte: dayStart, $lte: dayEnd },
+  });
+  const noShows = await Booking.countDocuments({
+    status: 'cancelled',
+    'cancellation.noShow': true,
+    checkInDate: { $gte: dayStart, $lte: dayEnd },
+  });
+
+  // Revenue: the night's room charges plus what was charged, received and refunded during the day
+  // (room charges posted by earlier audits are already in their own night's revenue)
+  const usages = await ServiceUsage.find({ createdAt: { $gte: dayStart, $lte: dayEnd } });
+  const entries = await FolioEntry.find({ postedAt: { $gte: dayStart, $lte: dayEnd }, night: null });
+  const postedAmount = (category) =>
+    entries.filter((entry) => entry.category === category).reduce((sum, entry) => sum + signedEntryAmount(entry), 0);
+  const cancellations = await Booking.find({
+    status: 'cancelled',
+    'cancellation.cancelledAt': { $gte: dayStart, $lte: dayEnd },
+  }).select('cancellation');
+
+  const payments = await summarizePayments(await findSettledPayments(dayStart, dayEnd));
+
+  let audit;
+  try {
+    audit = await NightAudit.create({
+      businessDate: date,
+      closedAt,
+      closedBy,
+      roomCharges,
+      unbalancedFolios,
+      unreturnedDepartures,
+      occupancy: {
+        totalRooms,
+        outOfOrderRooms,
+        occupiedRooms,
+        occupancyPercentage: sellableRooms > 0 ? roundMoney((occupiedRooms / sellableRooms) * 100) : 0,
+        arrivals,
+        departures: departures.length,
+        noShows,
+        adr: occupiedRooms > 0 ? roundMoney(roomNightRevenue / occupiedRooms) : 0,
+        revPar: sellableRooms > 0 ? roundMoney(roomNightRevenue / sellableRooms) : 0,
+      },
+      revenue: {
+        roomRevenue: roundMoney(roomNightRevenue + postedAmount('room')),
+        extrasRevenue: roundMoney(usages.reduce((sum, usage) => sum + usage.amount, 0) + postedAmount('extras')),
+        penaltyRevenue: roundMoney(
+          cancellations.reduce((sum, booking) => sum + (booking.cancellation?.penaltyAmount || 0), 0)
+        ),
+        totalRevenue: payments.totalRevenue,
+        totalRefunds: payments.totalRefunds,
+        totalTax: payments.totalTax,
+        netRevenue: payments.netRevenue,
+        revenueByMethod: payments.revenueByMethod,
+        taxByLine: payments.taxByLine,
+        transactionCount: payments.transactionCount,
+      },
+      createdAt: closedAt,
+    });
+  } catch (error) {
+    // Another audit closed the date first
+    if (error.code === 11000) {
+      return { success: false, conflict: true, message: `Business date ${formatBusinessDate(date)} is already closed` };
+    }
+    throw error;
+  }
+
+  return { success: true, message: `Business date ${formatBusinessDate(date)} closed`, audit };
+};
+
+/**
+ * Close every business date that has ended and is still open, oldest first. Before the first audit
+ * only yesterday is closed.
+ * @param {Date} [now] - Current time
+ * @returns {Promise<Object[]>} The audits created
+ */
+export const closeOpenBusinessDates = async (now = new Date()) => {
+  const today = toNightDate(now);
+  const audits = [];
+
+  let next = await getNextBusinessDate(now);
+  while (next < today) {
+    const result = await runNightAudit(next, { now });
+    if (!result.success) {
+      throw new Error(result.message);
+    }
+    audits.push(result.audit);
+    next = new Date(next.getTime() + ONE_DAY);
+  }
+
+  return audits;
+};
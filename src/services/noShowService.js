@@ -0,0 +1,87 @@
+/**
+ * @fileoverview No-show service: cancels approved bookings whose guest never arrived and charges the policy's no-show terms
+ * @module services/noShowService
+ */
+
+import Booking from '../models/Booking.js';
+import Settings from '../models/Settings.js';
+import { releaseStay, toNightDate } from '../utils/roomAvailability.js';
+import { applyCancellation } from './cancellationService.js';
+import { atStayTime } from './stayTimeService.js';
+
+const ONE_HOUR = 60 * 60 * 1000;
+
+/**
+ * Get the moment a guest who has not arrived becomes a no-show
+ * @param {Object} booking - Booking
+ * @param {Object} settings - Hotel settings
+ * @returns {Date} No-show cutoff
+ */
+export const getNoShowCutoff = (booking, settings) =>
+  new Date(atStayTime(booking.checkInDate, settings.defaultCheckInTime).getTime() + settings.noShowCutoffHours * ONE_HOUR);
+
+/**
+ * Mark a booking a no-show: it is cancelled under the policy's no-show terms and its nights are
+ * released. Only approved bookings whose arrival day has come can be marked.
+ * @param {Object} booking - Booking document
+ * @param {Object} [options] - Options
+ * @param {string} [options.markedBy] - Staff member marking the no-show (none when processed automatically)
+ * @param {boolean} [options.waivePenalty] - Don't charge the no-show penalty
+ * @param {Date} [options.now] - Current time
+ * @returns {Promise<Object>} Object with success, message, conflict and the cancellation outcome
+ */
+export const markNoShow = async (booking, { markedBy = null, waivePenalty = false, now = new Date() } = {}) => {
+  if (booking.status !== 'approved') {
+    return { success: false, message: `Cannot mark a booking with status: ${booking.status} as a no-show` };
+  }
+  if (toNightDate(booking.checkInDate) > toNightDate(now)) {
+    return { success: false, message: 'The guest is not due to arrive yet' };
+  }
+
+  // The no-show job and a staff member can mark the same booking at once; only one charges it
+  const cancellation = await applyCancellation(booking, {
+    cancelledBy: markedBy,
+    reason: 'Guest did not arrive (no-show)',
+    waivePenalty,
+    noShow: true,
+    fromStatuses: ['approved'],
+  });
+  if (!cancellation) {
+    return { success: false, conflict: true, message: 'Booking status changed while marking the no-show, please refresh' };
+  }
+  await releaseStay(booking._id);
+
+  return { success: true, message: 'Booking marked as a no-show', cancellation };
+};
+
+/**
+ * Mark every approved booking whose guest has not arrived by the no-show cutoff as a no-show.
+ * Nothing is marked when the cutoff is 0 (staff mark no-shows themselves).
+ * @param {Date} [now] - Current time
+ * @returns {Promise<number>} Number of bookings marked
+ */
+export const processNoShows = async (now = new Date()) => {
+  const settings = await Settings.getSettings();
+  if (!settings.noShowCutoffHours) {
+    return 0;
+  }
+
+  const overdue = await Booking.find({
+    status: 'approved',
+    checkInDate: { $lt: now },
+  });
+
+  let marked = 0;
+  for (const booking of overdue) {
+    if (getNoShowCutoff(booking, settings) > now) {
+      continue;
+    }
+
+    const result = await markNoShow(booking, { now });
+    if (result.success) {
+      marked += 1;
+    }
+  }
+
+  return marked;
+};
@@ -175,11 +175,12 @@ export const sendCheckInReminder = async (user, booking) => {
  * @param {string} payload.title - Promotion title
  * @param {string} payload.message - Promotion message
  * @param {Object} payload.details - Additional promotion details
+ * @param {Object} [payload.promoCode] - Promo code to embed: code, discount (e.g. "15% off"), description, validUntil
  * @returns {Promise<Object>} Created notification
  */
 export const sendPromotion = async (user, payload) => {
   try {
-    const { title, message, details } = payload;
+    const { title, message, details, promoCode } = payload;
     const promotionTitle = title || 'Special Promotion';
     const promotionMessage = message || 'Check out our latest offers!';
 
@@ -191,6 +192,7 @@ export const sendPromotion = async (user, payload) => {
       message: promotionMessage,
       metadata: {
         details: details || {},
+        promoCode: promoCode?.code || null,
       },
     });
 
@@ -215,6 +217,14 @@ export const sendPromotion = async (user, payload) => {
               `).join('')}
             </div>
           ` : ''}
+          ${promoCode ? `
+            <div style="background: white; padding: 20px; border-radius: 8px; margin: 20px 0; text-align: center; border: 2px dashed #667eea;">
+              <p style="margin: 0 0 8px 0; color: #666;">Use this code when you book</p>
+              <p style="margin: 0; font-size: 24px; font-weight: bold; letter-spacing: 2px; color: #667eea;">${promoCode.code}</p>
+              <p style="margin: 8px 0 0 0; color: #333;">${promoCode.discount}${promoCode.description ? ` - ${promoCode.description}` : ''}</p>
+              ${promoCode.validUntil ? `<p style="margin: 8px 0 0 0; color: #666; font-size: 12px;">Valid until ${new Date(promoCode.validUntil).toLocaleDateString()}</p>` : ''}
+            </div>
+          ` : ''}
           <p>Don't miss out on this special offer! Book now and enjoy a wonderful stay at CheckInn Hotel.</p>
           
           <div style="margin-top: 30px; padding-top: 20px; border-top: 1px solid #ddd; color: #666; font-size: 12px;">
@@ -225,7 +235,10 @@ export const sendPromotion = async (user, payload) => {
     `;
 
     try {
-      await sendEmail(user.email, emailSubject, promotionMessage, emailHtml);
+      const emailText = promoCode
+        ? `${promotionMessage}\n\nUse code ${promoCode.code} when you book (${promoCode.discount}).`
+        : promotionMessage;
+      await sendEmail(user.email, emailSubject, emailText, emailHtml);
     } catch (emailError) {
       console.error('Failed to send promotion email:', emailError);
       // Don't fail the notification creation if email fails
@@ -309,3 +322,235 @@ export const sendBookingApproved = async (user, booking) => {
   }
 };
 
+/**
+ * Send the final invoice after checkout, with the invoice PDF attached
+ * @param {Object} user - User object
+ * @param {Object} invoice - Invoice built by buildBookingInvoice
+ * @param {Buffer} pdf - Invoice PDF
+ * @returns {Promise<Object>} Created notification
+ */
+export const sendCheckoutInvoice = async (user, invoice, pdf) => {
+  try {
+    const title = 'Your Invoice';
+    const checkOutDate = new Date(invoice.stayDetails.checkOutDate).toLocaleDateString('en-US', {
+      year: 'numeric',
+      month: 'long',
+      day: 'numeric',
+    });
+    const bookingId = invoice.bookingId.toString().slice(-8);
+    const totalAmount = invoice.totals.total || 0;
+    const balanceDue = invoice.paymentSummary.balanceDue || 0;
+    const message = `Thank you for staying with us. Invoice ${invoice.invoiceNumber} for your stay ending ${checkOutDate} is attached.`;
+
+    const notification = await Notification.create({
+      user: user._id || user.id,
+      type: 'checkout_invoice',
+      title,
+      message,
+      metadata: {
+        bookingId: invoice.bookingId,
+        invoiceNumber: invoice.invoiceNumber,
+      },
+    });
+
+    const emailSubject = `CheckInn - Invoice ${invoice.invoiceNumber} for Booking #${bookingId}`;
+    const emailHtml = `
+      <div style="font-family: Arial, sans-serif; line-height: 1.6; max-width: 600px; margin: 0 auto;">
+        <div style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; padding: 30px; text-align: center;">
+          <h1 style="margin: 0;">CheckInn Hotel</h1>
+          <p style="margin: 10px 0 0 0;">Invoice</p>
+        </div>
+        <div style="padding: 30px; background: #f9f9f9;">
+          <h2 style="color: #333; margin-top: 0;">Thank You for Staying With Us!</h2>
+          <p>Dear ${user.name || 'Guest'},</p>
+          <p>Your invoice is attached to this email as a PDF.</p>
+
+          <div style="background: white; padding: 20px; border-radius: 8px; margin: 20px 0; border-left: 4px solid #667eea;">
+            <p style="margin: 5px 0;"><strong>Invoice No:</strong> ${invoice.invoiceNumber}</p>
+            <p style="margin: 5px 0;"><strong>Booking ID:</strong> ${bookingId}</p>
+            <p style="margin: 5px 0;"><strong>Check-out Date:</strong> ${checkOutDate}</p>
+            <p style="margin: 5px 0;"><strong>Total Amount:</strong> ৳${totalAmount.toLocaleString()}</p>
+            <p style="margin: 5px 0;"><strong>Balance Due:</strong> ৳${balanceDue.toLocaleString()}</p>
+          </div>
+
+          <p>We hope to welcome you back soon!</p>
+
+          <div style="margin-top: 30px; padding-top: 20px; border-top: 1px solid #ddd; color: #666; font-size: 12px;">
+            <p>Best regards,<br>The CheckInn Team</p>
+          </div>
+        </div>
+      </div>
+    `;
+
+    try {
+      await sendEmail(user.email, emailSubject, message, emailHtml, [
+        {
+          filename: `invoice-${invoice.invoiceNumber}.pdf`,
+          content: pdf,
+          contentType: 'application/pdf',
+        },
+      ]);
+    } catch (emailError) {
+      console.error('Failed to send checkout invoice email:', emailError);
+      // Don't fail the notification creation if email fails
+    }
+
+    return notification;
+  } catch (error) {
+    console.error('Error sending checkout invoice:', error);
+    throw error;
+  }
+};
+
+/**
+ * Ask a guest who has checked out to rate their stay
+ * @param {Object} user - User object
+ * @param {Object} booking - Booking object
+ * @returns {Promise<Object>} Created notification
+ */
+export const sendFeedbackRequest = async (user, booking) => {
+  try {
+    const title = 'How Was Your Stay?';
+    const checkOutDate = new Date(booking.checkOutDate).toLocaleDateString('en-US', {
+      year: 'numeric',
+      month: 'long',
+      day: 'numeric',
+    });
+    const roomCode = booking.room?.code || 'N/A';
+    const feedbackUrl = `${process.env.FRONTEND_URL || 'http://localhost:3000'}/customer/feedback`;
+    const message = `Thank you for staying with us in Room ${roomCode}. We would love to hear how your stay went: ${feedbackUrl}`;
+
+    const notification = await Notification.create({
+      user: user._id || user.id,
+      type: 'feedback_request',
+      title,
+      message,
+      metadata: {
+        bookingId: booking._id,
+        roomCode: booking.room?.code,
+        checkOutDate: booking.checkOutDate,
+      },
+    });
+
+    const emailSubject = 'CheckInn - How Was Your Stay?';
+    const emailHtml = `
+      <div style="font-family: Arial, sans-serif; line-height: 1.6; max-width: 600px; margin: 0 auto;">
+        <div style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; padding: 30px; text-align: center;">
+          <h1 style="margin: 0;">CheckInn Hotel</h1>
+          <p style="margin: 10px 0 0 0;">How Was Your Stay?</p>
+        </div>
+        <div style="padding: 30px; background: #f9f9f9;">
+          <h2 style="color: #333; margin-top: 0;">Thank You for Staying With Us!</h2>
+          <p>Dear ${user.name || 'Guest'},</p>
+          <p>We hope you enjoyed your stay in Room ${roomCode}, which ended on <strong>${checkOutDate}</strong>.</p>
+          <p>Your feedback helps us improve. It only takes a minute to rate your stay.</p>
+
+          <div style="text-align: center; margin: 30px 0;">
+            <a href="${feedbackUrl}" style="background: #667eea; color: white; padding: 12px 24px; border-radius: 6px; text-decoration: none;">Rate Your Stay</a>
+          </div>
+
+          <div style="margin-top: 30px; padding-top: 20px; border-top: 1px solid #ddd; color: #666; font-size: 12px;">
+            <p>Best regards,<br>The CheckInn Team</p>
+          </div>
+        </div>
+      </div>
+    `;
+
+    try {
+      await sendEmail(user.email, emailSubject, message, emailHtml);
+    } catch (emailError) {
+      console.error('Failed to send feedback request email:', emailError);
+      // Don't fail the notification creation if email fails
+    }
+
+    return notification;
+  } catch (error) {
+    console.error('Error sending feedback request:', error);
+    throw error;
+  }
+};
+
+/**
+ * Send a waitlist offer: a room has freed up for the dates the guest was waiting for and is held for them
+ * @param {Object} user - User object
+ * @param {Object} entry - WaitlistEntry object (offered, with holdExpiresAt)
+ * @returns {Promise<Object>} Created notification
+ */
+export const sendWaitlistOffer = async (user, entry) => {
+  try {
+    const title = 'A Room Is Available';
+    const formatDate = (date) =>
+      new Date(date).toLocaleDateString('en-US', {
+        year: 'numeric',
+        month: 'long',
+        day: 'numeric',
+      });
+    const checkInDate = formatDate(entry.checkInDate);
+    const checkOutDate = formatDate(entry.checkOutDate);
+    const holdExpiresAt = new Date(entry.holdExpiresAt).toLocaleString('en-US', {
+      month: 'long',
+      day: 'numeric',
+      hour: '2-digit',
+      minute: '2-digit',
+    });
+    const bookUrl = `${process.env.FRONTEND_URL || 'http://localhost:3000'}/customer/rooms`;
+    const message = `A ${entry.roomType} room is now available from ${checkInDate} to ${checkOutDate}. We are holding it for you until ${holdExpiresAt}: ${bookUrl}`;
+
+    const notification = await Notification.create({
+      user: user._id || user.id,
+      type: 'waitlist_offer',
+      title,
+      message,
+      metadata: {
+        waitlistEntryId: entry._id,
+        roomType: entry.roomType,
+        checkInDate: entry.checkInDate,
+        checkOutDate: entry.checkOutDate,
+        holdExpiresAt: entry.holdExpiresAt,
+      },
+    });
+
+    const emailSubject = 'CheckInn - A Room Is Available';
+    const emailHtml = `
+      <div style="font-family: Arial, sans-serif; line-height: 1.6; max-width: 600px; margin: 0 auto;">
+        <div style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; padding: 30px; text-align: center;">
+          <h1 style="margin: 0;">CheckInn Hotel</h1>
+          <p style="margin: 10px 0 0 0;">A Room Is Available</p>
+        </div>
+        <div style="padding: 30px; background: #f9f9f9;">
+          <h2 style="color: #333; margin-top: 0;">Good News From the Waitlist!</h2>
+          <p>Dear ${user.name || 'Guest'},</p>
+          <p>A <strong>${entry.roomType}</strong> room has become available for the dates you were waiting for:</p>
+
+          <div style="background: white; padding: 20px; border-radius: 8px; margin: 20px 0;">
+            <p style="margin: 5px 0;"><strong>Check-in:</strong> ${checkInDate}</p>
+            <p style="margin: 5px 0;"><strong>Check-out:</strong> ${checkOutDate}</p>
+            <p style="margin: 5px 0;"><strong>Held until:</strong> ${holdExpiresAt}</p>
+          </div>
+
+          <p>The room is held for you until then. After that it is offered to the next guest on the waitlist.</p>
+
+          <div style="text-align: center; margin: 30px 0;">
+            <a href="${bookUrl}" style="background: #667eea; color: white; padding: 12px 24px; border-radius: 6px; text-decoration: none;">Book Now</a>
+          </div>
+
+          <div style="margin-top: 30px; padding-top: 20px; border-top: 1px solid #ddd; color: #666; font-size: 12px;">
+            <p>Best regards,<br>The CheckInn Team</p>
+          </div>
+        </div>
+      </div>
+    `;
+
+    try {
+      await sendEmail(user.email, emailSubject, message, emailHtml);
+    } catch (emailError) {
+      console.error('Failed to send waitlist offer email:', emailError);
+      // Don't fail the notification creation if email fails
+    }
+
+    return notification;
+  } catch (error) {
+    console.error('Error sending waitlist offer:', error);
+    throw error;
+  }
+};
@@ -0,0 +1,198 @@
+/**
+ * @fileoverview Pricing service for night-by-night room rates using rate plans
+ * @module services/pricingService
+ */
+
+import RatePlan from '../models/RatePlan.js';
+import Room from '../models/Room.js';
+import { roundMoney } from './taxService.js';
+
+const ONE_DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Get the list of nights (as dates) between check-in and check-out
+ * @param {Date} checkInDate - Check-in date
+ * @param {Date} checkOutDate - Check-out date
+ * @returns {Date[]} One date per night
+ */
+export const getStayNights = (checkInDate, checkOutDate) => {
+  const nights = [];
+  const totalNights = Math.ceil((checkOutDate - checkInDate) / ONE_DAY);
+  for (let i = 0; i < totalNights; i++) {
+    nights.push(new Date(checkInDate.getTime() + i * ONE_DAY));
+  }
+  return nights;
+};
+
+/**
+ * Check whether a rate plan covers a given night
+ * @param {Object} plan - Rate plan
+ * @param {Date} night - Night date
+ * @returns {boolean} True if the plan's season includes the night
+ */
+const planCoversNight = (plan, night) => {
+  const nightKey = night.toISOString().split('T')[0];
+  if (plan.startDate && nightKey < new Date(plan.startDate).toISOString().split('T')[0]) {
+    return false;
+  }
+  if (plan.endDate && nightKey > new Date(plan.endDate).toISOString().split('T')[0]) {
+    return false;
+  }
+  return true;
+};
+
+/**
+ * Order plans so the most specific one comes first:
+ * higher priority, then room-type specific, then the season that started most recently
+ * @param {Object} a - Rate plan
+ * @param {Object} b - Rate plan
+ * @returns {number} Sort order
+ */
+const comparePlans = (a, b) => {
+  if ((b.priority || 0) !== (a.priority || 0)) return (b.priority || 0) - (a.priority || 0);
+  if (Boolean(b.roomType) !== Boolean(a.roomType)) return b.roomType ? 1 : -1;
+  return new Date(b.startDate || 0) - new Date(a.startDate || 0);
+};
+
+/**
+ * Read the deposit rule a rate plan sets
+ * @param {Object|undefined} plan - Rate plan
+ * @returns {Object|null} Deposit rule with type and percent, or null when the plan sets none
+ */
+const toDepositRule = (plan) =>
+  plan ? { type: plan.depositType, percent: plan.depositPercent ?? null } : null;
+
+/**
+ * Price a single night for a room
+ * @param {Object} room - Room with type and pricePerNight
+ * @param {Date} night - Night date
+ * @param {Object[]} ratePlans - Candidate rate plans
+ * @param {Object} [corporateAccount] - Company the stay is booked under; its negotiated rate replaces the
+ *   room type's price, otherwise its discount comes off the published price
+ * @returns {Object} Nightly rate with date, basePrice, price, ratePlan, isWeekend, cancellationPolicy and deposit
+ */
+export const priceNight = (room, night, ratePlans, corporateAccount = null) => {
+  const matching = ratePlans
+    .filter((plan) => plan.isActive !== false)
+    .filter((plan) => !plan.roomType || plan.roomType === room.type)
+    .filter((plan) => planCoversNight(plan, night))
+    .sort(comparePlans);
+
+  // Season/base adjustment comes from the most specific plan that changes the price
+  const seasonPlan = matching.find(
+    (plan) => (plan.nightlyRate !== null && plan.nightlyRate !== undefined) || plan.adjustmentPercent
+  );
+
+  let price = room.pricePerNight;
+  if (seasonPlan) {
+    price = seasonPlan.nightlyRate !== null && seasonPlan.nightlyRate !== undefined
+      ? seasonPlan.nightlyRate
+      : price * (1 + seasonPlan.adjustmentPercent / 100);
+  }
+
+  // Weekend uplift comes from the most specific plan that defines one, so a
+  // generic weekend plan still applies on top of a season
+  const weekendPlan = matching.find(
+    (plan) => plan.weekendUplift && (plan.weekendDays || []).includes(night.getUTCDay())
+  );
+  if (weekendPlan) {
+    price = price * (1 + weekendPlan.weekendUplift / 100);
+  }
+
+  const appliedPlans = [seasonPlan, weekendPlan]
+    .filter(Boolean)
+    .filter((plan, index, list) => list.indexOf(plan) === index)
+    .map((plan) => plan.name);
+
+  if (corporateAccount) {
+    const negotiated = (corporateAccount.negotiatedRates || []).find((rate) => rate.roomType === room.type);
+    if (negotiated) {
+      price = negotiated.nightlyRate;
+      appliedPlans.splice(0, appliedPlans.length, `Corporate: ${corporateAccount.name}`);
+    } else if (corporateAccount.discountPercent) {
+      price = price * (1 - corporateAccount.discountPercent / 100);
+      appliedPlans.push(`Corporate: ${corporateAccount.name}`);
+    }
+  }
+
+  return {
+    date: night,
+    basePrice: room.pricePerNight,
+    price: roundMoney(Math.max(price, 0)),
+    ratePlan: appliedPlans.length > 0 ? appliedPlans.join(' + ') : null,
+    isWeekend: Boolean(weekendPlan),
+    // Booking terms come from the most specific plan that sets them, whether or not it changes the price
+    // (null = the default cancellation policy / deposit)
+    cancellationPolicy: matching.find((plan) => plan.cancellationPolicy)?.cancellationPolicy || null,
+    deposit: toDepositRule(matching.find((plan) => plan.depositType)),
+  };
+};
+
+/**
+ * Load active rate plans that may apply to a room type within a date range
+ * @param {string|null} roomType - Room type (null loads plans for all types)
+ * @param {Date} startDate - First night
+ * @param {Date} endDate - Last night (exclusive)
+ * @returns {Promise<Object[]>} Rate plans
+ */
+export const getApplicableRatePlans = async (roomType, startDate, endDate) => {
+  const filter = {
+    isActive: true,
+    $and: [
+      { $or: [{ startDate: null }, { startDate: { $lt: endDate } }] },
+      { $or: [{ endDate: null }, { endDate: { $gte: new Date(startDate.getTime() - ONE_DAY) } }] },
+    ],
+  };
+
+  if (roomType) {
+    filter.roomType = { $in: [roomType, null] };
+  }
+
+  return RatePlan.find(filter).lean();
+};
+
+/**
+ * Price a stay night by night
+ * @param {Object} room - Room with type and pricePerNight
+ * @param {Date} checkInDate - Check-in date
+ * @param {Date} checkOutDate - Check-out date
+ * @param {Object} [corporateAccount] - Company the stay is booked under (see priceNight)
+ * @returns {Promise<Object>} Object with nightlyRates, totalAmount, cancellationPolicyId and depositRule
+ *   (the policy and deposit of the first night sold under a rate plan that sets them)
+ */
+export const priceStay = async (room, checkInDate, checkOutDate, corporateAccount = null) => {
+  const ratePlans = await getApplicableRatePlans(room.type, checkInDate, checkOutDate);
+  const nightlyRates = getStayNights(checkInDate, checkOutDate).map((night) =>
+    priceNight(room, night, ratePlans, corporateAccount)
+  );
+
+  return {
+    nightlyRates,
+    totalAmount: roundMoney(nightlyRates.reduce((sum, night) => sum + night.price, 0)),
+    cancellationPolicyId: nightlyRates.find((night) => night.cancellationPolicy)?.cancellationPolicy || null,
+    depositRule: nightlyRates.find((night) => night.deposit)?.deposit || null,
+  };
+};
+
+/**
+ * Get the base pricing for a room type: the lowest nightly price and the largest
+ * guest capacity among its sellable rooms. Used to price bookings made against a type.
+ * @param {string} roomType - Room type
+ * @returns {Promise<Object|null>} Object with type, pricePerNight and maxGuests, or null if no rooms
+ */
+export const getRoomTypeBase = async (roomType) => {
+  const [base] = await Room.aggregate([
+    { $match: { type: roomType, status: { $ne: 'maintenance' } } },
+    {
+      $group: {
+        _id: '$type',
+        pricePerNight: { $min: '$pricePerNight' },
+        maxGuests: { $max: '$maxGuests' },
+      },
+    },
+  ]);
+
+  return base
+    ? { type: roomType, pricePerNight: base.pricePerNight, maxGuests: base.maxGuests }
+    : null;
+};
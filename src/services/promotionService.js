@@ -0,0 +1,192 @@
+/**
+ * @fileoverview Promotion service: checks promo codes against a stay, applies their discount
+ * to the nightly rates and keeps their usage counts
+ * @module services/promotionService
+ */
+
+import PromoCode from '../models/PromoCode.js';
+import Booking from '../models/Booking.js';
+import { roundMoney } from './taxService.js';
+
+/**
+ * Find a promo code as a guest typed it
+ * @param {string} code - Code entered
+ * @returns {Promise<Object|null>} PromoCode document, or null if there is no such code
+ */
+export const findPromoCode = (code) =>
+  typeof code === 'string' && code.trim()
+    ? PromoCode.findOne({ code: code.trim().toUpperCase() })
+    : null;
+
+/**
+ * Check whether a promo code can be used on a stay
+ * @param {Object} promo - PromoCode document
+ * @param {Object} stay - Stay to check
+ * @param {string} stay.roomType - Room type booked
+ * @param {number} stay.totalNights - Nights booked
+ * @param {string} [stay.guestId] - Guest booking (checks the per-guest limit)
+ * @param {Date} [stay.at] - When the code is redeemed
+ * @returns {Promise<string|null>} Why the code cannot be used, or null if it can
+ */
+export const checkPromoCode = async (promo, { roomType, totalNights, guestId = null, at = new Date() }) => {
+  const today = at.toISOString().split('T')[0];
+
+  if (!promo.isActive) {
+    return `Promo code ${promo.code} is no longer available`;
+  }
+  if (promo.validFrom && today < new Date(promo.validFrom).toISOString().split('T')[0]) {
+    return `Promo code ${promo.code} is not valid yet`;
+  }
+  if (promo.validUntil && today > new Date(promo.validUntil).toISOString().split('T')[0]) {
+    return `Promo code ${promo.code} has expired`;
+  }
+  if (promo.roomTypes.length > 0 && !promo.roomTypes.includes(roomType)) {
+    return `Promo code ${promo.code} only applies to ${promo.roomTypes.join(', ')} rooms`;
+  }
+  if (totalNights < promo.minNights) {
+    return `Promo code ${promo.code} requires a stay of at least ${promo.minNights} night(s)`;
+  }
+  if (promo.maxUses !== null && promo.usedCount >= promo.maxUses) {
+    return `Promo code ${promo.code} has reached its usage limit`;
+  }
+  if (promo.maxUsesPerGuest !== null && guestId) {
+    const used = await Booking.countDocuments({
+      guest: guestId,
+      'promotion.promoCode': promo._id,
+      status: { $ne: 'cancelled' },
+    });
+    if (used >= promo.maxUsesPerGuest) {
+      return `You have already used promo code ${promo.code}`;
+    }
+  }
+  return null;
+};
+
+/**
+ * Apply a promotion's discount to a priced stay. Percentage codes take the percentage off every
+ * night; fixed codes are spread over the nights in proportion to their price, never below zero.
+ * @param {Object} pricing - Result of priceStay
+ * @param {Object} terms - PromoCode document or a booking's promotion snapshot (code, discountType, discountValue)
+ * @returns {Object} The pricing with discounted nightlyRates and totalAmount, plus discountAmount
+ */
+export const applyPromotion = (pricing, terms) => {
+  const { nightlyRates, totalAmount } = pricing;
+  const label = `Promo: ${terms.code}`;
+
+  const discount = terms.discountType === 'percent'
+    ? roundMoney((totalAmount * terms.discountValue) / 100)
+    : roundMoney(Math.min(terms.discountValue, totalAmount));
+
+  // Spread the discount night by night; the last night takes the rounding difference
+  let remaining = discount;
+  const discounted = nightlyRates.map((night, index) => {
+    const share = index === nightlyRates.length - 1
+      ? remaining
+      : roundMoney(totalAmount > 0 ? (discount * night.price) / totalAmount : 0);
+    const nightDiscount = Math.min(share, night.price);
+    remaining = roundMoney(remaining - nightDiscount);
+    return {
+      ...night,
+      price: roundMoney(night.price - nightDiscount),
+      ratePlan: night.ratePlan ? `${night.ratePlan} + ${label}` : label,
+    };
+  });
+
+  const discountedTotal = roundMoney(discounted.reduce((sum, night) => sum + night.price, 0));
+
+  return {
+    ...pricing,
+    nightlyRates: discounted,
+    totalAmount: discountedTotal,
+    discountAmount: roundMoney(totalAmount - discountedTotal),
+  };
+};
+
+/**
+ * Take one use of a promo code. Atomic, so concurrent bookings can never take the code past its limit.
+ * @param {Object} promo - PromoCode document
+ * @returns {Promise<boolean>} True if the use was taken
+ */
+export const redeemPromoCode = async (promo) => {
+  const updated = await PromoCode.findOneAndUpdate(
+    {
+      _id: promo._id,
+      isActive: true,
+      $or: [{ maxUses: null }, { $expr: { $lt: ['$usedCount', '$maxUses'] } }],
+    },
+    { $inc: { usedCount: 1 } },
+    { new: true }
+  );
+  return Boolean(updated);
+};
+
+/**
+ * Give a booking's promo code use back (the booking was cancelled or never saved)
+ * @param {Object} booking - Booking with promotion
+ */
+export const releasePromoCode = async (booking) => {
+  if (!booking.promotion?.promoCode) return;
+  await PromoCode.updateOne(
+    { _id: booking.promotion.promoCode, usedCount: { $gt: 0 } },
+    { $inc: { usedCount: -1 } }
+  );
+};
+
+/**
+ * Snapshot of a promotion's terms stored on the booking
+ * @param {Object} promo - PromoCode document
+ * @param {number} discountAmount - Discount the stay got
+ * @returns {Object} Booking promotion
+ */
+export const toPromotionSnapshot = (promo, discountAmount) => ({
+  promoCode: promo._id,
+  code: promo.code,
+  discountType: promo.discountType,
+  discountValue: promo.discountValue,
+  discountAmount,
+});
+
+/**
+ * Describe a promotion's discount for guests, e.g. "15% off" or "BDT 500 off"
+ * @param {Object} promo - PromoCode document or booking promotion
+ * @returns {string} Discount description
+ */
+export const describeDiscount = (promo) =>
+  promo.discountType === 'percent'
+    ? `${promo.discountValue}% off`
+    : `BDT ${Number(promo.discountValue).toLocaleString('en-US')} off`;
+
+/**
+ * Check that a booking whose stay is changing still qualifies for the promo code it redeemed.
+ * Only the stay restrictions are checked again; the code's window and limits applied when it was redeemed.
+ * @param {Object} booking - Booking with promotion
+ * @param {Object} stay - New stay
+ * @param {string} stay.roomType - Room type
+ * @param {number} stay.totalNights - Nights
+ * @returns {Promise<string|null>} Why the stay no longer qualifies, or null if it does (or has no promotion)
+ */
+export const checkPromotionStillApplies = async (booking, { roomType, totalNights }) => {
+  if (!booking.promotion) return null;
+  const promo = await PromoCode.findById(booking.promotion.promoCode);
+  if (!promo) return null;
+  if (promo.roomTypes.length > 0 && !promo.roomTypes.includes(roomType)) {
+    return `Promo code ${promo.code} only applies to ${promo.roomTypes.join(', ')} rooms`;
+  }
+  if (totalNights < promo.minNights) {
+    return `Promo code ${promo.code} requires a stay of at least ${promo.minNights} night(s)`;
+  }
+  return null;
+};
+
+/**
+ * Apply a booking's redeemed promotion to its re-priced stay and record the new discount
+ * @param {Object} booking - Booking document
+ * @param {Object} pricing - Result of priceStay for the new stay
+ * @returns {Object} Pricing with the promotion applied (unchanged when the booking has none)
+ */
+export const reapplyPromotion = (booking, pricing) => {
+  if (!booking.promotion) return pricing;
+  const discounted = applyPromotion(pricing, booking.promotion);
+  booking.promotion.discountAmount = discounted.discountAmount;
+  return discounted;
+};
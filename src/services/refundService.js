@@ -0,0 +1,149 @@
+/**
+ * @fileoverview Refund service: gives money back against a payment, in full or in part
+ * @module services/refundService
+ */
+
+import Payment from '../models/Payment.js';
+import { roundMoney } from './taxService.js';
+import { initiateRefundGateway } from '../utils/paymentGateway.js';
+import { restoreRedeemedPoints, syncStayPoints } from './loyaltyService.js';
+
+/**
+ * Payment methods whose money is returned through the payment gateway.
+ * Money taken at the desk (cash, card terminal, mobile wallets, bank) is handed back directly.
+ */
+export const GATEWAY_REFUND_METHODS = ['online', 'sslcommerz', 'sslcommerz-demo'];
+
+// Tolerance for comparing money amounts stored as floating point numbers
+const MONEY_EPSILON = 0.001;
+
+/**
+ * Amount of a payment that can still be refunded
+ * @param {Object} payment - Payment document
+ * @returns {number} Refundable amount
+ */
+export const getRefundableAmount = (payment) =>
+  roundMoney(Math.max(payment.amount - (payment.refundedAmount || 0), 0));
+
+/**
+ * Reduce the pending refunds a cancellation left on the booking (or group) by the amount just
+ * refunded. Dues that are fully settled are removed so the money isn't owed twice.
+ * @param {Object} payment - Payment that was refunded
+ * @param {number} amount - Amount refunded
+ */
+const settleRefundDues = async (payment, amount) => {
+  const dues = await Payment.find({
+    ...(payment.booking ? { booking: payment.booking } : { group: payment.group }),
+    type: 'refund',
+    status: 'pending',
+    refundOf: null,
+  }).sort({ createdAt: 1 });
+
+  let remaining = amount;
+  for (const due of dues) {
+    if (remaining <= 0) break;
+    const settled = Math.min(due.amount, remaining);
+    remaining = roundMoney(remaining - settled);
+    if (settled >= due.amount - MONEY_EPSILON) {
+      await Payment.deleteOne({ _id: due._id });
+    } else {
+      due.amount = roundMoney(due.amount - settled);
+      await due.save();
+    }
+  }
+};
+
+/**
+ * Refund a payment. The refund amount is reserved on the payment atomically, so two
+ * concurrent refunds can never give back more than was paid. Gateway payments are refunded
+ * through the gateway; if the gateway declines, the reservation is released and the failed
+ * attempt is kept as a failed refund record. Refunding a loyalty points payment gives the points back.
+ * @param {Object} payment - Payment document to refund
+ * @param {Object} options - Options
+ * @param {number} [options.amount] - Amount to refund (defaults to everything still refundable)
+ * @param {string} options.reason - Why the money is given back
+ * @param {string} options.approvedBy - Staff member approving the refund
+ * @returns {Promise<Object>} Object with success, message, refund record and the updated payment
+ */
+export const issueRefund = async (payment, { amount, reason, approvedBy }) => {
+  const refundAmount = roundMoney(amount ?? getRefundableAmount(payment));
+
+  const reserved = await Payment.findOneAndUpdate(
+    {
+      _id: payment._id,
+      type: { $ne: 'refund' },
+      status: { $in: ['paid', 'partially_refunded'] },
+      $expr: {
+        $lte: [{ $add: ['$refundedAmount', refundAmount] }, { $add: ['$amount', MONEY_EPSILON] }],
+      },
+    },
+    { $inc: { refundedAmount: refundAmount } },
+    { new: true }
+  );
+
+  if (!reserved) {
+    return { success: false, message: 'Refund exceeds the amount left to refund on this payment' };
+  }
+
+  const refundData = {
+    booking: payment.booking,
+    group: payment.group,
+    type: 'refund',
+    amount: refundAmount,
+    paymentMethod: payment.paymentMethod,
+    folio: payment.folio,
+    refundOf: payment._id,
+    reason,
+    approvedBy,
+  };
+
+  let gatewayResponse = null;
+  if (GATEWAY_REFUND_METHODS.includes(payment.paymentMethod)) {
+    gatewayResponse = await initiateRefundGateway({
+      amount: refundAmount,
+      paymentMethod: payment.paymentMethod,
+      transactionId: payment.transactionId,
+      bankTransactionId: payment.bankTransactionId,
+      reason,
+    });
+
+    if (!gatewayResponse.success) {
+      await Payment.updateOne({ _id: payment._id }, { $inc: { refundedAmount: -refundAmount } });
+      const refund = await Payment.create({ ...refundData, status: 'failed' });
+      return {
+        success: false,
+        message: gatewayResponse.message || 'Payment gateway declined the refund',
+        refund,
+        gatewayResponse,
+      };
+    }
+  }
+
+  reserved.status =
+    reserved.refundedAmount >= reserved.amount - MONEY_EPSILON ? 'refunded' : 'partially_refunded';
+  await reserved.save();
+
+  const refund = await Payment.create({
+    ...refundData,
+    status: 'paid',
+    transactionId: gatewayResponse?.transactionId,
+    paidAt: new Date(),
+  });
+
+  await settleRefundDues(payment, refundAmount);
+
+  // Points payments give the points back; money refunded on a past stay takes back the points it earned
+  if (payment.paymentMethod === 'loyalty_points') {
+    await restoreRedeemedPoints(payment, refundAmount);
+  } else if (payment.booking) {
+    await syncStayPoints(payment.booking);
+  }
+
+  return {
+    success: true,
+    message: 'Refund issued successfully',
+    refund,
+    payment: reserved,
+    gatewayResponse,
+  };
+};
@@ -0,0 +1,107 @@
+/**
+ * @fileoverview Reminder service: check-in reminders before arrival and feedback requests after checkout
+ * @module services/reminderService
+ */
+
+import Booking from '../models/Booking.js';
+import Feedback from '../models/Feedback.js';
+import { sendCheckInReminder, sendFeedbackRequest } from './notificationService.js';
+
+const ONE_DAY = 24 * 60 * 60 * 1000;
+
+// Guests are only asked for feedback on stays that ended this recently
+const FEEDBACK_REQUEST_DAYS = 3;
+
+/**
+ * Send one message per booking and record it on the booking
+ * @param {Object[]} bookings - Bookings with populated guest
+ * @param {Function} send - Sends the message (user, booking)
+ * @param {string} sentField - Booking field stamped once the message is sent
+ * @returns {Promise<Object>} Object with sent, failed, total and results
+ */
+const sendToGuests = async (bookings, send, sentField) => {
+  let sent = 0;
+  let failed = 0;
+  const results = [];
+
+  for (const booking of bookings) {
+    try {
+      await send(booking.guest, booking);
+      await Booking.updateOne({ _id: booking._id }, { [sentField]: new Date() });
+      sent++;
+      results.push({
+        bookingId: booking._id,
+        guestEmail: booking.guest.email,
+        status: 'sent',
+      });
+    } catch (error) {
+      failed++;
+      results.push({
+        bookingId: booking._id,
+        guestEmail: booking.guest?.email,
+        status: 'failed',
+        error: error.message,
+      });
+      console.error(`Failed to message the guest of booking ${booking._id}:`, error);
+    }
+  }
+
+  return { sent, failed, total: bookings.length, results };
+};
+
+/**
+ * Remind guests arriving tomorrow of their check-in. Each booking is reminded once.
+ * @param {Date} [now] - Current time
+ * @returns {Promise<Object>} Object with sent, failed, total and results
+ */
+export const sendCheckInReminders = async (now = new Date()) => {
+  const tomorrow = new Date(now);
+  tomorrow.setDate(tomorrow.getDate() + 1);
+  tomorrow.setHours(0, 0, 0, 0);
+
+  const dayAfter = new Date(tomorrow);
+  dayAfter.setDate(dayAfter.getDate() + 1);
+
+  const bookings = await Booking.find({
+    status: { $in: ['approved', 'pending'] },
+    checkInDate: {
+      $gte: tomorrow,
+      $lt: dayAfter,
+    },
+    checkInReminderSentAt: null,
+  })
+    .populate('guest', 'name email')
+    .populate('room', 'code type');
+
+  return sendToGuests(bookings, sendCheckInReminder, 'checkInReminderSentAt');
+};
+
+/**
+ * Ask guests who checked out in the last few days to rate their stay. Each booking is asked once,
+ * and guests who have already left feedback on the stay are not asked.
+ * @param {Date} [now] - Current time
+ * @returns {Promise<Object>} Object with sent, failed, total and results
+ */
+export const sendFeedbackRequests = async (now = new Date()) => {
+  const bookings = await Booking.find({
+    status: 'checked_out',
+    checkOutDate: {
+      $gte: new Date(now.getTime() - FEEDBACK_REQUEST_DAYS * ONE_DAY),
+      $lte: now,
+    },
+    feedbackRequestedAt: null,
+  })
+    .populate('guest', 'name email')
+    .populate('room', 'code type');
+
+  const reviewed = new Set(
+    (await Feedback.find({ booking: { $in: bookings.map((booking) => booking._id) } }).distinct('booking'))
+      .map((id) => id.toString())
+  );
+
+  return sendToGuests(
+    bookings.filter((booking) => !reviewed.has(booking._id.toString())),
+    sendFeedbackRequest,
+    'feedbackRequestedAt'
+  );
+};
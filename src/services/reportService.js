@@ -0,0 +1,109 @@
+/**
+ * @fileoverview Report service: money received in a period and the tax share of it, shared by the
+ * revenue report and the night audit
+ * @module services/reportService
+ */
+
+import Payment from '../models/Payment.js';
+import Booking from '../models/Booking.js';
+import {
+  calculateBookingTotal,
+  calculateGroupTotal,
+  SETTLED_PAYMENTS_FILTER,
+  signedAmount,
+} from './billingService.js';
+import { allocateTaxFromAmount, roundMoney } from './taxService.js';
+
+/**
+ * When the money of a payment or refund moved. Records from before paidAt was kept fall back to when they were made.
+ * @param {Object} payment - Payment document
+ * @returns {Date} Date the payment counts on
+ */
+export const getPaymentDate = (payment) => payment.paidAt || payment.createdAt;
+
+/**
+ * Find payments received and refunds paid out in a period, by when the money moved
+ * @param {Date} start - Start of the period
+ * @param {Date} end - End of the period (included)
+ * @returns {Promise<Object[]>} Payment documents
+ */
+export const findSettledPayments = (start, end) =>
+  Payment.find({
+    $and: [
+      SETTLED_PAYMENTS_FILTER,
+      {
+        $or: [
+          { paidAt: { $gte: start, $lte: end } },
+          { paidAt: null, createdAt: { $gte: start, $lte: end } },
+        ],
+      },
+    ],
+  });
+
+/**
+ * Add up payments and refunds, splitting the tax share out of each payment using its booking's bill
+ * (payments on a group's master folio use the group's combined bill)
+ * @param {Object[]} payments - Payment documents
+ * @returns {Promise<Object>} Object with totalRevenue (net of refunds), totalRefunds, totalTax, netRevenue,
+ *   taxByLine, revenueByMethod, transactionCount and taxByPayment (tax share keyed by payment ID)
+ */
+export const summarizePayments = async (payments) => {
+  const totalRevenue = roundMoney(payments.reduce((sum, payment) => sum + signedAmount(payment), 0));
+  const totalRefunds = roundMoney(
+    payments.filter((p) => p.type === 'refund').reduce((sum, p) => sum + p.amount, 0)
+  );
+
+  const bookingIds = [...new Set(payments.filter((p) => p.booking).map((p) => p.booking.toString()))];
+  const bookings = await Booking.find({ _id: { $in: bookingIds } })
+    .populate('room', 'pricePerNight');
+  const billingByBooking = {};
+  for (const booking of bookings) {
+    if (booking.room || booking.nightlyRates.length > 0) {
+      billingByBooking[booking._id.toString()] = await calculateBookingTotal(booking);
+    }
+  }
+
+  const groupIds = [...new Set(payments.filter((p) => p.group).map((p) => p.group.toString()))];
+  for (const groupId of groupIds) {
+    const groupBookings = await Booking.find({ group: groupId, status: { $ne: 'cancelled' } })
+      .populate('room', 'pricePerNight');
+    billingByBooking[`group:${groupId}`] = await calculateGroupTotal(groupBookings);
+  }
+
+  const taxByPayment = new Map();
+  const taxByLine = {};
+  payments.forEach((payment) => {
+    const billingDetails = billingByBooking[
+      payment.booking ? payment.booking.toString() : `group:${payment.group}`
+    ];
+    const allocation = billingDetails
+      ? allocateTaxFromAmount(signedAmount(payment), billingDetails)
+      : { tax: 0, byLine: {} };
+    taxByPayment.set(payment._id.toString(), allocation.tax);
+    Object.entries(allocation.byLine).forEach(([name, amount]) => {
+      taxByLine[name] = roundMoney((taxByLine[name] || 0) + amount);
+    });
+  });
+
+  const totalTax = roundMoney(
+    payments.reduce((sum, p) => sum + taxByPayment.get(p._id.toString()), 0)
+  );
+
+  // Revenue by payment method
+  const revenueByMethod = payments.reduce((acc, payment) => {
+    const method = payment.paymentMethod;
+    acc[method] = roundMoney((acc[method] || 0) + signedAmount(payment));
+    return acc;
+  }, {});
+
+  return {
+    totalRevenue,
+    totalRefunds,
+    totalTax,
+    netRevenue: roundMoney(totalRevenue - totalTax),
+    taxByLine,
+    revenueByMethod,
+    transactionCount: payments.length,
+    taxByPayment,
+  };
+};
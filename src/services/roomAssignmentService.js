@@ -0,0 +1,103 @@
+/**
+ * @fileoverview Room assignment service for bookings sold against a room type
+ * @module services/roomAssignmentService
+ */
+
+import Room from '../models/Room.js';
+import RoomNight from '../models/RoomNight.js';
+import {
+  getBookedRoomIds,
+  getNightDates,
+  reserveRoomNights,
+  releaseRoomNights,
+  toNightDate,
+} from '../utils/roomAvailability.js';
+import { isRoomReady } from './housekeepingService.js';
+
+/**
+ * Get the rooms that could be assigned to a booking, best suggestion first.
+ * A room qualifies when it has the booked type, is not under maintenance and is
+ * free for every night of the stay. Rooms the booking already holds, rooms that
+ * are ready now ('available') and rooms housekeeping has cleaned are preferred.
+ * When moving an in-house guest, rooms of any type free for the rest of the stay
+ * qualify (rooms of the booked type first) and the current room is left out.
+ * @param {Object} booking - Booking document
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.moving] - Suggest rooms to move an in-house guest to
+ * @returns {Promise<Object[]>} Assignable rooms
+ */
+export const getAssignableRooms = async (booking, { moving = false } = {}) => {
+  const roomType = booking.roomType || booking.room?.type;
+  const candidates = await Room.find({
+    ...(!moving && { type: roomType }),
+    status: { $ne: 'maintenance' },
+  }).sort({ code: 1 });
+
+  // A move only needs the room from tonight on
+  const nights = getNightDates(booking.checkInDate, booking.checkOutDate)
+    .filter((night) => !moving || night >= toNightDate(new Date()));
+  if (nights.length === 0) {
+    return [];
+  }
+  const fromDate = moving ? nights[0] : booking.checkInDate;
+
+  const heldNights = await RoomNight.find({
+    date: { $in: nights },
+    booking: { $ne: booking._id },
+  }).distinct('room');
+  const legacyBooked = await getBookedRoomIds(fromDate, booking.checkOutDate, booking._id);
+  const taken = new Set([...heldNights.map((id) => id.toString()), ...legacyBooked]);
+
+  const currentRoomId = (booking.room?._id || booking.room)?.toString();
+
+  return candidates
+    .filter((room) => !taken.has(room._id.toString()))
+    .filter((room) => !moving || room._id.toString() !== currentRoomId)
+    .sort((a, b) => {
+      const aCurrent = a._id.toString() === currentRoomId;
+      const bCurrent = b._id.toString() === currentRoomId;
+      if (aCurrent !== bCurrent) return aCurrent ? -1 : 1;
+      const aSameType = a.type === roomType;
+      const bSameType = b.type === roomType;
+      if (aSameType !== bSameType) return aSameType ? -1 : 1;
+      const aReady = a.status === 'available';
+      const bReady = b.status === 'available';
+      if (aReady !== bReady) return aReady ? -1 : 1;
+      const aClean = isRoomReady(a);
+      const bClean = isRoomReady(b);
+      if (aClean !== bClean) return aClean ? -1 : 1;
+      return a.code.localeCompare(b.code);
+    });
+};
+
+/**
+ * Assign a room to a booking: reserve the room's nights, then give back the
+ * nights of any previously assigned room. The booking is saved.
+ * @param {Object} booking - Booking document
+ * @param {Object} room - Room document to assign
+ * @returns {Promise<boolean>} True if the room was assigned, false if it is taken for the stay
+ */
+export const assignRoom = async (booking, room) => {
+  const reserved = await reserveRoomNights(
+    booking._id,
+    room._id,
+    booking.checkInDate,
+    booking.checkOutDate
+  );
+  if (!reserved) {
+    return false;
+  }
+
+  booking.room = room._id;
+  booking.roomType = booking.roomType || room.type;
+  booking.roomAssignedAt = new Date();
+  await booking.save();
+
+  await releaseRoomNights(booking._id, {
+    roomId: room._id,
+    checkInDate: booking.checkInDate,
+    checkOutDate: booking.checkOutDate,
+  });
+
+  return true;
+};
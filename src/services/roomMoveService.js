@@ -0,0 +1,159 @@
+/**
+ * @fileoverview Room move service: moves an in-house guest to another room for the rest of their stay
+ * @module services/roomMoveService
+ */
+
+import Room from '../models/Room.js';
+import CorporateAccount from '../models/CorporateAccount.js';
+import {
+  getNightDates,
+  toNightDate,
+  reserveStay,
+  releaseNights,
+} from '../utils/roomAvailability.js';
+import { getApplicableRatePlans, priceNight } from './pricingService.js';
+import { isRoomReady, recordDeparture } from './housekeepingService.js';
+import { roundMoney } from './taxService.js';
+import { getLockedNightlyRates } from './stayChangeService.js';
+
+/**
+ * Move a checked-in guest to another room from tonight until checkout. The new room's nights are
+ * claimed before the old room's are given back. Each remaining night is charged the difference
+ * between the two rooms' rates (after any percentage promotion); a complimentary move waives an
+ * increase. The old room goes to housekeeping for a departure clean.
+ * @param {Object} booking - Checked-in booking with populated room
+ * @param {Object} newRoom - Room document to move to
+ * @param {Object} options - Options
+ * @param {string} [options.reason] - Why the guest is moving
+ * @param {boolean} [options.complimentary] - Don't charge the guest more for a better room
+ * @param {boolean} [options.allowUncleanRoom] - Move even if the new room is not clean yet
+ * @param {string} [options.movedBy] - Staff member moving the guest
+ * @returns {Promise<Object>} Object with success, message, conflict, the move, and room/housekeepingStatus
+ *   when the new room is not ready
+ */
+export const moveRoom = async (
+  booking,
+  newRoom,
+  { reason = null, complimentary = false, allowUncleanRoom = false, movedBy = null }
+) => {
+  const oldRoom = await Room.findById(booking.room?._id || booking.room);
+  if (!oldRoom) {
+    return { success: false, message: 'Booking has no room to move from' };
+  }
+  if (oldRoom._id.equals(newRoom._id)) {
+    return { success: false, message: 'The guest is already in this room' };
+  }
+  if (newRoom.status === 'maintenance') {
+    return { success: false, message: `Room ${newRoom.code} is under maintenance` };
+  }
+
+  const tonight = toNightDate(new Date());
+  const remaining = getNightDates(booking.checkInDate, booking.checkOutDate).filter((night) => night >= tonight);
+  if (remaining.length === 0) {
+    return { success: false, message: 'There are no nights left in this stay to move' };
+  }
+
+  if (!isRoomReady(newRoom) && !allowUncleanRoom) {
+    return {
+      success: false,
+      message: `Room ${newRoom.code} is ${newRoom.housekeepingStatus} and has not been cleaned for the next guest yet`,
+      room: newRoom.code,
+      housekeepingStatus: newRoom.housekeepingStatus,
+    };
+  }
+
+  const oldType = booking.roomType || oldRoom.type;
+  const reserved = await reserveStay(booking._id, {
+    roomType: newRoom.type,
+    roomId: newRoom._id,
+    checkInDate: remaining[0],
+    checkOutDate: booking.checkOutDate,
+  });
+  if (!reserved) {
+    if (newRoom.type !== oldType) {
+      await releaseNights(booking._id, { roomType: newRoom.type, nights: remaining });
+    }
+    return { success: false, conflict: true, message: `Room ${newRoom.code} is not free for the rest of the stay` };
+  }
+
+  // Price the difference between the rooms for every night left
+  const corporateAccount = booking.corporateAccount
+    ? await CorporateAccount.findById(booking.corporateAccount._id || booking.corporateAccount)
+    : null;
+  const ratePlans = await getApplicableRatePlans(null, remaining[0], booking.checkOutDate);
+  const promotionShare = booking.promotion?.discountType === 'percent'
+    ? 1 - booking.promotion.discountValue / 100
+    : 1;
+
+  const nightlyRates = getLockedNightlyRates(booking, oldRoom);
+
+  let rateDifference = 0;
+  const repriced = nightlyRates.map((night) => {
+    if (toNightDate(night.date) < tonight) {
+      return { ...night, room: night.room || oldRoom._id };
+    }
+
+    let difference = roundMoney(
+      (priceNight(newRoom, night.date, ratePlans, corporateAccount).price -
+        priceNight(oldRoom, night.date, ratePlans, corporateAccount).price) * promotionShare
+    );
+    const waived = complimentary && difference > 0;
+    if (waived) {
+      difference = 0;
+    }
+    const price = roundMoney(Math.max(night.price + difference, 0));
+    rateDifference = roundMoney(rateDifference + price - night.price);
+
+    return {
+      ...night,
+      price,
+      ratePlan: waived ? `${night.ratePlan ? `${night.ratePlan} + ` : ''}Complimentary upgrade` : night.ratePlan,
+      room: newRoom._id,
+    };
+  });
+
+  const move = {
+    fromRoom: oldRoom._id,
+    toRoom: newRoom._id,
+    movedAt: new Date(),
+    movedBy,
+    reason,
+    nights: remaining.length,
+    rateDifference,
+    complimentary,
+  };
+
+  booking.room = newRoom._id;
+  booking.roomType = newRoom.type;
+  booking.roomAssignedAt = move.movedAt;
+  booking.nightlyRates = repriced;
+  booking.totalAmount = roundMoney(repriced.reduce((sum, night) => sum + night.price, 0));
+  booking.roomMoves.push(move);
+
+  try {
+    await booking.save();
+  } catch (error) {
+    // Give back the new room's nights; the stay on record keeps the old room
+    await releaseNights(booking._id, {
+      roomId: newRoom._id,
+      roomType: newRoom.type !== oldType ? newRoom.type : null,
+      nights: remaining,
+    });
+    throw error;
+  }
+
+  await releaseNights(booking._id, {
+    roomId: oldRoom._id,
+    roomType: newRoom.type !== oldType ? oldType : null,
+    nights: remaining,
+  });
+
+  // The room the guest left needs cleaning before anyone else uses it
+  await recordDeparture({ _id: booking._id, room: oldRoom._id });
+
+  return {
+    success: true,
+    message: `Guest moved from room ${oldRoom.code} to room ${newRoom.code}`,
+    move,
+  };
+};
@@ -0,0 +1,221 @@
+/**
+ * @fileoverview Stay change service: extends an in-house stay or cuts it short when the guest leaves early
+ * @module services/stayChangeService
+ */
+
+import Room from '../models/Room.js';
+import Settings from '../models/Settings.js';
+import CorporateAccount from '../models/CorporateAccount.js';
+import {
+  getNightDates,
+  toNightDate,
+  reserveStay,
+  releaseNights,
+} from '../utils/roomAvailability.js';
+import { priceStay } from './pricingService.js';
+import { applyPromotion } from './promotionService.js';
+import { roundMoney } from './taxService.js';
+
+export const EARLY_DEPARTURE_FEE_TYPES = ['none', 'flat', 'percent', 'first_night'];
+
+const ONE_DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Get the nightly rates locked in on a booking. Stays priced before nightly rates existed are
+ * charged the room's price for every night.
+ * @param {Object} booking - Booking document
+ * @param {Object} room - Room the stay was priced on
+ * @returns {Object[]} Plain nightly rates (date, price, ratePlan, room)
+ */
+export const getLockedNightlyRates = (booking, room) =>
+  booking.nightlyRates.length > 0
+    ? booking.nightlyRates.map((night) => night.toObject())
+    : getNightDates(booking.checkInDate, booking.checkOutDate).map((date) => ({
+        date,
+        price: room.pricePerNight,
+        ratePlan: null,
+        room: null,
+      }));
+
+/**
+ * Extend a checked-in guest's stay in their current room. The added nights are claimed first and
+ * priced at today's rates (the booking's company rate and percentage promotion still apply); the
+ * nights already booked keep their prices.
+ * @param {Object} booking - Checked-in booking
+ * @param {Date} newCheckOutDate - New check-out date, after the current one
+ * @param {Object} options - Options
+ * @param {string} [options.reason] - Why the stay is extended
+ * @param {string} [options.changedBy] - Staff member extending the stay
+ * @returns {Promise<Object>} Object with success, message, conflict and the stay change
+ */
+export const extendStay = async (booking, newCheckOutDate, { reason = null, changedBy = null }) => {
+  const room = await Room.findById(booking.room?._id || booking.room);
+  if (!room) {
+    return { success: false, message: 'Booking has no room to extend the stay in' };
+  }
+
+  const previousCheckOutDate = booking.checkOutDate;
+  const addedNights = getNightDates(previousCheckOutDate, newCheckOutDate);
+  if (addedNights.length === 0) {
+    return { success: false, message: 'New check-out date must be after the current check-out date' };
+  }
+
+  const roomType = booking.roomType || room.type;
+  const reserved = await reserveStay(booking._id, {
+    roomType,
+    roomId: room._id,
+    checkInDate: previousCheckOutDate,
+    checkOutDate: newCheckOutDate,
+  });
+  if (!reserved) {
+    await releaseNights(booking._id, { roomType, nights: addedNights });
+    return {
+      success: false,
+      conflict: true,
+      message: `Room ${room.code} is not free until ${toNightDate(newCheckOutDate).toISOString().slice(0, 10)}; move the guest to another room to extend`,
+    };
+  }
+
+  const corporateAccount = booking.corporateAccount
+    ? await CorporateAccount.findById(booking.corporateAccount._id || booking.corporateAccount)
+    : null;
+  let pricing = await priceStay(room, previousCheckOutDate, newCheckOutDate, corporateAccount);
+  // A fixed discount was given in full on the original stay; a percentage keeps applying
+  if (booking.promotion?.discountType === 'percent') {
+    pricing = applyPromotion(pricing, booking.promotion);
+    booking.promotion.discountAmount = roundMoney(booking.promotion.discountAmount + pricing.discountAmount);
+  }
+
+  // Once a guest has moved rooms every night records the room it was spent in
+  const movedRooms = booking.roomMoves.length > 0;
+  const added = pricing.nightlyRates.map((night) => ({
+    date: night.date,
+    price: night.price,
+    ratePlan: night.ratePlan,
+    room: movedRooms ? room._id : null,
+  }));
+
+  const change = {
+    type: 'extension',
+    previousCheckOutDate,
+    newCheckOutDate,
+    nights: added.length,
+    amountChange: pricing.totalAmount,
+    reason,
+    changedBy,
+    changedAt: new Date(),
+  };
+
+  booking.nightlyRates = [...getLockedNightlyRates(booking, room), ...added];
+  booking.totalAmount = roundMoney(booking.nightlyRates.reduce((sum, night) => sum + night.price, 0));
+  booking.checkOutDate = newCheckOutDate;
+  booking.stayChanges.push(change);
+
+  try {
+    await booking.save();
+  } catch (error) {
+    // The stay on record still ends on the old date
+    await releaseNights(booking._id, { roomId: room._id, roomType, nights: addedNights });
+    throw error;
+  }
+
+  return {
+    success: true,
+    message: `Stay extended by ${added.length} night(s) in room ${room.code}`,
+    change,
+  };
+};
+
+/**
+ * Work out what checking a guest out now would do to their stay: the nights they won't use come off
+ * the bill and the configured early departure fee is charged on them. The first night is always charged.
+ * @param {Object} booking - Checked-in booking
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.waiveFee] - Don't charge the early departure fee
+ * @param {Object} [options.settings] - Hotel settings (loaded when not given)
+ * @returns {Promise<Object>} Quote with isEarly, newCheckOutDate, nightsStayed, nightsCancelled,
+ *   cancelledAmount (room charges removed), fee and feeWaived
+ */
+export const previewEarlyDeparture = async (booking, { waiveFee = false, settings = null } = {}) => {
+  const nights = getNightDates(booking.checkInDate, booking.checkOutDate);
+  const departure = new Date(Math.max(toNightDate(new Date()).getTime(), nights[0].getTime() + ONE_DAY));
+  const cancelledNights = nights.filter((night) => night >= departure);
+
+  if (cancelledNights.length === 0) {
+    return {
+      isEarly: false,
+      newCheckOutDate: booking.checkOutDate,
+      nightsStayed: nights.length,
+      nightsCancelled: 0,
+      cancelledAmount: 0,
+      fee: 0,
+      feeWaived: false,
+    };
+  }
+
+  const room = booking.room?.pricePerNight !== undefined
+    ? booking.room
+    : await Room.findById(booking.room).select('pricePerNight');
+  const cancelledRates = getLockedNightlyRates(booking, room)
+    .filter((night) => toNightDate(night.date) >= departure);
+  const cancelledAmount = roundMoney(cancelledRates.reduce((sum, night) => sum + night.price, 0));
+
+  const hotelSettings = settings || await Settings.getSettings();
+  let fee = 0;
+  if (hotelSettings.earlyDepartureFeeType === 'flat') {
+    fee = Math.min(hotelSettings.earlyDepartureFeeAmount, cancelledAmount);
+  } else if (hotelSettings.earlyDepartureFeeType === 'percent') {
+    fee = (cancelledAmount * hotelSettings.earlyDepartureFeePercent) / 100;
+  } else if (hotelSettings.earlyDepartureFeeType === 'first_night') {
+    fee = cancelledRates[0]?.price || 0;
+  }
+  fee = roundMoney(fee);
+
+  return {
+    isEarly: true,
+    newCheckOutDate: departure,
+    nightsStayed: nights.length - cancelledNights.length,
+    nightsCancelled: cancelledNights.length,
+    cancelledAmount,
+    fee: waiveFee ? 0 : fee,
+    feeWaived: waiveFee && fee > 0,
+  };
+};
+
+/**
+ * Shorten a booking to the nights the guest actually stayed. The booking is changed but not saved;
+ * the caller saves it with the checkout and posts the fee to the folio.
+ * @param {Object} booking - Checked-in booking
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.waiveFee] - Don't charge the early departure fee
+ * @param {string} [options.changedBy] - Staff member checking the guest out
+ * @returns {Promise<Object|null>} The early departure quote, or null when the guest is not leaving early
+ */
+export const applyEarlyDeparture = async (booking, { waiveFee = false, changedBy = null } = {}) => {
+  const quote = await previewEarlyDeparture(booking, { waiveFee });
+  if (!quote.isEarly) {
+    return null;
+  }
+
+  const room = booking.room?.pricePerNight !== undefined
+    ? booking.room
+    : await Room.findById(booking.room).select('pricePerNight');
+
+  booking.stayChanges.push({
+    type: 'early_departure',
+    previousCheckOutDate: booking.checkOutDate,
+    newCheckOutDate: quote.newCheckOutDate,
+    nights: quote.nightsCancelled,
+    amountChange: -quote.cancelledAmount,
+    fee: quote.fee,
+    feeWaived: quote.feeWaived,
+    changedBy,
+    changedAt: new Date(),
+  });
+  booking.nightlyRates = getLockedNightlyRates(booking, room)
+    .filter((night) => toNightDate(night.date) < quote.newCheckOutDate);
+  booking.totalAmount = roundMoney(booking.nightlyRates.reduce((sum, night) => sum + night.price, 0));
+  booking.checkOutDate = quote.newCheckOutDate;
+
+  return quote;
+};
@@ -0,0 +1,223 @@
+/**
+ * @fileoverview Stay time service: early check-in and late checkout windows, requests and fees
+ * @module services/stayTimeService
+ */
+
+import Settings from '../models/Settings.js';
+import { postFolioEntry } from './folioService.js';
+import { roundMoney } from './taxService.js';
+
+export const STAY_TIME_FEE_TYPES = ['none', 'flat', 'hourly'];
+
+// Request types and the booking field each is kept in
+export const STAY_TIME_REQUESTS = {
+  early_check_in: 'earlyCheckIn',
+  late_check_out: 'lateCheckOut',
+};
+
+const ONE_HOUR = 60 * 60 * 1000;
+
+/**
+ * Get a time of day on the day of a stay date. Stay dates are stored as UTC midnight of the
+ * calendar day; times are the hotel's local time (the server's time zone).
+ * @param {Date} date - Check-in or check-out date
+ * @param {string} time - Time of day (HH:mm)
+ * @returns {Date} The time on that day
+ */
+export const atStayTime = (date, time) => {
+  const day = new Date(date);
+  const [hours, minutes] = time.split(':').map(Number);
+  return new Date(day.getUTCFullYear(), day.getUTCMonth(), day.getUTCDate(), hours, minutes);
+};
+
+/**
+ * Price an early arrival or late departure
+ * @param {('none'|'flat'|'hourly')} feeType - How the fee is charged
+ * @param {number} feeAmount - Flat fee, or fee per started hour
+ * @param {number} hours - Started hours outside the standard time
+ * @returns {number} Fee
+ */
+const priceStayTime = (feeType, feeAmount, hours) => {
+  if (hours <= 0) return 0;
+  if (feeType === 'flat') return roundMoney(feeAmount);
+  if (feeType === 'hourly') return roundMoney(feeAmount * hours);
+  return 0;
+};
+
+/**
+ * Quote checking a guest in at a given time. Guests can arrive up to the early check-in window
+ * before the standard check-in time; arriving earlier means booking the night before.
+ * @param {Object} booking - Booking
+ * @param {Date} at - Arrival time
+ * @param {Object} [settings] - Hotel settings (loaded when not given)
+ * @returns {Promise<Object>} Quote with isEarly, allowed, standardTime, earliestTime, hours and fee
+ */
+export const quoteEarlyCheckIn = async (booking, at, settings = null) => {
+  const hotelSettings = settings || await Settings.getSettings();
+  const standardTime = atStayTime(booking.checkInDate, hotelSettings.defaultCheckInTime);
+  const earliestTime = new Date(standardTime.getTime() - hotelSettings.earlyCheckInWindowHours * ONE_HOUR);
+  const hours = Math.max(Math.ceil((standardTime - at) / ONE_HOUR), 0);
+
+  return {
+    isEarly: hours > 0,
+    allowed: at >= earliestTime,
+    standardTime,
+    earliestTime,
+    hours,
+    fee: priceStayTime(hotelSettings.earlyCheckInFeeType, hotelSettings.earlyCheckInFee, hours),
+  };
+};
+
+/**
+ * Quote checking a guest out at a given time. Guests can stay up to the late checkout window
+ * past the standard check-out time.
+ * @param {Object} booking - Booking
+ * @param {Date} at - Departure time
+ * @param {Object} [settings] - Hotel settings (loaded when not given)
+ * @returns {Promise<Object>} Quote with isLate, allowed, standardTime, latestTime, hours and fee
+ */
+export const quoteLateCheckOut = async (booking, at, settings = null) => {
+  const hotelSettings = settings || await Settings.getSettings();
+  const standardTime = atStayTime(booking.checkOutDate, hotelSettings.defaultCheckOutTime);
+  const latestTime = new Date(standardTime.getTime() + hotelSettings.lateCheckOutWindowHours * ONE_HOUR);
+  const hours = Math.max(Math.ceil((at - standardTime) / ONE_HOUR), 0);
+
+  return {
+    isLate: hours > 0,
+    allowed: at <= latestTime,
+    standardTime,
+    latestTime,
+    hours,
+    fee: priceStayTime(hotelSettings.lateCheckOutFeeType, hotelSettings.lateCheckOutFee, hours),
+  };
+};
+
+/**
+ * Request an early check-in or late checkout at a time of day. The fee is quoted now and kept
+ * if the request is approved.
+ * @param {Object} booking - Booking document
+ * @param {('early_check_in'|'late_check_out')} type - Request type
+ * @param {string} time - Requested arrival or departure time (HH:mm)
+ * @param {string} requestedBy - User making the request
+ * @returns {Promise<Object>} Object with success, message and the request
+ */
+export const requestStayTime = async (booking, type, time, requestedBy) => {
+  const field = STAY_TIME_REQUESTS[type];
+  const early = type === 'early_check_in';
+
+  const allowedStatuses = early ? ['pending', 'approved'] : ['approved', 'checked_in'];
+  if (!allowedStatuses.includes(booking.status)) {
+    return {
+      success: false,
+      message: `Cannot request ${early ? 'an early check-in' : 'a late checkout'} for a booking with status: ${booking.status}`,
+    };
+  }
+
+  const requestedTime = atStayTime(early ? booking.checkInDate : booking.checkOutDate, time);
+  const quote = early
+    ? await quoteEarlyCheckIn(booking, requestedTime)
+    : await quoteLateCheckOut(booking, requestedTime);
+
+  if (early ? !quote.isEarly : !quote.isLate) {
+    return {
+      success: false,
+      message: `${time} is not ${early ? 'before the standard check-in' : 'after the standard check-out'} time`,
+    };
+  }
+  if (!quote.allowed) {
+    const message = early
+      ? `Early check-in is possible from ${quote.earliestTime.toTimeString().slice(0, 5)}; book the night before instead`
+      : `Late checkout is possible until ${quote.latestTime.toTimeString().slice(0, 5)}; book another night instead`;
+    return { success: false, message };
+  }
+
+  booking[field] = {
+    status: 'requested',
+    requestedTime,
+    hours: quote.hours,
+    fee: quote.fee,
+    requestedBy,
+    requestedAt: new Date(),
+    decidedBy: null,
+    decidedAt: null,
+    chargedAt: null,
+  };
+  await booking.save();
+
+  return {
+    success: true,
+    message: `${early ? 'Early check-in' : 'Late checkout'} requested for ${time}`,
+    request: booking[field],
+  };
+};
+
+/**
+ * Approve or decline an early check-in or late checkout request
+ * @param {Object} booking - Booking document
+ * @param {('early_check_in'|'late_check_out')} type - Request type
+ * @param {('approved'|'declined')} decision - Decision
+ * @param {string} decidedBy - Staff member deciding
+ * @returns {Promise<Object>} Object with success, message and the request
+ */
+export const decideStayTime = async (booking, type, decision, decidedBy) => {
+  const field = STAY_TIME_REQUESTS[type];
+  const request = booking[field];
+  if (!request || request.status !== 'requested') {
+    return { success: false, message: 'There is no open request to decide' };
+  }
+
+  request.status = decision;
+  request.decidedBy = decidedBy;
+  request.decidedAt = new Date();
+  await booking.save();
+
+  return {
+    success: true,
+    message: `${type === 'early_check_in' ? 'Early check-in' : 'Late checkout'} ${decision}`,
+    request,
+  };
+};
+
+/**
+ * Work out what to charge for an early arrival or late departure. An approved request is never
+ * charged more than it was quoted at.
+ * @param {Object} booking - Booking
+ * @param {('early_check_in'|'late_check_out')} type - Request type
+ * @param {Object} quote - Result of quoteEarlyCheckIn or quoteLateCheckOut for the actual time
+ * @returns {Object} Object with fee and hours
+ */
+export const getStayTimeCharge = (booking, type, quote) => {
+  const request = booking[STAY_TIME_REQUESTS[type]];
+  if (request?.status === 'approved') {
+    return { fee: Math.min(request.fee, quote.fee), hours: Math.min(request.hours, quote.hours) };
+  }
+  return { fee: quote.fee, hours: quote.hours };
+};
+
+/**
+ * Post an early check-in or late checkout fee to the stay's folio and mark the request charged
+ * @param {Object} booking - Booking document
+ * @param {('early_check_in'|'late_check_out')} type - Request type
+ * @param {Object} charge - Fee to charge
+ * @param {number} charge.fee - Fee
+ * @param {number} charge.hours - Started hours outside the standard time
+ * @param {string} postedBy - Staff member checking the guest in or out
+ * @returns {Promise<void>}
+ */
+export const chargeStayTime = async (booking, type, { fee, hours }, postedBy) => {
+  const early = type === 'early_check_in';
+  if (fee > 0) {
+    await postFolioEntry(booking, {
+      type: 'charge',
+      category: 'room',
+      description: `${early ? 'Early check-in' : 'Late checkout'} fee (${hours} hour(s))`,
+      amount: fee,
+    }, postedBy);
+  }
+
+  const request = booking[STAY_TIME_REQUESTS[type]];
+  if (request?.status === 'approved') {
+    request.chargedAt = new Date();
+    await booking.save();
+  }
+};
@@ -0,0 +1,104 @@
+/**
+ * @fileoverview Tape chart service: the room × date grid staff use to see and rearrange stays.
+ * Returns every room, the stays drawn on it night by night and the out-of-order blocks for a date window.
+ * @module services/tapeChartService
+ */
+
+import Room from '../models/Room.js';
+import Booking from '../models/Booking.js';
+import WorkOrder from '../models/WorkOrder.js';
+import { ACTIVE_WORK_ORDER_STATUSES, getNightDates, toNightDate } from '../utils/roomAvailability.js';
+
+export const MAX_TAPE_CHART_DAYS = 62;
+
+const ONE_DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Split the nights of a stay that fall in the window into runs spent in one room. A guest who moved
+ * rooms has each night's room on its nightly rate; other stays are one run in the booking's room,
+ * or in no room before one is assigned.
+ * @param {Object} booking - Booking (lean) with room, checkInDate, checkOutDate and nightlyRates
+ * @param {Date} start - First night of the window
+ * @param {Date} end - Night after the window
+ * @returns {Object[]} Segments with room (null = unassigned), startDate and endDate (night after the run)
+ */
+const getStaySegments = (booking, start, end) => {
+  const roomByNight = new Map(
+    (booking.nightlyRates || [])
+      .filter((night) => night.room)
+      .map((night) => [toNightDate(night.date).getTime(), night.room.toString()])
+  );
+  const currentRoom = booking.room ? booking.room.toString() : null;
+
+  const segments = [];
+  for (const night of getNightDates(booking.checkInDate, booking.checkOutDate)) {
+    if (night < start || night >= end) continue;
+
+    const room = roomByNight.get(night.getTime()) || currentRoom;
+    const last = segments[segments.length - 1];
+    if (last && last.room === room && last.endDate.getTime() === night.getTime()) {
+      last.endDate = new Date(night.getTime() + ONE_DAY);
+    } else {
+      segments.push({ room, startDate: night, endDate: new Date(night.getTime() + ONE_DAY) });
+    }
+  }
+
+  return segments;
+};
+
+/**
+ * Build the tape chart for a date window: three queries (rooms, stays overlapping the window and
+ * out-of-order blocks), with each stay already split into the runs of nights drawn on each room
+ * @param {Date} start - First night shown (UTC midnight)
+ * @param {number} days - Number of nights shown
+ * @returns {Promise<Object>} Object with startDate, endDate, dates, rooms, bookings and blocks
+ */
+export const buildTapeChart = async (start, days) => {
+  const end = new Date(start.getTime() + days * ONE_DAY);
+
+  const rooms = await Room.find()
+    .select('code type status housekeepingStatus maxGuests')
+    .sort({ type: 1, code: 1 })
+    .lean();
+
+  const stays = await Booking.find({
+    status: { $ne: 'cancelled' },
+    checkInDate: { $lt: end },
+    checkOutDate: { $gt: start },
+  })
+    .select('guest guestName group room roomType checkInDate checkOutDate status nightlyRates.date nightlyRates.room')
+    .populate('guest', 'name')
+    .populate('group', 'name')
+    .sort({ checkInDate: 1 })
+    .lean();
+
+  const blocks = await WorkOrder.find({
+    outOfOrder: true,
+    status: { $in: ACTIVE_WORK_ORDER_STATUSES },
+    startDate: { $lt: end },
+    endDate: { $gt: start },
+  })
+    .select('room title priority status startDate endDate')
+    .lean();
+
+  const bookings = stays.map((booking) => ({
+    _id: booking._id,
+    guestName: booking.guestName || booking.guest?.name || null,
+    group: booking.group ? { _id: booking.group._id, name: booking.group.name } : null,
+    room: booking.room,
+    roomType: booking.roomType,
+    checkInDate: booking.checkInDate,
+    checkOutDate: booking.checkOutDate,
+    status: booking.status,
+    segments: getStaySegments(booking, start, end),
+  }));
+
+  return {
+    startDate: start,
+    endDate: end,
+    dates: getNightDates(start, end).map((night) => night.toISOString().split('T')[0]),
+    rooms,
+    bookings,
+    blocks,
+  };
+};
@@ -0,0 +1,145 @@
+/**
+ * @fileoverview Tax and fee engine for applying configured tax lines to booking charges
+ * @module services/taxService
+ */
+
+import Settings from '../models/Settings.js';
+
+/**
+ * @typedef {Object} TaxLine
+ * @property {string} name - Display name (e.g. VAT, Service Charge)
+ * @property {number} rate - Rate as a percentage (0-100)
+ * @property {('room'|'services'|'both')} appliesTo - Which charges the line is applied to
+ * @property {boolean} isInclusive - True if the rate is already included in the charged price
+ * @property {boolean} isActive - Whether the line is currently applied
+ */
+
+/**
+ * Round a monetary amount to 2 decimal places
+ * @param {number} amount - Amount to round
+ * @returns {number} Rounded amount
+ */
+export const roundMoney = (amount) => Math.round((amount + Number.EPSILON) * 100) / 100;
+
+/**
+ * Load the active tax lines from settings.
+ * Falls back to a single exclusive "Tax" line at defaultTaxRate when no lines are configured.
+ * @returns {Promise<TaxLine[]>} Active tax lines
+ */
+export const getActiveTaxLines = async () => {
+  const settings = await Settings.getSettings();
+  const configured = (settings.taxLines || []).filter((line) => line.isActive !== false);
+
+  if (configured.length > 0) {
+    return configured.map((line) => ({
+      name: line.name,
+      rate: line.rate,
+      appliesTo: line.appliesTo,
+      isInclusive: line.isInclusive,
+      isActive: true,
+    }));
+  }
+
+  if (settings.defaultTaxRate > 0) {
+    return [{
+      name: 'Tax',
+      rate: settings.defaultTaxRate,
+      appliesTo: 'both',
+      isInclusive: false,
+      isActive: true,
+    }];
+  }
+
+  return [];
+};
+
+/**
+ * Get the charge base a tax line applies to
+ * @param {TaxLine} line - Tax line
+ * @param {Object} bases - Charge bases
+ * @param {number} bases.room - Room charge
+ * @param {number} bases.services - Services charge
+ * @returns {number} Base amount
+ */
+const getLineBase = (line, { room, services }) => {
+  if (line.appliesTo === 'room') return room;
+  if (line.appliesTo === 'services') return services;
+  return room + services;
+};
+
+/**
+ * Apply tax lines to room and services charges.
+ * Inclusive lines are backed out of the charged price; exclusive lines are added on top of the net amount.
+ * @param {Object} charges - Charges as priced to the guest
+ * @param {number} charges.roomCost - Room charge
+ * @param {number} charges.servicesCost - Services charge
+ * @param {TaxLine[]} taxLines - Tax lines to apply
+ * @returns {Object} Tax breakdown with lines, inclusiveTax, exclusiveTax, taxTotal, netAmount and grossAmount
+ */
+export const applyTaxLines = ({ roomCost, servicesCost }, taxLines) => {
+  // Sum inclusive rates per charge so the net can be backed out in one step
+  const inclusiveRate = { room: 0, services: 0 };
+  taxLines
+    .filter((line) => line.isInclusive)
+    .forEach((line) => {
+      if (line.appliesTo !== 'services') inclusiveRate.room += line.rate;
+      if (line.appliesTo !== 'room') inclusiveRate.services += line.rate;
+    });
+
+  const net = {
+    room: roomCost / (1 + inclusiveRate.room / 100),
+    services: servicesCost / (1 + inclusiveRate.services / 100),
+  };
+
+  const lines = taxLines.map((line) => {
+    const base = getLineBase(line, net);
+    return {
+      name: line.name,
+      rate: line.rate,
+      appliesTo: line.appliesTo,
+      isInclusive: line.isInclusive,
+      base: roundMoney(base),
+      amount: roundMoney((base * line.rate) / 100),
+    };
+  });
+
+  const inclusiveTax = roundMoney(
+    lines.filter((line) => line.isInclusive).reduce((sum, line) => sum + line.amount, 0)
+  );
+  const exclusiveTax = roundMoney(
+    lines.filter((line) => !line.isInclusive).reduce((sum, line) => sum + line.amount, 0)
+  );
+
+  return {
+    lines,
+    inclusiveTax,
+    exclusiveTax,
+    taxTotal: roundMoney(inclusiveTax + exclusiveTax),
+    netAmount: roundMoney(net.room + net.services),
+    grossAmount: roundMoney(roomCost + servicesCost + exclusiveTax),
+  };
+};
+
+/**
+ * Split the tax share out of an amount paid against a bill, proportionally per tax line
+ * @param {number} amount - Amount paid
+ * @param {Object} billingDetails - Result of calculateBookingTotal
+ * @returns {Object} Object with tax, net and byLine (tax per line name)
+ */
+export const allocateTaxFromAmount = (amount, billingDetails) => {
+  const { totalCost, taxLines = [] } = billingDetails;
+  if (!totalCost || taxLines.length === 0) {
+    return { tax: 0, net: amount, byLine: {} };
+  }
+
+  const share = amount / totalCost;
+  const byLine = {};
+  let tax = 0;
+  taxLines.forEach((line) => {
+    const lineTax = roundMoney(line.amount * share);
+    byLine[line.name] = (byLine[line.name] || 0) + lineTax;
+    tax += lineTax;
+  });
+
+  return { tax: roundMoney(tax), net: roundMoney(amount - tax), byLine };
+};
@@ -0,0 +1,220 @@
+/**
+ * @fileoverview Waitlist service: offers rooms that free up on sold-out dates to waitlisted guests in
+ * the order they joined. An offer holds the room type's nights under the entry's ID until the guest
+ * books them or the hold runs out and they go to the next guest.
+ * @module services/waitlistService
+ */
+
+import WaitlistEntry from '../models/WaitlistEntry.js';
+import Settings from '../models/Settings.js';
+import { sendWaitlistOffer } from './notificationService.js';
+import {
+  reserveRoomTypeNights,
+  releaseRoomTypeNights,
+  transferRoomTypeNights,
+  toNightDate,
+} from '../utils/roomAvailability.js';
+
+export const ACTIVE_WAITLIST_STATUSES = ['waiting', 'offered'];
+
+const ONE_HOUR = 60 * 60 * 1000;
+
+/**
+ * Offer freed rooms to waiting guests, oldest entry first. An entry is only offered a room for
+ * its whole stay, so a later entry whose dates fit can be offered nights an earlier, longer
+ * stay could not use.
+ * @param {Object} [freed] - Stay whose nights were freed; every waiting entry is tried when omitted
+ * @param {string} freed.roomType - Room type freed
+ * @param {Date} freed.checkInDate - First night freed
+ * @param {Date} freed.checkOutDate - Check-out date (first night not freed)
+ * @param {Date} [now] - Current time
+ * @returns {Promise<Object[]>} Entries offered a room
+ */
+export const offerFreedRooms = async (freed = null, now = new Date()) => {
+  const filter = { status: 'waiting', checkInDate: { $gte: toNightDate(now) } };
+  if (freed) {
+    filter.roomType = freed.roomType;
+    filter.checkInDate.$lt = freed.checkOutDate;
+    filter.checkOutDate = { $gt: freed.checkInDate };
+  }
+
+  const entries = await WaitlistEntry.find(filter).sort({ createdAt: 1 });
+  if (entries.length === 0) {
+    return [];
+  }
+  const { waitlistHoldHours } = await Settings.getSettings();
+
+  const offered = [];
+  for (const entry of entries) {
+    const held = await reserveRoomTypeNights(entry._id, entry.roomType, entry.checkInDate, entry.checkOutDate);
+    if (!held) continue;
+
+    // The guest may have left the waitlist while the nights were being held
+    const offer = await WaitlistEntry.findOneAndUpdate(
+      { _id: entry._id, status: 'waiting' },
+      {
+        $set: {
+          status: 'offered',
+          offeredAt: now,
+          holdExpiresAt: new Date(now.getTime() + waitlistHoldHours * ONE_HOUR),
+          updatedAt: now,
+        },
+      },
+      { new: true }
+    ).populate('guest', 'name email');
+    if (!offer) {
+      await releaseRoomTypeNights(entry._id);
+      continue;
+    }
+
+    try {
+      await sendWaitlistOffer(offer.guest, offer);
+    } catch (notifError) {
+      console.error('Failed to send waitlist offer notification:', notifError);
+      // The hold stands; the guest can still see the offer on their waitlist
+    }
+    offered.push(offer);
+  }
+
+  return offered;
+};
+
+/**
+ * Expire offers that ran out (or whose arrival date has passed), giving their nights back, and
+ * entries still waiting when their arrival date has passed
+ * @param {Date} [now] - Current time
+ * @returns {Promise<Object>} Object with expiredOffers (the expired offers) and expiredEntries (count)
+ */
+export const expireWaitlist = async (now = new Date()) => {
+  const today = toNightDate(now);
+  const overdue = await WaitlistEntry.find({
+    status: 'offered',
+    $or: [{ holdExpiresAt: { $lte: now } }, { checkInDate: { $lt: today } }],
+  });
+
+  const expiredOffers = [];
+  for (const entry of overdue) {
+    // The guest may have booked the offer meanwhile
+    const expired = await WaitlistEntry.findOneAndUpdate(
+      { _id: entry._id, status: 'offered' },
+      { $set: { status: 'expired', updatedAt: now } },
+      { new: true }
+    );
+    if (!expired) continue;
+
+    await releaseRoomTypeNights(entry._id);
+    expiredOffers.push(expired);
+  }
+
+  const stale = await WaitlistEntry.updateMany(
+    { status: 'waiting', checkInDate: { $lt: today } },
+    { $set: { status: 'expired', updatedAt: now } }
+  );
+
+  return { expiredOffers, expiredEntries: stale.modifiedCount };
+};
+
+/**
+ * Run the waitlist: expire offers that ran out, then offer whatever rooms are free to the guests
+ * still waiting (this also picks up nights freed by no-shows, expired deposits, stay changes and
+ * out-of-order rooms returning to service)
+ * @param {Date} [now] - Current time
+ * @returns {Promise<Object>} Object with expired (offers and entries) and offered counts
+ */
+export const processWaitlist = async (now = new Date()) => {
+  const { expiredOffers, expiredEntries } = await expireWaitlist(now);
+  const offered = await offerFreedRooms(null, now);
+  return { expired: expiredOffers.length + expiredEntries, offered: offered.length };
+};
+
+/**
+ * Take a guest off the waitlist. An open offer's nights are given back and offered to the next guest.
+ * @param {Object} entry - WaitlistEntry document
+ * @param {Date} [now] - Current time
+ * @returns {Promise<Object>} Object with success, message, conflict and the entry
+ */
+export const cancelWaitlistEntry = async (entry, now = new Date()) => {
+  const cancelled = await WaitlistEntry.findOneAndUpdate(
+    { _id: entry._id, status: { $in: ACTIVE_WAITLIST_STATUSES } },
+    { $set: { status: 'cancelled', cancelledAt: now, updatedAt: now } },
+    { new: true }
+  );
+  if (!cancelled) {
+    const current = await WaitlistEntry.findById(entry._id).select('status');
+    return {
+      success: false,
+      conflict: true,
+      message: `Cannot leave the waitlist: the entry is ${current?.status || entry.status}`,
+    };
+  }
+
+  if (entry.status === 'offered') {
+    await releaseRoomTypeNights(entry._id);
+    try {
+      await offerFreedRooms(entry, now);
+    } catch (waitlistError) {
+      console.error('Failed to offer the released room to the waitlist:', waitlistError);
+    }
+  }
+
+  return { success: true, message: 'You have left the waitlist', entry: cancelled };
+};
+
+/**
+ * Claim a guest's waitlist offer for a new booking: the entry is marked booked and the nights held
+ * for it are handed to the booking. The booking must be for the room type and dates offered.
+ * @param {Object} entry - WaitlistEntry document (owned by the guest booking)
+ * @param {mongoose.Types.ObjectId} bookingId - Booking being created
+ * @param {Object} stay - Stay being booked
+ * @param {string} stay.roomType - Room type
+ * @param {Date} stay.checkInDate - Check-in date
+ * @param {Date} stay.checkOutDate - Check-out date
+ * @param {Date} [now] - Current time
+ * @returns {Promise<Object>} Object with success, message and conflict
+ */
+export const claimWaitlistOffer = async (entry, bookingId, { roomType, checkInDate, checkOutDate }, now = new Date()) => {
+  if (entry.status !== 'offered') {
+    return {
+      success: false,
+      conflict: true,
+      message: entry.status === 'waiting'
+        ? 'No room has been offered for this waitlist entry yet'
+        : `This waitlist offer is no longer open (${entry.status})`,
+    };
+  }
+
+  const sameStay =
+    entry.roomType === roomType &&
+    toNightDate(entry.checkInDate).getTime() === toNightDate(checkInDate).getTime() &&
+    toNightDate(entry.checkOutDate).getTime() === toNightDate(checkOutDate).getTime();
+  if (!sameStay) {
+    return { success: false, message: 'The booking must be for the room type and dates of the waitlist offer' };
+  }
+
+  const claimed = await WaitlistEntry.findOneAndUpdate(
+    { _id: entry._id, status: 'offered', holdExpiresAt: { $gt: now } },
+    { $set: { status: 'booked', booking: bookingId, updatedAt: now } },
+    { new: true }
+  );
+  if (!claimed) {
+    return { success: false, conflict: true, message: 'This waitlist offer has expired' };
+  }
+
+  await transferRoomTypeNights(entry._id, bookingId);
+  return { success: true, message: 'Waitlist offer claimed' };
+};
+
+/**
+ * Give a claimed offer back when its booking could not be made: the nights return to the entry,
+ * which is open again until its hold runs out
+ * @param {Object} entry - WaitlistEntry document
+ * @param {mongoose.Types.ObjectId} bookingId - Booking that claimed the offer
+ * @returns {Promise<void>}
+ */
+export const returnWaitlistOffer = async (entry, bookingId) => {
+  await transferRoomTypeNights(bookingId, entry._id);
+  await WaitlistEntry.updateOne(
+    { _id: entry._id, status: 'booked', booking: bookingId },
+    { $set: { status: 'offered', booking: null, updatedAt: new Date() } }
+  );
+};
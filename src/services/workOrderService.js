@@ -0,0 +1,47 @@
+/**
+ * @fileoverview Work order service: finds the bookings an out-of-order block clashes with
+ * @module services/workOrderService
+ */
+
+import Booking from '../models/Booking.js';
+import Room from '../models/Room.js';
+import RoomTypeNight from '../models/RoomTypeNight.js';
+import { getNightDates, getRoomTypeCapacity } from '../utils/roomAvailability.js';
+
+/**
+ * Find what an out-of-order block clashes with: bookings holding the room on any blocked night,
+ * and nights its room type is now sold beyond the rooms left to sell
+ * @param {Object} workOrder - WorkOrder document
+ * @returns {Promise<Object>} Object with bookings (populated guest) and oversoldNights ({ date, booked, capacity })
+ */
+export const findBlockConflicts = async (workOrder) => {
+  if (!workOrder.outOfOrder || !['open', 'in_progress'].includes(workOrder.status)) {
+    return { bookings: [], oversoldNights: [] };
+  }
+
+  const bookings = await Booking.find({
+    room: workOrder.room,
+    status: { $nin: ['cancelled', 'checked_out'] },
+    checkInDate: { $lt: workOrder.endDate },
+    checkOutDate: { $gt: workOrder.startDate },
+  })
+    .populate('guest', 'name email')
+    .sort({ checkInDate: 1 });
+
+  // Bookings sold against the room type lose a room they could have been given
+  const room = await Room.findById(workOrder.room).select('type');
+  const nights = getNightDates(workOrder.startDate, workOrder.endDate);
+  const inventory = room
+    ? await RoomTypeNight.find({ roomType: room.type, date: { $in: nights } }).select('date bookings')
+    : [];
+
+  const oversoldNights = [];
+  for (const night of inventory.sort((a, b) => a.date - b.date)) {
+    const capacity = await getRoomTypeCapacity(room.type, night.date);
+    if (night.bookings.length > capacity) {
+      oversoldNights.push({ date: night.date, booked: night.bookings.length, capacity });
+    }
+  }
+
+  return { bookings, oversoldNights };
+};
@@ -129,8 +129,9 @@ export const sendOTP = async (phoneNumber, otp) => {
  * @param {string} subject - Email subject
  * @param {string} text - Plain text email body
  * @param {string} html - HTML email body (optional)
+ * @param {Object[]} attachments - Nodemailer attachments, e.g. { filename, content, contentType } (optional)
  */
-export const sendEmail = async (email, subject, text, html = null) => {
+export const sendEmail = async (email, subject, text, html = null, attachments = []) => {
   // Optional: keep console log for development visibility
   if (process.env.NODE_ENV !== "production") {
     console.log("=".repeat(60));
@@ -157,6 +158,10 @@ export const sendEmail = async (email, subject, text, html = null) => {
       mailOptions.html = html;
     }
 
+    if (attachments.length > 0) {
+      mailOptions.attachments = attachments;
+    }
+
     await transporter.sendMail(mailOptions);
 
     return true;
@@ -0,0 +1,415 @@
+/**
+ * @fileoverview PDF rendering for invoices, payment receipts and corporate statements (PDFKit)
+ * @module utils/invoicePdf
+ */
+
+import PDFDocument from 'pdfkit';
+
+const PAGE_MARGIN = 50;
+const BRAND_COLOR = '#667eea';
+const MUTED_COLOR = '#666666';
+
+// Invoice table columns: [x offset from the margin, width, alignment]
+const LINE_ITEM_COLUMNS = [
+  [0, 270, 'left'],
+  [270, 50, 'right'],
+  [320, 85, 'right'],
+  [405, 90, 'right'],
+];
+const PAYMENT_COLUMNS = [
+  [0, 90, 'left'],
+  [90, 70, 'left'],
+  [160, 90, 'left'],
+  [250, 140, 'left'],
+  [390, 105, 'right'],
+];
+const STATEMENT_COLUMNS = [
+  [0, 75, 'left'],
+  [75, 65, 'left'],
+  [140, 185, 'left'],
+  [325, 80, 'right'],
+  [405, 90, 'right'],
+];
+
+/**
+ * Format an amount of money. The built-in PDF fonts have no taka sign, so the currency code is used.
+ * @param {number} amount - Amount
+ * @returns {string} Formatted amount, e.g. "BDT 1,250.00"
+ */
+const formatMoney = (amount) =>
+  `BDT ${Number(amount || 0).toLocaleString('en-US', {
+    minimumFractionDigits: 2,
+    maximumFractionDigits: 2,
+  })}`;
+
+/**
+ * Format a date for documents
+ * @param {Date|string} date - Date
+ * @returns {string} Formatted date, e.g. "Mar 5, 2025"
+ */
+const formatDate = (date) =>
+  date
+    ? new Date(date).toLocaleDateString('en-US', { year: 'numeric', month: 'short', day: 'numeric' })
+    : '-';
+
+/**
+ * Render a document into a buffer
+ * @param {Function} draw - Draws the content onto the PDFKit document
+ * @returns {Promise<Buffer>} PDF file contents
+ */
+const renderToBuffer = (draw) =>
+  new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: 'A4', margin: PAGE_MARGIN });
+    const chunks = [];
+    doc.on('data', (chunk) => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    try {
+      draw(doc);
+      doc.end();
+    } catch (error) {
+      reject(error);
+    }
+  });
+
+/**
+ * Start a new page when fewer than `height` points are left on the current one
+ * @param {Object} doc - PDFKit document
+ * @param {number} height - Space needed
+ */
+const ensureSpace = (doc, height) => {
+  if (doc.y + height > doc.page.height - PAGE_MARGIN) {
+    doc.addPage();
+  }
+};
+
+/**
+ * Draw the hotel letterhead and document title
+ * @param {Object} doc - PDFKit document
+ * @param {Object} hotel - Hotel branding (name, address, phone, email)
+ * @param {string} title - Document title, e.g. "INVOICE"
+ */
+const drawHeader = (doc, hotel, title) => {
+  const top = doc.y;
+  doc.fillColor(BRAND_COLOR).font('Helvetica-Bold').fontSize(20).text(hotel.name, PAGE_MARGIN, top);
+  doc.fillColor(MUTED_COLOR).font('Helvetica').fontSize(9);
+  [hotel.address, hotel.phone, hotel.email].filter(Boolean).forEach((line) => doc.text(line));
+  const bottom = doc.y;
+
+  doc.fillColor('#000000').font('Helvetica-Bold').fontSize(18)
+    .text(title, PAGE_MARGIN, top, { width: doc.page.width - PAGE_MARGIN * 2, align: 'right' });
+
+  doc.y = Math.max(bottom, top + 24) + 10;
+  drawRule(doc);
+};
+
+/**
+ * Draw a horizontal rule across the page
+ * @param {Object} doc - PDFKit document
+ */
+const drawRule = (doc) => {
+  doc.moveTo(PAGE_MARGIN, doc.y).lineTo(doc.page.width - PAGE_MARGIN, doc.y)
+    .strokeColor('#dddddd').lineWidth(1).stroke();
+  doc.moveDown(0.8);
+};
+
+/**
+ * Draw label/value pairs, one per line
+ * @param {Object} doc - PDFKit document
+ * @param {Array<[string, string]>} rows - Label and value pairs
+ * @param {number} [x] - Left edge
+ */
+const drawDetails = (doc, rows, x = PAGE_MARGIN) => {
+  rows.forEach(([label, value]) => {
+    doc.font('Helvetica-Bold').fontSize(10).fillColor('#000000')
+      .text(`${label}: `, x, doc.y, { continued: true })
+      .font('Helvetica').text(String(value ?? '-'));
+  });
+};
+
+/**
+ * Draw one table row
+ * @param {Object} doc - PDFKit document
+ * @param {Array} columns - Column layout
+ * @param {string[]} cells - Cell text
+ * @param {boolean} [bold] - Use the bold font (header rows)
+ */
+const drawTableRow = (doc, columns, cells, bold = false) => {
+  ensureSpace(doc, 20);
+  const top = doc.y;
+  let bottom = top;
+  doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(9).fillColor('#000000');
+  columns.forEach(([offset, width, align], index) => {
+    doc.text(cells[index] ?? '', PAGE_MARGIN + offset, top, { width, align });
+    bottom = Math.max(bottom, doc.y);
+  });
+  doc.x = PAGE_MARGIN;
+  doc.y = bottom + 4;
+};
+
+/**
+ * Draw a table with a header row
+ * @param {Object} doc - PDFKit document
+ * @param {Array} columns - Column layout
+ * @param {string[]} headers - Header cells
+ * @param {string[][]} rows - Body rows
+ */
+const drawTable = (doc, columns, headers, rows) => {
+  drawTableRow(doc, columns, headers, true);
+  drawRule(doc);
+  rows.forEach((row) => drawTableRow(doc, columns, row));
+};
+
+/**
+ * Draw a right-aligned total line
+ * @param {Object} doc - PDFKit document
+ * @param {string} label - Label
+ * @param {number} amount - Amount
+ * @param {boolean} [bold] - Emphasize the line
+ */
+const drawTotalLine = (doc, label, amount, bold = false) => {
+  ensureSpace(doc, 16);
+  const top = doc.y;
+  doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(bold ? 11 : 10).fillColor('#000000');
+  doc.text(label, PAGE_MARGIN + 250, top, { width: 155, align: 'right' });
+  doc.text(formatMoney(amount), PAGE_MARGIN + 405, top, { width: 90, align: 'right' });
+  doc.x = PAGE_MARGIN;
+};
+
+/**
+ * Draw a section heading
+ * @param {Object} doc - PDFKit document
+ * @param {string} title - Heading
+ */
+const drawSectionTitle = (doc, title) => {
+  ensureSpace(doc, 40);
+  doc.moveDown(0.8);
+  doc.font('Helvetica-Bold').fontSize(12).fillColor(BRAND_COLOR).text(title, PAGE_MARGIN);
+  doc.moveDown(0.4);
+};
+
+/**
+ * Draw the closing note at the bottom of the content
+ * @param {Object} doc - PDFKit document
+ * @param {Object} hotel - Hotel branding
+ */
+const drawFooter = (doc, hotel) => {
+  doc.moveDown(2);
+  ensureSpace(doc, 30);
+  doc.font('Helvetica').fontSize(9).fillColor(MUTED_COLOR)
+    .text(`Thank you for staying with ${hotel.name}.`, PAGE_MARGIN, doc.y, {
+      width: doc.page.width - PAGE_MARGIN * 2,
+      align: 'center',
+    });
+};
+
+/**
+ * Describe a payment for payment history and receipts
+ * @param {Object} payment - Payment (document or invoice entry)
+ * @returns {string} Payment type label
+ */
+const getPaymentTypeLabel = (payment) => {
+  if (payment.type === 'refund') return 'Refund';
+  if (payment.type === 'penalty') return 'Cancellation fee';
+  return 'Payment';
+};
+
+/**
+ * Render an invoice as a PDF
+ * @param {Object} invoice - Invoice built by buildBookingInvoice
+ * @param {Object} hotel - Hotel branding (name, address, phone, email)
+ * @returns {Promise<Buffer>} PDF file contents
+ */
+export const renderInvoicePdf = (invoice, hotel) =>
+  renderToBuffer((doc) => {
+    // Until the invoice is issued the document only previews the current charges
+    drawHeader(doc, hotel, invoice.status === 'issued' ? 'INVOICE' : 'DRAFT INVOICE');
+
+    const top = doc.y;
+    drawDetails(doc, [
+      ['Invoice No', invoice.invoiceNumber || 'Draft'],
+      ['Issue Date', formatDate(invoice.issueDate)],
+      ['Booking', invoice.bookingId.toString().slice(-8).toUpperCase()],
+    ]);
+    const leftBottom = doc.y;
+
+    doc.y = top;
+    drawDetails(doc, [
+      ['Bill To', invoice.guestName || invoice.guest.name],
+      ['Email', invoice.guest.email],
+      ['Room', `${invoice.room.code} (${invoice.room.type})`],
+      ['Stay', `${formatDate(invoice.stayDetails.checkInDate)} - ${formatDate(invoice.stayDetails.checkOutDate)} (${invoice.stayDetails.totalNights} night(s))`],
+    ], PAGE_MARGIN + 260);
+    doc.x = PAGE_MARGIN;
+    doc.y = Math.max(leftBottom, doc.y);
+
+    drawSectionTitle(doc, 'Charges');
+    drawTable(
+      doc,
+      LINE_ITEM_COLUMNS,
+      ['Description', 'Qty', 'Unit Price', 'Total'],
+      invoice.lineItems.map((item) => [
+        item.description,
+        String(item.quantity),
+        formatMoney(item.unitPrice),
+        formatMoney(item.total),
+      ])
+    );
+
+    doc.moveDown(0.5);
+    drawTotalLine(doc, 'Subtotal', invoice.totals.subtotal);
+    invoice.taxLines.forEach((line) => {
+      drawTotalLine(doc, `${line.name} (${line.rate}%${line.isInclusive ? ', included' : ''})`, line.amount);
+    });
+    drawTotalLine(doc, 'Total', invoice.totals.total, true);
+
+    if (invoice.creditNotes?.length > 0) {
+      drawSectionTitle(doc, 'Credit Notes');
+      drawTable(
+        doc,
+        PAYMENT_COLUMNS,
+        ['Date', 'Number', 'Status', 'Reason', 'Amount'],
+        invoice.creditNotes.map((creditNote) => [
+          formatDate(creditNote.issuedAt),
+          creditNote.number,
+          creditNote.status,
+          creditNote.reason,
+          `-${formatMoney(creditNote.total)}`,
+        ])
+      );
+    }
+
+    if (invoice.payments.length > 0) {
+      drawSectionTitle(doc, 'Payment History');
+      drawTable(
+        doc,
+        PAYMENT_COLUMNS,
+        ['Date', 'Type', 'Method', 'Status / Reference', 'Amount'],
+        invoice.payments.map((payment) => [
+          formatDate(payment.createdAt),
+          getPaymentTypeLabel(payment),
+          (payment.method || 'pending').toUpperCase(),
+          [payment.status.replace('_', ' '), payment.transactionId].filter(Boolean).join(' / '),
+          `${payment.type === 'refund' ? '-' : ''}${formatMoney(payment.amount)}`,
+        ])
+      );
+    }
+
+    doc.moveDown(0.5);
+    if (invoice.paymentSummary.credited > 0) {
+      drawTotalLine(doc, 'Credited', invoice.paymentSummary.credited);
+    }
+    drawTotalLine(doc, 'Total Paid', invoice.paymentSummary.totalPaid);
+    drawTotalLine(doc, 'Balance Due', invoice.paymentSummary.balanceDue, true);
+
+    drawFooter(doc, hotel);
+  });
+
+/**
+ * Render a payment (or refund) receipt as a PDF
+ * @param {Object} payment - Payment document
+ * @param {Object} stay - What was paid for: reference, guestName, roomLabel, checkInDate, checkOutDate
+ * @param {Object} hotel - Hotel branding (name, address, phone, email)
+ * @returns {Promise<Buffer>} PDF file contents
+ */
+export const renderReceiptPdf = (payment, stay, hotel) =>
+  renderToBuffer((doc) => {
+    const isRefund = payment.type === 'refund';
+    drawHeader(doc, hotel, isRefund ? 'REFUND RECEIPT' : 'RECEIPT');
+
+    drawDetails(doc, [
+      ['Receipt No', payment.transactionId || payment._id.toString().slice(-8).toUpperCase()],
+      ['Date', formatDate(payment.paidAt || payment.createdAt)],
+      ['Invoice No', payment.invoiceNumber],
+      ['Reference', stay.reference],
+      ['Guest', stay.guestName],
+      ['Room', stay.roomLabel],
+      ['Stay', `${formatDate(stay.checkInDate)} - ${formatDate(stay.checkOutDate)}`],
+    ]);
+
+    drawSectionTitle(doc, isRefund ? 'Refund' : 'Payment');
+    drawDetails(doc, [
+      ['Type', getPaymentTypeLabel(payment)],
+      ['Method', (payment.paymentMethod || 'pending').toUpperCase()],
+      ['Status', payment.status.replace('_', ' ')],
+      ...(payment.reason ? [['Reason', payment.reason]] : []),
+      ...(payment.refundedAmount > 0 ? [['Refunded', formatMoney(payment.refundedAmount)]] : []),
+    ]);
+
+    doc.moveDown(1);
+    drawTotalLine(doc, isRefund ? 'Amount Refunded' : 'Amount Received', payment.amount, true);
+
+    drawFooter(doc, hotel);
+  });
+
+/**
+ * Render a corporate account's monthly city ledger statement as a PDF
+ * @param {Object} statement - Statement built by buildStatement
+ * @param {Object} hotel - Hotel branding (name, address, phone, email)
+ * @returns {Promise<Buffer>} PDF file contents
+ */
+export const renderStatementPdf = (statement, hotel) =>
+  renderToBuffer((doc) => {
+    drawHeader(doc, hotel, 'STATEMENT');
+
+    const { account, period } = statement;
+    const top = doc.y;
+    drawDetails(doc, [
+      ['Period', `${formatDate(period.start)} - ${formatDate(period.end)}`],
+      ['Payment Terms', `${account.paymentTermsDays} days`],
+      ['Credit Limit', formatMoney(account.creditLimit)],
+    ]);
+    const leftBottom = doc.y;
+
+    doc.y = top;
+    drawDetails(doc, [
+      ['Bill To', account.name],
+      ['Attention', account.billingContact?.name],
+      ['Email', account.billingContact?.email],
+      ['Address', account.address],
+    ], PAGE_MARGIN + 260);
+    doc.x = PAGE_MARGIN;
+    doc.y = Math.max(leftBottom, doc.y);
+
+    drawSectionTitle(doc, 'Activity');
+    drawTable(
+      doc,
+      STATEMENT_COLUMNS,
+      ['Date', 'Type', 'Description', 'Amount', 'Balance'],
+      [
+        [formatDate(period.start), '', 'Opening balance', '', formatMoney(statement.openingBalance)],
+        ...statement.lines.map((line) => [
+          formatDate(line.date),
+          line.type.charAt(0).toUpperCase() + line.type.slice(1),
+          [line.description, line.reference].filter(Boolean).join(' / '),
+          formatMoney(line.amount),
+          formatMoney(line.balance),
+        ]),
+      ]
+    );
+
+    doc.moveDown(0.5);
+    drawTotalLine(doc, 'Opening Balance', statement.openingBalance);
+    drawTotalLine(doc, 'Charges', statement.charges);
+    drawTotalLine(doc, 'Payments', -statement.payments);
+    if (statement.adjustments !== 0) {
+      drawTotalLine(doc, 'Adjustments', statement.adjustments);
+    }
+    drawTotalLine(doc, 'Closing Balance', statement.closingBalance, true);
+
+    drawSectionTitle(doc, 'Aging');
+    drawTable(
+      doc,
+      LINE_ITEM_COLUMNS,
+      ['Outstanding', '', '', 'Amount'],
+      [
+        ['0-30 days', '', '', formatMoney(statement.aging.current)],
+        ['31-60 days', '', '', formatMoney(statement.aging.days31to60)],
+        ['61-90 days', '', '', formatMoney(statement.aging.days61to90)],
+        ['Over 90 days', '', '', formatMoney(statement.aging.over90)],
+      ]
+    );
+
+    drawFooter(doc, hotel);
+  });
@@ -197,6 +197,131 @@ export const initiatePaymentGateway = async (paymentData) => {
 };
 
 
+/**
+ * Refund a gateway payment, in full or in part.
+ * SSLCommerz refunds go through its refund API; demo stores and development setups without
+ * credentials get a simulated refund, like payments do.
+ * @param {Object} refundData - Refund data
+ * @param {number} refundData.amount - Amount to refund
+ * @param {string} refundData.paymentMethod - Method of the original payment (online, sslcommerz, sslcommerz-demo)
+ * @param {string} refundData.transactionId - Transaction ID of the original payment
+ * @param {string} refundData.bankTransactionId - SSLCommerz bank transaction ID of the original payment
+ * @param {string} refundData.reason - Refund remarks sent to the gateway
+ * @returns {Promise<Object>} Gateway response with success and the refund's transactionId
+ */
+export const initiateRefundGateway = async (refundData) => {
+  const { amount, paymentMethod, transactionId, bankTransactionId, reason } = refundData;
+
+  if (!amount || amount <= 0) {
+    return { success: false, message: 'Invalid refund amount' };
+  }
+
+  if (paymentMethod === 'sslcommerz' || paymentMethod === 'sslcommerz-demo') {
+    const store_id = process.env.SSLCOMMERZ_STORE_ID;
+    const store_passwd = process.env.SSLCOMMERZ_STORE_PASSWORD;
+    const isDevelopment = process.env.NODE_ENV !== 'production';
+
+    // Demo payments, demo stores and development setups never reached SSLCommerz
+    if (paymentMethod === 'sslcommerz-demo' || store_id === 'demo' || ((!store_id || !store_passwd) && isDevelopment)) {
+      const refundId = `SSLC-RFD-${Date.now()}-${Math.random().toString(36).slice(2, 9).toUpperCase()}`;
+
+      console.log('🔧 SSLCommerz DEMO MODE: Simulating refund locally');
+
+      return {
+        success: true,
+        transactionId: refundId,
+        status: 'paid',
+        message: 'Refund processed successfully (demo mode)',
+        gatewayResponse: {
+          status: 'success',
+          mode: 'demo',
+          refund_ref_id: refundId,
+          tran_id: transactionId,
+        },
+        isDemo: true,
+      };
+    }
+
+    if (!store_id || !store_passwd) {
+      return {
+        success: false,
+        message: 'SSLCommerz credentials missing. Please set SSLCOMMERZ_STORE_ID and SSLCOMMERZ_STORE_PASSWORD in .env',
+      };
+    }
+
+    // SSLCommerz identifies the payment to refund by the bank transaction ID sent with the success callback
+    if (!bankTransactionId) {
+      return {
+        success: false,
+        message: 'This payment has no SSLCommerz bank transaction ID and must be refunded manually',
+      };
+    }
+
+    const mode = (process.env.SSLCOMMERZ_MODE || 'sandbox').toLowerCase();
+    const apiUrl =
+      mode === 'live'
+        ? 'https://securepay.sslcommerz.com/validator/api/merchantTransIDvalidationAPI.php'
+        : 'https://sandbox.sslcommerz.com/validator/api/merchantTransIDvalidationAPI.php';
+
+    const query = new URLSearchParams({
+      bank_tran_id: bankTransactionId,
+      refund_amount: String(amount),
+      refund_remarks: reason || 'Refund',
+      store_id,
+      store_passwd,
+      format: 'json',
+    });
+
+    try {
+      const response = await fetch(`${apiUrl}?${query.toString()}`);
+      const data = await response.json().catch(() => null);
+
+      if (!response.ok || !data) {
+        return { success: false, message: 'SSLCommerz refund request failed', gatewayResponse: data || null };
+      }
+
+      // SSLCommerz returns { APIConnect: "DONE", status: "success" | "processing", refund_ref_id: "..." }
+      if (data.APIConnect === 'DONE' && ['success', 'processing'].includes(data.status)) {
+        return {
+          success: true,
+          transactionId: data.refund_ref_id,
+          status: 'paid',
+          gatewayResponse: data,
+        };
+      }
+
+      return {
+        success: false,
+        status: 'failed',
+        message: data.errorReason || data.status || 'SSLCommerz refund failed',
+        gatewayResponse: data,
+      };
+    } catch (err) {
+      return { success: false, message: `SSLCommerz error: ${err.message}` };
+    }
+  }
+
+  // ---- Stub simulation for "online" and other gateways ----
+  await new Promise((resolve) => setTimeout(resolve, 1000));
+
+  const refundId = `RFD-${Date.now()}-${Math.random().toString(36).substr(2, 9).toUpperCase()}`;
+
+  return {
+    success: true,
+    transactionId: refundId,
+    status: 'paid',
+    message: 'Refund processed successfully',
+    gatewayResponse: {
+      id: refundId,
+      status: 'succeeded',
+      amount,
+      currency: 'BDT',
+      paymentMethod,
+      originalTransactionId: transactionId,
+    },
+  };
+};
+
 export const verifyPaymentStatus = async (transactionId) => {
   // Simulate API delay
   await new Promise((resolve) => setTimeout(resolve, 500));
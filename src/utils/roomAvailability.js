@@ -4,6 +4,53 @@
  */
 
 import Booking from '../models/Booking.js';
+import Room from '../models/Room.js';
+import RoomNight from '../models/RoomNight.js';
+import RoomTypeNight from '../models/RoomTypeNight.js';
+import Settings from '../models/Settings.js';
+import WorkOrder from '../models/WorkOrder.js';
+
+const ONE_DAY = 24 * 60 * 60 * 1000;
+
+// Work orders whose out-of-order block still takes the room off sale
+export const ACTIVE_WORK_ORDER_STATUSES = ['open', 'in_progress'];
+
+/**
+ * Normalize a date to the night it falls on (UTC midnight)
+ * @param {Date|string} date - Date
+ * @returns {Date} Night date
+ */
+export const toNightDate = (date) => {
+  const day = new Date(date);
+  return new Date(Date.UTC(day.getUTCFullYear(), day.getUTCMonth(), day.getUTCDate()));
+};
+
+/**
+ * Get the rooms taken out of order by an active work order on any night of a date range
+ * @param {Date} checkInDate - Check-in date (first night)
+ * @param {Date} checkOutDate - Check-out date (first night not included)
+ * @param {mongoose.Types.ObjectId} [roomId] - Only check this room
+ * @returns {Promise<string[]>} Array of out-of-order room IDs
+ */
+export const getOutOfOrderRoomIds = async (checkInDate, checkOutDate, roomId = null) => {
+  if (!checkInDate || !checkOutDate || checkOutDate <= checkInDate) {
+    return [];
+  }
+
+  // Blocks cover whole nights, so compare against the stay's nights rather than its times
+  const firstNight = toNightDate(checkInDate);
+  const lastNight = toNightDate(new Date(checkOutDate).getTime() - 1);
+
+  const rooms = await WorkOrder.find({
+    ...(roomId && { room: roomId }),
+    outOfOrder: true,
+    status: { $in: ACTIVE_WORK_ORDER_STATUSES },
+    startDate: { $lte: lastNight },
+    endDate: { $gt: firstNight },
+  }).distinct('room');
+
+  return rooms.map((id) => id.toString());
+};
 
 /**
  * Check if a room is available for a given date range
@@ -24,6 +71,12 @@ export const isRoomAvailable = async (roomId, checkInDate, checkOutDate, exclude
     return false;
   }
 
+  // A room out of order for maintenance on any of the nights cannot be booked
+  const outOfOrder = await getOutOfOrderRoomIds(checkInDate, checkOutDate, roomId);
+  if (outOfOrder.length > 0) {
+    return false;
+  }
+
   // Find conflicting bookings
   // A booking conflicts if:
   // 1. It's not cancelled or checked_out
@@ -61,17 +114,21 @@ export const isRoomAvailable = async (roomId, checkInDate, checkOutDate, exclude
 };
 
 /**
- * Get all booked room IDs for a given date range
+ * Get all booked room IDs for a given date range, including rooms out of order for maintenance
+ * Bookings that have not been assigned a room yet are ignored
  * @param {Date} checkInDate - Check-in date
  * @param {Date} checkOutDate - Check-out date
+ * @param {mongoose.Types.ObjectId} excludeBookingId - Optional booking ID to exclude
  * @returns {Promise<string[]>} Array of room IDs that are booked
  */
-export const getBookedRoomIds = async (checkInDate, checkOutDate) => {
+export const getBookedRoomIds = async (checkInDate, checkOutDate, excludeBookingId = null) => {
   if (!checkInDate || !checkOutDate || checkOutDate <= checkInDate) {
     return [];
   }
 
   const bookings = await Booking.find({
+    ...(excludeBookingId && { _id: { $ne: excludeBookingId } }),
+    room: { $ne: null },
     status: { $nin: ['cancelled', 'checked_out'] },
     $or: [
       {
@@ -89,6 +146,347 @@ export const getBookedRoomIds = async (checkInDate, checkOutDate) => {
     ],
   }).select('room');
 
-  return bookings.map((booking) => booking.room.toString());
+  const outOfOrder = await getOutOfOrderRoomIds(checkInDate, checkOutDate);
+
+  return [...new Set([...bookings.map((booking) => booking.room.toString()), ...outOfOrder])];
+};
+
+/**
+ * Get the nights covered by a stay, normalized to UTC midnight
+ * @param {Date} checkInDate - Check-in date
+ * @param {Date} checkOutDate - Check-out date
+ * @returns {Date[]} One date per night
+ */
+export const getNightDates = (checkInDate, checkOutDate) => {
+  const start = new Date(checkInDate);
+  const firstNight = Date.UTC(start.getUTCFullYear(), start.getUTCMonth(), start.getUTCDate());
+  const totalNights = Math.ceil((new Date(checkOutDate) - start) / ONE_DAY);
+
+  const nights = [];
+  for (let i = 0; i < totalNights; i++) {
+    nights.push(new Date(firstNight + i * ONE_DAY));
+  }
+  return nights;
 };
 
+/**
+ * Atomically reserve every night of a stay for a booking.
+ * Each night is a RoomNight document with a unique (room, date) index, so when two
+ * requests race for the same night only one insert can succeed. Nights the booking
+ * already holds are kept, which makes the call safe to repeat (e.g. on approval).
+ * @param {mongoose.Types.ObjectId} bookingId - Booking that will hold the nights
+ * @param {mongoose.Types.ObjectId} roomId - Room to reserve
+ * @param {Date} checkInDate - Check-in date
+ * @param {Date} checkOutDate - Check-out date
+ * @returns {Promise<boolean>} True if all nights are now held by the booking, false if any night is taken
+ */
+export const reserveRoomNights = async (bookingId, roomId, checkInDate, checkOutDate) => {
+  if (!checkInDate || !checkOutDate || checkOutDate <= checkInDate) {
+    return false;
+  }
+
+  const nights = getNightDates(checkInDate, checkOutDate);
+  const held = await RoomNight.find({
+    booking: bookingId,
+    room: roomId,
+    date: { $in: nights },
+  }).select('date');
+  const heldKeys = new Set(held.map((night) => night.date.getTime()));
+  const toClaim = nights.filter((night) => !heldKeys.has(night.getTime()));
+
+  if (toClaim.length > 0) {
+    try {
+      await RoomNight.insertMany(
+        toClaim.map((date) => ({ room: roomId, date, booking: bookingId })),
+        { ordered: true }
+      );
+    } catch (error) {
+      // Roll back whatever this call managed to claim before the conflict
+      await RoomNight.deleteMany({ booking: bookingId, room: roomId, date: { $in: toClaim } });
+      if (error.code === 11000) {
+        return false;
+      }
+      throw error;
+    }
+  }
+
+  // Bookings created before night inventory existed hold no RoomNight documents,
+  // so they are still checked by date overlap
+  const available = await isRoomAvailable(roomId, checkInDate, checkOutDate, bookingId);
+  if (!available) {
+    await RoomNight.deleteMany({ booking: bookingId, room: roomId, date: { $in: toClaim } });
+    return false;
+  }
+
+  return true;
+};
+
+/**
+ * Release nights held by a booking
+ * @param {mongoose.Types.ObjectId} bookingId - Booking holding the nights
+ * @param {Object} [keep] - Optional stay to keep; only nights outside it are released
+ * @param {mongoose.Types.ObjectId} keep.roomId - Room to keep
+ * @param {Date} keep.checkInDate - First night to keep
+ * @param {Date} keep.checkOutDate - Check-out date (first night not kept)
+ * @returns {Promise<number>} Number of nights released
+ */
+export const releaseRoomNights = async (bookingId, keep = null) => {
+  const filter = { booking: bookingId };
+
+  if (keep) {
+    filter.$or = [
+      { room: { $ne: keep.roomId } },
+      { date: { $nin: getNightDates(keep.checkInDate, keep.checkOutDate) } },
+    ];
+  }
+
+  const result = await RoomNight.deleteMany(filter);
+  return result.deletedCount;
+};
+
+/**
+ * Release some nights of a stay: the room's nights and, when given, the room type's nights
+ * @param {mongoose.Types.ObjectId} bookingId - Booking holding the nights
+ * @param {Object} release - Nights to release
+ * @param {mongoose.Types.ObjectId} [release.roomId] - Room whose nights are released
+ * @param {string} [release.roomType] - Room type whose nights are released
+ * @param {Date[]} release.nights - Nights (UTC midnight)
+ * @returns {Promise<void>}
+ */
+export const releaseNights = async (bookingId, { roomId = null, roomType = null, nights }) => {
+  if (roomId) {
+    await RoomNight.deleteMany({ booking: bookingId, room: roomId, date: { $in: nights } });
+  }
+  if (roomType) {
+    await RoomTypeNight.updateMany({ roomType, date: { $in: nights } }, { $pull: { bookings: bookingId } });
+  }
+};
+
+/**
+ * Count the rooms of a type that can be sold (rooms under maintenance are excluded).
+ * Given a night, rooms out of order on that night are excluded too.
+ * @param {string} roomType - Room type
+ * @param {Date} [night] - Night (UTC midnight)
+ * @returns {Promise<number>} Number of sellable rooms
+ */
+export const getRoomTypeCapacity = async (roomType, night = null) => {
+  const rooms = await Room.find({ type: roomType, status: { $ne: 'maintenance' } }).select('_id');
+  if (!night) {
+    return rooms.length;
+  }
+
+  const outOfOrder = new Set(await getOutOfOrderRoomIds(night, new Date(night.getTime() + ONE_DAY)));
+  return rooms.filter((room) => !outOfOrder.has(room._id.toString())).length;
+};
+
+/**
+ * Get how many rooms of a type can be sold beyond the sellable rooms each night
+ * @param {string} roomType - Room type
+ * @returns {Promise<number>} Overbooking allowance (0 = never overbook)
+ */
+export const getOverbookingAllowance = async (roomType) => {
+  const settings = await Settings.getSettings();
+  return settings.overbookingAllowance?.[roomType] || 0;
+};
+
+/**
+ * Claim one night of a room type for a booking, as long as the type is not sold out.
+ * The filter only matches while fewer than `limit` bookings hold the night, so the
+ * check and the claim happen in one atomic update.
+ * @param {mongoose.Types.ObjectId} bookingId - Booking claiming the night
+ * @param {string} roomType - Room type
+ * @param {Date} date - Night (UTC midnight)
+ * @param {number} limit - Most bookings the night can be sold to
+ * @returns {Promise<boolean>} True if the night was claimed
+ */
+const claimRoomTypeNight = async (bookingId, roomType, date, limit) => {
+  const filter = { roomType, date, [`bookings.${limit - 1}`]: { $exists: false } };
+  const update = { $addToSet: { bookings: bookingId }, $set: { updatedAt: Date.now() } };
+
+  try {
+    await RoomTypeNight.updateOne(filter, update, { upsert: true });
+    return true;
+  } catch (error) {
+    // A duplicate key means the night already exists and is full, or another
+    // request created it first; retry once against the existing document
+    if (error.code !== 11000) {
+      throw error;
+    }
+    const result = await RoomTypeNight.updateOne(filter, update);
+    return result.matchedCount === 1;
+  }
+};
+
+/**
+ * Atomically reserve every night of a stay against a room type's inventory.
+ * Each night's capacity leaves out rooms that are out of order that night, and the type's
+ * overbooking allowance is sold on top of it. Nights the booking already holds are kept,
+ * so the call is safe to repeat.
+ * @param {mongoose.Types.ObjectId} bookingId - Booking that will hold the nights
+ * @param {string} roomType - Room type
+ * @param {Date} checkInDate - Check-in date
+ * @param {Date} checkOutDate - Check-out date
+ * @returns {Promise<boolean>} True if all nights are held, false if the type is sold out on any night
+ */
+export const reserveRoomTypeNights = async (bookingId, roomType, checkInDate, checkOutDate) => {
+  if (!roomType || !checkInDate || !checkOutDate || checkOutDate <= checkInDate) {
+    return false;
+  }
+
+  const nights = getNightDates(checkInDate, checkOutDate);
+  const held = await RoomTypeNight.find({
+    roomType,
+    date: { $in: nights },
+    bookings: bookingId,
+  }).select('date');
+  const heldKeys = new Set(held.map((night) => night.date.getTime()));
+
+  const toClaim = nights.filter((n) => !heldKeys.has(n.getTime()));
+  const allowance = toClaim.length > 0 ? await getOverbookingAllowance(roomType) : 0;
+
+  const claimed = [];
+  for (const night of toClaim) {
+    const capacity = await getRoomTypeCapacity(roomType, night);
+    // A type with no room left to sell that night is never overbooked
+    const ok = capacity > 0 && (await claimRoomTypeNight(bookingId, roomType, night, capacity + allowance));
+    if (!ok) {
+      // Roll back whatever this call managed to claim before selling out
+      await RoomTypeNight.updateMany(
+        { roomType, date: { $in: claimed } },
+        { $pull: { bookings: bookingId } }
+      );
+      return false;
+    }
+    claimed.push(night);
+  }
+
+  return true;
+};
+
+/**
+ * Release room type nights held by a booking
+ * @param {mongoose.Types.ObjectId} bookingId - Booking holding the nights
+ * @param {Object} [keep] - Optional stay to keep; only nights outside it are released
+ * @param {string} keep.roomType - Room type to keep
+ * @param {Date} keep.checkInDate - First night to keep
+ * @param {Date} keep.checkOutDate - Check-out date (first night not kept)
+ * @returns {Promise<void>}
+ */
+export const releaseRoomTypeNights = async (bookingId, keep = null) => {
+  const filter = { bookings: bookingId };
+
+  if (keep) {
+    filter.$or = [
+      { roomType: { $ne: keep.roomType } },
+      { date: { $nin: getNightDates(keep.checkInDate, keep.checkOutDate) } },
+    ];
+  }
+
+  await RoomTypeNight.updateMany(filter, { $pull: { bookings: bookingId } });
+};
+
+/**
+ * Hand the room type nights held under one ID over to another, without the nights ever
+ * being free in between (e.g. a waitlist hold becoming a booking)
+ * @param {mongoose.Types.ObjectId} fromId - ID holding the nights
+ * @param {mongoose.Types.ObjectId} toId - ID that will hold them
+ * @returns {Promise<number>} Number of nights handed over
+ */
+export const transferRoomTypeNights = async (fromId, toId) => {
+  const result = await RoomTypeNight.updateMany(
+    { bookings: fromId },
+    { $set: { 'bookings.$': toId, updatedAt: Date.now() } }
+  );
+  return result.modifiedCount;
+};
+
+/**
+ * Reserve a stay: the room type's inventory, plus the specific room when one is assigned
+ * @param {mongoose.Types.ObjectId} bookingId - Booking that will hold the nights
+ * @param {Object} stay - Stay to reserve
+ * @param {string} stay.roomType - Room type
+ * @param {mongoose.Types.ObjectId} [stay.roomId] - Assigned room, if any
+ * @param {Date} stay.checkInDate - Check-in date
+ * @param {Date} stay.checkOutDate - Check-out date
+ * @returns {Promise<boolean>} True if everything was reserved
+ */
+export const reserveStay = async (bookingId, { roomType, roomId, checkInDate, checkOutDate }) => {
+  const typeReserved = await reserveRoomTypeNights(bookingId, roomType, checkInDate, checkOutDate);
+  if (!typeReserved) {
+    return false;
+  }
+
+  if (roomId) {
+    return reserveRoomNights(bookingId, roomId, checkInDate, checkOutDate);
+  }
+
+  return true;
+};
+
+/**
+ * Release a booking's room type and room nights
+ * @param {mongoose.Types.ObjectId} bookingId - Booking holding the nights
+ * @param {Object} [keep] - Optional stay to keep ({ roomType, roomId, checkInDate, checkOutDate })
+ * @returns {Promise<void>}
+ */
+export const releaseStay = async (bookingId, keep = null) => {
+  await releaseRoomTypeNights(bookingId, keep);
+  await releaseRoomNights(
+    bookingId,
+    keep && keep.roomId ? { roomId: keep.roomId, checkInDate: keep.checkInDate, checkOutDate: keep.checkOutDate } : null
+  );
+};
+
+/**
+ * Get how many rooms of each type can still be sold for every night of a date range,
+ * counting the type's overbooking allowance
+ * @param {Date} checkInDate - Check-in date
+ * @param {Date} checkOutDate - Check-out date
+ * @returns {Promise<Object[]>} One entry per room type with totalRooms and available
+ */
+export const getRoomTypeAvailability = async (checkInDate, checkOutDate) => {
+  if (!checkInDate || !checkOutDate || checkOutDate <= checkInDate) {
+    return [];
+  }
+
+  const nights = getNightDates(checkInDate, checkOutDate);
+  const capacities = await Room.aggregate([
+    { $match: { status: { $ne: 'maintenance' } } },
+    { $group: { _id: '$type', totalRooms: { $sum: 1 } } },
+    { $sort: { _id: 1 } },
+  ]);
+  const inventory = await RoomTypeNight.find({ date: { $in: nights } }).select('roomType date bookings');
+
+  // Out-of-order blocks over the range, to take blocked rooms off each night they cover
+  const blocks = await WorkOrder.find({
+    outOfOrder: true,
+    status: { $in: ACTIVE_WORK_ORDER_STATUSES },
+    startDate: { $lte: nights[nights.length - 1] },
+    endDate: { $gt: nights[0] },
+  }).populate('room', 'type status');
+  const { overbookingAllowance } = await Settings.getSettings();
+
+  return capacities.map(({ _id: roomType, totalRooms }) => {
+    const allowance = overbookingAllowance?.[roomType] || 0;
+    const typeBlocks = blocks.filter((block) => block.room?.type === roomType && block.room.status !== 'maintenance');
+
+    const fewestFree = nights.reduce((min, date) => {
+      const booked = inventory.find(
+        (night) => night.roomType === roomType && night.date.getTime() === date.getTime()
+      )?.bookings.length || 0;
+      const blocked = new Set(
+        typeBlocks
+          .filter((block) => block.startDate <= date && block.endDate > date)
+          .map((block) => block.room._id.toString())
+      ).size;
+      const capacity = totalRooms - blocked;
+      return Math.min(min, capacity > 0 ? capacity + allowance - booked : 0);
+    }, totalRooms + allowance);
+
+    return {
+      roomType,
+      totalRooms,
+      available: Math.max(fewestFree, 0),
+    };
+  });
+};
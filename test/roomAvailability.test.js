@@ -0,0 +1,241 @@
+/**
+ * @fileoverview Unit tests for the night inventory: RoomNight and RoomTypeNight are replaced by
+ * in-memory stand-ins that enforce the same unique and capacity rules as the database, so
+ * the atomic reservation logic runs without a MongoDB server.
+ * @module test/roomAvailability
+ *
+ * Run with: npm test
+ */
+
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Booking from '../src/models/Booking.js';
+import Room from '../src/models/Room.js';
+import RoomNight from '../src/models/RoomNight.js';
+import RoomTypeNight from '../src/models/RoomTypeNight.js';
+import Settings from '../src/models/Settings.js';
+import WorkOrder from '../src/models/WorkOrder.js';
+import {
+  toNightDate,
+  getNightDates,
+  reserveRoomNights,
+  reserveRoomTypeNights,
+} from '../src/utils/roomAvailability.js';
+
+const id = () => new mongoose.Types.ObjectId();
+const key = (room, date) => `${room}|${new Date(date).getTime()}`;
+const inList = (value, condition) =>
+  condition?.$in ? condition.$in.some((item) => new Date(item).getTime() === new Date(value).getTime()) : true;
+
+/**
+ * Wrap a result the way a Mongoose query is used here (awaited directly or after select/distinct)
+ * @param {*} result - Query result
+ * @returns {Object} Thenable query
+ */
+const query = (result) => ({
+  select: async () => result,
+  distinct: async () => result,
+  then: (resolve, reject) => Promise.resolve(result).then(resolve, reject),
+});
+
+/**
+ * In-memory RoomNight collection with the unique (room, date) index
+ * @returns {Map<string, Object>} Stored nights keyed by room and date
+ */
+const fakeRoomNights = () => {
+  const nights = new Map();
+  const matches = (night, filter) =>
+    (!filter.booking || night.booking.equals(filter.booking)) &&
+    (!filter.room || night.room.equals(filter.room)) &&
+    inList(night.date, filter.date);
+
+  mock.method(RoomNight, 'find', (filter) => query([...nights.values()].filter((night) => matches(night, filter))));
+  mock.method(RoomNight, 'insertMany', async (docs) => {
+    // Yield first so simultaneous reservations interleave as they would over the network
+    await new Promise((resolve) => setImmediate(resolve));
+    for (const doc of docs) {
+      if (nights.has(key(doc.room, doc.date))) {
+        throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+      }
+      nights.set(key(doc.room, doc.date), doc);
+    }
+  });
+  mock.method(RoomNight, 'deleteMany', async (filter) => {
+    let deletedCount = 0;
+    for (const [nightKey, night] of nights) {
+      if (matches(night, filter)) {
+        nights.delete(nightKey);
+        deletedCount++;
+      }
+    }
+    return { deletedCount };
+  });
+
+  return nights;
+};
+
+/**
+ * In-memory RoomTypeNight collection honouring the `bookings.<limit - 1>` capacity filter
+ * @returns {Map<string, Object>} Stored nights keyed by room type and date
+ */
+const fakeRoomTypeNights = () => {
+  const nights = new Map();
+
+  mock.method(RoomTypeNight, 'find', (filter) =>
+    query([...nights.values()].filter((night) =>
+      night.roomType === filter.roomType &&
+      inList(night.date, filter.date) &&
+      night.bookings.some((booking) => booking.equals(filter.bookings))
+    ))
+  );
+  mock.method(RoomTypeNight, 'updateOne', async (filter, update, options = {}) => {
+    await new Promise((resolve) => setImmediate(resolve));
+    const capacityKey = Object.keys(filter).find((field) => field.startsWith('bookings.'));
+    const limit = Number(capacityKey.split('.')[1]) + 1;
+    const night = nights.get(key(filter.roomType, filter.date));
+
+    if (!night) {
+      if (!options.upsert) return { matchedCount: 0 };
+      nights.set(key(filter.roomType, filter.date), {
+        roomType: filter.roomType,
+        date: filter.date,
+        bookings: [update.$addToSet.bookings],
+      });
+      return { matchedCount: 0, upsertedCount: 1 };
+    }
+    if (night.bookings.length >= limit) {
+      // The filter no longer matches, so an upsert tries to insert a second document for the night
+      if (options.upsert) throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+      return { matchedCount: 0 };
+    }
+    if (!night.bookings.some((booking) => booking.equals(update.$addToSet.bookings))) {
+      night.bookings.push(update.$addToSet.bookings);
+    }
+    return { matchedCount: 1 };
+  });
+  mock.method(RoomTypeNight, 'updateMany', async (filter, update) => {
+    for (const night of nights.values()) {
+      if (night.roomType === filter.roomType && inList(night.date, filter.date)) {
+        night.bookings = night.bookings.filter((booking) => !booking.equals(update.$pull.bookings));
+      }
+    }
+    return {};
+  });
+
+  return nights;
+};
+
+/**
+ * Give the room type a number of sellable rooms
+ * @param {number} count - Rooms of the type
+ * @param {number} [allowance] - Overbooking allowance
+ */
+const stubRooms = (count, allowance = 0) => {
+  mock.method(Room, 'find', () => query(Array.from({ length: count }, () => ({ _id: id() }))));
+  mock.method(Settings, 'getSettings', async () => ({ overbookingAllowance: { double: allowance } }));
+};
+
+beforeEach(() => {
+  // No maintenance blocks and no bookings made before night inventory existed
+  mock.method(WorkOrder, 'find', () => query([]));
+  mock.method(Booking, 'find', () => query([]));
+});
+
+afterEach(() => {
+  mock.restoreAll();
+});
+
+describe('night dates', () => {
+  it('normalizes a moment to the UTC midnight of its night', () => {
+    assert.deepEqual(toNightDate('2026-03-10T23:30:00Z'), new Date('2026-03-10T00:00:00Z'));
+  });
+
+  it('lists one night per day of the stay, excluding the check-out day', () => {
+    const nights = getNightDates(new Date('2026-03-10T14:00:00Z'), new Date('2026-03-13T11:00:00Z'));
+    assert.deepEqual(nights.map((night) => night.toISOString().slice(0, 10)), ['2026-03-10', '2026-03-11', '2026-03-12']);
+  });
+});
+
+describe('reserveRoomNights', () => {
+  const checkIn = new Date('2026-03-10');
+  const checkOut = new Date('2026-03-13');
+
+  it('holds every night of the stay for the booking', async () => {
+    const nights = fakeRoomNights();
+    const room = id();
+
+    assert.equal(await reserveRoomNights(id(), room, checkIn, checkOut), true);
+    assert.equal(nights.size, 3);
+  });
+
+  it('lets only one of many simultaneous requests take the same room', async () => {
+    const nights = fakeRoomNights();
+    const room = id();
+    const bookings = Array.from({ length: 10 }, id);
+
+    const results = await Promise.all(bookings.map((booking) => reserveRoomNights(booking, room, checkIn, checkOut)));
+
+    assert.equal(results.filter(Boolean).length, 1);
+    const winner = bookings[results.indexOf(true)];
+    assert.equal(nights.size, 3);
+    assert.ok([...nights.values()].every((night) => night.booking.equals(winner)));
+  });
+
+  it('gives back the nights it claimed when a later night is taken', async () => {
+    const nights = fakeRoomNights();
+    const room = id();
+    await reserveRoomNights(id(), room, new Date('2026-03-12'), new Date('2026-03-14'));
+
+    assert.equal(await reserveRoomNights(id(), room, checkIn, checkOut), false);
+    assert.equal(nights.size, 2);
+  });
+
+  it('keeps the nights a booking already holds when it is reserved again', async () => {
+    const nights = fakeRoomNights();
+    const room = id();
+    const booking = id();
+    await reserveRoomNights(booking, room, checkIn, checkOut);
+
+    assert.equal(await reserveRoomNights(booking, room, checkIn, new Date('2026-03-14')), true);
+    assert.equal(nights.size, 4);
+  });
+});
+
+describe('reserveRoomTypeNights', () => {
+  const checkIn = new Date('2026-03-10');
+  const checkOut = new Date('2026-03-12');
+
+  it('never sells a night to more bookings than the type has rooms', async () => {
+    const nights = fakeRoomTypeNights();
+    stubRooms(2);
+
+    const results = await Promise.all(
+      Array.from({ length: 6 }, () => reserveRoomTypeNights(id(), 'double', checkIn, checkOut))
+    );
+
+    assert.equal(results.filter(Boolean).length, 2);
+    assert.ok([...nights.values()].every((night) => night.bookings.length === 2));
+  });
+
+  it('sells the overbooking allowance on top of the rooms', async () => {
+    fakeRoomTypeNights();
+    stubRooms(1, 1);
+
+    const results = [];
+    for (let i = 0; i < 3; i++) {
+      results.push(await reserveRoomTypeNights(id(), 'double', checkIn, checkOut));
+    }
+
+    assert.deepEqual(results, [true, true, false]);
+  });
+
+  it('gives back the nights it claimed when a later night is sold out', async () => {
+    const nights = fakeRoomTypeNights();
+    stubRooms(1);
+    await reserveRoomTypeNights(id(), 'double', new Date('2026-03-11'), new Date('2026-03-12'));
+
+    assert.equal(await reserveRoomTypeNights(id(), 'double', checkIn, checkOut), false);
+    assert.equal(nights.get(key('double', new Date('2026-03-10'))).bookings.length, 0);
+  });
+});
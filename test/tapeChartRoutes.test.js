@@ -0,0 +1,67 @@
+/**
+ * @fileoverview Checks that every API call the staff tape chart makes is served by a route, so a
+ * path renamed on either side fails here instead of at the front desk.
+ * @module test/tapeChartRoutes
+ *
+ * Run with: npm test
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import routes from '../src/routes/index.js';
+
+const PAGE = new URL('../client/src/pages/StaffTapeChartPage.jsx', import.meta.url);
+const SAMPLE_ID = '507f1f77bcf86cd799439011';
+
+/**
+ * Read the API calls a page makes, with template placeholders filled with a sample ID
+ * @param {URL} file - Page source
+ * @returns {Promise<Object[]>} Calls as { method, path }
+ */
+const readApiCalls = async (file) => {
+  const source = await readFile(file, 'utf8');
+  const calls = [...source.matchAll(/api\.(get|post|put|patch|delete)\(\s*(['`])(.*?)\2/g)].map(
+    ([, method, , path]) => ({ method, path: path.replace(/\$\{[^}]*\}/g, SAMPLE_ID) })
+  );
+  return calls.filter(
+    (call, index) => calls.findIndex((other) => other.method === call.method && other.path === call.path) === index
+  );
+};
+
+/**
+ * Find the route Express would dispatch a request to, following mounted routers in order
+ * @param {Object[]} stack - Router stack
+ * @param {string} method - HTTP method
+ * @param {string} path - Path relative to the router
+ * @returns {string|null} Full path of the matching route, or null when nothing serves it
+ */
+const findRoute = (stack, method, path) => {
+  for (const layer of stack) {
+    if (!layer.match(path)) continue;
+
+    if (layer.route) {
+      if (layer.route._handles_method(method)) return layer.route.path;
+    } else if (layer.handle.stack) {
+      const mountPath = layer.path;
+      const found = findRoute(layer.handle.stack, method, path.slice(mountPath.length) || '/');
+      if (found) return `${mountPath}${found}`;
+    }
+  }
+  return null;
+};
+
+describe('tape chart API calls', () => {
+  it('are all served by a route', async () => {
+    const calls = await readApiCalls(PAGE);
+    assert.ok(calls.length > 0, 'No API calls found on the tape chart page');
+
+    for (const { method, path } of calls) {
+      assert.ok(findRoute(routes.stack, method, path), `${method.toUpperCase()} ${path} has no route`);
+    }
+  });
+
+  it('loads the chart from its own route rather than a booking lookup', () => {
+    assert.equal(findRoute(routes.stack, 'get', '/bookings/tape-chart'), '/bookings/tape-chart');
+  });
+});